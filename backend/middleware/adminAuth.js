@@ -0,0 +1,75 @@
+const adminSessionService = require('../services/adminSessionService');
+const logger = require('../utils/logger');
+
+/**
+ * Authenticate admin panel requests with the session token issued by
+ * POST /api/admin/auth/login, sent as `X-Admin-Token: <token>`.
+ *
+ * Sets:
+ *   req.admin        - acting admin or staff member { email, name, role, permissions, ... }
+ *   req.staff        - { _id, email, name, role } when the actor is a Staff account
+ *   req.adminSession - AdminSession document
+ */
+const adminAuth = async (req, res, next) => {
+  try {
+    const token = req.header('X-Admin-Token');
+
+    if (!token) {
+      return res.status(401).json({
+        success: false,
+        message: 'Unauthorized access. Please log in to the admin panel.'
+      });
+    }
+
+    const result = await adminSessionService.authenticate(token);
+    if (!result.success) {
+      return res.status(401).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    req.admin = result.principal;
+    req.adminSession = result.session;
+    if (result.staff) {
+      req.staff = {
+        _id: result.staff._id,
+        email: result.staff.email,
+        name: result.staff.name,
+        role: result.staff.role
+      };
+    }
+
+    next();
+  } catch (error) {
+    logger.error('Admin auth middleware error', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * Allow the route only for admins/staff holding the permission
+ * (see Staff.PERMISSIONS). Must run after adminAuth.
+ * @param {string} permission
+ */
+const requirePermission = (permission) => (req, res, next) => {
+  if (!req.admin?.permissions?.includes(permission)) {
+    logger.warn('🚫 Admin permission denied', {
+      email: req.admin?.email,
+      permission,
+      method: req.method,
+      path: req.originalUrl
+    });
+    return res.status(403).json({
+      success: false,
+      message: `Access denied. The "${permission}" permission is required.`,
+      required_permission: permission
+    });
+  }
+  next();
+};
+
+module.exports = { adminAuth, requirePermission };
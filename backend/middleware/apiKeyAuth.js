@@ -0,0 +1,117 @@
+const crypto = require('crypto');
+const rateLimit = require('express-rate-limit');
+const User = require('../models/User');
+const logger = require('../utils/logger');
+
+// Constant-time comparison so the private key can't be guessed byte by byte
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a || ''));
+  const right = Buffer.from(String(b || ''));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+const defaultRateLimit = () => parseInt(process.env.API_KEY_RATE_LIMIT_PER_MINUTE || '60');
+
+/**
+ * Authenticate public API requests with the seller's API key pair.
+ * Expects `X-API-Key: pk_...` and `X-API-Secret: sk_...` headers.
+ * Keys replaced by a rotation are accepted until previous_key_expires_at.
+ */
+const apiKeyAuth = async (req, res, next) => {
+  try {
+    const publicKey = req.header('X-API-Key');
+    const privateKey = req.header('X-API-Secret');
+
+    if (!publicKey || !privateKey) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Access denied. X-API-Key and X-API-Secret headers are required.'
+      });
+    }
+
+    const user = await User.findOne({
+      $or: [
+        { 'api_details.public_key': publicKey },
+        {
+          'api_details.previous_public_key': publicKey,
+          'api_details.previous_key_expires_at': { $gt: new Date() }
+        }
+      ]
+    }).select('-password -documents -__v');
+
+    const isCurrentKey = user && user.api_details.public_key === publicKey;
+    const expectedSecret = isCurrentKey ? user?.api_details.private_key : user?.api_details.previous_private_key;
+
+    if (!user || !safeEqual(privateKey, expectedSecret)) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid API credentials'
+      });
+    }
+
+    if (user.account_status === 'suspended') {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Account has been suspended'
+      });
+    }
+
+    req.user = user;
+    req.userId = user._id;
+    req.apiKey = {
+      public_key: publicKey,
+      scope: user.api_details.scope || 'write',
+      rate_limit_per_minute: user.api_details.rate_limit_per_minute || defaultRateLimit(),
+      rotated: !isCurrentKey
+    };
+
+    if (!isCurrentKey) {
+      res.set('X-API-Key-Deprecated', user.api_details.previous_key_expires_at.toISOString());
+    }
+
+    // Fire-and-forget usage stamp, at most once a minute per key
+    const lastUsed = user.api_details.last_used_at;
+    if (!lastUsed || Date.now() - lastUsed.getTime() > 60 * 1000) {
+      User.updateOne({ _id: user._id }, { $set: { 'api_details.last_used_at': new Date() } })
+        .catch(err => logger.warn('⚠️ Failed to stamp API key usage', { userId: user._id, error: err.message }));
+    }
+
+    next();
+  } catch (error) {
+    logger.error('❌ API key auth error', { error: error.message });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * Require a key scope. Read keys can only call the read endpoints.
+ * @param {'read'|'write'} scope
+ */
+const requireScope = (scope) => (req, res, next) => {
+  if (scope === 'write' && req.apiKey?.scope !== 'write') {
+    return res.status(403).json({
+      status: 'error',
+      message: 'This API key is read-only. Switch it to write access to call this endpoint.'
+    });
+  }
+  next();
+};
+
+// Per-key limiter - counts per seller so a rotation doesn't double the budget,
+// limit comes from the key's settings
+const apiKeyRateLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  limit: (req) => req.apiKey?.rate_limit_per_minute || defaultRateLimit(),
+  keyGenerator: (req) => req.user._id.toString(),
+  message: {
+    status: 'error',
+    message: 'API rate limit exceeded, please retry after a minute'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+module.exports = { apiKeyAuth, requireScope, apiKeyRateLimiter };
@@ -3,6 +3,11 @@ const User = require('../models/User');
 
 const auth = async (req, res, next) => {
   try {
+    // Already authenticated by apiKeyAuth (public /api/v1 routes reuse the dashboard handlers)
+    if (req.apiKey && req.user) {
+      return next();
+    }
+
     const token = req.header('Authorization')?.replace('Bearer ', '');
     
     if (!token) {
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// Admin panel login session (see services/adminSessionService.js).
+// Tokens reference the session, so logging out or deactivating the staff
+// member invalidates every token issued for it.
+const adminSessionSchema = new mongoose.Schema({
+  session_id: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // Null for the super admin configured through environment variables
+  staff_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Staff',
+    default: null,
+    index: true
+  },
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  is_super_admin: {
+    type: Boolean,
+    default: false
+  },
+
+  ip_address: String,
+  user_agent: String,
+  last_seen_at: {
+    type: Date,
+    default: Date.now
+  },
+  refresh_count: {
+    type: Number,
+    default: 0
+  },
+
+  // Absolute session lifetime - tokens can be refreshed until then
+  expires_at: {
+    type: Date,
+    required: true
+  },
+  revoked_at: {
+    type: Date,
+    default: null
+  },
+  revoked_reason: String
+}, {
+  timestamps: true
+});
+
+adminSessionSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+adminSessionSchema.methods.isValid = function() {
+  return !this.revoked_at && this.expires_at > new Date();
+};
+
+module.exports = mongoose.model('AdminSession', adminSessionSchema);
@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+
+// Append-only trail of admin and money-moving actions (see services/auditService.js).
+// Entries can only be inserted; every update/delete path below is rejected.
+const auditLogSchema = new mongoose.Schema({
+  // Dotted action name, e.g. wallet.credit, kyc.update, ratecard.update
+  action: {
+    type: String,
+    required: true,
+    index: true
+  },
+  category: {
+    type: String,
+    enum: ['access', 'client', 'kyc', 'wallet', 'ratecard', 'impersonation', 'remittance', 'weight_discrepancy', 'staff', 'system'],
+    required: true,
+    index: true
+  },
+
+  actor: {
+    type: {
+      type: String,
+      enum: ['admin', 'staff', 'user', 'system'],
+      required: true
+    },
+    id: String,
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true
+    },
+    name: String,
+    role: String,
+    session_id: String
+  },
+
+  target: {
+    type: { type: String },
+    id: String,
+    label: String
+  },
+
+  // Seller affected by the action - the main search key for finance
+  client_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed,
+  // Flattened field-level diff of before/after
+  changes: [{
+    _id: false,
+    field: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+
+  reason: String,
+  ip_address: String,
+  user_agent: String,
+  request: {
+    method: String,
+    path: String
+  },
+  metadata: mongoose.Schema.Types.Mixed
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ client_id: 1, createdAt: -1 });
+auditLogSchema.index({ 'actor.email': 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+const immutableError = () => new Error('Audit log entries cannot be modified or deleted');
+
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(immutableError());
+  }
+  next();
+});
+
+const blockedQueries = [
+  'updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete'
+];
+blockedQueries.forEach(operation => {
+  auditLogSchema.pre(operation, { document: true, query: true }, function(next) {
+    next(immutableError());
+  });
+});
+auditLogSchema.pre('bulkWrite', function(next) {
+  next(immutableError());
+});
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
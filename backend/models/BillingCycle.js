@@ -29,7 +29,7 @@ const billingCycleSchema = new mongoose.Schema({
   // Cycle Status
   status: {
     type: String,
-    enum: ['open', 'closed', 'invoiced'],
+    enum: ['open', 'closed', 'invoiced', 'void'],
     default: 'open',
     index: true
   },
@@ -78,9 +78,47 @@ const billingCycleSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Order'
   }],
+  // Charges raised after an order was booked (weight discrepancy, RTO).
+  // They land in the order's own cycle while it is open, otherwise in the
+  // seller's current open cycle (services/billingCycleService.js)
+  late_charges: [{
+    type: {
+      type: String,
+      enum: ['weight_discrepancy', 'rto'],
+      required: true
+    },
+    order_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order'
+    },
+    internal_order_id: String,
+    awb_number: String,
+    amount: { type: Number, required: true, min: 0 },
+    description: String,
+    // true when the charge was already debited from the wallet (prepaid),
+    // false when it is collected through the invoice
+    settled_from_wallet: { type: Boolean, default: false },
+    transaction_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Transaction'
+    },
+    // WeightDiscrepancy _id or similar, used to avoid applying a charge twice
+    source_ref: String,
+    applied_at: { type: Date, default: Date.now }
+  }],
   // Timestamps for status changes
   closed_at: Date,
-  invoiced_at: Date
+  invoiced_at: Date,
+  // Last automatic or admin run of close + invoice
+  last_run: {
+    at: Date,
+    by: String, // 'scheduler' or admin email
+    error: String
+  },
+  // Admin void (nothing from this cycle is invoiced)
+  voided_at: Date,
+  voided_by: String,
+  void_reason: String
 }, {
   timestamps: true
 });
@@ -100,65 +138,81 @@ billingCycleSchema.pre('save', function(next) {
   next();
 });
 
-// Static: Get or create current billing cycle for user
-billingCycleSchema.statics.getCurrentCycle = async function(userId) {
-  const now = new Date();
-  const year = now.getFullYear();
-  const month = now.getMonth() + 1; // 1-12
-  const day = now.getDate();
-  const cycleNumber = day <= 15 ? 1 : 2;
+// Cycles follow the Indian calendar day regardless of the server's timezone
+const IST_OFFSET_MS = 330 * 60 * 1000;
+
+// Static: Period (year, month, cycle number and exact IST boundaries) containing a date
+billingCycleSchema.statics.getCyclePeriod = function(date = new Date()) {
+  const ist = new Date(new Date(date).getTime() + IST_OFFSET_MS);
+  const year = ist.getUTCFullYear();
+  const month = ist.getUTCMonth() + 1; // 1-12
+  const cycleNumber = ist.getUTCDate() <= 15 ? 1 : 2;
+  
+  // 1st-15th or 16th-end of month, as IST midnight-to-midnight
+  const startDay = cycleNumber === 1 ? 1 : 16;
+  const nextStart = cycleNumber === 1
+    ? Date.UTC(year, month - 1, 16)
+    : Date.UTC(year, month, 1);
+  
+  return {
+    year,
+    month,
+    cycle_number: cycleNumber,
+    start_date: new Date(Date.UTC(year, month - 1, startDay) - IST_OFFSET_MS),
+    end_date: new Date(nextStart - IST_OFFSET_MS - 1)
+  };
+};
+
+// Static: Get or create the billing cycle for a period (defaults to today)
+billingCycleSchema.statics.getOrCreateCycle = async function(userId, date = new Date()) {
+  const period = this.getCyclePeriod(date);
   
   // Try to find existing cycle
   let cycle = await this.findOne({
     user_id: userId,
-    year,
-    month,
-    cycle_number: cycleNumber
+    year: period.year,
+    month: period.month,
+    cycle_number: period.cycle_number
   });
   
   if (!cycle) {
-    // Calculate exact dates
-    let startDate, endDate;
-    
-    if (cycleNumber === 1) {
-      // 1st to 15th
-      startDate = new Date(year, month - 1, 1, 0, 0, 0, 0);
-      endDate = new Date(year, month - 1, 15, 23, 59, 59, 999);
-    } else {
-      // 16th to end of month
-      startDate = new Date(year, month - 1, 16, 0, 0, 0, 0);
-      endDate = new Date(year, month, 0, 23, 59, 59, 999); // Last day of month
-    }
-    
     cycle = new this({
       user_id: userId,
-      year,
-      month,
-      cycle_number: cycleNumber,
-      start_date: startDate,
-      end_date: endDate,
+      ...period,
       status: 'open'
     });
     
-    await cycle.save();
+    try {
+      await cycle.save();
+    } catch (error) {
+      // Another request created it first
+      if (error.code !== 11000) throw error;
+      cycle = await this.findOne({
+        user_id: userId,
+        year: period.year,
+        month: period.month,
+        cycle_number: period.cycle_number
+      });
+    }
   }
   
   return cycle;
 };
 
+// Static: Get or create current billing cycle for user
+billingCycleSchema.statics.getCurrentCycle = function(userId) {
+  return this.getOrCreateCycle(userId, new Date());
+};
+
 // Static: Get cycle by date
 billingCycleSchema.statics.getCycleByDate = async function(userId, date) {
-  const targetDate = new Date(date);
-  const year = targetDate.getFullYear();
-  const month = targetDate.getMonth() + 1;
-  const day = targetDate.getDate();
-  const cycleNumber = day <= 15 ? 1 : 2;
+  const period = this.getCyclePeriod(date);
   
   return this.findOne({
     user_id: userId,
-    year,
-    month,
-    cycle_number: cycleNumber
+    year: period.year,
+    month: period.month,
+    cycle_number: period.cycle_number
   });
 };
 
@@ -248,6 +302,18 @@ billingCycleSchema.methods.addRTOCharges = function(rtoCharge) {
   return this;
 };
 
+// Method: Add a late charge (weight discrepancy, RTO) to the cycle
+billingCycleSchema.methods.addLateCharge = function(charge) {
+  this.late_charges.push(charge);
+  
+  if (charge.type === 'rto') {
+    this.summary.total_rto_charges += charge.amount;
+  }
+  this.summary.estimated_total += charge.amount;
+  
+  return this;
+};
+
 // Method: Close cycle
 billingCycleSchema.methods.closeCycle = function() {
   this.status = 'closed';
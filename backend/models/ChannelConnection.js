@@ -0,0 +1,153 @@
+const mongoose = require('mongoose');
+
+// A seller's connected sales channel store (see services/channels)
+const channelConnectionSchema = new mongoose.Schema({
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  // Connector code registered in services/channels (e.g. 'FAKE_STORE')
+  channel: {
+    type: String,
+    required: [true, 'Channel is required'],
+    uppercase: true,
+    trim: true
+  },
+
+  name: {
+    type: String,
+    required: [true, 'Store name is required'],
+    trim: true,
+    maxlength: 100
+  },
+
+  // Connector specific settings (store URL, tokens ...), never returned in full
+  credentials: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  is_active: {
+    type: Boolean,
+    default: true,
+    index: true
+  },
+
+  // Periodic pull of unfulfilled orders
+  auto_sync: {
+    type: Boolean,
+    default: true
+  },
+  sync_interval_minutes: {
+    type: Number,
+    default: 15,
+    min: [5, 'Sync interval must be at least 5 minutes'],
+    max: [1440, 'Sync interval cannot exceed 24 hours']
+  },
+
+  // Push AWB + tracking back to the store when an AWB is assigned
+  push_fulfilment: {
+    type: Boolean,
+    default: true
+  },
+
+  // Applied to every imported order
+  defaults: {
+    warehouse_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Warehouse',
+      required: [true, 'Pickup warehouse is required']
+    },
+    shipping_mode: {
+      type: String,
+      enum: ['Surface', 'Express'],
+      default: 'Surface'
+    },
+    // Used when an item's SKU has no mapping and no Package with the same SKU
+    package_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Package',
+      default: null
+    }
+  },
+
+  // Store SKU -> saved Package preset (weight and dimensions)
+  sku_mappings: [{
+    _id: false,
+    sku: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    package_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Package',
+      required: true
+    }
+  }],
+
+  // Sync state
+  last_synced_at: Date,
+  last_sync_status: {
+    type: String,
+    enum: ['succeeded', 'partial', 'failed', null],
+    default: null
+  },
+  last_sync_summary: {
+    fetched: { type: Number, default: 0 },
+    imported: { type: Number, default: 0 },
+    skipped: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 }
+  },
+  // Orders from the last run that could not be imported (e.g. unmapped SKU)
+  last_sync_errors: [{
+    _id: false,
+    channel_order_id: String,
+    channel_order_number: String,
+    error: String
+  }],
+  sync_in_progress_since: {
+    type: Date,
+    default: null
+  },
+
+  stats: {
+    orders_imported: { type: Number, default: 0 },
+    fulfilments_pushed: { type: Number, default: 0 }
+  }
+}, {
+  timestamps: true
+});
+
+channelConnectionSchema.index({ is_active: 1, auto_sync: 1, last_synced_at: 1 });
+
+channelConnectionSchema.methods.findPackageIdForSku = function(sku) {
+  const mapping = (this.sku_mappings || []).find(m => m.sku === sku);
+  return mapping ? mapping.package_id : null;
+};
+
+// Never leak secret credentials in responses
+channelConnectionSchema.methods.toSafeJSON = function() {
+  const obj = this.toObject();
+  let secretKeys = [];
+  try {
+    // Lazy require - the registry is a service layer module
+    secretKeys = require('../services/channels').getConnector(obj.channel).credentialFields
+      .filter(field => field.secret)
+      .map(field => field.key);
+  } catch (error) {
+    secretKeys = Object.keys(obj.credentials || {});
+  }
+
+  obj.credentials = Object.fromEntries(Object.entries(obj.credentials || {}).map(([key, value]) => [
+    key,
+    secretKeys.includes(key) && value ? `••••${String(value).slice(-4)}` : value
+  ]));
+  delete obj.__v;
+  return obj;
+};
+
+module.exports = mongoose.model('ChannelConnection', channelConnectionSchema);
@@ -0,0 +1,75 @@
+// Location: backend/models/CodAdvance.js
+const mongoose = require('mongoose');
+
+// COD paid out to a seller on the early-COD plan before the courier remits it.
+// Settled when the courier's remittance for the AWB is uploaded.
+const codAdvanceSchema = new mongoose.Schema({
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  order_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+    unique: true
+  },
+  internal_order_id: String,
+  awb_number: {
+    type: String,
+    required: true,
+    index: true
+  },
+  delivered_date: Date,
+  // Plan at the time of the advance
+  plan_days: { type: Number, required: true },
+  cod_amount: { type: Number, required: true, min: 0 },
+  fee_percent: { type: Number, required: true, min: 0 },
+  fee_amount: { type: Number, required: true, min: 0 },
+  // cod_amount - fee_amount
+  net_amount: { type: Number, required: true, min: 0 },
+  payout_mode: {
+    type: String,
+    enum: ['wallet', 'bank'],
+    required: true
+  },
+  // payout_pending: bank transfer not made yet; paid: the money is with the seller.
+  // Settlement against the courier remittance is tracked separately in `settlement`.
+  status: {
+    type: String,
+    enum: ['payout_pending', 'paid'],
+    required: true,
+    index: true
+  },
+  advance_transaction_id: String,
+  fee_transaction_id: String,
+  // Bank payouts: the wallet debit that moves the net amount out, and the transfer UTR
+  payout_transaction_id: String,
+  bank_utr: String,
+  paid_at: Date,
+  paid_by: String,
+  settlement: {
+    remittance_number: String,
+    remittance_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Remittance'
+    },
+    remitted_amount: Number,
+    // remitted_amount - cod_amount, posted to the wallet as a cod_remittance adjustment
+    difference: Number,
+    adjustment_transaction_id: String,
+    // A shortfall the wallet could not cover yet
+    adjustment_pending: { type: Boolean, default: false },
+    // Not set until the courier remittance for the AWB is uploaded
+    settled_at: Date
+  }
+}, {
+  timestamps: true
+});
+
+codAdvanceSchema.index({ user_id: 1, createdAt: -1 });
+codAdvanceSchema.index({ 'settlement.remittance_number': 1 });
+
+module.exports = mongoose.model('CodAdvance', codAdvanceSchema);
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// Named number sequences (e.g. one per credit note series and month).
+// next() increments in a single update, so concurrent saves never share a number.
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+/**
+ * Take the next number of a sequence
+ * @param {string} key - Sequence name
+ * @param {Function} [getLastUsed] - Resolves the highest number already issued, for series
+ *   that were numbered before the counter existed. Only called when the counter is created.
+ * @returns {Promise<number>}
+ */
+counterSchema.statics.next = async function(key, getLastUsed) {
+  const counter = await this.findOneAndUpdate({ _id: key }, { $inc: { seq: 1 } }, { new: true });
+  if (counter) {
+    return counter.seq;
+  }
+
+  const lastUsed = getLastUsed ? await getLastUsed() : 0;
+  try {
+    await this.create({ _id: key, seq: lastUsed });
+  } catch (error) {
+    // Another request created it first
+    if (error.code !== 11000) throw error;
+  }
+  return this.next(key);
+};
+
+const Counter = mongoose.model('Counter', counterSchema);
+
+module.exports = Counter;
@@ -0,0 +1,124 @@
+// Location: backend/models/Exchange.js
+const mongoose = require('mongoose');
+
+const legSchema = new mongoose.Schema({
+  order_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  order_number: String,
+  // Last status seen on the leg's order
+  status: String,
+  charges: {
+    type: Number,
+    default: 0
+  },
+  zone: String
+}, { _id: false });
+
+// An exchange: a replacement sent to the buyer (forward leg, REPL) and a
+// pickup of the original item (reverse leg), both linked to the original order
+// (services/exchangeService.js)
+const exchangeSchema = new mongoose.Schema({
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  exchange_number: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  original_order_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+    index: true
+  },
+  original_order_number: {
+    type: String,
+    required: true
+  },
+  customer_name: String,
+  items: [{
+    _id: false,
+    // Index in the original order's products
+    line: { type: Number, required: true },
+    product_name: { type: String, required: true },
+    sku: String,
+    quantity: { type: Number, required: true, min: 1 },
+    replacement_product_name: String,
+    replacement_sku: String,
+    replacement_unit_price: Number
+  }],
+  reason: {
+    type: String,
+    enum: ['damaged', 'defective', 'wrong_item', 'size_issue', 'not_as_described', 'changed_mind', 'other'],
+    required: true
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  // When the forward leg may ship
+  release_rule: {
+    type: String,
+    enum: ['immediate', 'after_pickup', 'after_qc'],
+    default: 'immediate'
+  },
+  forward_leg: {
+    type: legSchema,
+    default: () => ({})
+  },
+  reverse_leg: {
+    type: legSchema,
+    default: () => ({})
+  },
+  // Forward leg is waiting for the release rule
+  forward_held: {
+    type: Boolean,
+    default: false
+  },
+  forward_released_at: Date,
+  forward_released_by: String,
+  reverse_picked_up_at: Date,
+  reverse_delivered_at: Date,
+  forward_delivered_at: Date,
+  qc: {
+    required: {
+      type: Boolean,
+      default: true
+    },
+    result: {
+      type: String,
+      enum: ['pending', 'passed', 'failed'],
+      default: 'pending'
+    },
+    notes: String,
+    recorded_at: Date,
+    recorded_by: String
+  },
+  status: {
+    type: String,
+    enum: ['awaiting_pickup', 'qc_pending', 'qc_failed', 'in_progress', 'completed', 'cancelled'],
+    default: 'in_progress',
+    index: true
+  },
+  status_history: [{
+    _id: false,
+    status: String,
+    note: String,
+    timestamp: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+exchangeSchema.index({ user_id: 1, status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Exchange', exchangeSchema);
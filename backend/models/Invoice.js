@@ -162,7 +162,7 @@ const invoiceSchema = new mongoose.Schema({
   // Payment Status (matches Delhivery: Paid, Overdue, etc.)
   payment_status: {
     type: String,
-    enum: ['pending', 'paid', 'overdue', 'partially_paid', 'disputed'],
+    enum: ['pending', 'paid', 'overdue', 'partially_paid', 'disputed', 'cancelled'],
     default: 'pending',
     index: true
   },
@@ -183,6 +183,29 @@ const invoiceSchema = new mongoose.Schema({
       ref: 'Transaction'
     }
   },
+  // Every payment received against this invoice (payment_info holds the latest)
+  payments: [{
+    amount: { type: Number, required: true, min: 0 },
+    payment_date: { type: Date, default: Date.now },
+    payment_method: {
+      type: String,
+      enum: ['wallet_deduction', 'bank_transfer', 'upi', 'auto_debit', 'razorpay']
+    },
+    payment_reference: String,
+    transaction_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Transaction'
+    },
+    recorded_by: String
+  }],
+  // Dunning emails already sent for this invoice (services/creditControlService.js)
+  dunning: {
+    stages_sent: [{
+      type: String,
+      enum: ['due_soon', 'overdue', 'final_notice']
+    }],
+    last_sent_at: Date
+  },
   // Shipment Summary
   shipment_summary: {
     total_shipments: { type: Number, default: 0 },
@@ -202,20 +225,55 @@ const invoiceSchema = new mongoose.Schema({
   // Document URLs
   documents: {
     invoice_pdf_url: String,
+    invoice_pdf_public_id: String, // Cloudinary public_id, replaced on regeneration
+    invoice_pdf_hash: String, // Hash of the rendered invoice; a mismatch means the PDF is stale
+    invoice_pdf_generated_at: Date,
     transaction_list_csv_url: String
   },
-  // IRN for e-invoicing (GST compliance)
+  // IRN for e-invoicing (GST compliance), filled by services/einvoiceService.js
   irn: String,
   irn_date: Date,
+  // IRP registration. Status is unset when the invoice does not need an IRN (no buyer GSTIN).
+  einvoice: {
+    status: {
+      type: String,
+      enum: ['generated', 'failed', 'cancelled']
+    },
+    irp: String, // IRP client code (NIC, STUB)
+    ack_no: String,
+    ack_date: Date,
+    signed_invoice: String,
+    signed_qr_code: String, // Printed as the QR code on the invoice
+    attempts: { type: Number, default: 0 },
+    last_attempt_at: Date,
+    last_error: String,
+    generated_by: String,
+    // A cancelled IRN is moved here; irn / irn_date are cleared
+    cancelled_irn: String,
+    cancelled_at: Date,
+    cancel_reason_code: {
+      type: String,
+      enum: ['1', '2', '3', '4'] // Duplicate, data entry mistake, order cancelled, others
+    },
+    cancel_remarks: String,
+    cancelled_by: String
+  },
   // Credit/Debit Notes
   adjustments: [{
     type: { type: String, enum: ['credit_note', 'debit_note'] },
+    note_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'InvoiceNote'
+    },
     note_number: String,
     amount: Number,
     reason: String,
     date: Date,
-    related_awb: String
+    related_awb: String,
+    settlement: { type: String, enum: ['wallet', 'invoice', 'none'] }
   }],
+  // Net of the notes settled against this invoice's balance (debit notes add, credit notes subtract)
+  note_adjustment: { type: Number, default: 0 },
   // Invoice Status
   status: {
     type: String,
@@ -249,12 +307,18 @@ invoiceSchema.index({ user_id: 1, payment_status: 1 });
 invoiceSchema.index({ user_id: 1, 'billing_period.year': 1, 'billing_period.month': 1 });
 invoiceSchema.index({ delhivery_invoice_id: 1 });
 invoiceSchema.index({ status: 1 });
+invoiceSchema.index({ 'einvoice.status': 1, invoice_date: -1 });
 
 // Virtual: Check if overdue
 invoiceSchema.virtual('is_overdue').get(function() {
   return this.payment_status !== 'paid' && new Date() > this.due_date;
 });
 
+// Virtual: Amount payable on this invoice after notes settled against it
+invoiceSchema.virtual('payable_total').get(function() {
+  return Math.round((this.amounts.grand_total + (this.note_adjustment || 0)) * 100) / 100;
+});
+
 // Virtual: Days until due / days overdue
 invoiceSchema.virtual('days_status').get(function() {
   const now = new Date();
@@ -271,27 +335,47 @@ invoiceSchema.pre('save', async function(next) {
     const month = this.billing_period.month.toString().padStart(2, '0');
     const cycle = this.billing_period.cycle_number;
     
-    // Count existing invoices for this user
-    const count = await this.constructor.countDocuments({ user_id: this.user_id });
+    // Sequence runs across all sellers: invoice_number is unique, so a
+    // per-seller count would collide as soon as two sellers share a cycle
+    const prefix = `INV${year}${month}C${cycle}-`;
+    const count = await this.constructor.countDocuments({ invoice_number: { $regex: `^${prefix}` } });
     
     // Format: INV2511C1-00001 (Year, Month, Cycle, Sequence)
-    this.invoice_number = `INV${year}${month}C${cycle}-${(count + 1).toString().padStart(5, '0')}`;
+    this.invoice_number = `${prefix}${(count + 1).toString().padStart(5, '0')}`;
   }
   next();
 });
 
 // Pre-save: Calculate balance and update status
 invoiceSchema.pre('save', function(next) {
+  // A cancelled invoice (billing cycle re-run or void) is no longer owed
+  if (this.payment_status === 'cancelled') {
+    this.balance_due = 0;
+    return next();
+  }
+  
   // Calculate balance due
-  this.balance_due = Math.max(0, this.amounts.grand_total - this.amount_paid);
+  const payable = this.payable_total;
+  this.balance_due = Math.max(0, Math.round((payable - this.amount_paid) * 100) / 100);
+  
+  // A debit note can reopen a paid invoice
+  if (this.payment_status === 'paid' && this.balance_due > 0) {
+    this.payment_status = 'pending';
+    if (this.status === 'paid') {
+      this.status = 'sent';
+    }
+  }
   
-  // Auto-update payment status
-  if (this.amount_paid >= this.amounts.grand_total && this.amounts.grand_total > 0) {
+  // Auto-update payment status. A partly paid invoice past its due date is
+  // overdue; disputed invoices keep their status until the dispute is resolved.
+  if (this.amount_paid >= payable && this.amounts.grand_total > 0) {
     this.payment_status = 'paid';
-  } else if (this.amount_paid > 0 && this.amount_paid < this.amounts.grand_total) {
-    this.payment_status = 'partially_paid';
-  } else if (this.due_date && new Date() > this.due_date && this.payment_status !== 'paid') {
-    this.payment_status = 'overdue';
+  } else if (!['paid', 'disputed'].includes(this.payment_status)) {
+    if (this.due_date && new Date() > this.due_date) {
+      this.payment_status = 'overdue';
+    } else if (this.amount_paid > 0) {
+      this.payment_status = 'partially_paid';
+    }
   }
   
   next();
@@ -353,6 +437,32 @@ invoiceSchema.methods.addShipment = function(shipmentData) {
   return this;
 };
 
+// Method: Add a late charge (weight discrepancy, RTO) raised after the order was billed.
+// Listed in the annexure but not counted as another shipment.
+invoiceSchema.methods.addLateCharge = function(lateCharge, shipmentData = {}) {
+  const isRTO = lateCharge.type === 'rto';
+  this.shipment_charges.push({
+    ...shipmentData,
+    awb_number: lateCharge.awb_number || shipmentData.awb_number,
+    order_id: lateCharge.order_id,
+    internal_order_id: lateCharge.internal_order_id || shipmentData.internal_order_id,
+    charges: {
+      rto_charge: isRTO ? lateCharge.amount : 0,
+      weight_discrepancy_charge: isRTO ? 0 : lateCharge.amount
+    },
+    total_charge: lateCharge.amount
+  });
+  
+  this.amounts.subtotal += lateCharge.amount;
+  if (isRTO) {
+    this.amounts.total_rto_charges += lateCharge.amount;
+  } else {
+    this.amounts.total_weight_discrepancy += lateCharge.amount;
+  }
+  
+  return this;
+};
+
 // Method: Finalize invoice (calculate taxes and mark as generated)
 invoiceSchema.methods.finalize = function() {
   this.calculateTaxes();
@@ -363,7 +473,7 @@ invoiceSchema.methods.finalize = function() {
 // Method: Mark as paid
 invoiceSchema.methods.markAsPaid = function(paymentInfo) {
   this.payment_status = 'paid';
-  this.amount_paid = this.amounts.grand_total;
+  this.amount_paid = this.payable_total;
   this.balance_due = 0;
   this.payment_info = {
     payment_date: paymentInfo.payment_date || new Date(),
@@ -375,6 +485,15 @@ invoiceSchema.methods.markAsPaid = function(paymentInfo) {
   return this.save();
 };
 
+// Method: Cancel (billing cycle re-run or void). Only invoices without recorded payments.
+invoiceSchema.methods.cancel = function(reason) {
+  this.status = 'cancelled';
+  this.payment_status = 'cancelled';
+  this.balance_due = 0;
+  this.internal_notes = [this.internal_notes, `Cancelled: ${reason}`].filter(Boolean).join('\n');
+  return this.save();
+};
+
 // Static: Get invoices by date range (for Invoice List page)
 invoiceSchema.statics.getInvoicesByDateRange = function(userId, startDate, endDate) {
   return this.find({
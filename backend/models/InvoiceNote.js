@@ -0,0 +1,193 @@
+// Location: backend/models/InvoiceNote.js
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+
+// One line of a credit or debit note, usually one shipment on the original invoice
+const noteLineSchema = new mongoose.Schema({
+  description: { type: String, required: true },
+  awb_number: String,
+  order_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  internal_order_id: String,
+  // Taxable value (before GST)
+  amount: { type: Number, required: true, min: 0 }
+}, { _id: false });
+
+// GST credit note / debit note issued against an Invoice
+const invoiceNoteSchema = new mongoose.Schema({
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // Credit note = amount given back to the seller; debit note = further amount charged
+  note_type: {
+    type: String,
+    enum: ['credit_note', 'debit_note'],
+    required: true,
+    index: true
+  },
+  // CN2610-00001 / DN2610-00001, generated on save
+  note_number: {
+    type: String,
+    unique: true
+  },
+  note_date: { type: Date, default: Date.now, required: true },
+  // Original invoice
+  invoice_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice',
+    required: true,
+    index: true
+  },
+  invoice_number: { type: String, required: true },
+  invoice_date: Date,
+  reason_code: {
+    type: String,
+    enum: [
+      'shipment_cancelled',
+      'weight_discrepancy_reversed',
+      'rto_charge',
+      'weight_discrepancy',
+      'rate_correction',
+      'other'
+    ],
+    required: true
+  },
+  reason: { type: String, required: true },
+  line_items: {
+    type: [noteLineSchema],
+    validate: [items => items.length > 0, 'A note needs at least one line']
+  },
+  // GST details copied from the original invoice
+  gst_info: {
+    seller_gstin: String,
+    buyer_gstin: String,
+    place_of_supply: String,
+    place_of_supply_name: String,
+    is_igst: { type: Boolean, default: true },
+    sac_code: { type: String, default: '996719' }
+  },
+  billing_address: {
+    company_name: String,
+    address: String,
+    city: String,
+    state: String,
+    pincode: String,
+    country: { type: String, default: 'India' }
+  },
+  amounts: {
+    taxable_value: { type: Number, required: true, default: 0 },
+    cgst_rate: { type: Number, default: 9 },
+    cgst_amount: { type: Number, default: 0 },
+    sgst_rate: { type: Number, default: 9 },
+    sgst_amount: { type: Number, default: 0 },
+    igst_rate: { type: Number, default: 18 },
+    igst_amount: { type: Number, default: 0 },
+    total_tax: { type: Number, default: 0 },
+    total: { type: Number, required: true, default: 0 }
+  },
+  // How the note moved money:
+  // - wallet: the note total was credited to / debited from the wallet when issued
+  // - invoice: the note total was taken off / added to the original invoice's balance
+  // - none: the money already moved elsewhere (e.g. the cancellation refund); transaction_id links it
+  wallet_effect: {
+    settlement: {
+      type: String,
+      enum: ['wallet', 'invoice', 'none'],
+      required: true
+    },
+    amount: { type: Number, default: 0 },
+    transaction_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Transaction'
+    }
+  },
+  status: {
+    type: String,
+    enum: ['issued', 'cancelled'],
+    default: 'issued',
+    index: true
+  },
+  documents: {
+    pdf_url: String,
+    pdf_public_id: String,
+    pdf_hash: String, // Hash of the rendered note; a mismatch means the PDF is stale
+    pdf_generated_at: Date
+  },
+  // Makes automatic notes idempotent (e.g. cancel:<orderId>, rto:<orderId>)
+  source_ref: String,
+  issued_by: String
+}, {
+  timestamps: true
+});
+
+invoiceNoteSchema.index({ user_id: 1, note_type: 1, note_date: -1 });
+// One issued note per source_ref, even when two requests raise it at the same time
+invoiceNoteSchema.index(
+  { user_id: 1, source_ref: 1 },
+  { unique: true, partialFilterExpression: { source_ref: { $type: 'string' }, status: 'issued' } }
+);
+
+// Pre-save: Generate note number. One series per note type and month, across all sellers.
+invoiceNoteSchema.pre('save', async function(next) {
+  if (this.isNew && !this.note_number) {
+    const date = this.note_date || new Date();
+    const year = date.getFullYear().toString().slice(-2);
+    const month = (date.getMonth() + 1).toString().padStart(2, '0');
+    const prefix = `${this.note_type === 'credit_note' ? 'CN' : 'DN'}${year}${month}-`;
+
+    // Months numbered before the counter existed continue from their last note
+    const sequence = await Counter.next(`invoice_note:${prefix}`, async () => {
+      const last = await this.constructor.findOne({ note_number: { $regex: `^${prefix}` } })
+        .sort({ note_number: -1 })
+        .select('note_number');
+      return last ? parseInt(last.note_number.slice(prefix.length)) || 0 : 0;
+    });
+
+    this.note_number = `${prefix}${sequence.toString().padStart(5, '0')}`;
+  }
+  next();
+});
+
+// Method: Total the lines and apply the original invoice's GST rates. With
+// inclusiveOfGst the line amounts already include GST (e.g. a wallet refund): the
+// note total stays equal to them and the taxable values are worked back from it.
+invoiceNoteSchema.methods.calculateAmounts = function({ inclusiveOfGst = false } = {}) {
+  const round2 = (value) => Math.round(value * 100) / 100;
+  const amounts = this.amounts;
+  const taxRate = this.gst_info.is_igst ? amounts.igst_rate : amounts.cgst_rate + amounts.sgst_rate;
+
+  let total = null;
+  if (inclusiveOfGst) {
+    total = round2(this.line_items.reduce((sum, line) => sum + line.amount, 0));
+    this.line_items.forEach(line => {
+      line.amount = round2(line.amount / (1 + taxRate / 100));
+    });
+  }
+
+  const taxable = round2(this.line_items.reduce((sum, line) => sum + line.amount, 0));
+  const totalTax = total === null ? round2(taxable * taxRate / 100) : round2(total - taxable);
+  amounts.taxable_value = taxable;
+
+  if (this.gst_info.is_igst) {
+    amounts.igst_amount = totalTax;
+    amounts.cgst_amount = 0;
+    amounts.sgst_amount = 0;
+  } else {
+    amounts.cgst_amount = round2(totalTax * amounts.cgst_rate / taxRate);
+    amounts.sgst_amount = round2(totalTax - amounts.cgst_amount);
+    amounts.igst_amount = 0;
+  }
+
+  amounts.total_tax = totalTax;
+  amounts.total = round2(taxable + totalTax);
+  return this;
+};
+
+const InvoiceNote = mongoose.model('InvoiceNote', invoiceNoteSchema);
+
+module.exports = InvoiceNote;
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+// Double-entry journal line set for one wallet movement (see services/walletLedgerService.js).
+// Every entry moves money between a seller wallet account (wallet:<userId>) and a
+// platform account such as gateway:hdfc or revenue:shipping; debits always equal credits.
+const ledgerEntrySchema = new mongoose.Schema({
+  transaction_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    required: true,
+    unique: true
+  },
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  category: {
+    type: String,
+    required: true
+  },
+  lines: [{
+    _id: false,
+    account: {
+      type: String,
+      required: true
+    },
+    debit: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    credit: {
+      type: Number,
+      default: 0,
+      min: 0
+    }
+  }],
+  // Wallet balance right after this entry was posted
+  wallet_balance_after: {
+    type: Number,
+    required: true
+  },
+  posted_by: {
+    type: String,
+    default: 'system'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+ledgerEntrySchema.index({ 'lines.account': 1, createdAt: -1 });
+
+ledgerEntrySchema.pre('validate', function(next) {
+  const totals = this.lines.reduce((sum, line) => ({
+    debit: sum.debit + (line.debit || 0),
+    credit: sum.credit + (line.credit || 0)
+  }), { debit: 0, credit: 0 });
+
+  if (this.lines.length < 2 || Math.round(totals.debit * 100) !== Math.round(totals.credit * 100)) {
+    return next(new Error('Ledger entry is not balanced'));
+  }
+  next();
+});
+
+module.exports = mongoose.model('LedgerEntry', ledgerEntrySchema);
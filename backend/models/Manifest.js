@@ -0,0 +1,126 @@
+// Location: backend/models/Manifest.js
+const mongoose = require('mongoose');
+
+// One shipment handed to the courier executive. Fields are copied from the
+// order when it joins the manifest so the printed sheet does not change later.
+const manifestShipmentSchema = new mongoose.Schema({
+  order_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  internal_order_id: String,
+  awb_number: {
+    type: String,
+    required: true
+  },
+  payment_mode: String,
+  cod_amount: { type: Number, default: 0 },
+  weight: Number,
+  number_of_boxes: { type: Number, default: 1 },
+  consignee_name: String,
+  destination_city: String,
+  destination_pincode: String,
+  // pending: not scanned yet; handed_over: scanned at pickup (or the courier
+  // reported the pickup); not_picked: still pending when the day was closed
+  handover_status: {
+    type: String,
+    enum: ['pending', 'handed_over', 'not_picked'],
+    default: 'pending'
+  },
+  // scan: the AWB was scanned at handover; carrier: the courier reported the pickup
+  handover_source: {
+    type: String,
+    enum: ['scan', 'carrier']
+  },
+  scanned_at: Date,
+  scanned_by: String
+}, { _id: false });
+
+// Shipments from one warehouse for one carrier, picked up on one day
+const manifestSchema = new mongoose.Schema({
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  manifest_number: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Order.pickup_address.name - the warehouse name registered with the carrier
+  warehouse_name: {
+    type: String,
+    required: true
+  },
+  pickup_address: {
+    full_address: String,
+    city: String,
+    state: String,
+    pincode: String,
+    phone: String
+  },
+  // Midnight UTC of the pickup day, like Order.delhivery_data.pickup_request_date
+  pickup_date: {
+    type: Date,
+    required: true
+  },
+  pickup_time: String,
+  carrier: {
+    type: String,
+    required: true
+  },
+  // open: shipments can still join and be scanned
+  // handed_over: every shipment was scanned
+  // closed: the day was closed with shipments not picked
+  status: {
+    type: String,
+    enum: ['open', 'handed_over', 'closed'],
+    default: 'open',
+    index: true
+  },
+  shipments: [manifestShipmentSchema],
+  totals: {
+    shipments: { type: Number, default: 0 },
+    boxes: { type: Number, default: 0 },
+    cod_shipments: { type: Number, default: 0 },
+    cod_amount: { type: Number, default: 0 },
+    handed_over: { type: Number, default: 0 },
+    not_picked: { type: Number, default: 0 }
+  },
+  handed_over_at: Date,
+  closed_at: Date,
+  // user: closed from the dashboard; scheduler: closed at day end
+  closed_by: String
+}, {
+  timestamps: true
+});
+
+// Only one open manifest per warehouse, carrier and pickup day
+manifestSchema.index(
+  { user_id: 1, warehouse_name: 1, carrier: 1, pickup_date: 1 },
+  { unique: true, partialFilterExpression: { status: 'open' } }
+);
+manifestSchema.index({ user_id: 1, pickup_date: -1 });
+manifestSchema.index({ 'shipments.awb_number': 1 });
+
+/**
+ * Recount totals from the shipments
+ */
+manifestSchema.methods.refreshTotals = function() {
+  const shipments = this.shipments || [];
+  const cod = shipments.filter(shipment => shipment.payment_mode === 'COD');
+  this.totals = {
+    shipments: shipments.length,
+    boxes: shipments.reduce((sum, shipment) => sum + (shipment.number_of_boxes || 1), 0),
+    cod_shipments: cod.length,
+    cod_amount: Math.round(cod.reduce((sum, shipment) => sum + (shipment.cod_amount || 0), 0) * 100) / 100,
+    handed_over: shipments.filter(shipment => shipment.handover_status === 'handed_over').length,
+    not_picked: shipments.filter(shipment => shipment.handover_status === 'not_picked').length
+  };
+  return this.totals;
+};
+
+module.exports = mongoose.model('Manifest', manifestSchema);
@@ -201,7 +201,26 @@ const ndrSchema = new mongoose.Schema({
     preferred_delivery_time: String,
     updated_address: String,
     updated_phone: String,
-    customer_notes: String
+    customer_notes: String,
+    // What was done with a portal response (services/ndrOutreachService.js)
+    action_result: String
+  },
+
+  // Buyer self-service link (services/ndrOutreachService.js)
+  customer_outreach: {
+    // Bumped on every send; links signed with an older version stop working
+    link_version: {
+      type: Number,
+      default: 0
+    },
+    link_expires_at: Date,
+    last_sent_at: Date,
+    send_count: {
+      type: Number,
+      default: 0
+    },
+    // link_version the buyer responded to, so each link is used once
+    responded_version: Number
   },
 
   // RTO Information
@@ -273,6 +292,21 @@ const ndrSchema = new mongoose.Schema({
     aging_threshold_crossed: {
       type: Boolean,
       default: false
+    },
+    // Last decision of the seller's NDR rules (services/ndrRulesService.js)
+    matched_rule_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'NDRRule'
+    },
+    last_action: {
+      type: String,
+      enum: ['reattempt', 'rto', 'escalate', 'manual_review']
+    },
+    last_action_at: Date,
+    // Attempt count the rules last ran for, so each attempt is acted on once
+    last_evaluated_attempt: {
+      type: Number,
+      default: 0
     }
   },
 
@@ -305,6 +339,9 @@ ndrSchema.pre('save', function(next) {
     this.metrics.days_in_ndr = Math.floor((now - ndrDate) / (1000 * 60 * 60 * 24));
   }
 
+  // Update total attempts (before the flags below read it)
+  this.metrics.total_attempts = this.delivery_attempts.length;
+
   // Set auto RTO eligibility
   if (this.metrics.days_in_ndr >= 7 || this.metrics.total_attempts >= 3) {
     this.auto_resolution.auto_rto_eligible = true;
@@ -318,9 +355,6 @@ ndrSchema.pre('save', function(next) {
     this.auto_resolution.aging_threshold_crossed = true;
   }
 
-  // Update total attempts
-  this.metrics.total_attempts = this.delivery_attempts.length;
-
   // Update timestamps
   this.updated_at = Date.now();
   next();
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+// One automated decision taken by services/ndrRulesService.js (previews are not logged)
+const ndrAutomationLogSchema = new mongoose.Schema({
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  ndr_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'NDR'
+  },
+  order_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  awb_number: {
+    type: String,
+    index: true
+  },
+
+  // What ran the engine
+  trigger: {
+    type: String,
+    enum: ['ndr_created', 'ndr_updated'],
+    required: true
+  },
+
+  // null when no rule matched (the NDR is left for manual review)
+  rule_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'NDRRule'
+  },
+  rule_name: String,
+
+  action: {
+    type: String,
+    enum: ['reattempt', 'rto', 'escalate', 'manual_review'],
+    required: true
+  },
+
+  // applied: carrier/NDR updated, skipped: not allowed for this NDR, failed: carrier call failed
+  outcome: {
+    type: String,
+    enum: ['applied', 'skipped', 'failed'],
+    required: true
+  },
+  message: String,
+  carrier_request_id: String,
+
+  // Facts the rules were evaluated against
+  facts: {
+    nsl_code: String,
+    attempts: Number,
+    days_in_ndr: Number,
+    order_value: Number,
+    payment_mode: String,
+    pincode: String
+  }
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: false }
+});
+
+ndrAutomationLogSchema.index({ user_id: 1, created_at: -1 });
+
+module.exports = mongoose.model('NDRAutomationLog', ndrAutomationLogSchema);
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+const NDR_RULE_ACTIONS = ['reattempt', 'rto', 'escalate', 'manual_review'];
+
+// A seller's NDR automation rule (see services/ndrRulesService.js).
+// Rules are evaluated in ascending priority; the first enabled rule whose
+// conditions all match decides the action. Empty conditions match anything.
+const ndrRuleSchema = new mongoose.Schema({
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  name: {
+    type: String,
+    required: [true, 'Rule name is required'],
+    trim: true,
+    maxlength: 100
+  },
+
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+
+  // Lower runs first
+  priority: {
+    type: Number,
+    default: 100,
+    min: 0
+  },
+
+  conditions: {
+    // Carrier NSL codes, e.g. EOD-74
+    nsl_codes: [{
+      type: String,
+      uppercase: true,
+      trim: true
+    }],
+    min_attempts: { type: Number, min: 0 },
+    max_attempts: { type: Number, min: 0 },
+    min_days_in_ndr: { type: Number, min: 0 },
+    max_days_in_ndr: { type: Number, min: 0 },
+    min_order_value: { type: Number, min: 0 },
+    max_order_value: { type: Number, min: 0 },
+    payment_mode: {
+      type: String,
+      enum: ['any', 'COD', 'Prepaid'],
+      default: 'any'
+    },
+    // Full 6 digit pincodes or prefixes (e.g. "110" for all of Delhi)
+    pincodes: [{
+      type: String,
+      trim: true,
+      match: [/^\d{1,6}$/, 'Pincode must be up to 6 digits']
+    }]
+  },
+
+  action: {
+    type: String,
+    enum: NDR_RULE_ACTIONS,
+    required: [true, 'Rule action is required']
+  },
+
+  // Sent to the carrier with re-attempt / RTO requests
+  action_reason: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+
+  last_matched_at: Date,
+  match_count: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+ndrRuleSchema.index({ user_id: 1, enabled: 1, priority: 1 });
+
+module.exports = mongoose.model('NDRRule', ndrRuleSchema);
+module.exports.NDR_RULE_ACTIONS = NDR_RULE_ACTIONS;
@@ -231,6 +231,21 @@ const paymentSchema = new mongoose.Schema({
   grand_total: {
     type: Number,
     min: [0, 'Grand total cannot be negative']
+  },
+  // Set by the courier's COD remittance webhook
+  cod_remitted: {
+    type: Boolean,
+    default: false
+  },
+  cod_remittance_date: {
+    type: Date
+  },
+  cod_utr_number: {
+    type: String,
+    trim: true
+  },
+  cod_remitted_amount: {
+    type: Number
   }
 }, { _id: false });
 
@@ -427,6 +442,10 @@ const ndrSchema = new mongoose.Schema({
   ndr_reason: {
     type: String
   },
+  // Carrier non-delivery code from the latest NDR scan (e.g. EOD-74)
+  nsl_code: {
+    type: String
+  },
   next_attempt_date: {
     type: Date
   },
@@ -434,7 +453,22 @@ const ndrSchema = new mongoose.Schema({
     type: String,
     enum: ['reattempt', 'rto', 'hold', 'delivered'],
     default: 'reattempt'
-  }
+  },
+  action_history: [{
+    _id: false,
+    action: String,
+    timestamp: { type: Date, default: Date.now },
+    upl_id: String,
+    status: String,
+    remarks: String,
+    // 'automation' when taken by an NDR rule (services/ndrRulesService.js),
+    // 'buyer' when requested through the NDR self-service link
+    source: {
+      type: String,
+      enum: ['seller', 'automation', 'buyer'],
+      default: 'seller'
+    }
+  }]
 }, { _id: false });
 
 // Main Order Schema
@@ -559,7 +593,18 @@ const orderSchema = new mongoose.Schema({
     index: true
   },
 
-  // Delhivery Integration
+  // Carrier that owns the shipment (code registered in services/carriers)
+  carrier: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: 'DELHIVERY',
+    index: true
+  },
+
+  // Shipment data returned by the carrier adapter.
+  // Named after the first integration and kept for backward compatibility -
+  // holds the waybill/label/pickup details for every carrier.
   delhivery_data: {
     type: delhiverySchema
   },
@@ -569,6 +614,27 @@ const orderSchema = new mongoose.Schema({
     type: mpsSchema
   },
 
+  // Set when the order was imported from a connected sales channel (see services/channels)
+  channel_info: {
+    connection_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ChannelConnection'
+    },
+    channel: String,
+    channel_order_id: String,
+    channel_order_number: String,
+    // AWB + tracking push-back to the store
+    // No defaults so orders created in the dashboard don't get an empty channel_info
+    fulfilment_status: {
+      type: String,
+      enum: ['pending', 'pushed', 'failed']
+    },
+    fulfilment_id: String,
+    fulfilment_pushed_at: Date,
+    fulfilment_attempts: Number,
+    fulfilment_error: String
+  },
+
   // NDR Information
   ndr_info: {
     type: ndrSchema
@@ -617,6 +683,92 @@ const orderSchema = new mongoose.Schema({
     type: Date
   },
 
+  // Branded tracking link sent to the buyer (services/trackingPageService.js)
+  tracking_link_sent_at: {
+    type: Date
+  },
+
+  // Set on reverse orders created from an approved return request (services/returnService.js)
+  return_info: {
+    return_request_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ReturnRequest'
+    },
+    forward_order_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order'
+    },
+    forward_order_number: String,
+    reason: String,
+    // Checks the parcel must pass when it is collected from the buyer
+    qc: {
+      required: Boolean,
+      checks: {
+        type: [{
+          type: String,
+          enum: ['product_match', 'quantity_match', 'no_damage', 'unused', 'tags_intact', 'original_packaging']
+        }],
+        default: undefined
+      },
+      // Buyer's photos, for comparison at pickup
+      reference_images: {
+        type: [String],
+        default: undefined
+      }
+    }
+  },
+
+  // Set on both legs of an exchange (services/exchangeService.js)
+  exchange_info: {
+    exchange_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Exchange'
+    },
+    leg: {
+      type: String,
+      enum: ['forward', 'reverse']
+    },
+    original_order_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order'
+    },
+    original_order_number: String,
+    // Forward leg cannot get an AWB until the exchange releases it
+    on_hold: Boolean
+  },
+
+  // COD RTO risk, scored when the order is created (services/rtoRiskService.js)
+  rto_risk: {
+    score: Number,
+    band: {
+      type: String,
+      enum: ['low', 'medium', 'high']
+    },
+    reasons: {
+      type: [{
+        _id: false,
+        code: String,
+        label: String,
+        points: Number
+      }],
+      default: undefined
+    },
+    // Seller's action for the band when the order was scored
+    action: {
+      type: String,
+      enum: ['ship', 'hold', 'force_prepaid']
+    },
+    // No AWB until the seller verifies the buyer or converts the order to prepaid
+    on_hold: Boolean,
+    resolution: {
+      type: String,
+      enum: ['verified', 'converted_prepaid']
+    },
+    resolved_at: Date,
+    resolved_by: String,
+    assessed_at: Date
+  },
+
   // Cancellation
   cancellation_reason: {
     type: String
@@ -682,6 +834,13 @@ const orderSchema = new mongoose.Schema({
       ref: 'Invoice'
     },
     
+    // prepaid: charged to the wallet at booking; postpaid: accrued to the billing cycle
+    billing_mode: {
+      type: String,
+      enum: ['prepaid', 'postpaid'],
+      default: 'prepaid'
+    },
+
     // Wallet transaction reference
     wallet_transaction_id: {
       type: mongoose.Schema.Types.ObjectId,
@@ -693,7 +852,23 @@ const orderSchema = new mongoose.Schema({
     
     // Billing timestamps
     charged_at: Date, // When wallet was deducted
-    billed_at: Date // When added to invoice
+    billed_at: Date, // When added to invoice
+    rto_charged_at: Date, // When the RTO charge was raised (services/billingCycleService.js)
+
+    // Carrier/service mode changes at AWB time after the order was charged (routes/orders.js)
+    reprices: [{
+      from_carrier: String,
+      from_mode: String,
+      to_carrier: String,
+      to_mode: String,
+      previous_total: Number,
+      new_total: Number,
+      difference: Number, // positive: charged more, negative: refunded
+      method: { type: String, enum: ['wallet', 'billing_cycle', 'none'] },
+      transaction_ref: String, // Transaction.transaction_id of the wallet posting
+      repriced_at: Date,
+      _id: false
+    }]
   }
 
 }, {
@@ -710,6 +885,14 @@ orderSchema.index({ order_type: 1, status: 1 });
 orderSchema.index({ createdAt: -1 });
 orderSchema.index({ 'billing_info.billing_status': 1, 'billing_info.billing_cycle_id': 1 });
 orderSchema.index({ 'billing_info.zone': 1 });
+// Buyer and pincode delivery history for RTO risk scoring
+orderSchema.index({ 'customer_info.phone': 1, status: 1 });
+orderSchema.index({ 'delivery_address.pincode': 1, status: 1 });
+// A store order is imported at most once per connection
+orderSchema.index(
+  { 'channel_info.connection_id': 1, 'channel_info.channel_order_id': 1 },
+  { unique: true, partialFilterExpression: { 'channel_info.connection_id': { $exists: true } } }
+);
 
 // Virtual for total products count
 orderSchema.virtual('total_products').get(function() {
@@ -741,6 +924,87 @@ orderSchema.pre('save', function(next) {
   next();
 });
 
+// Remember the persisted status so status-change events know where an order came from
+orderSchema.post('init', function() {
+  this.$locals.persistedStatus = this.status;
+});
+
+// Collect seller webhook events for this save; they are sent in post('save')
+orderSchema.pre('save', function(next) {
+  const events = [];
+  const previousStatus = this.$locals.persistedStatus;
+
+  if (this.isNew) {
+    events.push('order.created');
+  }
+
+  if (this.isModified('delhivery_data.waybill') && this.delhivery_data?.waybill) {
+    events.push('shipment.awb_assigned');
+  }
+
+  if (!this.isNew && this.isModified('status') && this.status !== previousStatus) {
+    if (this.status === 'in_transit' && ['new', 'ready_to_ship', 'pickups_manifests'].includes(previousStatus)) {
+      events.push('shipment.picked_up');
+    }
+    const statusEvent = {
+      in_transit: 'shipment.in_transit',
+      out_for_delivery: 'shipment.out_for_delivery',
+      delivered: 'shipment.delivered',
+      ndr: 'ndr.raised',
+      rto: 'rto.initiated'
+    }[this.status];
+    if (statusEvent) {
+      events.push(statusEvent);
+    }
+  }
+
+  this.$locals.webhookEvents = events;
+  this.$locals.webhookPreviousStatus = previousStatus || null;
+  next();
+});
+
+orderSchema.post('save', function(doc) {
+  const events = doc.$locals.webhookEvents || [];
+  const previousStatus = doc.$locals.webhookPreviousStatus;
+  doc.$locals.webhookEvents = [];
+  doc.$locals.persistedStatus = doc.status;
+
+  if (events.includes('shipment.awb_assigned') && doc.channel_info?.connection_id) {
+    require('../services/channelSyncService').pushFulfilment(doc);
+  }
+
+  if (events.includes('shipment.picked_up')) {
+    require('../services/trackingPageService').sendTrackingLink(doc);
+  }
+
+  if (doc.delhivery_data?.manifest_id && doc.status !== previousStatus) {
+    const manifestService = require('../services/manifestService');
+    if (events.includes('shipment.picked_up')) {
+      manifestService.markPickedUp(doc);
+    } else if (doc.status === 'cancelled') {
+      manifestService.removeOrder(doc);
+    }
+  }
+
+  if (doc.exchange_info?.exchange_id && previousStatus && doc.status !== previousStatus) {
+    require('../services/exchangeService').syncLeg(doc);
+  }
+
+  if (events.length === 0) {
+    return;
+  }
+
+  // Lazy require - the service depends on models
+  const sellerWebhookService = require('../services/sellerWebhookService');
+  for (const event of events) {
+    sellerWebhookService.emit(
+      doc.user_id,
+      event,
+      sellerWebhookService.buildOrderPayload(doc, { previous_status: previousStatus })
+    );
+  }
+});
+
 // Method to check if order can be cancelled
 orderSchema.methods.canBeCancelled = function() {
   const nonCancellableStatuses = ['delivered', 'cancelled', 'rto'];
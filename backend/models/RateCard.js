@@ -44,6 +44,7 @@ const rateCardSchema = new mongoose.Schema({
   carrier: {
     type: String,
     default: 'DELHIVERY',
+    uppercase: true,
     trim: true
   },
   forwardCharges: {
@@ -66,6 +67,12 @@ const rateCardSchema = new mongoose.Schema({
       message: 'RTO charges must be a non-empty array'
     }
   },
+  // Express forward and RTO charges are the slab rate times this multiplier
+  expressMultiplier: {
+    type: Number,
+    default: 1.5,
+    min: 1
+  },
   codCharges: {
     percentage: {
       type: Number,
@@ -103,23 +110,27 @@ const rateCardSchema = new mongoose.Schema({
 });
 
 // Indexes
-rateCardSchema.index({ userCategory: 1 }, { unique: true });
+// One rate card per user category and carrier
+// (replaces the old unique userCategory index - see scripts/migrate-ratecard-carrier-index.js)
+rateCardSchema.index({ userCategory: 1, carrier: 1 }, { unique: true });
 
 // Static method to find by user category (with normalization)
-rateCardSchema.statics.findByCategory = async function(userCategory) {
+rateCardSchema.statics.findByCategory = async function(userCategory, carrier = 'DELHIVERY') {
   // Normalize category name
   let normalizedCategory = userCategory;
   if (userCategory === 'Advanced User') {
     normalizedCategory = 'Advanced';
   }
+  const normalizedCarrier = (carrier || 'DELHIVERY').toUpperCase();
   
   // Try exact match first
-  let rateCard = await this.findOne({ userCategory: normalizedCategory });
+  let rateCard = await this.findOne({ userCategory: normalizedCategory, carrier: normalizedCarrier });
   
   // If not found, try case-insensitive search
   if (!rateCard) {
     rateCard = await this.findOne({ 
-      userCategory: { $regex: new RegExp(`^${normalizedCategory}$`, 'i') } 
+      userCategory: { $regex: new RegExp(`^${normalizedCategory}$`, 'i') },
+      carrier: normalizedCarrier
     });
   }
   
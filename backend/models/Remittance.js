@@ -84,6 +84,20 @@ const remittanceSchema = new mongoose.Schema({
     }
   }],
 
+  // AWBs in this remittance already paid to the seller as early COD advances
+  // (services/earlyCodService.js). net_payable is what is still owed to the seller.
+  early_cod: {
+    advanced_orders: {
+      type: Number,
+      default: 0
+    },
+    advanced_amount: {
+      type: Number,
+      default: 0
+    },
+    net_payable: Number
+  },
+
   // Metadata
   total_orders: {
     type: Number,
@@ -129,10 +143,35 @@ remittanceSchema.pre('save', function(next) {
     this.processed_on = new Date();
   }
   
+  // Notify the seller once when the remittance is paid out
+  this.$locals.notifyPaid = this.isModified('state') && this.state === 'completed';
+
   this.updated_at = new Date();
   next();
 });
 
+remittanceSchema.post('save', function(doc) {
+  if (!doc.$locals.notifyPaid) {
+    return;
+  }
+  doc.$locals.notifyPaid = false;
+
+  const sellerWebhookService = require('../services/sellerWebhookService');
+  sellerWebhookService.emit(doc.user_id, 'remittance.paid', {
+    remittance_number: doc.remittance_number,
+    amount: doc.total_remittance,
+    bank_transaction_id: doc.bank_transaction_id,
+    remittance_date: doc.date,
+    processed_on: doc.processed_on,
+    total_orders: doc.total_orders,
+    awbs: (doc.remittance_orders || []).map(o => ({
+      awb: o.awb_number,
+      order_id: o.order_id,
+      amount_collected: o.amount_collected
+    }))
+  });
+});
+
 // Static methods
 remittanceSchema.statics.getByRemittanceNumber = function(remittanceNumber, userId = null) {
   const query = { remittance_number: remittanceNumber };
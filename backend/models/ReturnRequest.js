@@ -0,0 +1,84 @@
+// Location: backend/models/ReturnRequest.js
+const mongoose = require('mongoose');
+
+// A buyer's return request from the seller's returns portal (services/returnService.js)
+const returnRequestSchema = new mongoose.Schema({
+  // Seller
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  request_number: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // The delivered forward order
+  order_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+    index: true
+  },
+  order_number: {
+    type: String,
+    required: true
+  },
+  customer: {
+    name: String,
+    phone: String
+  },
+  items: [{
+    _id: false,
+    // Index in the forward order's products
+    line: { type: Number, required: true },
+    product_name: { type: String, required: true },
+    sku: String,
+    quantity: { type: Number, required: true, min: 1 },
+    unit_price: { type: Number, default: 0 }
+  }],
+  reason: {
+    type: String,
+    enum: ['damaged', 'defective', 'wrong_item', 'size_issue', 'not_as_described', 'changed_mind', 'other'],
+    required: true
+  },
+  comments: {
+    type: String,
+    trim: true
+  },
+  photos: [{
+    _id: false,
+    url: String,
+    public_id: String
+  }],
+  return_value: {
+    type: Number,
+    default: 0
+  },
+  // Soft rule breaches the seller should look at, e.g. max_value_exceeded
+  rule_flags: [String],
+  status: {
+    type: String,
+    enum: ['requested', 'approved', 'rejected'],
+    default: 'requested',
+    index: true
+  },
+  decided_at: Date,
+  // 'auto' when approved by the seller's auto-approve rule
+  decided_by: String,
+  rejection_reason: String,
+  reverse_order_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  reverse_order_number: String,
+  buyer_notified_at: Date
+}, {
+  timestamps: true
+});
+
+returnRequestSchema.index({ user_id: 1, status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ReturnRequest', returnRequestSchema);
@@ -0,0 +1,59 @@
+// Location: backend/models/ScheduledPickup.js
+const mongoose = require('mongoose');
+
+// A pickup raised (or due) from a warehouse's recurring pickup schedule.
+// One per warehouse, carrier and pickup day.
+const scheduledPickupSchema = new mongoose.Schema({
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  warehouse_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse',
+    required: true
+  },
+  warehouse_name: {
+    type: String,
+    required: true
+  },
+  carrier: {
+    type: String,
+    required: true
+  },
+  // Midnight UTC of the pickup day, like Order.delhivery_data.pickup_request_date
+  pickup_date: {
+    type: Date,
+    required: true
+  },
+  pickup_time: String,
+  // scheduled: the carrier accepted the pickup
+  // failed: the carrier rejected it (retried until MAX_ATTEMPTS)
+  // missed: orders were ready but no pickup was raised before the slot
+  status: {
+    type: String,
+    enum: ['scheduled', 'failed', 'missed'],
+    required: true,
+    index: true
+  },
+  pickup_request_id: String,
+  expected_package_count: Number,
+  order_ids: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  }],
+  order_count: { type: Number, default: 0 },
+  attempts: { type: Number, default: 0 },
+  last_error: String,
+  // The seller dismissed the dashboard alert
+  acknowledged_at: Date
+}, {
+  timestamps: true
+});
+
+scheduledPickupSchema.index({ warehouse_id: 1, carrier: 1, pickup_date: 1 }, { unique: true });
+scheduledPickupSchema.index({ user_id: 1, pickup_date: -1 });
+
+module.exports = mongoose.model('ScheduledPickup', scheduledPickupSchema);
@@ -3,6 +3,38 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 
+// Granular admin panel permissions, checked per route by middleware/adminAuth.js
+const ADMIN_PERMISSIONS = {
+  'clients.view': 'View clients and their orders, packages, customers and documents',
+  'clients.edit': 'Change client status, label settings and API limits',
+  'kyc.approve': 'Approve or reject client KYC',
+  'impersonate': 'Log in to the dashboard as a client',
+  'tickets': 'Handle support tickets',
+  'billing': 'View client billing and wallet transactions',
+  'billing.manage': 'Change client billing: credit terms, holds, payments, e-invoices, billing cycles, notes and wallet reconciliation',
+  'wallet.recharge': 'Recharge client wallets',
+  'remittances': 'Upload and view COD remittances',
+  'weight_discrepancies': 'Upload and view weight discrepancies',
+  'orders.view': 'View orders across clients',
+  'ndr.view': 'View NDRs across clients',
+  'ratecard.edit': 'View and edit rate cards',
+  'staff.manage': 'Manage staff accounts and permissions',
+  'system': 'Webhook jobs, tracking failures and carrier diagnostics',
+  'audit.view': 'Search and export the audit log'
+};
+
+const ALL_PERMISSIONS = Object.keys(ADMIN_PERMISSIONS);
+
+// Defaults for staff without an explicit permission list.
+// 'staff' keeps what staff accounts could do before permissions existed.
+const ROLE_PERMISSIONS = {
+  admin: ALL_PERMISSIONS,
+  staff: ALL_PERMISSIONS.filter(permission => !['staff.manage', 'ratecard.edit', 'audit.view', 'billing.manage'].includes(permission)),
+  support: ['clients.view', 'tickets', 'orders.view', 'ndr.view'],
+  finance: ['clients.view', 'billing', 'billing.manage', 'wallet.recharge', 'remittances', 'weight_discrepancies', 'audit.view'],
+  operations: ['clients.view', 'orders.view', 'ndr.view', 'weight_discrepancies', 'tickets', 'system']
+};
+
 const staffSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -30,9 +62,17 @@ const staffSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['admin', 'staff'],
+    enum: Object.keys(ROLE_PERMISSIONS),
     default: 'staff'
   },
+  // Explicit grants; when unset the role's defaults apply. Admins always have every permission.
+  permissions: {
+    type: [{
+      type: String,
+      enum: ALL_PERMISSIONS
+    }],
+    default: undefined
+  },
   created_by: {
     type: String,
     required: true,
@@ -41,7 +81,8 @@ const staffSchema = new mongoose.Schema({
   is_active: {
     type: Boolean,
     default: true
-  }
+  },
+  last_login_at: Date
 }, {
   timestamps: true,
   toJSON: { virtuals: true },
@@ -79,11 +120,23 @@ staffSchema.methods.comparePassword = async function(candidatePassword) {
   }
 };
 
+// Permissions the staff member actually has
+staffSchema.methods.getEffectivePermissions = function() {
+  if (this.role === 'admin') {
+    return [...ALL_PERMISSIONS];
+  }
+  return [...(this.permissions || ROLE_PERMISSIONS[this.role] || [])];
+};
+
 // Static method to find by email
 staffSchema.statics.findByEmail = async function(email) {
   return this.findOne({ email: email.toLowerCase().trim() }).select('+password');
 };
 
+staffSchema.statics.PERMISSIONS = ADMIN_PERMISSIONS;
+staffSchema.statics.ALL_PERMISSIONS = ALL_PERMISSIONS;
+staffSchema.statics.ROLE_PERMISSIONS = ROLE_PERMISSIONS;
+
 const Staff = mongoose.model('Staff', staffSchema);
 
 module.exports = Staff;
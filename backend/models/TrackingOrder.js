@@ -31,6 +31,14 @@ const trackingOrderSchema = new mongoose.Schema({
     trim: true
   },
 
+  // Carrier code, copied from Order.carrier
+  carrier: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: 'DELHIVERY'
+  },
+
   // Reference ID (order reference)
   reference_id: {
     type: String,
@@ -328,6 +336,7 @@ trackingOrderSchema.statics.createFromOrder = async function(order) {
   if (trackingOrder) {
     // Update existing tracking order
     trackingOrder.awb_number = order.delhivery_data.waybill;
+    trackingOrder.carrier = order.carrier || 'DELHIVERY';
     trackingOrder.pickup_request_id = order.delhivery_data.pickup_request_id;
     trackingOrder.pickup_request_date = order.delhivery_data.pickup_request_date;
     trackingOrder.pickup_request_status = order.delhivery_data.pickup_request_status || 'scheduled';
@@ -338,6 +347,7 @@ trackingOrderSchema.statics.createFromOrder = async function(order) {
       order_id: order.order_id,
       user_id: order.user_id,
       awb_number: order.delhivery_data.waybill,
+      carrier: order.carrier || 'DELHIVERY',
       reference_id: order.reference_id,
       pickup_request_id: order.delhivery_data.pickup_request_id,
       pickup_request_date: order.delhivery_data.pickup_request_date,
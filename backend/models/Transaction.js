@@ -34,7 +34,14 @@ const transactionSchema = new mongoose.Schema({
       'service_tax',
       'adjustment',
       'manual_adjustment',
-      'weight_discrepancy_charge'
+      'weight_discrepancy_charge',
+      'weight_discrepancy_refund',
+      'rto_charge',
+      'invoice_payment',
+      'credit_note',
+      'debit_note',
+      'early_cod_fee',
+      'cod_payout'
     ],
     required: true
   },
@@ -170,7 +170,23 @@ const userSchema = new mongoose.Schema({
       type: Date,
       default: Date.now
     },
-    last_key_reset: Date
+    last_key_reset: Date,
+    // Public API (/api/v1) access: read keys can only call GET endpoints
+    scope: {
+      type: String,
+      enum: ['read', 'write'],
+      default: 'write'
+    },
+    // Per-key override of API_KEY_RATE_LIMIT_PER_MINUTE (set by admin)
+    rate_limit_per_minute: {
+      type: Number,
+      min: 1
+    },
+    // Keys replaced by the last rotation keep working until previous_key_expires_at
+    previous_public_key: String,
+    previous_private_key: String,
+    previous_key_expires_at: Date,
+    last_used_at: Date
   },
 
   // Document Management
@@ -187,11 +203,80 @@ const userSchema = new mongoose.Schema({
     enum: ['Basic User', 'Lite User', 'New User', 'Advanced', 'Advanced User'],
     default: 'Basic User'
   },
+  // Written only by services/walletLedgerService.js. Can go below zero down to
+  // -credit_limit when a credit limit is configured.
   wallet_balance: {
+    type: Number,
+    default: 0
+  },
+  // Prepaid accounts pay for each shipment from the wallet. Postpaid accounts
+  // accrue charges into their BillingCycle and pay the Invoice by due_date;
+  // credit_limit caps unbilled charges plus unpaid invoices.
+  billing_mode: {
+    type: String,
+    enum: ['prepaid', 'postpaid'],
+    default: 'prepaid'
+  },
+  credit_limit: {
     type: Number,
     default: 0,
     min: 0
   },
+  payment_terms_days: {
+    type: Number,
+    default: 15,
+    min: 1,
+    max: 90
+  },
+  // Blocks new shipments. Placed automatically when an invoice goes overdue
+  // (services/creditControlService.js) or manually by an admin.
+  account_hold: {
+    active: {
+      type: Boolean,
+      default: false
+    },
+    source: {
+      type: String,
+      enum: ['overdue_invoice', 'manual']
+    },
+    reason: String,
+    invoice_ids: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Invoice'
+    }],
+    placed_at: Date,
+    placed_by: String,
+    released_at: Date,
+    released_by: String
+  },
+  // Opt-in early COD: delivered COD orders are paid out `days` after delivery
+  // instead of waiting for the courier remittance (services/earlyCodService.js)
+  early_cod: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    days: {
+      type: Number,
+      default: 2,
+      min: 1,
+      max: 7
+    },
+    // Per-seller override of EARLY_COD_FEE_PERCENT (set by admin)
+    fee_percent: {
+      type: Number,
+      min: 0,
+      max: 10
+    },
+    payout_mode: {
+      type: String,
+      enum: ['wallet', 'bank'],
+      default: 'wallet'
+    },
+    // Only orders delivered after opting in are advanced
+    opted_in_at: Date,
+    updated_by: String
+  },
   last_login: Date,
   login_attempts: {
     type: Number,
@@ -274,7 +359,8 @@ const userSchema = new mongoose.Schema({
       shipping_charges: { type: Boolean, default: false },
       amount_prepaid: { type: Boolean, default: true },
       amount_cod: { type: Boolean, default: true },
-      message: { type: Boolean, default: true }
+      message: { type: Boolean, default: true },
+      tracking_url: { type: Boolean, default: true }
     },
     logo_url: {
       type: String,
@@ -282,6 +368,126 @@ const userSchema = new mongoose.Schema({
     }
   },
 
+  // Courier selection preferences (used by courier recommendations at AWB time)
+  courier_preferences: {
+    rule: {
+      type: String,
+      enum: ['cheapest', 'fastest', 'best_delivery_rate'],
+      default: 'cheapest'
+    }
+  },
+
+  // Branded buyer tracking page (services/trackingPageService.js).
+  // Without a slug the page lives at /track/<client_id in lowercase>.
+  tracking_page: {
+    slug: {
+      type: String,
+      lowercase: true,
+      trim: true
+    },
+    primary_color: {
+      type: String,
+      default: '#002B59'
+    },
+    accent_color: {
+      type: String,
+      default: '#F68723'
+    },
+    support_email: {
+      type: String,
+      lowercase: true,
+      trim: true
+    },
+    support_phone: {
+      type: String,
+      trim: true
+    },
+    website_url: {
+      type: String,
+      trim: true
+    },
+    banner: {
+      image_url: String,
+      public_id: String,
+      title: {
+        type: String,
+        trim: true
+      },
+      link_url: {
+        type: String,
+        trim: true
+      }
+    },
+    // Send buyers the tracking link once the shipment is picked up
+    notify_buyers: {
+      type: Boolean,
+      default: true
+    }
+  },
+
+  // Buyer returns portal at /returns/<tracking page slug> (services/returnService.js)
+  returns_policy: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    // Days after delivery a buyer can ask for a return
+    window_days: {
+      type: Number,
+      default: 7,
+      min: 1,
+      max: 90
+    },
+    non_returnable_skus: {
+      type: [String],
+      default: undefined
+    },
+    // Requests worth more than this are flagged and never auto-approved
+    max_return_value: {
+      type: Number,
+      min: 0
+    },
+    // Approve requests that break no rule without waiting for the seller
+    auto_approve: {
+      type: Boolean,
+      default: false
+    }
+  },
+
+  // COD RTO risk bands and what happens to orders in each (services/rtoRiskService.js)
+  rto_risk_settings: {
+    // Scores from here up are medium / high risk
+    medium_from: {
+      type: Number,
+      default: 40,
+      min: 1,
+      max: 100
+    },
+    high_from: {
+      type: Number,
+      default: 70,
+      min: 1,
+      max: 100
+    },
+    actions: {
+      low: {
+        type: String,
+        enum: ['ship', 'hold', 'force_prepaid'],
+        default: 'ship'
+      },
+      medium: {
+        type: String,
+        enum: ['ship', 'hold', 'force_prepaid'],
+        default: 'ship'
+      },
+      high: {
+        type: String,
+        enum: ['ship', 'hold', 'force_prepaid'],
+        default: 'ship'
+      }
+    }
+  },
+
   // Timestamps
   created_at: {
     type: Date,
@@ -297,7 +503,12 @@ const userSchema = new mongoose.Schema({
 userSchema.index({ phone_number: 1 });
 userSchema.index({ client_id: 1 });
 userSchema.index({ 'api_details.public_key': 1 });
+userSchema.index({ 'api_details.previous_public_key': 1 }, { sparse: true });
 userSchema.index({ user_category: 1 });
+userSchema.index(
+  { 'tracking_page.slug': 1 },
+  { unique: true, partialFilterExpression: { 'tracking_page.slug': { $type: 'string' } } }
+);
 
 // Pre-save middleware to generate client_id
 userSchema.pre('save', async function(next) {
@@ -347,6 +558,36 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Instance method to rotate API keys.
+// The old pair stays valid for overlapHours so integrations can switch without downtime.
+userSchema.methods.rotateApiKeys = function(overlapHours) {
+  const crypto = require('crypto');
+  const hours = Number.isFinite(overlapHours) && overlapHours >= 0
+    ? overlapHours
+    : parseFloat(process.env.API_KEY_ROTATION_OVERLAP_HOURS || '24');
+
+  if (hours > 0 && this.api_details.public_key) {
+    this.api_details.previous_public_key = this.api_details.public_key;
+    this.api_details.previous_private_key = this.api_details.private_key;
+    this.api_details.previous_key_expires_at = new Date(Date.now() + hours * 60 * 60 * 1000);
+  } else {
+    this.api_details.previous_public_key = undefined;
+    this.api_details.previous_private_key = undefined;
+    this.api_details.previous_key_expires_at = undefined;
+  }
+
+  this.api_details.public_key = `pk_${crypto.randomBytes(16).toString('hex')}`;
+  this.api_details.private_key = `sk_${crypto.randomBytes(32).toString('hex')}`;
+  this.api_details.key_generated_date = new Date();
+  this.api_details.last_key_reset = new Date();
+
+  return {
+    public_key: this.api_details.public_key,
+    private_key: this.api_details.private_key,
+    previous_key_expires_at: this.api_details.previous_key_expires_at || null
+  };
+};
+
 // Instance method to generate password reset token
 userSchema.methods.createPasswordResetToken = function() {
   const crypto = require('crypto');
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+// One run of the wallet reconciliation job (services/walletLedgerService.js).
+// A drift is a user whose wallet_balance differs from the sum of their
+// completed Transactions.
+const walletReconciliationSchema = new mongoose.Schema({
+  trigger: {
+    type: String,
+    enum: ['scheduled', 'manual'],
+    default: 'scheduled'
+  },
+  triggered_by: {
+    type: String,
+    default: 'system'
+  },
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed'],
+    default: 'running',
+    index: true
+  },
+  started_at: {
+    type: Date,
+    default: Date.now
+  },
+  finished_at: Date,
+  users_checked: {
+    type: Number,
+    default: 0
+  },
+  drift_count: {
+    type: Number,
+    default: 0
+  },
+  // Sum of absolute differences across drifted wallets
+  total_drift: {
+    type: Number,
+    default: 0
+  },
+  drifts: [{
+    _id: false,
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    client_id: String,
+    company_name: String,
+    email: String,
+    wallet_balance: Number,
+    expected_balance: Number,
+    // wallet_balance - expected_balance
+    difference: Number,
+    transaction_count: Number
+  }],
+  // Trial balance over every LedgerEntry
+  ledger: {
+    entry_count: Number,
+    total_debits: Number,
+    total_credits: Number,
+    balanced: Boolean
+  },
+  error: String
+}, {
+  timestamps: true
+});
+
+walletReconciliationSchema.index({ started_at: -1 });
+
+module.exports = mongoose.model('WalletReconciliation', walletReconciliationSchema);
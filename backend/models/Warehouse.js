@@ -170,6 +170,35 @@ const warehouseSchema = new mongoose.Schema({
     default: ['MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT']
   },
 
+  // Recurring pickup: raised automatically on these days when orders are ready to ship
+  // (see services/pickupScheduleService.js)
+  pickup_schedule: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    days: {
+      type: [String],
+      enum: ['MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT', 'SUN']
+    },
+    // HH:mm:ss, sent to the carrier as the pickup time
+    slot_time: {
+      type: String,
+      default: '11:00:00',
+      match: [/^([01]\d|2[0-3]):[0-5]\d:[0-5]\d$/, 'Pickup time must be HH:mm:ss']
+    },
+    // Packages to tell the carrier about; the number of ready orders when not set
+    expected_package_count: {
+      type: Number,
+      min: [1, 'Expected package count must be at least 1']
+    },
+    // YYYY-MM-DD dates this warehouse is closed, on top of the platform holidays
+    holidays: {
+      type: [String],
+      default: undefined
+    }
+  },
+
   // Metadata
   warehouse_type: {
     type: String,
@@ -198,6 +227,7 @@ const warehouseSchema = new mongoose.Schema({
 warehouseSchema.index({ user_id: 1, is_active: 1 });
 warehouseSchema.index({ user_id: 1, name: 1 });
 warehouseSchema.index({ 'address.pincode': 1 });
+warehouseSchema.index({ 'pickup_schedule.enabled': 1, is_active: 1 });
 
 // Ensure no unique index on warehouse_id (remove if exists)
 warehouseSchema.post('save', async function() {
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+// Persistent log of outbound seller webhook deliveries (one document per event per subscription)
+const webhookDeliverySchema = new mongoose.Schema({
+  delivery_id: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  subscription_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookSubscription',
+    required: true,
+    index: true
+  },
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  event: {
+    type: String,
+    required: true,
+    index: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  // Exact JSON body that is signed and sent
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: ['pending', 'retrying', 'succeeded', 'failed'],
+    default: 'pending',
+    index: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  next_attempt_at: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Result of the most recent attempt
+  response_status: Number,
+  response_body: String,
+  error: String,
+  duration_ms: Number,
+  delivered_at: Date,
+
+  // Set when this delivery was created by replaying another one
+  replay_of: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+webhookDeliverySchema.index({ status: 1, next_attempt_at: 1 });
+webhookDeliverySchema.index({ user_id: 1, createdAt: -1 });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+// Durable job for inbound carrier webhooks (see utils/webhookQueue.js)
+const webhookJobSchema = new mongoose.Schema({
+  job_id: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: ['scan-status', 'epod', 'sorter-image', 'qc-image'],
+    index: true
+  },
+  // Same push delivered twice maps to the same key and is only processed once
+  idempotency_key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  waybill: {
+    type: String,
+    trim: true,
+    index: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  // queued -> processing -> completed | queued (retry) | dead (max attempts reached)
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'completed', 'dead'],
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  max_attempts: {
+    type: Number,
+    default: 5
+  },
+  next_run_at: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Lease held by the worker processing the job; expired leases are re-queued
+  locked_at: Date,
+  locked_by: String,
+
+  last_error: String,
+  error_history: [{
+    attempt: Number,
+    error: String,
+    at: { type: Date, default: Date.now }
+  }],
+  result: mongoose.Schema.Types.Mixed,
+
+  completed_at: Date,
+  dead_at: Date,
+  redrive_count: {
+    type: Number,
+    default: 0
+  },
+  redriven_at: Date,
+
+  // Completed jobs are purged by TTL; dead jobs are kept until re-driven
+  expires_at: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+webhookJobSchema.index({ status: 1, next_run_at: 1 });
+webhookJobSchema.index({ status: 1, locked_at: 1 });
+webhookJobSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('WebhookJob', webhookJobSchema);
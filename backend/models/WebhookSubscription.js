@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { getHostBlockReason } = require('../utils/urlSafety');
+
+// Events sellers can subscribe to (see services/sellerWebhookService.js for payloads)
+const WEBHOOK_EVENTS = [
+  'order.created',
+  'shipment.awb_assigned',
+  'shipment.picked_up',
+  'shipment.in_transit',
+  'shipment.out_for_delivery',
+  'shipment.delivered',
+  'ndr.raised',
+  'rto.initiated',
+  'weight_discrepancy.raised',
+  'weight_discrepancy.dispute_resolved',
+  'remittance.paid'
+];
+
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+const webhookSubscriptionSchema = new mongoose.Schema({
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  url: {
+    type: String,
+    required: [true, 'Callback URL is required'],
+    trim: true,
+    validate: [
+      {
+        validator: function(v) {
+          try {
+            const parsed = new URL(v);
+            // Plain http is only allowed outside production (local tunnels, test receivers)
+            return parsed.protocol === 'https:' ||
+              (process.env.NODE_ENV !== 'production' && parsed.protocol === 'http:');
+          } catch (error) {
+            return false;
+          }
+        },
+        message: 'Callback URL must be a valid HTTPS URL'
+      },
+      {
+        // Resolved addresses are checked again on every delivery (services/sellerWebhookService.js)
+        validator: function(v) {
+          try {
+            return !getHostBlockReason(new URL(v).hostname);
+          } catch (error) {
+            return true; // reported by the URL check above
+          }
+        },
+        message: 'Callback URL must use a public domain name, not an IP address, localhost or a metadata host'
+      }
+    ]
+  },
+
+  events: {
+    type: [{
+      type: String,
+      enum: WEBHOOK_EVENTS
+    }],
+    validate: {
+      validator: (v) => Array.isArray(v) && v.length > 0,
+      message: 'Select at least one event'
+    }
+  },
+
+  // HMAC-SHA256 signing secret, shown to the seller on create / rotate
+  secret: {
+    type: String,
+    required: true,
+    default: generateSecret
+  },
+
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+
+  is_active: {
+    type: Boolean,
+    default: true,
+    index: true
+  },
+
+  // Delivery health
+  last_delivery_at: Date,
+  last_delivery_status: {
+    type: String,
+    enum: ['succeeded', 'failed', null],
+    default: null
+  },
+  consecutive_failures: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+webhookSubscriptionSchema.index({ user_id: 1, is_active: 1, events: 1 });
+
+// Instance method to rotate the signing secret
+webhookSubscriptionSchema.methods.rotateSecret = function() {
+  this.secret = generateSecret();
+  return this.secret;
+};
+
+// Never leak the full secret in list responses
+webhookSubscriptionSchema.methods.toSafeJSON = function() {
+  const obj = this.toObject();
+  obj.secret_hint = obj.secret ? `${obj.secret.slice(0, 10)}…${obj.secret.slice(-4)}` : null;
+  delete obj.secret;
+  delete obj.__v;
+  return obj;
+};
+
+webhookSubscriptionSchema.statics.EVENTS = WEBHOOK_EVENTS;
+
+module.exports = mongoose.model('WebhookSubscription', webhookSubscriptionSchema);
@@ -101,6 +101,62 @@ const weightDiscrepancySchema = new mongoose.Schema({
   uploaded_by: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
+  },
+
+  // Seller dispute (services/weightDisputeService.js). A dispute can be raised
+  // until dispute_deadline; after that the discrepancy is closed automatically.
+  dispute_status: {
+    type: String,
+    enum: ['not_raised', 'open', 'accepted', 'rejected', 'closed'],
+    default: 'not_raised',
+    index: true
+  },
+
+  dispute_deadline: Date,
+
+  dispute: {
+    raised_at: Date,
+    raised_by: String,
+    comment: {
+      type: String,
+      trim: true
+    },
+    // Seller's own measurement of the package
+    actual_weight: Number, // grams
+    dimensions: {
+      length: Number, // cm
+      width: Number,
+      height: Number
+    },
+    evidence: [{
+      kind: {
+        type: String,
+        enum: ['weight', 'dimensions', 'product']
+      },
+      url: String,
+      public_id: String,
+      // Taken from the order's package photos rather than uploaded with the dispute
+      from_order: { type: Boolean, default: false }
+    }],
+    reviewed_at: Date,
+    reviewed_by: String,
+    admin_comment: {
+      type: String,
+      trim: true
+    },
+    refund_amount: Number,
+    // wallet: refunded to the wallet; billing_cycle: taken off the open billing cycle;
+    // credit_note: credited against the invoice it was billed on; none: nothing was collected
+    refund_method: {
+      type: String,
+      enum: ['wallet', 'billing_cycle', 'credit_note', 'none']
+    },
+    refund_transaction_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Transaction'
+    },
+    credit_note_number: String,
+    closed_at: Date
   }
 
 }, {
@@ -114,6 +170,7 @@ weightDiscrepancySchema.index({ client_id: 1, discrepancy_date: -1 });
 weightDiscrepancySchema.index({ awb_number: 1 });
 weightDiscrepancySchema.index({ processed: 1, discrepancy_date: -1 });
 weightDiscrepancySchema.index({ upload_batch_id: 1 });
+weightDiscrepancySchema.index({ dispute_status: 1, dispute_deadline: 1 });
 
 // Virtual for calculated discrepancy percentage
 weightDiscrepancySchema.virtual('discrepancy_percentage').get(function() {
@@ -128,5 +185,33 @@ weightDiscrepancySchema.methods.isSignificant = function() {
   return (this.weight_discrepancy / this.client_declared_weight) > 0.05;
 };
 
+// Notify the seller when a new discrepancy is raised against their shipment
+weightDiscrepancySchema.pre('save', function(next) {
+  this.$locals.notifyRaised = this.isNew;
+  if (this.isNew && !this.dispute_deadline) {
+    const weightDisputeService = require('../services/weightDisputeService');
+    this.dispute_deadline = weightDisputeService.getDeadline(new Date());
+  }
+  next();
+});
+
+weightDiscrepancySchema.post('save', function(doc) {
+  if (!doc.$locals.notifyRaised) {
+    return;
+  }
+  doc.$locals.notifyRaised = false;
+
+  const sellerWebhookService = require('../services/sellerWebhookService');
+  sellerWebhookService.emit(doc.client_id, 'weight_discrepancy.raised', {
+    awb: doc.awb_number,
+    discrepancy_date: doc.discrepancy_date,
+    awb_status: doc.awb_status,
+    declared_weight_grams: doc.client_declared_weight,
+    charged_weight_grams: doc.delhivery_updated_weight,
+    discrepancy_grams: doc.weight_discrepancy,
+    deduction_amount: doc.deduction_amount
+  });
+});
+
 module.exports = mongoose.model('WeightDiscrepancy', weightDiscrepancySchema);
 
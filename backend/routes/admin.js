@@ -17,9 +17,32 @@ const Remittance = require('../models/Remittance');
 const ShipmentTrackingEvent = require('../models/ShipmentTrackingEvent');
 const Staff = require('../models/Staff');
 const RateCard = require('../models/RateCard');
+const WalletReconciliation = require('../models/WalletReconciliation');
+const Invoice = require('../models/Invoice');
+const BillingCycle = require('../models/BillingCycle');
+const InvoiceNote = require('../models/InvoiceNote');
+const CodAdvance = require('../models/CodAdvance');
 const RateCardService = require('../services/rateCardService');
 const logger = require('../utils/logger');
 const websocketService = require('../services/websocketService');
+const webhookQueue = require('../utils/webhookQueue');
+const { adminAuth, requirePermission } = require('../middleware/adminAuth');
+const adminSessionService = require('../services/adminSessionService');
+const auditService = require('../services/auditService');
+const walletLedgerService = require('../services/walletLedgerService');
+const creditControlService = require('../services/creditControlService');
+const InvoiceService = require('../services/invoiceService');
+const billingCycleService = require('../services/billingCycleService');
+const invoiceNoteService = require('../services/invoiceNoteService');
+const einvoiceService = require('../services/einvoiceService');
+const codReconciliationService = require('../services/codReconciliationService');
+const earlyCodService = require('../services/earlyCodService');
+const weightDisputeService = require('../services/weightDisputeService');
+const { UNPAID_STATUSES } = creditControlService;
+
+const REMITTANCE_AUDIT_FIELDS = ['state', 'total_remittance', 'total_orders', 'bank_transaction_id', 'date', 'early_cod'];
+const STAFF_AUDIT_FIELDS = ['name', 'email', 'role', 'permissions', 'is_active'];
+const RATECARD_AUDIT_FIELDS = ['forwardCharges', 'rtoCharges', 'expressMultiplier', 'codCharges'];
 
 const STATUS_KEYS = ['open', 'in_progress', 'waiting_customer', 'resolved', 'closed', 'escalated'];
 const PRIORITY_KEYS = ['urgent', 'high', 'medium', 'low'];
@@ -193,46 +216,6 @@ const upload = multer({
   limits: { fileSize: 10 * 1024 * 1024 } // 10MB limit
 });
 
-// Admin authentication middleware
-const adminAuth = async (req, res, next) => {
-  const adminEmail = req.headers['x-admin-email'];
-  const adminPassword = req.headers['x-admin-password'];
-  
-  // Check for admin credentials first
-  if (adminEmail === 'udditalerts247@gmail.com' && adminPassword === 'jpmcA123') {
-    req.admin = { email: adminEmail, role: 'admin' };
-    return next();
-  }
-  
-  // Check for staff credentials
-  try {
-    const Staff = require('../models/Staff');
-    const staff = await Staff.findByEmail(adminEmail);
-    
-    if (staff && staff.is_active) {
-      const isPasswordValid = await staff.comparePassword(adminPassword);
-      if (isPasswordValid) {
-        req.staff = { 
-          email: staff.email, 
-          name: staff.name, 
-          role: 'staff',
-          _id: staff._id
-        };
-        return next();
-      }
-    }
-  } catch (error) {
-    // If Staff model doesn't exist or error, continue to fail
-    logger.error('Staff authentication error:', error);
-  }
-  
-  // Neither admin nor staff authentication succeeded
-  return res.status(401).json({
-    success: false,
-    message: 'Unauthorized access. Admin or staff credentials required.'
-  });
-};
-
 // Apply admin auth to all routes
 router.use(adminAuth);
 
@@ -277,7 +260,7 @@ const buildClientDetailsResponse = async (client) => {
 };
 
 // Get all clients with pagination and search
-router.get('/clients', async (req, res) => {
+router.get('/clients', requirePermission('clients.view'), async (req, res) => {
   try {
     const {
       page = 1,
@@ -372,7 +355,7 @@ router.get('/clients', async (req, res) => {
 });
 
 // Get client details by ID
-router.get('/clients/:id', async (req, res) => {
+router.get('/clients/:id', requirePermission('clients.view'), async (req, res) => {
   try {
     const client = await findClientByIdentifier(req.params.id);
 
@@ -426,7 +409,7 @@ router.get('/clients/:id', async (req, res) => {
   }
 });
 
-router.post('/clients/:clientId/impersonate', async (req, res) => {
+router.post('/clients/:clientId/impersonate', requirePermission('impersonate'), async (req, res) => {
   try {
     const { clientId } = req.params;
 
@@ -461,6 +444,15 @@ router.post('/clients/:clientId/impersonate', async (req, res) => {
       expiresIn
     });
 
+    await auditService.record(req, {
+      action: 'client.impersonate',
+      category: 'impersonation',
+      target: { type: 'User', id: client._id, label: client.company_name },
+      clientId: client._id,
+      reason: req.body?.reason,
+      metadata: { expires_in: expiresIn }
+    });
+
     res.json({
       success: true,
       message: 'Impersonation token generated successfully',
@@ -490,7 +482,7 @@ router.post('/clients/:clientId/impersonate', async (req, res) => {
 });
 
 // Update client status
-router.patch('/clients/:id/status', async (req, res) => {
+router.patch('/clients/:id/status', requirePermission('clients.edit'), async (req, res) => {
   try {
     const { account_status } = req.body;
     
@@ -501,6 +493,8 @@ router.patch('/clients/:id/status', async (req, res) => {
       });
     }
 
+    const previous = await User.findById(req.params.id).select('account_status').lean();
+
     const client = await User.findByIdAndUpdate(
       req.params.id,
       { account_status },
@@ -516,6 +510,16 @@ router.patch('/clients/:id/status', async (req, res) => {
 
     logger.info(`Admin updated client ${client.client_id} status to ${account_status}`);
 
+    await auditService.record(req, {
+      action: 'client.status_update',
+      category: 'client',
+      target: { type: 'User', id: client._id, label: client.company_name },
+      clientId: client._id,
+      before: { account_status: previous?.account_status },
+      after: { account_status },
+      reason: req.body.reason
+    });
+
     res.json({
       success: true,
       message: 'Client status updated successfully',
@@ -532,8 +536,69 @@ router.patch('/clients/:id/status', async (req, res) => {
   }
 });
 
+// Update client public API rate limit (requests per minute, null resets to default)
+router.patch('/clients/:id/api-rate-limit', requirePermission('clients.edit'), async (req, res) => {
+  try {
+    const { rate_limit_per_minute } = req.body;
+    const limit = rate_limit_per_minute === null ? null : parseInt(rate_limit_per_minute);
+
+    if (limit !== null && (!Number.isInteger(limit) || limit < 1)) {
+      return res.status(400).json({
+        success: false,
+        message: 'rate_limit_per_minute must be a positive integer or null'
+      });
+    }
+
+    const update = limit === null
+      ? { $unset: { 'api_details.rate_limit_per_minute': 1 } }
+      : { $set: { 'api_details.rate_limit_per_minute': limit } };
+
+    const previous = await User.findById(req.params.id).select('api_details.rate_limit_per_minute').lean();
+
+    const client = await User.findByIdAndUpdate(req.params.id, update, { new: true })
+      .select('client_id company_name api_details.rate_limit_per_minute api_details.scope');
+
+    if (!client) {
+      return res.status(404).json({
+        success: false,
+        message: 'Client not found'
+      });
+    }
+
+    logger.info(`Admin set API rate limit for client ${client.client_id} to ${limit === null ? 'default' : limit}`);
+
+    await auditService.record(req, {
+      action: 'client.api_rate_limit_update',
+      category: 'client',
+      target: { type: 'User', id: client._id, label: client.company_name },
+      clientId: client._id,
+      before: { rate_limit_per_minute: previous?.api_details?.rate_limit_per_minute ?? null },
+      after: { rate_limit_per_minute: limit },
+      reason: req.body.reason
+    });
+
+    res.json({
+      success: true,
+      message: 'API rate limit updated successfully',
+      data: {
+        client_id: client.client_id,
+        scope: client.api_details?.scope || 'write',
+        rate_limit_per_minute: client.api_details?.rate_limit_per_minute || parseInt(process.env.API_KEY_RATE_LIMIT_PER_MINUTE || '60')
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error updating client API rate limit:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating client API rate limit',
+      error: error.message
+    });
+  }
+});
+
 // Update client KYC status
-router.patch('/clients/:id/kyc', async (req, res) => {
+router.patch('/clients/:id/kyc', requirePermission('kyc.approve'), async (req, res) => {
   try {
     const { kyc_status, verification_notes } = req.body;
     
@@ -553,6 +618,8 @@ router.patch('/clients/:id/kyc', async (req, res) => {
       updateData['kyc_status.verification_notes'] = verification_notes;
     }
 
+    const previous = await User.findById(req.params.id).select('kyc_status').lean();
+
     const client = await User.findByIdAndUpdate(
       req.params.id,
       updateData,
@@ -568,6 +635,22 @@ router.patch('/clients/:id/kyc', async (req, res) => {
 
     logger.info(`Admin updated client ${client.client_id} KYC status to ${kyc_status}`);
 
+    await auditService.record(req, {
+      action: 'kyc.update',
+      category: 'kyc',
+      target: { type: 'User', id: client._id, label: client.company_name },
+      clientId: client._id,
+      before: {
+        status: previous?.kyc_status?.status,
+        verification_notes: previous?.kyc_status?.verification_notes
+      },
+      after: {
+        status: client.kyc_status?.status,
+        verification_notes: client.kyc_status?.verification_notes
+      },
+      reason: req.body.reason || verification_notes
+    });
+
     res.json({
       success: true,
       message: 'KYC status updated successfully',
@@ -664,7 +747,7 @@ router.get('/dashboard', async (req, res) => {
 });
 
 // Get client orders
-router.get('/clients/:id/orders', async (req, res) => {
+router.get('/clients/:id/orders', requirePermission('clients.view'), async (req, res) => {
   try {
     const { page = 1, limit = 10, status = '' } = req.query;
     const skip = (page - 1) * limit;
@@ -707,7 +790,7 @@ router.get('/clients/:id/orders', async (req, res) => {
 });
 
 // Get client packages
-router.get('/clients/:id/packages', async (req, res) => {
+router.get('/clients/:id/packages', requirePermission('clients.view'), async (req, res) => {
   try {
     const { page = 1, limit = 10, status = '' } = req.query;
     const skip = (page - 1) * limit;
@@ -750,7 +833,7 @@ router.get('/clients/:id/packages', async (req, res) => {
 });
 
 // Get client customers
-router.get('/clients/:id/customers', async (req, res) => {
+router.get('/clients/:id/customers', requirePermission('clients.view'), async (req, res) => {
   try {
     const { page = 1, limit = 10, status = '' } = req.query;
     const skip = (page - 1) * limit;
@@ -793,7 +876,7 @@ router.get('/clients/:id/customers', async (req, res) => {
 });
 
 // Get client documents for KYC verification
-router.get('/clients/:id/documents', async (req, res) => {
+router.get('/clients/:id/documents', requirePermission('clients.view'), async (req, res) => {
   try {
     const client = await User.findById(req.params.id)
       .select('kyc_documents kyc_status company_name your_name email client_id');
@@ -853,7 +936,7 @@ router.get('/clients/:id/documents', async (req, res) => {
 // @desc    Get all tickets for a specific client
 // @route   GET /api/admin/clients/:id/tickets
 // @access  Admin
-router.get('/clients/:id/tickets', async (req, res) => {
+router.get('/clients/:id/tickets', requirePermission('tickets'), async (req, res) => {
   try {
     // Validate ObjectId
     if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
@@ -930,7 +1013,7 @@ router.get('/clients/:id/tickets', async (req, res) => {
 // @desc    Get ticket summary across all clients
 // @route   GET /api/admin/tickets/summary
 // @access  Admin
-router.get('/tickets/summary', async (req, res) => {
+router.get('/tickets/summary', requirePermission('tickets'), async (req, res) => {
   try {
     const statusGroupStage = STATUS_KEYS.reduce((acc, statusKey) => {
       acc[statusKey] = {
@@ -1073,7 +1156,7 @@ router.get('/tickets/summary', async (req, res) => {
 // @desc    Get all tickets across all clients (admin dashboard)
 // @route   GET /api/admin/tickets
 // @access  Admin
-router.get('/tickets', async (req, res) => {
+router.get('/tickets', requirePermission('tickets'), async (req, res) => {
   try {
     const { 
       page = 1, 
@@ -1168,7 +1251,7 @@ router.get('/tickets', async (req, res) => {
 // @desc    Get specific ticket details
 // @route   GET /api/admin/tickets/:id
 // @access  Admin
-router.get('/tickets/:id', async (req, res) => {
+router.get('/tickets/:id', requirePermission('tickets'), async (req, res) => {
   try {
     // Validate ObjectId
     if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
@@ -1207,7 +1290,7 @@ router.get('/tickets/:id', async (req, res) => {
 // @desc    Download ticket attachment (admin)
 // @route   GET /api/admin/tickets/:ticketId/attachments/:attachmentId/download
 // @access  Admin
-router.get('/tickets/:ticketId/attachments/:attachmentId/download', async (req, res) => {
+router.get('/tickets/:ticketId/attachments/:attachmentId/download', requirePermission('tickets'), async (req, res) => {
   try {
     const { ticketId, attachmentId } = req.params;
 
@@ -1254,7 +1337,7 @@ router.get('/tickets/:ticketId/attachments/:attachmentId/download', async (req,
 // @desc    Admin respond to ticket
 // @route   POST /api/admin/tickets/:id/messages
 // @access  Admin
-router.post('/tickets/:id/messages', async (req, res) => {
+router.post('/tickets/:id/messages', requirePermission('tickets'), async (req, res) => {
   try {
     // Validate ObjectId
     if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
@@ -1350,7 +1433,7 @@ router.post('/tickets/:id/messages', async (req, res) => {
 // @desc    Admin update ticket status
 // @route   PATCH /api/admin/tickets/:id/status
 // @access  Admin
-router.patch('/tickets/:id/status', async (req, res) => {
+router.patch('/tickets/:id/status', requirePermission('tickets'), async (req, res) => {
   try {
     // Validate ObjectId
     if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
@@ -1434,7 +1517,7 @@ router.patch('/tickets/:id/status', async (req, res) => {
 // @desc    Admin update ticket priority
 // @route   PATCH /api/admin/tickets/:id/priority
 // @access  Admin
-router.patch('/tickets/:id/priority', async (req, res) => {
+router.patch('/tickets/:id/priority', requirePermission('tickets'), async (req, res) => {
   try {
     if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
       return res.status(400).json({
@@ -1523,7 +1606,7 @@ router.patch('/tickets/:id/priority', async (req, res) => {
 // @desc    Assign ticket to admin
 // @route   PATCH /api/admin/tickets/:id/assign
 // @access  Admin
-router.patch('/tickets/:id/assign', async (req, res) => {
+router.patch('/tickets/:id/assign', requirePermission('tickets'), async (req, res) => {
   try {
     // Validate ObjectId
     if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
@@ -1583,7 +1666,7 @@ router.patch('/tickets/:id/assign', async (req, res) => {
 // @desc    Resolve ticket
 // @route   POST /api/admin/tickets/:id/resolve
 // @access  Admin
-router.post('/tickets/:id/resolve', async (req, res) => {
+router.post('/tickets/:id/resolve', requirePermission('tickets'), async (req, res) => {
   try {
     // Validate ObjectId
     if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
@@ -1735,7 +1818,7 @@ router.patch('/notifications/:id/read', async (req, res) => {
 // @desc    Test Delhivery API connection
 // @route   GET /api/admin/test-delhivery-api
 // @access  Admin
-router.get('/test-delhivery-api', async (req, res) => {
+router.get('/test-delhivery-api', requirePermission('system'), async (req, res) => {
   try {
     logger.info('🧪 Admin testing Delhivery API connection');
 
@@ -1785,7 +1868,7 @@ router.get('/test-delhivery-api', async (req, res) => {
 // @desc    Get tracking failures summary
 // @route   GET /api/admin/tracking-failures
 // @access  Admin
-router.get('/tracking-failures', async (req, res) => {
+router.get('/tracking-failures', requirePermission('system'), async (req, res) => {
   try {
     const { limit = 50, offset = 0 } = req.query;
 
@@ -1852,7 +1935,7 @@ router.get('/tracking-failures', async (req, res) => {
 // @desc    Recharge client wallet or adjust balance
 // @route   POST /api/admin/wallet-recharge
 // @access  Admin
-router.post('/wallet-recharge', async (req, res) => {
+router.post('/wallet-recharge', requirePermission('wallet.recharge'), async (req, res) => {
   try {
     const { client_id, amount, description, type = 'credit' } = req.body;
 
@@ -1888,65 +1971,40 @@ router.post('/wallet-recharge', async (req, res) => {
       });
     }
 
-    // Get current wallet balance
-    const currentBalance = client.wallet_balance || 0;
-
     // Parse amount to ensure it's a proper number and round to 2 decimal places
     const parsedAmount = Math.round(parseFloat(amount) * 100) / 100;
 
-    // Calculate new balance based on type
-    // Use Math.round to avoid floating-point precision issues (e.g., 1999.97 instead of 2000)
-    let newBalance;
-    if (type === 'credit') {
-      newBalance = Math.round((currentBalance + parsedAmount) * 100) / 100;
-    } else {
-      // Debit: validate sufficient balance
-      if (parsedAmount > currentBalance) {
-        return res.status(400).json({
-          success: false,
-          message: `Insufficient balance. Current balance: ₹${currentBalance}, Requested: ₹${parsedAmount}`
-        });
-      }
-      newBalance = Math.round((currentBalance - parsedAmount) * 100) / 100;
-    }
-
-    // Create transaction record
+    // Create transaction record and move the balance in one ledger posting
     const transactionId = `TXN${Date.now()}${Math.random().toString(36).substr(2, 6).toUpperCase()}`;
-    
-    const transaction = new Transaction({
-      transaction_id: transactionId,
-      user_id: client_id,
-      transaction_type: type, // 'credit' or 'debit'
-      transaction_category: 'manual_adjustment',
+
+    const result = await walletLedgerService.post({
+      userId: client_id,
+      type, // 'credit' or 'debit'
       amount: parsedAmount,
+      category: 'manual_adjustment',
       description: description || `Admin wallet ${type === 'credit' ? 'recharge' : 'deduction'} - ₹${parsedAmount}`,
-      status: 'completed',
-      created_at: new Date(),
-      updated_at: new Date(),
-      balance_info: {
-        opening_balance: currentBalance,
-        closing_balance: newBalance
-      }
+      fields: { transaction_id: transactionId },
+      postedBy: req.admin.email
     });
 
-    // Update client wallet balance
-    client.wallet_balance = newBalance;
-    client.updated_at = new Date();
-
-    // Save both transaction and user
-    await Promise.all([
-      transaction.save(),
-      client.save()
-    ]);
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        message: result.code === 'INSUFFICIENT_BALANCE'
+          ? `Insufficient balance. Available balance: ₹${result.available_balance}, Requested: ₹${parsedAmount}`
+          : result.error
+      });
+    }
 
-    // CRITICAL: Retrieve the live updated wallet balance from database
-    const updatedClient = await User.findById(client_id).select('wallet_balance email company_name');
-    const liveUpdatedBalance = updatedClient.wallet_balance || 0;
+    const transaction = result.transaction;
+    const currentBalance = result.opening_balance;
+    const newBalance = result.closing_balance;
+    const liveUpdatedBalance = result.closing_balance;
 
     // Log the adjustment with live database balance
     logger.info(`Admin wallet ${type} completed`, {
       client_id,
-      client_email: updatedClient.email,
+      client_email: client.email,
       amount,
       type: type,
       old_balance: currentBalance,
@@ -1956,6 +2014,17 @@ router.post('/wallet-recharge', async (req, res) => {
       transaction_id: transactionId
     });
 
+    await auditService.record(req, {
+      action: `wallet.${type}`,
+      category: 'wallet',
+      target: { type: 'Transaction', id: transactionId, label: transaction.description },
+      clientId: client._id,
+      before: { wallet_balance: currentBalance },
+      after: { wallet_balance: liveUpdatedBalance },
+      reason: req.body.reason || description,
+      metadata: { amount: parsedAmount, transaction_category: 'manual_adjustment' }
+    });
+
     // Send notification to client about wallet adjustment
     try {
       const notification = {
@@ -1965,7 +2034,7 @@ router.post('/wallet-recharge', async (req, res) => {
           ? `Your wallet has been recharged with ₹${amount}. New balance: ₹${liveUpdatedBalance}`
           : `₹${amount} deducted from your wallet. New balance: ₹${liveUpdatedBalance}`,
         client_id: client_id,
-        client_name: updatedClient.company_name,
+        client_name: client.company_name,
         amount: amount,
         transaction_type: type,
         new_balance: liveUpdatedBalance,
@@ -2010,8 +2079,8 @@ router.post('/wallet-recharge', async (req, res) => {
       message: `Wallet ${type === 'credit' ? 'recharged' : 'deducted'} successfully`,
       data: {
         client_id,
-        client_name: updatedClient.company_name,
-        client_email: updatedClient.email,
+        client_name: client.company_name,
+        client_email: client.email,
         transaction_type: type,
         amount: amount,
         previous_balance: currentBalance,
@@ -2040,7 +2109,7 @@ router.post('/wallet-recharge', async (req, res) => {
 // @desc    Get client wallet balance
 // @route   GET /api/admin/client-wallet/:clientId
 // @access  Admin
-router.get('/client-wallet/:clientId', async (req, res) => {
+router.get('/client-wallet/:clientId', requirePermission('wallet.recharge'), async (req, res) => {
   try {
     const { clientId } = req.params;
 
@@ -2082,7 +2151,7 @@ router.get('/client-wallet/:clientId', async (req, res) => {
 // @desc    Update client user category/label
 // @route   PATCH /api/admin/clients/:clientId/label
 // @access  Admin
-router.patch('/clients/:clientId/label', async (req, res) => {
+router.patch('/clients/:clientId/label', requirePermission('clients.edit'), async (req, res) => {
   try {
     const { clientId } = req.params;
     const { user_category } = req.body;
@@ -2142,6 +2211,16 @@ router.patch('/clients/:clientId/label', async (req, res) => {
       admin_email: req.admin.email
     });
 
+    await auditService.record(req, {
+      action: 'client.category_update',
+      category: 'client',
+      target: { type: 'User', id: client._id, label: client.company_name },
+      clientId: client._id,
+      before: { user_category: oldCategory },
+      after: { user_category },
+      reason: req.body.reason
+    });
+
     // Send WebSocket notification to client about user category update
     try {
       const notification = {
@@ -2204,7 +2283,7 @@ router.patch('/clients/:clientId/label', async (req, res) => {
 // @desc    Bulk import weight discrepancies from Excel
 // @route   POST /api/admin/weight-discrepancies/bulk-import
 // @access  Admin
-router.post('/weight-discrepancies/bulk-import', upload.single('file'), async (req, res) => {
+router.post('/weight-discrepancies/bulk-import', requirePermission('weight_discrepancies'), upload.single('file'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({
@@ -2251,6 +2330,7 @@ router.post('/weight-discrepancies/bulk-import', upload.single('file'), async (r
       total: rows.length,
       successful: 0,
       failed: 0,
+      charges_pending: 0,
       errors: [],
       details: []
     };
@@ -2437,56 +2517,117 @@ router.post('/weight-discrepancies/bulk-import', upload.single('file'), async (r
         await weightDiscrepancy.save();
 
         // BUSINESS LOGIC: Deduct money ONLY if actual weight > declared weight
-        // Create debit transaction for the client
-        const user = await User.findById(client_id);
-        if (user && deduction_amount > 0) {
-          const openingBalance = user.wallet_balance || 0;
-          // Use Math.round to avoid floating-point precision issues
-          const closingBalance = Math.max(0, Math.round((openingBalance - deduction_amount) * 100) / 100);
-
-          // Update wallet balance in database
-          user.wallet_balance = closingBalance;
-          await user.save();
-          
-          console.log('💰 WALLET DEDUCTED:', {
-            client_id: client_id,
-            awb: parsedAWB,
-            opening_balance: openingBalance,
-            deduction: deduction_amount,
-            closing_balance: closingBalance
+        // Create debit transaction for the client. If the wallet (plus credit
+        // limit) can't cover it, the discrepancy stays unprocessed and the
+        // charge is pending instead of clamping the balance at zero.
+        // Postpaid clients are not debited: the charge goes on their next invoice.
+        const user = await User.findById(client_id).select('company_name billing_mode');
+        const isPostpaid = user?.billing_mode === 'postpaid';
+        let debit = null;
+        let lateCharge = null;
+        if (user && deduction_amount > 0 && isPostpaid) {
+          lateCharge = await billingCycleService.applyLateCharge(order, {
+            type: 'weight_discrepancy',
+            amount: deduction_amount,
+            description: `Weight discrepancy charge for AWB: ${parsedAWB}. Discrepancy: ${weight_discrepancy} g`,
+            settledFromWallet: false,
+            sourceRef: `weight_discrepancy:${weightDiscrepancy._id}`
           });
 
-          const transaction = new Transaction({
-            transaction_id: `WD${Date.now()}${Math.floor(Math.random() * 1000000).toString().padStart(6, '0')}`,
-            user_id: client_id,
-            transaction_type: 'debit',
-            transaction_category: 'weight_discrepancy_charge',
+          weightDiscrepancy.processed = true;
+          await weightDiscrepancy.save();
+
+          await auditService.record(req, {
+            action: 'billing.weight_discrepancy_accrue',
+            category: 'weight_discrepancy',
+            target: { type: 'WeightDiscrepancy', id: weightDiscrepancy._id, label: parsedAWB },
+            clientId: client_id,
+            metadata: {
+              batch_id: batchId,
+              billing_cycle_id: lateCharge?.cycle?._id,
+              note_number: lateCharge?.note?.note_number,
+              deduction_amount,
+              weight_discrepancy
+            }
+          });
+        } else if (user && deduction_amount > 0) {
+          debit = await walletLedgerService.debit({
+            userId: client_id,
             amount: deduction_amount,
+            category: 'weight_discrepancy_charge',
             description: `Weight discrepancy charge for AWB: ${parsedAWB}. Discrepancy: ${weight_discrepancy} g`,
-            related_order_id: order._id,
-            related_awb: parsedAWB,
-            status: 'completed',
-            balance_info: {
-              opening_balance: openingBalance,
-              closing_balance: closingBalance
-            },
-            order_info: {
-              order_id: order.order_id,
-              awb_number: parsedAWB,
-              weight: delhivery_updated_weight,
-              zone: '',
-              order_date: order.order_date
+            fields: {
+              transaction_id: `WD${Date.now()}${Math.floor(Math.random() * 1000000).toString().padStart(6, '0')}`,
+              related_order_id: order._id,
+              related_awb: parsedAWB,
+              order_info: {
+                order_id: order.order_id,
+                awb_number: parsedAWB,
+                weight: delhivery_updated_weight,
+                zone: '',
+                order_date: order.order_date
+              }
             },
-            transaction_date: new Date()
+            postedBy: req.admin.email
+          });
+        }
+        const chargePending = Boolean(debit && !debit.success);
+
+        if (chargePending) {
+          importResults.charges_pending++;
+          console.warn('⚠️ WEIGHT DISCREPANCY CHARGE PENDING (insufficient balance):', {
+            client_id: client_id,
+            awb: parsedAWB,
+            deduction: deduction_amount
           });
+        } else if (debit) {
+          const transaction = debit.transaction;
+          const openingBalance = debit.opening_balance;
+          const closingBalance = debit.closing_balance;
 
-          await transaction.save();
+          console.log('💰 WALLET DEDUCTED:', {
+            client_id: client_id,
+            awb: parsedAWB,
+            opening_balance: openingBalance,
+            deduction: deduction_amount,
+            closing_balance: closingBalance
+          });
 
           // Link transaction to weight discrepancy
           weightDiscrepancy.transaction_id = transaction._id;
           weightDiscrepancy.processed = true;
           await weightDiscrepancy.save();
 
+          // Already paid from the wallet; listed on the next invoice, or on a
+          // debit note when the order has been invoiced
+          try {
+            lateCharge = await billingCycleService.applyLateCharge(order, {
+              type: 'weight_discrepancy',
+              amount: deduction_amount,
+              description: `Weight discrepancy charge for AWB: ${parsedAWB}. Discrepancy: ${weight_discrepancy} g`,
+              settledFromWallet: true,
+              transactionId: transaction._id,
+              sourceRef: `weight_discrepancy:${weightDiscrepancy._id}`
+            });
+          } catch (cycleError) {
+            console.error('Failed to add weight discrepancy to billing cycle:', cycleError);
+          }
+
+          await auditService.record(req, {
+            action: 'wallet.weight_discrepancy_charge',
+            category: 'weight_discrepancy',
+            target: { type: 'WeightDiscrepancy', id: weightDiscrepancy._id, label: parsedAWB },
+            clientId: client_id,
+            before: { wallet_balance: openingBalance },
+            after: { wallet_balance: closingBalance },
+            metadata: {
+              batch_id: batchId,
+              transaction_id: transaction.transaction_id,
+              deduction_amount,
+              weight_discrepancy
+            }
+          });
+
           // Send WebSocket notification to client with wallet update
           try {
             const notification = {
@@ -2527,7 +2668,10 @@ router.post('/weight-discrepancies/bulk-import', upload.single('file'), async (r
           awb: parsedAWB,
           client_id: client_id,
           client_name: user?.company_name || 'N/A',
-          status: 'Imported successfully'
+          status: chargePending
+            ? 'Imported - charge pending (insufficient balance)'
+            : lateCharge?.note ? `Imported - debit note ${lateCharge.note.note_number} issued`
+              : isPostpaid && deduction_amount > 0 ? 'Imported - charge added to billing cycle' : 'Imported successfully'
         });
 
         console.log('✅ ROW IMPORTED:', {
@@ -2559,6 +2703,19 @@ router.post('/weight-discrepancies/bulk-import', upload.single('file'), async (r
       failed: importResults.failed
     });
 
+    await auditService.record(req, {
+      action: 'weight_discrepancy.import',
+      category: 'weight_discrepancy',
+      target: { type: 'UploadBatch', id: batchId, label: file.originalname },
+      metadata: {
+        file_name: file.originalname,
+        total: importResults.total,
+        successful: importResults.successful,
+        failed: importResults.failed,
+        charges_pending: importResults.charges_pending
+      }
+    });
+
     res.json({
       success: true,
       message: `Import completed: ${importResults.successful} successful, ${importResults.failed} failed`,
@@ -2578,9 +2735,9 @@ router.post('/weight-discrepancies/bulk-import', upload.single('file'), async (r
 // @desc    Get all weight discrepancies (Admin)
 // @route   GET /api/admin/weight-discrepancies
 // @access  Admin
-router.get('/weight-discrepancies', async (req, res) => {
+router.get('/weight-discrepancies', requirePermission('weight_discrepancies'), async (req, res) => {
   try {
-    const { page = 1, limit = 50, search = '', processed = 'all' } = req.query;
+    const { page = 1, limit = 50, search = '', processed = 'all', dispute_status = 'all' } = req.query;
     
     const skip = (parseInt(page) - 1) * parseInt(limit);
     const filterQuery = {};
@@ -2597,20 +2754,32 @@ router.get('/weight-discrepancies', async (req, res) => {
       filterQuery.processed = processed === 'true';
     }
 
-    const [discrepancies, total] = await Promise.all([
+    // Dispute filter
+    if (dispute_status !== 'all') {
+      filterQuery.dispute_status = dispute_status === 'not_raised' ? { $in: ['not_raised', null] } : dispute_status;
+    }
+
+    const [discrepancies, total, openDisputes] = await Promise.all([
       WeightDiscrepancy.find(filterQuery)
         .populate('client_id', 'company_name email phone_number')
-        .populate('order_id', 'order_id')
+        .populate('order_id', 'order_id package_info.weight package_info.dimensions')
+        .populate('dispute.refund_transaction_id', 'transaction_id amount')
         .sort({ discrepancy_date: -1 })
         .skip(skip)
         .limit(parseInt(limit)),
-      WeightDiscrepancy.countDocuments(filterQuery)
+      WeightDiscrepancy.countDocuments(filterQuery),
+      WeightDiscrepancy.countDocuments({ dispute_status: 'open' })
     ]);
 
     res.json({
       success: true,
       data: {
-        discrepancies,
+        discrepancies: discrepancies.map(discrepancy => ({
+          ...discrepancy.toJSON(),
+          dispute_status: discrepancy.dispute_status || 'not_raised',
+          dispute_deadline: weightDisputeService.deadlineFor(discrepancy)
+        })),
+        open_disputes: openDisputes,
         pagination: {
           page: parseInt(page),
           limit: parseInt(limit),
@@ -2630,6 +2799,122 @@ router.get('/weight-discrepancies', async (req, res) => {
   }
 });
 
+// @desc    Accept a seller's weight dispute and reverse the charge
+// @route   POST /api/admin/weight-discrepancies/:id/dispute/accept
+// @access  Admin
+router.post('/weight-discrepancies/:id/dispute/accept', requirePermission('weight_discrepancies'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid weight discrepancy ID'
+      });
+    }
+
+    const { comment, refund_amount } = req.body || {};
+    const result = await weightDisputeService.acceptDispute(req.params.id, {
+      comment: comment ? String(comment).trim() : undefined,
+      refundAmount: refund_amount,
+      by: req.admin.email
+    });
+
+    if (!result.success) {
+      return res.status(result.code === 'NOT_FOUND' ? 404 : result.code === 'NOT_OPEN' ? 409 : 400).json({
+        success: false,
+        message: result.error,
+        code: result.code
+      });
+    }
+
+    const { discrepancy, refund } = result;
+    await auditService.record(req, {
+      action: 'weight_discrepancy.dispute_accept',
+      category: 'weight_discrepancy',
+      target: { type: 'WeightDiscrepancy', id: discrepancy._id, label: discrepancy.awb_number },
+      clientId: discrepancy.client_id,
+      before: { dispute_status: 'open' },
+      after: { dispute_status: 'accepted', refund_amount: discrepancy.dispute.refund_amount },
+      reason: discrepancy.dispute.admin_comment,
+      metadata: {
+        deduction_amount: discrepancy.deduction_amount,
+        refund_method: refund.method,
+        transaction_id: refund.transaction?.transaction_id,
+        credit_note_number: refund.note?.note_number
+      }
+    });
+
+    res.json({
+      success: true,
+      message: discrepancy.dispute.refund_amount > 0
+        ? `Dispute accepted. ₹${discrepancy.dispute.refund_amount.toFixed(2)} reversed.`
+        : 'Dispute accepted. Nothing had been collected for this charge.',
+      data: discrepancy
+    });
+  } catch (error) {
+    console.error('Accept weight dispute error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error accepting weight dispute',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Reject a seller's weight dispute
+// @route   POST /api/admin/weight-discrepancies/:id/dispute/reject
+// @access  Admin
+router.post('/weight-discrepancies/:id/dispute/reject', requirePermission('weight_discrepancies'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid weight discrepancy ID'
+      });
+    }
+
+    const { comment } = req.body || {};
+    const result = await weightDisputeService.rejectDispute(req.params.id, {
+      comment: comment ? String(comment) : '',
+      by: req.admin.email
+    });
+
+    if (!result.success) {
+      return res.status(result.code === 'NOT_FOUND' ? 404 : result.code === 'NOT_OPEN' ? 409 : 400).json({
+        success: false,
+        message: result.error,
+        code: result.code
+      });
+    }
+
+    const { discrepancy } = result;
+    await auditService.record(req, {
+      action: 'weight_discrepancy.dispute_reject',
+      category: 'weight_discrepancy',
+      target: { type: 'WeightDiscrepancy', id: discrepancy._id, label: discrepancy.awb_number },
+      clientId: discrepancy.client_id,
+      before: { dispute_status: 'open' },
+      after: { dispute_status: 'rejected' },
+      reason: discrepancy.dispute.admin_comment,
+      metadata: {
+        deduction_amount: discrepancy.deduction_amount
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'Dispute rejected',
+      data: discrepancy
+    });
+  } catch (error) {
+    console.error('Reject weight dispute error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error rejecting weight dispute',
+      error: error.message
+    });
+  }
+});
+
 // ============================================================================
 // REMITTANCES ROUTES
 // ============================================================================
@@ -2637,7 +2922,7 @@ router.get('/weight-discrepancies', async (req, res) => {
 // @desc    Bulk import remittances from Excel
 // @route   POST /api/admin/remittances/upload
 // @access  Admin
-router.post('/remittances/upload', upload.single('file'), async (req, res) => {
+router.post('/remittances/upload', requirePermission('remittances'), upload.single('file'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({
@@ -2902,6 +3187,8 @@ router.post('/remittances/upload', upload.single('file'), async (req, res) => {
               user_id: userId
             });
             
+            const remittanceBefore = auditService.snapshot(remittance, REMITTANCE_AUDIT_FIELDS);
+
             if (remittance) {
               // Update existing remittance
               remittance.date = remittanceData.date;
@@ -2958,6 +3245,26 @@ router.post('/remittances/upload', upload.single('file'), async (req, res) => {
               await remittance.save();
               importResults.remittances_created++;
             }
+
+            // Net off AWBs the seller was already paid for through early COD
+            const earlyCod = await earlyCodService.settleRemittance(remittance, { by: req.admin.email });
+            if (earlyCod.adjustments_pending > 0) {
+              importResults.errors.push({
+                remittance_number: remittanceNumber,
+                user_id: userId,
+                error: `${earlyCod.adjustments_pending} early COD shortfall(s) could not be debited from the wallet`
+              });
+            }
+
+            await auditService.record(req, {
+              action: remittanceBefore ? 'remittance.update' : 'remittance.create',
+              category: 'remittance',
+              target: { type: 'Remittance', id: remittance._id, label: remittanceNumber },
+              clientId: userId,
+              before: remittanceBefore,
+              after: auditService.snapshot(remittance, REMITTANCE_AUDIT_FIELDS),
+              metadata: { batch_id: batchId }
+            });
             
             importResults.successful += clientData.orders.length;
             
@@ -2966,6 +3273,8 @@ router.post('/remittances/upload', upload.single('file'), async (req, res) => {
               user_id: userId,
               orders_count: clientData.orders.length,
               total_remittance: clientTotalRemittance,
+              early_cod_advanced: earlyCod.advanced_amount,
+              net_payable: earlyCod.net_payable,
               action: remittance ? 'updated' : 'created'
             });
           } catch (clientError) {
@@ -3002,6 +3311,19 @@ router.post('/remittances/upload', upload.single('file'), async (req, res) => {
       remittances_updated: importResults.remittances_updated
     });
 
+    await auditService.record(req, {
+      action: 'remittance.upload',
+      category: 'remittance',
+      target: { type: 'UploadBatch', id: batchId, label: file.originalname },
+      metadata: {
+        file_name: file.originalname,
+        successful: importResults.successful,
+        failed: importResults.failed,
+        remittances_created: importResults.remittances_created,
+        remittances_updated: importResults.remittances_updated
+      }
+    });
+
     res.json({
       success: true,
       message: 'Remittance import completed',
@@ -3020,7 +3342,7 @@ router.post('/remittances/upload', upload.single('file'), async (req, res) => {
 // @desc    Get all remittances (Admin view)
 // @route   GET /api/admin/remittances
 // @access  Admin
-router.get('/remittances', async (req, res) => {
+router.get('/remittances', requirePermission('remittances'), async (req, res) => {
   try {
     const { page = 1, limit = 50, search = '', state = 'all' } = req.query;
     
@@ -3057,7 +3379,8 @@ router.get('/remittances', async (req, res) => {
       bank_transaction_id: r.bank_transaction_id || '-',
       state: r.state,
       total_remittance: r.total_remittance,
-      total_orders: r.total_orders
+      total_orders: r.total_orders,
+      early_cod: r.early_cod?.advanced_orders ? r.early_cod : null
     }));
 
     res.json({
@@ -3082,60 +3405,460 @@ router.get('/remittances', async (req, res) => {
   }
 });
 
-// ============================================================================
-// ADMIN BILLING ROUTES
-// ============================================================================
+// Reconciliation options from the query: an optional client (ObjectId or client_id) and min_age_days
+const resolveReconciliationQuery = async (query) => {
+  let client = null;
+  if (query.client_id) {
+    client = await findClientByIdentifier(String(query.client_id).trim());
+    if (!client) {
+      return { error: 'Client not found' };
+    }
+  }
 
-// @desc    Get all clients for billing overview
-// @route   GET /api/admin/billing/clients
+  const minAgeDays = parseInt(query.min_age_days, 10);
+  return {
+    client,
+    minAgeDays: Number.isNaN(minAgeDays) ? undefined : Math.min(Math.max(minAgeDays, 0), 365)
+  };
+};
+
+// @desc    COD reconciliation of delivered orders against remittances, for one client or all
+// @route   GET /api/admin/remittances/reconciliation
 // @access  Admin
-router.get('/billing/clients', async (req, res) => {
+router.get('/remittances/reconciliation', requirePermission('remittances'), async (req, res) => {
   try {
-    const { page = 1, limit = 50, search = '' } = req.query;
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-    
-    const query = {};
-    
-    // Search filter
-    if (search) {
-      query.$or = [
-        { client_id: { $regex: search, $options: 'i' } },
-        { company_name: { $regex: search, $options: 'i' } },
-        { email: { $regex: search, $options: 'i' } },
-        { your_name: { $regex: search, $options: 'i' } }
-      ];
+    const { client, minAgeDays, error } = await resolveReconciliationQuery(req.query);
+    if (error) {
+      return res.status(404).json({
+        success: false,
+        message: error
+      });
     }
-    
-    const [clients, total] = await Promise.all([
-      User.find(query)
-        .select('client_id company_name email your_name wallet_balance')
-        .sort({ created_at: -1 })
-        .skip(skip)
-        .limit(parseInt(limit)),
-      User.countDocuments(query)
-    ]);
-    
-    // Get wallet stats for each client
-    const clientsWithStats = await Promise.all(
-      clients.map(async (client) => {
-        const [credits, debits] = await Promise.all([
-          Transaction.aggregate([
-            { $match: { user_id: client._id, transaction_type: 'credit', status: 'completed' } },
-            { $group: { _id: null, total: { $sum: '$amount' } } }
-          ]),
-          Transaction.aggregate([
-            { $match: { user_id: client._id, transaction_type: 'debit', status: 'completed' } },
-            { $group: { _id: null, total: { $sum: '$amount' } } }
-          ])
-        ]);
-        
-        return {
+
+    const report = await codReconciliationService.buildReport({
+      userId: client?._id,
+      minAgeDays
+    });
+
+    res.json({
+      success: true,
+      data: {
+        ...report,
+        client: client ? {
           _id: client._id,
           client_id: client.client_id,
-          company_name: client.company_name,
-          email: client.email,
-          your_name: client.your_name,
-          wallet_balance: client.wallet_balance || 0,
+          company_name: client.company_name
+        } : null
+      }
+    });
+  } catch (error) {
+    console.error('Get COD reconciliation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error building COD reconciliation',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Download the COD reconciliation as Excel
+// @route   GET /api/admin/remittances/reconciliation/export
+// @access  Admin
+router.get('/remittances/reconciliation/export', requirePermission('remittances'), async (req, res) => {
+  try {
+    const { client, minAgeDays, error } = await resolveReconciliationQuery(req.query);
+    if (error) {
+      return res.status(404).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const report = await codReconciliationService.buildReport({
+      userId: client?._id,
+      minAgeDays,
+      rowLimit: null
+    });
+    const excelBuffer = codReconciliationService.buildReportWorkbook(report);
+    const fileDate = new Date().toISOString().split('T')[0];
+    const scope = client ? client.client_id || client._id : 'All';
+
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="COD_Reconciliation_${scope}_${fileDate}.xlsx"`);
+    res.setHeader('Content-Length', excelBuffer.length);
+
+    res.send(excelBuffer);
+  } catch (error) {
+    console.error('Export COD reconciliation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error exporting COD reconciliation',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Get a client's early COD plan, totals and recent advances
+// @route   GET /api/admin/remittances/early-cod/clients/:clientId
+// @access  Admin
+router.get('/remittances/early-cod/clients/:clientId', requirePermission('remittances'), async (req, res) => {
+  try {
+    const client = await findClientByIdentifier(req.params.clientId);
+    if (!client) {
+      return res.status(404).json({
+        success: false,
+        message: 'Client not found'
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const summary = await earlyCodService.getSummary(client._id, { page });
+
+    res.json({
+      success: true,
+      data: {
+        client: {
+          _id: client._id,
+          client_id: client.client_id,
+          company_name: client.company_name,
+          has_bank_details: Boolean(client.bank_details?.account_number && client.bank_details?.ifsc_code)
+        },
+        ...summary
+      }
+    });
+  } catch (error) {
+    logger.error('Get early COD plan error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching early COD plan',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Enable/disable a client's early COD plan or change its days, fee and payout mode
+// @route   PATCH /api/admin/remittances/early-cod/clients/:clientId
+// @access  Admin
+router.patch('/remittances/early-cod/clients/:clientId', requirePermission('remittances'), async (req, res) => {
+  try {
+    const client = await findClientByIdentifier(req.params.clientId);
+    if (!client) {
+      return res.status(404).json({
+        success: false,
+        message: 'Client not found'
+      });
+    }
+
+    const { enabled, days, fee_percent, payout_mode, reason } = req.body || {};
+    const result = await earlyCodService.updatePlan(client._id, { enabled, days, fee_percent, payout_mode }, {
+      by: req.admin.email,
+      allowFee: true
+    });
+
+    if (!result.success) {
+      return res.status(result.code === 'NOT_FOUND' ? 404 : 400).json({
+        success: false,
+        message: result.error,
+        code: result.code
+      });
+    }
+
+    await auditService.record(req, {
+      action: 'client.early_cod_update',
+      category: 'client',
+      target: { type: 'User', id: client._id, label: client.company_name },
+      clientId: client._id,
+      before: result.before,
+      after: result.plan,
+      reason
+    });
+
+    res.json({
+      success: true,
+      message: 'Early COD plan updated successfully',
+      data: result.plan
+    });
+  } catch (error) {
+    logger.error('Update early COD plan error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating early COD plan',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Early COD bank payouts waiting for a transfer
+// @route   GET /api/admin/remittances/early-cod/payouts
+// @access  Admin
+router.get('/remittances/early-cod/payouts', requirePermission('remittances'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const query = { status: 'payout_pending' };
+
+    const [payouts, total] = await Promise.all([
+      CodAdvance.find(query)
+        .populate('user_id', 'client_id company_name bank_details.bank_name bank_details.account_number bank_details.ifsc_code bank_details.account_holder_name')
+        .sort({ createdAt: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      CodAdvance.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        payouts: payouts.map(advance => ({
+          _id: advance._id,
+          awb_number: advance.awb_number,
+          internal_order_id: advance.internal_order_id,
+          cod_amount: advance.cod_amount,
+          fee_amount: advance.fee_amount,
+          net_amount: advance.net_amount,
+          created_at: advance.createdAt,
+          client: {
+            _id: advance.user_id?._id,
+            client_id: advance.user_id?.client_id,
+            company_name: advance.user_id?.company_name || 'N/A',
+            bank_name: advance.user_id?.bank_details?.bank_name || '',
+            account_holder_name: advance.user_id?.bank_details?.account_holder_name || '',
+            account_number: advance.user_id?.bank_details?.account_number || '',
+            ifsc_code: advance.user_id?.bank_details?.ifsc_code || ''
+          }
+        })),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Get early COD payouts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching early COD payouts',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Record the bank transfer of an early COD payout
+// @route   POST /api/admin/remittances/early-cod/advances/:advanceId/mark-paid
+// @access  Admin
+router.post('/remittances/early-cod/advances/:advanceId/mark-paid', requirePermission('remittances'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.advanceId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid advance ID format'
+      });
+    }
+
+    const { utr_number, reason } = req.body || {};
+    if (!utr_number || !String(utr_number).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'UTR number is required'
+      });
+    }
+
+    const result = await earlyCodService.markPayoutPaid(req.params.advanceId, {
+      utr: String(utr_number).trim(),
+      by: req.admin.email
+    });
+
+    if (!result.success) {
+      return res.status(result.code === 'NOT_FOUND' ? 404 : 409).json({
+        success: false,
+        message: result.error,
+        code: result.code
+      });
+    }
+
+    await auditService.record(req, {
+      action: 'remittance.early_cod_payout',
+      category: 'remittance',
+      target: { type: 'CodAdvance', id: result.advance._id, label: result.advance.awb_number },
+      clientId: result.advance.user_id,
+      after: { status: result.advance.status, bank_utr: result.advance.bank_utr, net_amount: result.advance.net_amount },
+      reason
+    });
+
+    res.json({
+      success: true,
+      message: 'Payout marked as paid',
+      data: result.advance
+    });
+  } catch (error) {
+    logger.error('Mark early COD payout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error recording payout',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Pay out due early COD advances now instead of waiting for the daily run
+// @route   POST /api/admin/remittances/early-cod/run
+// @access  Admin
+router.post('/remittances/early-cod/run', requirePermission('remittances'), async (req, res) => {
+  try {
+    if (earlyCodService.isProcessing) {
+      return res.status(409).json({
+        success: false,
+        message: 'An early COD run is already in progress'
+      });
+    }
+
+    earlyCodService.isProcessing = true;
+    let result;
+    try {
+      result = await earlyCodService.processDueAdvances();
+    } finally {
+      earlyCodService.isProcessing = false;
+    }
+
+    await auditService.record(req, {
+      action: 'remittance.early_cod_run',
+      category: 'remittance',
+      target: { type: 'EarlyCodRun', label: 'manual' },
+      metadata: result
+    });
+
+    res.json({
+      success: true,
+      message: `${result.advanced} orders advanced`,
+      data: result
+    });
+  } catch (error) {
+    logger.error('Run early COD error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error running early COD',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Reconcile a remittance's AWBs (all clients in it) against the orders
+// @route   GET /api/admin/remittances/:remittanceNumber/reconciliation
+// @access  Admin
+router.get('/remittances/:remittanceNumber/reconciliation', requirePermission('remittances'), async (req, res) => {
+  try {
+    const report = await codReconciliationService.buildRemittanceReport(req.params.remittanceNumber);
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Remittance not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('Get remittance reconciliation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error reconciling remittance',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Download a remittance's reconciliation as Excel
+// @route   GET /api/admin/remittances/:remittanceNumber/reconciliation/export
+// @access  Admin
+router.get('/remittances/:remittanceNumber/reconciliation/export', requirePermission('remittances'), async (req, res) => {
+  try {
+    const { remittanceNumber } = req.params;
+    const report = await codReconciliationService.buildRemittanceReport(remittanceNumber);
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Remittance not found'
+      });
+    }
+
+    const excelBuffer = codReconciliationService.buildRemittanceWorkbook(report);
+
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="Remittance_${remittanceNumber}_Reconciliation.xlsx"`);
+    res.setHeader('Content-Length', excelBuffer.length);
+
+    res.send(excelBuffer);
+  } catch (error) {
+    console.error('Export remittance reconciliation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error exporting remittance reconciliation',
+      error: error.message
+    });
+  }
+});
+
+// ============================================================================
+// ADMIN BILLING ROUTES
+// ============================================================================
+
+// @desc    Get all clients for billing overview
+// @route   GET /api/admin/billing/clients
+// @access  Admin
+router.get('/billing/clients', requirePermission('billing'), async (req, res) => {
+  try {
+    const { page = 1, limit = 50, search = '' } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    
+    const query = {};
+    
+    // Search filter
+    if (search) {
+      query.$or = [
+        { client_id: { $regex: search, $options: 'i' } },
+        { company_name: { $regex: search, $options: 'i' } },
+        { email: { $regex: search, $options: 'i' } },
+        { your_name: { $regex: search, $options: 'i' } }
+      ];
+    }
+    
+    const [clients, total] = await Promise.all([
+      User.find(query)
+        .select('client_id company_name email your_name wallet_balance')
+        .sort({ created_at: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      User.countDocuments(query)
+    ]);
+    
+    // Get wallet stats for each client
+    const clientsWithStats = await Promise.all(
+      clients.map(async (client) => {
+        const [credits, debits] = await Promise.all([
+          Transaction.aggregate([
+            { $match: { user_id: client._id, transaction_type: 'credit', status: 'completed' } },
+            { $group: { _id: null, total: { $sum: '$amount' } } }
+          ]),
+          Transaction.aggregate([
+            { $match: { user_id: client._id, transaction_type: 'debit', status: 'completed' } },
+            { $group: { _id: null, total: { $sum: '$amount' } } }
+          ])
+        ]);
+        
+        return {
+          _id: client._id,
+          client_id: client.client_id,
+          company_name: client.company_name,
+          email: client.email,
+          your_name: client.your_name,
+          wallet_balance: client.wallet_balance || 0,
           total_credits: credits[0]?.total || 0,
           total_debits: debits[0]?.total || 0
         };
@@ -3167,7 +3890,7 @@ router.get('/billing/clients', async (req, res) => {
 // @desc    Get client details for billing
 // @route   GET /api/admin/billing/clients/:clientId
 // @access  Admin
-router.get('/billing/clients/:clientId', async (req, res) => {
+router.get('/billing/clients/:clientId', requirePermission('billing'), async (req, res) => {
   try {
     if (!mongoose.Types.ObjectId.isValid(req.params.clientId)) {
       return res.status(400).json({
@@ -3211,7 +3934,7 @@ router.get('/billing/clients/:clientId', async (req, res) => {
 // @desc    Get client wallet balance
 // @route   GET /api/admin/billing/clients/:clientId/wallet-balance
 // @access  Admin
-router.get('/billing/clients/:clientId/wallet-balance', async (req, res) => {
+router.get('/billing/clients/:clientId/wallet-balance', requirePermission('billing'), async (req, res) => {
   try {
     if (!mongoose.Types.ObjectId.isValid(req.params.clientId)) {
       return res.status(400).json({
@@ -3290,7 +4013,7 @@ router.get('/billing/clients/:clientId/wallet-balance', async (req, res) => {
 // @desc    Get client wallet transactions
 // @route   GET /api/admin/billing/clients/:clientId/wallet-transactions
 // @access  Admin
-router.get('/billing/clients/:clientId/wallet-transactions', async (req, res) => {
+router.get('/billing/clients/:clientId/wallet-transactions', requirePermission('billing'), async (req, res) => {
   try {
     if (!mongoose.Types.ObjectId.isValid(req.params.clientId)) {
       return res.status(400).json({
@@ -3359,37 +4082,1056 @@ router.get('/billing/clients/:clientId/wallet-transactions', async (req, res) =>
         { $group: { _id: null, total: { $sum: '$amount' } } }
       ])
     ]);
-    
-    const totalCredits = credits[0]?.total || 0;
-    const totalDebits = debits[0]?.total || 0;
-    const currentBalance = client.wallet_balance || 0;
-    
-    // Transform transactions for frontend
-    const transformedTransactions = transactions.map(txn => ({
-      transaction_id: txn.transaction_id,
-      transaction_type: txn.transaction_type,
-      amount: txn.amount,
-      description: txn.description,
-      status: txn.status,
-      transaction_date: txn.transaction_date,
-      account_name: client.your_name || 'N/A',
-      account_email: client.email || 'N/A',
-      order_id: txn.order_info?.order_id || txn.related_order_id?.order_id || '',
-      awb_number: txn.order_info?.awb_number || txn.related_order_id?.delhivery_data?.waybill || '',
-      weight: txn.order_info?.weight || (txn.related_order_id?.package_info?.weight ? txn.related_order_id.package_info.weight * 1000 : null),
-      zone: txn.order_info?.zone || '',
-      closing_balance: txn.balance_info?.closing_balance || 0
-    }));
-    
+    
+    const totalCredits = credits[0]?.total || 0;
+    const totalDebits = debits[0]?.total || 0;
+    const currentBalance = client.wallet_balance || 0;
+    
+    // Transform transactions for frontend
+    const transformedTransactions = transactions.map(txn => ({
+      transaction_id: txn.transaction_id,
+      transaction_type: txn.transaction_type,
+      amount: txn.amount,
+      description: txn.description,
+      status: txn.status,
+      transaction_date: txn.transaction_date,
+      account_name: client.your_name || 'N/A',
+      account_email: client.email || 'N/A',
+      order_id: txn.order_info?.order_id || txn.related_order_id?.order_id || '',
+      awb_number: txn.order_info?.awb_number || txn.related_order_id?.delhivery_data?.waybill || '',
+      weight: txn.order_info?.weight || (txn.related_order_id?.package_info?.weight ? txn.related_order_id.package_info.weight * 1000 : null),
+      zone: txn.order_info?.zone || '',
+      closing_balance: txn.balance_info?.closing_balance || 0
+    }));
+    
+    res.json({
+      success: true,
+      data: {
+        transactions: transformedTransactions,
+        summary: {
+          current_balance: currentBalance,
+          total_credits: totalCredits,
+          total_debits: totalDebits
+        },
+        pagination: {
+          current_page: page,
+          total_pages: Math.ceil(totalCount / limit),
+          total_count: totalCount,
+          per_page: limit
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get client wallet transactions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching wallet transactions',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Get client credit terms, postpaid exposure, hold and unpaid invoices
+// @route   GET /api/admin/billing/clients/:clientId/credit-terms
+// @access  Admin
+router.get('/billing/clients/:clientId/credit-terms', requirePermission('billing'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.clientId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid client ID format'
+      });
+    }
+
+    const client = await User.findById(req.params.clientId)
+      .select('billing_mode credit_limit payment_terms_days account_hold wallet_balance');
+
+    if (!client) {
+      return res.status(404).json({
+        success: false,
+        message: 'Client not found'
+      });
+    }
+
+    const [exposure, unpaidInvoices] = await Promise.all([
+      creditControlService.getPostpaidExposure(client._id),
+      Invoice.find({ user_id: client._id, payment_status: { $in: UNPAID_STATUSES } })
+        .select('invoice_number invoice_date due_date payment_status amounts.grand_total amount_paid balance_due')
+        .sort({ due_date: 1 })
+        .lean()
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        billing_mode: client.billing_mode,
+        credit_limit: client.credit_limit,
+        payment_terms_days: client.payment_terms_days,
+        wallet_balance: client.wallet_balance,
+        account_hold: client.account_hold,
+        exposure,
+        available_credit: parseFloat(((client.credit_limit || 0) - exposure.total).toFixed(2)),
+        unpaid_invoices: unpaidInvoices
+      }
+    });
+  } catch (error) {
+    logger.error('Get client credit terms error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching credit terms',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Update client billing mode, credit limit and payment terms
+// @route   PATCH /api/admin/billing/clients/:clientId/credit-terms
+// @access  Admin
+router.patch('/billing/clients/:clientId/credit-terms', requirePermission('billing.manage'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.clientId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid client ID format'
+      });
+    }
+
+    const { billing_mode, credit_limit, payment_terms_days, reason } = req.body;
+    const updates = {};
+
+    if (billing_mode !== undefined) {
+      if (!['prepaid', 'postpaid'].includes(billing_mode)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Billing mode must be prepaid or postpaid'
+        });
+      }
+      updates.billing_mode = billing_mode;
+    }
+
+    if (credit_limit !== undefined) {
+      const limit = parseFloat(credit_limit);
+      if (isNaN(limit) || limit < 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Credit limit must be 0 or more'
+        });
+      }
+      updates.credit_limit = Math.round(limit * 100) / 100;
+    }
+
+    if (payment_terms_days !== undefined) {
+      const days = parseInt(payment_terms_days);
+      if (isNaN(days) || days < 1 || days > 90) {
+        return res.status(400).json({
+          success: false,
+          message: 'Payment terms must be between 1 and 90 days'
+        });
+      }
+      updates.payment_terms_days = days;
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Nothing to update'
+      });
+    }
+
+    const client = await User.findById(req.params.clientId)
+      .select('company_name email billing_mode credit_limit payment_terms_days');
+
+    if (!client) {
+      return res.status(404).json({
+        success: false,
+        message: 'Client not found'
+      });
+    }
+
+    const before = {
+      billing_mode: client.billing_mode,
+      credit_limit: client.credit_limit,
+      payment_terms_days: client.payment_terms_days
+    };
+
+    client.set(updates);
+    await client.save();
+
+    logger.info('Admin updated client credit terms', {
+      client_id: String(client._id),
+      client_email: client.email,
+      before,
+      after: updates,
+      admin_email: req.admin.email
+    });
+
+    await auditService.record(req, {
+      action: 'client.credit_terms_update',
+      category: 'client',
+      target: { type: 'User', id: client._id, label: client.company_name },
+      clientId: client._id,
+      before,
+      after: updates,
+      reason
+    });
+
+    res.json({
+      success: true,
+      message: 'Credit terms updated successfully',
+      data: {
+        billing_mode: client.billing_mode,
+        credit_limit: client.credit_limit,
+        payment_terms_days: client.payment_terms_days
+      }
+    });
+  } catch (error) {
+    logger.error('Update client credit terms error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating credit terms',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Place or release a hold on a client's new shipments
+// @route   POST /api/admin/billing/clients/:clientId/account-hold
+// @access  Admin
+router.post('/billing/clients/:clientId/account-hold', requirePermission('billing.manage'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.clientId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid client ID format'
+      });
+    }
+
+    const { action, reason } = req.body;
+    if (!['place', 'release'].includes(action)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Action must be place or release'
+      });
+    }
+    if (action === 'place' && !reason?.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required to place a hold'
+      });
+    }
+
+    const client = await User.findById(req.params.clientId).select('company_name account_hold');
+    if (!client) {
+      return res.status(404).json({
+        success: false,
+        message: 'Client not found'
+      });
+    }
+
+    const before = { active: Boolean(client.account_hold?.active), source: client.account_hold?.source };
+    const updated = action === 'place'
+      ? await creditControlService.placeHold(client._id, { source: 'manual', reason: reason.trim(), placedBy: req.admin.email })
+      : await creditControlService.releaseHold(client._id, { releasedBy: req.admin.email });
+
+    if (!updated) {
+      return res.status(400).json({
+        success: false,
+        message: 'Client account is not on hold'
+      });
+    }
+
+    await auditService.record(req, {
+      action: action === 'place' ? 'client.account_hold_place' : 'client.account_hold_release',
+      category: 'client',
+      target: { type: 'User', id: client._id, label: client.company_name },
+      clientId: client._id,
+      before,
+      after: { active: updated.account_hold.active, source: updated.account_hold.source },
+      reason
+    });
+
+    res.json({
+      success: true,
+      message: action === 'place' ? 'Account placed on hold' : 'Account hold released',
+      data: updated.account_hold
+    });
+  } catch (error) {
+    logger.error('Update client account hold error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating account hold',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Record an offline payment (bank transfer, UPI) against a client invoice
+// @route   POST /api/admin/billing/invoices/:invoiceId/payments
+// @access  Admin
+router.post('/billing/invoices/:invoiceId/payments', requirePermission('billing.manage'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.invoiceId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid invoice ID format'
+      });
+    }
+
+    const { amount, payment_method = 'bank_transfer', payment_reference, reason } = req.body;
+    const paymentAmount = parseFloat(amount);
+    if (isNaN(paymentAmount) || paymentAmount <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Amount must be greater than 0'
+      });
+    }
+    if (!['bank_transfer', 'upi', 'razorpay'].includes(payment_method)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Payment method must be bank_transfer, upi or razorpay'
+      });
+    }
+
+    const invoice = await Invoice.findById(req.params.invoiceId).select('-shipment_charges');
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+    if (!UNPAID_STATUSES.includes(invoice.payment_status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invoice is ${invoice.payment_status}, no payment can be recorded`
+      });
+    }
+    if (paymentAmount > invoice.balance_due + 0.01) {
+      return res.status(400).json({
+        success: false,
+        message: `Amount exceeds balance due of ₹${invoice.balance_due}`
+      });
+    }
+
+    const before = { payment_status: invoice.payment_status, amount_paid: invoice.amount_paid };
+    await creditControlService.applyInvoicePayment(invoice, {
+      amount: paymentAmount,
+      payment_method,
+      payment_reference,
+      recorded_by: req.admin.email
+    });
+
+    await auditService.record(req, {
+      action: 'invoice.payment_record',
+      category: 'client',
+      target: { type: 'Invoice', id: invoice._id, label: invoice.invoice_number },
+      clientId: invoice.user_id,
+      before,
+      after: { payment_status: invoice.payment_status, amount_paid: invoice.amount_paid },
+      reason,
+      metadata: { amount: paymentAmount, payment_method, payment_reference }
+    });
+
+    res.json({
+      success: true,
+      message: 'Payment recorded successfully',
+      data: {
+        invoice_id: invoice._id,
+        invoice_number: invoice.invoice_number,
+        payment_status: invoice.payment_status,
+        amount_paid: invoice.amount_paid,
+        balance_due: invoice.balance_due
+      }
+    });
+  } catch (error) {
+    logger.error('Record invoice payment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error recording payment',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Regenerate a client's invoice PDF after a correction, optionally emailing it again
+// @route   POST /api/admin/billing/invoices/:invoiceId/regenerate-pdf
+// @access  Admin
+router.post('/billing/invoices/:invoiceId/regenerate-pdf', requirePermission('billing'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.invoiceId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid invoice ID format'
+      });
+    }
+
+    const { send_email = false, reason } = req.body;
+
+    const invoice = await Invoice.findById(req.params.invoiceId);
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    const before = {
+      invoice_pdf_url: invoice.documents?.invoice_pdf_url,
+      invoice_pdf_generated_at: invoice.documents?.invoice_pdf_generated_at
+    };
+    const pdf = await InvoiceService.ensureInvoicePDF(invoice, { force: true });
+
+    let email = null;
+    if (send_email === true || send_email === 'true') {
+      email = await InvoiceService.sendInvoiceEmail(invoice);
+    }
+
+    await auditService.record(req, {
+      action: 'invoice.pdf_regenerate',
+      category: 'client',
+      target: { type: 'Invoice', id: invoice._id, label: invoice.invoice_number },
+      clientId: invoice.user_id,
+      before,
+      after: {
+        invoice_pdf_url: pdf.url,
+        invoice_pdf_generated_at: invoice.documents?.invoice_pdf_generated_at
+      },
+      reason,
+      metadata: { email_sent: Boolean(email?.success) }
+    });
+
+    res.json({
+      success: true,
+      message: email && !email.success
+        ? `Invoice PDF regenerated, but the email was not sent: ${email.message}`
+        : 'Invoice PDF regenerated successfully',
+      data: {
+        invoice_id: invoice._id,
+        invoice_number: invoice.invoice_number,
+        invoice_pdf_url: pdf.url,
+        email_sent: Boolean(email?.success)
+      }
+    });
+  } catch (error) {
+    logger.error('Regenerate invoice PDF error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error regenerating invoice PDF',
+      error: error.message
+    });
+  }
+});
+
+const EINVOICE_ERROR_STATUS = {
+  NOT_FOUND: 404,
+  INVOICE_CANCELLED: 400,
+  NOT_APPLICABLE: 400,
+  ALREADY_GENERATED: 409,
+  IRN_CANCELLED: 409,
+  MISSING_DETAILS: 422,
+  IRP_ERROR: 502
+};
+
+// @desc    Register an invoice with the IRP (retry a failed e-invoice) and send it if it was held
+// @route   POST /api/admin/billing/invoices/:invoiceId/einvoice
+// @access  Admin
+router.post('/billing/invoices/:invoiceId/einvoice', requirePermission('billing.manage'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.invoiceId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid invoice ID format'
+      });
+    }
+
+    const invoice = await Invoice.findById(req.params.invoiceId);
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    const before = {
+      einvoice_status: invoice.einvoice?.status || null,
+      last_error: invoice.einvoice?.last_error
+    };
+    const result = await einvoiceService.generateIRN(invoice, { by: req.admin.email });
+    if (!result.success && !['IRP_ERROR', 'MISSING_DETAILS'].includes(result.code)) {
+      return res.status(EINVOICE_ERROR_STATUS[result.code] || 400).json({
+        success: false,
+        code: result.code,
+        message: result.error
+      });
+    }
+
+    // Send the invoice that was held for its IRN
+    let email = null;
+    if (result.success) {
+      email = (await InvoiceService.issueInvoice(invoice, null, req.admin.email)).email;
+    }
+
+    await auditService.record(req, {
+      action: 'invoice.irn_generate',
+      category: 'client',
+      target: { type: 'Invoice', id: invoice._id, label: invoice.invoice_number },
+      clientId: invoice.user_id,
+      before,
+      after: {
+        einvoice_status: invoice.einvoice.status,
+        irn: invoice.irn,
+        ack_no: invoice.einvoice.ack_no
+      },
+      reason: req.body?.reason,
+      metadata: {
+        irp: invoice.einvoice.irp,
+        attempts: invoice.einvoice.attempts,
+        error: result.error,
+        email_sent: Boolean(email?.success)
+      }
+    });
+
+    if (!result.success) {
+      return res.status(EINVOICE_ERROR_STATUS[result.code]).json({
+        success: false,
+        code: result.code,
+        message: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `IRN generated for invoice ${invoice.invoice_number}${email?.success ? ' and the invoice was emailed' : ''}`,
+      data: {
+        invoice_id: invoice._id,
+        invoice_number: invoice.invoice_number,
+        irn: invoice.irn,
+        ack_no: invoice.einvoice.ack_no,
+        ack_date: invoice.einvoice.ack_date,
+        email_sent: Boolean(email?.success)
+      }
+    });
+  } catch (error) {
+    logger.error('Generate IRN error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating IRN',
+      error: error.message
+    });
+  }
+});
+
+// @desc    List a client's credit / debit notes and the invoices notes can be issued against
+// @route   GET /api/admin/billing/clients/:clientId/notes
+// @access  Admin
+router.get('/billing/clients/:clientId/notes', requirePermission('billing'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.clientId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid client ID format'
+      });
+    }
+
+    const { page = 1, limit = 20, note_type, search = '' } = req.query;
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+    const [result, invoices] = await Promise.all([
+      invoiceNoteService.getNotes({
+        userId: req.params.clientId,
+        noteType: ['credit_note', 'debit_note'].includes(note_type) ? note_type : undefined,
+        search
+      }, { page: pageNum, limit: limitNum }),
+      Invoice.find({ user_id: req.params.clientId, payment_status: { $ne: 'cancelled' } })
+        .select('invoice_number invoice_date payment_status amounts.grand_total amount_paid balance_due note_adjustment')
+        .sort({ invoice_date: -1 })
+        .limit(50)
+        .lean()
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        notes: result.notes,
+        pagination: result.pagination,
+        invoices
+      }
+    });
+  } catch (error) {
+    logger.error('Get client notes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching credit and debit notes',
+      error: error.message
+    });
+  }
+});
+
+const NOTE_ERROR_STATUS = {
+  NOT_FOUND: 404,
+  USER_NOT_FOUND: 404,
+  INSUFFICIENT_BALANCE: 400,
+  INVOICE_CANCELLED: 400,
+  AWB_NOT_ON_INVOICE: 400,
+  TRANSACTION_NOT_FOUND: 400,
+  INVALID_NOTE: 400,
+  INVALID_AMOUNT: 400,
+  EXCEEDS_INVOICE: 400,
+  EXCEEDS_BALANCE: 400,
+  INVOICE_CHANGED: 409
+};
+
+// @desc    Issue a credit or debit note against a client's invoice
+// @route   POST /api/admin/billing/invoices/:invoiceId/notes
+// @access  Admin
+router.post('/billing/invoices/:invoiceId/notes', requirePermission('billing.manage'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.invoiceId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid invoice ID format'
+      });
+    }
+
+    const {
+      note_type,
+      reason_code = 'other',
+      reason,
+      line_items,
+      inclusive_of_gst = false,
+      settlement,
+      transaction_id
+    } = req.body || {};
+
+    if (!['credit_note', 'debit_note'].includes(note_type)) {
+      return res.status(400).json({
+        success: false,
+        message: 'note_type must be credit_note or debit_note'
+      });
+    }
+    if (!['wallet', 'invoice', 'none'].includes(settlement)) {
+      return res.status(400).json({
+        success: false,
+        message: 'settlement must be wallet, invoice or none'
+      });
+    }
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required'
+      });
+    }
+    if (!Array.isArray(line_items) || line_items.length === 0 ||
+        line_items.some(item => !item?.description || !(parseFloat(item.amount) > 0))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Each line needs a description and an amount greater than zero'
+      });
+    }
+    if (transaction_id && !mongoose.Types.ObjectId.isValid(transaction_id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid transaction ID format'
+      });
+    }
+
+    const invoice = await Invoice.findById(req.params.invoiceId);
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    const before = {
+      payment_status: invoice.payment_status,
+      balance_due: invoice.balance_due,
+      note_adjustment: invoice.note_adjustment
+    };
+
+    const result = await invoiceNoteService.issueNote(invoice, {
+      noteType: note_type,
+      reasonCode: reason_code,
+      reason: reason.trim(),
+      lineItems: line_items.map(item => ({
+        description: String(item.description).trim(),
+        awb_number: item.awb_number ? String(item.awb_number).trim() : undefined,
+        amount: parseFloat(item.amount)
+      })),
+      inclusiveOfGst: inclusive_of_gst === true || inclusive_of_gst === 'true',
+      settlement,
+      transactionId: settlement === 'none' ? transaction_id : undefined,
+      issuedBy: req.admin.email
+    });
+
+    if (!result.success) {
+      return res.status(NOTE_ERROR_STATUS[result.code] || 500).json({
+        success: false,
+        code: result.code,
+        message: result.error
+      });
+    }
+
+    const note = result.note;
+    const updatedInvoice = result.invoice;
+    await auditService.record(req, {
+      action: note_type === 'credit_note' ? 'invoice.credit_note_issue' : 'invoice.debit_note_issue',
+      category: 'client',
+      target: { type: 'Invoice', id: invoice._id, label: invoice.invoice_number },
+      clientId: invoice.user_id,
+      before,
+      after: {
+        payment_status: updatedInvoice.payment_status,
+        balance_due: updatedInvoice.balance_due,
+        note_adjustment: updatedInvoice.note_adjustment
+      },
+      reason: note.reason,
+      metadata: {
+        note_id: note._id,
+        note_number: note.note_number,
+        reason_code: note.reason_code,
+        total: note.amounts.total,
+        settlement,
+        transaction_id: result.transaction?.transaction_id || transaction_id
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `${note_type === 'credit_note' ? 'Credit' : 'Debit'} note ${note.note_number} issued`,
+      data: {
+        note,
+        invoice: {
+          payment_status: updatedInvoice.payment_status,
+          balance_due: updatedInvoice.balance_due
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Issue invoice note error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error issuing note',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Download a credit / debit note PDF
+// @route   GET /api/admin/billing/notes/:noteId/download
+// @access  Admin
+router.get('/billing/notes/:noteId/download', requirePermission('billing'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.noteId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid note ID format'
+      });
+    }
+
+    const note = await InvoiceNote.findById(req.params.noteId);
+    if (!note) {
+      return res.status(404).json({
+        success: false,
+        message: 'Note not found'
+      });
+    }
+
+    const pdf = await invoiceNoteService.getNotePDF(note);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${note.note_number}.pdf"`);
+    res.send(pdf);
+  } catch (error) {
+    logger.error('Download note error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error downloading note',
+      error: error.message
+    });
+  }
+});
+
+const formatBillingCycle = (cycle) => {
+  const lateCharges = cycle.late_charges || [];
+  return {
+    _id: cycle._id,
+    cycle_id: cycle.cycle_id,
+    client: cycle.user_id,
+    period_display: cycle.period_display,
+    start_date: cycle.start_date,
+    end_date: cycle.end_date,
+    status: cycle.status,
+    summary: cycle.summary,
+    late_charges: lateCharges,
+    late_charges_total: Math.round(lateCharges.reduce((sum, charge) => sum + charge.amount, 0) * 100) / 100,
+    invoice: cycle.invoice_id || null,
+    closed_at: cycle.closed_at,
+    invoiced_at: cycle.invoiced_at,
+    last_run: cycle.last_run,
+    voided_at: cycle.voided_at,
+    voided_by: cycle.voided_by,
+    void_reason: cycle.void_reason
+  };
+};
+
+// @desc    List billing cycles with their invoice (override screen)
+// @route   GET /api/admin/billing/cycles
+// @access  Admin
+router.get('/billing/cycles', requirePermission('billing'), async (req, res) => {
+  try {
+    const { page = 1, limit = 25, status, search = '', failed } = req.query;
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 25, 1), 100);
+
+    const query = {};
+    if (status && ['open', 'closed', 'invoiced', 'void'].includes(status)) {
+      query.status = status;
+    }
+    if (failed === 'true') {
+      query['last_run.error'] = { $exists: true, $ne: null };
+    }
+    if (search) {
+      const clients = await User.find({
+        $or: [
+          { client_id: { $regex: search, $options: 'i' } },
+          { company_name: { $regex: search, $options: 'i' } },
+          { email: { $regex: search, $options: 'i' } }
+        ]
+      }).select('_id').limit(200);
+      query.user_id = { $in: clients.map(client => client._id) };
+    }
+
+    const [cycles, totalCycles] = await Promise.all([
+      BillingCycle.find(query)
+        .select('-order_ids')
+        .populate('user_id', 'client_id company_name email billing_mode')
+        .populate('invoice_id', 'invoice_number amounts.grand_total payment_status status balance_due irn einvoice.status einvoice.ack_no einvoice.last_error')
+        .sort({ end_date: -1, createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      BillingCycle.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        cycles: cycles.map(formatBillingCycle),
+        pagination: {
+          currentPage: pageNum,
+          totalPages: Math.ceil(totalCycles / limitNum),
+          totalCycles,
+          hasNext: pageNum * limitNum < totalCycles,
+          hasPrev: pageNum > 1
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Get billing cycles error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching billing cycles',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Close ended billing cycles and invoice closed ones now (same as the nightly job)
+// @route   POST /api/admin/billing/cycles/run-close
+// @access  Admin
+router.post('/billing/cycles/run-close', requirePermission('billing.manage'), async (req, res) => {
+  try {
+    const result = await billingCycleService.runCycleClose();
+
+    await auditService.record(req, {
+      action: 'billing_cycle.run_close',
+      category: 'system',
+      reason: req.body?.reason,
+      metadata: result
+    });
+
+    res.json({
+      success: true,
+      message: `${result.closed} closed, ${result.invoiced} invoiced, ${result.voided} voided, ${result.failed} failed`,
+      data: result
+    });
+  } catch (error) {
+    logger.error('Run billing cycle close error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error closing billing cycles',
+      error: error.message
+    });
+  }
+});
+
+const CYCLE_ERROR_STATUS = {
+  NOT_FOUND: 404,
+  CYCLE_OPEN: 400,
+  CYCLE_VOID: 400,
+  INVOICE_HAS_PAYMENTS: 409,
+  INVOICE_HAS_NOTES: 409,
+  IRN_CANCEL_WINDOW_EXPIRED: 409,
+  IRN_CANCEL_FAILED: 502,
+  INVOICE_FAILED: 500
+};
+
+// @desc    Re-run a billing cycle: close it if its period ended and (re)generate its invoice
+// @route   POST /api/admin/billing/cycles/:cycleId/rerun
+// @access  Admin
+router.post('/billing/cycles/:cycleId/rerun', requirePermission('billing.manage'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.cycleId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid billing cycle ID format'
+      });
+    }
+
+    const { reason } = req.body || {};
+    const result = await billingCycleService.rerunCycle(req.params.cycleId, { by: req.admin.email, reason });
+    if (!result.success) {
+      // The old invoice is already cancelled when only the new one failed
+      if (result.cancelled_invoice) {
+        await auditService.record(req, {
+          action: 'billing_cycle.rerun',
+          category: 'client',
+          target: { type: 'BillingCycle', id: req.params.cycleId },
+          before: { status: 'invoiced', invoice_number: result.cancelled_invoice },
+          after: { status: 'closed', invoice_number: null },
+          reason,
+          metadata: { error: result.error }
+        });
+      }
+      return res.status(CYCLE_ERROR_STATUS[result.code] || 400).json({
+        success: false,
+        message: result.error,
+        code: result.code
+      });
+    }
+
+    const cycle = await BillingCycle.findById(req.params.cycleId).select('cycle_id user_id status');
+    await auditService.record(req, {
+      action: 'billing_cycle.rerun',
+      category: 'client',
+      target: { type: 'BillingCycle', id: cycle._id, label: cycle.cycle_id },
+      clientId: cycle.user_id,
+      before: { status: result.previous_status, invoice_number: result.cancelled_invoice },
+      after: { status: result.status, invoice_number: result.invoice?.invoice_number || null },
+      reason
+    });
+
+    res.json({
+      success: true,
+      message: result.status === 'void'
+        ? 'Nothing left to bill; the billing cycle was voided'
+        : `Invoice ${result.invoice.invoice_number} generated`,
+      data: {
+        cycle_id: cycle.cycle_id,
+        status: result.status,
+        invoice_id: result.invoice?._id || null,
+        invoice_number: result.invoice?.invoice_number || null,
+        cancelled_invoice: result.cancelled_invoice
+      }
+    });
+  } catch (error) {
+    logger.error('Re-run billing cycle error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error re-running billing cycle',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Void a billing cycle so none of its charges are invoiced
+// @route   POST /api/admin/billing/cycles/:cycleId/void
+// @access  Admin
+router.post('/billing/cycles/:cycleId/void', requirePermission('billing.manage'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.cycleId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid billing cycle ID format'
+      });
+    }
+
+    const reason = String(req.body?.reason || '').trim();
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required to void a billing cycle'
+      });
+    }
+
+    const result = await billingCycleService.voidCycle(req.params.cycleId, { by: req.admin.email, reason });
+    if (!result.success) {
+      return res.status(CYCLE_ERROR_STATUS[result.code] || 400).json({
+        success: false,
+        message: result.error,
+        code: result.code
+      });
+    }
+
+    const cycle = await BillingCycle.findById(req.params.cycleId).select('cycle_id user_id');
+    await auditService.record(req, {
+      action: 'billing_cycle.void',
+      category: 'client',
+      target: { type: 'BillingCycle', id: cycle._id, label: cycle.cycle_id },
+      clientId: cycle.user_id,
+      before: { status: result.previous_status },
+      after: { status: 'void' },
+      reason,
+      metadata: { cancelled_invoice: result.cancelled_invoice }
+    });
+
+    res.json({
+      success: true,
+      message: result.cancelled_invoice
+        ? `Billing cycle voided and invoice ${result.cancelled_invoice} cancelled`
+        : 'Billing cycle voided',
+      data: {
+        cycle_id: cycle.cycle_id,
+        status: 'void',
+        cancelled_invoice: result.cancelled_invoice
+      }
+    });
+  } catch (error) {
+    logger.error('Void billing cycle error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error voiding billing cycle',
+      error: error.message
+    });
+  }
+});
+
+// ============================================================================
+// ADMIN ORDERS ROUTES
+// ============================================================================
+
+// @desc    List wallet reconciliation runs (newest first, without the drift rows)
+// @route   GET /api/admin/billing/wallet-reconciliations
+// @access  Admin
+router.get('/billing/wallet-reconciliations', requirePermission('billing'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const [runs, totalCount] = await Promise.all([
+      WalletReconciliation.find()
+        .select('-drifts')
+        .sort({ started_at: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      WalletReconciliation.countDocuments()
+    ]);
+
     res.json({
       success: true,
       data: {
-        transactions: transformedTransactions,
-        summary: {
-          current_balance: currentBalance,
-          total_credits: totalCredits,
-          total_debits: totalDebits
-        },
+        runs,
         pagination: {
           current_page: page,
           total_pages: Math.ceil(totalCount / limit),
@@ -3399,23 +5141,103 @@ router.get('/billing/clients/:clientId/wallet-transactions', async (req, res) =>
       }
     });
   } catch (error) {
-    console.error('Get client wallet transactions error:', error);
+    logger.error('Get wallet reconciliations error:', error);
     res.status(500).json({
       success: false,
-      message: 'Error fetching wallet transactions',
+      message: 'Error fetching wallet reconciliations',
       error: error.message
     });
   }
 });
 
-// ============================================================================
-// ADMIN ORDERS ROUTES
-// ============================================================================
+// @desc    Get one reconciliation run with its drifted wallets
+// @route   GET /api/admin/billing/wallet-reconciliations/:id
+// @access  Admin
+router.get('/billing/wallet-reconciliations/:id', requirePermission('billing'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid reconciliation ID'
+      });
+    }
+
+    const run = await WalletReconciliation.findById(req.params.id).lean();
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reconciliation run not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: run
+    });
+  } catch (error) {
+    logger.error('Get wallet reconciliation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching wallet reconciliation',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Run wallet reconciliation now instead of waiting for the nightly job
+// @route   POST /api/admin/billing/wallet-reconciliations/run
+// @access  Admin
+router.post('/billing/wallet-reconciliations/run', requirePermission('billing.manage'), async (req, res) => {
+  try {
+    if (walletLedgerService.isReconciling) {
+      return res.status(409).json({
+        success: false,
+        message: 'A wallet reconciliation is already running'
+      });
+    }
+
+    walletLedgerService.isReconciling = true;
+    let run;
+    try {
+      run = await walletLedgerService.reconcile({ trigger: 'manual', triggeredBy: req.admin.email });
+    } finally {
+      walletLedgerService.isReconciling = false;
+    }
+
+    await auditService.record(req, {
+      action: 'wallet.reconciliation_run',
+      category: 'wallet',
+      target: { type: 'WalletReconciliation', id: run._id },
+      reason: req.body?.reason,
+      metadata: {
+        status: run.status,
+        users_checked: run.users_checked,
+        drift_count: run.drift_count,
+        total_drift: run.total_drift
+      }
+    });
+
+    res.json({
+      success: run.status === 'completed',
+      message: run.status === 'completed'
+        ? `Reconciliation completed: ${run.drift_count} wallet(s) drifted`
+        : `Reconciliation failed: ${run.error}`,
+      data: run
+    });
+  } catch (error) {
+    logger.error('Run wallet reconciliation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error running wallet reconciliation',
+      error: error.message
+    });
+  }
+});
 
 // @desc    Get all clients with order counts
 // @route   GET /api/admin/orders/clients
 // @access  Admin
-router.get('/orders/clients', async (req, res) => {
+router.get('/orders/clients', requirePermission('orders.view'), async (req, res) => {
   try {
     const { page = 1, limit = 50, search = '' } = req.query;
     const skip = (parseInt(page) - 1) * parseInt(limit);
@@ -3522,7 +5344,7 @@ router.get('/orders/clients', async (req, res) => {
 // @desc    Get client orders
 // @route   GET /api/admin/orders/clients/:clientId/orders
 // @access  Admin
-router.get('/orders/clients/:clientId/orders', async (req, res) => {
+router.get('/orders/clients/:clientId/orders', requirePermission('orders.view'), async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 1000;
@@ -3614,7 +5436,7 @@ router.get('/orders/clients/:clientId/orders', async (req, res) => {
 // @desc    Get complete order details for admin view
 // @route   GET /api/admin/orders/:orderId/details
 // @access  Admin
-router.get('/orders/:orderId/details', async (req, res) => {
+router.get('/orders/:orderId/details', requirePermission('orders.view'), async (req, res) => {
   try {
     const { orderId } = req.params;
 
@@ -3736,7 +5558,7 @@ router.get('/orders/:orderId/details', async (req, res) => {
 // @desc    Get client order statistics
 // @route   GET /api/admin/orders/clients/:clientId/stats
 // @access  Admin
-router.get('/orders/clients/:clientId/stats', async (req, res) => {
+router.get('/orders/clients/:clientId/stats', requirePermission('orders.view'), async (req, res) => {
   try {
     let clientObjectId = null;
     if (mongoose.Types.ObjectId.isValid(req.params.clientId)) {
@@ -3802,7 +5624,7 @@ router.get('/orders/clients/:clientId/stats', async (req, res) => {
 // @desc    Get all clients with NDR counts
 // @route   GET /api/admin/ndr/clients
 // @access  Admin
-router.get('/ndr/clients', async (req, res) => {
+router.get('/ndr/clients', requirePermission('ndr.view'), async (req, res) => {
   try {
     const { page = 1, limit = 50, search = '' } = req.query;
     const skip = (parseInt(page) - 1) * parseInt(limit);
@@ -3898,7 +5720,7 @@ router.get('/ndr/clients', async (req, res) => {
 // @desc    Get client NDRs
 // @route   GET /api/admin/ndr/clients/:clientId/ndrs
 // @access  Admin
-router.get('/ndr/clients/:clientId/ndrs', async (req, res) => {
+router.get('/ndr/clients/:clientId/ndrs', requirePermission('ndr.view'), async (req, res) => {
   try {
     if (!mongoose.Types.ObjectId.isValid(req.params.clientId)) {
       return res.status(400).json({
@@ -4015,7 +5837,7 @@ router.get('/ndr/clients/:clientId/ndrs', async (req, res) => {
 // @desc    Get client NDR statistics
 // @route   GET /api/admin/ndr/clients/:clientId/stats
 // @access  Admin
-router.get('/ndr/clients/:clientId/stats', async (req, res) => {
+router.get('/ndr/clients/:clientId/stats', requirePermission('ndr.view'), async (req, res) => {
   try {
     if (!mongoose.Types.ObjectId.isValid(req.params.clientId)) {
       return res.status(400).json({
@@ -4075,29 +5897,36 @@ router.get('/ndr/clients/:clientId/stats', async (req, res) => {
 
 // ==================== STAFF MANAGEMENT ROUTES ====================
 
-// Middleware to ensure only admins (not staff) can access staff management
-const adminOnly = (req, res, next) => {
-  if (req.staff) {
-    return res.status(403).json({
-      success: false,
-      message: 'Access denied. Staff members cannot access staff management.'
-    });
+// Validate a role / permission list sent by the staff management screen
+const validateStaffAccess = (role, permissions) => {
+  if (role !== undefined && !Staff.ROLE_PERMISSIONS[role]) {
+    return `Role must be one of: ${Object.keys(Staff.ROLE_PERMISSIONS).join(', ')}`;
   }
-  if (!req.admin) {
-    return res.status(401).json({
-      success: false,
-      message: 'Unauthorized access. Admin credentials required.'
-    });
+  if (permissions !== undefined && permissions !== null) {
+    if (!Array.isArray(permissions)) {
+      return 'Permissions must be a list';
+    }
+    const unknown = permissions.filter(permission => !Staff.ALL_PERMISSIONS.includes(permission));
+    if (unknown.length > 0) {
+      return `Unknown permissions: ${unknown.join(', ')}`;
+    }
   }
-  next();
+  return null;
+};
+
+const toStaffResponse = (staff) => {
+  const staffData = staff.toObject();
+  delete staffData.password;
+  staffData.effective_permissions = staff.getEffectivePermissions();
+  return staffData;
 };
 
 // @desc    Create staff account
 // @route   POST /api/admin/staff
 // @access  Admin only
-router.post('/staff', adminOnly, async (req, res) => {
+router.post('/staff', requirePermission('staff.manage'), async (req, res) => {
   try {
-    const { name, email, password } = req.body;
+    const { name, email, password, role = 'staff', permissions } = req.body;
 
     // Validation
     if (!name || !email || !password) {
@@ -4114,6 +5943,14 @@ router.post('/staff', adminOnly, async (req, res) => {
       });
     }
 
+    const accessError = validateStaffAccess(role, permissions);
+    if (accessError) {
+      return res.status(400).json({
+        success: false,
+        message: accessError
+      });
+    }
+
     // Check if staff with email already exists
     const existingStaff = await Staff.findOne({ email: email.toLowerCase().trim() });
     if (existingStaff) {
@@ -4123,31 +5960,36 @@ router.post('/staff', adminOnly, async (req, res) => {
       });
     }
 
-    // Create staff account
+    // Create staff account (no permissions list = role defaults)
     const staff = new Staff({
       name: name.trim(),
       email: email.toLowerCase().trim(),
       password: password,
-      role: 'staff',
+      role,
+      permissions: Array.isArray(permissions) ? [...new Set(permissions)] : undefined,
       created_by: req.admin.email,
       is_active: true
     });
 
     await staff.save();
 
-    // Return staff without password
-    const staffData = staff.toObject();
-    delete staffData.password;
-
     logger.info('Staff account created', {
       staffEmail: staff.email,
+      role: staff.role,
       createdBy: req.admin.email
     });
 
+    await auditService.record(req, {
+      action: 'staff.create',
+      category: 'staff',
+      target: { type: 'Staff', id: staff._id, label: staff.email },
+      after: auditService.snapshot(staff, STAFF_AUDIT_FIELDS)
+    });
+
     res.status(201).json({
       success: true,
       message: 'Staff account created successfully',
-      data: staffData
+      data: toStaffResponse(staff)
     });
 
   } catch (error) {
@@ -4163,16 +6005,14 @@ router.post('/staff', adminOnly, async (req, res) => {
 // @desc    Get all staff members
 // @route   GET /api/admin/staff
 // @access  Admin only
-router.get('/staff', adminOnly, async (req, res) => {
+router.get('/staff', requirePermission('staff.manage'), async (req, res) => {
   try {
     const staffList = await Staff.find({})
-      .select('-password')
-      .sort({ createdAt: -1 })
-      .lean();
+      .sort({ createdAt: -1 });
 
     res.json({
       success: true,
-      data: staffList
+      data: staffList.map(toStaffResponse)
     });
 
   } catch (error) {
@@ -4188,10 +6028,10 @@ router.get('/staff', adminOnly, async (req, res) => {
 // @desc    Update staff account
 // @route   PATCH /api/admin/staff/:id
 // @access  Admin only
-router.patch('/staff/:id', adminOnly, async (req, res) => {
+router.patch('/staff/:id', requirePermission('staff.manage'), async (req, res) => {
   try {
     const { id } = req.params;
-    const { name, email, password, is_active } = req.body;
+    const { name, email, password, is_active, role, permissions } = req.body;
 
     if (!mongoose.Types.ObjectId.isValid(id)) {
       return res.status(400).json({
@@ -4200,6 +6040,14 @@ router.patch('/staff/:id', adminOnly, async (req, res) => {
       });
     }
 
+    const accessError = validateStaffAccess(role, permissions);
+    if (accessError) {
+      return res.status(400).json({
+        success: false,
+        message: accessError
+      });
+    }
+
     const staff = await Staff.findById(id);
     if (!staff) {
       return res.status(404).json({
@@ -4208,6 +6056,8 @@ router.patch('/staff/:id', adminOnly, async (req, res) => {
       });
     }
 
+    const staffBefore = auditService.snapshot(staff, STAFF_AUDIT_FIELDS);
+
     // Update fields
     if (name) staff.name = name.trim();
     if (email) {
@@ -4236,21 +6086,44 @@ router.patch('/staff/:id', adminOnly, async (req, res) => {
     if (typeof is_active === 'boolean') {
       staff.is_active = is_active;
     }
+    if (role !== undefined) {
+      staff.role = role;
+    }
+    if (permissions === null) {
+      // Back to the role's default permissions
+      staff.permissions = undefined;
+    } else if (permissions !== undefined) {
+      staff.permissions = [...new Set(permissions)];
+    }
 
     await staff.save();
 
-    const staffData = staff.toObject();
-    delete staffData.password;
+    // Open sessions pick up role/permission changes on the next request, but a
+    // new password or deactivation must log the staff member out everywhere
+    if (password || is_active === false) {
+      await adminSessionService.revokeStaffSessions(staff._id, password ? 'password_changed' : 'deactivated');
+    }
 
     logger.info('Staff account updated', {
       staffId: id,
+      role: staff.role,
       updatedBy: req.admin.email
     });
 
+    await auditService.record(req, {
+      action: 'staff.update',
+      category: 'staff',
+      target: { type: 'Staff', id: staff._id, label: staff.email },
+      before: staffBefore,
+      after: auditService.snapshot(staff, STAFF_AUDIT_FIELDS),
+      // The password itself is never recorded
+      metadata: password ? { password_changed: true } : undefined
+    });
+
     res.json({
       success: true,
       message: 'Staff account updated successfully',
-      data: staffData
+      data: toStaffResponse(staff)
     });
 
   } catch (error) {
@@ -4266,7 +6139,7 @@ router.patch('/staff/:id', adminOnly, async (req, res) => {
 // @desc    Delete/Deactivate staff account
 // @route   DELETE /api/admin/staff/:id
 // @access  Admin only
-router.delete('/staff/:id', adminOnly, async (req, res) => {
+router.delete('/staff/:id', requirePermission('staff.manage'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -4288,12 +6161,21 @@ router.delete('/staff/:id', adminOnly, async (req, res) => {
     // Soft delete - set is_active to false instead of actually deleting
     staff.is_active = false;
     await staff.save();
+    await adminSessionService.revokeStaffSessions(staff._id, 'deactivated');
 
     logger.info('Staff account deactivated', {
       staffId: id,
       deactivatedBy: req.admin.email
     });
 
+    await auditService.record(req, {
+      action: 'staff.deactivate',
+      category: 'staff',
+      target: { type: 'Staff', id: staff._id, label: staff.email },
+      before: { is_active: true },
+      after: { is_active: false }
+    });
+
     res.json({
       success: true,
       message: 'Staff account deactivated successfully'
@@ -4309,35 +6191,32 @@ router.delete('/staff/:id', adminOnly, async (req, res) => {
   }
 });
 
-// @desc    Verify staff credentials (for login)
+// @desc    Verify the current admin session (kept for older panel builds)
 // @route   POST /api/admin/staff/verify
-// @access  Protected (requires valid admin or staff credentials in headers)
+// @access  Protected (any valid admin session)
 router.post('/staff/verify', async (req, res) => {
   try {
-    // This route uses adminAuth middleware, so if we reach here, credentials are valid
+    // This route uses adminAuth middleware, so if we reach here, the session is valid
     if (req.staff) {
       return res.json({
         success: true,
         staff: {
           name: req.staff.name,
           email: req.staff.email,
-          role: req.staff.role
-        }
-      });
-    } else if (req.admin) {
-      return res.json({
-        success: true,
-        admin: {
-          email: req.admin.email,
-          role: 'admin'
+          role: req.staff.role,
+          permissions: req.admin.permissions
         }
       });
-    } else {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid credentials'
-      });
     }
+
+    return res.json({
+      success: true,
+      admin: {
+        email: req.admin.email,
+        role: 'admin',
+        permissions: req.admin.permissions
+      }
+    });
   } catch (error) {
     logger.error('Staff verification error:', error);
     res.status(500).json({
@@ -4354,7 +6233,7 @@ router.post('/staff/verify', async (req, res) => {
 // @desc    Get all ratecard categories
 // @route   GET /api/admin/ratecard
 // @access  Admin only
-router.get('/ratecard', adminOnly, async (req, res) => {
+router.get('/ratecard', requirePermission('ratecard.edit'), async (req, res) => {
   try {
     const categories = await RateCardService.getAvailableUserCategories();
     
@@ -4373,9 +6252,9 @@ router.get('/ratecard', adminOnly, async (req, res) => {
 });
 
 // @desc    Get specific ratecard by user category
-// @route   GET /api/admin/ratecard/:userCategory
+// @route   GET /api/admin/ratecard/:userCategory?carrier=DELHIVERY
 // @access  Admin only
-router.get('/ratecard/:userCategory', adminOnly, async (req, res) => {
+router.get('/ratecard/:userCategory', requirePermission('ratecard.edit'), async (req, res) => {
   try {
     const { userCategory } = req.params;
     
@@ -4391,7 +6270,7 @@ router.get('/ratecard/:userCategory', adminOnly, async (req, res) => {
       normalizedCategory = 'Lite User';
     }
     
-    const rateCard = await RateCard.findByCategory(normalizedCategory);
+    const rateCard = await RateCard.findByCategory(normalizedCategory, req.query.carrier);
     
     if (!rateCard) {
       return res.status(404).json({
@@ -4416,9 +6295,9 @@ router.get('/ratecard/:userCategory', adminOnly, async (req, res) => {
 });
 
 // @desc    Update ratecard for a user category
-// @route   PATCH /api/admin/ratecard/:userCategory
+// @route   PATCH /api/admin/ratecard/:userCategory?carrier=DELHIVERY
 // @access  Admin only
-router.patch('/ratecard/:userCategory', adminOnly, async (req, res) => {
+router.patch('/ratecard/:userCategory', requirePermission('ratecard.edit'), async (req, res) => {
   try {
     const { userCategory } = req.params;
     const updates = req.body;
@@ -4436,7 +6315,7 @@ router.patch('/ratecard/:userCategory', adminOnly, async (req, res) => {
     }
     
     // Find the ratecard
-    const rateCard = await RateCard.findByCategory(normalizedCategory);
+    const rateCard = await RateCard.findByCategory(normalizedCategory, req.query.carrier);
     
     if (!rateCard) {
       return res.status(404).json({
@@ -4445,6 +6324,8 @@ router.patch('/ratecard/:userCategory', adminOnly, async (req, res) => {
       });
     }
     
+    const rateCardBefore = auditService.snapshot(rateCard, RATECARD_AUDIT_FIELDS);
+
     // Validate and update forwardCharges if provided
     if (updates.forwardCharges) {
       if (!Array.isArray(updates.forwardCharges)) {
@@ -4511,6 +6392,17 @@ router.patch('/ratecard/:userCategory', adminOnly, async (req, res) => {
       rateCard.rtoCharges = updates.rtoCharges;
     }
     
+    // Express slabs are the Surface slabs times this multiplier
+    if (updates.expressMultiplier !== undefined) {
+      if (typeof updates.expressMultiplier !== 'number' || updates.expressMultiplier < 1) {
+        return res.status(400).json({
+          success: false,
+          message: 'Express multiplier must be a number of at least 1'
+        });
+      }
+      rateCard.expressMultiplier = updates.expressMultiplier;
+    }
+
     // Update codCharges if provided
     if (updates.codCharges) {
       if (updates.codCharges.percentage !== undefined) {
@@ -4549,6 +6441,15 @@ router.patch('/ratecard/:userCategory', adminOnly, async (req, res) => {
       updatedBy: req.admin?.email || req.staff?.email || 'unknown',
       timestamp: new Date().toISOString()
     });
+
+    await auditService.record(req, {
+      action: 'ratecard.update',
+      category: 'ratecard',
+      target: { type: 'RateCard', id: rateCard._id, label: `${normalizedCategory} (${rateCard.carrier || 'default'})` },
+      before: rateCardBefore,
+      after: auditService.snapshot(rateCard, RATECARD_AUDIT_FIELDS),
+      reason: updates.reason
+    });
     
     res.json({
       success: true,
@@ -4565,4 +6466,228 @@ router.patch('/ratecard/:userCategory', adminOnly, async (req, res) => {
   }
 });
 
+// ============================================
+// INBOUND WEBHOOK JOB QUEUE (dead letters)
+// ============================================
+
+// @desc    Webhook queue statistics
+// @route   GET /api/admin/webhook-jobs/stats
+// @access  Admin
+router.get('/webhook-jobs/stats', requirePermission('system'), async (req, res) => {
+  try {
+    const stats = await webhookQueue.getStats();
+    res.json({
+      success: true,
+      data: stats
+    });
+  } catch (error) {
+    logger.error('Error fetching webhook queue stats:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching webhook queue stats',
+      error: error.message
+    });
+  }
+});
+
+// @desc    List webhook jobs (defaults to dead letters)
+// @route   GET /api/admin/webhook-jobs?status=dead&type=&waybill=&page=&limit=
+// @access  Admin
+router.get('/webhook-jobs', requirePermission('system'), async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const status = req.query.status === 'all' ? undefined : (req.query.status || 'dead');
+
+    const { jobs, total } = await webhookQueue.listJobs(
+      { status, type: req.query.type, waybill: req.query.waybill },
+      { page, limit }
+    );
+
+    res.json({
+      success: true,
+      data: {
+        jobs,
+        pagination: {
+          current_page: page,
+          total_pages: Math.ceil(total / limit),
+          total_count: total,
+          per_page: limit
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Error listing webhook jobs:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error listing webhook jobs',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Get a webhook job including payload and error history
+// @route   GET /api/admin/webhook-jobs/:jobId
+// @access  Admin
+router.get('/webhook-jobs/:jobId', requirePermission('system'), async (req, res) => {
+  try {
+    const job = await webhookQueue.getJob(req.params.jobId);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook job not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: job
+    });
+  } catch (error) {
+    logger.error('Error fetching webhook job:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching webhook job',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Re-drive dead webhook jobs - by ids, or every dead job matching type / waybill
+// @route   POST /api/admin/webhook-jobs/redrive  { job_ids?, type?, waybill?, all? }
+// @access  Admin
+router.post('/webhook-jobs/redrive', requirePermission('system'), async (req, res) => {
+  try {
+    const { job_ids: jobIds, type, waybill, all } = req.body || {};
+    const hasIds = Array.isArray(jobIds) && jobIds.length > 0;
+
+    if (!hasIds && !type && !waybill && all !== true) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide job_ids, type or waybill (or all: true to re-drive every dead job)'
+      });
+    }
+
+    const count = await webhookQueue.redrive({ jobIds: hasIds ? jobIds : undefined, type, waybill });
+
+    logger.info('Webhook jobs re-driven', {
+      count,
+      jobIds,
+      type,
+      waybill,
+      redrivenBy: req.admin?.email || req.staff?.email || 'unknown'
+    });
+
+    await auditService.record(req, {
+      action: 'system.webhook_redrive',
+      category: 'system',
+      target: { type: 'WebhookJob', label: hasIds ? `${jobIds.length} job(s)` : (type || waybill || 'all dead jobs') },
+      metadata: { requeued: count, job_ids: hasIds ? jobIds : undefined, type, waybill }
+    });
+
+    res.json({
+      success: true,
+      message: `${count} webhook job(s) re-queued`,
+      data: { requeued: count }
+    });
+  } catch (error) {
+    logger.error('Error re-driving webhook jobs:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error re-driving webhook jobs',
+      error: error.message
+    });
+  }
+});
+
+// ============================================
+// AUDIT LOG
+// ============================================
+
+const auditFiltersFromQuery = (query) => ({
+  client: query.client,
+  actor: query.actor,
+  action: query.action,
+  category: query.category,
+  target_id: query.target_id,
+  from: query.from,
+  to: query.to
+});
+
+// @desc    Search the audit log
+// @route   GET /api/admin/audit-logs?client=&actor=&action=&category=&target_id=&from=&to=&page=&limit=
+// @access  Admin (audit.view)
+router.get('/audit-logs', requirePermission('audit.view'), async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    const result = await auditService.search(auditFiltersFromQuery(req.query), { page, limit });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    logger.error('Error searching audit log:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error searching audit log',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Distinct audit actions (for the filter dropdown)
+// @route   GET /api/admin/audit-logs/actions
+// @access  Admin (audit.view)
+router.get('/audit-logs/actions', requirePermission('audit.view'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await auditService.listActions()
+    });
+  } catch (error) {
+    logger.error('Error fetching audit actions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching audit actions',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Export matching audit entries as CSV
+// @route   GET /api/admin/audit-logs/export?<same filters as search>
+// @access  Admin (audit.view)
+router.get('/audit-logs/export', requirePermission('audit.view'), async (req, res) => {
+  try {
+    const filters = auditFiltersFromQuery(req.query);
+    const { csv, count, truncated } = await auditService.exportCsv(filters);
+
+    // Exports are themselves audited
+    await auditService.record(req, {
+      action: 'system.audit_export',
+      category: 'system',
+      metadata: { filters, rows: count, truncated }
+    });
+
+    const filename = `audit-log-${new Date().toISOString().slice(0, 10)}.csv`;
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', buildContentDisposition(filename));
+    if (truncated) {
+      res.setHeader('X-Export-Truncated', 'true');
+    }
+    res.send(csv);
+  } catch (error) {
+    logger.error('Error exporting audit log:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error exporting audit log',
+      error: error.message
+    });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,144 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const Staff = require('../models/Staff');
+const { adminAuth } = require('../middleware/adminAuth');
+const adminSessionService = require('../services/adminSessionService');
+const auditService = require('../services/auditService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Failed logins only - a valid login doesn't count against the window
+const loginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  skipSuccessfulRequests: true,
+  message: {
+    success: false,
+    message: 'Too many failed login attempts, please try again in 15 minutes'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// @desc    Log in to the admin panel
+// @route   POST /api/admin/auth/login
+// @access  Public
+router.post('/login', loginLimiter, async (req, res) => {
+  try {
+    const { email, password } = req.body || {};
+    const result = await adminSessionService.login(email, password, {
+      ip: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    if (!result.success) {
+      await auditService.record(req, {
+        action: 'admin.login_failed',
+        category: 'access',
+        actor: { type: 'system', email: String(email || '').toLowerCase().trim() || undefined, name: 'unauthenticated' }
+      });
+      return res.status(result.code === 'NOT_CONFIGURED' ? 503 : 401).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    await auditService.record(req, {
+      action: 'admin.login',
+      category: 'access',
+      actor: auditService.actorFromRequest({ admin: result.admin })
+    });
+
+    res.json({
+      success: true,
+      message: 'Logged in successfully',
+      data: {
+        token: result.token,
+        expires_at: result.expires_at,
+        session_expires_at: result.session_expires_at,
+        admin: result.admin
+      }
+    });
+  } catch (error) {
+    logger.error('Admin login error', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Login failed'
+    });
+  }
+});
+
+// @desc    Current admin/staff with permissions
+// @route   GET /api/admin/auth/me
+// @access  Admin session
+router.get('/me', adminAuth, (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      admin: req.admin,
+      session_expires_at: req.adminSession.expires_at
+    }
+  });
+});
+
+// @desc    Exchange a valid token for a fresh one (until the session ends)
+// @route   POST /api/admin/auth/refresh
+// @access  Admin session
+router.post('/refresh', adminAuth, async (req, res) => {
+  try {
+    const result = await adminSessionService.refresh(req.adminSession);
+
+    res.json({
+      success: true,
+      data: {
+        token: result.token,
+        expires_at: result.expires_at,
+        session_expires_at: result.session_expires_at,
+        admin: req.admin
+      }
+    });
+  } catch (error) {
+    logger.error('Admin token refresh error', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Could not refresh session'
+    });
+  }
+});
+
+// @desc    End the current session
+// @route   POST /api/admin/auth/logout
+// @access  Admin session
+router.post('/logout', adminAuth, async (req, res) => {
+  try {
+    await adminSessionService.revoke(req.adminSession, 'logout');
+    await auditService.record(req, { action: 'admin.logout', category: 'access' });
+
+    res.json({
+      success: true,
+      message: 'Logged out'
+    });
+  } catch (error) {
+    logger.error('Admin logout error', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Logout failed'
+    });
+  }
+});
+
+// @desc    Permission catalogue and role defaults (for staff management)
+// @route   GET /api/admin/auth/permissions
+// @access  Admin session
+router.get('/permissions', adminAuth, (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      permissions: Object.entries(Staff.PERMISSIONS).map(([key, description]) => ({ key, description })),
+      roles: Staff.ROLE_PERMISSIONS
+    }
+  });
+});
+
+module.exports = router;
@@ -7,12 +7,31 @@ const Order = require('../models/Order');
 const User = require('../models/User');
 const crypto = require('crypto');
 const hdfcPaymentService = require('../services/hdfcPaymentService');
+const auditService = require('../services/auditService');
+const walletLedgerService = require('../services/walletLedgerService');
 
 const router = express.Router();
 
+// Audit trail for wallet top-ups credited from the payment gateway.
+// The gateway return URL has no logged-in user, so that credit is recorded as a system action.
+const auditWalletTopUp = (req, transaction, openingBalance, closingBalance) => auditService.record(req, {
+    action: 'wallet.payment_credit',
+    category: 'wallet',
+    actor: req.user ? undefined : { type: 'system', name: 'payment gateway' },
+    target: { type: 'Transaction', id: transaction.transaction_id, label: transaction.payment_info?.gateway_order_id },
+    clientId: transaction.user_id,
+    before: { wallet_balance: openingBalance },
+    after: { wallet_balance: closingBalance },
+    metadata: {
+        amount: transaction.amount,
+        gateway_transaction_id: transaction.payment_info?.gateway_transaction_id,
+        payment_method: transaction.payment_info?.payment_method
+    }
+});
+
 router.get('/wallet/balance', auth, async (req, res) => {
     try {
-        const user = await User.findById(req.user._id).select('wallet_balance');
+        const user = await User.findById(req.user._id).select('wallet_balance billing_mode credit_limit account_hold');
 
         const pendingCredits = await Transaction.aggregate([
             {
@@ -57,7 +76,12 @@ router.get('/wallet/balance', auth, async (req, res) => {
                 pending_credits: parseFloat(pendingCreditAmount.toFixed(2)),
                 pending_debits: parseFloat(pendingDebitAmount.toFixed(2)),
                 effective_balance: parseFloat((availableBalance - pendingDebitAmount).toFixed(2)),
-                currency: 'INR'
+                currency: 'INR',
+                billing_mode: user.billing_mode,
+                credit_limit: user.credit_limit || 0,
+                account_hold: user.account_hold?.active
+                    ? { active: true, reason: user.account_hold.reason, placed_at: user.account_hold.placed_at }
+                    : { active: false }
             }
         });
     } catch (error) {
@@ -315,31 +339,20 @@ const handlePaymentReturn = async (req, res) => {
             transaction.updated_at = new Date();
 
             if (isSuccess) {
-                transaction.status = 'completed';
-
-                // Credit wallet
-                const user = await User.findById(transaction.user_id);
-                if (user) {
-                    const openingBalance = user.wallet_balance || 0;
-                    // Use Math.round to avoid floating-point precision issues
-                    user.wallet_balance = Math.round((openingBalance + transaction.amount) * 100) / 100;
-                    await user.save();
-
-                    transaction.balance_info = {
-                        opening_balance: openingBalance,
-                        closing_balance: user.wallet_balance
-                    };
-
-                    console.log(`Wallet credited: Opening=${openingBalance}, Amount=${transaction.amount}, Closing=${user.wallet_balance}`);
+                // Credit wallet (no-op if the webhook or status sync already did)
+                const settlement = await walletLedgerService.settlePending(transaction);
+                if (!settlement.already_settled) {
+                    console.log(`Wallet credited: Opening=${settlement.opening_balance}, Amount=${transaction.amount}, Closing=${settlement.closing_balance}`);
+                    await auditWalletTopUp(req, transaction, settlement.opening_balance, settlement.closing_balance);
                 }
-                transaction.transaction_date = new Date();
-            } else if (internalStatus === 'failed') {
-                transaction.status = 'failed';
-                transaction.notes = orderStatus.errorMessage || orderStatus.errorCode || 'Payment failed';
+            } else {
+                if (internalStatus === 'failed') {
+                    transaction.status = 'failed';
+                    transaction.notes = orderStatus.errorMessage || orderStatus.errorCode || 'Payment failed';
+                }
+                // For pending status, we don't change the transaction status
+                await transaction.save();
             }
-            // For pending status, we don't change the transaction status
-
-            await transaction.save();
             console.log('Transaction saved successfully');
 
             // Redirect to payment confirmation page with status
@@ -528,28 +541,16 @@ router.post('/wallet/handle-payment-response',
             transaction.updated_at = new Date();
 
             if (isSuccess) {
-                // Payment successful - update wallet
-                transaction.status = 'completed';
-
-                const user = await User.findById(req.user._id);
-                const openingBalance = user.wallet_balance || 0;
-                // Use Math.round to avoid floating-point precision issues
-                user.wallet_balance = Math.round((openingBalance + transaction.amount) * 100) / 100;
-                await user.save();
+                // Payment successful - update wallet (no-op if the webhook already did)
+                const settlement = await walletLedgerService.settlePending(transaction);
+                if (!settlement.already_settled) {
+                    await auditWalletTopUp(req, transaction, settlement.opening_balance, settlement.closing_balance);
+                }
 
                 // Get live updated balance
                 const updatedUser = await User.findById(req.user._id).select('wallet_balance');
                 const newBalance = updatedUser.wallet_balance || 0;
 
-                // Update balance info
-                transaction.balance_info = {
-                    opening_balance: openingBalance,
-                    closing_balance: newBalance
-                };
-                transaction.transaction_date = new Date();
-
-                await transaction.save();
-
                 res.json({
                     success: true,
                     message: 'Payment successful. Wallet credited.',
@@ -660,29 +661,21 @@ router.post('/wallet/sync-payment-status/:order_id', auth, async (req, res) => {
             transaction.payment_info.payment_date = new Date();
             transaction.updated_at = new Date();
 
-            if (isSuccess && transaction.status !== 'completed') {
-                transaction.status = 'completed';
-
-                // Credit wallet
-                const user = await User.findById(transaction.user_id);
-                if (user) {
-                    const openingBalance = user.wallet_balance || 0;
-                    user.wallet_balance = Math.round((openingBalance + transaction.amount) * 100) / 100;
-                    transaction.balance_info = {
-                        opening_balance: openingBalance,
-                        closing_balance: user.wallet_balance
-                    };
-                    await user.save();
-                    console.log(`[SYNC] Wallet credited: ${transaction.amount}, New balance: ${user.wallet_balance}`);
+            if (isSuccess) {
+                // Credit wallet (no-op if the webhook or return URL already did)
+                const settlement = await walletLedgerService.settlePending(transaction);
+                if (!settlement.already_settled) {
+                    console.log(`[SYNC] Wallet credited: ${transaction.amount}, New balance: ${settlement.closing_balance}`);
+                    await auditWalletTopUp(req, transaction, settlement.opening_balance, settlement.closing_balance);
                 }
-                transaction.transaction_date = new Date();
-            } else if (internalStatus === 'failed') {
-                transaction.status = 'failed';
-                transaction.notes = orderStatus.errorMessage || 'Payment failed';
+            } else {
+                if (internalStatus === 'failed') {
+                    transaction.status = 'failed';
+                    transaction.notes = orderStatus.errorMessage || 'Payment failed';
+                }
+                await transaction.save();
             }
 
-            await transaction.save();
-
             res.json({
                 success: true,
                 message: `Payment status synced: ${transaction.status}`,
@@ -1264,46 +1257,27 @@ router.post('/deduct-wallet',
 
             const { amount, order_id, description } = req.body;
 
-            const user = await User.findById(req.user._id);
+            const transactionId = `TXN${Date.now()}${Math.random().toString(36).substr(2, 6).toUpperCase()}`;
+
+            const result = await walletLedgerService.debit({
+                userId: req.user._id,
+                amount: parseFloat(amount),
+                category: 'shipping_charge',
+                description,
+                fields: {
+                    transaction_id: transactionId,
+                    related_order_id: order_id
+                }
+            });
 
-            if (!user.wallet_balance || user.wallet_balance < amount) {
+            if (!result.success) {
                 return res.status(400).json({
                     success: false,
-                    message: 'Insufficient wallet balance'
+                    message: result.code === 'INSUFFICIENT_BALANCE' ? 'Insufficient wallet balance' : result.error
                 });
             }
 
-            const transactionId = `TXN${Date.now()}${Math.random().toString(36).substr(2, 6).toUpperCase()}`;
-
-            const transaction = new Transaction({
-                transaction_id: transactionId,
-                user_id: req.user._id,
-                related_order_id: order_id,
-                transaction_type: 'debit',
-                transaction_category: 'shipping_charge',
-                amount: amount,
-                description: description,
-                status: 'completed',
-                balance_info: {
-                    opening_balance: 0,
-                    closing_balance: 0
-                },
-                transaction_date: new Date(),
-                created_at: new Date(),
-                updated_at: new Date()
-            });
-
-            // Use Math.round to avoid floating-point precision issues
-            user.wallet_balance = Math.round((user.wallet_balance - amount) * 100) / 100;
-
-            await Promise.all([
-                transaction.save(),
-                user.save()
-            ]);
-
-            // CRITICAL: Retrieve the live updated wallet balance from database
-            const updatedUser = await User.findById(req.user._id).select('wallet_balance');
-            const liveUpdatedBalance = updatedUser.wallet_balance || 0;
+            const liveUpdatedBalance = result.closing_balance;
 
             res.json({
                 success: true,
@@ -0,0 +1,587 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { auth } = require('../middleware/auth');
+const ChannelConnection = require('../models/ChannelConnection');
+const Order = require('../models/Order');
+const Warehouse = require('../models/Warehouse');
+const Package = require('../models/Package');
+const channels = require('../services/channels');
+const channelSyncService = require('../services/channelSyncService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const MAX_CONNECTIONS_PER_SELLER = 10;
+const MAX_SKU_MAPPINGS = 1000;
+const MASKED_PREFIX = '••••';
+
+const isValidId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+const findOwnConnection = (req) => {
+  if (!isValidId(req.params.id)) {
+    return null;
+  }
+  return ChannelConnection.findOne({ _id: req.params.id, user_id: req.user._id });
+};
+
+const sendNotFound = (res) => res.status(404).json({
+  status: 'error',
+  message: 'Channel connection not found'
+});
+
+const sendValidationError = (res, error) => {
+  const messages = Object.values(error.errors || {}).map(e => e.message);
+  return res.status(400).json({
+    status: 'error',
+    message: messages[0] || error.message,
+    errors: messages
+  });
+};
+
+// Only keep the connector's credential fields; masked values mean "unchanged"
+const mergeCredentials = (connector, current = {}, incoming = {}) => {
+  const merged = { ...current };
+  connector.credentialFields.forEach(({ key }) => {
+    const value = incoming?.[key];
+    if (value === undefined || (typeof value === 'string' && value.startsWith(MASKED_PREFIX))) {
+      return;
+    }
+    merged[key] = typeof value === 'string' ? value.trim() : value;
+  });
+  return merged;
+};
+
+// Check the default warehouse / package belong to the seller
+const validateDefaults = async (userId, defaults = {}) => {
+  if (defaults.warehouse_id !== undefined) {
+    const warehouse = isValidId(defaults.warehouse_id) &&
+      await Warehouse.exists({ _id: defaults.warehouse_id, user_id: userId, is_active: true });
+    if (!warehouse) {
+      return 'Select an active pickup warehouse';
+    }
+  }
+  if (defaults.package_id) {
+    const pkg = isValidId(defaults.package_id) &&
+      await Package.exists({ _id: defaults.package_id, user_id: userId, is_active: true });
+    if (!pkg) {
+      return 'Default package not found';
+    }
+  }
+  return null;
+};
+
+// @desc    List channels sellers can connect
+// @route   GET /api/channels/available
+// @access  Private
+router.get('/available', auth, (req, res) => {
+  res.json({
+    status: 'success',
+    data: channels.listChannels()
+  });
+});
+
+// @desc    List connected stores
+// @route   GET /api/channels
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const connections = await ChannelConnection.find({ user_id: req.user._id }).sort({ createdAt: -1 });
+
+    res.json({
+      status: 'success',
+      data: connections.map(connection => connection.toSafeJSON())
+    });
+  } catch (error) {
+    logger.error('❌ Get channel connections error', { error: error.message, userId: req.user?._id });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error fetching channel connections'
+    });
+  }
+});
+
+// @desc    Connect a store (credentials are verified before saving)
+// @route   POST /api/channels
+// @access  Private
+router.post('/', auth, async (req, res) => {
+  try {
+    const { channel, name, credentials, defaults = {}, auto_sync, sync_interval_minutes, push_fulfilment } = req.body;
+
+    if (!channels.isEnabled(channel)) {
+      return res.status(400).json({
+        status: 'error',
+        message: channel ? `Channel ${channel} is not available` : 'Channel is required'
+      });
+    }
+
+    const count = await ChannelConnection.countDocuments({ user_id: req.user._id });
+    if (count >= MAX_CONNECTIONS_PER_SELLER) {
+      return res.status(400).json({
+        status: 'error',
+        message: `You can connect at most ${MAX_CONNECTIONS_PER_SELLER} stores`
+      });
+    }
+
+    const defaultsError = await validateDefaults(req.user._id, { warehouse_id: defaults.warehouse_id, package_id: defaults.package_id });
+    if (defaultsError) {
+      return res.status(400).json({ status: 'error', message: defaultsError });
+    }
+
+    const connector = channels.getConnector(channel);
+    const connection = new ChannelConnection({
+      user_id: req.user._id,
+      channel: connector.code,
+      name,
+      credentials: mergeCredentials(connector, {}, credentials),
+      defaults: {
+        warehouse_id: defaults.warehouse_id,
+        shipping_mode: defaults.shipping_mode,
+        package_id: defaults.package_id || null
+      },
+      auto_sync,
+      sync_interval_minutes,
+      push_fulfilment
+    });
+
+    const validationError = connection.validateSync();
+    if (validationError) {
+      return sendValidationError(res, validationError);
+    }
+
+    const test = await connector.testConnection(connection);
+    if (!test.success) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Could not connect to ${connector.name}: ${test.error}`
+      });
+    }
+
+    await connection.save();
+
+    logger.info('🔌 Channel connected', {
+      userId: req.user._id,
+      connectionId: connection._id,
+      channel: connection.channel
+    });
+
+    res.status(201).json({
+      status: 'success',
+      message: `${connector.name} store connected`,
+      data: connection.toSafeJSON()
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+    logger.error('❌ Create channel connection error', { error: error.message, userId: req.user?._id });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error connecting store'
+    });
+  }
+});
+
+// @desc    Get a connected store
+// @route   GET /api/channels/:id
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const connection = await findOwnConnection(req);
+    if (!connection) {
+      return sendNotFound(res);
+    }
+
+    res.json({
+      status: 'success',
+      data: connection.toSafeJSON()
+    });
+  } catch (error) {
+    logger.error('❌ Get channel connection error', { error: error.message, userId: req.user?._id });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error fetching channel connection'
+    });
+  }
+});
+
+// @desc    Update a connected store
+// @route   PUT /api/channels/:id
+// @access  Private
+router.put('/:id', auth, async (req, res) => {
+  try {
+    const connection = await findOwnConnection(req);
+    if (!connection) {
+      return sendNotFound(res);
+    }
+
+    const { name, credentials, defaults, is_active, auto_sync, sync_interval_minutes, push_fulfilment } = req.body;
+    const connector = channels.getConnector(connection.channel);
+
+    if (defaults) {
+      const defaultsError = await validateDefaults(req.user._id, defaults);
+      if (defaultsError) {
+        return res.status(400).json({ status: 'error', message: defaultsError });
+      }
+      ['warehouse_id', 'shipping_mode', 'package_id'].forEach(key => {
+        if (defaults[key] !== undefined) {
+          connection.defaults[key] = key === 'package_id' ? (defaults[key] || null) : defaults[key];
+        }
+      });
+    }
+
+    if (name !== undefined) connection.name = name;
+    if (is_active !== undefined) connection.is_active = Boolean(is_active);
+    if (auto_sync !== undefined) connection.auto_sync = Boolean(auto_sync);
+    if (sync_interval_minutes !== undefined) connection.sync_interval_minutes = sync_interval_minutes;
+    if (push_fulfilment !== undefined) connection.push_fulfilment = Boolean(push_fulfilment);
+
+    if (credentials) {
+      connection.credentials = mergeCredentials(connector, connection.credentials, credentials);
+      connection.markModified('credentials');
+
+      const test = await connector.testConnection(connection);
+      if (!test.success) {
+        return res.status(400).json({
+          status: 'error',
+          message: `Could not connect to ${connector.name}: ${test.error}`
+        });
+      }
+    }
+
+    await connection.save();
+
+    res.json({
+      status: 'success',
+      message: 'Store connection updated',
+      data: connection.toSafeJSON()
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+    logger.error('❌ Update channel connection error', { error: error.message, userId: req.user?._id });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error updating store connection'
+    });
+  }
+});
+
+// @desc    Disconnect a store (imported orders are kept)
+// @route   DELETE /api/channels/:id
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const connection = await findOwnConnection(req);
+    if (!connection) {
+      return sendNotFound(res);
+    }
+
+    await connection.deleteOne();
+
+    logger.info('🔌 Channel disconnected', {
+      userId: req.user._id,
+      connectionId: connection._id,
+      channel: connection.channel
+    });
+
+    res.json({
+      status: 'success',
+      message: 'Store disconnected'
+    });
+  } catch (error) {
+    logger.error('❌ Delete channel connection error', { error: error.message, userId: req.user?._id });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error disconnecting store'
+    });
+  }
+});
+
+// @desc    Test the stored credentials
+// @route   POST /api/channels/:id/test
+// @access  Private
+router.post('/:id/test', auth, async (req, res) => {
+  try {
+    const connection = await findOwnConnection(req);
+    if (!connection) {
+      return sendNotFound(res);
+    }
+
+    const result = await channels.getConnector(connection.channel).testConnection(connection);
+
+    res.status(result.success ? 200 : 400).json({
+      status: result.success ? 'success' : 'error',
+      message: result.success ? `Connected to ${result.store_name || connection.name}` : result.error,
+      data: result
+    });
+  } catch (error) {
+    logger.error('❌ Test channel connection error', { error: error.message, userId: req.user?._id });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error testing store connection'
+    });
+  }
+});
+
+// @desc    Pull unfulfilled orders now
+// @route   POST /api/channels/:id/sync
+// @access  Private
+router.post('/:id/sync', auth, async (req, res) => {
+  try {
+    const connection = await findOwnConnection(req);
+    if (!connection) {
+      return sendNotFound(res);
+    }
+
+    if (!connection.is_active || !channels.isEnabled(connection.channel)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'This store connection is disabled'
+      });
+    }
+
+    const result = await channelSyncService.syncConnection(connection);
+    if (result.skipped) {
+      return res.status(409).json({
+        status: 'error',
+        message: result.error
+      });
+    }
+
+    res.status(result.success ? 200 : 502).json({
+      status: result.success ? 'success' : 'error',
+      message: result.success
+        ? `Imported ${result.summary.imported} of ${result.summary.fetched} store orders`
+        : result.errors[0]?.error || 'Store sync failed',
+      data: result
+    });
+  } catch (error) {
+    logger.error('❌ Channel sync error', { error: error.message, userId: req.user?._id });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error syncing store orders'
+    });
+  }
+});
+
+// @desc    Get SKU -> package mappings
+// @route   GET /api/channels/:id/sku-mappings
+// @access  Private
+router.get('/:id/sku-mappings', auth, async (req, res) => {
+  try {
+    const connection = await findOwnConnection(req);
+    if (!connection) {
+      return sendNotFound(res);
+    }
+
+    await connection.populate('sku_mappings.package_id', 'name sku weight dimensions');
+
+    res.json({
+      status: 'success',
+      data: connection.sku_mappings.map(mapping => ({
+        sku: mapping.sku,
+        package_id: mapping.package_id?._id || null,
+        package: mapping.package_id || null
+      }))
+    });
+  } catch (error) {
+    logger.error('❌ Get SKU mappings error', { error: error.message, userId: req.user?._id });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error fetching SKU mappings'
+    });
+  }
+});
+
+// @desc    Replace SKU -> package mappings
+// @route   PUT /api/channels/:id/sku-mappings
+// @access  Private
+router.put('/:id/sku-mappings', auth, async (req, res) => {
+  try {
+    const connection = await findOwnConnection(req);
+    if (!connection) {
+      return sendNotFound(res);
+    }
+
+    const mappings = Array.isArray(req.body.mappings) ? req.body.mappings : [];
+    if (mappings.length > MAX_SKU_MAPPINGS) {
+      return res.status(400).json({
+        status: 'error',
+        message: `At most ${MAX_SKU_MAPPINGS} SKU mappings are allowed`
+      });
+    }
+
+    const cleaned = new Map();
+    for (const mapping of mappings) {
+      const sku = String(mapping?.sku || '').trim();
+      if (!sku || !isValidId(mapping.package_id)) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Every mapping needs a SKU and a package'
+        });
+      }
+      cleaned.set(sku, String(mapping.package_id));
+    }
+
+    const packageIds = [...new Set(cleaned.values())];
+    const owned = await Package.countDocuments({ _id: { $in: packageIds }, user_id: req.user._id, is_active: true });
+    if (owned !== packageIds.length) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'One or more packages were not found'
+      });
+    }
+
+    connection.sku_mappings = [...cleaned.entries()].map(([sku, packageId]) => ({ sku, package_id: packageId }));
+    await connection.save();
+
+    res.json({
+      status: 'success',
+      message: 'SKU mappings saved',
+      data: connection.sku_mappings
+    });
+  } catch (error) {
+    logger.error('❌ Update SKU mappings error', { error: error.message, userId: req.user?._id });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error saving SKU mappings'
+    });
+  }
+});
+
+// @desc    Orders imported from this store with their fulfilment push status
+// @route   GET /api/channels/:id/orders
+// @access  Private
+router.get('/:id/orders', auth, async (req, res) => {
+  try {
+    const connection = await findOwnConnection(req);
+    if (!connection) {
+      return sendNotFound(res);
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const filterQuery = { user_id: req.user._id, 'channel_info.connection_id': connection._id };
+    if (req.query.fulfilment_status) {
+      filterQuery['channel_info.fulfilment_status'] = req.query.fulfilment_status;
+    }
+
+    const [orders, total] = await Promise.all([
+      Order.find(filterQuery)
+        .select('order_id reference_id status carrier delhivery_data.waybill channel_info createdAt')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Order.countDocuments(filterQuery)
+    ]);
+
+    res.json({
+      status: 'success',
+      data: {
+        orders,
+        pagination: {
+          current_page: page,
+          total_pages: Math.ceil(total / limit),
+          total_count: total,
+          per_page: limit
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('❌ Get channel orders error', { error: error.message, userId: req.user?._id });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error fetching store orders'
+    });
+  }
+});
+
+// @desc    Push (or re-push) an order's AWB and tracking to the store
+// @route   POST /api/channels/:id/orders/:orderId/push-fulfilment
+// @access  Private
+router.post('/:id/orders/:orderId/push-fulfilment', auth, async (req, res) => {
+  try {
+    const connection = await findOwnConnection(req);
+    if (!connection) {
+      return sendNotFound(res);
+    }
+
+    const order = await Order.findOne({
+      order_id: req.params.orderId,
+      user_id: req.user._id,
+      'channel_info.connection_id': connection._id
+    });
+    if (!order) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Order not found for this store'
+      });
+    }
+    if (!order.delhivery_data?.waybill) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Generate an AWB before pushing the fulfilment'
+      });
+    }
+
+    const result = await channelSyncService.pushFulfilment(order, { force: true });
+
+    res.status(result.success ? 200 : 502).json({
+      status: result.success ? 'success' : 'error',
+      message: result.success ? 'Fulfilment pushed to store' : result.error,
+      data: result
+    });
+  } catch (error) {
+    logger.error('❌ Push fulfilment error', { error: error.message, userId: req.user?._id });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error pushing fulfilment'
+    });
+  }
+});
+
+// @desc    Create sample orders in a fake store (development / testing only)
+// @route   POST /api/channels/:id/sample-orders
+// @access  Private
+router.post('/:id/sample-orders', auth, async (req, res) => {
+  try {
+    const connection = await findOwnConnection(req);
+    if (!connection) {
+      return sendNotFound(res);
+    }
+
+    if (connection.channel !== 'FAKE_STORE' || !channels.isEnabled('FAKE_STORE')) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Sample orders can only be created in a Fake Store'
+      });
+    }
+
+    const count = Math.min(Math.max(parseInt(req.body.count) || 1, 1), 20);
+    const skus = Array.isArray(req.body.skus) && req.body.skus.length > 0
+      ? req.body.skus.map(sku => String(sku).trim()).filter(Boolean)
+      : connection.sku_mappings.map(mapping => mapping.sku);
+
+    const created = channels.getConnector('FAKE_STORE').seedOrders(connection.credentials.store_id, {
+      count,
+      skus: skus.length > 0 ? skus : undefined,
+      cod: Boolean(req.body.cod)
+    });
+
+    res.status(201).json({
+      status: 'success',
+      message: `${created.length} sample order(s) created in the store`,
+      data: created
+    });
+  } catch (error) {
+    logger.error('❌ Create sample orders error', { error: error.message, userId: req.user?._id });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error creating sample orders'
+    });
+  }
+});
+
+module.exports = router;
@@ -6,6 +6,7 @@ const NDR = require('../models/NDR');
 const SupportTicket = require('../models/Support');
 const Transaction = require('../models/Transaction');
 const User = require('../models/User');
+const pickupScheduleService = require('../services/pickupScheduleService');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -799,6 +800,63 @@ router.get('/recent-activity', auth, async (req, res) => {
   }
 });
 
+// @desc    Get failed and missed scheduled pickups, and upcoming pickups
+// @route   GET /api/dashboard/pickup-alerts
+// @access  Private
+router.get('/pickup-alerts', auth, async (req, res) => {
+  try {
+    const data = await pickupScheduleService.getDashboard(req.user._id);
+
+    res.json({
+      status: 'success',
+      data
+    });
+
+  } catch (error) {
+    logger.error('Pickup alerts error occurred', {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user._id
+    });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error fetching pickup alerts'
+    });
+  }
+});
+
+// @desc    Dismiss a failed or missed scheduled pickup alert
+// @route   PATCH /api/dashboard/pickup-alerts/:id/dismiss
+// @access  Private
+router.patch('/pickup-alerts/:id/dismiss', auth, async (req, res) => {
+  try {
+    const result = await pickupScheduleService.acknowledge(req.user._id, req.params.id);
+
+    if (!result.success) {
+      return res.status(404).json({
+        status: 'error',
+        message: result.error
+      });
+    }
+
+    res.json({
+      status: 'success',
+      message: 'Pickup alert dismissed'
+    });
+
+  } catch (error) {
+    logger.error('Dismiss pickup alert error occurred', {
+      error: error.message,
+      userId: req.user._id,
+      alertId: req.params.id
+    });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error dismissing pickup alert'
+    });
+  }
+});
+
 // @desc    Get performance metrics
 // @route   GET /api/dashboard/performance
 // @access  Private
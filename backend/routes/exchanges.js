@@ -0,0 +1,202 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { auth } = require('../middleware/auth');
+const User = require('../models/User');
+const exchangeService = require('../services/exchangeService');
+
+const router = express.Router();
+
+const EXCHANGE_ERROR_STATUS = {
+  NOT_FOUND: 404,
+  NOT_ELIGIBLE: 409,
+  NOT_ACTIVE: 409,
+  NOT_HELD: 409,
+  NOT_PICKED_UP: 409
+};
+
+const sendError = (res, result) => res.status(EXCHANGE_ERROR_STATUS[result.code] || 400).json({
+  success: false,
+  message: result.error,
+  code: result.code
+});
+
+const invalidId = (res, label) => res.status(400).json({
+  success: false,
+  message: `Invalid ${label} ID`
+});
+
+// @desc    Get client's exchanges
+// @route   GET /api/exchanges
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const { status = 'all', search = '', page = 1, limit = 25 } = req.query;
+    const result = await exchangeService.listExchanges(req.user._id, {
+      status,
+      search,
+      page: Math.max(parseInt(page) || 1, 1),
+      limit: Math.min(Math.max(parseInt(limit) || 25, 1), 100)
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Get exchanges error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching exchanges',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Items of a delivered order that can be exchanged
+// @route   GET /api/exchanges/order/:orderId
+// @access  Private
+router.get('/order/:orderId', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.orderId)) {
+      return invalidId(res, 'order');
+    }
+
+    const result = await exchangeService.getEligibility(req.params.orderId, req.user._id);
+    if (!result.success) {
+      return sendError(res, result);
+    }
+
+    res.json({
+      success: true,
+      data: result.data
+    });
+  } catch (error) {
+    console.error('Get exchange eligibility error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error loading order for exchange',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Charges for both legs of an exchange, without creating it
+// @route   POST /api/exchanges/order/:orderId/quote
+// @access  Private
+router.post('/order/:orderId/quote', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.orderId)) {
+      return invalidId(res, 'order');
+    }
+
+    const user = await User.findById(req.user._id).select('user_category');
+    const result = await exchangeService.getQuote(req.params.orderId, user, req.body || {});
+    if (!result.success) {
+      return sendError(res, result);
+    }
+
+    res.json({
+      success: true,
+      data: result.data
+    });
+  } catch (error) {
+    console.error('Quote exchange error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error calculating exchange charges',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Get an exchange with both legs
+// @route   GET /api/exchanges/:id
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return invalidId(res, 'exchange');
+    }
+
+    const exchange = await exchangeService.getExchange(req.params.id, req.user._id);
+    if (!exchange) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exchange not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: exchange
+    });
+  } catch (error) {
+    console.error('Get exchange error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching exchange',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Record the QC result for the returned item
+// @route   POST /api/exchanges/:id/qc
+// @access  Private
+router.post('/:id/qc', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return invalidId(res, 'exchange');
+    }
+
+    const { result: qcResult, notes } = req.body || {};
+    const result = await exchangeService.recordQc(req.params.id, req.user._id, { result: qcResult, notes });
+    if (!result.success) {
+      return sendError(res, result);
+    }
+
+    res.json({
+      success: true,
+      message: `QC ${qcResult} recorded`,
+      data: await exchangeService.getExchange(req.params.id, req.user._id)
+    });
+  } catch (error) {
+    console.error('Record exchange QC error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error recording QC result',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Release a held replacement order before its rule is met
+// @route   POST /api/exchanges/:id/release
+// @access  Private
+router.post('/:id/release', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return invalidId(res, 'exchange');
+    }
+
+    const result = await exchangeService.release(req.params.id, req.user._id);
+    if (!result.success) {
+      return sendError(res, result);
+    }
+
+    res.json({
+      success: true,
+      message: `Replacement order ${result.exchange.forward_leg.order_number} can now be shipped`,
+      data: await exchangeService.getExchange(req.params.id, req.user._id)
+    });
+  } catch (error) {
+    console.error('Release exchange error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error releasing replacement order',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
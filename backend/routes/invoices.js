@@ -4,6 +4,9 @@ const { query, param, body, validationResult } = require('express-validator');
 const { auth } = require('../middleware/auth');
 const Invoice = require('../models/Invoice');
 const InvoiceService = require('../services/invoiceService');
+const creditControlService = require('../services/creditControlService');
+const invoiceNoteService = require('../services/invoiceNoteService');
+const InvoiceNote = require('../models/InvoiceNote');
 const { Parser } = require('json2csv'); // npm install json2csv
 
 const router = express.Router();
@@ -113,6 +116,128 @@ router.get('/stats/summary', auth, async (req, res) => {
   }
 });
 
+// Fields of a credit / debit note shown to sellers
+const formatNote = (note) => ({
+  note_id: note._id,
+  note_number: note.note_number,
+  note_type: note.note_type,
+  note_date: note.note_date,
+  invoice_id: note.invoice_id,
+  invoice_number: note.invoice_number,
+  reason_code: note.reason_code,
+  reason: note.reason,
+  line_items: note.line_items,
+  amounts: note.amounts,
+  settlement: note.wallet_effect?.settlement,
+  wallet_amount: note.wallet_effect?.amount,
+  status: note.status
+});
+
+/**
+ * @desc    Get credit notes / debit notes (Credit Notes and Debit Notes tabs)
+ * @route   GET /api/invoices/notes
+ * @access  Private
+ * NOTE: Must be defined BEFORE /:id route to avoid route conflict
+ */
+router.get('/notes',
+  auth,
+  [
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+    query('note_type').optional().isIn(['credit_note', 'debit_note']),
+    query('start_date').optional().isISO8601(),
+    query('end_date').optional().isISO8601(),
+    query('search').optional().isString()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+      
+      const result = await invoiceNoteService.getNotes({
+        userId: req.user._id,
+        noteType: req.query.note_type,
+        startDate: req.query.start_date,
+        endDate: req.query.end_date,
+        search: req.query.search
+      }, {
+        page: parseInt(req.query.page) || 1,
+        limit: parseInt(req.query.limit) || 10
+      });
+      
+      res.json({
+        success: true,
+        data: {
+          notes: result.notes.map(formatNote),
+          pagination: result.pagination
+        }
+      });
+    } catch (error) {
+      console.error('Get invoice notes error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching notes',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @desc    Download a credit / debit note PDF
+ * @route   GET /api/invoices/notes/:noteId/download
+ * @access  Private
+ */
+router.get('/notes/:noteId/download',
+  auth,
+  [
+    param('noteId').isMongoId().withMessage('Invalid note ID')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+      
+      const note = await InvoiceNote.findOne({
+        _id: req.params.noteId,
+        user_id: req.user._id
+      });
+      
+      if (!note) {
+        return res.status(404).json({
+          success: false,
+          message: 'Note not found'
+        });
+      }
+      
+      const pdf = await invoiceNoteService.getNotePDF(note);
+      
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="${note.note_number}.pdf"`);
+      res.send(pdf);
+    } catch (error) {
+      console.error('Download note error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error downloading note',
+        error: error.message
+      });
+    }
+  }
+);
+
 /**
  * @desc    Get transaction list for invoice (Download Transaction List)
  * @route   GET /api/invoices/:id/transactions
@@ -192,6 +317,15 @@ router.get('/:id/download',
   ],
   async (req, res) => {
     try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+      
       const invoice = await Invoice.findOne({
         _id: req.params.id,
         user_id: req.user._id
@@ -204,17 +338,13 @@ router.get('/:id/download',
         });
       }
       
-      // If PDF URL exists, redirect to it
-      if (invoice.documents?.invoice_pdf_url) {
-        return res.redirect(invoice.documents.invoice_pdf_url);
-      }
+      // Served through the API (not a redirect to Cloudinary) so the authenticated
+      // blob download works; a stale or missing PDF is regenerated first
+      const pdf = await InvoiceService.getInvoicePDF(invoice);
       
-      // Otherwise, generate PDF (you'd implement PDF generation here)
-      // For now, return JSON data
-      res.json({
-        success: false,
-        message: 'PDF not available. Use /api/invoices/:id for invoice data.'
-      });
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="${invoice.invoice_number}.pdf"`);
+      res.send(pdf);
     } catch (error) {
       console.error('Download invoice error:', error);
       res.status(500).json({
@@ -284,6 +414,7 @@ router.get('/:id',
           payment_status: invoice.payment_status,
           amount_paid: invoice.amount_paid,
           balance_due: invoice.balance_due,
+          note_adjustment: invoice.note_adjustment,
           payment_info: invoice.payment_info,
           
           // Shipment Summary
@@ -294,6 +425,8 @@ router.get('/:id',
           
           // IRN (if available)
           irn: invoice.irn,
+          irn_date: invoice.irn_date,
+          irn_ack_no: invoice.einvoice?.ack_no,
           
           // Documents
           documents: invoice.documents,
@@ -317,18 +450,15 @@ router.get('/:id',
 );
 
 /**
- * @desc    Update invoice status (mark as paid, etc.)
- * @route   PATCH /api/invoices/:id/status
+ * @desc    Pay an invoice's balance due from the wallet
+ * @route   POST /api/invoices/:id/pay-from-wallet
  * @access  Private
  */
-router.patch('/:id/status',
+router.post('/:id/pay-from-wallet',
   auth,
   [
     param('id').isMongoId().withMessage('Invalid invoice ID'),
-    body('payment_status').isIn(['pending', 'paid', 'overdue', 'partially_paid', 'disputed']).withMessage('Invalid payment status'),
-    body('amount_paid').optional().isFloat({ min: 0 }).withMessage('Amount paid must be a positive number'),
-    body('payment_method').optional().isIn(['wallet_deduction', 'bank_transfer', 'upi', 'auto_debit', 'razorpay']).withMessage('Invalid payment method'),
-    body('payment_reference').optional().isString()
+    body('amount').optional().isFloat({ gt: 0 }).withMessage('Amount must be greater than 0')
   ],
   async (req, res) => {
     try {
@@ -353,49 +483,97 @@ router.patch('/:id/status',
         });
       }
 
-      const { payment_status, amount_paid, payment_method, payment_reference } = req.body;
+      const amount = req.body.amount !== undefined ? parseFloat(req.body.amount) : undefined;
+      const result = await creditControlService.payInvoiceFromWallet(invoice, {
+        amount,
+        postedBy: req.user.email
+      });
 
-      // Update payment status
-      invoice.payment_status = payment_status;
-      
-      if (amount_paid !== undefined) {
-        invoice.amount_paid = amount_paid;
+      if (!result.success) {
+        return res.status(400).json({
+          success: false,
+          message: result.code === 'INSUFFICIENT_BALANCE'
+            ? `Insufficient wallet balance. Available balance: ₹${result.available_balance}`
+            : result.error
+        });
       }
 
-      if (payment_status === 'paid' && payment_method) {
-        invoice.payment_info = {
-          payment_date: new Date(),
-          payment_method: payment_method,
-          payment_reference: payment_reference || null
-        };
-        invoice.status = 'paid';
+      res.json({
+        success: true,
+        message: 'Invoice payment recorded successfully',
+        data: {
+          invoice_id: invoice._id,
+          invoice_number: invoice.invoice_number,
+          payment_status: invoice.payment_status,
+          amount_paid: invoice.amount_paid,
+          balance_due: invoice.balance_due,
+          transaction_id: result.transaction.transaction_id,
+          wallet_balance: result.closing_balance
+        }
+      });
+    } catch (error) {
+      console.error('Pay invoice from wallet error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error paying invoice',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @desc    Raise a dispute on an invoice
+ * @route   PATCH /api/invoices/:id/status
+ * @access  Private
+ *
+ * Payments are recorded through pay-from-wallet or by an admin, so sellers
+ * can only move an invoice to disputed here.
+ */
+router.patch('/:id/status',
+  auth,
+  [
+    param('id').isMongoId().withMessage('Invalid invoice ID'),
+    body('payment_status').isIn(['disputed']).withMessage('Invoices can only be marked as disputed'),
+    body('dispute_reason').optional().isString().isLength({ max: 500 })
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
       }
 
-      await invoice.save();
+      const invoice = await Invoice.findOne({
+        _id: req.params.id,
+        user_id: req.user._id
+      });
 
-      // Send email notification if marked as paid
-      if (payment_status === 'paid') {
-        try {
-          const User = require('../models/User');
-          const user = await User.findById(req.user._id).select('email your_name company_name');
-          const emailService = require('../services/emailService');
-          
-          await emailService.sendInvoiceNotification({
-            invoice_id: invoice._id,
-            invoice_number: invoice.invoice_number,
-            invoice_date: invoice.invoice_date,
-            due_date: invoice.due_date,
-            amounts: invoice.amounts,
-            billing_address: invoice.billing_address,
-            user_email: user.email,
-            user_name: user.your_name || user.company_name
-          });
-        } catch (emailError) {
-          console.error('Failed to send invoice email notification:', emailError);
-          // Don't fail the status update if email fails
-        }
+      if (!invoice) {
+        return res.status(404).json({
+          success: false,
+          message: 'Invoice not found'
+        });
       }
 
+      if (invoice.payment_status === 'paid') {
+        return res.status(400).json({
+          success: false,
+          message: 'A paid invoice cannot be disputed'
+        });
+      }
+
+      invoice.payment_status = 'disputed';
+      invoice.status = 'disputed';
+      invoice.dispute_reason = req.body.dispute_reason || null;
+      invoice.dispute_date = new Date();
+
+      await invoice.save();
+
       res.json({
         success: true,
         message: 'Invoice status updated successfully',
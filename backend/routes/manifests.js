@@ -0,0 +1,290 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { auth } = require('../middleware/auth');
+const Manifest = require('../models/Manifest');
+const manifestService = require('../services/manifestService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const MANIFEST_ERROR_STATUS = {
+  NOT_FOUND: 404,
+  AWB_NOT_ON_MANIFEST: 404,
+  MANIFEST_CLOSED: 409,
+  NOT_OPEN: 409
+};
+
+const validationFailed = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) {
+    return false;
+  }
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors.array()
+  });
+  return true;
+};
+
+// @desc    Get manifests for logged-in user
+// @route   GET /api/manifests
+// @access  Private
+router.get('/', auth, [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('status').optional().isIn(['open', 'handed_over', 'closed', 'all']).withMessage('Invalid status filter'),
+  query('pickup_date').optional().isISO8601().withMessage('Invalid pickup date'),
+  query('search').optional().isString().trim()
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 25;
+    const filterQuery = { user_id: req.user._id };
+
+    if (req.query.status && req.query.status !== 'all') {
+      filterQuery.status = req.query.status;
+    }
+    if (req.query.pickup_date) {
+      filterQuery.pickup_date = new Date(req.query.pickup_date.slice(0, 10));
+    }
+    // Manifest number or an AWB on it
+    if (req.query.search) {
+      const search = req.query.search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      filterQuery.$or = [
+        { manifest_number: { $regex: search, $options: 'i' } },
+        { 'shipments.awb_number': req.query.search }
+      ];
+    }
+
+    const [manifests, totalCount] = await Promise.all([
+      Manifest.find(filterQuery)
+        .select('-shipments')
+        .sort({ pickup_date: -1, createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Manifest.countDocuments(filterQuery)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        manifests,
+        pagination: {
+          current_page: page,
+          total_pages: Math.ceil(totalCount / limit),
+          total_count: totalCount,
+          per_page: limit
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Get manifests error', {
+      userId: req.user._id,
+      error: error.message
+    });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch manifests',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Build manifests for scheduled pickups not on one yet
+// @route   POST /api/manifests/generate
+// @access  Private
+router.post('/generate', auth, [
+  body('pickup_date').optional().matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('pickup_date must be YYYY-MM-DD')
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const result = await manifestService.generateForUser(req.user._id, (req.body || {}).pickup_date);
+
+    res.json({
+      success: true,
+      message: result.added
+        ? `${result.added} shipment${result.added === 1 ? '' : 's'} added to manifests`
+        : 'All scheduled pickups are already on a manifest',
+      data: {
+        added: result.added,
+        manifests: result.manifests
+      }
+    });
+  } catch (error) {
+    logger.error('Generate manifests error', {
+      userId: req.user._id,
+      error: error.message
+    });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate manifests',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Get a manifest with its shipments
+// @route   GET /api/manifests/:id
+// @access  Private
+router.get('/:id', auth, [
+  param('id').isMongoId().withMessage('Invalid manifest ID')
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const manifest = await Manifest.findOne({ _id: req.params.id, user_id: req.user._id });
+    if (!manifest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Manifest not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: manifest
+    });
+  } catch (error) {
+    logger.error('Get manifest error', {
+      manifestId: req.params.id,
+      error: error.message
+    });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch manifest',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Download the manifest handover sheet
+// @route   GET /api/manifests/:id/download
+// @access  Private
+router.get('/:id/download', auth, [
+  param('id').isMongoId().withMessage('Invalid manifest ID')
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const manifest = await Manifest.findOne({ _id: req.params.id, user_id: req.user._id });
+    if (!manifest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Manifest not found'
+      });
+    }
+
+    const pdf = await manifestService.getManifestPDF(manifest);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${manifest.manifest_number}.pdf"`);
+    res.send(pdf);
+  } catch (error) {
+    logger.error('Download manifest error', {
+      manifestId: req.params.id,
+      error: error.message
+    });
+    res.status(500).json({
+      success: false,
+      message: 'Error downloading manifest',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Scan an AWB handed to the courier executive
+// @route   POST /api/manifests/:id/scan
+// @access  Private
+router.post('/:id/scan', auth, [
+  param('id').isMongoId().withMessage('Invalid manifest ID'),
+  body('awb').isString().trim().notEmpty().withMessage('AWB is required')
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const result = await manifestService.scanAwb(req.params.id, req.user, req.body.awb);
+    if (!result.success) {
+      return res.status(MANIFEST_ERROR_STATUS[result.code] || 400).json({
+        success: false,
+        message: result.error,
+        code: result.code
+      });
+    }
+
+    res.json({
+      success: true,
+      message: result.already_scanned
+        ? `AWB ${result.shipment.awb_number} was already scanned`
+        : `AWB ${result.shipment.awb_number} handed over`,
+      data: {
+        already_scanned: result.already_scanned,
+        shipment: result.shipment,
+        manifest: result.manifest
+      }
+    });
+  } catch (error) {
+    logger.error('Scan manifest AWB error', {
+      manifestId: req.params.id,
+      error: error.message
+    });
+    res.status(500).json({
+      success: false,
+      message: 'Error recording scan',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Close a manifest now, flagging unscanned shipments as not picked
+// @route   POST /api/manifests/:id/close
+// @access  Private
+router.post('/:id/close', auth, [
+  param('id').isMongoId().withMessage('Invalid manifest ID')
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const manifest = await Manifest.findOne({ _id: req.params.id, user_id: req.user._id });
+    if (!manifest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Manifest not found'
+      });
+    }
+
+    const result = await manifestService.closeManifest(manifest, 'user');
+    if (!result.success) {
+      return res.status(MANIFEST_ERROR_STATUS[result.code] || 400).json({
+        success: false,
+        message: result.error,
+        code: result.code
+      });
+    }
+
+    const notPicked = result.manifest.totals.not_picked;
+    res.json({
+      success: true,
+      message: notPicked
+        ? `Manifest closed. ${notPicked} shipment${notPicked === 1 ? '' : 's'} marked not picked.`
+        : 'Manifest closed. All shipments handed over.',
+      data: result.manifest
+    });
+  } catch (error) {
+    logger.error('Close manifest error', {
+      manifestId: req.params.id,
+      error: error.message
+    });
+    res.status(500).json({
+      success: false,
+      message: 'Error closing manifest',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -5,9 +5,42 @@ const moment = require('moment');
 const { auth } = require('../middleware/auth');
 const Order = require('../models/Order');
 const delhiveryService = require('../services/delhiveryService');
+const carriers = require('../services/carriers');
+const NDRRule = require('../models/NDRRule');
+const NDRAutomationLog = require('../models/NDRAutomationLog');
+const ndrRulesService = require('../services/ndrRulesService');
+const ndrActionService = require('../services/ndrActionService');
+const ndrOutreachService = require('../services/ndrOutreachService');
+const NDR = require('../models/NDR');
 
 const router = express.Router();
 
+const MAX_RULES_PER_SELLER = 50;
+const RULE_FIELDS = ['name', 'enabled', 'priority', 'conditions', 'action', 'action_reason'];
+
+const pickRuleFields = (body) => RULE_FIELDS.reduce((fields, key) => {
+  if (body[key] !== undefined) fields[key] = body[key];
+  return fields;
+}, {});
+
+// Buyer self-service link errors -> HTTP status
+const LINK_ERROR_STATUS = {
+  INVALID_LINK: 404,
+  LINK_EXPIRED: 410,
+  NDR_CLOSED: 409,
+  ALREADY_RESPONDED: 409,
+  INVALID_RESPONSE: 400
+};
+
+const sendValidationError = (res, error) => {
+  const messages = Object.values(error.errors || {}).map(e => e.message);
+  return res.status(400).json({
+    status: 'error',
+    message: messages[0] || error.message,
+    errors: messages
+  });
+};
+
 // @desc    Get all NDR orders with filters and pagination
 // @route   GET /api/ndr
 // @access  Private
@@ -140,6 +173,302 @@ router.get('/', auth, [
   }
 });
 
+// @desc    List the seller's NDR automation rules
+// @route   GET /api/ndr/rules
+// @access  Private
+router.get('/rules', auth, async (req, res) => {
+  try {
+    const rules = await NDRRule.find({ user_id: req.user._id }).sort({ priority: 1, createdAt: 1 });
+
+    res.json({
+      status: 'success',
+      data: rules
+    });
+  } catch (error) {
+    console.error('Get NDR rules error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error fetching NDR rules'
+    });
+  }
+});
+
+// @desc    Create an NDR automation rule
+// @route   POST /api/ndr/rules
+// @access  Private
+router.post('/rules', auth, async (req, res) => {
+  try {
+    const ruleCount = await NDRRule.countDocuments({ user_id: req.user._id });
+    if (ruleCount >= MAX_RULES_PER_SELLER) {
+      return res.status(400).json({
+        status: 'error',
+        message: `A maximum of ${MAX_RULES_PER_SELLER} NDR rules is allowed`
+      });
+    }
+
+    const rule = await NDRRule.create({ ...pickRuleFields(req.body), user_id: req.user._id });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'NDR rule created',
+      data: rule
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+    console.error('Create NDR rule error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error creating NDR rule'
+    });
+  }
+});
+
+// @desc    Dry-run the rules (saved, or unsaved ones in the body) against open NDRs
+// @route   POST /api/ndr/rules/preview
+// @access  Private
+router.post('/rules/preview', auth, [
+  body('rules').optional().isArray({ max: MAX_RULES_PER_SELLER }),
+  body('limit').optional().isInt({ min: 1, max: 200 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    let rules;
+    if (req.body.rules) {
+      rules = req.body.rules.map(pickRuleFields);
+      for (const rule of rules) {
+        const validationError = new NDRRule({ ...rule, user_id: req.user._id }).validateSync();
+        if (validationError) {
+          return sendValidationError(res, validationError);
+        }
+      }
+    }
+
+    const preview = await ndrRulesService.preview(req.user._id, {
+      rules,
+      limit: parseInt(req.body.limit) || 50
+    });
+
+    res.json({
+      status: 'success',
+      data: preview
+    });
+  } catch (error) {
+    console.error('Preview NDR rules error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error previewing NDR rules'
+    });
+  }
+});
+
+// @desc    Update an NDR automation rule
+// @route   PUT /api/ndr/rules/:ruleId
+// @access  Private
+router.put('/rules/:ruleId', auth, async (req, res) => {
+  try {
+    const rule = await NDRRule.findOne({ _id: req.params.ruleId, user_id: req.user._id });
+    if (!rule) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'NDR rule not found'
+      });
+    }
+
+    rule.set(pickRuleFields(req.body));
+    await rule.save();
+
+    res.json({
+      status: 'success',
+      message: 'NDR rule updated',
+      data: rule
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        status: 'error',
+        message: 'NDR rule not found'
+      });
+    }
+    console.error('Update NDR rule error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error updating NDR rule'
+    });
+  }
+});
+
+// @desc    Delete an NDR automation rule
+// @route   DELETE /api/ndr/rules/:ruleId
+// @access  Private
+router.delete('/rules/:ruleId', auth, async (req, res) => {
+  try {
+    const rule = await NDRRule.findOneAndDelete({ _id: req.params.ruleId, user_id: req.user._id });
+    if (!rule) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'NDR rule not found'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      message: 'NDR rule deleted'
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        status: 'error',
+        message: 'NDR rule not found'
+      });
+    }
+    console.error('Delete NDR rule error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error deleting NDR rule'
+    });
+  }
+});
+
+// @desc    Log of automated NDR decisions
+// @route   GET /api/ndr/automation-log
+// @access  Private
+router.get('/automation-log', auth, [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('action').optional().isIn(['reattempt', 'rto', 'escalate', 'manual_review']),
+  query('outcome').optional().isIn(['applied', 'skipped', 'failed']),
+  query('awb').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const filterQuery = { user_id: req.user._id };
+    if (req.query.action) filterQuery.action = req.query.action;
+    if (req.query.outcome) filterQuery.outcome = req.query.outcome;
+    if (req.query.awb) filterQuery.awb_number = req.query.awb;
+
+    const [entries, total] = await Promise.all([
+      NDRAutomationLog.find(filterQuery)
+        .sort({ created_at: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      NDRAutomationLog.countDocuments(filterQuery)
+    ]);
+
+    res.json({
+      status: 'success',
+      data: {
+        entries,
+        pagination: {
+          current_page: page,
+          total_pages: Math.ceil(total / limit),
+          total_entries: total,
+          per_page: limit
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get NDR automation log error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error fetching NDR automation log'
+    });
+  }
+});
+
+// @desc    Buyer NDR self-service: shipment details for a signed link
+// @route   GET /api/ndr/public/:token
+// @access  Public (signed, expiring link)
+router.get('/public/:token', async (req, res) => {
+  try {
+    const result = await ndrOutreachService.getLinkDetails(req.params.token);
+    if (!result.success) {
+      return res.status(LINK_ERROR_STATUS[result.code] || 400).json({
+        status: 'error',
+        code: result.code,
+        message: result.error
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: result.data
+    });
+  } catch (error) {
+    console.error('Get NDR link error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error loading delivery details'
+    });
+  }
+});
+
+// @desc    Buyer NDR self-service: re-attempt, reschedule, change address or cancel
+// @route   POST /api/ndr/public/:token
+// @access  Public (signed, expiring link)
+router.post('/public/:token', [
+  body('choice').isIn(['reattempt', 'reschedule', 'change_address', 'cancel_order']).withMessage('Valid choice is required'),
+  body('preferred_delivery_date').optional({ checkFalsy: true }).isISO8601().withMessage('Valid delivery date is required'),
+  body('updated_address').optional({ checkFalsy: true }).trim().isLength({ min: 10, max: 500 }).withMessage('Address must be 10-500 characters'),
+  body('updated_phone').optional({ checkFalsy: true }).matches(/^[6-9]\d{9}$/).withMessage('Valid 10 digit mobile number is required'),
+  body('customer_notes').optional({ checkFalsy: true }).trim().isLength({ max: 300 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: errors.array()[0].msg,
+        errors: errors.array()
+      });
+    }
+
+    const result = await ndrOutreachService.submitResponse(req.params.token, req.body);
+    if (!result.success) {
+      return res.status(LINK_ERROR_STATUS[result.code] || 400).json({
+        status: 'error',
+        code: result.code,
+        message: result.error
+      });
+    }
+
+    res.json({
+      status: 'success',
+      message: result.data.message,
+      data: result.data
+    });
+  } catch (error) {
+    console.error('Submit NDR response error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error saving your response'
+    });
+  }
+});
+
 // @desc    Get NDR order by ID
 // @route   GET /api/ndr/:id
 // @access  Private
@@ -206,77 +535,23 @@ router.post('/action', auth, [
       });
     }
 
-    // Validate action based on NSL code
-    const nslCode = order.ndr_info.nsl_code;
-    const allowedReAttemptCodes = ['EOD-74', 'EOD-15', 'EOD-104', 'EOD-43', 'EOD-86', 'EOD-11', 'EOD-69', 'EOD-6'];
-    const allowedRescheduleCodes = ['EOD-777', 'EOD-21'];
-
-    if (action === 'RE-ATTEMPT' && !allowedReAttemptCodes.includes(nslCode)) {
-      return res.status(400).json({
-        status: 'error',
-        message: `Re-attempt not allowed for NSL code: ${nslCode}`
-      });
-    }
-
-    if (action === 'PICKUP_RESCHEDULE' && !allowedRescheduleCodes.includes(nslCode)) {
-      return res.status(400).json({
-        status: 'error',
-        message: `Pickup reschedule not allowed for NSL code: ${nslCode}`
-      });
-    }
-
-    // Check attempt count
-    if (order.ndr_info.ndr_attempts > 2) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'Maximum 3 attempts allowed. Please initiate RTO.'
-      });
-    }
-
-    // Call Delhivery API
-    const result = await delhiveryService.takeNDRAction({
-      waybill,
-      action,
-      reason,
-      nslCode: order.ndr_info.nsl_code,
-      attemptCount: order.ndr_info.ndr_attempts
-    });
+    const result = await ndrActionService.takeAction(order, { action, reason });
 
     if (!result.success) {
-      return res.status(500).json({
+      return res.status(result.code === 'CARRIER_ERROR' ? 500 : 400).json({
         status: 'error',
-        message: result.error || 'Failed to take NDR action'
+        message: result.error
       });
     }
 
-    // Update order in database
-    order.ndr_info.action_history.push({
-      action: action,
-      timestamp: new Date(),
-      upl_id: result.request_id,
-      status: 'PENDING',
-      remarks: reason || `${action} initiated`
-    });
-
-    order.ndr_info.resolution_action = action === 'RE-ATTEMPT' ? 'reattempt' : 'rto';
-    
-    if (action === 'RE-ATTEMPT') {
-      // Calculate next attempt date (next day)
-      const nextAttempt = new Date();
-      nextAttempt.setDate(nextAttempt.getDate() + 1);
-      order.ndr_info.next_attempt_date = nextAttempt;
-    }
-
-    await order.save();
-
     res.json({
       status: 'success',
       message: `${action} initiated successfully`,
       data: {
         waybill: waybill,
         action: action,
-        upl_id: result.request_id,
-        next_attempt_date: order.ndr_info.next_attempt_date
+        upl_id: result.upl_id,
+        next_attempt_date: result.next_attempt_date
       }
     });
 
@@ -373,11 +648,20 @@ router.post('/bulk-action', auth, [
       });
     }
 
+    // Bulk NDR APIs are per carrier
+    const carrierCodes = [...new Set(orders.map(order => order.carrier || 'DELHIVERY'))];
+    if (carrierCodes.length > 1) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Bulk NDR actions must target orders from a single carrier'
+      });
+    }
+
     // Collect waybills
     const waybills = orders.map(order => order.delhivery_data.waybill);
 
-    // Call Delhivery Bulk API
-    const result = await delhiveryService.bulkNDRAction({
+    // Call the carrier's Bulk API
+    const result = await carriers.getCarrier(carrierCodes[0]).bulkNDRAction({
       waybills,
       action,
       orders: orders // Pass orders for validation
@@ -567,28 +851,14 @@ router.patch('/:id/customer-info', auth, [
       });
     }
 
-    // Update customer information
-    if (req.body.updated_address) {
-      order.delivery_address.full_address = req.body.updated_address;
-    }
-    if (req.body.updated_phone) {
-      order.customer_info.phone = req.body.updated_phone;
-    }
-    if (req.body.preferred_delivery_date) {
-      order.ndr_info.next_attempt_date = new Date(req.body.preferred_delivery_date);
-    }
-    if (req.body.customer_notes) {
-      order.special_instructions = req.body.customer_notes;
-    }
-
-    await order.save();
+    const updatedFields = await ndrActionService.updateCustomerInfo(order, req.body);
 
     res.json({
       status: 'success',
       message: 'Customer information updated successfully',
       data: {
         order_id: order.order_id,
-        updated_fields: Object.keys(req.body)
+        updated_fields: updatedFields
       }
     });
 
@@ -601,4 +871,55 @@ router.patch('/:id/customer-info', auth, [
   }
 });
 
-module.exports = router;
\ No newline at end of file
+// @desc    Send the buyer a new NDR self-service link
+// @route   POST /api/ndr/:id/send-link
+// @access  Private
+router.post('/:id/send-link', auth, async (req, res) => {
+  try {
+    const order = await Order.findOne({
+      _id: req.params.id,
+      user_id: req.user._id,
+      'ndr_info.is_ndr': true
+    });
+    const ndr = order && await NDR.findOne({ awb_number: order.delhivery_data?.waybill });
+
+    if (!order || !ndr) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'NDR order not found'
+      });
+    }
+
+    const result = await ndrOutreachService.sendOutreach(ndr, order);
+    if (!result.success) {
+      return res.status(400).json({
+        status: 'error',
+        message: result.error,
+        data: { channels: result.channels || [] }
+      });
+    }
+
+    res.json({
+      status: 'success',
+      message: 'Delivery options link sent to the buyer',
+      data: {
+        channels: result.channels,
+        link_expires_at: result.link_expires_at
+      }
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        status: 'error',
+        message: 'NDR order not found'
+      });
+    }
+    console.error('Send NDR link error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error sending NDR link'
+    });
+  }
+});
+
+module.exports = router;
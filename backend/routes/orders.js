@@ -8,15 +8,23 @@ const { auth } = require('../middleware/auth');
 const Order = require('../models/Order');
 const Warehouse = require('../models/Warehouse');
 const Customer = require('../models/Customer');
-const Transaction = require('../models/Transaction');
 const User = require('../models/User');
 const TrackingOrder = require('../models/TrackingOrder');
 const BillingCycle = require('../models/BillingCycle');
 const RateCardService = require('../services/rateCardService');
-const delhiveryService = require('../services/delhiveryService');
+const courierRecommendationService = require('../services/courierRecommendationService');
+const carriers = require('../services/carriers');
 const websocketService = require('../services/websocketService');
+const walletLedgerService = require('../services/walletLedgerService');
+const creditControlService = require('../services/creditControlService');
+const billingCycleService = require('../services/billingCycleService');
+const invoiceNoteService = require('../services/invoiceNoteService');
 const trackingService = require('../services/trackingService');
 const labelRenderer = require('../services/labelRenderer');
+const trackingPageService = require('../services/trackingPageService');
+const manifestService = require('../services/manifestService');
+const exchangeService = require('../services/exchangeService');
+const rtoRiskService = require('../services/rtoRiskService');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -139,14 +147,14 @@ const normalizeBooleanFlag = (value) => {
   return false;
 };
 
-async function ensureServiceablePincodes(pickupPincode, deliveryPincode, paymentMode = 'Prepaid') {
+async function ensureServiceablePincodes(pickupPincode, deliveryPincode, paymentMode = 'Prepaid', carrier = carriers.getCarrier()) {
   if (!pickupPincode || !deliveryPincode) {
     throw new Error('Pickup and delivery pincodes are required to validate serviceability.');
   }
 
   const [pickupResult, deliveryResult] = await Promise.all([
-    delhiveryService.getServiceability(pickupPincode),
-    delhiveryService.getServiceability(deliveryPincode)
+    carrier.checkServiceability(pickupPincode),
+    carrier.checkServiceability(deliveryPincode)
   ]);
 
   if (!pickupResult.success) {
@@ -154,7 +162,7 @@ async function ensureServiceablePincodes(pickupPincode, deliveryPincode, payment
   }
 
   if (!pickupResult.serviceable || normalizeBooleanFlag(pickupResult.pickup_available) === false) {
-    throw new Error(`Pickup pincode ${pickupPincode} is not serviceable by Delhivery.`);
+    throw new Error(`Pickup pincode ${pickupPincode} is not serviceable by ${carrier.name}.`);
   }
 
   if (!deliveryResult.success) {
@@ -162,7 +170,7 @@ async function ensureServiceablePincodes(pickupPincode, deliveryPincode, payment
   }
 
   if (!deliveryResult.serviceable) {
-    throw new Error(`Delivery pincode ${deliveryPincode} is not serviceable by Delhivery.`);
+    throw new Error(`Delivery pincode ${deliveryPincode} is not serviceable by ${carrier.name}.`);
   }
 
   if (paymentMode === 'COD' && normalizeBooleanFlag(deliveryResult.cash_on_delivery) === false) {
@@ -175,6 +183,21 @@ async function ensureServiceablePincodes(pickupPincode, deliveryPincode, payment
   };
 }
 
+/**
+ * Resolve the carrier requested for an order, falling back to the default carrier
+ * @param {String} code - Optional carrier code from the request
+ * @returns {Object} - Carrier adapter
+ */
+function resolveRequestedCarrier(code) {
+  if (!code) {
+    return carriers.getCarrier();
+  }
+  if (!carriers.isEnabled(code)) {
+    throw new Error(`Carrier ${code} is not available.`);
+  }
+  return carriers.getCarrier(code);
+}
+
 async function refundShippingChargesToWallet(order, userId) {
   try {
     const shippingCharges = order.payment_info?.shipping_charges || 0;
@@ -186,42 +209,50 @@ async function refundShippingChargesToWallet(order, userId) {
       return null;
     }
 
-    const user = await User.findById(userId);
-    if (!user) {
-      throw new Error('User not found for wallet refund');
+    // Postpaid charges that haven't been invoiced yet never left the wallet;
+    // drop them from the billing cycle instead of crediting the wallet.
+    // Once invoiced, a cancellation is refunded to the wallet like prepaid.
+    if (order.billing_info?.billing_mode === 'postpaid' && order.billing_info.billing_status === 'unbilled') {
+      const accrued = order.billing_info.charges?.total_charge || 0;
+      order.billing_info.billing_status = 'adjusted';
+      await order.save();
+      if (order.billing_info.billing_cycle_id && accrued > 0) {
+        await BillingCycle.updateOne(
+          { _id: order.billing_info.billing_cycle_id, status: 'open' },
+          { $inc: { 'summary.estimated_total': -accrued } }
+        );
+      }
+      logger.info('🧾 Postpaid charges removed from billing cycle', {
+        orderId: order.order_id,
+        amount: accrued,
+        billingCycleId: order.billing_info.billing_cycle_id
+      });
+      return null;
     }
 
-    const openingBalance = user.wallet_balance || 0;
-    // Use Math.round to avoid floating-point precision issues
-    const closingBalance = Math.round((openingBalance + shippingCharges) * 100) / 100;
-
-    user.wallet_balance = closingBalance;
-    await user.save();
-
-    const refundTransaction = new Transaction({
-      transaction_id: `CR${Date.now()}${Math.floor(Math.random() * 1000000).toString().padStart(6, '0')}`,
-      user_id: userId,
-      transaction_type: 'credit',
-      transaction_category: 'shipment_cancellation_refund',
+    const result = await walletLedgerService.credit({
+      userId,
       amount: shippingCharges,
+      category: 'shipment_cancellation_refund',
       description: `Refund for cancelled shipment - Order ${order.order_id}`,
-      related_order_id: order._id,
-      status: 'completed',
-      transaction_date: new Date(),
-      balance_info: {
-        opening_balance: openingBalance,
-        closing_balance: closingBalance
-      },
-      order_info: {
-        order_id: order.order_id,
-        awb_number: order.delhivery_data?.waybill || null,
-        weight: order.package_info?.weight * 1000 || 0,
-        zone: order.delhivery_data?.status_type || null,
-        order_date: order.order_date
+      fields: {
+        related_order_id: order._id,
+        order_info: {
+          order_id: order.order_id,
+          awb_number: order.delhivery_data?.waybill || null,
+          weight: order.package_info?.weight * 1000 || 0,
+          zone: order.delhivery_data?.status_type || null,
+          order_date: order.order_date
+        }
       }
     });
+    if (!result.success) {
+      throw new Error(result.error);
+    }
 
-    await refundTransaction.save();
+    const refundTransaction = result.transaction;
+    const openingBalance = result.opening_balance;
+    const closingBalance = result.closing_balance;
 
     try {
       websocketService.sendNotificationToClient(String(userId), {
@@ -264,6 +295,9 @@ async function refundShippingChargesToWallet(order, userId) {
       newBalance: closingBalance
     });
 
+    // Already invoiced: the refund needs a GST credit note against that invoice
+    await invoiceNoteService.issueCancellationCreditNote(order, refundTransaction);
+
     return refundTransaction;
   } catch (error) {
     logger.error('❌ WALLET REFUND FAILED', {
@@ -318,31 +352,14 @@ async function deductWalletForOrder(order, userId, awbNumber = null) {
       timestamp: new Date().toISOString()
     });
     
-    // Get current wallet balance
-    const user = await User.findById(userId);
+    // Rate category and billing mode for billing info
+    const user = await User.findById(userId).select('user_category billing_mode');
     if (!user) {
       throw new Error('User not found');
     }
+    const isPostpaid = user.billing_mode === 'postpaid';
     
-    const openingBalance = user.wallet_balance || 0;
-    
-    if (openingBalance < shippingCharges) {
-      console.error('❌ INSUFFICIENT WALLET BALANCE', {
-        orderId: order.order_id,
-        required: shippingCharges,
-        available: openingBalance,
-        timestamp: new Date().toISOString()
-      });
-      throw new Error(`Insufficient wallet balance. Required: ₹${shippingCharges}, Available: ₹${openingBalance}`);
-    }
-    
-    // Deduct from wallet
-    // Use Math.round to avoid floating-point precision issues
-    const closingBalance = Math.round((openingBalance - shippingCharges) * 100) / 100;
-    user.wallet_balance = closingBalance;
-    await user.save();
-    
-    // Get zone from Delhivery API (optional, won't fail if it doesn't work)
+    // Get zone from the order's carrier (optional, won't fail if it doesn't work)
     let zone = null;
     try {
       // Calculate chargeable weight (in grams)
@@ -353,20 +370,19 @@ async function deductWalletForOrder(order, userId, awbNumber = null) {
       const actualWeightGrams = order.package_info.weight * 1000;
       const chargeableWeightGrams = Math.max(actualWeightGrams, volumetricWeightGrams);
       
-      // Get zone from Delhivery API
-      const zoneResult = await delhiveryService.getZoneFromDelhivery(
-        order.pickup_address.pincode,
-        order.delivery_address.pincode,
-        chargeableWeightGrams,
-        order.shipping_mode === 'Express' ? 'E' : 'S',
-        'Delivered',
-        order.payment_info.payment_mode === 'COD' ? 'COD' : 'Pre-paid'
-      );
+      const zoneResult = await carriers.getCarrierForOrder(order).getZone({
+        pickupPincode: order.pickup_address.pincode,
+        deliveryPincode: order.delivery_address.pincode,
+        chargeableWeight: chargeableWeightGrams,
+        shippingMode: order.shipping_mode,
+        paymentMode: order.payment_info.payment_mode
+      });
       
       zone = zoneResult.success ? zoneResult.zone : null;
       
-      logger.info('🌍 Zone retrieved from Delhivery for transaction', {
+      logger.info('🌍 Zone retrieved from carrier for transaction', {
         orderId: order.order_id,
+        carrier: order.carrier,
         zone: zone,
         zoneResultSuccess: zoneResult.success,
         chargeableWeightGrams: chargeableWeightGrams
@@ -376,31 +392,49 @@ async function deductWalletForOrder(order, userId, awbNumber = null) {
       // Continue without zone - not critical for transaction
     }
     
-    // Create transaction record
-    const transaction = new Transaction({
-      transaction_id: `DR${Date.now()}${Math.floor(Math.random() * 1000000).toString().padStart(6, '0')}`,
-      user_id: userId,
-      transaction_type: 'debit',
-      transaction_category: 'shipping_charge',
-      amount: shippingCharges,
-      description: `Shipping charges for order ${order.order_id}`,
-      related_order_id: order._id,
-      status: 'completed',
-      transaction_date: new Date(),
-      balance_info: {
-        opening_balance: openingBalance,
-        closing_balance: closingBalance
-      },
-      order_info: {
-        order_id: order.order_id,
-        awb_number: awbNumber || null,
-        weight: order.package_info.weight * 1000, // Convert kg to grams
-        zone: zone || null,
-        order_date: order.order_date
+    let transaction = null;
+    let openingBalance = null;
+    let closingBalance = null;
+    if (isPostpaid) {
+      // Postpaid: nothing leaves the wallet, the charge accrues into the billing
+      // cycle below and is invoiced at cycle close (capped by the credit limit)
+      const credit = await creditControlService.checkShippingAllowed(userId, { amount: shippingCharges });
+      if (!credit.allowed) {
+        throw new Error(credit.message);
       }
-    });
-    
-    await transaction.save();
+    } else {
+      // Deduct from wallet (rejected when balance + credit limit doesn't cover it)
+      const debit = await walletLedgerService.debit({
+        userId,
+        amount: shippingCharges,
+        category: 'shipping_charge',
+        description: `Shipping charges for order ${order.order_id}`,
+        fields: {
+          related_order_id: order._id,
+          order_info: {
+            order_id: order.order_id,
+            awb_number: awbNumber || null,
+            weight: order.package_info.weight * 1000, // Convert kg to grams
+            zone: zone || null,
+            order_date: order.order_date
+          }
+        }
+      });
+
+      if (!debit.success) {
+        console.error('❌ INSUFFICIENT WALLET BALANCE', {
+          orderId: order.order_id,
+          required: shippingCharges,
+          available: debit.available_balance,
+          timestamp: new Date().toISOString()
+        });
+        throw new Error(debit.error);
+      }
+
+      transaction = debit.transaction;
+      openingBalance = debit.opening_balance;
+      closingBalance = debit.closing_balance;
+    }
     
     // Calculate billing info for invoice tracking
     try {
@@ -432,7 +466,9 @@ async function deductWalletForOrder(order, userId, awbNumber = null) {
             },
             zone,
             order.payment_info?.cod_amount || 0,
-            order.order_type || 'forward'
+            order.order_type || 'forward',
+            carriers.getCarrierForOrder(order).code,
+            order.shipping_mode
           );
           
           billingCharges = {
@@ -446,8 +482,8 @@ async function deductWalletForOrder(order, userId, awbNumber = null) {
         }
       }
       
-      // Get or create current billing cycle
-      const billingCycle = await BillingCycle.getCurrentCycle(userId);
+      // Current open billing cycle (the next one if an admin closed today's early)
+      const billingCycle = await billingCycleService.getOpenCycle(userId);
       
       // Update order with billing_info
       order.billing_info = {
@@ -458,7 +494,8 @@ async function deductWalletForOrder(order, userId, awbNumber = null) {
         charges: billingCharges,
         billing_status: 'unbilled',
         billing_cycle_id: billingCycle._id,
-        wallet_transaction_id: transaction._id,
+        billing_mode: isPostpaid ? 'postpaid' : 'prepaid',
+        wallet_transaction_id: transaction?._id,
         user_category_at_order: user.user_category,
         charged_at: new Date()
       };
@@ -489,8 +526,25 @@ async function deductWalletForOrder(order, userId, awbNumber = null) {
         error: billingError.message,
         timestamp: new Date().toISOString()
       });
+      // The billing cycle is the only record of a postpaid charge
+      if (isPostpaid) {
+        throw billingError;
+      }
       // Don't fail wallet deduction if billing tracking fails
     }
+
+    if (isPostpaid) {
+      logger.info('🧾 Postpaid charges accrued to billing cycle', {
+        orderId: order.order_id,
+        amount: shippingCharges,
+        billingCycleId: order.billing_info?.billing_cycle_id
+      });
+      return {
+        success: true,
+        transaction: null,
+        message: 'Charges accrued to billing cycle'
+      };
+    }
     
     // Send WebSocket notifications for wallet deduction
     try {
@@ -563,14 +617,212 @@ async function deductWalletForOrder(order, userId, awbNumber = null) {
   }
 }
 
+const roundAmount = (value) => Math.round((value || 0) * 100) / 100;
+
+/**
+ * Re-price a charged order for the carrier and service mode it is about to ship
+ * with, and settle the difference the way the charge was collected: through the
+ * wallet for prepaid (or already invoiced) charges, on the open billing cycle
+ * for unbilled postpaid charges. The order is saved with its new carrier, mode
+ * and charges before any money moves and restored if the posting fails. Wallet
+ * postings are keyed on the order and reprice count, so a retried request
+ * cannot post twice.
+ * @returns {Promise<Object>} { success, reprice } (reprice is null when nothing changed)
+ *   or { success: false, code, error }
+ */
+async function repriceOrderForCarrier(order, userId, carrier, shippingMode) {
+  const billing = order.billing_info;
+  const fromCarrier = carriers.getCarrierForOrder(order).code;
+  const fromMode = order.shipping_mode || 'Surface';
+
+  if (!billing?.charged_at || (fromCarrier === carrier.code && fromMode === shippingMode)) {
+    // Never charged, or charged for exactly this option
+    order.shipping_mode = shippingMode;
+    return { success: true, reprice: null };
+  }
+
+  const { weight, dimensions = {} } = order.package_info;
+  const declaredWeight = billing.declared_weight || weight * 1000;
+  const codAmount = order.payment_info.payment_mode === 'COD' ? (order.payment_info.cod_amount || 0) : 0;
+  let zone;
+  let result;
+  try {
+    const zoneResult = await carrier.getZone({
+      pickupPincode: order.pickup_address.pincode,
+      deliveryPincode: order.delivery_address.pincode,
+      chargeableWeight: billing.charged_weight || declaredWeight,
+      shippingMode,
+      paymentMode: order.payment_info.payment_mode
+    });
+    zone = zoneResult.success ? zoneResult.zone : null;
+    const userCategory = billing.user_category_at_order
+      || (await User.findById(userId).select('user_category').lean())?.user_category;
+    if (!zone || !userCategory) {
+      throw new Error(zoneResult.error || `${carrier.name} could not price this order`);
+    }
+
+    result = await RateCardService.calculateShippingCharges(
+      userCategory,
+      declaredWeight,
+      {
+        length: dimensions.length,
+        breadth: dimensions.width,
+        height: dimensions.height
+      },
+      zone,
+      codAmount,
+      order.order_type || 'forward',
+      carrier.code,
+      shippingMode
+    );
+  } catch (error) {
+    return { success: false, code: 'PRICING_FAILED', error: `Could not price ${shippingMode} shipping with ${carrier.name}: ${error.message}` };
+  }
+
+  // Unbilled postpaid charges live on the billing cycle; everything else went through the wallet
+  const viaWallet = billing.billing_mode !== 'postpaid' || billing.billing_status !== 'unbilled';
+  const charged = order.payment_info.shipping_charges || 0;
+  const previousTotal = viaWallet ? charged : (billing.charges?.total_charge || charged);
+  const newTotal = roundAmount(result.totalCharges);
+  const difference = roundAmount(newTotal - previousTotal);
+
+  if (!viaWallet && difference > 0) {
+    const credit = await creditControlService.checkShippingAllowed(userId, { amount: difference });
+    if (!credit.allowed) {
+      return { success: false, code: credit.code, error: credit.message };
+    }
+  }
+
+  const before = {
+    carrier: order.carrier,
+    shipping_mode: order.shipping_mode,
+    shipping_charges: order.payment_info.shipping_charges,
+    charges: billing.charges ? { ...billing.charges.toObject() } : undefined,
+    zone: billing.zone
+  };
+  const previousCharges = before.charges || {};
+  const idempotencyKey = `REPRICE${order._id}${(billing.reprices || []).length}`;
+
+  order.carrier = carrier.code;
+  order.shipping_mode = shippingMode;
+  order.payment_info.shipping_charges = newTotal;
+  order.billing_info.zone = zone;
+  order.billing_info.charges = {
+    ...previousCharges,
+    forward_charge: result.forwardCharges,
+    rto_charge: result.rtoCharges,
+    cod_charge: result.codCharges,
+    total_charge: newTotal
+  };
+  order.billing_info.reprices.push({
+    from_carrier: fromCarrier,
+    from_mode: fromMode,
+    to_carrier: carrier.code,
+    to_mode: shippingMode,
+    previous_total: previousTotal,
+    new_total: newTotal,
+    difference,
+    method: difference === 0 ? 'none' : (viaWallet ? 'wallet' : 'billing_cycle'),
+    transaction_ref: viaWallet && difference !== 0 ? idempotencyKey : undefined,
+    repriced_at: new Date()
+  });
+  await order.save();
+
+  const reprice = { previous_total: previousTotal, new_total: newTotal, difference, method: 'none' };
+  if (difference === 0) {
+    return { success: true, reprice };
+  }
+
+  if (viaWallet) {
+    const description = `${difference > 0 ? 'Additional shipping charges' : 'Shipping charge refund'} - Order ${order.order_id} moved to ${carrier.name} ${shippingMode}`;
+    const posting = await walletLedgerService.post({
+      userId,
+      type: difference > 0 ? 'debit' : 'credit',
+      amount: Math.abs(difference),
+      category: difference > 0 ? 'shipping_charge' : 'refund',
+      description,
+      idempotencyKey,
+      fields: {
+        related_order_id: order._id,
+        order_info: {
+          order_id: order.order_id,
+          awb_number: null,
+          weight: declaredWeight,
+          zone,
+          order_date: order.order_date
+        }
+      }
+    });
+
+    if (!posting.success) {
+      // Nothing moved: put the order back on the option it was charged for
+      order.carrier = before.carrier;
+      order.shipping_mode = before.shipping_mode;
+      order.payment_info.shipping_charges = before.shipping_charges;
+      order.billing_info.zone = before.zone;
+      order.billing_info.charges = before.charges;
+      order.billing_info.reprices.pop();
+      await order.save();
+
+      return {
+        success: false,
+        code: posting.code || 'REPRICE_FAILED',
+        error: posting.code === 'INSUFFICIENT_BALANCE'
+          ? `${carrier.name} ${shippingMode} costs ₹${difference} more than the charged ₹${previousTotal}. ${posting.error}`
+          : (posting.error || 'Could not settle the shipping charge difference')
+      };
+    }
+
+    logger.info('💱 Order re-priced for carrier change', {
+      orderId: order.order_id,
+      from: `${fromCarrier}/${fromMode}`,
+      to: `${carrier.code}/${shippingMode}`,
+      difference,
+      transactionId: posting.transaction?.transaction_id
+    });
+    return { success: true, reprice: { ...reprice, method: 'wallet', transaction_id: posting.transaction?.transaction_id } };
+  }
+
+  try {
+    if (billing.billing_cycle_id) {
+      await BillingCycle.updateOne(
+        { _id: billing.billing_cycle_id, status: 'open' },
+        {
+          $inc: {
+            'summary.estimated_total': difference,
+            'summary.total_forward_charges': roundAmount(result.forwardCharges - (previousCharges.forward_charge || 0)),
+            'summary.total_cod_charges': roundAmount(result.codCharges - (previousCharges.cod_charge || 0))
+          }
+        }
+      );
+    }
+  } catch (error) {
+    // The invoice reads the order's charges; only the cycle summary is stale
+    logger.warn('⚠️ Billing cycle summary not adjusted for re-priced order', { orderId: order.order_id, error: error.message });
+  }
+
+  logger.info('💱 Order re-priced for carrier change', {
+    orderId: order.order_id,
+    from: `${fromCarrier}/${fromMode}`,
+    to: `${carrier.code}/${shippingMode}`,
+    difference,
+    billingCycleId: billing.billing_cycle_id
+  });
+  return { success: true, reprice: { ...reprice, method: 'billing_cycle' } };
+}
+
 /**
  * Helper function to create a single order (used for multi-package B2C)
  * @param {Object} orderData - The order data from request body
  * @param {Object} user - The authenticated user object
  * @param {boolean} generateAWB - Whether to generate AWB
- * @returns {Promise<Object>} - Returns { success: boolean, order: Order|null, awb: string|null, status: string, error: string|null }
+ * @param {Object} [options]
+ * @param {Object} [options.channelInfo] - Order.channel_info for orders imported from a sales channel
+ *   (kept out of orderData so request bodies can't set it)
+ * @returns {Promise<Object>} - Returns { success: boolean, order: Order|null, awb: string|null, status: string, error: string|null,
+ *   hold_message?: string|null } - hold_message is set when RTO risk kept the order from getting an AWB
  */
-async function createSingleOrder(orderData, user, generateAWB = true) {
+async function createSingleOrder(orderData, user, generateAWB = true, { channelInfo } = {}) {
   const { generateOrderId } = require('../utils/orderIdGenerator');
   const userId = user._id;
   const orderId = orderData.order_id || generateOrderId();
@@ -584,6 +836,8 @@ async function createSingleOrder(orderData, user, generateAWB = true) {
       timestamp: new Date().toISOString()
     });
 
+    const carrier = resolveRequestedCarrier(orderData.carrier);
+
     // Handle warehouse selection
     let warehouse = null;
     let pickupAddress = {};
@@ -688,140 +942,74 @@ async function createSingleOrder(orderData, user, generateAWB = true) {
       },
       shipping_mode: orderData.shipping_mode || 'Surface',
       order_type: orderData.order_type || 'forward',
+      carrier: carrier.code,
+      channel_info: channelInfo,
       status: 'new'
     });
 
+    // Account hold / wallet / credit limit gate (charges are taken in both branches below)
+    const shippingCheck = await creditControlService.checkShippingAllowed(userId, {
+      amount: order.payment_info.shipping_charges
+    });
+    if (!shippingCheck.allowed) {
+      return {
+        success: false,
+        order: null,
+        awb: null,
+        status: 'failed',
+        error: shippingCheck.message
+      };
+    }
+
+    // A COD order the seller holds for RTO risk is saved without an AWB
+    await rtoRiskService.assess(order);
+    const riskHoldMessage = rtoRiskService.getHoldMessage(order);
+
     // Generate AWB if requested
-    if (generateAWB) {
+    if (generateAWB && !riskHoldMessage) {
       // Validate serviceability
       await ensureServiceablePincodes(
         pickupAddress.pincode,
         order.delivery_address.pincode,
-        order.payment_info.payment_mode
+        order.payment_info.payment_mode,
+        carrier
       );
 
-      // Fetch waybill
-      const waybillResult = await delhiveryService.getWaybill(1);
-      let preFetchedWaybill = waybillResult.success && waybillResult.waybills?.length > 0
-        ? waybillResult.waybills[0]
-        : null;
-
-      // Prepare data for Delhivery
-      const orderDataForDelhivery = {
-        order_id: order.order_id,
-        customer_info: {
-          buyer_name: order.customer_info.buyer_name,
-          phone: order.customer_info.phone,
-          email: order.customer_info.email || ''
-        },
-        delivery_address: {
-          full_address: order.delivery_address.full_address,
-          pincode: order.delivery_address.pincode,
-          city: order.delivery_address.city,
-          state: order.delivery_address.state,
-          country: order.delivery_address.country || 'India',
-          address_type: order.delivery_address.address_type || 'home'
-        },
-        pickup_address: {
-          name: pickupAddress.name || 'SHIPSARTHI C2C',
-          full_address: pickupAddress.full_address,
-          city: pickupAddress.city,
-          state: pickupAddress.state,
-          pincode: pickupAddress.pincode,
-          phone: pickupAddress.phone,
-          country: pickupAddress.country || 'India'
-        },
-        products: order.products.map(p => ({
-          product_name: p.product_name,
-          quantity: p.quantity,
-          hsn_code: p.hsn_code || '',
-          unit_price: p.unit_price || 0
-        })),
-        package_info: {
-          weight: order.package_info.weight,
-          dimensions: {
-            width: order.package_info.dimensions.width,
-            height: order.package_info.dimensions.height,
-            length: order.package_info.dimensions.length
-          }
-        },
-        payment_info: {
-          payment_mode: order.payment_info.payment_mode,
-          cod_amount: order.payment_info.cod_amount || 0,
-          order_value: order.payment_info.order_value || order.payment_info.total_amount || 0
-        },
-        seller_info: {
-          name: order.seller_info?.name || 'SHIPSARTHI',
-          gst_number: order.seller_info?.gst_number || ''
-        },
-        invoice_number: order.invoice_number || `INV${order.order_id}`,
-        shipping_mode: order.shipping_mode || 'Surface',
-        address_type: order.delivery_address.address_type || 'home',
-        waybill: preFetchedWaybill || undefined
-      };
-
-      // Call Delhivery API
-      const delhiveryResult = await delhiveryService.createShipment(orderDataForDelhivery);
-
-      if (delhiveryResult.success) {
-        let awbNumber = null;
-        let packageData = null;
-
-        if (delhiveryResult.packages?.length > 0) {
-          packageData = delhiveryResult.packages[0];
-          awbNumber = packageData.waybill || packageData.AWB || null;
-        }
-        if (!awbNumber && delhiveryResult.waybill) {
-          awbNumber = delhiveryResult.waybill;
-        }
-
-        if (awbNumber) {
-          order.delhivery_data = {
-            waybill: awbNumber,
-            package_id: packageData?.refnum || order.order_id,
-            status: packageData?.status || 'Success',
-            serviceable: packageData?.serviceable,
-            sort_code: packageData?.sort_code,
-            remarks: packageData?.remarks || []
-          };
-          order.status = 'ready_to_ship';
-
-          await order.save();
-
-          // Deduct wallet
-          await deductWalletForOrder(order, userId, awbNumber);
-
-          console.log('📦 createSingleOrder: SUCCESS', {
-            orderId: order.order_id,
-            awb: awbNumber,
-            status: order.status
-          });
+      const shipmentResult = await carrier.createShipment(order, { pickupAddress });
 
-          return {
-            success: true,
-            order: order,
-            awb: awbNumber,
-            status: order.status,
-            error: null
-          };
-        } else {
-          return {
-            success: false,
-            order: null,
-            awb: null,
-            status: 'failed',
-            error: 'No AWB generated by Delhivery'
-          };
-        }
-      } else {
+      if (!shipmentResult.success) {
         return {
           success: false,
           order: null,
           awb: null,
           status: 'failed',
-          error: delhiveryResult.error || 'Delhivery API error'
+          error: shipmentResult.error || `${carrier.name} API error`
         };
       }
+
+      const awbNumber = shipmentResult.waybill;
+      order.delhivery_data = shipmentResult.shipment_data;
+      order.status = 'ready_to_ship';
+
+      await order.save();
+
+      // Deduct wallet
+      await deductWalletForOrder(order, userId, awbNumber);
+
+      console.log('📦 createSingleOrder: SUCCESS', {
+        orderId: order.order_id,
+        carrier: carrier.code,
+        awb: awbNumber,
+        status: order.status
+      });
+
+      return {
+        success: true,
+        order: order,
+        awb: awbNumber,
+        status: order.status,
+        error: null
+      };
     } else {
       // Save without AWB
       order.status = 'new';
@@ -833,7 +1021,8 @@ async function createSingleOrder(orderData, user, generateAWB = true) {
         order: order,
         awb: null,
         status: order.status,
-        error: null
+        error: null,
+        hold_message: riskHoldMessage
       };
     }
   } catch (error) {
@@ -1535,8 +1724,9 @@ router.get('/track/:awb', auth, async (req, res) => {
       userId: req.user._id
     });
 
-    // Try to locate the order belonging to the current user so we can pass a reference ID to Delhivery
+    // Try to locate the order belonging to the current user so we can pass a reference ID to the carrier
     let referenceId = '';
+    let carrier = carriers.getCarrier('DELHIVERY');
     try {
       const orderForUser = await Order.findOne({
         user_id: req.user._id,
@@ -1549,6 +1739,7 @@ router.get('/track/:awb', auth, async (req, res) => {
       }).lean();
 
       if (orderForUser) {
+        carrier = carriers.getCarrierForOrder(orderForUser);
         referenceId = (
           orderIdQuery ||
           refIdQuery ||
@@ -1568,8 +1759,8 @@ router.get('/track/:awb', auth, async (req, res) => {
       referenceId = (orderIdQuery || refIdQuery || '').trim();
     }
 
-    // Track shipment with Delhivery API using AWB number (and optional ref_ids for better accuracy)
-    const trackingResult = await delhiveryService.trackShipment(sanitizedAwb, referenceId);
+    // Track shipment with the order's carrier using AWB number (and optional ref_ids for better accuracy)
+    const trackingResult = await carrier.trackShipment(sanitizedAwb, referenceId);
 
     if (trackingResult.success) {
       logger.info('✅ Tracking data retrieved', {
@@ -1657,7 +1848,7 @@ router.get('/:id/print', auth, async (req, res) => {
           waybill
         });
 
-        const labelResult = await delhiveryService.generateShippingLabel(waybill, {
+        const labelResult = await carriers.getCarrierForOrder(order).generateLabel(waybill, {
           pdf: false,
           pdf_size: '4R'
         });
@@ -1684,8 +1875,11 @@ router.get('/:id/print', auth, async (req, res) => {
 
     // Get user's label settings
     // Since we used .lean(), the populated user_id is a plain object, so we need to fetch user separately
-    const user = await User.findById(req.user._id).select('label_settings company_logo_url').lean();
+    const user = await User.findById(req.user._id).select('label_settings company_logo_url client_id tracking_page.slug').lean();
     const labelSettings = user?.label_settings ? { ...user.label_settings } : {};
+    if (user?.client_id) {
+      labelSettings.tracking_page_url = trackingPageService.getPageUrl(user);
+    }
 
     // Use company_logo_url as fallback if logo_url not set
     if (!labelSettings.logo_url && user?.company_logo_url) {
@@ -1939,6 +2133,16 @@ router.post('/', auth, [
       timestamp: new Date().toISOString()
     });
 
+    let carrier;
+    try {
+      carrier = resolveRequestedCarrier(req.body.carrier);
+    } catch (carrierError) {
+      return res.status(400).json({
+        status: 'error',
+        message: carrierError.message
+      });
+    }
+
     // Cross-validate order_type and payment_mode
     const orderType = req.body.order_type || 'forward';
     const paymentMode = req.body.payment_info?.payment_mode;
@@ -2037,7 +2241,8 @@ router.post('/', auth, [
               order_id: boxOrderId,
               awb: singleOrderResult.awb,
               status: singleOrderResult.status,
-              box_index: boxIndex + 1
+              box_index: boxIndex + 1,
+              hold_message: singleOrderResult.hold_message || undefined
             });
           } else {
             failedOrders.push({
@@ -2268,11 +2473,16 @@ router.post('/', auth, [
       
       shipping_mode: req.body.shipping_mode || 'Surface',
       order_type: req.body.order_type || 'forward', // Use 'forward' or 'reverse' from request
+      carrier: carrier.code,
       status: 'new'
     };
 
     // Create order object but DON'T save to database yet
     const order = new Order(orderData);
+
+    // A COD order the seller holds for RTO risk is saved without an AWB
+    await rtoRiskService.assess(order);
+    const riskHoldMessage = rtoRiskService.getHoldMessage(order);
     
     // Check if AWB generation is requested
     // If generate_awb is explicitly false (boolean) or 'false' (string), don't generate AWB
@@ -2280,7 +2490,8 @@ router.post('/', auth, [
     const generateAWBFlag = req.body.generate_awb;
     
     // Explicit check: only generate AWB if flag is NOT explicitly false
-    const generateAWB = generateAWBFlag !== false && generateAWBFlag !== 'false' && generateAWBFlag !== 0 && generateAWBFlag !== '0';
+    const generateAWB = generateAWBFlag !== false && generateAWBFlag !== 'false' && generateAWBFlag !== 0 && generateAWBFlag !== '0' &&
+      !riskHoldMessage;
     
     console.log('📋 ORDER PREPARED (NOT SAVED YET)', {
       orderId: order.order_id,
@@ -2291,19 +2502,33 @@ router.post('/', auth, [
       timestamp: new Date().toISOString()
     });
 
-    let delhiveryResult = null;
+    // Account hold / wallet / credit limit gate (charges are taken whether or not an AWB is generated)
+    const shippingCheck = await creditControlService.checkShippingAllowed(userId, {
+      amount: order.payment_info.shipping_charges
+    });
+    if (!shippingCheck.allowed) {
+      return res.status(400).json({
+        status: 'error',
+        message: shippingCheck.message,
+        error_code: shippingCheck.code
+      });
+    }
+
+    let shipmentResult = null;
     
-    // Only call Delhivery API if generate_awb is explicitly true or not provided (for backward compatibility)
+    // Only call the carrier API if generate_awb is explicitly true or not provided (for backward compatibility)
     if (generateAWB) {
       try {
         await ensureServiceablePincodes(
           pickupAddress.pincode,
           order.delivery_address.pincode,
-          order.payment_info.payment_mode
+          order.payment_info.payment_mode,
+          carrier
         );
       } catch (svcError) {
         logger.error('❌ Serviceability validation failed before AWB creation', {
           orderId: order.order_id,
+          carrier: carrier.code,
           pickupPincode: pickupAddress.pincode,
           deliveryPincode: order.delivery_address.pincode,
           error: svcError.message
@@ -2315,292 +2540,155 @@ router.post('/', auth, [
         });
       }
 
-      console.log('🔄 CALLING DELHIVERY API (AWB generation requested)');
-      // Create shipment with Delhivery API FIRST
+      console.log('🔄 CALLING CARRIER API (AWB generation requested)', { carrier: carrier.code });
+      // Create shipment with the carrier FIRST
       try {
-        // STEP 1: Fetch waybill from Delhivery BEFORE creating shipment
-      console.log('📋 FETCHING WAYBILL FROM DELHIVERY', {
+      console.log('🌐 CREATING SHIPMENT', {
         orderId: order.order_id,
+        carrier: carrier.code,
+        deliveryPincode: order.delivery_address.pincode,
+        pickupPincode: pickupAddress.pincode,
         timestamp: new Date().toISOString()
       });
 
-      const waybillResult = await delhiveryService.getWaybill(1);
-      let preFetchedWaybill = null;
-
-      if (waybillResult.success && waybillResult.waybills && waybillResult.waybills.length > 0) {
-        preFetchedWaybill = waybillResult.waybills[0]; // Get first waybill from array
-        console.log('✅ WAYBILL FETCHED', {
-          orderId: order.order_id,
-          waybill: preFetchedWaybill,
-          timestamp: new Date().toISOString()
-        });
-      } else {
-        console.log('⚠️ WAYBILL FETCH FAILED, Delhivery will auto-generate', {
-          orderId: order.order_id,
-          error: waybillResult.error,
-          timestamp: new Date().toISOString()
-        });
-        // Continue without pre-fetched waybill - Delhivery will generate
-      }
-
-      // STEP 2: Prepare order data for Delhivery API (service expects order structure, not formatted shipment data)
-      const orderDataForDelhivery = {
-        order_id: order.order_id,
-        customer_info: {
-          buyer_name: order.customer_info.buyer_name,
-          phone: order.customer_info.phone,
-          email: order.customer_info.email || ''
-        },
-        delivery_address: {
-          full_address: order.delivery_address.full_address,
-          pincode: order.delivery_address.pincode,
-          city: order.delivery_address.city,
-          state: order.delivery_address.state,
-          country: order.delivery_address.country || 'India',
-          address_type: order.delivery_address.address_type || 'home'
-        },
-        pickup_address: {
-          name: pickupAddress.name || 'SHIPSARTHI C2C',
-          full_address: pickupAddress.full_address,
-          city: pickupAddress.city,
-          state: pickupAddress.state,
-          pincode: pickupAddress.pincode,
-          phone: pickupAddress.phone,
-          country: pickupAddress.country || 'India'
-        },
-        products: order.products.map(p => ({
-          product_name: p.product_name,
-          quantity: p.quantity,
-          hsn_code: p.hsn_code || '',
-          unit_price: p.unit_price || 0
-        })),
-        package_info: {
-          weight: order.package_info.weight, // Keep in kg - will be converted to grams in delhiveryService
-          dimensions: {
-            width: order.package_info.dimensions.width,
-            height: order.package_info.dimensions.height,
-            length: order.package_info.dimensions.length || order.package_info.dimensions.width
-          }
-        },
-        payment_info: {
-          payment_mode: order.payment_info.payment_mode,
-          cod_amount: order.payment_info.cod_amount || 0,
-          order_value: order.payment_info.order_value || order.payment_info.total_amount || 0
-        },
-        seller_info: {
-          name: order.seller_info?.name || 'SHIPSARTHI',
-          gst_number: order.seller_info?.gst_number || ''
-        },
-        invoice_number: order.invoice_number || `INV${order.order_id}`,
-        shipping_mode: order.shipping_mode || 'Surface',
-        address_type: order.delivery_address.address_type || 'home',
-        waybill: preFetchedWaybill || undefined // Send pre-fetched waybill if available
-      };
-
-      console.log('🌐 CALLING DELHIVERY API', {
-        orderId: order.order_id,
-        orderData: {
-          order_id: orderDataForDelhivery.order_id,
-          customer_name: orderDataForDelhivery.customer_info.buyer_name,
-          delivery_pincode: orderDataForDelhivery.delivery_address.pincode,
-          pickup_pincode: orderDataForDelhivery.pickup_address.pincode
-        },
-        timestamp: new Date().toISOString()
-      });
-
-      // Call Delhivery API to create shipment
-      delhiveryResult = await delhiveryService.createShipment(orderDataForDelhivery);
+      shipmentResult = await carrier.createShipment(order, { pickupAddress });
 
-      console.log('📥 DELHIVERY RESULT RECEIVED', {
+      console.log('📥 CARRIER RESULT RECEIVED', {
         orderId: order.order_id,
-        success: delhiveryResult?.success,
-        hasWaybill: !!delhiveryResult?.waybill,
-        hasPackages: !!delhiveryResult?.packages,
-        packagesLength: delhiveryResult?.packages?.length || 0,
-        fullResult: JSON.stringify(delhiveryResult),
+        carrier: carrier.code,
+        success: shipmentResult?.success,
+        waybill: shipmentResult?.waybill,
+        fullResult: JSON.stringify(shipmentResult?.raw || shipmentResult),
         timestamp: new Date().toISOString()
       });
 
-      if (delhiveryResult.success) {
-        // Extract AWB/waybill from response - handle multiple response formats
-        let awbNumber = null;
-        let packageData = null;
+      if (shipmentResult.success) {
+        const awbNumber = shipmentResult.waybill;
 
-        // Try to get AWB from packages array first
-        if (delhiveryResult.packages && Array.isArray(delhiveryResult.packages) && delhiveryResult.packages.length > 0) {
-          packageData = delhiveryResult.packages[0];
-          awbNumber = packageData.waybill || packageData.AWB || packageData.wb || null;
-        }
+        console.log('✅ CARRIER API SUCCESS - SHIPMENT CREATED', {
+          orderId: order.order_id,
+          carrier: carrier.code,
+          awb: awbNumber,
+          timestamp: new Date().toISOString()
+        });
         
-        // Fallback to direct waybill property
-        if (!awbNumber && delhiveryResult.waybill) {
-          awbNumber = delhiveryResult.waybill;
-          packageData = packageData || { waybill: awbNumber, status: 'Success' };
-        }
+        // Update order with carrier response
+        order.delhivery_data = shipmentResult.shipment_data;
 
-        // Fallback to tracking_id
-        if (!awbNumber && delhiveryResult.tracking_id) {
-          awbNumber = delhiveryResult.tracking_id;
-          packageData = packageData || { waybill: awbNumber, status: 'Success' };
+        // Update order status based on carrier response
+        const shipmentStatus = shipmentResult.shipment_data?.status;
+        if (shipmentStatus === 'Success' || !shipmentStatus) {
+          order.status = 'ready_to_ship';
+        } else {
+          order.status = 'new';
         }
-
-        if (awbNumber) {
-          console.log('✅ DELHIVERY API SUCCESS - SHIPMENT CREATED', {
-            orderId: order.order_id,
-            awb: awbNumber,
-            source: delhiveryResult.packages ? 'packages' : 'waybill',
-            delhiveryResponse: delhiveryResult,
-            timestamp: new Date().toISOString()
-          });
-          
-          // Update order with Delhivery response
-          order.delhivery_data = {
-            waybill: awbNumber,
-            package_id: packageData?.refnum || order.order_id,
-            upload_wbn: delhiveryResult.upload_wbn || null,
-            status: packageData?.status || 'Success',
-            serviceable: packageData?.serviceable,
-            sort_code: packageData?.sort_code,
-            remarks: packageData?.remarks || [],
-            cod_amount: packageData?.cod_amount || 0,
-            payment: packageData?.payment,
-            label_url: delhiveryResult.label_url || packageData?.label_url || null,
-            expected_delivery_date: delhiveryResult.expected_delivery || packageData?.expected_delivery_date || null
+        
+        // NOW SAVE TO DATABASE - Only after the carrier confirms shipment creation
+        await order.save();
+        
+        console.log('💾 ORDER SAVED TO DATABASE AFTER CARRIER SUCCESS', {
+          orderId: order.order_id,
+          awb: awbNumber,
+          status: order.status,
+          timestamp: new Date().toISOString()
+        });
+        
+        // Create or update customer record AFTER successful order save
+        try {
+          const customerData = {
+            name: order.customer_info.buyer_name,
+            phone: order.customer_info.phone,
+            alternate_phone: order.customer_info.alternate_phone,
+            email: order.customer_info.email,
+            gstin: order.customer_info.gstin,
+            address: {
+              address_line_1: order.delivery_address.address_line_1,
+              address_line_2: order.delivery_address.address_line_2,
+              full_address: order.delivery_address.full_address,
+              landmark: order.delivery_address.landmark,
+              city: order.delivery_address.city,
+              state: order.delivery_address.state,
+              pincode: order.delivery_address.pincode,
+              country: order.delivery_address.country,
+              address_type: order.delivery_address.address_type
+            },
+            channel: 'order_creation'
           };
 
-          // Update order status based on Delhivery response
-          if (packageData?.status === 'Success' || !packageData?.status) {
-            order.status = 'ready_to_ship';
-          } else {
-            order.status = 'new';
-          }
+          const customer = await Customer.findOrCreate(userId, customerData);
           
-          // NOW SAVE TO DATABASE - Only after Delhivery confirms shipment creation
-          await order.save();
+          // Update customer order statistics
+          await customer.updateOrderStats(order.payment_info.total_amount);
           
-          console.log('💾 ORDER SAVED TO DATABASE AFTER DELHIVERY SUCCESS', {
+          console.log('👤 CUSTOMER CREATED/UPDATED AFTER ORDER SUCCESS', {
             orderId: order.order_id,
-            awb: awbNumber,
-            status: order.status,
+            customerId: customer._id,
+            customerName: customer.name,
+            customerPhone: customer.phone,
             timestamp: new Date().toISOString()
           });
-          
-          // Create or update customer record AFTER successful order save
-          try {
-            const customerData = {
-              name: order.customer_info.buyer_name,
-              phone: order.customer_info.phone,
-              alternate_phone: order.customer_info.alternate_phone,
-              email: order.customer_info.email,
-              gstin: order.customer_info.gstin,
-              address: {
-                address_line_1: order.delivery_address.address_line_1,
-                address_line_2: order.delivery_address.address_line_2,
-                full_address: order.delivery_address.full_address,
-                landmark: order.delivery_address.landmark,
-                city: order.delivery_address.city,
-                state: order.delivery_address.state,
-                pincode: order.delivery_address.pincode,
-                country: order.delivery_address.country,
-                address_type: order.delivery_address.address_type
-              },
-              channel: 'order_creation'
-            };
-
-            const customer = await Customer.findOrCreate(userId, customerData);
-            
-            // Update customer order statistics
-            await customer.updateOrderStats(order.payment_info.total_amount);
-            
-            console.log('👤 CUSTOMER CREATED/UPDATED AFTER ORDER SUCCESS', {
-              orderId: order.order_id,
-              customerId: customer._id,
-              customerName: customer.name,
-              customerPhone: customer.phone,
-              timestamp: new Date().toISOString()
-            });
-          } catch (customerError) {
-            console.error('❌ CUSTOMER CREATION FAILED', {
-              orderId: order.order_id,
-              error: customerError.message,
-              timestamp: new Date().toISOString()
-            });
-            // Don't fail the order creation if customer creation fails
-          }
-          
-          // Deduct wallet and create transaction AFTER successful order save
-          const walletResult = await deductWalletForOrder(order, userId, awbNumber);
-          if (!walletResult.success) {
-            console.error('❌ WALLET DEDUCTION FAILED', {
-              orderId: order.order_id,
-              error: walletResult.error,
-              timestamp: new Date().toISOString()
-            });
-            // Log error but don't fail order creation - order is already saved
-            // This allows the order to exist even if wallet deduction fails
-            // Admin can manually process the wallet deduction if needed
-          }
-          
-          console.log('✅ Shipment created successfully for order:', order.order_id, 'AWB:', awbNumber);
-          
-          // Note: Auto-pickup removed - order will appear in 'ready_to_ship' tab
-          // User can manually request pickup using "Create Pickup Request" button
-        } else {
-          console.log('⚠️ DELHIVERY API SUCCESS BUT NO AWB FOUND - ORDER NOT SAVED', {
+        } catch (customerError) {
+          console.error('❌ CUSTOMER CREATION FAILED', {
             orderId: order.order_id,
-            delhiveryResponse: delhiveryResult,
-            hasWaybill: !!delhiveryResult?.waybill,
-            hasPackages: !!delhiveryResult?.packages,
-            hasTrackingId: !!delhiveryResult?.tracking_id,
-            delhiveryResultKeys: Object.keys(delhiveryResult || {}),
+            error: customerError.message,
             timestamp: new Date().toISOString()
           });
-          
-          // Don't save order if no AWB was generated
-          return res.status(400).json({
-            status: 'error',
-            message: 'Shipment creation failed - No AWB number generated by Delhivery',
-            debug_info: {
-              delhivery_success: delhiveryResult?.success || false,
-              has_waybill: !!delhiveryResult?.waybill,
-              has_packages: !!delhiveryResult?.packages,
-              response_keys: Object.keys(delhiveryResult || {})
-            }
+          // Don't fail the order creation if customer creation fails
+        }
+        
+        // Deduct wallet and create transaction AFTER successful order save
+        const walletResult = await deductWalletForOrder(order, userId, awbNumber);
+        if (!walletResult.success) {
+          console.error('❌ WALLET DEDUCTION FAILED', {
+            orderId: order.order_id,
+            error: walletResult.error,
+            timestamp: new Date().toISOString()
           });
+          // Log error but don't fail order creation - order is already saved
+          // This allows the order to exist even if wallet deduction fails
+          // Admin can manually process the wallet deduction if needed
         }
+        
+        console.log('✅ Shipment created successfully for order:', order.order_id, 'AWB:', awbNumber);
+        
+        // Note: Auto-pickup removed - order will appear in 'ready_to_ship' tab
+        // User can manually request pickup using "Create Pickup Request" button
       } else {
-        console.log('❌ DELHIVERY API FAILED - ORDER NOT SAVED', {
+        console.log('❌ CARRIER API FAILED - ORDER NOT SAVED', {
           orderId: order.order_id,
-          delhiveryResponse: delhiveryResult,
-          error: delhiveryResult.error,
+          carrier: carrier.code,
+          response: shipmentResult.raw,
+          error: shipmentResult.error,
           timestamp: new Date().toISOString()
         });
         
-        // Return error - don't save order if Delhivery fails
+        // Return error - don't save order if the carrier fails
         return res.status(400).json({
           status: 'error',
-          message: 'Shipment creation failed with Delhivery',
-          error: delhiveryResult.error || 'Unknown Delhivery API error',
+          message: `Shipment creation failed with ${carrier.name}`,
+          error: shipmentResult.error || 'Unknown carrier API error',
           debug_info: {
-            delhivery_success: delhiveryResult?.success || false,
-            response_data: delhiveryResult
+            carrier: carrier.code,
+            carrier_success: false,
+            response_data: shipmentResult.raw || null
           }
         });
       }
-    } catch (delhiveryError) {
-      console.error('❌ DELHIVERY API ERROR - ORDER NOT SAVED:', {
+    } catch (carrierError) {
+      console.error('❌ CARRIER API ERROR - ORDER NOT SAVED:', {
         orderId: order.order_id,
-        error: delhiveryError.message,
+        carrier: carrier.code,
+        error: carrierError.message,
         timestamp: new Date().toISOString()
       });
       
-      // Return error - don't save order if Delhivery API fails
+      // Return error - don't save order if the carrier API fails
       return res.status(500).json({
         status: 'error',
-        message: 'Failed to create shipment with Delhivery',
-        error: delhiveryError.message,
+        message: `Failed to create shipment with ${carrier.name}`,
+        error: carrierError.message,
         debug_info: {
-          error_type: 'DELHIVERY_API_ERROR',
+          error_type: 'CARRIER_API_ERROR',
           order_id: order.order_id
         }
       });
@@ -2719,7 +2807,7 @@ router.post('/', auth, [
     // Refresh order from database to get the latest delhivery_data
     await order.populate('user_id', 'name email');
     
-    const awbNumber = order.delhivery_data?.waybill || delhiveryResult?.waybill || null;
+    const awbNumber = order.delhivery_data?.waybill || shipmentResult?.waybill || null;
     
     // Log completion based on whether AWB was generated
     if (generateAWB) {
@@ -2727,7 +2815,7 @@ router.post('/', auth, [
         orderId: order.order_id,
         awb: order.delhivery_data?.waybill || 'N/A',
         status: order.status,
-        delhiverySuccess: delhiveryResult?.success || false,
+        carrierSuccess: shipmentResult?.success || false,
         timestamp: new Date().toISOString()
       });
     } else {
@@ -2742,7 +2830,9 @@ router.post('/', auth, [
       ? 'Order and shipment created successfully' 
       : generateAWB 
         ? 'Order created, AWB generation in progress'
-        : 'Order saved successfully';
+        : riskHoldMessage
+          ? `Order saved without AWB. ${riskHoldMessage}`
+          : 'Order saved successfully';
 
     // Response data for order creation
     const responseData = {
@@ -2780,6 +2870,163 @@ router.post('/', auth, [
   }
 });
 
+// @desc    Rank carriers/service modes for an order
+// @route   GET /api/orders/:id/courier-recommendations?rule=cheapest|fastest|best_delivery_rate
+// @access  Private
+router.get('/:id/courier-recommendations', auth, async (req, res) => {
+  try {
+    const order = await Order.findOne({
+      _id: req.params.id,
+      user_id: req.user._id
+    }).lean();
+
+    if (!order) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Order not found'
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('user_category courier_preferences').lean();
+    const recommendations = await courierRecommendationService.getRecommendations(order, user, {
+      rule: req.query.rule,
+      shippingMode: req.query.shipping_mode
+    });
+
+    res.json({
+      status: 'success',
+      data: {
+        order_id: order.order_id,
+        saved_rule: user?.courier_preferences?.rule || 'cheapest',
+        ...recommendations
+      }
+    });
+  } catch (error) {
+    logger.error('❌ Courier recommendation error', {
+      orderId: req.params.id,
+      userId: req.user._id,
+      error: error.message
+    });
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error ranking courier options'
+    });
+  }
+});
+
+// @desc    Release an order held for COD RTO risk, after verifying the buyer
+//          or converting the order to prepaid
+// @route   POST /api/orders/:id/rto-risk/resolve
+// @access  Private
+router.post('/:id/rto-risk/resolve', auth, async (req, res) => {
+  try {
+    const action = req.body?.action;
+    const result = await rtoRiskService.resolve(req.params.id, req.user._id, action);
+
+    if (!result.success) {
+      const statusCode = {
+        NOT_FOUND: 404,
+        NOT_HELD: 409,
+        NOT_ACTIVE: 409,
+        PRICING_FAILED: 502,
+        REFUND_FAILED: 500
+      }[result.code] || 400;
+      return res.status(statusCode).json({
+        status: 'error',
+        message: result.error,
+        code: result.code
+      });
+    }
+
+    res.json({
+      status: 'success',
+      message: action === 'convert_prepaid'
+        ? `Order ${result.order.order_id} converted to prepaid and ready for AWB${result.refund.amount > 0 ? `. COD charge of ₹${result.refund.amount} refunded` : ''}`
+        : `Order ${result.order.order_id} verified and ready for AWB`,
+      data: {
+        order_id: result.order.order_id,
+        payment_info: result.order.payment_info,
+        rto_risk: result.order.rto_risk,
+        cod_charge_refund: result.refund ? {
+          amount: result.refund.amount,
+          method: result.refund.method
+        } : null
+      }
+    });
+  } catch (error) {
+    logger.error('❌ Resolve RTO risk hold error', {
+      orderId: req.params.id,
+      userId: req.user._id,
+      error: error.message
+    });
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error releasing order'
+    });
+  }
+});
+
+// @desc    Exchange items from a delivered order: creates the replacement (REPL)
+//          and pickup orders together and charges both
+// @route   POST /api/orders/:id/exchange
+// @access  Private
+router.post('/:id/exchange', auth, async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const user = await User.findById(userId).select('user_category');
+    const result = await exchangeService.createExchange(req.params.id, user, req.body || {});
+
+    if (!result.success) {
+      return res.status(result.code === 'NOT_FOUND' ? 404 : 400).json({
+        status: 'error',
+        message: result.error,
+        code: result.code
+      });
+    }
+
+    // Both legs are charged, or neither
+    const charged = [];
+    for (const leg of [result.forward, result.reverse]) {
+      const walletResult = await deductWalletForOrder(leg, userId, null);
+      if (!walletResult.success) {
+        for (const paid of charged) {
+          await refundShippingChargesToWallet(paid, userId);
+        }
+        await exchangeService.discard(result.exchange);
+        return res.status(400).json({
+          status: 'error',
+          message: walletResult.error || 'Could not charge the exchange orders'
+        });
+      }
+      charged.push(leg);
+    }
+
+    res.status(201).json({
+      status: 'success',
+      message: `Exchange ${result.exchange.exchange_number} created`,
+      data: {
+        exchange: result.exchange,
+        forward_order: { _id: result.forward._id, order_id: result.forward.order_id },
+        reverse_order: { _id: result.reverse._id, order_id: result.reverse.order_id },
+        charges: result.charges
+      }
+    });
+  } catch (error) {
+    logger.error('❌ Create exchange error', {
+      orderId: req.params.id,
+      userId: req.user._id,
+      error: error.message
+    });
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error creating exchange'
+    });
+  }
+});
+
 // @desc    Generate AWB for an existing order in NEW status
 // @route   POST /api/orders/:id/generate-awb
 // @access  Private
@@ -2818,9 +3065,68 @@ router.post('/:id/generate-awb', auth, async (req, res) => {
       });
     }
 
+    const holdMessage = rtoRiskService.getHoldMessage(order) || await exchangeService.getHoldMessage(order);
+    if (holdMessage) {
+      return res.status(400).json({
+        status: 'error',
+        message: holdMessage
+      });
+    }
+
+    const requestedMode = req.body?.shipping_mode;
+    if (requestedMode && !['Surface', 'Express'].includes(requestedMode)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'shipping_mode must be Surface or Express'
+      });
+    }
+    const shippingMode = requestedMode || order.shipping_mode || 'Surface';
+
+    // Explicit carrier wins; otherwise take the top ranked option for the seller's rule
+    let carrier;
+    let recommendation = null;
+    try {
+      if (req.body?.carrier) {
+        carrier = resolveRequestedCarrier(req.body.carrier);
+      } else {
+        try {
+          const user = await User.findById(userId).select('user_category courier_preferences').lean();
+          const ranking = await courierRecommendationService.getRecommendations(order, user, {
+            rule: req.body?.rule,
+            shippingMode
+          });
+          recommendation = ranking.options.find(option => option.recommended) || null;
+          if (recommendation) {
+            recommendation.rule = ranking.rule;
+          }
+        } catch (rankingError) {
+          logger.warn('⚠️ Courier ranking failed, using order carrier', {
+            orderId: order.order_id,
+            error: rankingError.message
+          });
+        }
+        carrier = recommendation
+          ? carriers.getCarrier(recommendation.carrier)
+          : carriers.getCarrierForOrder(order);
+      }
+    } catch (carrierError) {
+      return res.status(400).json({
+        status: 'error',
+        message: carrierError.message
+      });
+    }
+
+    if (!carrier.serviceModes.includes(shippingMode)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `${carrier.name} does not offer ${shippingMode} shipping`
+      });
+    }
+
     logger.info('🚀 Generating AWB for existing order', {
       orderId: order.order_id,
-      userId: userId.toString()
+      userId: userId.toString(),
+      carrier: carrier.code
     });
 
     // Get warehouse/pickup address
@@ -2841,7 +3147,8 @@ router.post('/:id/generate-awb', auth, async (req, res) => {
       await ensureServiceablePincodes(
         pickupAddress.pincode || order.pickup_address?.pincode,
         order.delivery_address.pincode,
-        order.payment_info.payment_mode
+        order.payment_info.payment_mode,
+        carrier
       );
     } catch (svcError) {
       logger.error('❌ Serviceability validation failed before AWB generation', {
@@ -2857,132 +3164,57 @@ router.post('/:id/generate-awb', auth, async (req, res) => {
       });
     }
 
-    // Prepare order data for Delhivery API
-    const orderDataForDelhivery = {
-      order_id: order.order_id,
-      customer_info: {
-        buyer_name: order.customer_info.buyer_name,
-        phone: order.customer_info.phone,
-        email: order.customer_info.email || ''
-      },
-      delivery_address: {
-        full_address: order.delivery_address.full_address,
-        pincode: order.delivery_address.pincode,
-        city: order.delivery_address.city,
-        state: order.delivery_address.state,
-        country: order.delivery_address.country || 'India',
-        address_type: order.delivery_address.address_type || 'home'
-      },
-      pickup_address: pickupAddress,
-      products: order.products.map(p => ({
-        product_name: p.product_name,
-        quantity: p.quantity,
-        hsn_code: p.hsn_code || '',
-        unit_price: p.unit_price || 0
-      })),
-      package_info: {
-        weight: order.package_info.weight,
-        dimensions: {
-          width: order.package_info.dimensions.width,
-          height: order.package_info.dimensions.height,
-          length: order.package_info.dimensions.length || order.package_info.dimensions.width
-        }
-      },
-      payment_info: {
-        payment_mode: order.payment_info.payment_mode,
-        cod_amount: order.payment_info.cod_amount || 0,
-        order_value: order.payment_info.order_value || order.payment_info.total_amount || 0
-      },
-      seller_info: {
-        name: order.seller_info?.name || 'SHIPSARTHI',
-        gst_number: order.seller_info?.gst_number || ''
-      },
-      invoice_number: order.invoice_number || `INV${order.order_id}`,
-      shipping_mode: order.shipping_mode || 'Surface',
-      address_type: order.delivery_address.address_type || 'home'
-    };
-
-    // Try to fetch waybill first
-    const waybillResult = await delhiveryService.getWaybill(1);
-    let preFetchedWaybill = null;
-    
-    if (waybillResult.success && waybillResult.waybills && waybillResult.waybills.length > 0) {
-      preFetchedWaybill = waybillResult.waybills[0];
-    }
-    
-    if (preFetchedWaybill) {
-      orderDataForDelhivery.waybill = preFetchedWaybill;
+    // Charges were taken when the order was saved; only an account hold blocks here
+    const shippingCheck = await creditControlService.checkShippingAllowed(userId);
+    if (!shippingCheck.allowed) {
+      return res.status(400).json({
+        status: 'error',
+        message: shippingCheck.message,
+        error_code: shippingCheck.code
+      });
     }
 
-    // Call Delhivery API to create shipment
-    const delhiveryResult = await delhiveryService.createShipment(orderDataForDelhivery);
-
-    // Extract AWB number from response - check success OR if waybill exists
-    let awbNumber = null;
-    let packageData = null;
-
-    // Always try to extract AWB, even if success is false (Delhivery may still generate it)
-    if (delhiveryResult.packages && Array.isArray(delhiveryResult.packages) && delhiveryResult.packages.length > 0) {
-      packageData = delhiveryResult.packages[0];
-      awbNumber = packageData.waybill || packageData.AWB || packageData.wb || null;
-    }
-    
-    if (!awbNumber && delhiveryResult.waybill) {
-      awbNumber = delhiveryResult.waybill;
-      packageData = packageData || { waybill: awbNumber, status: 'Success' };
+    // The order was charged for its original carrier and mode; settle any change first
+    const repriceResult = await repriceOrderForCarrier(order, userId, carrier, shippingMode);
+    if (!repriceResult.success) {
+      return res.status(repriceResult.code === 'PRICING_FAILED' ? 502 : 400).json({
+        status: 'error',
+        message: repriceResult.error,
+        error_code: repriceResult.code
+      });
     }
 
-    // If we have AWB, proceed (even if success was false)
-    if (awbNumber) {
-      // Log warning if there was an error flag but we still got AWB
-      if (delhiveryResult.warning) {
-        logger.warn('⚠️ AWB generated despite Delhivery warning', {
-          orderId: order.order_id,
-          awbNumber: awbNumber,
-          warning: delhiveryResult.warning
-        });
-      }
-    } else if (!delhiveryResult.success) {
-      // Only fail if no AWB AND success is false
+    const shipmentResult = await carrier.createShipment(order, { pickupAddress });
+
+    if (!shipmentResult.success) {
       logger.error('❌ AWB generation failed - no AWB in response', {
         orderId: order.order_id,
-        error: delhiveryResult.error,
-        hasPackages: !!delhiveryResult.packages,
-        hasWaybill: !!delhiveryResult.waybill
+        carrier: carrier.code,
+        error: shipmentResult.error
       });
 
       return res.status(400).json({
         status: 'error',
-        message: delhiveryResult.error || 'Failed to generate AWB from Delhivery',
-        error: delhiveryResult.error
-      });
-    } else {
-      // No AWB found even though success was true (shouldn't happen, but handle gracefully)
-      logger.error('❌ AWB generation reported success but no AWB found', {
-        orderId: order.order_id,
-        delhiveryResult: delhiveryResult
+        message: shipmentResult.error || `Failed to generate AWB from ${carrier.name}`,
+        error: shipmentResult.error
       });
+    }
 
-      return res.status(400).json({
-        status: 'error',
-        message: 'AWB number not found in Delhivery response'
+    const awbNumber = shipmentResult.waybill;
+
+    // Log warning if there was an error flag but we still got AWB
+    if (shipmentResult.warning) {
+      logger.warn('⚠️ AWB generated despite carrier warning', {
+        orderId: order.order_id,
+        carrier: carrier.code,
+        awbNumber: awbNumber,
+        warning: shipmentResult.warning
       });
     }
 
     // Update order with AWB and status
-    order.delhivery_data = {
-      waybill: awbNumber,
-      package_id: packageData?.refnum || order.order_id,
-      upload_wbn: delhiveryResult.upload_wbn || null,
-      status: packageData?.status || 'Success',
-      serviceable: packageData?.serviceable,
-      sort_code: packageData?.sort_code,
-      remarks: packageData?.remarks || [],
-      cod_amount: packageData?.cod_amount || 0,
-      payment: packageData?.payment,
-      label_url: delhiveryResult.label_url || packageData?.label_url || null,
-      expected_delivery_date: delhiveryResult.expected_delivery || packageData?.expected_delivery_date || null
-    };
+    order.carrier = carrier.code;
+    order.delhivery_data = shipmentResult.shipment_data;
 
     // Update status to ready_to_ship
     order.status = 'ready_to_ship';
@@ -2991,6 +3223,7 @@ router.post('/:id/generate-awb', auth, async (req, res) => {
 
     logger.info('✅ AWB generated successfully', {
       orderId: order.order_id,
+      carrier: carrier.code,
       awb: awbNumber,
       newStatus: order.status
     });
@@ -3002,7 +3235,11 @@ router.post('/:id/generate-awb', auth, async (req, res) => {
         order_id: order.order_id,
         awb_number: awbNumber,
         status: order.status,
-        shipment_info: order.delhivery_data
+        carrier: order.carrier,
+        shipping_mode: order.shipping_mode,
+        shipment_info: order.delhivery_data,
+        recommendation,
+        reprice: repriceResult.reprice
       }
     });
 
@@ -3399,17 +3636,20 @@ router.get('/:id/label', auth, async (req, res) => {
     const pdf = req.query.pdf !== 'false'; // Default to true (PDF)
     const pdf_size = req.query.pdf_size || 'A4'; // Default to A4
 
-    logger.info('🏷️ Generating shipping label via Delhivery API', {
+    const carrier = carriers.getCarrierForOrder(order);
+
+    logger.info('🏷️ Generating shipping label via carrier API', {
       requestId: req.requestId,
       orderId: order._id,
+      carrier: carrier.code,
       waybill,
       pdf,
       pdf_size
     });
 
-    // Call Delhivery API to generate shipping label
+    // Call carrier API to generate shipping label
     // NOTE: Delhivery packing_slip API always returns JSON, never PDF URL
-    const labelResult = await delhiveryService.generateShippingLabel(waybill);
+    const labelResult = await carrier.generateLabel(waybill);
 
     if (!labelResult.success) {
       logger.error('❌ Shipping label generation failed', {
@@ -3421,12 +3661,12 @@ router.get('/:id/label', auth, async (req, res) => {
 
       return res.status(400).json({
         status: 'error',
-        message: labelResult.error || 'Failed to generate shipping label from Delhivery',
+        message: labelResult.error || `Failed to generate shipping label from ${carrier.name}`,
         error: labelResult.error
       });
     }
 
-    logger.info('✅ Shipping label JSON received from Delhivery', {
+    logger.info('✅ Shipping label JSON received from carrier', {
       requestId: req.requestId,
       orderId: order._id,
       waybill,
@@ -3437,8 +3677,11 @@ router.get('/:id/label', auth, async (req, res) => {
     if (req.query.format === 'html') {
       try {
         // Fetch user's label settings
-        const user = await User.findById(req.user._id).select('label_settings company_logo_url').lean();
+        const user = await User.findById(req.user._id).select('label_settings company_logo_url client_id tracking_page.slug').lean();
         const labelSettings = user?.label_settings ? { ...user.label_settings } : {};
+        if (user?.client_id) {
+          labelSettings.tracking_page_url = trackingPageService.getPageUrl(user);
+        }
         if (!labelSettings.logo_url && user?.company_logo_url) {
           labelSettings.logo_url = user.company_logo_url;
         }
@@ -4059,8 +4302,8 @@ router.post('/:id/request-pickup', auth, async (req, res) => {
       });
     }
 
-    // Validate order status
-    if (order.status !== 'ready_to_ship') {
+    // Validate order status (a pickup flagged not picked on its manifest can be requested again)
+    if (order.status !== 'ready_to_ship' && !manifestService.canRequestPickupAgain(order)) {
       return res.status(400).json({
         status: 'error',
         message: 'Order must be in ready_to_ship status to request pickup'
@@ -4129,8 +4372,11 @@ router.post('/:id/request-pickup', auth, async (req, res) => {
       pickupTime = '11:00:00';
     }
 
-    logger.info('🚚 Requesting pickup from Delhivery', {
+    const carrier = carriers.getCarrierForOrder(order);
+
+    logger.info('🚚 Requesting pickup from carrier', {
       orderId: order.order_id,
+      carrier: carrier.code,
       waybill: order.delhivery_data.waybill,
       pickupLocation: order.pickup_address.name,
       pickupDate,
@@ -4138,8 +4384,8 @@ router.post('/:id/request-pickup', auth, async (req, res) => {
       expectedPackageCount
     });
 
-    // Call Delhivery Pickup API
-    const pickupResult = await delhiveryService.schedulePickup({
+    // Call carrier Pickup API
+    const pickupResult = await carrier.schedulePickup({
       pickup_time: pickupTime,
       pickup_date: pickupDate,
       pickup_location: order.pickup_address.name,
@@ -4162,7 +4408,7 @@ router.post('/:id/request-pickup', auth, async (req, res) => {
       
       return res.status(isClientError ? 400 : 500).json({
         status: 'error',
-        message: pickupResult.error || 'Failed to request pickup from Delhivery'
+        message: pickupResult.error || `Failed to request pickup from ${carrier.name}`
       });
     }
 
@@ -4178,6 +4424,16 @@ router.post('/:id/request-pickup', auth, async (req, res) => {
 
     await order.save();
 
+    // Add the shipment to the warehouse's manifest for the pickup day
+    try {
+      await manifestService.addOrder(order);
+    } catch (manifestError) {
+      logger.warn('⚠️ Failed to add order to manifest (non-critical)', {
+        orderId: order.order_id,
+        error: manifestError.message
+      });
+    }
+
     // Create or update TrackingOrder for automated tracking
     try {
       if (order.delhivery_data.waybill && order.delhivery_data.pickup_request_id) {
@@ -4212,7 +4468,8 @@ router.post('/:id/request-pickup', auth, async (req, res) => {
         pickup_request_id: order.delhivery_data.pickup_request_id,
         pickup_date: pickupDate,
         pickup_time: pickupTime,
-        pickup_status: order.delhivery_data.pickup_request_status
+        pickup_status: order.delhivery_data.pickup_request_status,
+        manifest_id: order.delhivery_data.manifest_id || null
       }
     });
 
@@ -4279,48 +4536,41 @@ router.post('/:id/cancel-shipment', auth, async (req, res) => {
       });
     }
 
-    const cancelResult = await delhiveryService.cancelShipment(waybill);
+    const carrier = carriers.getCarrierForOrder(order);
+    const cancelResult = await carrier.cancelShipment(waybill);
 
     if (!cancelResult.success) {
       logger.error('❌ Shipment cancellation failed', {
         orderId: order.order_id,
+        carrier: carrier.code,
         waybill: waybill,
         error: cancelResult.error
       });
 
       return res.status(400).json({
         status: 'error',
-        message: cancelResult.error || 'Failed to cancel shipment with Delhivery',
+        message: cancelResult.error || `Failed to cancel shipment with ${carrier.name}`,
         error: cancelResult.error
       });
     }
 
     const delhiveryResponse = cancelResult.data || {};
 
-    logger.info('📋 Delhivery cancellation response received', {
+    logger.info('📋 Carrier cancellation response received', {
       orderId: order.order_id,
+      carrier: carrier.code,
       waybill: waybill,
-      cancelResultSuccess: cancelResult.success,
-      delhiveryResponse: delhiveryResponse,
-      hasStatus: Object.prototype.hasOwnProperty.call(delhiveryResponse, 'status'),
-      statusValue: delhiveryResponse.status,
-      hasRemark: Object.prototype.hasOwnProperty.call(delhiveryResponse, 'remark'),
-      remarkValue: delhiveryResponse.remark,
+      confirmed: cancelResult.confirmed,
+      carrierResponse: delhiveryResponse,
       cancelResultMessage: cancelResult.message
     });
 
-    const isCancelled = cancelResult.success && (
-      delhiveryResponse.status === true ||
-      delhiveryResponse.status === 'true' ||
-      delhiveryResponse.status === 1 ||
-      (delhiveryResponse.remark && typeof delhiveryResponse.remark === 'string' && delhiveryResponse.remark.toLowerCase().includes('cancelled')) ||
-      (delhiveryResponse.message && typeof delhiveryResponse.message === 'string' && delhiveryResponse.message.toLowerCase().includes('cancelled')) ||
-      (cancelResult.message && typeof cancelResult.message === 'string' && cancelResult.message.toLowerCase().includes('cancelled'))
-    );
+    const isCancelled = cancelResult.confirmed === true;
 
     if (!isCancelled) {
-      logger.warn('⚠️ Delhivery API response does not confirm cancellation', {
+      logger.warn('⚠️ Carrier response does not confirm cancellation', {
         orderId: order.order_id,
+        carrier: carrier.code,
         waybill: waybill,
         delhiveryResponse: delhiveryResponse,
         cancelResultMessage: cancelResult.message
@@ -4458,6 +4708,12 @@ router.post('/bulk/generate-awb', auth, async (req, res) => {
           continue;
         }
 
+        const holdMessage = rtoRiskService.getHoldMessage(order) || await exchangeService.getHoldMessage(order);
+        if (holdMessage) {
+          results.push({ order_id: order.order_id, status: 'failed', error: holdMessage });
+          continue;
+        }
+
         // Get warehouse/pickup address
         let pickupAddress = {};
         if (order.pickup_address) {
@@ -4472,12 +4728,15 @@ router.post('/bulk/generate-awb', auth, async (req, res) => {
           };
         }
 
+        const carrier = carriers.getCarrierForOrder(order);
+
         // Check serviceability
         try {
           await ensureServiceablePincodes(
             pickupAddress.pincode || order.pickup_address?.pincode,
             order.delivery_address.pincode,
-            order.payment_info.payment_mode
+            order.payment_info.payment_mode,
+            carrier
           );
         } catch (svcError) {
           results.push({
@@ -4488,114 +4747,43 @@ router.post('/bulk/generate-awb', auth, async (req, res) => {
           continue;
         }
 
-        // Prepare order data for Delhivery API
-        const orderDataForDelhivery = {
-          order_id: order.order_id,
-          customer_info: {
-            buyer_name: order.customer_info.buyer_name,
-            phone: order.customer_info.phone,
-            email: order.customer_info.email || ''
-          },
-          delivery_address: {
-            full_address: order.delivery_address.full_address,
-            pincode: order.delivery_address.pincode,
-            city: order.delivery_address.city,
-            state: order.delivery_address.state,
-            country: order.delivery_address.country || 'India',
-            address_type: order.delivery_address.address_type || 'home'
-          },
-          pickup_address: pickupAddress,
-          products: order.products.map(p => ({
-            product_name: p.product_name,
-            quantity: p.quantity,
-            hsn_code: p.hsn_code || '',
-            unit_price: p.unit_price || 0
-          })),
-          package_info: {
-            weight: order.package_info.weight,
-            dimensions: {
-              width: order.package_info.dimensions.width,
-              height: order.package_info.dimensions.height,
-              length: order.package_info.dimensions.length || order.package_info.dimensions.width
-            }
-          },
-          payment_info: {
-            payment_mode: order.payment_info.payment_mode,
-            cod_amount: order.payment_info.cod_amount || 0,
-            order_value: order.payment_info.order_value || order.payment_info.total_amount || 0
-          },
-          seller_info: {
-            name: order.seller_info?.name || 'SHIPSARTHI',
-            gst_number: order.seller_info?.gst_number || ''
-          },
-          invoice_number: order.invoice_number || `INV${order.order_id}`,
-          shipping_mode: order.shipping_mode || 'Surface',
-          address_type: order.delivery_address.address_type || 'home'
-        };
-
-        // Try to fetch waybill first
-        const waybillResult = await delhiveryService.getWaybill(1);
-        let preFetchedWaybill = null;
-
-        if (waybillResult.success && waybillResult.waybills && waybillResult.waybills.length > 0) {
-          preFetchedWaybill = waybillResult.waybills[0];
-        }
-
-        if (preFetchedWaybill) {
-          orderDataForDelhivery.waybill = preFetchedWaybill;
-        }
-
-        // Call Delhivery API to create shipment
-        const delhiveryResult = await delhiveryService.createShipment(orderDataForDelhivery);
-
-        // Extract AWB number from response
-        let awbNumber = null;
-        let packageData = null;
-
-        if (delhiveryResult.packages && Array.isArray(delhiveryResult.packages) && delhiveryResult.packages.length > 0) {
-          packageData = delhiveryResult.packages[0];
-          awbNumber = packageData.waybill || packageData.AWB || packageData.wb || null;
+        const shippingCheck = await creditControlService.checkShippingAllowed(userId);
+        if (!shippingCheck.allowed) {
+          // A hold applies to every remaining order
+          stopped = true;
+          stopped_reason = shippingCheck.message;
+          results.push({
+            order_id: order.order_id,
+            status: 'failed',
+            error: shippingCheck.message
+          });
+          continue;
         }
 
-        if (!awbNumber && delhiveryResult.waybill) {
-          awbNumber = delhiveryResult.waybill;
-          packageData = packageData || { waybill: awbNumber, status: 'Success' };
-        }
+        const shipmentResult = await carrier.createShipment(order, { pickupAddress });
 
-        if (awbNumber) {
+        if (shipmentResult.success) {
           // Update order with AWB and status
-          order.delhivery_data = {
-            waybill: awbNumber,
-            package_id: packageData?.refnum || order.order_id,
-            upload_wbn: delhiveryResult.upload_wbn || null,
-            status: packageData?.status || 'Success',
-            serviceable: packageData?.serviceable,
-            sort_code: packageData?.sort_code,
-            remarks: packageData?.remarks || [],
-            cod_amount: packageData?.cod_amount || 0,
-            payment: packageData?.payment,
-            label_url: delhiveryResult.label_url || packageData?.label_url || null,
-            expected_delivery_date: delhiveryResult.expected_delivery || packageData?.expected_delivery_date || null
-          };
-
+          order.delhivery_data = shipmentResult.shipment_data;
           order.status = 'ready_to_ship';
           await order.save();
 
           results.push({
             order_id: order.order_id,
-            awb: awbNumber,
+            awb: shipmentResult.waybill,
             status: 'success'
           });
 
           logger.info('✅ Bulk AWB generated', {
             orderId: order.order_id,
-            awb: awbNumber
+            carrier: carrier.code,
+            awb: shipmentResult.waybill
           });
         } else {
           results.push({
             order_id: order.order_id,
             status: 'failed',
-            error: delhiveryResult.error || 'Failed to generate AWB'
+            error: shipmentResult.error || 'Failed to generate AWB'
           });
         }
 
@@ -4687,8 +4875,8 @@ router.post('/bulk/request-pickup', auth, async (req, res) => {
           continue;
         }
 
-        // Validate order has AWB and is ready_to_ship
-        if (order.status !== 'ready_to_ship') {
+        // Validate order has AWB and is ready_to_ship (or was not picked on its manifest)
+        if (order.status !== 'ready_to_ship' && !manifestService.canRequestPickupAgain(order)) {
           results.push({
             order_id: order.order_id,
             status: 'failed',
@@ -4707,27 +4895,49 @@ router.post('/bulk/request-pickup', auth, async (req, res) => {
           continue;
         }
 
-        // Request pickup from Delhivery
-        const pickupResult = await delhiveryService.requestPickup({
-          waybill: waybill,
-          pickup_date: pickup_date || moment().add(1, 'days').format('YYYY-MM-DD'),
-          pickup_time: pickup_time || '14:00:00',
+        const carrier = carriers.getCarrierForOrder(order);
+        const pickupDate = pickup_date || moment().add(1, 'days').format('YYYY-MM-DD');
+        const pickupTime = pickup_time || '14:00:00';
+
+        // Request pickup from the order's carrier
+        const pickupResult = await carrier.schedulePickup({
+          pickup_date: pickupDate,
+          pickup_time: pickupTime,
           pickup_location: order.pickup_address?.name || 'SHIPSARTHI C2C',
           expected_package_count: 1
         });
 
         if (pickupResult.success) {
           order.status = 'pickups_manifests';
-          order.pickup_request_id = pickupResult.pickup_id || `PU${Date.now()}`;
-          order.pickup_request_date = pickup_date || moment().add(1, 'days').format('YYYY-MM-DD');
-          order.pickup_request_time = pickup_time || '14:00:00';
-          order.pickup_request_status = 'scheduled';
+          order.delhivery_data.pickup_request_id = pickupResult.pickup_id || `PU${Date.now()}`;
+          order.delhivery_data.pickup_request_date = new Date(pickupDate);
+          order.delhivery_data.pickup_request_time = pickupTime;
+          order.delhivery_data.pickup_request_status = 'scheduled';
           await order.save();
 
+          try {
+            await manifestService.addOrder(order);
+          } catch (manifestError) {
+            logger.warn('⚠️ Failed to add order to manifest (non-critical)', {
+              orderId: order.order_id,
+              error: manifestError.message
+            });
+          }
+
+          try {
+            await TrackingOrder.createFromOrder(order);
+          } catch (trackingOrderError) {
+            logger.warn('⚠️ Failed to create TrackingOrder (non-critical)', {
+              orderId: order.order_id,
+              error: trackingOrderError.message
+            });
+          }
+
           results.push({
             order_id: order.order_id,
             status: 'success',
-            pickup_id: order.pickup_request_id
+            pickup_id: order.delhivery_data.pickup_request_id,
+            manifest_id: order.delhivery_data.manifest_id || null
           });
         } else {
           results.push({
@@ -4825,14 +5035,15 @@ router.post('/bulk/cancel', auth, async (req, res) => {
         const hasWaybill = Boolean(waybill);
 
         if (hasWaybill) {
-          // Cancel with Delhivery
-          const cancelResult = await delhiveryService.cancelShipment(waybill);
+          // Cancel with the order's carrier
+          const carrier = carriers.getCarrierForOrder(order);
+          const cancelResult = await carrier.cancelShipment(waybill);
 
           if (!cancelResult.success) {
             results.push({
               order_id: order.order_id,
               status: 'failed',
-              error: cancelResult.error || 'Delhivery cancellation failed'
+              error: cancelResult.error || `${carrier.name} cancellation failed`
             });
             continue;
           }
@@ -4921,8 +5132,11 @@ router.get('/bulk/labels', auth, async (req, res) => {
     }
 
     // Fetch user's label settings
-    const user = await User.findById(userId).select('label_settings company_logo_url').lean();
+    const user = await User.findById(userId).select('label_settings company_logo_url client_id tracking_page.slug').lean();
     const labelSettings = user?.label_settings ? { ...user.label_settings } : {};
+    if (user?.client_id) {
+      labelSettings.tracking_page_url = trackingPageService.getPageUrl(user);
+    }
 
     logger.info('🖨️ Generating bulk labels', {
       userId: userId.toString(),
@@ -4949,8 +5163,8 @@ router.get('/bulk/labels', auth, async (req, res) => {
           continue;
         }
 
-        // Get label data from Delhivery
-        const labelResult = await delhiveryService.generateShippingLabel(waybill);
+        // Get label data from the order's carrier
+        const labelResult = await carriers.getCarrierForOrder(order).generateLabel(waybill);
 
         if (labelResult.success && labelResult.json_data) {
           // Generate label HTML using labelRenderer with user's label settings
@@ -4992,4 +5206,6 @@ router.get('/bulk/labels', auth, async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
+// Used by services/channelSyncService.js to import store orders
+module.exports.createSingleOrder = createSingleOrder;
@@ -3,11 +3,19 @@ const { query, param } = require('express-validator');
 const { auth } = require('../middleware/auth');
 const Remittance = require('../models/Remittance');
 const Order = require('../models/Order');
+const codReconciliationService = require('../services/codReconciliationService');
+const earlyCodService = require('../services/earlyCodService');
 const logger = require('../utils/logger');
 const XLSX = require('xlsx');
 
 const router = express.Router();
 
+// Days after delivery before an unremitted COD order is reported; the service default when not given
+const parseMinAgeDays = (value) => {
+  const days = parseInt(value, 10);
+  return Number.isNaN(days) ? undefined : Math.min(Math.max(days, 0), 365);
+};
+
 // @desc    Get all remittances for logged-in user
 // @route   GET /api/remittances
 // @access  Private
@@ -69,7 +77,8 @@ router.get('/', auth, [
       state: remittance.state,
       total_remittance: remittance.total_remittance,
       total_orders: remittance.total_orders,
-      processed_on: remittance.processed_on || remittance.date
+      processed_on: remittance.processed_on || remittance.date,
+      early_cod: remittance.early_cod?.advanced_orders ? remittance.early_cod : null
     }));
 
     res.json({
@@ -98,6 +107,138 @@ router.get('/', auth, [
   }
 });
 
+// @desc    COD reconciliation of the user's delivered orders against their remittances
+// @route   GET /api/remittances/reconciliation
+// @access  Private
+router.get('/reconciliation', auth, [
+  query('min_age_days').optional().isInt({ min: 0, max: 365 }).withMessage('min_age_days must be between 0 and 365')
+], async (req, res) => {
+  try {
+    const report = await codReconciliationService.buildReport({
+      userId: req.user._id,
+      minAgeDays: parseMinAgeDays(req.query.min_age_days)
+    });
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    logger.error('Get COD reconciliation error', {
+      userId: req.user._id,
+      error: error.message,
+      stack: error.stack
+    });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build COD reconciliation',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Download the COD reconciliation as Excel
+// @route   GET /api/remittances/reconciliation/export
+// @access  Private
+router.get('/reconciliation/export', auth, [
+  query('min_age_days').optional().isInt({ min: 0, max: 365 }).withMessage('min_age_days must be between 0 and 365')
+], async (req, res) => {
+  try {
+    const report = await codReconciliationService.buildReport({
+      userId: req.user._id,
+      minAgeDays: parseMinAgeDays(req.query.min_age_days),
+      rowLimit: null
+    });
+    const excelBuffer = codReconciliationService.buildReportWorkbook(report);
+    const fileDate = new Date().toISOString().split('T')[0];
+
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="COD_Reconciliation_${fileDate}.xlsx"`);
+    res.setHeader('Content-Length', excelBuffer.length);
+
+    res.send(excelBuffer);
+  } catch (error) {
+    logger.error('Export COD reconciliation error', {
+      userId: req.user._id,
+      error: error.message,
+      stack: error.stack
+    });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export COD reconciliation',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Get the user's early COD plan, totals and advances
+// @route   GET /api/remittances/early-cod
+// @access  Private
+router.get('/early-cod', auth, [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer')
+], async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const summary = await earlyCodService.getSummary(req.user._id, { page });
+
+    res.json({
+      success: true,
+      data: {
+        ...summary,
+        has_bank_details: Boolean(req.user.bank_details?.account_number && req.user.bank_details?.ifsc_code)
+      }
+    });
+  } catch (error) {
+    logger.error('Get early COD plan error', {
+      userId: req.user._id,
+      error: error.message,
+      stack: error.stack
+    });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch early COD plan',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Opt in to or out of early COD, or change the plan days and payout mode
+// @route   PUT /api/remittances/early-cod
+// @access  Private
+router.put('/early-cod', auth, async (req, res) => {
+  try {
+    const { enabled, days, payout_mode } = req.body || {};
+    const result = await earlyCodService.updatePlan(req.user._id, { enabled, days, payout_mode }, {
+      by: req.user.email
+    });
+
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        message: result.error,
+        code: result.code
+      });
+    }
+
+    res.json({
+      success: true,
+      message: result.plan.enabled ? 'Early COD plan saved' : 'Early COD turned off',
+      data: result.plan
+    });
+  } catch (error) {
+    logger.error('Update early COD plan error', {
+      userId: req.user._id,
+      error: error.message,
+      stack: error.stack
+    });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update early COD plan',
+      error: error.message
+    });
+  }
+});
+
 // @desc    Get remittance details by remittance number
 // @route   GET /api/remittances/:remittanceNumber
 // @access  Private
@@ -129,6 +270,7 @@ router.get('/:remittanceNumber', auth, [
       state: remittance.state,
       total_remittance: remittance.total_remittance,
       total_orders: remittance.total_orders,
+      early_cod: remittance.early_cod?.advanced_orders ? remittance.early_cod : null,
       account_details: {
         bank: remittance.account_details?.bank || '',
         beneficiary_name: remittance.account_details?.beneficiary_name || '',
@@ -220,5 +362,83 @@ router.get('/:remittanceNumber/download', auth, [
   }
 });
 
+// @desc    Reconcile a remittance's AWBs against the orders
+// @route   GET /api/remittances/:remittanceNumber/reconciliation
+// @access  Private
+router.get('/:remittanceNumber/reconciliation', auth, [
+  param('remittanceNumber').notEmpty().withMessage('Remittance number is required')
+], async (req, res) => {
+  try {
+    const report = await codReconciliationService.buildRemittanceReport(req.params.remittanceNumber, {
+      userId: req.user._id
+    });
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Remittance not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    logger.error('Get remittance reconciliation error', {
+      userId: req.user._id,
+      remittanceNumber: req.params.remittanceNumber,
+      error: error.message,
+      stack: error.stack
+    });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reconcile remittance',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Download a remittance's reconciliation as Excel
+// @route   GET /api/remittances/:remittanceNumber/reconciliation/export
+// @access  Private
+router.get('/:remittanceNumber/reconciliation/export', auth, [
+  param('remittanceNumber').notEmpty().withMessage('Remittance number is required')
+], async (req, res) => {
+  try {
+    const { remittanceNumber } = req.params;
+    const report = await codReconciliationService.buildRemittanceReport(remittanceNumber, {
+      userId: req.user._id
+    });
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Remittance not found'
+      });
+    }
+
+    const excelBuffer = codReconciliationService.buildRemittanceWorkbook(report);
+
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="Remittance_${remittanceNumber}_Reconciliation.xlsx"`);
+    res.setHeader('Content-Length', excelBuffer.length);
+
+    res.send(excelBuffer);
+  } catch (error) {
+    logger.error('Export remittance reconciliation error', {
+      userId: req.user._id,
+      remittanceNumber: req.params.remittanceNumber,
+      error: error.message,
+      stack: error.stack
+    });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export remittance reconciliation',
+      error: error.message
+    });
+  }
+});
+
 module.exports = router;
 
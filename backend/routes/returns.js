@@ -0,0 +1,370 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const multer = require('multer');
+const rateLimit = require('express-rate-limit');
+const { auth } = require('../middleware/auth');
+const ReturnRequest = require('../models/ReturnRequest');
+const returnService = require('../services/returnService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const RETURN_ERROR_STATUS = {
+  PAGE_NOT_FOUND: 404,
+  RETURNS_DISABLED: 404,
+  ORDER_NOT_FOUND: 404,
+  NOT_FOUND: 404,
+  SESSION_EXPIRED: 401,
+  INVALID_OTP: 401,
+  WINDOW_CLOSED: 409,
+  ALREADY_REQUESTED: 409,
+  ALREADY_DECIDED: 409,
+  OTP_NOT_SENT: 502
+};
+
+const sendError = (res, result) => res.status(RETURN_ERROR_STATUS[result.code] || 400).json({
+  success: false,
+  message: result.error,
+  code: result.code
+});
+
+// Each OTP is a paid SMS, so buyers get a few per window
+const otpLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 5,
+  message: {
+    success: false,
+    message: 'Too many OTP requests, please try again in 15 minutes'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Return photos: kept in memory until uploaded to Cloudinary
+const photoUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB per photo
+    files: 5
+  },
+  fileFilter: (req, file, cb) => {
+    if (['image/jpeg', 'image/png', 'image/webp'].includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Photos must be JPEG, PNG or WebP'), false);
+    }
+  }
+});
+
+// @desc    Seller's returns portal: branding and return reasons
+// @route   GET /api/returns/public/:slug
+// @access  Public
+router.get('/public/:slug', async (req, res) => {
+  try {
+    const result = await returnService.getPortal(req.params.slug);
+    if (!result.success) {
+      return sendError(res, result);
+    }
+
+    res.json({
+      success: true,
+      data: result.data
+    });
+  } catch (error) {
+    logger.error('Returns portal error', { slug: req.params.slug, error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Error loading returns page',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Send an OTP to the phone on a delivered order
+// @route   POST /api/returns/public/:slug/otp
+// @access  Public
+router.post('/public/:slug/otp', otpLimiter, async (req, res) => {
+  try {
+    const result = await returnService.sendOtp(req.params.slug, req.body || {});
+    if (!result.success) {
+      return sendError(res, result);
+    }
+
+    res.json({
+      success: true,
+      message: `OTP sent to ${result.data.phone}`,
+      data: result.data
+    });
+  } catch (error) {
+    logger.error('Return OTP error', { slug: req.params.slug, error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Error sending OTP',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Verify the OTP and open a return session for the order
+// @route   POST /api/returns/public/:slug/verify
+// @access  Public
+router.post('/public/:slug/verify', otpLimiter, async (req, res) => {
+  try {
+    const result = await returnService.verifyOtp(req.params.slug, req.body || {});
+    if (!result.success) {
+      return sendError(res, result);
+    }
+
+    res.json({
+      success: true,
+      message: 'Phone number verified',
+      data: result.data
+    });
+  } catch (error) {
+    logger.error('Return OTP verification error', { slug: req.params.slug, error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Error verifying OTP',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Order items and latest return request for a verified session
+// @route   GET /api/returns/public/:slug/session/:token
+// @access  Public (signed session)
+router.get('/public/:slug/session/:token', async (req, res) => {
+  try {
+    const result = await returnService.getSession(req.params.slug, req.params.token);
+    if (!result.success) {
+      return sendError(res, result);
+    }
+
+    res.json({
+      success: true,
+      data: result.data
+    });
+  } catch (error) {
+    logger.error('Return session error', { slug: req.params.slug, error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Error loading your order',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Submit a return request with photos
+// @route   POST /api/returns/public/:slug/session/:token
+// @access  Public (signed session)
+router.post('/public/:slug/session/:token', photoUpload.array('photos', 5), async (req, res) => {
+  try {
+    const { items, reason, comments } = req.body || {};
+    const result = await returnService.submitRequest(req.params.slug, req.params.token, {
+      items,
+      reason,
+      comments
+    }, req.files || []);
+    if (!result.success) {
+      return sendError(res, result);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: result.data.auto_approved
+        ? 'Your return is approved. A courier will collect the items.'
+        : 'Return request submitted. The seller will review it shortly.',
+      data: result.data
+    });
+  } catch (error) {
+    logger.error('Return request error', { slug: req.params.slug, error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Error submitting return request',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Get returns policy and portal link
+// @route   GET /api/returns/settings
+// @access  Private
+router.get('/settings', auth, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: returnService.getPolicy(req.user)
+    });
+  } catch (error) {
+    console.error('Get returns policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching returns policy',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Update returns policy
+// @route   PUT /api/returns/settings
+// @access  Private
+router.put('/settings', auth, async (req, res) => {
+  try {
+    const result = await returnService.updatePolicy(req.user._id, req.body || {});
+    if (!result.success) {
+      return sendError(res, result);
+    }
+
+    res.json({
+      success: true,
+      message: 'Returns policy updated',
+      data: result.data
+    });
+  } catch (error) {
+    console.error('Update returns policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating returns policy',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Get client's return requests
+// @route   GET /api/returns
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const { status = 'all', search = '', page = 1, limit = 25 } = req.query;
+    const result = await returnService.listRequests(req.user._id, {
+      status,
+      search,
+      page: Math.max(parseInt(page) || 1, 1),
+      limit: Math.min(Math.max(parseInt(limit) || 25, 1), 100)
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Get return requests error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching return requests',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Get a return request
+// @route   GET /api/returns/:id
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid return request ID'
+      });
+    }
+
+    const request = await ReturnRequest.findOne({ _id: req.params.id, user_id: req.user._id })
+      .populate('order_id', 'order_id delivered_date products awb')
+      .lean();
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Return request not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...request,
+        suggested_qc_checks: returnService.getQcChecks(request.reason)
+      }
+    });
+  } catch (error) {
+    console.error('Get return request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching return request',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Approve a return request and create its reverse order
+// @route   POST /api/returns/:id/approve
+// @access  Private
+router.post('/:id/approve', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid return request ID'
+      });
+    }
+
+    const { qc_required, qc_checks } = req.body || {};
+    const result = await returnService.approve(req.params.id, req.user._id, { qc_required, qc_checks });
+    if (!result.success) {
+      return sendError(res, result);
+    }
+
+    res.json({
+      success: true,
+      message: `Return approved. Reverse order ${result.reverse_order.order_id} created.`,
+      data: {
+        request: result.request,
+        reverse_order: {
+          _id: result.reverse_order._id,
+          order_id: result.reverse_order.order_id
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Approve return request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error approving return request',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Reject a return request
+// @route   POST /api/returns/:id/reject
+// @access  Private
+router.post('/:id/reject', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid return request ID'
+      });
+    }
+
+    const result = await returnService.reject(req.params.id, req.user._id, (req.body || {}).reason);
+    if (!result.success) {
+      return sendError(res, result);
+    }
+
+    res.json({
+      success: true,
+      message: 'Return request rejected',
+      data: result.request
+    });
+  } catch (error) {
+    console.error('Reject return request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error rejecting return request',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
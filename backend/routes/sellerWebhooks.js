@@ -0,0 +1,368 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { auth } = require('../middleware/auth');
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const sellerWebhookService = require('../services/sellerWebhookService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const MAX_SUBSCRIPTIONS_PER_SELLER = 10;
+
+const isValidId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+const normalizeEvents = (events) => {
+  const list = Array.isArray(events) ? events : [];
+  return [...new Set(list.map(event => String(event).trim()))];
+};
+
+const findOwnSubscription = (req) => {
+  if (!isValidId(req.params.id)) {
+    return null;
+  }
+  return WebhookSubscription.findOne({ _id: req.params.id, user_id: req.user._id });
+};
+
+const sendValidationError = (res, error) => {
+  const messages = Object.values(error.errors || {}).map(e => e.message);
+  return res.status(400).json({
+    status: 'error',
+    message: messages[0] || error.message,
+    errors: messages
+  });
+};
+
+// @desc    List subscribable events
+// @route   GET /api/seller-webhooks/events
+// @access  Private
+router.get('/events', auth, (req, res) => {
+  res.json({
+    status: 'success',
+    data: WebhookSubscription.EVENTS
+  });
+});
+
+// @desc    List delivery log
+// @route   GET /api/seller-webhooks/deliveries
+// @access  Private
+router.get('/deliveries', auth, async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const filterQuery = { user_id: req.user._id };
+
+    if (req.query.subscription_id && isValidId(req.query.subscription_id)) {
+      filterQuery.subscription_id = req.query.subscription_id;
+    }
+    if (req.query.event) {
+      filterQuery.event = req.query.event;
+    }
+    if (req.query.status) {
+      filterQuery.status = req.query.status;
+    }
+
+    const [deliveries, total] = await Promise.all([
+      WebhookDelivery.find(filterQuery)
+        .select('-payload -response_body')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      WebhookDelivery.countDocuments(filterQuery)
+    ]);
+
+    res.json({
+      status: 'success',
+      data: {
+        deliveries,
+        pagination: {
+          current_page: page,
+          total_pages: Math.ceil(total / limit),
+          total_count: total,
+          per_page: limit
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('❌ Get webhook deliveries error', { error: error.message, userId: req.user?._id });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error fetching webhook deliveries'
+    });
+  }
+});
+
+// @desc    Get a delivery with its payload and response
+// @route   GET /api/seller-webhooks/deliveries/:deliveryId
+// @access  Private
+router.get('/deliveries/:deliveryId', auth, async (req, res) => {
+  try {
+    const delivery = await WebhookDelivery.findOne({
+      delivery_id: req.params.deliveryId,
+      user_id: req.user._id
+    }).lean();
+
+    if (!delivery) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Delivery not found'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: delivery
+    });
+  } catch (error) {
+    logger.error('❌ Get webhook delivery error', { error: error.message, userId: req.user?._id });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error fetching webhook delivery'
+    });
+  }
+});
+
+// @desc    Replay a delivery (sent again as a new delivery with the same payload)
+// @route   POST /api/seller-webhooks/deliveries/:deliveryId/replay
+// @access  Private
+router.post('/deliveries/:deliveryId/replay', auth, async (req, res) => {
+  try {
+    const original = await WebhookDelivery.findOne({
+      delivery_id: req.params.deliveryId,
+      user_id: req.user._id
+    });
+
+    if (!original) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Delivery not found'
+      });
+    }
+
+    const delivery = await sellerWebhookService.replay(original);
+
+    res.json({
+      status: 'success',
+      message: delivery.status === 'succeeded'
+        ? 'Webhook replayed successfully'
+        : `Replay failed: ${delivery.error}. It will be retried automatically.`,
+      data: delivery
+    });
+  } catch (error) {
+    logger.error('❌ Replay webhook delivery error', { error: error.message, userId: req.user?._id });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error replaying webhook delivery'
+    });
+  }
+});
+
+// @desc    List webhook subscriptions
+// @route   GET /api/seller-webhooks
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const subscriptions = await WebhookSubscription.find({ user_id: req.user._id }).sort({ createdAt: -1 });
+
+    res.json({
+      status: 'success',
+      data: subscriptions.map(subscription => subscription.toSafeJSON())
+    });
+  } catch (error) {
+    logger.error('❌ Get webhook subscriptions error', { error: error.message, userId: req.user?._id });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error fetching webhook subscriptions'
+    });
+  }
+});
+
+// @desc    Register a callback URL
+// @route   POST /api/seller-webhooks
+// @access  Private
+router.post('/', auth, async (req, res) => {
+  try {
+    const count = await WebhookSubscription.countDocuments({ user_id: req.user._id });
+    if (count >= MAX_SUBSCRIPTIONS_PER_SELLER) {
+      return res.status(400).json({
+        status: 'error',
+        message: `You can register up to ${MAX_SUBSCRIPTIONS_PER_SELLER} webhook URLs`
+      });
+    }
+
+    const subscription = new WebhookSubscription({
+      user_id: req.user._id,
+      url: req.body.url,
+      events: normalizeEvents(req.body.events),
+      description: req.body.description
+    });
+
+    await subscription.save();
+
+    logger.info('🔗 Seller webhook registered', {
+      userId: req.user._id,
+      subscriptionId: subscription._id,
+      events: subscription.events
+    });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Webhook registered. Store the signing secret now - it is only shown once.',
+      data: {
+        ...subscription.toSafeJSON(),
+        secret: subscription.secret
+      }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+    logger.error('❌ Create webhook subscription error', { error: error.message, userId: req.user?._id });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error registering webhook'
+    });
+  }
+});
+
+// @desc    Update URL, events, description or active flag
+// @route   PUT /api/seller-webhooks/:id
+// @access  Private
+router.put('/:id', auth, async (req, res) => {
+  try {
+    const subscription = await findOwnSubscription(req);
+
+    if (!subscription) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Webhook not found'
+      });
+    }
+
+    const { url, events, description, is_active } = req.body;
+    if (url !== undefined) subscription.url = url;
+    if (events !== undefined) subscription.events = normalizeEvents(events);
+    if (description !== undefined) subscription.description = description;
+    if (is_active !== undefined) {
+      subscription.is_active = Boolean(is_active);
+      if (subscription.is_active) {
+        subscription.consecutive_failures = 0;
+      }
+    }
+
+    await subscription.save();
+
+    res.json({
+      status: 'success',
+      message: 'Webhook updated successfully',
+      data: subscription.toSafeJSON()
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+    logger.error('❌ Update webhook subscription error', { error: error.message, userId: req.user?._id });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error updating webhook'
+    });
+  }
+});
+
+// @desc    Delete a webhook subscription
+// @route   DELETE /api/seller-webhooks/:id
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const subscription = await findOwnSubscription(req);
+
+    if (!subscription) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Webhook not found'
+      });
+    }
+
+    await subscription.deleteOne();
+
+    res.json({
+      status: 'success',
+      message: 'Webhook deleted successfully'
+    });
+  } catch (error) {
+    logger.error('❌ Delete webhook subscription error', { error: error.message, userId: req.user?._id });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error deleting webhook'
+    });
+  }
+});
+
+// @desc    Rotate the signing secret
+// @route   POST /api/seller-webhooks/:id/rotate-secret
+// @access  Private
+router.post('/:id/rotate-secret', auth, async (req, res) => {
+  try {
+    const subscription = await findOwnSubscription(req);
+
+    if (!subscription) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Webhook not found'
+      });
+    }
+
+    const secret = subscription.rotateSecret();
+    await subscription.save();
+
+    res.json({
+      status: 'success',
+      message: 'Signing secret rotated. Update your receiver - the old secret no longer verifies.',
+      data: {
+        ...subscription.toSafeJSON(),
+        secret
+      }
+    });
+  } catch (error) {
+    logger.error('❌ Rotate webhook secret error', { error: error.message, userId: req.user?._id });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error rotating webhook secret'
+    });
+  }
+});
+
+// @desc    Send a signed test delivery
+// @route   POST /api/seller-webhooks/:id/test
+// @access  Private
+router.post('/:id/test', auth, async (req, res) => {
+  try {
+    const subscription = await findOwnSubscription(req);
+
+    if (!subscription) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Webhook not found'
+      });
+    }
+
+    const delivery = await sellerWebhookService.sendTest(subscription);
+
+    res.json({
+      status: 'success',
+      message: delivery.status === 'succeeded'
+        ? `Test delivered (HTTP ${delivery.response_status})`
+        : `Test failed: ${delivery.error}`,
+      data: delivery
+    });
+  } catch (error) {
+    logger.error('❌ Test webhook error', { error: error.message, userId: req.user?._id });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error sending test webhook'
+    });
+  }
+});
+
+module.exports = router;
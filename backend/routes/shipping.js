@@ -2,10 +2,14 @@ const express = require('express');
 const router = express.Router();
 const { auth } = require('../middleware/auth');
 const delhiveryService = require('../services/delhiveryService');
+const carriers = require('../services/carriers');
 const Order = require('../models/Order');
 const NDR = require('../models/NDR');
 const { body, validationResult } = require('express-validator');
 const RateCardService = require('../services/rateCardService');
+const trackingPageService = require('../services/trackingPageService');
+const exchangeService = require('../services/exchangeService');
+const rtoRiskService = require('../services/rtoRiskService');
 const logger = require('../utils/logger');
 
 const normalizeTrackingResponse = (trackingResult, fallbackWaybill = '') => {
@@ -310,10 +314,19 @@ router.post('/create-shipment',
                 });
             }
 
-            if (!delhiveryService.validateApiKey()) {
+            const carrierCode = req.body.carrier || carriers.getDefaultCarrierCode();
+            if (!carriers.isEnabled(carrierCode)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Carrier ${carrierCode} is not available`
+                });
+            }
+
+            const carrier = carriers.getCarrier(carrierCode);
+            if (!carrier.isConfigured()) {
                 return res.status(503).json({
                     success: false,
-                    message: 'Delhivery API not configured'
+                    message: `${carrier.name} API not configured`
                 });
             }
 
@@ -329,28 +342,33 @@ router.post('/create-shipment',
                 });
             }
 
-            if (order.shipping_info.waybill) {
+            if (order.delhivery_data?.waybill) {
                 return res.status(400).json({
                     success: false,
                     message: 'Shipment already created for this order'
                 });
             }
 
-            const shipmentResult = await delhiveryService.createShipment({
-                ...req.body,
-                pickup_address: req.user.warehouse_address
+            const holdMessage = rtoRiskService.getHoldMessage(order) || await exchangeService.getHoldMessage(order);
+            if (holdMessage) {
+                return res.status(400).json({
+                    success: false,
+                    message: holdMessage
+                });
+            }
+
+            const shipmentResult = await carrier.createShipment(order, {
+                pickupAddress: order.pickup_address?.pincode ? order.pickup_address : req.user.warehouse_address
             });
 
             if (shipmentResult.success) {
-                order.shipping_info.waybill = shipmentResult.waybill;
-                order.shipping_info.tracking_id = shipmentResult.tracking_id;
-                order.shipping_info.label_url = shipmentResult.label_url;
-                order.shipping_info.expected_delivery = shipmentResult.expected_delivery;
-                order.order_status.current_status = 'Shipped';
-                order.order_status.status_history.push({
-                    status: 'Shipped',
+                order.carrier = carrier.code;
+                order.delhivery_data = shipmentResult.shipment_data;
+                order.status = 'ready_to_ship';
+                order.status_history.push({
+                    status: 'ready_to_ship',
                     timestamp: new Date(),
-                    comment: 'Shipment created with Delhivery'
+                    remarks: `Shipment created with ${carrier.name}`
                 });
 
                 await order.save();
@@ -359,10 +377,10 @@ router.post('/create-shipment',
                     success: true,
                     message: 'Shipment created successfully',
                     data: {
+                        carrier: carrier.code,
                         waybill: shipmentResult.waybill,
-                        tracking_id: shipmentResult.tracking_id,
-                        label_url: shipmentResult.label_url,
-                        expected_delivery: shipmentResult.expected_delivery
+                        label_url: shipmentResult.shipment_data.label_url,
+                        expected_delivery: shipmentResult.shipment_data.expected_delivery_date
                     }
                 });
             } else {
@@ -467,6 +485,74 @@ router.get('/public/track/:waybill', async (req, res) => {
     }
 });
 
+const TRACKING_PAGE_ERROR_STATUS = {
+    PAGE_NOT_FOUND: 404,
+    SHIPMENT_NOT_FOUND: 404
+};
+
+// Seller-branded tracking page: branding shown before an AWB is entered
+router.get('/public/brand/:slug', async (req, res) => {
+    try {
+        const result = await trackingPageService.getPage(req.params.slug);
+        if (!result.success) {
+            return res.status(TRACKING_PAGE_ERROR_STATUS[result.code] || 400).json({
+                success: false,
+                code: result.code,
+                message: result.error
+            });
+        }
+
+        return res.json({
+            success: true,
+            data: result.data
+        });
+    } catch (error) {
+        logger.error('Tracking page error', {
+            slug: req.params.slug,
+            error: error.message,
+            stack: error.stack
+        });
+        return res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// Seller-branded tracking page: one of the seller's shipments
+router.get('/public/brand/:slug/track/:waybill', async (req, res) => {
+    try {
+        const result = await trackingPageService.getTracking(req.params.slug, req.params.waybill);
+        if (!result.success) {
+            // Branding is returned with a missing AWB so the page can still render
+            return res.status(TRACKING_PAGE_ERROR_STATUS[result.code] || 400).json({
+                success: false,
+                code: result.code,
+                message: result.error,
+                data: result.data || null
+            });
+        }
+
+        return res.json({
+            success: true,
+            data: result.data
+        });
+    } catch (error) {
+        logger.error('Tracking page shipment error', {
+            slug: req.params.slug,
+            waybill: req.params.waybill,
+            error: error.message,
+            stack: error.stack
+        });
+        return res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
 // Authenticated tracking endpoint (for logged-in users)
 router.get('/track/:waybill', auth, async (req, res) => {
     try {
@@ -525,13 +611,6 @@ router.get('/track/:waybill', auth, async (req, res) => {
 
 router.post('/cancel/:waybill', auth, async (req, res) => {
     try {
-        if (!delhiveryService.validateApiKey()) {
-            return res.status(503).json({
-                success: false,
-                message: 'Delhivery API not configured'
-            });
-        }
-
         const order = await Order.findOne({
             'shipping_info.waybill': req.params.waybill,
             user_id: req.user.id
@@ -551,7 +630,15 @@ router.post('/cancel/:waybill', auth, async (req, res) => {
             });
         }
 
-        const cancelResult = await delhiveryService.cancelShipment(req.params.waybill);
+        const carrier = carriers.getCarrierForOrder(order);
+        if (!carrier.isConfigured()) {
+            return res.status(503).json({
+                success: false,
+                message: `${carrier.name} API not configured`
+            });
+        }
+
+        const cancelResult = await carrier.cancelShipment(req.params.waybill);
 
         if (cancelResult.success) {
             order.order_status.current_status = 'Cancelled';
@@ -676,10 +763,19 @@ router.post('/schedule-pickup',
                 });
             }
 
-            if (!delhiveryService.validateApiKey()) {
+            const carrierCode = req.body.carrier || carriers.getDefaultCarrierCode();
+            if (!carriers.isEnabled(carrierCode)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Carrier ${carrierCode} is not available`
+                });
+            }
+
+            const carrier = carriers.getCarrier(carrierCode);
+            if (!carrier.isConfigured()) {
                 return res.status(503).json({
                     success: false,
-                    message: 'Delhivery API not configured'
+                    message: `${carrier.name} API not configured`
                 });
             }
 
@@ -690,7 +786,7 @@ router.post('/schedule-pickup',
                 expected_package_count: req.body.expected_package_count
             };
 
-            const pickupResult = await delhiveryService.schedulePickup(pickupData);
+            const pickupResult = await carrier.schedulePickup(pickupData);
 
             res.json({
                 success: pickupResult.success,
@@ -750,13 +846,6 @@ router.post('/initiate-rto/:waybill',
                 });
             }
 
-            if (!delhiveryService.validateApiKey()) {
-                return res.status(503).json({
-                    success: false,
-                    message: 'Delhivery API not configured'
-                });
-            }
-
             const order = await Order.findOne({
                 'shipping_info.waybill': req.params.waybill,
                 user_id: req.user.id
@@ -769,7 +858,15 @@ router.post('/initiate-rto/:waybill',
                 });
             }
 
-            const rtoResult = await delhiveryService.initiateRTO(req.params.waybill, req.body.reason);
+            const carrier = carriers.getCarrierForOrder(order);
+            if (!carrier.isConfigured()) {
+                return res.status(503).json({
+                    success: false,
+                    message: `${carrier.name} API not configured`
+                });
+            }
+
+            const rtoResult = await carrier.initiateRTO(req.params.waybill, req.body.reason);
 
             if (rtoResult.success) {
                 order.order_status.current_status = 'RTO Initiated';
@@ -1052,7 +1149,9 @@ router.post('/public/calculate-rate-card',
                 dimensions,
                 finalZone,
                 cod_amount || 0,
-                order_type
+                order_type,
+                'DELHIVERY',
+                shipping_mode === 'Express' || shipping_mode === 'E' ? 'Express' : 'Surface'
             );
 
             res.json({
@@ -1089,7 +1188,8 @@ router.post('/calculate-rate-card',
         body('shipping_mode').optional().isIn(['Surface', 'Express', 'S', 'E']).withMessage('Shipping mode must be Surface/Express or S/E'),
         body('payment_mode').optional().isIn(['Prepaid', 'COD', 'Pre-paid']).withMessage('Payment mode must be Prepaid or COD'),
         body('cod_amount').optional().isFloat({ min: 0 }).withMessage('COD amount must be positive'),
-        body('order_type').optional().isIn(['forward', 'rto']).withMessage('Order type must be "forward" or "rto"')
+        body('order_type').optional().isIn(['forward', 'rto']).withMessage('Order type must be "forward" or "rto"'),
+        body('carrier').optional().isString().withMessage('Carrier must be a carrier code')
     ],
     async (req, res) => {
         try {
@@ -1104,6 +1204,17 @@ router.post('/calculate-rate-card',
 
             const { weight, dimensions, zone, pickup_pincode, delivery_pincode, shipping_mode, payment_mode, cod_amount, order_type = 'forward' } = req.body;
             const userCategory = req.user.user_category || 'Basic User';
+            const shippingMode = shipping_mode === 'Express' || shipping_mode === 'E' ? 'Express' : 'Surface';
+
+            // Price on the carrier that will ship the order (default carrier unless one is picked)
+            const carrierCode = req.body.carrier || carriers.getDefaultCarrierCode();
+            if (!carriers.isEnabled(carrierCode)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Carrier ${carrierCode} is not available`
+                });
+            }
+            const carrier = carriers.getCarrier(carrierCode);
 
             // SECURITY: Validate user category exists and is valid
             const availableCategories = await RateCardService.getAvailableUserCategories();
@@ -1118,7 +1229,7 @@ router.post('/calculate-rate-card',
             }
 
             // Validate rate card exists for user category
-            const rateCard = await RateCardService.getRateCard(userCategory);
+            const rateCard = await RateCardService.getRateCard(userCategory, carrier.code);
             if (!rateCard) {
                 return res.status(400).json({
                     success: false,
@@ -1161,9 +1272,9 @@ router.post('/calculate-rate-card',
                 }
             }
             
-            // Determine zone: either provided directly OR get from Delhivery API using pincodes
+            // Determine zone: either provided directly OR get from the carrier using pincodes
             if (!finalZone) {
-                // Zone not provided - get from Delhivery API using pincodes
+                // Zone not provided - get from the carrier using pincodes
                 if (!pickup_pincode || !delivery_pincode) {
                     return res.status(400).json({
                         success: false,
@@ -1179,29 +1290,24 @@ router.post('/calculate-rate-card',
                 // weight is already in grams from frontend, so use directly
                 const chargeableWeightGrams = Math.max(weight, volumetricWeightGrams);
 
-                // Determine shipping mode for Delhivery API
-                const shippingModeForDelhivery = shipping_mode === 'Express' || shipping_mode === 'E' ? 'E' : 'S';
-                const paymentTypeForDelhivery = payment_mode === 'COD' ? 'COD' : 'Pre-paid';
-
-                // Get zone from Delhivery API
-                const zoneResult = await delhiveryService.getZoneFromDelhivery(
-                    pickup_pincode,
-                    delivery_pincode,
-                    chargeableWeightGrams,
-                    shippingModeForDelhivery,
-                    'Delivered',
-                    paymentTypeForDelhivery
-                );
+                const zoneResult = await carrier.getZone({
+                    pickupPincode: pickup_pincode,
+                    deliveryPincode: delivery_pincode,
+                    chargeableWeight: chargeableWeightGrams,
+                    shippingMode,
+                    paymentMode: payment_mode === 'COD' ? 'COD' : 'Prepaid'
+                });
 
                 if (!zoneResult.success || !zoneResult.zone) {
-                    logger.error('❌ Failed to get zone from Delhivery for rate calculation', {
+                    logger.error('❌ Failed to get zone from carrier for rate calculation', {
+                        carrier: carrier.code,
                         pickup_pincode,
                         delivery_pincode,
                         error: zoneResult.error
                     });
                     return res.status(400).json({
                         success: false,
-                        message: zoneResult.error || 'Failed to get zone information from Delhivery',
+                        message: zoneResult.error || `Failed to get zone information from ${carrier.name}`,
                         error: zoneResult.error
                     });
                 }
@@ -1226,13 +1332,14 @@ router.post('/calculate-rate-card',
                     });
                     return res.status(400).json({
                         success: false,
-                        message: `Invalid zone "${finalZone}" received from Delhivery. Please contact support.`,
+                        message: `Invalid zone "${finalZone}" received from ${carrier.name}. Please contact support.`,
                         raw_zone: rawZone,
                         normalized_zone: finalZone
                     });
                 }
                 
-                logger.info('🌍 Zone retrieved and normalized from Delhivery for rate calculation', {
+                logger.info('🌍 Zone retrieved and normalized from carrier for rate calculation', {
+                    carrier: carrier.code,
                     pickup_pincode,
                     delivery_pincode,
                     raw_zone: rawZone,
@@ -1261,7 +1368,9 @@ router.post('/calculate-rate-card',
                 dimensions,
                 finalZone,
                 cod_amount || 0,
-                order_type
+                order_type,
+                carrier.code,
+                shippingMode
             );
 
             // Log rate calculation for audit
@@ -1282,6 +1391,7 @@ router.post('/calculate-rate-card',
                 data: {
                     ...result,
                     zone: finalZone, // Include zone in response
+                    carrier: carrier.code,
                     user_category: userCategory,
                     rate_card_applied: rateCard.userCategory
                 }
@@ -1392,4 +1502,87 @@ router.get('/health', async (req, res) => {
     }
 });
 
+// Carriers available for shipment creation
+router.get('/carriers', auth, async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: {
+                default_carrier: carriers.getDefaultCarrierCode(),
+                carriers: carriers.listCarriers()
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Failed to list carriers',
+            error: error.message
+        });
+    }
+});
+
+// Drive a mock carrier shipment through its lifecycle (development/testing only)
+router.post('/carriers/mock/:waybill/advance',
+    auth,
+    [
+        body('status').optional().isString().withMessage('Status must be a string')
+    ],
+    async (req, res) => {
+        try {
+            if (!carriers.isEnabled('MOCK')) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Mock carrier is not enabled'
+                });
+            }
+
+            const order = await Order.findOne({
+                'delhivery_data.waybill': req.params.waybill,
+                carrier: 'MOCK',
+                user_id: req.user._id
+            });
+
+            if (!order) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Mock shipment not found'
+                });
+            }
+
+            const advanceResult = carriers.getCarrier('MOCK').advanceShipment(req.params.waybill, req.body.status);
+            if (!advanceResult.success) {
+                return res.status(400).json({
+                    success: false,
+                    message: advanceResult.error
+                });
+            }
+
+            // Run the regular tracking pipeline so the order picks up the new status
+            const trackingService = require('../services/trackingService');
+            await trackingService.trackSingleShipment(order);
+            const refreshedOrder = await Order.findById(order._id).select('order_id status delhivery_data.waybill');
+
+            res.json({
+                success: true,
+                message: `Shipment moved to ${advanceResult.status}`,
+                data: {
+                    waybill: req.params.waybill,
+                    carrier_status: advanceResult.status,
+                    order_status: refreshedOrder.status
+                }
+            });
+        } catch (error) {
+            logger.error('Mock shipment advance error', {
+                waybill: req.params.waybill,
+                error: error.message
+            });
+            res.status(500).json({
+                success: false,
+                message: 'Failed to advance mock shipment',
+                error: error.message
+            });
+        }
+    }
+);
+
 module.exports = router;
\ No newline at end of file
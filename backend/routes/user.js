@@ -374,7 +374,9 @@ router.get('/api-keys', auth, async (req, res) => {
         public_key: user.api_details.public_key,
         private_key: user.api_details.private_key, // Mask in frontend
         api_documentation_version: user.api_details.api_documentation_version,
-        key_generated_date: user.api_details.key_generated_date
+        key_generated_date: user.api_details.key_generated_date,
+        scope: user.api_details.scope || 'write',
+        previous_key_expires_at: user.api_details.previous_key_expires_at || null
       }
     });
 
@@ -401,20 +403,15 @@ router.post('/regenerate-api-keys', auth, async (req, res) => {
       });
     }
 
-    const crypto = require('crypto');
-    user.api_details.public_key = `pk_${crypto.randomBytes(16).toString('hex')}`;
-    user.api_details.private_key = `sk_${crypto.randomBytes(32).toString('hex')}`;
-    user.api_details.last_key_reset = new Date();
+    const overlapHours = req.body?.overlap_hours !== undefined ? parseFloat(req.body.overlap_hours) : undefined;
+    const keys = user.rotateApiKeys(overlapHours);
 
     await user.save();
 
     res.json({
       status: 'success',
       message: 'API keys regenerated successfully',
-      data: {
-        public_key: user.api_details.public_key,
-        private_key: user.api_details.private_key
-      }
+      data: keys
     });
 
   } catch (error) {
@@ -5,6 +5,9 @@ const router = express.Router();
 const User = require('../models/User');
 const { auth } = require('../middleware/auth');
 const cloudinaryService = require('../services/cloudinaryService');
+const courierRecommendationService = require('../services/courierRecommendationService');
+const trackingPageService = require('../services/trackingPageService');
+const rtoRiskService = require('../services/rtoRiskService');
 const bcrypt = require('bcryptjs');
 const logger = require('../utils/logger');
 
@@ -51,6 +54,20 @@ const logoUpload = multer({
   }
 });
 
+// Configure multer for tracking page banner uploads
+const bannerUpload = multer({
+  storage: storage,
+  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = ['image/jpeg', 'image/png', 'image/jpg', 'image/webp'];
+    if (allowedTypes.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only JPEG, PNG and WebP images are allowed for banners'));
+    }
+  }
+});
+
 // Get user profile data
 router.get('/profile', auth, async (req, res) => {
   try {
@@ -900,7 +917,11 @@ router.get('/api-keys', auth, async (req, res) => {
       data: {
         public_key: user.api_details.public_key,
         private_key: user.api_details.private_key,
-        api_documentation_version: user.api_details.api_documentation_version
+        api_documentation_version: user.api_details.api_documentation_version,
+        scope: user.api_details.scope || 'write',
+        rate_limit_per_minute: user.api_details.rate_limit_per_minute || parseInt(process.env.API_KEY_RATE_LIMIT_PER_MINUTE || '60'),
+        previous_key_expires_at: user.api_details.previous_key_expires_at || null,
+        last_used_at: user.api_details.last_used_at || null
       }
     });
 
@@ -932,24 +953,16 @@ router.post('/regenerate-api-keys', auth, async (req, res) => {
       });
     }
 
-    // Generate new API keys
-    const crypto = require('crypto');
-    const newPublicKey = `pk_${crypto.randomBytes(16).toString('hex')}`;
-    const newPrivateKey = `sk_${crypto.randomBytes(32).toString('hex')}`;
-
-    user.api_details.public_key = newPublicKey;
-    user.api_details.private_key = newPrivateKey;
-    user.api_details.last_key_reset = new Date();
+    // Generate new API keys - the old pair keeps working during the overlap window
+    const overlapHours = req.body?.overlap_hours !== undefined ? parseFloat(req.body.overlap_hours) : undefined;
+    const keys = user.rotateApiKeys(overlapHours);
 
     await user.save();
 
     res.json({
       status: 'success',
       message: 'API keys regenerated successfully',
-      data: {
-        public_key: newPublicKey,
-        private_key: newPrivateKey
-      }
+      data: keys
     });
 
   } catch (error) {
@@ -965,6 +978,54 @@ router.post('/regenerate-api-keys', auth, async (req, res) => {
   }
 });
 
+// @desc    Update API key scope
+// @route   PUT /api/users/api-keys/scope
+// @access  Private
+router.put('/api-keys/scope', auth, async (req, res) => {
+  try {
+    const { scope } = req.body;
+
+    if (!['read', 'write'].includes(scope)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Scope must be either read or write'
+      });
+    }
+
+    const userId = req.user._id || req.user.id;
+    const user = await User.findByIdAndUpdate(
+      userId,
+      { $set: { 'api_details.scope': scope } },
+      { new: true }
+    ).select('api_details.scope');
+
+    if (!user) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      message: `API keys are now ${scope === 'read' ? 'read-only' : 'read-write'}`,
+      data: {
+        scope: user.api_details.scope
+      }
+    });
+
+  } catch (error) {
+    logger.error('❌ Update API key scope error', {
+      error: error.message,
+      userId: req.user?._id || req.user?.id
+    });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error updating API key scope'
+    });
+  }
+});
+
 // @desc    Get KYC status
 // @route   GET /api/users/kyc-status
 // @access  Private
@@ -1311,7 +1372,8 @@ router.post('/label-settings', auth, async (req, res) => {
           shipping_charges: false,
           amount_prepaid: true,
           amount_cod: true,
-          message: true
+          message: true,
+          tracking_url: true
         },
         logo_url: null
       };
@@ -1373,4 +1435,326 @@ router.post('/label-settings', auth, async (req, res) => {
   }
 });
 
+// @desc    Get courier selection preferences
+// @route   GET /api/users/courier-preferences
+// @access  Private
+router.get('/courier-preferences', auth, async (req, res) => {
+  try {
+    const userId = req.user._id || req.user.id;
+    const user = await User.findById(userId).select('courier_preferences');
+
+    if (!user) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: {
+        rule: user.courier_preferences?.rule || 'cheapest',
+        available_rules: courierRecommendationService.RULES
+      }
+    });
+  } catch (error) {
+    logger.error('❌ Error fetching courier preferences:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error fetching courier preferences'
+    });
+  }
+});
+
+// @desc    Update courier selection preferences
+// @route   PUT /api/users/courier-preferences
+// @access  Private
+router.put('/courier-preferences', auth, async (req, res) => {
+  try {
+    const { rule } = req.body;
+
+    if (!courierRecommendationService.RULES.includes(rule)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `rule must be one of: ${courierRecommendationService.RULES.join(', ')}`
+      });
+    }
+
+    const userId = req.user._id || req.user.id;
+    const user = await User.findByIdAndUpdate(
+      userId,
+      { $set: { 'courier_preferences.rule': rule } },
+      { new: true }
+    ).select('courier_preferences');
+
+    if (!user) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found'
+      });
+    }
+
+    logger.info('✅ Courier preferences updated', { userId, rule });
+
+    res.json({
+      status: 'success',
+      message: 'Courier preferences updated successfully',
+      data: user.courier_preferences
+    });
+  } catch (error) {
+    logger.error('❌ Error updating courier preferences:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error updating courier preferences'
+    });
+  }
+});
+
+// @desc    Get COD RTO risk bands and actions
+// @route   GET /api/users/rto-risk
+// @access  Private
+router.get('/rto-risk', auth, async (req, res) => {
+  try {
+    const userId = req.user._id || req.user.id;
+    const user = await User.findById(userId).select('rto_risk_settings').lean();
+
+    if (!user) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: rtoRiskService.getSettings(user)
+    });
+  } catch (error) {
+    logger.error('❌ Error fetching RTO risk settings:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error fetching RTO risk settings'
+    });
+  }
+});
+
+// @desc    Update COD RTO risk bands and actions
+// @route   PUT /api/users/rto-risk
+// @access  Private
+router.put('/rto-risk', auth, async (req, res) => {
+  try {
+    const userId = req.user._id || req.user.id;
+    const result = await rtoRiskService.updateSettings(userId, req.body || {});
+
+    if (!result.success) {
+      return res.status(result.code === 'NOT_FOUND' ? 404 : 400).json({
+        status: 'error',
+        code: result.code,
+        message: result.error
+      });
+    }
+
+    logger.info('✅ RTO risk settings updated', { userId, settings: result.data });
+
+    res.json({
+      status: 'success',
+      message: 'RTO risk settings updated successfully',
+      data: result.data
+    });
+  } catch (error) {
+    logger.error('❌ Error updating RTO risk settings:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error updating RTO risk settings'
+    });
+  }
+});
+
+// @desc    Get branded tracking page settings
+// @route   GET /api/users/tracking-page
+// @access  Private
+router.get('/tracking-page', auth, async (req, res) => {
+  try {
+    const userId = req.user._id || req.user.id;
+    const user = await User.findById(userId)
+      .select('company_name client_id company_logo_url label_settings.logo_url tracking_page')
+      .lean();
+
+    if (!user) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: trackingPageService.getSettings(user)
+    });
+  } catch (error) {
+    logger.error('❌ Error fetching tracking page settings:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error fetching tracking page settings'
+    });
+  }
+});
+
+// @desc    Update branded tracking page settings
+// @route   PUT /api/users/tracking-page
+// @access  Private
+router.put('/tracking-page', auth, async (req, res) => {
+  try {
+    const userId = req.user._id || req.user.id;
+    const result = await trackingPageService.updateSettings(userId, req.body || {});
+
+    if (!result.success) {
+      const statusCode = { NOT_FOUND: 404, SLUG_TAKEN: 409 }[result.code] || 400;
+      return res.status(statusCode).json({
+        status: 'error',
+        code: result.code,
+        message: result.error
+      });
+    }
+
+    logger.info('✅ Tracking page settings updated', { userId, slug: result.data.slug });
+
+    res.json({
+      status: 'success',
+      message: 'Tracking page updated successfully',
+      data: result.data
+    });
+  } catch (error) {
+    logger.error('❌ Error updating tracking page settings:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error updating tracking page settings'
+    });
+  }
+});
+
+// @desc    Upload the tracking page banner image
+// @route   POST /api/users/tracking-page/banner
+// @access  Private
+router.post('/tracking-page/banner', auth, bannerUpload.single('banner'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'No banner image uploaded'
+      });
+    }
+
+    const userId = req.user._id || req.user.id;
+    const user = await User.findById(userId).select('tracking_page');
+
+    if (!user) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found'
+      });
+    }
+
+    const uploadResult = await cloudinaryService.uploadFile(req.file.buffer, {
+      folder: 'shipsarthi/tracking-banners',
+      resource_type: 'image',
+      mimetype: req.file.mimetype
+    });
+
+    if (!uploadResult.success) {
+      logger.error('❌ Cloudinary banner upload failed', { uploadResult });
+      return res.status(500).json({
+        status: 'error',
+        message: 'Failed to upload banner to cloud storage'
+      });
+    }
+
+    const previousPublicId = user.tracking_page?.banner?.public_id;
+    const updated = await User.findByIdAndUpdate(
+      userId,
+      {
+        $set: {
+          'tracking_page.banner.image_url': uploadResult.url,
+          'tracking_page.banner.public_id': uploadResult.public_id
+        }
+      },
+      { new: true }
+    ).select('company_name client_id company_logo_url label_settings.logo_url tracking_page').lean();
+
+    if (previousPublicId) {
+      try {
+        await cloudinaryService.deleteFile(previousPublicId, 'image');
+      } catch (deleteError) {
+        logger.warn('⚠️ Failed to delete old tracking page banner', {
+          userId,
+          error: deleteError.message
+        });
+      }
+    }
+
+    res.json({
+      status: 'success',
+      message: 'Banner uploaded successfully',
+      data: trackingPageService.getSettings(updated)
+    });
+  } catch (error) {
+    logger.error('❌ Tracking page banner upload error', {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user?._id || req.user?.id
+    });
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error uploading banner'
+    });
+  }
+});
+
+// @desc    Remove the tracking page banner image
+// @route   DELETE /api/users/tracking-page/banner
+// @access  Private
+router.delete('/tracking-page/banner', auth, async (req, res) => {
+  try {
+    const userId = req.user._id || req.user.id;
+    const user = await User.findById(userId).select('tracking_page');
+
+    if (!user) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found'
+      });
+    }
+
+    const publicId = user.tracking_page?.banner?.public_id;
+    const updated = await User.findByIdAndUpdate(
+      userId,
+      { $unset: { 'tracking_page.banner.image_url': '', 'tracking_page.banner.public_id': '' } },
+      { new: true }
+    ).select('company_name client_id company_logo_url label_settings.logo_url tracking_page').lean();
+
+    if (publicId) {
+      try {
+        await cloudinaryService.deleteFile(publicId, 'image');
+      } catch (deleteError) {
+        logger.warn('⚠️ Failed to delete tracking page banner', {
+          userId,
+          error: deleteError.message
+        });
+      }
+    }
+
+    res.json({
+      status: 'success',
+      message: 'Banner removed',
+      data: trackingPageService.getSettings(updated)
+    });
+  } catch (error) {
+    logger.error('❌ Tracking page banner delete error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error removing banner'
+    });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,121 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { apiKeyAuth, requireScope, apiKeyRateLimiter } = require('../middleware/apiKeyAuth');
+const carriers = require('../services/carriers');
+const ordersRouter = require('./orders');
+const shippingRouter = require('./shipping');
+
+const router = express.Router();
+
+// Public, versioned API for seller integrations (OMS, ERPs).
+// Authenticated with the seller's API key pair instead of the dashboard JWT.
+// Endpoints are thin aliases onto the dashboard handlers, so behaviour
+// (validation, wallet deduction, carrier selection) stays identical.
+
+// Throttle failed authentication attempts per IP; authenticated traffic is limited per key
+const authFailureLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 100,
+  skipSuccessfulRequests: true,
+  message: {
+    status: 'error',
+    message: 'Too many failed API requests, please try again later'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+router.use(authFailureLimiter);
+router.use(apiKeyAuth);
+router.use(apiKeyRateLimiter);
+
+/**
+ * Re-dispatch the request to a dashboard router under a different path.
+ * The query string is kept; the target's own `auth` middleware accepts
+ * the API-key identity set by apiKeyAuth.
+ */
+const forwardTo = (targetRouter, buildPath) => (req, res, next) => {
+  const queryIndex = req.url.indexOf('?');
+  const query = queryIndex >= 0 ? req.url.slice(queryIndex) : '';
+  req.url = buildPath(req.params) + query;
+  targetRouter(req, res, next);
+};
+
+const encode = encodeURIComponent;
+
+// @desc    Describe the calling key
+// @route   GET /api/v1/me
+// @access  API key (read)
+router.get('/me', (req, res) => {
+  res.json({
+    status: 'success',
+    data: {
+      client_id: req.user.client_id,
+      company_name: req.user.company_name,
+      scope: req.apiKey.scope,
+      rate_limit_per_minute: req.apiKey.rate_limit_per_minute,
+      key_rotated: req.apiKey.rotated,
+      api_version: 'v1'
+    }
+  });
+});
+
+// @desc    List enabled carriers
+// @route   GET /api/v1/carriers
+// @access  API key (read)
+router.get('/carriers', (req, res) => {
+  res.json({
+    status: 'success',
+    data: carriers.listCarriers()
+  });
+});
+
+// @route   POST /api/v1/orders
+// @access  API key (write)
+router.post('/orders', requireScope('write'), forwardTo(ordersRouter, () => '/'));
+
+// @route   GET /api/v1/orders/by-order-id/:orderId
+// @access  API key (read)
+router.get('/orders/by-order-id/:orderId', forwardTo(ordersRouter, p => `/order/${encode(p.orderId)}`));
+
+// @route   GET /api/v1/orders/:id
+// @access  API key (read)
+router.get('/orders/:id', forwardTo(ordersRouter, p => `/${encode(p.id)}`));
+
+// @route   GET /api/v1/orders/:id/rates
+// @access  API key (read)
+router.get('/orders/:id/rates', forwardTo(ordersRouter, p => `/${encode(p.id)}/courier-recommendations`));
+
+// @route   POST /api/v1/orders/:id/awb
+// @access  API key (write)
+router.post('/orders/:id/awb', requireScope('write'), forwardTo(ordersRouter, p => `/${encode(p.id)}/generate-awb`));
+
+// @route   POST /api/v1/orders/:id/cancel
+// @access  API key (write)
+router.post('/orders/:id/cancel', requireScope('write'), forwardTo(ordersRouter, p => `/${encode(p.id)}/cancel-shipment`));
+
+// @route   GET /api/v1/orders/:id/label
+// @access  API key (read)
+router.get('/orders/:id/label', forwardTo(ordersRouter, p => `/${encode(p.id)}/label`));
+
+// @route   GET /api/v1/track/:awb
+// @access  API key (read)
+router.get('/track/:awb', forwardTo(ordersRouter, p => `/track/${encode(p.awb)}`));
+
+// @desc    Rate quote for a parcel (no order required)
+// @route   POST /api/v1/rates
+// @access  API key (read)
+router.post('/rates', forwardTo(shippingRouter, () => '/calculate-rate-card'));
+
+// @route   GET /api/v1/serviceability/:pincode
+// @access  API key (read)
+router.get('/serviceability/:pincode', forwardTo(shippingRouter, p => `/serviceability/${encode(p.pincode)}`));
+
+router.use((req, res) => {
+  res.status(404).json({
+    status: 'error',
+    message: `API endpoint ${req.method} ${req.originalUrl} not found`
+  });
+});
+
+module.exports = router;
@@ -3,7 +3,9 @@ const express = require('express');
 const { body, validationResult, query } = require('express-validator');
 const { auth } = require('../middleware/auth');
 const Warehouse = require('../models/Warehouse');
+const ScheduledPickup = require('../models/ScheduledPickup');
 const delhiveryService = require('../services/delhiveryService');
+const pickupScheduleService = require('../services/pickupScheduleService');
 const logger = require('../utils/logger');
 const mongoose = require('mongoose');
 
@@ -805,6 +807,79 @@ router.patch('/:id/toggle-status', auth, async (req, res) => {
   }
 });
 
+// @desc    Get warehouse pickup schedule with recent scheduled pickups
+// @route   GET /api/warehouses/:id/pickup-schedule
+// @access  Private
+router.get('/:id/pickup-schedule', auth, async (req, res) => {
+  try {
+    const warehouse = await Warehouse.findOne({
+      _id: req.params.id,
+      user_id: req.user._id
+    });
+
+    if (!warehouse) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Warehouse not found'
+      });
+    }
+
+    const recentRuns = await ScheduledPickup.find({ warehouse_id: warehouse._id })
+      .select('-order_ids')
+      .sort({ pickup_date: -1 })
+      .limit(10)
+      .lean();
+
+    res.json({
+      status: 'success',
+      data: {
+        schedule: pickupScheduleService.getScheduleView(warehouse),
+        recent_runs: recentRuns
+      }
+    });
+
+  } catch (error) {
+    console.error('Get pickup schedule error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error fetching pickup schedule'
+    });
+  }
+});
+
+// @desc    Update warehouse pickup schedule
+// @route   PUT /api/warehouses/:id/pickup-schedule
+// @access  Private
+router.put('/:id/pickup-schedule', auth, async (req, res) => {
+  try {
+    const result = await pickupScheduleService.updateSchedule(req.params.id, req.user._id, req.body || {});
+
+    if (!result.success) {
+      return res.status(result.code === 'NOT_FOUND' ? 404 : 400).json({
+        status: 'error',
+        message: result.error
+      });
+    }
+
+    res.json({
+      status: 'success',
+      message: result.warehouse.pickup_schedule.enabled
+        ? 'Pickup schedule saved'
+        : 'Pickup schedule turned off',
+      data: {
+        schedule: pickupScheduleService.getScheduleView(result.warehouse)
+      }
+    });
+
+  } catch (error) {
+    console.error('Update pickup schedule error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error updating pickup schedule'
+    });
+  }
+});
+
 // @desc    Delete warehouse
 // @route   DELETE /api/warehouses/:id
 // @access  Private
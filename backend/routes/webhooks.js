@@ -2,10 +2,11 @@
 const express = require('express');
 const router = express.Router();
 const Order = require('../models/Order');
-const NDR = require('../models/NDR');
 const { webhookAuth } = require('../middleware/webhookAuth');
 const { validateScanPush, validateEPOD, validateSorterImage, validateQCImage } = require('../middleware/webhookValidation');
 const webhookService = require('../services/webhookService');
+const ndrRulesService = require('../services/ndrRulesService');
+const billingCycleService = require('../services/billingCycleService');
 const webhookQueue = require('../utils/webhookQueue');
 const logger = require('../utils/logger');
 
@@ -60,10 +61,10 @@ router.post('/v1/delhivery/scan-status', webhookAuth, validateScanPush, async (r
       stack: error.stack
     });
 
-    // Still return 200 OK to prevent Delhivery retries
-    res.status(200).json({
-      status: 'success',
-      message: 'Webhook received (processing error logged)',
+    // The push was not persisted - ask Delhivery to retry it
+    res.status(503).json({
+      status: 'error',
+      message: 'Webhook could not be queued, please retry',
       requestId
     });
   }
@@ -115,9 +116,9 @@ router.post('/v1/delhivery/epod', webhookAuth, validateEPOD, async (req, res) =>
       stack: error.stack
     });
 
-    res.status(200).json({
-      status: 'success',
-      message: 'EPOD received (processing error logged)',
+    res.status(503).json({
+      status: 'error',
+      message: 'EPOD could not be queued, please retry',
       requestId
     });
   }
@@ -169,9 +170,9 @@ router.post('/v1/delhivery/sorter-image', webhookAuth, validateSorterImage, asyn
       stack: error.stack
     });
 
-    res.status(200).json({
-      status: 'success',
-      message: 'Sorter image received (processing error logged)',
+    res.status(503).json({
+      status: 'error',
+      message: 'Sorter image could not be queued, please retry',
       requestId
     });
   }
@@ -223,9 +224,9 @@ router.post('/v1/delhivery/qc-image', webhookAuth, validateQCImage, async (req,
       stack: error.stack
     });
 
-    res.status(200).json({
-      status: 'success',
-      message: 'QC image received (processing error logged)',
+    res.status(503).json({
+      status: 'error',
+      message: 'QC image could not be queued, please retry',
       requestId
     });
   }
@@ -273,16 +274,24 @@ router.post('/delhivery/status-update', async (req, res) => {
                 order.delhivery_data.expected_delivery_date = new Date(expected_delivery);
             }
 
-            if (isNDRStatus(status)) {
-                await handleNDRCreation(order, scans);
-            }
-
             if (newStatus === 'delivered') {
                 order.delivered_date = new Date();
             }
 
             await order.save();
 
+            if (isNDRStatus(status)) {
+                const latestScan = scans && scans.length > 0 ? scans[scans.length - 1] : null;
+                await ndrRulesService.recordNDREvent(order._id, {
+                    remarks: latestScan ? latestScan.comment : status,
+                    location: latestScan ? latestScan.location : ''
+                });
+            }
+
+            if (newStatus === 'rto') {
+                await billingCycleService.recordRTOCharge(order._id);
+            }
+
             console.log(`Order ${order.order_id} status updated from ${oldStatus} to ${newStatus}`);
         }
 
@@ -377,72 +386,15 @@ function isNDRStatus(status) {
     return ndrStatuses.includes(status);
 }
 
-async function handleNDRCreation(order, scans) {
+// Health check endpoint
+router.get('/health', async (req, res) => {
+    let queueStats = null;
     try {
-        let ndr = await NDR.findOne({ waybill: order.delhivery_data.waybill });
-
-        const latestScan = scans && scans.length > 0 ? scans[scans.length - 1] : null;
-
-        if (!ndr) {
-            ndr = new NDR({
-                order_id: order.order_id,
-                waybill: order.delhivery_data.waybill,
-                user_id: order.user_id,
-                customer_info: order.customer_info,
-                delivery_address: order.delivery_address,
-                ndr_reason: latestScan ? latestScan.comment : 'Delivery failed',
-                attempt_count: 1,
-                first_attempt_date: new Date(),
-                last_attempt_date: new Date(),
-                next_attempt_date: calculateNextAttemptDate(1),
-                ndr_status: 'open',
-                customer_contacted: false,
-                escalation_level: 'L1',
-                created_at: new Date(),
-                updated_at: new Date()
-            });
-        } else {
-            ndr.attempt_count += 1;
-            ndr.last_attempt_date = new Date();
-            ndr.next_attempt_date = calculateNextAttemptDate(ndr.attempt_count);
-            ndr.ndr_reason = latestScan ? latestScan.comment : ndr.ndr_reason;
-            ndr.updated_at = new Date();
-
-            if (ndr.attempt_count >= 3) {
-                ndr.escalation_level = 'L2';
-                ndr.rto_eligible = true;
-            }
-        }
-
-        ndr.delivery_attempts.push({
-            attempt_date: new Date(),
-            reason: latestScan ? latestScan.comment : 'Delivery failed',
-            location: latestScan ? latestScan.location : '',
-            next_attempt_date: ndr.next_attempt_date
-        });
-
-        await ndr.save();
-        console.log(`NDR created/updated for order ${order.order_id}`);
-
+        queueStats = await webhookQueue.getStats();
     } catch (error) {
-        console.error('Error handling NDR creation:', error);
-    }
-}
-
-function calculateNextAttemptDate(attemptCount) {
-    if (attemptCount >= 3) {
-        return null;
+        logger.warn('⚠️ Webhook queue stats unavailable', { error: error.message });
     }
 
-    const nextDay = new Date();
-    nextDay.setDate(nextDay.getDate() + 1);
-    return nextDay;
-}
-
-// Health check endpoint
-router.get('/health', (req, res) => {
-    const queueStats = webhookQueue.getStats();
-    
     res.json({
         success: true,
         message: 'Webhook endpoints are healthy',
@@ -457,17 +409,28 @@ router.get('/health', (req, res) => {
     });
 });
 
-// Queue statistics endpoint (for monitoring)
-router.get('/v1/stats', webhookAuth, (req, res) => {
-    const stats = webhookQueue.getStats();
-    
-    res.json({
-        success: true,
-        stats: stats.stats,
-        queueSize: stats.queueSize,
-        processing: stats.processing,
-        timestamp: new Date().toISOString()
-    });
+// Queue statistics endpoint (for monitoring) - persistent counts from the job store
+router.get('/v1/stats', webhookAuth, async (req, res) => {
+    try {
+        const stats = await webhookQueue.getStats();
+
+        res.json({
+            success: true,
+            backend: stats.backend,
+            stats: stats.stats,
+            queueSize: stats.queueSize,
+            processing: stats.processing,
+            oldestQueuedAt: stats.oldestQueuedAt,
+            byType: stats.byType,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logger.error('❌ Webhook queue stats error', { error: error.message });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to load webhook queue statistics'
+        });
+    }
 });
 
 module.exports = router;
@@ -1,15 +1,33 @@
 const express = require('express');
+const mongoose = require('mongoose');
+const multer = require('multer');
 const { auth } = require('../middleware/auth');
 const WeightDiscrepancy = require('../models/WeightDiscrepancy');
+const weightDisputeService = require('../services/weightDisputeService');
 
 const router = express.Router();
 
+// Dispute evidence: photos only, kept in memory until uploaded to Cloudinary
+const evidenceUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB per photo
+  },
+  fileFilter: (req, file, cb) => {
+    if (['image/jpeg', 'image/png', 'image/webp'].includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Evidence must be a JPEG, PNG or WebP photo'), false);
+    }
+  }
+});
+
 // @desc    Get client's weight discrepancies
 // @route   GET /api/weight-discrepancies
 // @access  Private
 router.get('/', auth, async (req, res) => {
   try {
-    const { page = 1, limit = 25, search = '', status = 'all' } = req.query;
+    const { page = 1, limit = 25, search = '', status = 'all', dispute_status = 'all' } = req.query;
     const userId = req.user._id;
     
     const skip = (parseInt(page) - 1) * parseInt(limit);
@@ -29,10 +47,16 @@ router.get('/', auth, async (req, res) => {
       filterQuery.awb_status = status;
     }
 
+    // Dispute filter
+    if (dispute_status !== 'all') {
+      filterQuery.dispute_status = dispute_status === 'not_raised' ? { $in: ['not_raised', null] } : dispute_status;
+    }
+
     const [discrepancies, total] = await Promise.all([
       WeightDiscrepancy.find(filterQuery)
-        .populate('order_id', 'order_id')
+        .populate('order_id', 'order_id package_info.weight_photo_url package_info.dimensions_photo_url')
         .populate('transaction_id', 'transaction_id amount')
+        .populate('dispute.refund_transaction_id', 'transaction_id amount')
         .sort({ discrepancy_date: -1 })
         .skip(skip)
         .limit(parseInt(limit)),
@@ -47,7 +71,9 @@ router.get('/', auth, async (req, res) => {
           _id: null,
           total_discrepancies: { $sum: 1 },
           total_weight_discrepancy: { $sum: '$weight_discrepancy' },
-          total_deduction: { $sum: '$deduction_amount' }
+          total_deduction: { $sum: '$deduction_amount' },
+          open_disputes: { $sum: { $cond: [{ $eq: ['$dispute_status', 'open'] }, 1, 0] } },
+          total_refunded: { $sum: { $ifNull: ['$dispute.refund_amount', 0] } }
         }
       }
     ]);
@@ -55,14 +81,22 @@ router.get('/', auth, async (req, res) => {
     const summaryData = summary[0] || {
       total_discrepancies: 0,
       total_weight_discrepancy: 0,
-      total_deduction: 0
+      total_deduction: 0,
+      open_disputes: 0,
+      total_refunded: 0
     };
 
     res.json({
       success: true,
       data: {
-        discrepancies,
+        discrepancies: discrepancies.map(discrepancy => ({
+          ...discrepancy.toJSON(),
+          dispute_status: discrepancy.dispute_status || 'not_raised',
+          dispute_deadline: weightDisputeService.deadlineFor(discrepancy),
+          can_dispute: weightDisputeService.canDispute(discrepancy)
+        })),
         summary: summaryData,
+        dispute_window_days: weightDisputeService.getWindowDays(),
         pagination: {
           page: parseInt(page),
           limit: parseInt(limit),
@@ -82,5 +116,61 @@ router.get('/', auth, async (req, res) => {
   }
 });
 
+// @desc    Dispute a weight discrepancy charge with weight and dimension evidence
+// @route   POST /api/weight-discrepancies/:id/dispute
+// @access  Private
+router.post('/:id/dispute', auth, evidenceUpload.fields([
+  { name: 'weight_photo', maxCount: 1 },
+  { name: 'dimensions_photo', maxCount: 1 },
+  { name: 'product_photos', maxCount: 3 }
+]), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid weight discrepancy ID'
+      });
+    }
+
+    const files = req.files || {};
+    const { comment, actual_weight, length, width, height } = req.body || {};
+    const result = await weightDisputeService.raiseDispute(req.params.id, req.user, {
+      comment,
+      actual_weight,
+      length,
+      width,
+      height
+    }, {
+      weight: files.weight_photo?.[0],
+      dimensions: files.dimensions_photo?.[0],
+      product: files.product_photos || []
+    });
+
+    if (!result.success) {
+      const statusCode = result.code === 'NOT_FOUND' ? 404
+        : ['ALREADY_RAISED', 'WINDOW_CLOSED'].includes(result.code) ? 409 : 400;
+      return res.status(statusCode).json({
+        success: false,
+        message: result.error,
+        code: result.code
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Dispute raised. We will review it and update you.',
+      data: result.discrepancy
+    });
+
+  } catch (error) {
+    console.error('Raise weight dispute error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error raising weight dispute',
+      error: error.message
+    });
+  }
+});
+
 module.exports = router;
 
@@ -237,7 +237,7 @@ async function checkAndUpdateAllPending() {
   log.success('Connected to MongoDB');
 
   const Transaction = require('../models/Transaction');
-  const User = require('../models/User');
+  const walletLedgerService = require('../services/walletLedgerService');
   const client = initializeJuspay();
 
   const pendingTxns = await Transaction.find({
@@ -268,31 +268,16 @@ async function checkAndUpdateAllPending() {
 
       if (successStatuses.includes(orderStatus.status)) {
         // Update transaction
-        txn.status = 'completed';
-        txn.payment_info.payment_status = 'completed';
         txn.payment_info.gateway_transaction_id = orderStatus.txn_id;
         txn.payment_info.bank_ref_no = orderStatus.bank_ref_no;
         txn.payment_info.payment_method = orderStatus.payment_method;
         txn.payment_info.payment_date = new Date();
-        txn.updated_at = new Date();
-        txn.transaction_date = new Date();
-
-        // Credit wallet
-        const user = await User.findById(txn.user_id);
-        if (user) {
-          const openingBalance = user.wallet_balance || 0;
-          user.wallet_balance = Math.round((openingBalance + txn.amount) * 100) / 100;
-
-          txn.balance_info = {
-            opening_balance: openingBalance,
-            closing_balance: user.wallet_balance
-          };
-
-          await user.save();
-          await txn.save();
 
+        // Credit wallet through the ledger (skipped if already credited)
+        const settlement = await walletLedgerService.settlePending(txn, { postedBy: 'captureHdfcCallback' });
+        if (!settlement.already_settled) {
           log.success(`  Updated to COMPLETED - Wallet credited ₹${txn.amount}`);
-          log.success(`  New Balance: ₹${user.wallet_balance}`);
+          log.success(`  New Balance: ₹${settlement.closing_balance}`);
           results.updated_to_success.push({
             orderId,
             amount: txn.amount,
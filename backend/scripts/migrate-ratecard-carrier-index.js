@@ -0,0 +1,59 @@
+// Script to allow one rate card per user category AND carrier
+// Drops the old unique userCategory index and backfills carrier on existing rate cards.
+// Run once: node backend/scripts/migrate-ratecard-carrier-index.js
+
+const path = require('path');
+const mongoose = require('mongoose');
+
+// Load environment variables from backend/.env
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+async function migrateRateCardIndex() {
+  try {
+    const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/test';
+    console.log('🔌 Connecting to MongoDB...');
+    console.log('📍 Using URI:', mongoUri.replace(/\/\/([^:]+):([^@]+)@/, '//***:***@')); // Hide credentials
+
+    await mongoose.connect(mongoUri);
+    console.log('✅ Connected to MongoDB');
+
+    const collection = mongoose.connection.db.collection('ratecards');
+
+    // Backfill carrier on rate cards created before the field was set
+    const backfill = await collection.updateMany(
+      { $or: [{ carrier: { $exists: false } }, { carrier: null }, { carrier: '' }] },
+      { $set: { carrier: 'DELHIVERY' } }
+    );
+    console.log(`✅ Backfilled carrier on ${backfill.modifiedCount} rate card(s)`);
+
+    const indexes = await collection.indexes();
+    const legacyIndex = indexes.find(idx =>
+      idx.unique && idx.key && Object.keys(idx.key).length === 1 && idx.key.userCategory !== undefined
+    );
+
+    if (legacyIndex) {
+      console.log(`⚠️ Dropping legacy index ${legacyIndex.name}...`);
+      await collection.dropIndex(legacyIndex.name);
+      console.log('✅ Legacy index dropped');
+    } else {
+      console.log('✅ No legacy userCategory index found');
+    }
+
+    await collection.createIndex({ userCategory: 1, carrier: 1 }, { unique: true });
+    console.log('✅ Ensured unique { userCategory, carrier } index');
+
+    await mongoose.connection.close();
+    console.log('📴 MongoDB connection closed');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error migrating rate card index:', error.message);
+    try {
+      await mongoose.connection.close();
+    } catch (closeError) {
+      // Ignore close errors
+    }
+    process.exit(1);
+  }
+}
+
+migrateRateCardIndex();
@@ -119,7 +119,7 @@ async function reconcileTransactions() {
 
     // Load models
     const Transaction = require('../models/Transaction');
-    const User = require('../models/User');
+    const walletLedgerService = require('../services/walletLedgerService');
 
     // Initialize Juspay
     log.info('Initializing HDFC SDK...');
@@ -232,31 +232,18 @@ async function reconcileTransactions() {
         if (!isDryRun) {
           try {
             // Update transaction
-            txn.status = 'completed';
-            txn.payment_info.payment_status = 'completed';
             txn.payment_info.gateway_transaction_id = hdfc.txn_id;
             txn.payment_info.bank_ref_no = hdfc.bank_ref_no;
             txn.payment_info.payment_method = hdfc.payment_method;
             txn.payment_info.payment_date = new Date();
-            txn.transaction_date = new Date();
-            txn.updated_at = new Date();
-
-            // Credit wallet
-            const user = await User.findById(txn.user_id._id);
-            if (user) {
-              const openingBalance = user.wallet_balance || 0;
-              user.wallet_balance = Math.round((openingBalance + txn.amount) * 100) / 100;
-              await user.save();
-
-              txn.balance_info = {
-                opening_balance: openingBalance,
-                closing_balance: user.wallet_balance
-              };
-
-              log.success(`  ✓ Wallet credited! New balance: ₹${user.wallet_balance}`);
-            }
 
-            await txn.save();
+            // Credit wallet through the ledger (skipped if already credited)
+            const settlement = await walletLedgerService.settlePending(txn, { postedBy: 'reconcileHdfcTransactions' });
+            if (settlement.already_settled) {
+              log.warn(`  Already credited by another path, skipping`);
+            } else {
+              log.success(`  ✓ Wallet credited! New balance: ₹${settlement.closing_balance}`);
+            }
             log.success(`  ✓ Transaction updated to completed`);
 
           } catch (updateError) {
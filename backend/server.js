@@ -10,6 +10,9 @@ const http = require('http');
 const { connectDB, checkDBHealth } = require('./config/db');
 const logger = require('./utils/logger');
 const trackingService = require('./services/trackingService');
+const sellerWebhookService = require('./services/sellerWebhookService');
+const webhookQueue = require('./utils/webhookQueue');
+const channelSyncService = require('./services/channelSyncService');
 const websocketService = require('./services/websocketService');
 
 const app = express();
@@ -124,8 +127,8 @@ app.use(cors({
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'Origin', 'X-Admin-Email', 'X-Admin-Password'],
-  exposedHeaders: ['Content-Length', 'Content-Type', 'Content-Disposition', 'Cache-Control', 'X-Foo', 'X-Bar'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'Origin', 'X-Admin-Token', 'X-API-Key', 'X-API-Secret'],
+  exposedHeaders: ['Content-Length', 'Content-Type', 'Content-Disposition', 'Cache-Control', 'X-Foo', 'X-Bar', 'X-Export-Truncated'],
   optionsSuccessStatus: 200 // Some legacy browsers choke on 204
 }));
 
@@ -158,7 +161,9 @@ const limiter = rateLimit({
   // Skip successful requests from rate limit counting (only count errors/blocked)
   skipSuccessfulRequests: false,
   // Skip failed requests from rate limit counting (only count successful)
-  skipFailedRequests: false
+  skipFailedRequests: false,
+  // Public API traffic is limited per API key in routes/v1.js
+  skip: (req) => req.path.startsWith('/v1/'),
   // Removed custom keyGenerator - express-rate-limit handles IP extraction automatically
   // when trustProxy is set, properly handling both IPv4 and IPv6 addresses
 });
@@ -389,7 +394,13 @@ console.log('[HDFC] Registering SYNCHRONOUS callback handlers...');
 // Also create an async version for background processing (not used in redirect flow)
 const hdfcPaymentService = require('./services/hdfcPaymentService');
 const Transaction = require('./models/Transaction');
-const User = require('./models/User');
+const walletLedgerService = require('./services/walletLedgerService');
+const creditControlService = require('./services/creditControlService');
+const billingCycleService = require('./services/billingCycleService');
+const earlyCodService = require('./services/earlyCodService');
+const weightDisputeService = require('./services/weightDisputeService');
+const manifestService = require('./services/manifestService');
+const pickupScheduleService = require('./services/pickupScheduleService');
 
 const hdfcCallbackHandlerAsync = async (req, res) => {
   // CRITICAL: This handler must NEVER throw, NEVER return JSON
@@ -471,23 +482,15 @@ const hdfcCallbackHandlerAsync = async (req, res) => {
 
           if (hdfcPaymentService.isPaymentSuccessful(orderStatus.status)) {
             // Credit wallet
-            recentTxn.status = 'completed';
-            recentTxn.payment_info.payment_status = 'completed';
             recentTxn.payment_info.gateway_transaction_id = orderStatus.txnId || '';
             recentTxn.payment_info.bank_ref_no = orderStatus.bankRefNo || '';
             recentTxn.payment_info.payment_method = orderStatus.paymentMethod || '';
             recentTxn.payment_info.payment_date = new Date();
-            recentTxn.updated_at = new Date();
-
-            const user = await User.findById(recentTxn.user_id);
-            if (user) {
-              const openingBalance = user.wallet_balance || 0;
-              user.wallet_balance = Math.round((openingBalance + recentTxn.amount) * 100) / 100;
-              recentTxn.balance_info = { opening_balance: openingBalance, closing_balance: user.wallet_balance };
-              await user.save();
-              console.log(`Wallet credited: ${recentTxn.amount}, New balance: ${user.wallet_balance}`);
+
+            const settlement = await walletLedgerService.settlePending(recentTxn);
+            if (!settlement.already_settled) {
+              console.log(`Wallet credited: ${recentTxn.amount}, New balance: ${settlement.closing_balance}`);
             }
-            await recentTxn.save();
             return safeRedirect(`/billing/payment-confirmation?order_id=${recentOrderId}&status=success`);
           }
         } catch (statusErr) {
@@ -532,22 +535,17 @@ const hdfcCallbackHandlerAsync = async (req, res) => {
       transaction.updated_at = new Date();
 
       if (isSuccess) {
-        transaction.status = 'completed';
-        const user = await User.findById(transaction.user_id);
-        if (user) {
-          const openingBalance = user.wallet_balance || 0;
-          user.wallet_balance = Math.round((openingBalance + transaction.amount) * 100) / 100;
-          transaction.balance_info = { opening_balance: openingBalance, closing_balance: user.wallet_balance };
-          await user.save();
-          console.log(`SUCCESS: Wallet credited ${transaction.amount}, Balance: ${user.wallet_balance}`);
+        const settlement = await walletLedgerService.settlePending(transaction);
+        if (!settlement.already_settled) {
+          console.log(`SUCCESS: Wallet credited ${transaction.amount}, Balance: ${settlement.closing_balance}`);
+        }
+      } else {
+        if (internalStatus === 'failed') {
+          transaction.status = 'failed';
+          transaction.notes = orderStatus.errorMessage || 'Payment failed';
         }
-        transaction.transaction_date = new Date();
-      } else if (internalStatus === 'failed') {
-        transaction.status = 'failed';
-        transaction.notes = orderStatus.errorMessage || 'Payment failed';
+        await transaction.save();
       }
-
-      await transaction.save();
       const redirectStatus = isSuccess ? 'success' : (internalStatus === 'failed' ? 'failed' : 'pending');
       return safeRedirect(`/billing/payment-confirmation?order_id=${orderId}&status=${redirectStatus}`);
     } catch (statusErr) {
@@ -589,8 +587,15 @@ app.use('/api/dashboard', require('./routes/dashboard'));
 app.use('/api/shipping', require('./routes/shipping'));
 app.use('/api/webhooks', require('./routes/webhooks'));
 app.use('/api/enquiry', require('./routes/enquiry'));
+app.use('/api/admin/auth', require('./routes/adminAuth'));
 app.use('/api/admin', require('./routes/admin'));
 app.use('/api/weight-discrepancies', require('./routes/weightDiscrepancies'));
+app.use('/api/seller-webhooks', require('./routes/sellerWebhooks'));
+app.use('/api/channels', require('./routes/channels'));
+app.use('/api/manifests', require('./routes/manifests'));
+app.use('/api/returns', require('./routes/returns'));
+app.use('/api/exchanges', require('./routes/exchanges'));
+app.use('/api/v1', require('./routes/v1')); // Public API (API-key auth)
 
 // Error Handling Middleware
 app.use((err, req, res, next) => {
@@ -681,6 +686,36 @@ async function startServer() {
     logger.info('✅ Connected to MongoDB');
     console.log('✅ Connected to MongoDB');
 
+    // Retry failed seller webhook deliveries
+    sellerWebhookService.startRetryScheduler();
+
+    // Resume inbound webhook jobs persisted before the restart
+    webhookQueue.start();
+
+    // Pull orders from connected sales channels and retry fulfilment pushes
+    channelSyncService.startScheduler();
+
+    // Nightly check of wallet balances against transaction history
+    walletLedgerService.startReconciliationScheduler();
+
+    // Daily overdue invoice holds and dunning emails for postpaid sellers
+    creditControlService.startScheduler();
+
+    // Close ended billing cycles and generate their invoices
+    billingCycleService.startScheduler();
+
+    // Pay out due COD to sellers on the early COD plan
+    earlyCodService.startScheduler();
+
+    // Close weight discrepancies whose dispute window has passed
+    weightDisputeService.startScheduler();
+
+    // Close the day's pickup manifests and flag shipments not picked
+    manifestService.startScheduler();
+
+    // Raise recurring warehouse pickups when orders are ready
+    pickupScheduleService.startScheduler();
+
     // Start Server only after DB is connected
     server.listen(PORT, () => {
       logger.info('🚀 Server started', {
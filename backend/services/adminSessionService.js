@@ -0,0 +1,229 @@
+// Location: backend/services/adminSessionService.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const AdminSession = require('../models/AdminSession');
+const Staff = require('../models/Staff');
+const logger = require('../utils/logger');
+
+const TOKEN_AUDIENCE = 'shipsarthi-admin';
+const LAST_SEEN_THROTTLE_MS = 60 * 1000;
+
+const sha256 = (value) => crypto.createHash('sha256').update(String(value || '')).digest();
+
+// Constant-time comparison of secrets of any length
+const safeEqual = (a, b) => crypto.timingSafeEqual(sha256(a), sha256(b));
+
+/**
+ * Admin Session Service
+ * Exchanges admin/staff credentials for a short-lived signed token bound to a
+ * server-side session. The panel sends the token in the X-Admin-Token header
+ * and refreshes it before it expires; the password is only sent at login.
+ *
+ * Environment:
+ *   ADMIN_EMAIL / ADMIN_PASSWORD - super admin account (has every permission).
+ *                                  Without them only Staff accounts can log in.
+ *   ADMIN_JWT_SECRET            - token signing secret (falls back to JWT_SECRET)
+ *   ADMIN_TOKEN_TTL_MINUTES     - token lifetime (default 30)
+ *   ADMIN_SESSION_MAX_HOURS     - absolute session lifetime (default 12)
+ */
+class AdminSessionService {
+  constructor() {
+    this.warnedMissingSuperAdmin = false;
+  }
+
+  get tokenTtlMinutes() {
+    return parseInt(process.env.ADMIN_TOKEN_TTL_MINUTES || '30');
+  }
+
+  get sessionMaxHours() {
+    return parseInt(process.env.ADMIN_SESSION_MAX_HOURS || '12');
+  }
+
+  getSecret() {
+    const secret = process.env.ADMIN_JWT_SECRET || process.env.JWT_SECRET;
+    if (!secret) {
+      throw new Error('ADMIN_JWT_SECRET or JWT_SECRET must be configured');
+    }
+    return secret;
+  }
+
+  /**
+   * Super admin credentials from the environment, or null when not configured
+   */
+  getSuperAdminCredentials() {
+    const email = String(process.env.ADMIN_EMAIL || '').toLowerCase().trim();
+    if (email && process.env.ADMIN_PASSWORD) {
+      return { email, password: process.env.ADMIN_PASSWORD };
+    }
+    if (!this.warnedMissingSuperAdmin) {
+      this.warnedMissingSuperAdmin = true;
+      logger.warn('⚠️ ADMIN_EMAIL / ADMIN_PASSWORD not set - super admin login is disabled');
+    }
+    return null;
+  }
+
+  /**
+   * Check credentials and open a session. Refuses every login with
+   * NOT_CONFIGURED when there is neither a super admin nor an active staff account.
+   * @returns {Promise<{success: boolean, token?: string, expires_at?: Date, session_expires_at?: Date, admin?: Object, code?: string, error?: string}>}
+   */
+  async login(email, password, { ip, userAgent } = {}) {
+    const normalizedEmail = String(email || '').toLowerCase().trim();
+    if (!normalizedEmail || !password) {
+      return { success: false, error: 'Email and password are required' };
+    }
+
+    const superAdmin = this.getSuperAdminCredentials();
+    if (!superAdmin && !(await Staff.exists({ is_active: true }))) {
+      logger.error('🔒 Admin login refused - no super admin configured and no active staff accounts');
+      return {
+        success: false,
+        code: 'NOT_CONFIGURED',
+        error: 'Admin login is not configured. Set ADMIN_EMAIL and ADMIN_PASSWORD on the server.'
+      };
+    }
+
+    let staff = null;
+    let isSuperAdmin = false;
+
+    if (superAdmin && normalizedEmail === superAdmin.email) {
+      isSuperAdmin = safeEqual(password, superAdmin.password);
+    } else {
+      staff = await Staff.findByEmail(normalizedEmail);
+      if (!staff || !staff.is_active || !(await staff.comparePassword(password))) {
+        staff = null;
+      }
+    }
+
+    if (!isSuperAdmin && !staff) {
+      logger.warn('🔒 Admin login failed', { email: normalizedEmail, ip });
+      return { success: false, error: 'Invalid credentials' };
+    }
+
+    const session = await AdminSession.create({
+      session_id: crypto.randomBytes(24).toString('hex'),
+      staff_id: staff?._id || null,
+      email: normalizedEmail,
+      is_super_admin: isSuperAdmin,
+      ip_address: ip,
+      user_agent: userAgent ? String(userAgent).slice(0, 300) : undefined,
+      expires_at: new Date(Date.now() + this.sessionMaxHours * 60 * 60 * 1000)
+    });
+
+    if (staff) {
+      await Staff.updateOne({ _id: staff._id }, { $set: { last_login_at: new Date() } });
+    }
+
+    logger.info('🔓 Admin login', {
+      email: normalizedEmail,
+      role: isSuperAdmin ? 'admin' : staff.role,
+      sessionId: session.session_id.slice(0, 8),
+      ip
+    });
+
+    return {
+      success: true,
+      ...this.issueToken(session),
+      admin: this.buildPrincipal(session, staff)
+    };
+  }
+
+  /**
+   * Sign a token for a session (never outlives the session)
+   */
+  issueToken(session) {
+    const ttlMs = this.tokenTtlMinutes * 60 * 1000;
+    const expiresAt = new Date(Math.min(Date.now() + ttlMs, session.expires_at.getTime()));
+    const token = jwt.sign(
+      { sid: session.session_id, exp: Math.floor(expiresAt.getTime() / 1000) },
+      this.getSecret(),
+      { audience: TOKEN_AUDIENCE }
+    );
+    return { token, expires_at: expiresAt, session_expires_at: session.expires_at };
+  }
+
+  /**
+   * Resolve a token to its session and acting admin/staff.
+   * @returns {Promise<{success: boolean, principal?: Object, session?: Object, staff?: Object, error?: string}>}
+   */
+  async authenticate(token) {
+    let payload;
+    try {
+      payload = jwt.verify(token, this.getSecret(), { audience: TOKEN_AUDIENCE });
+    } catch (error) {
+      return { success: false, error: error.name === 'TokenExpiredError' ? 'Session token expired' : 'Invalid session token' };
+    }
+
+    const session = await AdminSession.findOne({ session_id: payload.sid });
+    if (!session || !session.isValid()) {
+      return { success: false, error: 'Session has ended, please log in again' };
+    }
+
+    let staff = null;
+    if (!session.is_super_admin) {
+      staff = await Staff.findById(session.staff_id);
+      if (!staff || !staff.is_active) {
+        await this.revoke(session, 'staff_deactivated');
+        return { success: false, error: 'Staff account is inactive' };
+      }
+    }
+
+    if (Date.now() - session.last_seen_at.getTime() > LAST_SEEN_THROTTLE_MS) {
+      AdminSession.updateOne({ _id: session._id }, { $set: { last_seen_at: new Date() } }).catch(() => {});
+    }
+
+    return { success: true, session, staff, principal: this.buildPrincipal(session, staff) };
+  }
+
+  /**
+   * Identity attached to req.admin for the request
+   */
+  buildPrincipal(session, staff) {
+    if (session.is_super_admin) {
+      return {
+        email: session.email,
+        name: 'Admin',
+        role: 'admin',
+        is_super_admin: true,
+        permissions: [...Staff.ALL_PERMISSIONS],
+        session_id: session.session_id
+      };
+    }
+
+    return {
+      email: staff.email,
+      name: staff.name,
+      role: staff.role,
+      is_super_admin: false,
+      staff_id: staff._id,
+      permissions: staff.getEffectivePermissions(),
+      session_id: session.session_id
+    };
+  }
+
+  async refresh(session) {
+    await AdminSession.updateOne({ _id: session._id }, { $inc: { refresh_count: 1 }, $set: { last_seen_at: new Date() } });
+    return this.issueToken(session);
+  }
+
+  async revoke(session, reason = 'logout') {
+    await AdminSession.updateOne(
+      { _id: session._id, revoked_at: null },
+      { $set: { revoked_at: new Date(), revoked_reason: reason } }
+    );
+  }
+
+  /**
+   * End every open session of a staff member (deactivation or password change)
+   * @returns {Promise<number>} Sessions revoked
+   */
+  async revokeStaffSessions(staffId, reason) {
+    const result = await AdminSession.updateMany(
+      { staff_id: staffId, revoked_at: null },
+      { $set: { revoked_at: new Date(), revoked_reason: reason } }
+    );
+    return result.modifiedCount || 0;
+  }
+}
+
+module.exports = new AdminSessionService();
@@ -0,0 +1,264 @@
+// Location: backend/services/auditService.js
+const { Parser } = require('json2csv');
+const AuditLog = require('../models/AuditLog');
+const User = require('../models/User');
+const logger = require('../utils/logger');
+
+const MAX_DIFF_DEPTH = 4;
+const MAX_EXPORT_ROWS = 50000;
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Plain JSON copy (ObjectIds and Dates become strings), undefined for missing values
+const toPlain = (value) => {
+  if (value === undefined || value === null) return value;
+  const source = typeof value.toObject === 'function' ? value.toObject({ depopulate: true }) : value;
+  return JSON.parse(JSON.stringify(source));
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Arrays of objects (e.g. rate card slabs) are diffed per item; arrays of
+// primitives (e.g. permissions) are compared as a whole
+const isNestedArray = (value) => Array.isArray(value) && value.some(isPlainObject);
+
+const flatten = (value, prefix = '', depth = 0, out = {}) => {
+  if ((isPlainObject(value) || isNestedArray(value)) && depth < MAX_DIFF_DEPTH && Object.keys(value).length > 0) {
+    Object.entries(value).forEach(([key, child]) => {
+      flatten(child, prefix ? `${prefix}.${key}` : key, depth + 1, out);
+    });
+  } else if (prefix) {
+    out[prefix] = value;
+  }
+  return out;
+};
+
+const getPath = (source, path) => {
+  if (!source) return undefined;
+  if (typeof source.get === 'function') return source.get(path);
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), source);
+};
+
+/**
+ * Audit Service
+ * Writes the append-only AuditLog for admin and money-moving actions and
+ * serves the admin search / CSV export.
+ *
+ * record() never throws: the audited action has already happened, so a failed
+ * write is logged loudly instead of failing the request.
+ */
+class AuditService {
+  /**
+   * Pick fields (dotted paths allowed) from a document or object as a plain snapshot
+   */
+  snapshot(source, fields) {
+    if (!source) return null;
+    return fields.reduce((result, field) => {
+      result[field] = toPlain(getPath(source, field));
+      return result;
+    }, {});
+  }
+
+  /**
+   * Field-level changes between two snapshots
+   * @returns {Array<{field: string, before: *, after: *}>}
+   */
+  diff(before, after) {
+    const flatBefore = flatten(toPlain(before) || {});
+    const flatAfter = flatten(toPlain(after) || {});
+    const fields = new Set([...Object.keys(flatBefore), ...Object.keys(flatAfter)]);
+
+    return [...fields]
+      .filter(field => JSON.stringify(flatBefore[field]) !== JSON.stringify(flatAfter[field]))
+      .map(field => ({ field, before: flatBefore[field], after: flatAfter[field] }));
+  }
+
+  /**
+   * Who performed the request: admin session, seller, or the system
+   */
+  actorFromRequest(req) {
+    if (req?.admin) {
+      return {
+        type: req.admin.is_super_admin ? 'admin' : 'staff',
+        id: req.admin.staff_id ? String(req.admin.staff_id) : undefined,
+        email: req.admin.email,
+        name: req.admin.name,
+        role: req.admin.role,
+        session_id: req.admin.session_id
+      };
+    }
+    if (req?.user) {
+      return {
+        type: 'user',
+        id: String(req.user._id),
+        email: req.user.email,
+        name: req.user.your_name || req.user.company_name
+      };
+    }
+    return { type: 'system', name: 'system' };
+  }
+
+  /**
+   * Append an audit entry
+   * @param {Object|null} req - Express request (actor, IP and path are taken from it)
+   * @param {Object} entry - { action, category, target, clientId, before, after, reason, metadata, actor }
+   * @returns {Promise<Object|null>} Saved entry, or null when the write failed
+   */
+  async record(req, { action, category, target, clientId, before, after, reason, metadata, actor }) {
+    try {
+      const plainBefore = toPlain(before);
+      const plainAfter = toPlain(after);
+
+      return await AuditLog.create({
+        action,
+        category,
+        actor: actor || this.actorFromRequest(req),
+        target: target ? { type: target.type, id: target.id ? String(target.id) : undefined, label: target.label } : undefined,
+        client_id: clientId || null,
+        before: plainBefore,
+        after: plainAfter,
+        changes: plainBefore || plainAfter ? this.diff(plainBefore, plainAfter) : [],
+        reason: reason ? String(reason).slice(0, 1000) : undefined,
+        ip_address: req?.ip,
+        user_agent: req?.get ? req.get('user-agent')?.slice(0, 300) : undefined,
+        request: req?.originalUrl ? { method: req.method, path: req.originalUrl.split('?')[0] } : undefined,
+        metadata
+      });
+    } catch (error) {
+      logger.error('❌ Failed to write audit log entry', {
+        action,
+        clientId: clientId ? String(clientId) : undefined,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Mongo query from admin search filters
+   * @param {Object} filters - { client, actor, action, category, target_id, from, to }
+   */
+  async buildQuery({ client, actor, action, category, target_id: targetId, from, to } = {}) {
+    const query = {};
+
+    if (client) {
+      if (/^[a-f\d]{24}$/i.test(String(client))) {
+        query.client_id = client;
+      } else {
+        // Client code (e.g. SS12345) or email
+        const users = await User.find({
+          $or: [
+            { client_id: String(client).trim().toUpperCase() },
+            { email: String(client).trim().toLowerCase() }
+          ]
+        }).select('_id').lean();
+        query.client_id = { $in: users.map(user => user._id) };
+      }
+    }
+
+    if (actor) {
+      query['actor.email'] = { $regex: escapeRegex(String(actor).trim()), $options: 'i' };
+    }
+
+    if (action) {
+      // "wallet" matches wallet.credit, wallet.debit, ...
+      query.action = String(action).includes('.')
+        ? String(action)
+        : { $regex: `^${escapeRegex(action)}(\\.|$)` };
+    }
+
+    if (category) {
+      query.category = category;
+    }
+
+    if (targetId) {
+      query['target.id'] = String(targetId);
+    }
+
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) {
+        const end = new Date(to);
+        // Date-only values include the whole day
+        if (/^\d{4}-\d{2}-\d{2}$/.test(String(to))) end.setHours(23, 59, 59, 999);
+        query.createdAt.$lte = end;
+      }
+    }
+
+    return query;
+  }
+
+  async search(filters = {}, { page = 1, limit = 50 } = {}) {
+    const query = await this.buildQuery(filters);
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(query)
+        .populate('client_id', 'client_id company_name email')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      AuditLog.countDocuments(query)
+    ]);
+
+    return {
+      entries,
+      pagination: {
+        current_page: page,
+        total_pages: Math.ceil(total / limit),
+        total_count: total,
+        per_page: limit
+      }
+    };
+  }
+
+  /**
+   * CSV of matching entries (newest first, capped at MAX_EXPORT_ROWS)
+   */
+  async exportCsv(filters = {}) {
+    const query = await this.buildQuery(filters);
+    const entries = await AuditLog.find(query)
+      .populate('client_id', 'client_id company_name')
+      .sort({ createdAt: -1 })
+      .limit(MAX_EXPORT_ROWS)
+      .lean();
+
+    const rows = entries.map(entry => ({
+      timestamp: new Date(entry.createdAt).toISOString(),
+      action: entry.action,
+      category: entry.category,
+      actor_type: entry.actor?.type,
+      actor_email: entry.actor?.email || '',
+      actor_role: entry.actor?.role || '',
+      client_code: entry.client_id?.client_id || '',
+      client_name: entry.client_id?.company_name || '',
+      target_type: entry.target?.type || '',
+      target_id: entry.target?.id || '',
+      target_label: entry.target?.label || '',
+      changes: (entry.changes || [])
+        .map(change => `${change.field}: ${JSON.stringify(change.before ?? null)} -> ${JSON.stringify(change.after ?? null)}`)
+        .join('; '),
+      reason: entry.reason || '',
+      ip_address: entry.ip_address || '',
+      request_path: entry.request?.path || '',
+      entry_id: String(entry._id)
+    }));
+
+    const parser = new Parser({
+      fields: [
+        'timestamp', 'action', 'category', 'actor_type', 'actor_email', 'actor_role',
+        'client_code', 'client_name', 'target_type', 'target_id', 'target_label',
+        'changes', 'reason', 'ip_address', 'request_path', 'entry_id'
+      ]
+    });
+
+    return { csv: parser.parse(rows), count: rows.length, truncated: rows.length === MAX_EXPORT_ROWS };
+  }
+
+  async listActions() {
+    return (await AuditLog.distinct('action')).sort();
+  }
+}
+
+module.exports = new AuditService();
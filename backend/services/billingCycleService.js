@@ -0,0 +1,531 @@
+// Location: backend/services/billingCycleService.js
+const cron = require('node-cron');
+const BillingCycle = require('../models/BillingCycle');
+const Order = require('../models/Order');
+const Invoice = require('../models/Invoice');
+const InvoiceService = require('./invoiceService');
+const invoiceNoteService = require('./invoiceNoteService');
+const einvoiceService = require('./einvoiceService');
+const RateCardService = require('./rateCardService');
+const carriers = require('./carriers');
+const walletLedgerService = require('./walletLedgerService');
+const websocketService = require('./websocketService');
+const logger = require('../utils/logger');
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+/**
+ * Billing Cycle Service
+ * Fortnightly billing cycles (1st-15th, 16th-end of month, IST). Orders join the
+ * seller's open cycle when their AWB is charged (routes/orders.js). Weight
+ * discrepancy and RTO charges raised later are added to the correct open cycle
+ * as late charges. A daily job closes cycles whose period has ended and
+ * generates their invoices; admins can re-run or void a cycle.
+ *
+ * Methods that admins call return { success, code?, error?, ... } instead of throwing.
+ */
+class BillingCycleService {
+  constructor() {
+    this.closeJob = null;
+    this.isRunning = false;
+    this.isClosing = false;
+  }
+
+  /**
+   * Open cycle new charges should go to. Normally the cycle for today; if an
+   * admin has already closed or voided it, the next period's cycle.
+   * @returns {Promise<BillingCycle>}
+   */
+  async getOpenCycle(userId, date = new Date()) {
+    let cycle = await BillingCycle.getOrCreateCycle(userId, date);
+
+    // Bounded: at most the next two periods can be closed early
+    for (let i = 0; i < 3 && cycle.status !== 'open'; i++) {
+      cycle = await BillingCycle.getOrCreateCycle(userId, new Date(cycle.end_date.getTime() + 1));
+    }
+
+    if (cycle.status !== 'open') {
+      throw new Error('No open billing cycle available');
+    }
+    return cycle;
+  }
+
+  /**
+   * Cycle a late charge for an order belongs to: the order's own cycle while it is
+   * still open and the order is unbilled, otherwise the seller's current open cycle
+   */
+  async getCycleForLateCharge(order) {
+    const cycleId = order.billing_info?.billing_cycle_id;
+    if (cycleId && order.billing_info.billing_status === 'unbilled') {
+      const ownCycle = await BillingCycle.findById(cycleId);
+      if (ownCycle?.status === 'open') {
+        return ownCycle;
+      }
+    }
+    return this.getOpenCycle(order.user_id);
+  }
+
+  /**
+   * Add a weight discrepancy or RTO charge to the seller's billing. An order that is
+   * already on an invoice gets a debit note against that invoice; otherwise the
+   * charge goes on a billing cycle and is invoiced when the cycle closes.
+   * @param {Object} order - Order document
+   * @param {Object} charge
+   * @param {string} charge.type - 'weight_discrepancy' | 'rto'
+   * @param {number} charge.amount
+   * @param {string} [charge.description]
+   * @param {boolean} [charge.settledFromWallet] - Already debited from the wallet
+   * @param {string} [charge.transactionId]
+   * @param {string} [charge.sourceRef] - Applied at most once per seller
+   * @returns {Promise<{cycle?: BillingCycle, note?: InvoiceNote}|null>} Where the charge went, null when skipped
+   */
+  async applyLateCharge(order, { type, amount, description, settledFromWallet = false, transactionId, sourceRef }) {
+    const chargeAmount = round2(amount);
+    if (chargeAmount <= 0) {
+      return null;
+    }
+
+    if (order.billing_info?.billing_status === 'billed' && order.billing_info.invoice_id) {
+      const result = await invoiceNoteService.issueLateChargeDebitNote(order, {
+        type,
+        amount: chargeAmount,
+        description,
+        settledFromWallet,
+        transactionId,
+        sourceRef
+      });
+      if (!result.success) {
+        throw new Error(`Debit note for order ${order.order_id} failed: ${result.error}`);
+      }
+      return { note: result.note };
+    }
+
+    if (sourceRef && await BillingCycle.exists({ user_id: order.user_id, 'late_charges.source_ref': sourceRef })) {
+      logger.info('ℹ️ Late charge already applied', { orderId: order.order_id, type, sourceRef });
+      return null;
+    }
+
+    const cycle = await this.getCycleForLateCharge(order);
+    cycle.addLateCharge({
+      type,
+      order_id: order._id,
+      internal_order_id: order.order_id,
+      awb_number: order.delhivery_data?.waybill,
+      amount: chargeAmount,
+      description,
+      settled_from_wallet: settledFromWallet,
+      transaction_id: transactionId,
+      source_ref: sourceRef
+    });
+    await cycle.save();
+
+    logger.info('🧾 Late charge added to billing cycle', {
+      orderId: order.order_id,
+      type,
+      amount: chargeAmount,
+      billingCycleId: cycle._id,
+      cycleId: cycle.cycle_id,
+      settledFromWallet
+    });
+
+    const label = type === 'rto' ? 'RTO charge' : 'Weight discrepancy charge';
+    websocketService.sendNotificationToClient(String(order.user_id), {
+      type: 'billing_late_charge',
+      title: label,
+      message: settledFromWallet
+        ? `${label} of ₹${chargeAmount.toFixed(2)} for order ${order.order_id} was deducted from your wallet and will appear on your invoice for ${cycle.period_display}.`
+        : `${label} of ₹${chargeAmount.toFixed(2)} for order ${order.order_id} will be billed on your invoice for ${cycle.period_display}.`,
+      order_id: order.order_id,
+      awb: order.delhivery_data?.waybill,
+      amount: chargeAmount,
+      billing_cycle_id: cycle._id,
+      created_at: new Date()
+    });
+
+    return { cycle };
+  }
+
+  /**
+   * Raise the RTO charge for an order that returned to origin. Prepaid sellers are
+   * debited from the wallet; postpaid sellers (or a wallet that cannot cover it)
+   * pay through the invoice. Called after carrier status updates; never throws.
+   */
+  async recordRTOCharge(orderId) {
+    try {
+      const order = await Order.findById(orderId);
+      // Only orders that were charged at AWB time are billed
+      if (!order || order.status !== 'rto' || !order.billing_info?.billing_cycle_id || order.billing_info.rto_charged_at) {
+        return null;
+      }
+
+      const amount = await this.getRTOAmount(order);
+      if (amount <= 0) {
+        return null;
+      }
+
+      // Claim the order first so a repeated webhook cannot charge twice
+      const claim = await Order.updateOne(
+        { _id: order._id, 'billing_info.rto_charged_at': { $exists: false } },
+        { $set: { 'billing_info.rto_charged_at': new Date() } }
+      );
+      if (claim.modifiedCount === 0) {
+        return null;
+      }
+
+      const description = `RTO charge for order ${order.order_id}`;
+      let debit = null;
+      if (order.billing_info.billing_mode !== 'postpaid') {
+        debit = await walletLedgerService.debit({
+          userId: order.user_id,
+          amount,
+          category: 'rto_charge',
+          description,
+          fields: {
+            related_order_id: order._id,
+            related_awb: order.delhivery_data?.waybill,
+            order_info: {
+              order_id: order.order_id,
+              awb_number: order.delhivery_data?.waybill || null,
+              weight: order.billing_info.charged_weight,
+              zone: order.billing_info.zone || null,
+              order_date: order.order_date
+            }
+          }
+        });
+
+        if (debit.success) {
+          websocketService.sendNotificationToClient(String(order.user_id), {
+            type: 'wallet_balance_update',
+            balance: debit.closing_balance,
+            currency: 'INR',
+            last_updated: new Date()
+          });
+        } else {
+          logger.warn('⚠️ RTO charge not covered by wallet, billing through invoice', {
+            orderId: order.order_id,
+            amount,
+            error: debit.error
+          });
+        }
+      }
+
+      return await this.applyLateCharge(order, {
+        type: 'rto',
+        amount,
+        description,
+        settledFromWallet: Boolean(debit?.success),
+        transactionId: debit?.success ? debit.transaction._id : undefined,
+        sourceRef: `rto:${order._id}`
+      });
+    } catch (error) {
+      logger.error('❌ Failed to record RTO charge', { orderId: String(orderId), error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * RTO rate quoted when the AWB was charged, recalculated from the rate card when missing
+   */
+  async getRTOAmount(order) {
+    const quoted = order.billing_info.charges?.rto_charge;
+    if (quoted > 0) {
+      return round2(quoted);
+    }
+
+    const { zone, charged_weight: chargedWeight, user_category_at_order: userCategory } = order.billing_info;
+    if (!zone || !userCategory || !chargedWeight) {
+      return 0;
+    }
+
+    try {
+      const result = await RateCardService.calculateShippingCharges(
+        userCategory,
+        chargedWeight,
+        {
+          length: order.package_info?.dimensions?.length,
+          breadth: order.package_info?.dimensions?.width,
+          height: order.package_info?.dimensions?.height
+        },
+        zone,
+        0,
+        'rto',
+        carriers.getCarrierForOrder(order).code,
+        order.shipping_mode
+      );
+      return round2(result.rtoCharges);
+    } catch (error) {
+      logger.warn('⚠️ RTO rate calculation failed', { orderId: order.order_id, error: error.message });
+      return 0;
+    }
+  }
+
+  /**
+   * Orders and late charges that would be invoiced for a cycle
+   */
+  async countBillable(cycle) {
+    const orders = await Order.countDocuments({
+      _id: { $in: cycle.order_ids },
+      'billing_info.billing_status': 'unbilled'
+    });
+    return orders + (cycle.late_charges?.length || 0);
+  }
+
+  /**
+   * Generate the invoice for a closed cycle. A cycle with nothing left to bill
+   * (e.g. every order cancelled) is voided instead of getting an empty invoice.
+   * @param {BillingCycle} cycle
+   * @param {string} by - 'scheduler' or admin email
+   * @returns {Promise<{status: string, invoice?: Invoice}>}
+   */
+  async invoiceCycle(cycle, by) {
+    try {
+      if (await this.countBillable(cycle) === 0) {
+        cycle.status = 'void';
+        cycle.voided_at = new Date();
+        cycle.voided_by = by;
+        cycle.void_reason = 'No billable charges';
+        cycle.last_run = { at: new Date(), by };
+        await cycle.save();
+        return { status: 'void' };
+      }
+
+      const invoice = await InvoiceService.generateInvoiceFromCycle(cycle._id);
+      await BillingCycle.updateOne({ _id: cycle._id }, { $set: { last_run: { at: new Date(), by } } });
+
+      websocketService.sendNotificationToClient(String(cycle.user_id?._id || cycle.user_id), {
+        type: 'invoice_generated',
+        title: 'Invoice Generated',
+        message: `Invoice ${invoice.invoice_number} for ₹${invoice.amounts.grand_total.toFixed(2)} is ready.`,
+        invoice_id: invoice._id,
+        invoice_number: invoice.invoice_number,
+        amount: invoice.amounts.grand_total,
+        balance_due: invoice.balance_due,
+        created_at: new Date()
+      });
+
+      logger.info('🧾 Billing cycle invoiced', {
+        cycleId: cycle.cycle_id,
+        invoiceNumber: invoice.invoice_number,
+        grandTotal: invoice.amounts.grand_total,
+        by
+      });
+      return { status: 'invoiced', invoice };
+    } catch (error) {
+      await BillingCycle.updateOne(
+        { _id: cycle._id },
+        { $set: { last_run: { at: new Date(), by, error: error.message } } }
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Close every open cycle whose period has ended and invoice every closed cycle.
+   * Cycles that failed on an earlier run are retried, and so are failed IRN registrations.
+   */
+  async runCycleClose() {
+    const result = { closed: 0, invoiced: 0, voided: 0, failed: 0 };
+
+    const expired = await BillingCycle.find({ status: 'open', end_date: { $lt: new Date() } });
+    for (const cycle of expired) {
+      await cycle.closeCycle();
+      result.closed++;
+    }
+
+    const pending = await BillingCycle.find({ status: 'closed' }).sort({ end_date: 1 });
+    for (const cycle of pending) {
+      try {
+        const outcome = await this.invoiceCycle(cycle, 'scheduler');
+        result[outcome.status === 'void' ? 'voided' : 'invoiced']++;
+      } catch (error) {
+        result.failed++;
+        logger.error('❌ Billing cycle invoicing failed', { cycleId: cycle.cycle_id, error: error.message });
+      }
+    }
+
+    const einvoices = await InvoiceService.retryFailedEInvoices();
+    result.irn_retried = einvoices.retried;
+    result.irn_generated = einvoices.generated;
+
+    logger.info('📅 Billing cycle close completed', result);
+    return result;
+  }
+
+  /**
+   * Cancel a cycle's invoice so the cycle can be invoiced again or voided.
+   * Refused once a payment has been recorded or a credit / debit note issued against the invoice.
+   * An IRN is cancelled with the invoice, which the IRP only allows within 24 hours.
+   * @param {Object} cycle - BillingCycle document
+   * @param {string} reason
+   * @param {Object} options - { by, irnReasonCode } (IRN cancel reason, see einvoiceService.cancelIRN)
+   * @returns {Promise<{success: boolean, code?: string, error?: string}>}
+   */
+  async releaseInvoice(cycle, reason, { by, irnReasonCode = '4' } = {}) {
+    const invoice = cycle.invoice_id ? await Invoice.findById(cycle.invoice_id) : null;
+    if (invoice) {
+      if (invoice.payments?.length > 0) {
+        return {
+          success: false,
+          code: 'INVOICE_HAS_PAYMENTS',
+          error: `Invoice ${invoice.invoice_number} has payments recorded and cannot be cancelled`
+        };
+      }
+      if (invoice.adjustments?.length > 0) {
+        return {
+          success: false,
+          code: 'INVOICE_HAS_NOTES',
+          error: `Invoice ${invoice.invoice_number} has credit or debit notes issued against it and cannot be cancelled`
+        };
+      }
+
+      if (invoice.irn) {
+        const cancelled = await einvoiceService.cancelIRN(invoice, { reasonCode: irnReasonCode, remarks: reason, by });
+        if (!cancelled.success) {
+          return {
+            success: false,
+            code: cancelled.code === 'CANCEL_WINDOW_EXPIRED' ? 'IRN_CANCEL_WINDOW_EXPIRED' : 'IRN_CANCEL_FAILED',
+            error: cancelled.error
+          };
+        }
+      }
+
+      await invoice.cancel(reason);
+      await Order.updateMany(
+        { 'billing_info.invoice_id': invoice._id },
+        {
+          $set: { 'billing_info.billing_status': 'unbilled' },
+          $unset: { 'billing_info.invoice_id': '', 'billing_info.billed_at': '' }
+        }
+      );
+    }
+
+    cycle.invoice_id = undefined;
+    cycle.invoiced_at = undefined;
+    return { success: true, cancelled_invoice: invoice?.invoice_number || null };
+  }
+
+  /**
+   * Admin: (re)generate a cycle's invoice. An ended open cycle is closed first; an
+   * invoiced cycle has its invoice cancelled and replaced.
+   */
+  async rerunCycle(cycleId, { by, reason }) {
+    const cycle = await BillingCycle.findById(cycleId);
+    if (!cycle) {
+      return { success: false, code: 'NOT_FOUND', error: 'Billing cycle not found' };
+    }
+    if (cycle.status === 'void') {
+      return { success: false, code: 'CYCLE_VOID', error: 'A void billing cycle cannot be re-run' };
+    }
+    if (cycle.status === 'open' && cycle.end_date > new Date()) {
+      return { success: false, code: 'CYCLE_OPEN', error: 'The billing period has not ended yet' };
+    }
+
+    const previousStatus = cycle.status;
+    let cancelledInvoice = null;
+    if (cycle.status === 'invoiced') {
+      // IRN cancel reason '2' = data entry mistake: the invoice is re-issued corrected
+      const released = await this.releaseInvoice(cycle, reason || `Billing cycle ${cycle.cycle_id} re-run by ${by}`, { by, irnReasonCode: '2' });
+      if (!released.success) {
+        return released;
+      }
+      cancelledInvoice = released.cancelled_invoice;
+    }
+
+    if (cycle.status !== 'closed') {
+      cycle.status = 'closed';
+      cycle.closed_at = cycle.closed_at || new Date();
+      await cycle.save();
+    }
+
+    try {
+      const outcome = await this.invoiceCycle(cycle, by);
+      return {
+        success: true,
+        previous_status: previousStatus,
+        status: outcome.status,
+        invoice: outcome.invoice || null,
+        cancelled_invoice: cancelledInvoice
+      };
+    } catch (error) {
+      return { success: false, code: 'INVOICE_FAILED', error: error.message, cancelled_invoice: cancelledInvoice };
+    }
+  }
+
+  /**
+   * Admin: void a cycle so nothing in it is invoiced. Its orders are marked
+   * adjusted; an unpaid invoice is cancelled.
+   */
+  async voidCycle(cycleId, { by, reason }) {
+    const cycle = await BillingCycle.findById(cycleId);
+    if (!cycle) {
+      return { success: false, code: 'NOT_FOUND', error: 'Billing cycle not found' };
+    }
+    if (cycle.status === 'void') {
+      return { success: false, code: 'CYCLE_VOID', error: 'Billing cycle is already void' };
+    }
+
+    const previousStatus = cycle.status;
+    let cancelledInvoice = null;
+    if (cycle.status === 'invoiced') {
+      const released = await this.releaseInvoice(cycle, reason, { by });
+      if (!released.success) {
+        return released;
+      }
+      cancelledInvoice = released.cancelled_invoice;
+    }
+
+    await Order.updateMany(
+      { _id: { $in: cycle.order_ids }, 'billing_info.billing_status': 'unbilled' },
+      { $set: { 'billing_info.billing_status': 'adjusted' } }
+    );
+
+    cycle.status = 'void';
+    cycle.voided_at = new Date();
+    cycle.voided_by = by;
+    cycle.void_reason = reason;
+    await cycle.save();
+
+    logger.info('🧾 Billing cycle voided', { cycleId: cycle.cycle_id, by, reason, cancelledInvoice });
+    return { success: true, previous_status: previousStatus, cancelled_invoice: cancelledInvoice };
+  }
+
+  startScheduler() {
+    if (this.isRunning) {
+      logger.warn('⚠️ Billing cycle scheduler already running');
+      return;
+    }
+
+    // '30 0 * * *' = every day at 00:30 IST. Cycles end on the 15th and the last
+    // day of the month; running daily also retries cycles that failed to invoice.
+    this.closeJob = cron.schedule('30 0 * * *', async () => {
+      if (this.isClosing) {
+        logger.warn('⚠️ Billing cycle close already in progress, skipping this execution');
+        return;
+      }
+
+      this.isClosing = true;
+      try {
+        await this.runCycleClose();
+      } catch (error) {
+        logger.error('❌ Error in scheduled billing cycle close:', error);
+      } finally {
+        this.isClosing = false;
+      }
+    }, {
+      scheduled: true,
+      timezone: 'Asia/Kolkata'
+    });
+
+    this.isRunning = true;
+    logger.info('✅ Billing cycle scheduler started');
+  }
+
+  stopScheduler() {
+    if (this.closeJob) {
+      this.closeJob.destroy();
+      this.isRunning = false;
+    }
+  }
+}
+
+module.exports = new BillingCycleService();
@@ -0,0 +1,186 @@
+// Location: backend/services/carriers/baseCarrierAdapter.js
+
+/**
+ * Base Carrier Adapter
+ * Defines the contract every courier integration must implement so routes and
+ * services can work with any carrier without knowing its wire format.
+ *
+ * All methods resolve to plain result objects of the form
+ * { success: boolean, error?: string, ... } - adapters never throw for carrier
+ * side failures, matching the behaviour of delhiveryService.
+ */
+class BaseCarrierAdapter {
+  /**
+   * @param {Object} config
+   * @param {string} config.code - Carrier code stored on Order.carrier (e.g. 'DELHIVERY')
+   * @param {string} config.name - Human readable carrier name
+   * @param {string[]} [config.serviceModes] - Supported shipping modes ('Surface', 'Express')
+   */
+  constructor({ code, name, serviceModes = ['Surface'] }) {
+    this.code = code;
+    this.name = name;
+    this.serviceModes = serviceModes;
+  }
+
+  notSupported(method) {
+    return Promise.resolve({
+      success: false,
+      error: `${this.name} does not support ${method}`
+    });
+  }
+
+  /**
+   * Check whether the carrier credentials/configuration are usable
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Create a single package shipment for an order
+   * @param {Object} order - Order document (or plain object with the same shape)
+   * @param {Object} options
+   * @param {Object} [options.pickupAddress] - Resolved pickup address, defaults to order.pickup_address
+   * @returns {Promise<{success: boolean, waybill?: string, shipment_data?: Object, warning?: string, error?: string, raw?: Object}>}
+   *   shipment_data is persisted as order.delhivery_data
+   */
+  async createShipment(order, options = {}) {
+    return this.notSupported('createShipment');
+  }
+
+  /**
+   * Create a multi package shipment
+   * @param {Object} mpsData - Multi package shipment data
+   */
+  async createMPSShipment(mpsData) {
+    return this.notSupported('createMPSShipment');
+  }
+
+  /**
+   * Track a shipment
+   * @param {string} waybill
+   * @param {string} [refIds] - Optional order reference
+   * @returns {Promise<{success: boolean, data?: Object, error?: string, errorType?: string, statusCode?: number}>}
+   *   data follows the ShipmentData[0].Shipment layout used across the tracking pipeline
+   */
+  async trackShipment(waybill, refIds = '') {
+    return this.notSupported('trackShipment');
+  }
+
+  /**
+   * Cancel a shipment
+   * @param {string} waybill
+   * @returns {Promise<{success: boolean, confirmed?: boolean, message?: string, data?: Object, error?: string}>}
+   *   confirmed is true only when the carrier acknowledged the cancellation
+   */
+  async cancelShipment(waybill) {
+    return this.notSupported('cancelShipment');
+  }
+
+  /**
+   * Check pincode serviceability
+   * @param {string} pincode
+   * @returns {Promise<{success: boolean, serviceable?: boolean, cash_on_delivery?: boolean, pickup_available?: boolean, pre_paid?: boolean, error?: string}>}
+   */
+  async checkServiceability(pincode) {
+    return this.notSupported('checkServiceability');
+  }
+
+  /**
+   * Resolve the billing zone (A-F) for a lane
+   * @param {Object} lane
+   * @param {string} lane.pickupPincode
+   * @param {string} lane.deliveryPincode
+   * @param {number} lane.chargeableWeight - Grams
+   * @param {string} [lane.shippingMode] - 'Surface' or 'Express'
+   * @param {string} [lane.paymentMode] - 'Prepaid' or 'COD'
+   * @returns {Promise<{success: boolean, zone?: string, error?: string}>}
+   */
+  async getZone(lane) {
+    return this.notSupported('getZone');
+  }
+
+  /**
+   * Schedule a pickup at a registered pickup location
+   * @param {Object} pickupData
+   * @param {string} pickupData.pickup_location - Registered warehouse name
+   * @param {string} pickupData.pickup_date - YYYY-MM-DD
+   * @param {string} pickupData.pickup_time - HH:mm:ss
+   * @param {number} [pickupData.expected_package_count]
+   * @returns {Promise<{success: boolean, pickup_id?: string, message?: string, error?: string}>}
+   */
+  async schedulePickup(pickupData) {
+    return this.notSupported('schedulePickup');
+  }
+
+  /**
+   * Fetch label data for a shipment
+   * @param {string} waybill
+   * @param {Object} [options]
+   * @returns {Promise<{success: boolean, json_data?: Object, error?: string}>}
+   *   json_data is consumed by labelRenderer
+   */
+  async generateLabel(waybill, options = {}) {
+    return this.notSupported('generateLabel');
+  }
+
+  /**
+   * Apply an NDR action (re-attempt / reschedule)
+   * @param {Object} ndrData - { waybill, action, reason, nslCode, attemptCount }
+   * @returns {Promise<{success: boolean, request_id?: string, message?: string, error?: string}>}
+   */
+  async takeNDRAction(ndrData) {
+    return this.notSupported('takeNDRAction');
+  }
+
+  /**
+   * Apply an NDR action to several shipments
+   * @param {Object} bulkData - { waybills, action, orders }
+   */
+  async bulkNDRAction(bulkData) {
+    return this.notSupported('bulkNDRAction');
+  }
+
+  /**
+   * Fetch the status of an asynchronous NDR action
+   * @param {string} requestId
+   */
+  async getNDRStatus(requestId) {
+    return this.notSupported('getNDRStatus');
+  }
+
+  /**
+   * Return a shipment to origin
+   * @param {string} waybill
+   * @param {string} reason
+   * @returns {Promise<{success: boolean, message?: string, error?: string}>}
+   */
+  async initiateRTO(waybill, reason) {
+    return this.notSupported('initiateRTO');
+  }
+
+  /**
+   * Map a carrier status string to an internal Order.status value
+   * @param {string} carrierStatus
+   * @param {string|null} [statusType]
+   * @returns {string|null}
+   */
+  mapStatus(carrierStatus, statusType = null) {
+    return null;
+  }
+
+  /**
+   * Public description used by the carriers listing endpoint
+   */
+  describe() {
+    return {
+      code: this.code,
+      name: this.name,
+      service_modes: this.serviceModes,
+      configured: this.isConfigured()
+    };
+  }
+}
+
+module.exports = BaseCarrierAdapter;
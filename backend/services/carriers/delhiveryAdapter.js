@@ -0,0 +1,239 @@
+// Location: backend/services/carriers/delhiveryAdapter.js
+const BaseCarrierAdapter = require('./baseCarrierAdapter');
+const delhiveryService = require('../delhiveryService');
+const logger = require('../../utils/logger');
+
+/**
+ * Delhivery Carrier Adapter
+ * Wraps delhiveryService behind the carrier contract. Payload building and
+ * AWB extraction that used to be repeated in every order route live here.
+ */
+class DelhiveryAdapter extends BaseCarrierAdapter {
+  constructor() {
+    super({
+      code: 'DELHIVERY',
+      name: 'Delhivery',
+      serviceModes: ['Surface', 'Express']
+    });
+  }
+
+  isConfigured() {
+    return delhiveryService.validateApiKey();
+  }
+
+  /**
+   * Build the order structure delhiveryService.createShipment expects
+   */
+  buildShipmentPayload(order, pickupAddress) {
+    const pickup = pickupAddress || order.pickup_address || {};
+    const dimensions = order.package_info?.dimensions || {};
+
+    return {
+      order_id: order.order_id,
+      customer_info: {
+        buyer_name: order.customer_info.buyer_name,
+        phone: order.customer_info.phone,
+        email: order.customer_info.email || ''
+      },
+      delivery_address: {
+        full_address: order.delivery_address.full_address,
+        pincode: order.delivery_address.pincode,
+        city: order.delivery_address.city,
+        state: order.delivery_address.state,
+        country: order.delivery_address.country || 'India',
+        address_type: order.delivery_address.address_type || 'home'
+      },
+      pickup_address: {
+        name: pickup.name || 'SHIPSARTHI C2C',
+        full_address: pickup.full_address,
+        city: pickup.city,
+        state: pickup.state,
+        pincode: pickup.pincode,
+        phone: pickup.phone,
+        country: pickup.country || 'India'
+      },
+      products: order.products.map(p => ({
+        product_name: p.product_name,
+        quantity: p.quantity,
+        hsn_code: p.hsn_code || '',
+        unit_price: p.unit_price || 0
+      })),
+      package_info: {
+        weight: order.package_info.weight, // Kept in kg - converted to grams in delhiveryService
+        dimensions: {
+          width: dimensions.width,
+          height: dimensions.height,
+          length: dimensions.length || dimensions.width
+        }
+      },
+      payment_info: {
+        payment_mode: order.payment_info.payment_mode,
+        cod_amount: order.payment_info.cod_amount || 0,
+        order_value: order.payment_info.order_value || order.payment_info.total_amount || 0
+      },
+      seller_info: {
+        name: order.seller_info?.name || 'SHIPSARTHI',
+        gst_number: order.seller_info?.gst_number || ''
+      },
+      invoice_number: order.invoice_number || `INV${order.order_id}`,
+      shipping_mode: order.shipping_mode || 'Surface',
+      address_type: order.delivery_address.address_type || 'home'
+    };
+  }
+
+  async createShipment(order, options = {}) {
+    try {
+      const payload = this.buildShipmentPayload(order, options.pickupAddress);
+
+      // Pre-fetch a waybill; Delhivery auto-generates one if this fails
+      const waybillResult = await delhiveryService.getWaybill(1);
+      if (waybillResult.success && waybillResult.waybills && waybillResult.waybills.length > 0) {
+        payload.waybill = waybillResult.waybills[0];
+      } else {
+        logger.warn('⚠️ Waybill pre-fetch failed, Delhivery will auto-generate', {
+          orderId: order.order_id,
+          error: waybillResult.error
+        });
+      }
+
+      const result = await delhiveryService.createShipment(payload);
+
+      // Delhivery may return an AWB even when the error flag is set
+      let waybill = null;
+      let packageData = null;
+
+      if (Array.isArray(result.packages) && result.packages.length > 0) {
+        packageData = result.packages[0];
+        waybill = packageData.waybill || packageData.AWB || packageData.wb || null;
+      }
+
+      if (!waybill && result.waybill) {
+        waybill = result.waybill;
+        packageData = packageData || { waybill, status: 'Success' };
+      }
+
+      if (!waybill && result.tracking_id) {
+        waybill = result.tracking_id;
+        packageData = packageData || { waybill, status: 'Success' };
+      }
+
+      if (!waybill) {
+        return {
+          success: false,
+          error: result.error || (result.success
+            ? 'AWB number not found in Delhivery response'
+            : 'Failed to generate AWB from Delhivery'),
+          raw: result
+        };
+      }
+
+      return {
+        success: true,
+        waybill,
+        warning: result.warning || null,
+        shipment_data: {
+          waybill,
+          package_id: packageData?.refnum || order.order_id,
+          upload_wbn: result.upload_wbn || null,
+          status: packageData?.status || 'Success',
+          serviceable: packageData?.serviceable,
+          sort_code: packageData?.sort_code,
+          remarks: packageData?.remarks || [],
+          cod_amount: packageData?.cod_amount || 0,
+          payment: packageData?.payment,
+          label_url: result.label_url || packageData?.label_url || null,
+          expected_delivery_date: result.expected_delivery || packageData?.expected_delivery_date || null
+        },
+        raw: result
+      };
+    } catch (error) {
+      logger.error('❌ Delhivery adapter createShipment error', {
+        orderId: order.order_id,
+        error: error.message
+      });
+      return {
+        success: false,
+        error: error.message || 'Failed to create shipment with Delhivery'
+      };
+    }
+  }
+
+  async createMPSShipment(mpsData) {
+    return delhiveryService.createMPSShipment(mpsData);
+  }
+
+  async trackShipment(waybill, refIds = '') {
+    return delhiveryService.trackShipment(waybill, refIds);
+  }
+
+  async cancelShipment(waybill) {
+    const result = await delhiveryService.cancelShipment(waybill);
+    if (!result.success) {
+      return result;
+    }
+
+    const response = result.data || {};
+    const mentionsCancelled = (value) => typeof value === 'string' && value.toLowerCase().includes('cancelled');
+
+    const confirmed = response.status === true ||
+      response.status === 'true' ||
+      response.status === 1 ||
+      mentionsCancelled(response.remark) ||
+      mentionsCancelled(response.message) ||
+      mentionsCancelled(result.message);
+
+    return {
+      success: true,
+      confirmed,
+      message: result.message || response.remark || response.message,
+      data: response
+    };
+  }
+
+  async checkServiceability(pincode) {
+    return delhiveryService.getServiceability(pincode);
+  }
+
+  async getZone({ pickupPincode, deliveryPincode, chargeableWeight, shippingMode = 'Surface', paymentMode = 'Prepaid' }) {
+    return delhiveryService.getZoneFromDelhivery(
+      pickupPincode,
+      deliveryPincode,
+      chargeableWeight,
+      shippingMode === 'Express' ? 'E' : 'S',
+      'Delivered',
+      paymentMode === 'COD' ? 'COD' : 'Pre-paid'
+    );
+  }
+
+  async schedulePickup(pickupData) {
+    return delhiveryService.schedulePickup(pickupData);
+  }
+
+  async generateLabel(waybill, options = {}) {
+    return delhiveryService.generateShippingLabel(waybill, options);
+  }
+
+  async takeNDRAction(ndrData) {
+    return delhiveryService.takeNDRAction(ndrData);
+  }
+
+  async bulkNDRAction(bulkData) {
+    return delhiveryService.bulkNDRAction(bulkData);
+  }
+
+  async getNDRStatus(requestId) {
+    return delhiveryService.getNDRStatus(requestId);
+  }
+
+  async initiateRTO(waybill, reason) {
+    return delhiveryService.initiateRTO(waybill, reason);
+  }
+
+  mapStatus(carrierStatus, statusType = null) {
+    // Required lazily - webhookService owns the Delhivery status tables
+    const webhookService = require('../webhookService');
+    return webhookService.mapDelhiveryStatus(carrierStatus, statusType);
+  }
+}
+
+module.exports = DelhiveryAdapter;
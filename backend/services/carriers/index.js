@@ -0,0 +1,76 @@
+// Location: backend/services/carriers/index.js
+// Carrier registry - the single entry point routes and services use to talk to couriers.
+//
+// Environment:
+//   ENABLED_CARRIERS - comma separated carrier codes (default: DELHIVERY)
+//   DEFAULT_CARRIER  - carrier assigned to new orders (default: first enabled carrier)
+//
+// To add a courier: implement BaseCarrierAdapter and register it in ADAPTERS.
+const DelhiveryAdapter = require('./delhiveryAdapter');
+const MockCarrierAdapter = require('./mockCarrierAdapter');
+
+const ADAPTERS = {
+  DELHIVERY: DelhiveryAdapter,
+  MOCK: MockCarrierAdapter
+};
+
+const instances = new Map();
+
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+const getEnabledCodes = () => {
+  const configured = (process.env.ENABLED_CARRIERS || 'DELHIVERY')
+    .split(',')
+    .map(normalizeCode)
+    .filter(code => ADAPTERS[code]);
+  return configured.length > 0 ? configured : ['DELHIVERY'];
+};
+
+const getDefaultCarrierCode = () => {
+  const enabled = getEnabledCodes();
+  const preferred = normalizeCode(process.env.DEFAULT_CARRIER);
+  return enabled.includes(preferred) ? preferred : enabled[0];
+};
+
+const isEnabled = (code) => getEnabledCodes().includes(normalizeCode(code));
+
+/**
+ * Get the adapter for a carrier code
+ * @param {string} [code] - Carrier code, defaults to DEFAULT_CARRIER
+ * @returns {BaseCarrierAdapter}
+ */
+const getCarrier = (code) => {
+  const normalized = normalizeCode(code) || getDefaultCarrierCode();
+  if (!ADAPTERS[normalized]) {
+    throw new Error(`Unknown carrier: ${code}`);
+  }
+
+  if (!instances.has(normalized)) {
+    instances.set(normalized, new ADAPTERS[normalized]());
+  }
+  return instances.get(normalized);
+};
+
+/**
+ * Get the adapter that owns an order's shipment.
+ * Orders created before multi-carrier support have no carrier and belong to Delhivery.
+ */
+const getCarrierForOrder = (order) => getCarrier(order?.carrier || 'DELHIVERY');
+
+/**
+ * Enabled carriers for selection in the UI / API
+ */
+const listCarriers = () => getEnabledCodes().map(code => ({
+  ...getCarrier(code).describe(),
+  is_default: code === getDefaultCarrierCode()
+}));
+
+module.exports = {
+  getCarrier,
+  getCarrierForOrder,
+  getDefaultCarrierCode,
+  getEnabledCodes,
+  isEnabled,
+  listCarriers,
+  normalizeCode
+};
@@ -0,0 +1,356 @@
+// Location: backend/services/carriers/mockCarrierAdapter.js
+const BaseCarrierAdapter = require('./baseCarrierAdapter');
+const logger = require('../../utils/logger');
+
+// Ordered forward lifecycle - advanceShipment() walks through these
+const FORWARD_LIFECYCLE = [
+  'Manifested',
+  'Picked Up',
+  'In Transit',
+  'Out For Delivery',
+  'Delivered'
+];
+
+// Mock carrier status -> internal Order.status
+const STATUS_MAP = {
+  'Manifested': 'ready_to_ship',
+  'Pickup Scheduled': 'pickups_manifests',
+  'Picked Up': 'in_transit',
+  'In Transit': 'in_transit',
+  'Out For Delivery': 'out_for_delivery',
+  'Delivered': 'delivered',
+  'Undelivered': 'ndr',
+  'RTO Initiated': 'rto',
+  'RTO Delivered': 'rto',
+  'Cancelled': 'cancelled',
+  'Lost': 'lost'
+};
+
+const TERMINAL_STATUSES = ['Delivered', 'RTO Delivered', 'Cancelled', 'Lost'];
+
+const parseList = (value) => (value || '')
+  .split(',')
+  .map(item => item.trim())
+  .filter(Boolean);
+
+/**
+ * Mock Carrier Adapter
+ * Offline, in-memory courier used for local development and lifecycle testing.
+ * Shipments live only for the lifetime of the process. Tracking and label
+ * payloads mirror the Delhivery layout so the tracking pipeline, label
+ * renderer and frontend parsers work unchanged.
+ *
+ * Environment:
+ *   MOCK_CARRIER_UNSERVICEABLE_PINCODES - comma separated pincodes to reject
+ *   MOCK_CARRIER_NON_COD_PINCODES       - comma separated pincodes without COD
+ */
+class MockCarrierAdapter extends BaseCarrierAdapter {
+  constructor() {
+    super({
+      code: 'MOCK',
+      name: 'Mock Carrier',
+      serviceModes: ['Surface', 'Express']
+    });
+    this.shipments = new Map();
+    this.sequence = 0;
+  }
+
+  generateWaybill() {
+    this.sequence += 1;
+    return `MOCK${Date.now().toString().slice(-8)}${String(this.sequence).padStart(4, '0')}`;
+  }
+
+  recordScan(shipment, status, instructions = '') {
+    const scan = {
+      status,
+      status_date_time: new Date().toISOString(),
+      location: status === 'Delivered' || status === 'Out For Delivery'
+        ? shipment.destination
+        : shipment.origin,
+      instructions
+    };
+    shipment.status = status;
+    shipment.scans.push(scan);
+    return scan;
+  }
+
+  async createShipment(order, options = {}) {
+    const pickup = options.pickupAddress || order.pickup_address || {};
+    const serviceability = await this.checkServiceability(order.delivery_address?.pincode);
+
+    if (!serviceability.serviceable) {
+      return {
+        success: false,
+        error: `Delivery pincode ${order.delivery_address?.pincode} is not serviceable by ${this.name}`
+      };
+    }
+
+    const waybill = this.generateWaybill();
+    const shipment = {
+      waybill,
+      order_id: order.order_id,
+      reference_id: order.reference_id || '',
+      origin: pickup.city || '',
+      destination: order.delivery_address.city,
+      consignee: order.customer_info.buyer_name,
+      phone: order.customer_info.phone,
+      address: order.delivery_address.full_address,
+      pincode: order.delivery_address.pincode,
+      state: order.delivery_address.state,
+      payment_mode: order.payment_info.payment_mode,
+      cod_amount: order.payment_info.cod_amount || 0,
+      weight: order.package_info?.weight || 0,
+      status: null,
+      scans: []
+    };
+    this.recordScan(shipment, 'Manifested', 'Shipment created');
+    this.shipments.set(waybill, shipment);
+
+    const expectedDelivery = new Date();
+    expectedDelivery.setDate(expectedDelivery.getDate() + (order.shipping_mode === 'Express' ? 2 : 5));
+
+    logger.info('🧪 Mock carrier shipment created', { orderId: order.order_id, waybill });
+
+    return {
+      success: true,
+      waybill,
+      shipment_data: {
+        waybill,
+        package_id: order.order_id,
+        status: 'Success',
+        serviceable: true,
+        remarks: [],
+        cod_amount: shipment.cod_amount,
+        payment: shipment.payment_mode,
+        label_url: null,
+        expected_delivery_date: expectedDelivery
+      },
+      raw: { waybill, status: 'Success' }
+    };
+  }
+
+  async trackShipment(waybill) {
+    const shipment = this.shipments.get(waybill);
+    if (!shipment) {
+      return {
+        success: false,
+        error: 'Waybill not found - mock shipments do not survive a restart',
+        errorType: 'WAYBILL_NOT_FOUND',
+        statusCode: 404,
+        waybill
+      };
+    }
+
+    const latest = shipment.scans[shipment.scans.length - 1];
+    return {
+      success: true,
+      waybill,
+      attempts: 1,
+      data: {
+        ShipmentData: [{
+          Shipment: {
+            AWB: waybill,
+            ReferenceNo: shipment.order_id,
+            Origin: shipment.origin,
+            Destination: shipment.destination,
+            Consignee: { Name: shipment.consignee, City: shipment.destination, PinCode: shipment.pincode },
+            Status: {
+              Status: latest.status,
+              StatusDateTime: latest.status_date_time,
+              StatusLocation: latest.location,
+              Instructions: latest.instructions
+            },
+            Scans: shipment.scans.map(scan => ({
+              ScanDetail: {
+                Scan: scan.status,
+                ScanDateTime: scan.status_date_time,
+                ScannedLocation: scan.location,
+                Instructions: scan.instructions
+              }
+            }))
+          }
+        }]
+      }
+    };
+  }
+
+  async cancelShipment(waybill) {
+    const shipment = this.shipments.get(waybill);
+    if (!shipment) {
+      return { success: false, error: 'Waybill not found' };
+    }
+    if (TERMINAL_STATUSES.includes(shipment.status)) {
+      return { success: false, error: `Shipment already ${shipment.status.toLowerCase()}` };
+    }
+
+    this.recordScan(shipment, 'Cancelled', 'Cancelled by seller');
+    return {
+      success: true,
+      confirmed: true,
+      message: 'Shipment cancelled',
+      data: { waybill, status: true, remark: 'Shipment cancelled' }
+    };
+  }
+
+  async checkServiceability(pincode) {
+    const normalized = String(pincode || '').trim();
+    if (!/^\d{6}$/.test(normalized)) {
+      return { success: false, serviceable: false, error: 'Invalid pincode' };
+    }
+
+    const serviceable = !parseList(process.env.MOCK_CARRIER_UNSERVICEABLE_PINCODES).includes(normalized);
+    const codAvailable = serviceable && !parseList(process.env.MOCK_CARRIER_NON_COD_PINCODES).includes(normalized);
+
+    return {
+      success: true,
+      serviceable,
+      pre_paid: serviceable,
+      cash_on_delivery: codAvailable,
+      pickup_available: serviceable
+    };
+  }
+
+  /**
+   * Approximate zones from pincode prefixes:
+   * same sorting district -> A, same region -> B, same zone digit -> C,
+   * North-East / J&K -> E, everything else -> D
+   */
+  async getZone({ pickupPincode, deliveryPincode }) {
+    const from = String(pickupPincode || '');
+    const to = String(deliveryPincode || '');
+    if (!/^\d{6}$/.test(from) || !/^\d{6}$/.test(to)) {
+      return { success: false, zone: null, error: 'Invalid pincode' };
+    }
+
+    let zone = 'D';
+    if (['78', '79', '18', '19'].includes(to.slice(0, 2))) {
+      zone = 'E';
+    } else if (from.slice(0, 3) === to.slice(0, 3)) {
+      zone = 'A';
+    } else if (from.slice(0, 2) === to.slice(0, 2)) {
+      zone = 'B';
+    } else if (from[0] === to[0]) {
+      zone = 'C';
+    }
+
+    return { success: true, zone, raw_zone: zone };
+  }
+
+  async schedulePickup(pickupData) {
+    const pickupId = `MOCKPU${Date.now()}`;
+    for (const shipment of this.shipments.values()) {
+      if (shipment.status === 'Manifested') {
+        this.recordScan(shipment, 'Pickup Scheduled', `Pickup ${pickupId} on ${pickupData.pickup_date}`);
+      }
+    }
+    return {
+      success: true,
+      pickup_id: pickupId,
+      message: 'Pickup scheduled successfully',
+      data: { pickup_id: pickupId, ...pickupData }
+    };
+  }
+
+  async generateLabel(waybill) {
+    const shipment = this.shipments.get(waybill);
+    if (!shipment) {
+      return { success: false, error: 'Waybill not found' };
+    }
+
+    return {
+      success: true,
+      json_data: {
+        packages_found: 1,
+        packages: [{
+          Wbn: waybill,
+          Oid: shipment.order_id,
+          Name: shipment.consignee,
+          Cnph: shipment.phone,
+          Address: shipment.address,
+          Pin: shipment.pincode,
+          'Destination city': shipment.destination,
+          'Customer state': shipment.state,
+          Pt: shipment.payment_mode,
+          Cod: shipment.cod_amount,
+          Weight: shipment.weight
+        }]
+      }
+    };
+  }
+
+  async takeNDRAction(ndrData) {
+    const shipment = this.shipments.get(ndrData.waybill);
+    if (!shipment) {
+      return { success: false, error: 'Waybill not found', waybill: ndrData.waybill };
+    }
+
+    this.recordScan(shipment, 'Out For Delivery', `${ndrData.action} requested`);
+    const requestId = `MOCKUPL${Date.now()}`;
+    return {
+      success: true,
+      request_id: requestId,
+      message: `${ndrData.action} initiated successfully`,
+      waybill: ndrData.waybill,
+      action: ndrData.action
+    };
+  }
+
+  async bulkNDRAction(bulkData) {
+    const results = [];
+    for (const waybill of bulkData.waybills || []) {
+      results.push(await this.takeNDRAction({ waybill, action: bulkData.action }));
+    }
+    return {
+      success: results.every(r => r.success),
+      request_id: `MOCKUPL${Date.now()}`,
+      results
+    };
+  }
+
+  async getNDRStatus(requestId) {
+    return { success: true, status: 'Completed', data: { request_id: requestId, status: 'Completed' } };
+  }
+
+  async initiateRTO(waybill, reason) {
+    const shipment = this.shipments.get(waybill);
+    if (!shipment) {
+      return { success: false, error: 'Waybill not found' };
+    }
+    this.recordScan(shipment, 'RTO Initiated', reason || 'RTO requested');
+    return { success: true, message: 'RTO initiated successfully' };
+  }
+
+  mapStatus(carrierStatus) {
+    return STATUS_MAP[String(carrierStatus || '').trim()] || null;
+  }
+
+  /**
+   * Move a mock shipment to its next lifecycle status, or to an explicit status
+   * @param {string} waybill
+   * @param {string} [status] - Any key of STATUS_MAP
+   * @returns {{success: boolean, status?: string, error?: string}}
+   */
+  advanceShipment(waybill, status = null) {
+    const shipment = this.shipments.get(waybill);
+    if (!shipment) {
+      return { success: false, error: 'Waybill not found' };
+    }
+
+    let nextStatus = status;
+    if (!nextStatus) {
+      const index = FORWARD_LIFECYCLE.indexOf(shipment.status);
+      nextStatus = FORWARD_LIFECYCLE[Math.min(index + 1, FORWARD_LIFECYCLE.length - 1)] || FORWARD_LIFECYCLE[1];
+    }
+
+    if (!STATUS_MAP[nextStatus]) {
+      return { success: false, error: `Unknown mock status: ${nextStatus}` };
+    }
+
+    this.recordScan(shipment, nextStatus, `Simulated ${nextStatus}`);
+    return { success: true, waybill, status: nextStatus, mapped_status: STATUS_MAP[nextStatus] };
+  }
+}
+
+MockCarrierAdapter.STATUSES = Object.keys(STATUS_MAP);
+
+module.exports = MockCarrierAdapter;
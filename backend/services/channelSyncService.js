@@ -0,0 +1,485 @@
+// Location: backend/services/channelSyncService.js
+const cron = require('node-cron');
+const ChannelConnection = require('../models/ChannelConnection');
+const Order = require('../models/Order');
+const Package = require('../models/Package');
+const Customer = require('../models/Customer');
+const channels = require('./channels');
+const carriers = require('./carriers');
+const trackingPageService = require('./trackingPageService');
+const logger = require('../utils/logger');
+
+const MAX_PAGES_PER_SYNC = 20;
+const MAX_SYNC_ERRORS = 50;
+// A sync lock older than this is assumed abandoned (process restarted mid-sync)
+const SYNC_LOCK_TIMEOUT_MS = 30 * 60 * 1000;
+const MAX_FULFILMENT_ATTEMPTS = 5;
+const FULFILMENT_RETRY_BATCH_SIZE = 50;
+
+const normalizePhone = (value) => String(value || '').replace(/\D/g, '').slice(-10);
+
+const roundWeight = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Channel Sync Service
+ * Pulls unfulfilled orders from connected sales-channel stores into Order
+ * (channel order id in reference_id) and pushes AWB + tracking back to the
+ * store once a waybill is assigned.
+ *
+ * Weight and dimensions come from saved Package presets: an item's SKU is
+ * resolved through the connection's sku_mappings, then a Package with the
+ * same SKU, then the connection's default package. Orders with an item that
+ * resolves to no package are not imported and are listed in last_sync_errors.
+ */
+class ChannelSyncService {
+  constructor() {
+    this.isRunning = false;
+    this.isRunInProgress = false;
+  }
+
+  /**
+   * Start the sync cron job (called from server.js after the DB connects)
+   */
+  startScheduler() {
+    if (this.isRunning) {
+      return;
+    }
+
+    this.job = cron.schedule('*/5 * * * *', async () => {
+      if (this.isRunInProgress) {
+        return;
+      }
+
+      this.isRunInProgress = true;
+      try {
+        await this.runDueSyncs();
+        await this.retryFailedFulfilments();
+      } catch (error) {
+        logger.error('❌ Channel sync run failed', { error: error.message });
+      } finally {
+        this.isRunInProgress = false;
+      }
+    }, {
+      scheduled: true,
+      timezone: 'Asia/Kolkata'
+    });
+
+    this.isRunning = true;
+    logger.info('✅ Channel sync scheduler started');
+  }
+
+  stopScheduler() {
+    if (this.job) {
+      this.job.destroy();
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Sync every active auto-sync connection whose interval has elapsed
+   */
+  async runDueSyncs() {
+    const now = Date.now();
+    const connections = await ChannelConnection.find({
+      is_active: true,
+      auto_sync: true,
+      channel: { $in: channels.getEnabledCodes() }
+    });
+
+    const due = connections.filter(connection => !connection.last_synced_at ||
+      connection.last_synced_at.getTime() + connection.sync_interval_minutes * 60 * 1000 <= now);
+
+    for (const connection of due) {
+      await this.syncConnection(connection);
+    }
+    return due.length;
+  }
+
+  /**
+   * Pull unfulfilled orders from the store and import the new ones.
+   * Never throws; concurrent runs for the same connection are skipped.
+   * @param {Object} connection - ChannelConnection document
+   * @returns {Promise<{success: boolean, skipped?: boolean, summary?: Object, errors?: Object[], error?: string}>}
+   */
+  async syncConnection(connection) {
+    const startedAt = new Date();
+    const locked = await ChannelConnection.findOneAndUpdate(
+      {
+        _id: connection._id,
+        $or: [
+          { sync_in_progress_since: null },
+          { sync_in_progress_since: { $lt: new Date(startedAt.getTime() - SYNC_LOCK_TIMEOUT_MS) } }
+        ]
+      },
+      { $set: { sync_in_progress_since: startedAt } },
+      { new: true }
+    );
+
+    if (!locked) {
+      return { success: false, skipped: true, error: 'A sync is already running for this store' };
+    }
+
+    const summary = { fetched: 0, imported: 0, skipped: 0, failed: 0 };
+    const errors = [];
+    let fetchError = null;
+
+    try {
+      const connector = channels.getConnector(locked.channel);
+      // After a clean run only newer orders are fetched; otherwise the full
+      // open set is fetched again so previously failed orders are retried
+      const since = locked.last_sync_status === 'succeeded' ? locked.last_synced_at : undefined;
+      let cursor;
+
+      for (let page = 0; page < MAX_PAGES_PER_SYNC; page++) {
+        const result = await connector.fetchOrders(locked, { since, cursor });
+        if (!result.success) {
+          fetchError = result.error || `${connector.name} order fetch failed`;
+          break;
+        }
+
+        for (const channelOrder of result.orders || []) {
+          summary.fetched++;
+          const outcome = await this.importOrder(locked, channelOrder);
+          summary[outcome.status]++;
+          if (outcome.status === 'failed' && errors.length < MAX_SYNC_ERRORS) {
+            errors.push({
+              channel_order_id: channelOrder.channel_order_id,
+              channel_order_number: channelOrder.channel_order_number,
+              error: outcome.error
+            });
+          }
+        }
+
+        if (!result.next_cursor) {
+          break;
+        }
+        cursor = result.next_cursor;
+      }
+    } catch (error) {
+      fetchError = error.message;
+    }
+
+    if (fetchError) {
+      errors.unshift({ error: fetchError });
+    }
+
+    const status = fetchError ? 'failed' : (summary.failed > 0 ? 'partial' : 'succeeded');
+    await ChannelConnection.updateOne(
+      { _id: locked._id },
+      {
+        $set: {
+          sync_in_progress_since: null,
+          last_synced_at: startedAt,
+          last_sync_status: status,
+          last_sync_summary: summary,
+          last_sync_errors: errors
+        },
+        $inc: { 'stats.orders_imported': summary.imported }
+      }
+    );
+
+    logger.info(status === 'succeeded' ? '✅ Channel sync completed' : '⚠️ Channel sync completed with errors', {
+      connectionId: locked._id,
+      channel: locked.channel,
+      userId: locked.user_id,
+      status,
+      ...summary,
+      error: fetchError
+    });
+
+    return { success: !fetchError, summary, errors };
+  }
+
+  /**
+   * Import one normalized store order
+   * @returns {Promise<{status: 'imported'|'skipped'|'failed', order?: Object, error?: string}>}
+   */
+  async importOrder(connection, channelOrder) {
+    const channelOrderId = String(channelOrder.channel_order_id || '').trim();
+    if (!channelOrderId) {
+      return { status: 'failed', error: 'Store order has no id' };
+    }
+
+    const existing = await Order.exists({
+      'channel_info.connection_id': connection._id,
+      'channel_info.channel_order_id': channelOrderId
+    });
+    if (existing) {
+      return { status: 'skipped' };
+    }
+
+    const packageInfo = await this.resolvePackageInfo(connection, channelOrder.line_items || []);
+    if (!packageInfo.success) {
+      return { status: 'failed', error: packageInfo.error };
+    }
+
+    // Lazy require - routes/orders.js pulls in most of the app
+    const { createSingleOrder } = require('../routes/orders');
+    const result = await createSingleOrder(
+      this.buildOrderData(connection, channelOrder, packageInfo),
+      { _id: connection.user_id },
+      false,
+      {
+        channelInfo: {
+          connection_id: connection._id,
+          channel: connection.channel,
+          channel_order_id: channelOrderId,
+          channel_order_number: channelOrder.channel_order_number
+        }
+      }
+    );
+
+    if (!result.success) {
+      // Another sync imported it between the check and the insert
+      if (/E11000/.test(result.error || '')) {
+        return { status: 'skipped' };
+      }
+      return { status: 'failed', error: result.error };
+    }
+
+    await this.upsertCustomer(result.order);
+    return { status: 'imported', order: result.order };
+  }
+
+  /**
+   * Map store line items to Package presets and derive the shipment weight
+   * (sum of preset weight x quantity) and dimensions (largest preset)
+   */
+  async resolvePackageInfo(connection, lineItems) {
+    if (lineItems.length === 0) {
+      return { success: false, error: 'Store order has no line items' };
+    }
+
+    const skus = [...new Set(lineItems.map(item => String(item.sku || '').trim()).filter(Boolean))];
+    const packageIds = new Set();
+    skus.forEach(sku => {
+      const mapped = connection.findPackageIdForSku(sku);
+      if (mapped) packageIds.add(String(mapped));
+    });
+    if (connection.defaults?.package_id) {
+      packageIds.add(String(connection.defaults.package_id));
+    }
+
+    const packages = await Package.find({
+      user_id: connection.user_id,
+      is_active: { $ne: false },
+      $or: [{ _id: { $in: [...packageIds] } }, { sku: { $in: skus } }]
+    }).lean();
+    const byId = new Map(packages.map(pkg => [String(pkg._id), pkg]));
+    const defaultPackage = connection.defaults?.package_id ? byId.get(String(connection.defaults.package_id)) : null;
+
+    let weight = 0;
+    let largest = null;
+    for (const item of lineItems) {
+      const sku = String(item.sku || '').trim();
+      const mappedId = sku ? connection.findPackageIdForSku(sku) : null;
+      const pkg = (mappedId && byId.get(String(mappedId))) ||
+        (sku && packages.find(p => p.sku === sku)) ||
+        defaultPackage;
+
+      if (!pkg) {
+        return {
+          success: false,
+          error: sku ? `No package preset mapped for SKU ${sku}` : `Item "${item.name}" has no SKU and no default package is set`
+        };
+      }
+
+      weight += (pkg.weight || 0) * (item.quantity || 1);
+      const volume = pkg.dimensions.length * pkg.dimensions.width * pkg.dimensions.height;
+      if (!largest || volume > largest.volume) {
+        largest = { volume, dimensions: pkg.dimensions };
+      }
+    }
+
+    return {
+      success: true,
+      weight: roundWeight(weight),
+      dimensions: {
+        length: largest.dimensions.length,
+        width: largest.dimensions.width,
+        height: largest.dimensions.height
+      }
+    };
+  }
+
+  /**
+   * Build the createSingleOrder() payload for a normalized store order
+   */
+  buildOrderData(connection, channelOrder, packageInfo) {
+    const address = channelOrder.shipping_address || {};
+    const payment = channelOrder.payment || {};
+    const lineItems = channelOrder.line_items || [];
+    const orderValue = lineItems.reduce((sum, item) => sum + (item.unit_price || 0) * (item.quantity || 1), 0);
+    const total = payment.total ?? orderValue;
+    const isCOD = payment.mode === 'COD';
+
+    return {
+      order_date: channelOrder.order_date,
+      reference_id: String(channelOrder.channel_order_id),
+      customer_info: {
+        buyer_name: channelOrder.customer?.name,
+        phone: normalizePhone(channelOrder.customer?.phone),
+        email: channelOrder.customer?.email
+      },
+      delivery_address: {
+        address_line_1: address.address_line_1,
+        address_line_2: address.address_line_2,
+        city: address.city,
+        state: address.state,
+        pincode: String(address.pincode || '').trim(),
+        country: address.country || 'India'
+      },
+      pickup_address: {
+        warehouse_id: connection.defaults?.warehouse_id
+      },
+      products: lineItems.map(item => ({
+        product_name: item.name || item.sku,
+        quantity: item.quantity || 1,
+        unit_price: item.unit_price || 0,
+        hsn_code: item.hsn_code,
+        sku: item.sku,
+        discount: item.discount || 0,
+        tax: item.tax || 0
+      })),
+      package_info: {
+        package_type: 'Single Package (B2C)',
+        weight: packageInfo.weight,
+        dimensions: packageInfo.dimensions,
+        number_of_boxes: 1
+      },
+      payment_info: {
+        payment_mode: isCOD ? 'COD' : 'Prepaid',
+        order_value: orderValue,
+        total_amount: total,
+        grand_total: total,
+        cod_amount: isCOD ? (payment.cod_amount || total) : 0
+      },
+      shipping_mode: connection.defaults?.shipping_mode || 'Surface'
+    };
+  }
+
+  async upsertCustomer(order) {
+    try {
+      const customer = await Customer.findOrCreate(order.user_id, {
+        name: order.customer_info.buyer_name,
+        phone: order.customer_info.phone,
+        email: order.customer_info.email,
+        address: {
+          address_line_1: order.delivery_address.address_line_1,
+          address_line_2: order.delivery_address.address_line_2,
+          full_address: order.delivery_address.full_address,
+          city: order.delivery_address.city,
+          state: order.delivery_address.state,
+          pincode: order.delivery_address.pincode,
+          country: order.delivery_address.country,
+          address_type: order.delivery_address.address_type
+        },
+        channel: 'import'
+      });
+      await customer.updateOrderStats(order.payment_info.total_amount);
+    } catch (error) {
+      logger.warn('⚠️ Could not create customer for channel order', {
+        orderId: order.order_id,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Push the order's AWB and tracking link to its store.
+   * Called from the Order post-save hook when an AWB is assigned; never throws.
+   * @param {Object} order - Order document with channel_info
+   * @param {Object} [options]
+   * @param {boolean} [options.force] - Push even if already pushed / attempts exhausted
+   * @returns {Promise<{success: boolean, skipped?: boolean, fulfilment_id?: string, error?: string}>}
+   */
+  async pushFulfilment(order, { force = false } = {}) {
+    try {
+      const awb = order.delhivery_data?.waybill;
+      const channelInfo = order.channel_info || {};
+      if (!channelInfo.connection_id || !awb) {
+        return { success: false, skipped: true, error: 'Order has no store link or AWB' };
+      }
+      if (!force && channelInfo.fulfilment_status === 'pushed') {
+        return { success: true, skipped: true, fulfilment_id: channelInfo.fulfilment_id };
+      }
+
+      const connection = await ChannelConnection.findOne({ _id: channelInfo.connection_id, user_id: order.user_id });
+      if (!connection || !connection.is_active || (!connection.push_fulfilment && !force)) {
+        return { success: false, skipped: true, error: 'Store connection is inactive or fulfilment push is disabled' };
+      }
+
+      const connector = channels.getConnector(connection.channel);
+      const result = await connector.pushFulfilment(connection, {
+        channel_order_id: channelInfo.channel_order_id,
+        awb,
+        carrier: carriers.getCarrierForOrder(order).name,
+        // The seller's branded tracking page
+        tracking_url: await trackingPageService.getTrackingUrlForOrder(order)
+      });
+
+      // updateOne so the push does not re-run the Order save hooks
+      await Order.updateOne(
+        { _id: order._id },
+        {
+          $set: result.success
+            ? {
+              'channel_info.fulfilment_status': 'pushed',
+              'channel_info.fulfilment_id': result.fulfilment_id,
+              'channel_info.fulfilment_pushed_at': new Date(),
+              'channel_info.fulfilment_error': null
+            }
+            : {
+              'channel_info.fulfilment_status': 'failed',
+              'channel_info.fulfilment_error': result.error
+            },
+          $inc: { 'channel_info.fulfilment_attempts': 1 }
+        }
+      );
+
+      if (result.success) {
+        await ChannelConnection.updateOne({ _id: connection._id }, { $inc: { 'stats.fulfilments_pushed': 1 } });
+        logger.info('✅ Fulfilment pushed to store', {
+          orderId: order.order_id,
+          channel: connection.channel,
+          channelOrderId: channelInfo.channel_order_id,
+          awb
+        });
+      } else {
+        logger.warn('⚠️ Fulfilment push to store failed', {
+          orderId: order.order_id,
+          channel: connection.channel,
+          channelOrderId: channelInfo.channel_order_id,
+          error: result.error
+        });
+      }
+
+      return result;
+    } catch (error) {
+      logger.error('❌ Fulfilment push error', { orderId: order?.order_id, error: error.message });
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Retry failed fulfilment pushes until MAX_FULFILMENT_ATTEMPTS
+   */
+  async retryFailedFulfilments() {
+    const orders = await Order.find({
+      'channel_info.fulfilment_status': 'failed',
+      'channel_info.fulfilment_attempts': { $lt: MAX_FULFILMENT_ATTEMPTS },
+      'delhivery_data.waybill': { $exists: true, $ne: null }
+    })
+      .select('order_id user_id carrier delhivery_data.waybill channel_info')
+      .limit(FULFILMENT_RETRY_BATCH_SIZE);
+
+    for (const order of orders) {
+      await this.pushFulfilment(order);
+    }
+    return orders.length;
+  }
+}
+
+ChannelSyncService.MAX_FULFILMENT_ATTEMPTS = MAX_FULFILMENT_ATTEMPTS;
+
+module.exports = new ChannelSyncService();
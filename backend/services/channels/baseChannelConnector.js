@@ -0,0 +1,106 @@
+// Location: backend/services/channels/baseChannelConnector.js
+
+/**
+ * Base Channel Connector
+ * Defines the contract every sales-channel integration (Shopify, WooCommerce, ...)
+ * must implement so the sync service can pull orders and push fulfilments
+ * without knowing the store's wire format.
+ *
+ * Connectors receive the ChannelConnection document and read their settings
+ * from connection.credentials. Like carrier adapters, all methods resolve to
+ * plain result objects { success: boolean, error?: string, ... } and never
+ * throw for store side failures.
+ *
+ * Normalized order shape returned by fetchOrders():
+ * {
+ *   channel_order_id: string,        // stable id in the store, stored in Order.reference_id
+ *   channel_order_number: string,    // human readable number shown to the seller
+ *   order_date: Date,
+ *   customer: { name, phone, email },
+ *   shipping_address: { address_line_1, address_line_2, city, state, pincode, country },
+ *   payment: { mode: 'Prepaid' | 'COD', total, cod_amount },
+ *   line_items: [{ sku, name, quantity, unit_price, tax, discount, hsn_code }]
+ * }
+ */
+class BaseChannelConnector {
+  /**
+   * @param {Object} config
+   * @param {string} config.code - Channel code stored on ChannelConnection.channel (e.g. 'SHOPIFY')
+   * @param {string} config.name - Human readable channel name
+   * @param {Array<{key: string, label: string, secret?: boolean}>} [config.credentialFields]
+   *   Settings the seller enters when connecting a store
+   */
+  constructor({ code, name, credentialFields = [] }) {
+    this.code = code;
+    this.name = name;
+    this.credentialFields = credentialFields;
+  }
+
+  notSupported(method) {
+    return Promise.resolve({
+      success: false,
+      error: `${this.name} does not support ${method}`
+    });
+  }
+
+  /**
+   * Credential keys that are missing from a connection
+   * @param {Object} credentials
+   * @returns {string[]}
+   */
+  missingCredentials(credentials = {}) {
+    return this.credentialFields
+      .filter(field => !String(credentials?.[field.key] ?? '').trim())
+      .map(field => field.key);
+  }
+
+  /**
+   * Verify the store is reachable with the connection's credentials
+   * @param {Object} connection - ChannelConnection document
+   * @returns {Promise<{success: boolean, store_name?: string, error?: string}>}
+   */
+  async testConnection(connection) {
+    return this.notSupported('testConnection');
+  }
+
+  /**
+   * Fetch a page of unfulfilled orders
+   * @param {Object} connection - ChannelConnection document
+   * @param {Object} options
+   * @param {Date} [options.since] - Only orders created/updated after this time
+   * @param {string} [options.cursor] - Page cursor returned by the previous call
+   * @param {number} [options.limit] - Page size
+   * @returns {Promise<{success: boolean, orders?: Object[], next_cursor?: string|null, error?: string}>}
+   *   orders follow the normalized shape documented above; next_cursor is null on the last page
+   */
+  async fetchOrders(connection, options = {}) {
+    return this.notSupported('fetchOrders');
+  }
+
+  /**
+   * Mark a store order fulfilled with the shipment's tracking details
+   * @param {Object} connection - ChannelConnection document
+   * @param {Object} fulfilment
+   * @param {string} fulfilment.channel_order_id
+   * @param {string} fulfilment.awb
+   * @param {string} fulfilment.carrier - Carrier name shown to the buyer
+   * @param {string} fulfilment.tracking_url
+   * @returns {Promise<{success: boolean, fulfilment_id?: string, error?: string}>}
+   */
+  async pushFulfilment(connection, fulfilment) {
+    return this.notSupported('pushFulfilment');
+  }
+
+  /**
+   * Public description used by the channels listing endpoint
+   */
+  describe() {
+    return {
+      code: this.code,
+      name: this.name,
+      credential_fields: this.credentialFields
+    };
+  }
+}
+
+module.exports = BaseChannelConnector;
@@ -0,0 +1,199 @@
+// Location: backend/services/channels/fakeStoreConnector.js
+const BaseChannelConnector = require('./baseChannelConnector');
+const logger = require('../../utils/logger');
+
+const PAGE_SIZE = 50;
+const INVALID_TOKEN = 'invalid';
+
+const SAMPLE_BUYERS = [
+  { name: 'Aarav Sharma', phone: '9876543210', city: 'New Delhi', state: 'Delhi', pincode: '110001' },
+  { name: 'Priya Nair', phone: '9123456780', city: 'Bengaluru', state: 'Karnataka', pincode: '560001' },
+  { name: 'Rohan Mehta', phone: '9988776655', city: 'Mumbai', state: 'Maharashtra', pincode: '400001' },
+  { name: 'Sneha Iyer', phone: '8765432109', city: 'Chennai', state: 'Tamil Nadu', pincode: '600001' }
+];
+
+/**
+ * Fake Store Connector
+ * Offline, in-memory store used for local development and tests of the
+ * channel sync pipeline. Stores are keyed by credentials.store_id and live
+ * only for the lifetime of the process.
+ *
+ * An access_token of "invalid" simulates revoked credentials.
+ */
+class FakeStoreConnector extends BaseChannelConnector {
+  constructor() {
+    super({
+      code: 'FAKE_STORE',
+      name: 'Fake Store',
+      credentialFields: [
+        { key: 'store_id', label: 'Store ID' },
+        { key: 'access_token', label: 'Access Token', secret: true }
+      ]
+    });
+    this.stores = new Map();
+  }
+
+  getStore(storeId) {
+    if (!this.stores.has(storeId)) {
+      this.stores.set(storeId, { orders: [], fulfilments: [], sequence: 1000 });
+    }
+    return this.stores.get(storeId);
+  }
+
+  authenticate(connection) {
+    const credentials = connection?.credentials || {};
+    const missing = this.missingCredentials(credentials);
+    if (missing.length > 0) {
+      return { success: false, error: `Missing credentials: ${missing.join(', ')}` };
+    }
+    if (credentials.access_token === INVALID_TOKEN) {
+      return { success: false, error: 'Fake Store rejected the access token (401)' };
+    }
+    return { success: true, store: this.getStore(credentials.store_id) };
+  }
+
+  /**
+   * Add orders to a fake store (tests and the "create sample orders" action)
+   * @param {string} storeId
+   * @param {Object} [options]
+   * @param {number} [options.count=1]
+   * @param {string[]} [options.skus] - SKUs cycled through the line items
+   * @param {boolean} [options.cod] - Create COD orders instead of prepaid
+   * @returns {Object[]} Created store orders
+   */
+  seedOrders(storeId, { count = 1, skus = ['FAKE-SKU-1'], cod = false } = {}) {
+    const store = this.getStore(storeId);
+    const created = [];
+
+    for (let i = 0; i < count; i++) {
+      store.sequence += 1;
+      const buyer = SAMPLE_BUYERS[store.sequence % SAMPLE_BUYERS.length];
+      const sku = skus[i % skus.length];
+      const unitPrice = 499 + (store.sequence % 5) * 100;
+      const quantity = 1 + (store.sequence % 2);
+      const total = unitPrice * quantity;
+      const now = new Date();
+
+      const order = {
+        id: `fs_${storeId}_${store.sequence}`,
+        number: `#${store.sequence}`,
+        created_at: now,
+        updated_at: now,
+        fulfillment_status: 'unfulfilled',
+        customer: { name: buyer.name, phone: buyer.phone, email: `buyer${store.sequence}@example.com` },
+        shipping_address: {
+          address1: `${store.sequence}, Test Street`,
+          address2: 'Near Fake Market',
+          city: buyer.city,
+          province: buyer.state,
+          zip: buyer.pincode,
+          country: 'India'
+        },
+        financial_status: cod ? 'pending' : 'paid',
+        gateway: cod ? 'cash_on_delivery' : 'razorpay',
+        total_price: total,
+        line_items: [{ sku, title: `Sample product ${sku}`, quantity, price: unitPrice, tax: 0, discount: 0 }]
+      };
+
+      store.orders.push(order);
+      created.push(order);
+    }
+
+    logger.info('🧪 Fake store orders seeded', { storeId, count: created.length });
+    return created;
+  }
+
+  /**
+   * Convert a fake store order to the normalized connector shape
+   */
+  normalizeOrder(order) {
+    const isCOD = order.gateway === 'cash_on_delivery';
+    return {
+      channel_order_id: order.id,
+      channel_order_number: order.number,
+      order_date: order.created_at,
+      customer: { ...order.customer },
+      shipping_address: {
+        address_line_1: order.shipping_address.address1,
+        address_line_2: order.shipping_address.address2,
+        city: order.shipping_address.city,
+        state: order.shipping_address.province,
+        pincode: order.shipping_address.zip,
+        country: order.shipping_address.country
+      },
+      payment: {
+        mode: isCOD ? 'COD' : 'Prepaid',
+        total: order.total_price,
+        cod_amount: isCOD ? order.total_price : 0
+      },
+      line_items: order.line_items.map(item => ({
+        sku: item.sku,
+        name: item.title,
+        quantity: item.quantity,
+        unit_price: item.price,
+        tax: item.tax,
+        discount: item.discount,
+        hsn_code: item.hsn_code
+      }))
+    };
+  }
+
+  async testConnection(connection) {
+    const auth = this.authenticate(connection);
+    if (!auth.success) {
+      return auth;
+    }
+    return { success: true, store_name: `Fake Store ${connection.credentials.store_id}` };
+  }
+
+  async fetchOrders(connection, { since, cursor, limit = PAGE_SIZE } = {}) {
+    const auth = this.authenticate(connection);
+    if (!auth.success) {
+      return auth;
+    }
+
+    const offset = parseInt(cursor) || 0;
+    const matches = auth.store.orders.filter(order => order.fulfillment_status === 'unfulfilled' &&
+      (!since || order.updated_at >= new Date(since)));
+    const page = matches.slice(offset, offset + limit);
+
+    return {
+      success: true,
+      orders: page.map(order => this.normalizeOrder(order)),
+      next_cursor: offset + limit < matches.length ? String(offset + limit) : null
+    };
+  }
+
+  async pushFulfilment(connection, { channel_order_id: channelOrderId, awb, carrier, tracking_url: trackingUrl }) {
+    const auth = this.authenticate(connection);
+    if (!auth.success) {
+      return auth;
+    }
+
+    const order = auth.store.orders.find(o => o.id === channelOrderId);
+    if (!order) {
+      return { success: false, error: `Order ${channelOrderId} not found in Fake Store` };
+    }
+
+    const existing = auth.store.fulfilments.find(f => f.order_id === channelOrderId && f.tracking_number === awb);
+    if (existing) {
+      return { success: true, fulfilment_id: existing.id };
+    }
+
+    const fulfilment = {
+      id: `ff_${channelOrderId}_${auth.store.fulfilments.length + 1}`,
+      order_id: channelOrderId,
+      tracking_number: awb,
+      tracking_company: carrier,
+      tracking_url: trackingUrl,
+      created_at: new Date()
+    };
+    auth.store.fulfilments.push(fulfilment);
+    order.fulfillment_status = 'fulfilled';
+    order.updated_at = new Date();
+
+    return { success: true, fulfilment_id: fulfilment.id };
+  }
+}
+
+module.exports = FakeStoreConnector;
@@ -0,0 +1,57 @@
+// Location: backend/services/channels/index.js
+// Sales-channel registry - the single entry point for store integrations.
+//
+// Environment:
+//   ENABLED_CHANNELS - comma separated channel codes
+//                      (default: FAKE_STORE outside production, none in production)
+//
+// To add a store: implement BaseChannelConnector and register it in CONNECTORS.
+const FakeStoreConnector = require('./fakeStoreConnector');
+
+const CONNECTORS = {
+  FAKE_STORE: FakeStoreConnector
+};
+
+const instances = new Map();
+
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+const getEnabledCodes = () => {
+  const fallback = process.env.NODE_ENV === 'production' ? '' : 'FAKE_STORE';
+  return (process.env.ENABLED_CHANNELS || fallback)
+    .split(',')
+    .map(normalizeCode)
+    .filter(code => CONNECTORS[code]);
+};
+
+const isEnabled = (code) => getEnabledCodes().includes(normalizeCode(code));
+
+/**
+ * Get the connector for a channel code
+ * @param {string} code
+ * @returns {BaseChannelConnector}
+ */
+const getConnector = (code) => {
+  const normalized = normalizeCode(code);
+  if (!CONNECTORS[normalized]) {
+    throw new Error(`Unknown channel: ${code}`);
+  }
+
+  if (!instances.has(normalized)) {
+    instances.set(normalized, new CONNECTORS[normalized]());
+  }
+  return instances.get(normalized);
+};
+
+/**
+ * Enabled channels for selection in the UI
+ */
+const listChannels = () => getEnabledCodes().map(code => getConnector(code).describe());
+
+module.exports = {
+  getConnector,
+  getEnabledCodes,
+  isEnabled,
+  listChannels,
+  normalizeCode
+};
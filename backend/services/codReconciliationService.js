@@ -0,0 +1,455 @@
+// Location: backend/services/codReconciliationService.js
+const mongoose = require('mongoose');
+const XLSX = require('xlsx');
+const Order = require('../models/Order');
+const Remittance = require('../models/Remittance');
+const CodAdvance = require('../models/CodAdvance');
+const User = require('../models/User');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Delivered COD orders younger than this are not yet expected to be remitted
+const DEFAULT_MIN_AGE_DAYS = 7;
+// Amounts within this difference (rounding) count as matching
+const AMOUNT_TOLERANCE = 1;
+// Rows per list in the JSON report; the export always has every row
+const DEFAULT_ROW_LIMIT = 500;
+
+const AGING_BUCKETS = [
+  { label: '0-7 days', max: 7 },
+  { label: '8-15 days', max: 15 },
+  { label: '16-30 days', max: 30 },
+  { label: '31-60 days', max: 60 },
+  { label: '60+ days', max: Infinity }
+];
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const getBucket = (ageDays) => AGING_BUCKETS.find(bucket => ageDays <= bucket.max).label;
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(String(id));
+
+/**
+ * COD Reconciliation Service
+ * Checks delivered COD orders against the remittances received for them.
+ *
+ * An AWB counts as remitted when it is in a Remittance (admin Excel upload)
+ * or the courier's cod-remittance webhook marked it on
+ * order.payment_info.cod_remitted. The report lists:
+ * - unremitted: delivered more than N days ago and not remitted, with aging buckets
+ * - mismatches: remitted amount differs from payment_info.cod_amount
+ * - duplicates: the same AWB in more than one remittance
+ */
+class CodReconciliationService {
+
+  /**
+   * Remittance lines per AWB
+   * @returns {Promise<Map<string, Array>>} awb -> [{ remittance_number, date, state, amount_collected }]
+   */
+  async getRemittedLines(remittanceQuery) {
+    const remittances = await Remittance.find(remittanceQuery)
+      .select('remittance_number user_id date state remittance_orders.awb_number remittance_orders.amount_collected')
+      .lean();
+
+    const lines = new Map();
+    for (const remittance of remittances) {
+      for (const entry of remittance.remittance_orders || []) {
+        if (!entry.awb_number) continue;
+        if (!lines.has(entry.awb_number)) lines.set(entry.awb_number, []);
+        lines.get(entry.awb_number).push({
+          remittance_number: remittance.remittance_number,
+          date: remittance.date,
+          state: remittance.state,
+          amount_collected: round2(entry.amount_collected)
+        });
+      }
+    }
+    return lines;
+  }
+
+  /**
+   * Reconciliation report for one seller, or all sellers when userId is not given
+   * @param {Object} [options]
+   * @param {string} [options.userId]
+   * @param {number} [options.minAgeDays] - Only list unremitted AWBs delivered longer ago than this
+   * @param {number|null} [options.rowLimit] - Rows per list; null for all rows
+   * @returns {Promise<Object>}
+   */
+  async buildReport({ userId, minAgeDays = DEFAULT_MIN_AGE_DAYS, rowLimit = DEFAULT_ROW_LIMIT } = {}) {
+    const now = new Date();
+    const userFilter = userId ? { user_id: toObjectId(userId) } : {};
+
+    const [orders, remittedLines] = await Promise.all([
+      Order.find({
+        ...userFilter,
+        status: 'delivered',
+        'payment_info.payment_mode': 'COD',
+        'delhivery_data.waybill': { $nin: [null, ''] }
+      })
+        .select('order_id user_id delivered_date delhivery_data.waybill payment_info')
+        .lean(),
+      this.getRemittedLines(userFilter)
+    ]);
+
+    const summary = {
+      delivered_cod_orders: orders.length,
+      delivered_cod_amount: 0,
+      remitted_orders: 0,
+      remitted_amount: 0,
+      unremitted_orders: 0,
+      unremitted_amount: 0,
+      not_yet_due_orders: 0,
+      not_yet_due_amount: 0,
+      mismatch_orders: 0,
+      mismatch_difference: 0,
+      duplicate_orders: 0,
+      duplicate_amount: 0
+    };
+    const aging = AGING_BUCKETS.map(bucket => ({ bucket: bucket.label, count: 0, amount: 0 }));
+    const sellers = new Map();
+    const unremitted = [];
+    const mismatches = [];
+    const duplicates = [];
+
+    const sellerRow = (sellerId) => {
+      const key = String(sellerId);
+      if (!sellers.has(key)) {
+        sellers.set(key, {
+          user_id: key,
+          delivered_cod_orders: 0,
+          unremitted_orders: 0,
+          unremitted_amount: 0,
+          mismatch_orders: 0,
+          duplicate_orders: 0
+        });
+      }
+      return sellers.get(key);
+    };
+
+    for (const order of orders) {
+      const awb = order.delhivery_data.waybill;
+      const codAmount = round2(order.payment_info.cod_amount);
+      const lines = remittedLines.get(awb) || [];
+      const webhookRemitted = Boolean(order.payment_info.cod_remitted);
+      const seller = sellerRow(order.user_id);
+      const base = {
+        awb_number: awb,
+        order_id: order.order_id,
+        user_id: String(order.user_id),
+        delivered_date: order.delivered_date,
+        cod_amount: codAmount
+      };
+
+      summary.delivered_cod_amount += codAmount;
+      seller.delivered_cod_orders++;
+
+      if (lines.length === 0 && !webhookRemitted) {
+        const deliveredAt = order.delivered_date ? new Date(order.delivered_date) : null;
+        const ageDays = deliveredAt ? Math.floor((now - deliveredAt) / DAY_MS) : null;
+        // An order without a delivery date is old enough to be chased
+        if (ageDays !== null && ageDays <= minAgeDays) {
+          summary.not_yet_due_orders++;
+          summary.not_yet_due_amount += codAmount;
+          continue;
+        }
+
+        const bucket = getBucket(ageDays === null ? Infinity : ageDays);
+        const agingRow = aging.find(row => row.bucket === bucket);
+        agingRow.count++;
+        agingRow.amount += codAmount;
+        summary.unremitted_orders++;
+        summary.unremitted_amount += codAmount;
+        seller.unremitted_orders++;
+        seller.unremitted_amount += codAmount;
+        unremitted.push({ ...base, age_days: ageDays, bucket });
+        continue;
+      }
+
+      summary.remitted_orders++;
+      const distinctRemittances = [...new Set(lines.map(line => line.remittance_number))];
+      // The upload is the courier's statement; the webhook amount is only used without one
+      const remittedAmount = lines.length > 0
+        ? round2(lines[0].amount_collected)
+        : round2(order.payment_info.cod_remitted_amount);
+      const source = lines.length > 0 ? 'remittance' : 'webhook';
+      summary.remitted_amount += remittedAmount;
+
+      if (lines.length > 1) {
+        const totalRemitted = round2(lines.reduce((sum, line) => sum + line.amount_collected, 0));
+        summary.duplicate_orders++;
+        summary.duplicate_amount += totalRemitted - remittedAmount;
+        seller.duplicate_orders++;
+        duplicates.push({
+          ...base,
+          remittance_numbers: distinctRemittances,
+          times_remitted: lines.length,
+          total_remitted: totalRemitted,
+          excess_amount: round2(totalRemitted - remittedAmount),
+          remittances: lines
+        });
+      }
+
+      const difference = round2(remittedAmount - codAmount);
+      if (Math.abs(difference) >= AMOUNT_TOLERANCE) {
+        summary.mismatch_orders++;
+        summary.mismatch_difference += difference;
+        seller.mismatch_orders++;
+        mismatches.push({
+          ...base,
+          remitted_amount: remittedAmount,
+          difference,
+          source,
+          remittance_numbers: source === 'remittance' ? distinctRemittances : [],
+          utr_number: source === 'webhook' ? order.payment_info.cod_utr_number || null : null
+        });
+      }
+    }
+
+    for (const key of Object.keys(summary)) {
+      summary[key] = round2(summary[key]);
+    }
+    for (const row of aging) {
+      row.amount = round2(row.amount);
+    }
+
+    // Unremitted by the courier but already paid to the seller through early COD
+    if (unremitted.length > 0) {
+      const advanced = await CodAdvance.find({ awb_number: { $in: unremitted.map(row => row.awb_number) } })
+        .select('awb_number')
+        .lean();
+      const advancedAwbs = new Set(advanced.map(advance => advance.awb_number));
+      for (const row of unremitted) {
+        row.early_cod_advanced = advancedAwbs.has(row.awb_number);
+      }
+    }
+
+    // Oldest unremitted first, biggest differences first
+    unremitted.sort((a, b) => (b.age_days ?? Infinity) - (a.age_days ?? Infinity));
+    mismatches.sort((a, b) => Math.abs(b.difference) - Math.abs(a.difference));
+    duplicates.sort((a, b) => b.excess_amount - a.excess_amount);
+
+    const report = {
+      generated_at: now,
+      min_age_days: minAgeDays,
+      summary,
+      aging,
+      unremitted: rowLimit ? unremitted.slice(0, rowLimit) : unremitted,
+      mismatches: rowLimit ? mismatches.slice(0, rowLimit) : mismatches,
+      duplicates: rowLimit ? duplicates.slice(0, rowLimit) : duplicates,
+      truncated: Boolean(rowLimit) && Math.max(unremitted.length, mismatches.length, duplicates.length) > rowLimit
+    };
+
+    if (!userId) {
+      report.sellers = await this.withSellerNames([...sellers.values()]
+        .filter(row => row.unremitted_orders || row.mismatch_orders || row.duplicate_orders)
+        .map(row => ({ ...row, unremitted_amount: round2(row.unremitted_amount) }))
+        .sort((a, b) => b.unremitted_amount - a.unremitted_amount));
+    }
+
+    return report;
+  }
+
+  async withSellerNames(rows) {
+    const users = await User.find({ _id: { $in: rows.map(row => row.user_id) } })
+      .select('client_id company_name')
+      .lean();
+    const byId = new Map(users.map(user => [String(user._id), user]));
+    return rows.map(row => ({
+      ...row,
+      client_id: byId.get(row.user_id)?.client_id || null,
+      company_name: byId.get(row.user_id)?.company_name || 'N/A'
+    }));
+  }
+
+  /**
+   * Reconcile each AWB of a remittance against its order and other remittances.
+   * One remittance number from the courier is split into one Remittance per
+   * seller; without userId all of them are checked.
+   * @returns {Promise<Object|null>} null when the remittance does not exist
+   */
+  async buildRemittanceReport(remittanceNumber, { userId } = {}) {
+    const query = { remittance_number: remittanceNumber };
+    if (userId) query.user_id = toObjectId(userId);
+
+    const remittances = await Remittance.find(query).lean();
+    if (remittances.length === 0) {
+      return null;
+    }
+
+    const entries = remittances.flatMap(remittance => (remittance.remittance_orders || []).map(entry => ({
+      ...entry,
+      user_id: String(remittance.user_id)
+    })));
+    const awbs = [...new Set(entries.map(entry => entry.awb_number))];
+
+    const [orders, otherRemittances] = await Promise.all([
+      Order.find({ 'delhivery_data.waybill': { $in: awbs } })
+        .select('order_id user_id status delivered_date delhivery_data.waybill payment_info.payment_mode payment_info.cod_amount')
+        .lean(),
+      Remittance.find({
+        remittance_number: { $ne: remittanceNumber },
+        'remittance_orders.awb_number': { $in: awbs }
+      })
+        .select('remittance_number remittance_orders.awb_number')
+        .lean()
+    ]);
+
+    const ordersByAwb = new Map(orders.map(order => [order.delhivery_data.waybill, order]));
+    const elsewhere = new Map();
+    for (const remittance of otherRemittances) {
+      for (const entry of remittance.remittance_orders) {
+        if (!awbs.includes(entry.awb_number)) continue;
+        if (!elsewhere.has(entry.awb_number)) elsewhere.set(entry.awb_number, new Set());
+        elsewhere.get(entry.awb_number).add(remittance.remittance_number);
+      }
+    }
+    const timesInThisRemittance = entries.reduce((counts, entry) => {
+      counts.set(entry.awb_number, (counts.get(entry.awb_number) || 0) + 1);
+      return counts;
+    }, new Map());
+
+    const summary = {
+      total_lines: entries.length,
+      total_collected: 0,
+      matched: 0,
+      amount_mismatch: 0,
+      duplicate: 0,
+      not_delivered: 0,
+      not_cod: 0,
+      order_not_found: 0
+    };
+
+    const lines = entries.map(entry => {
+      const order = ordersByAwb.get(entry.awb_number);
+      const amountCollected = round2(entry.amount_collected);
+      const codAmount = order ? round2(order.payment_info?.cod_amount) : null;
+      const otherRemittanceNumbers = [...(elsewhere.get(entry.awb_number) || [])];
+
+      let status = 'matched';
+      if (!order) {
+        status = 'order_not_found';
+      } else if (order.payment_info?.payment_mode !== 'COD') {
+        status = 'not_cod';
+      } else if (order.status !== 'delivered') {
+        status = 'not_delivered';
+      } else if (otherRemittanceNumbers.length > 0 || timesInThisRemittance.get(entry.awb_number) > 1) {
+        status = 'duplicate';
+      } else if (Math.abs(amountCollected - codAmount) >= AMOUNT_TOLERANCE) {
+        status = 'amount_mismatch';
+      }
+
+      summary.total_collected += amountCollected;
+      summary[status]++;
+
+      return {
+        awb_number: entry.awb_number,
+        order_id: order?.order_id || entry.order_id || '',
+        user_id: entry.user_id,
+        order_status: order?.status || null,
+        payment_mode: order?.payment_info?.payment_mode || null,
+        delivered_date: order?.delivered_date || null,
+        cod_amount: codAmount,
+        amount_collected: amountCollected,
+        difference: codAmount === null ? null : round2(amountCollected - codAmount),
+        other_remittances: otherRemittanceNumbers,
+        status
+      };
+    });
+
+    summary.total_collected = round2(summary.total_collected);
+
+    return {
+      remittance_number: remittanceNumber,
+      date: remittances[0].date,
+      state: remittances[0].state,
+      total_remittance: round2(remittances.reduce((sum, remittance) => sum + (remittance.total_remittance || 0), 0)),
+      sellers: remittances.length,
+      summary,
+      lines
+    };
+  }
+
+  /**
+   * XLSX export of a seller/all-sellers report (built with rowLimit: null)
+   * @returns {Buffer}
+   */
+  buildReportWorkbook(report) {
+    const workbook = XLSX.utils.book_new();
+    const date = (value) => (value ? new Date(value).toISOString().split('T')[0] : '');
+
+    const summaryRows = [
+      { METRIC: 'Generated at', VALUE: new Date(report.generated_at).toISOString() },
+      { METRIC: 'Unremitted after (days)', VALUE: report.min_age_days },
+      ...Object.entries(report.summary).map(([key, value]) => ({ METRIC: key.replace(/_/g, ' ').toUpperCase(), VALUE: value })),
+      ...report.aging.map(row => ({ METRIC: `UNREMITTED ${row.bucket.toUpperCase()}`, VALUE: `${row.count} orders / ${row.amount}` }))
+    ];
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(summaryRows), 'Summary');
+
+    if (report.sellers) {
+      XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(report.sellers.map(row => ({
+        'CLIENT ID': row.client_id || '',
+        'COMPANY': row.company_name,
+        'DELIVERED COD ORDERS': row.delivered_cod_orders,
+        'UNREMITTED ORDERS': row.unremitted_orders,
+        'UNREMITTED AMOUNT': row.unremitted_amount,
+        'AMOUNT MISMATCHES': row.mismatch_orders,
+        'DUPLICATE REMITTANCES': row.duplicate_orders
+      }))), 'Sellers');
+    }
+
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(report.unremitted.map(row => ({
+      'AWB NUMBER': row.awb_number,
+      'ORDER ID': row.order_id,
+      'DELIVERED ON': date(row.delivered_date),
+      'COD AMOUNT': row.cod_amount,
+      'AGE (DAYS)': row.age_days ?? '',
+      'AGING BUCKET': row.bucket,
+      'PAID AS EARLY COD': row.early_cod_advanced ? 'Yes' : 'No'
+    }))), 'Unremitted');
+
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(report.mismatches.map(row => ({
+      'AWB NUMBER': row.awb_number,
+      'ORDER ID': row.order_id,
+      'DELIVERED ON': date(row.delivered_date),
+      'COD AMOUNT': row.cod_amount,
+      'REMITTED AMOUNT': row.remitted_amount,
+      'DIFFERENCE': row.difference,
+      'SOURCE': row.source,
+      'REMITTANCE NUMBERS': row.remittance_numbers.join(', '),
+      'UTR NUMBER': row.utr_number || ''
+    }))), 'Amount Mismatches');
+
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(report.duplicates.map(row => ({
+      'AWB NUMBER': row.awb_number,
+      'ORDER ID': row.order_id,
+      'COD AMOUNT': row.cod_amount,
+      'TIMES REMITTED': row.times_remitted,
+      'TOTAL REMITTED': row.total_remitted,
+      'EXCESS AMOUNT': row.excess_amount,
+      'REMITTANCE NUMBERS': row.remittance_numbers.join(', ')
+    }))), 'Duplicate Remittances');
+
+    return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+  }
+
+  /**
+   * XLSX export of a remittance report
+   * @returns {Buffer}
+   */
+  buildRemittanceWorkbook(report) {
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(report.lines.map(line => ({
+      'AWB NUMBER': line.awb_number,
+      'ORDER ID': line.order_id,
+      'ORDER STATUS': line.order_status || '',
+      'PAYMENT MODE': line.payment_mode || '',
+      'COD AMOUNT': line.cod_amount ?? '',
+      'AMOUNT COLLECTED': line.amount_collected,
+      'DIFFERENCE': line.difference ?? '',
+      'ALSO IN REMITTANCES': line.other_remittances.join(', '),
+      'RESULT': line.status.replace(/_/g, ' ').toUpperCase()
+    }))), 'Reconciliation');
+    return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+  }
+}
+
+module.exports = new CodReconciliationService();
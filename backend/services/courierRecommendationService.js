@@ -0,0 +1,341 @@
+// Location: backend/services/courierRecommendationService.js
+const Order = require('../models/Order');
+const NDR = require('../models/NDR');
+const RateCardService = require('./rateCardService');
+const carriers = require('./carriers');
+const logger = require('../utils/logger');
+
+const RULES = ['cheapest', 'fastest', 'best_delivery_rate'];
+
+// Score weights per seller rule (price, speed, reliability)
+const RULE_WEIGHTS = {
+  cheapest: { price: 0.6, speed: 0.15, reliability: 0.25 },
+  fastest: { price: 0.15, speed: 0.6, reliability: 0.25 },
+  best_delivery_rate: { price: 0.2, speed: 0.2, reliability: 0.6 }
+};
+
+// Transit days used when a lane has no delivered history
+const DEFAULT_TRANSIT_DAYS = {
+  Surface: { A: 2, B: 3, C: 4, D: 5, E: 7, F: 8 },
+  Express: { A: 1, B: 2, C: 2, D: 3, E: 4, F: 5 }
+};
+
+// Network-wide priors - lane rates are smoothed towards these so a lane with
+// two lucky deliveries does not outrank one with hundreds of shipments
+const PRIOR = {
+  delivery_rate: 0.85,
+  rto_rate: 0.1,
+  ndr_rate: 0.15,
+  weight: 10
+};
+
+// Reliability is the lane delivery rate less these shares of its RTO rate (the
+// seller pays return freight) and NDR rate (re-attempts and delays)
+const RELIABILITY_PENALTY = {
+  rto: 0.5,
+  ndr: 0.5
+};
+
+const HISTORY_DAYS = 180;
+const HISTORY_LIMIT = 2000;
+const MIN_LANE_SAMPLE = 10;
+const OUTCOME_STATUSES = ['delivered', 'rto', 'lost'];
+const SHIPPED_STATUSES = ['in_transit', 'out_for_delivery', 'delivered', 'ndr', 'rto', 'lost'];
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+const percent = (value) => `${Math.round(value * 100)}%`;
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Courier Recommendation Service
+ * Ranks every enabled carrier/service mode for an order on price (RateCardService),
+ * speed and lane reliability (delivery, RTO and NDR rates from our own history).
+ */
+class CourierRecommendationService {
+  constructor() {
+    this.RULES = RULES;
+  }
+
+  normalizeRule(rule) {
+    return RULES.includes(rule) ? rule : 'cheapest';
+  }
+
+  /**
+   * Typical transit days for a zone, used when a lane has no delivered history
+   * @returns {number|null}
+   */
+  getDefaultTransitDays(shippingMode, zone) {
+    return (DEFAULT_TRANSIT_DAYS[shippingMode] || DEFAULT_TRANSIT_DAYS.Surface)[zone] || null;
+  }
+
+  /**
+   * Chargeable weight in grams - higher of actual and volumetric (LxBxH/5000)
+   */
+  getChargeableWeight(order) {
+    const dimensions = order.package_info?.dimensions || {};
+    const length = dimensions.length || dimensions.width || 0;
+    const volumetricGrams = (length * (dimensions.width || 0) * (dimensions.height || 0)) / 5000 * 1000;
+    const actualGrams = (order.package_info?.weight || 0) * 1000;
+    return Math.max(actualGrams, volumetricGrams);
+  }
+
+  /**
+   * Delivery/RTO/NDR history for a lane, grouped by carrier and shipping mode.
+   * Lanes are matched on the first three pincode digits (sorting district) so
+   * there is enough history to be meaningful.
+   */
+  async getLaneStats(pickupPincode, deliveryPincode) {
+    const since = new Date(Date.now() - HISTORY_DAYS * 24 * 60 * 60 * 1000);
+    const orders = await Order.find({
+      'pickup_address.pincode': { $regex: `^${escapeRegex(String(pickupPincode).slice(0, 3))}` },
+      'delivery_address.pincode': { $regex: `^${escapeRegex(String(deliveryPincode).slice(0, 3))}` },
+      'delhivery_data.waybill': { $exists: true, $ne: null },
+      status: { $in: SHIPPED_STATUSES },
+      order_date: { $gte: since }
+    })
+      .select('carrier shipping_mode status order_date delivered_date ndr_info.is_ndr delhivery_data.waybill')
+      .sort({ order_date: -1 })
+      .limit(HISTORY_LIMIT)
+      .lean();
+
+    const waybills = orders.map(order => order.delhivery_data.waybill);
+    const ndrWaybills = new Set(
+      waybills.length > 0 ? await NDR.distinct('awb_number', { awb_number: { $in: waybills } }) : []
+    );
+
+    const stats = new Map();
+    for (const order of orders) {
+      const key = `${order.carrier || 'DELHIVERY'}:${order.shipping_mode || 'Surface'}`;
+      if (!stats.has(key)) {
+        stats.set(key, { shipped: 0, outcomes: 0, delivered: 0, rto: 0, ndr: 0, transitDays: [] });
+      }
+      const lane = stats.get(key);
+
+      lane.shipped += 1;
+      if (order.ndr_info?.is_ndr || ndrWaybills.has(order.delhivery_data.waybill)) {
+        lane.ndr += 1;
+      }
+      if (OUTCOME_STATUSES.includes(order.status)) {
+        lane.outcomes += 1;
+      }
+      if (order.status === 'delivered') {
+        lane.delivered += 1;
+        if (order.delivered_date && order.order_date) {
+          const days = (new Date(order.delivered_date) - new Date(order.order_date)) / (24 * 60 * 60 * 1000);
+          if (days >= 0) {
+            lane.transitDays.push(days);
+          }
+        }
+      }
+      if (order.status === 'rto') {
+        lane.rto += 1;
+      }
+    }
+
+    return stats;
+  }
+
+  summarizeLane(lane) {
+    const raw = lane || { shipped: 0, outcomes: 0, delivered: 0, rto: 0, ndr: 0, transitDays: [] };
+    const smooth = (count, total, prior) => (count + prior * PRIOR.weight) / (total + PRIOR.weight);
+
+    return {
+      sample_size: raw.outcomes,
+      shipped: raw.shipped,
+      delivery_rate: raw.outcomes > 0 ? round(raw.delivered / raw.outcomes, 4) : null,
+      rto_rate: raw.outcomes > 0 ? round(raw.rto / raw.outcomes, 4) : null,
+      ndr_rate: raw.shipped > 0 ? round(raw.ndr / raw.shipped, 4) : null,
+      avg_transit_days: raw.transitDays.length > 0
+        ? round(raw.transitDays.reduce((sum, days) => sum + days, 0) / raw.transitDays.length, 1)
+        : null,
+      smoothed: {
+        delivery_rate: smooth(raw.delivered, raw.outcomes, PRIOR.delivery_rate),
+        rto_rate: smooth(raw.rto, raw.outcomes, PRIOR.rto_rate),
+        ndr_rate: smooth(raw.ndr, raw.shipped, PRIOR.ndr_rate)
+      }
+    };
+  }
+
+  /**
+   * Rank carrier/service mode options for an order
+   * @param {Object} order - Order document or lean object
+   * @param {Object} user - Seller (needs user_category and courier_preferences)
+   * @param {Object} [options]
+   * @param {string} [options.rule] - Overrides the seller's saved rule
+   * @param {string} [options.shippingMode] - Restrict to one service mode
+   * @returns {Promise<{rule: string, chargeable_weight: number, options: Object[]}>}
+   */
+  async getRecommendations(order, user, options = {}) {
+    const rule = this.normalizeRule(options.rule || user?.courier_preferences?.rule);
+    const weights = RULE_WEIGHTS[rule];
+    const pickupPincode = order.pickup_address?.pincode;
+    const deliveryPincode = order.delivery_address?.pincode;
+    const paymentMode = order.payment_info?.payment_mode;
+    const codAmount = paymentMode === 'COD' ? (order.payment_info?.cod_amount || 0) : 0;
+    const chargeableWeight = this.getChargeableWeight(order);
+    const dimensions = order.package_info?.dimensions || {};
+
+    if (!pickupPincode || !deliveryPincode) {
+      throw new Error('Pickup and delivery pincodes are required for courier recommendations');
+    }
+
+    const laneStats = await this.getLaneStats(pickupPincode, deliveryPincode);
+    const candidates = [];
+
+    for (const code of carriers.getEnabledCodes()) {
+      const carrier = carriers.getCarrier(code);
+      const modes = options.shippingMode
+        ? carrier.serviceModes.filter(mode => mode === options.shippingMode)
+        : carrier.serviceModes;
+
+      for (const mode of modes) {
+        const candidate = {
+          carrier: carrier.code,
+          carrier_name: carrier.name,
+          shipping_mode: mode,
+          available: true,
+          reasons: []
+        };
+
+        try {
+          const zoneResult = await carrier.getZone({
+            pickupPincode,
+            deliveryPincode,
+            chargeableWeight,
+            shippingMode: mode,
+            paymentMode
+          });
+
+          if (!zoneResult.success || !zoneResult.zone) {
+            candidate.available = false;
+            candidate.reasons.push(zoneResult.error || `${carrier.name} could not resolve a zone for this lane`);
+            candidates.push(candidate);
+            continue;
+          }
+
+          const charges = await RateCardService.calculateShippingCharges(
+            user?.user_category || 'Basic User',
+            chargeableWeight,
+            {
+              length: dimensions.length || dimensions.width || 0,
+              breadth: dimensions.width || 0,
+              height: dimensions.height || 0
+            },
+            zoneResult.zone,
+            codAmount,
+            'forward',
+            carrier.code,
+            mode
+          );
+
+          const lane = this.summarizeLane(laneStats.get(`${carrier.code}:${mode}`));
+          const estimatedDays = lane.avg_transit_days !== null && lane.sample_size >= MIN_LANE_SAMPLE
+            ? Math.max(1, Math.ceil(lane.avg_transit_days))
+            : this.getDefaultTransitDays(mode, zoneResult.zone) || 5;
+
+          const estimatedDelivery = new Date();
+          estimatedDelivery.setDate(estimatedDelivery.getDate() + estimatedDays);
+
+          Object.assign(candidate, {
+            zone: zoneResult.zone,
+            charges: {
+              forward: round(charges.forwardCharges),
+              cod: round(charges.codCharges),
+              rto: round(charges.rtoCharges),
+              total: round(charges.totalCharges)
+            },
+            chargeable_weight: charges.chargeableWeight,
+            estimated_days: estimatedDays,
+            estimated_delivery_date: estimatedDelivery,
+            lane_stats: {
+              sample_size: lane.sample_size,
+              delivery_rate: lane.delivery_rate,
+              rto_rate: lane.rto_rate,
+              ndr_rate: lane.ndr_rate,
+              avg_transit_days: lane.avg_transit_days
+            },
+            reliability: lane.smoothed.delivery_rate
+              - RELIABILITY_PENALTY.rto * lane.smoothed.rto_rate
+              - RELIABILITY_PENALTY.ndr * lane.smoothed.ndr_rate
+          });
+        } catch (error) {
+          logger.warn('⚠️ Courier option could not be priced', {
+            orderId: order.order_id,
+            carrier: carrier.code,
+            mode,
+            error: error.message
+          });
+          candidate.available = false;
+          candidate.reasons.push(error.message);
+        }
+
+        candidates.push(candidate);
+      }
+    }
+
+    const available = candidates.filter(candidate => candidate.available);
+    const unavailable = candidates.filter(candidate => !candidate.available);
+
+    if (available.length > 0) {
+      const minPrice = Math.min(...available.map(c => c.charges.total));
+      const minDays = Math.min(...available.map(c => c.estimated_days));
+      const maxReliability = Math.max(...available.map(c => c.reliability));
+
+      for (const candidate of available) {
+        const priceScore = candidate.charges.total > 0 ? minPrice / candidate.charges.total : 1;
+        const speedScore = minDays / candidate.estimated_days;
+        const reliabilityScore = maxReliability > 0 ? Math.max(candidate.reliability, 0) / maxReliability : 1;
+
+        candidate.score = round(
+          weights.price * priceScore + weights.speed * speedScore + weights.reliability * reliabilityScore,
+          4
+        );
+        candidate.reasons = this.buildReasons(candidate, { minPrice, minDays, maxReliability });
+        delete candidate.reliability;
+      }
+
+      available.sort((a, b) => b.score - a.score || a.charges.total - b.charges.total);
+      available.forEach((candidate, index) => {
+        candidate.rank = index + 1;
+        candidate.recommended = index === 0;
+      });
+    }
+
+    return {
+      rule,
+      chargeable_weight: round(chargeableWeight / 1000, 3),
+      options: [...available, ...unavailable]
+    };
+  }
+
+  buildReasons(candidate, { minPrice, minDays, maxReliability }) {
+    const reasons = [];
+    const lane = candidate.lane_stats;
+
+    if (candidate.charges.total === minPrice) {
+      reasons.push(`Lowest price at ₹${candidate.charges.total.toFixed(2)}`);
+    } else {
+      reasons.push(`₹${(candidate.charges.total - minPrice).toFixed(2)} more than the cheapest option`);
+    }
+
+    if (candidate.estimated_days === minDays) {
+      reasons.push(`Fastest estimate: ${candidate.estimated_days} day(s) to zone ${candidate.zone}`);
+    } else {
+      reasons.push(`Estimated ${candidate.estimated_days} day(s) to zone ${candidate.zone}`);
+    }
+
+    if (lane.sample_size >= MIN_LANE_SAMPLE) {
+      reasons.push(`Delivered ${percent(lane.delivery_rate)} of ${lane.sample_size} shipments on this lane`);
+      reasons.push(`RTO ${percent(lane.rto_rate)}, NDR ${percent(lane.ndr_rate || 0)} on this lane`);
+      if (candidate.reliability === maxReliability) {
+        reasons.push('Best delivery record on this lane');
+      }
+    } else {
+      reasons.push(`Limited lane history (${lane.sample_size} shipments) - using network averages`);
+    }
+
+    return reasons;
+  }
+}
+
+module.exports = new CourierRecommendationService();
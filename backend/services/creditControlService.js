@@ -0,0 +1,410 @@
+// Location: backend/services/creditControlService.js
+const cron = require('node-cron');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Order = require('../models/Order');
+const Invoice = require('../models/Invoice');
+const BillingCycle = require('../models/BillingCycle');
+const walletLedgerService = require('./walletLedgerService');
+const emailService = require('./emailService');
+const websocketService = require('./websocketService');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Reminder is sent this many days before due_date
+const DUE_SOON_DAYS = 3;
+// Final notice is sent this many days after due_date
+const FINAL_NOTICE_DAYS = 15;
+const UNPAID_STATUSES = ['pending', 'partially_paid', 'overdue'];
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+/**
+ * Credit Control Service
+ * Credit limits, postpaid exposure and account holds. A daily job marks
+ * invoices past Invoice.due_date as overdue, puts their accounts on hold
+ * (which blocks new shipments) and sends dunning emails. The hold is lifted
+ * automatically once no overdue invoice is left.
+ */
+class CreditControlService {
+  constructor() {
+    this.dailyJob = null;
+    this.isRunning = false;
+    this.isChecking = false;
+  }
+
+  /**
+   * Money a postpaid seller owes or will owe: charges accrued in open
+   * billing cycles plus the unpaid balance of generated invoices.
+   */
+  async getPostpaidExposure(userId) {
+    const [unbilled] = await Order.aggregate([
+      {
+        $match: {
+          user_id: new mongoose.Types.ObjectId(String(userId)),
+          'billing_info.billing_mode': 'postpaid',
+          'billing_info.billing_status': 'unbilled',
+          status: { $ne: 'cancelled' }
+        }
+      },
+      { $group: { _id: null, total: { $sum: '$billing_info.charges.total_charge' } } }
+    ]);
+    // Weight discrepancy / RTO charges waiting for the next invoice
+    const [lateCharges] = await BillingCycle.aggregate([
+      {
+        $match: {
+          user_id: new mongoose.Types.ObjectId(String(userId)),
+          status: { $in: ['open', 'closed'] }
+        }
+      },
+      { $unwind: '$late_charges' },
+      { $match: { 'late_charges.settled_from_wallet': false } },
+      { $group: { _id: null, total: { $sum: '$late_charges.amount' } } }
+    ]);
+    const outstanding = await Invoice.getTotalPendingAmount(userId);
+    const unbilledTotal = (unbilled?.total || 0) + (lateCharges?.total || 0);
+
+    return {
+      unbilled: round2(unbilledTotal),
+      outstanding: round2(outstanding),
+      total: round2(unbilledTotal + outstanding)
+    };
+  }
+
+  /**
+   * Whether the seller may book a shipment costing amount.
+   * @returns {Promise<Object>} { allowed, billing_mode } or { allowed: false, code, message }
+   */
+  async checkShippingAllowed(userId, { amount = 0 } = {}) {
+    const user = await User.findById(userId).select('billing_mode credit_limit wallet_balance account_hold');
+    if (!user) {
+      return { allowed: false, code: 'USER_NOT_FOUND', message: 'User not found' };
+    }
+
+    if (user.account_hold?.active) {
+      return {
+        allowed: false,
+        code: 'ACCOUNT_ON_HOLD',
+        message: `Your account is on hold: ${user.account_hold.reason || 'contact support'}. Shipping will resume once the hold is cleared.`
+      };
+    }
+
+    const billingMode = user.billing_mode || 'prepaid';
+    if (billingMode === 'postpaid') {
+      const exposure = await this.getPostpaidExposure(userId);
+      const availableCredit = round2((user.credit_limit || 0) - exposure.total);
+      if (amount > availableCredit) {
+        return {
+          allowed: false,
+          code: 'CREDIT_LIMIT_EXCEEDED',
+          message: `Credit limit exceeded. Required: ₹${amount}, Available credit: ₹${Math.max(availableCredit, 0)}`
+        };
+      }
+      return { allowed: true, billing_mode: billingMode, available_credit: availableCredit };
+    }
+
+    const available = round2((user.wallet_balance || 0) + (user.credit_limit || 0));
+    if (amount > available) {
+      return {
+        allowed: false,
+        code: 'INSUFFICIENT_BALANCE',
+        message: `Insufficient wallet balance. Required: ₹${amount}, Available: ₹${available}`
+      };
+    }
+    return { allowed: true, billing_mode: billingMode };
+  }
+
+  async placeHold(userId, { source = 'manual', reason, invoiceIds = [], placedBy = 'system' } = {}) {
+    const user = await User.findByIdAndUpdate(userId, {
+      $set: {
+        account_hold: {
+          active: true,
+          source,
+          reason,
+          invoice_ids: invoiceIds,
+          placed_at: new Date(),
+          placed_by: placedBy
+        }
+      }
+    }, { new: true }).select('account_hold');
+
+    if (user) {
+      logger.warn('⛔ Account placed on hold', { userId: String(userId), source, reason, placedBy });
+      try {
+        websocketService.sendNotificationToClient(String(userId), {
+          type: 'account_hold',
+          title: 'Account On Hold',
+          message: `New shipments are on hold: ${reason}`,
+          created_at: new Date()
+        });
+      } catch (notifError) {
+        logger.error('Failed to send account hold notification:', notifError);
+      }
+    }
+    return user;
+  }
+
+  async releaseHold(userId, { releasedBy = 'system' } = {}) {
+    const user = await User.findOneAndUpdate(
+      { _id: userId, 'account_hold.active': true },
+      { $set: { 'account_hold.active': false, 'account_hold.released_at': new Date(), 'account_hold.released_by': releasedBy } },
+      { new: true }
+    ).select('account_hold');
+
+    if (user) {
+      logger.info('✅ Account hold released', { userId: String(userId), releasedBy });
+      try {
+        websocketService.sendNotificationToClient(String(userId), {
+          type: 'account_hold_released',
+          title: 'Account Hold Released',
+          message: 'Your account hold has been cleared. You can create shipments again.',
+          created_at: new Date()
+        });
+      } catch (notifError) {
+        logger.error('Failed to send hold release notification:', notifError);
+      }
+    }
+    return user;
+  }
+
+  // Lift an automatic hold once the seller has no overdue invoice left. Manual holds stay.
+  async releaseHoldIfClear(userId) {
+    const user = await User.findById(userId).select('account_hold');
+    if (!user?.account_hold?.active || user.account_hold.source !== 'overdue_invoice') {
+      return false;
+    }
+    const overdueCount = await Invoice.countDocuments({ user_id: userId, payment_status: 'overdue' });
+    if (overdueCount > 0) {
+      return false;
+    }
+    await this.releaseHold(userId, { releasedBy: 'system' });
+    return true;
+  }
+
+  /**
+   * Record a payment against an invoice and lift the hold if nothing is overdue any more.
+   */
+  async applyInvoicePayment(invoice, { amount, payment_method, payment_reference, transaction_id, recorded_by }) {
+    const payment = {
+      amount: round2(amount),
+      payment_date: new Date(),
+      payment_method,
+      payment_reference,
+      transaction_id,
+      recorded_by
+    };
+
+    invoice.amount_paid = round2((invoice.amount_paid || 0) + payment.amount);
+    invoice.payments.push(payment);
+    invoice.payment_info = {
+      payment_date: payment.payment_date,
+      payment_method,
+      payment_reference,
+      transaction_id
+    };
+    if (invoice.amount_paid >= invoice.payable_total) {
+      invoice.status = 'paid';
+    }
+    await invoice.save();
+
+    await this.releaseHoldIfClear(invoice.user_id);
+    return invoice;
+  }
+
+  /**
+   * Pay an invoice from the seller's wallet through the ledger.
+   * @returns {Promise<Object>} { success, invoice, transaction, closing_balance } or { success: false, code, error }
+   */
+  async payInvoiceFromWallet(invoice, { amount, postedBy } = {}) {
+    const balanceDue = round2(invoice.balance_due);
+    const payAmount = round2(amount === undefined ? balanceDue : Math.min(amount, balanceDue));
+    if (!(payAmount > 0)) {
+      return { success: false, code: 'NOTHING_DUE', error: 'This invoice has no balance due' };
+    }
+
+    const debit = await walletLedgerService.debit({
+      userId: invoice.user_id,
+      amount: payAmount,
+      category: 'invoice_payment',
+      description: `Payment for invoice ${invoice.invoice_number}`,
+      fields: { reference_number: invoice.invoice_number },
+      postedBy
+    });
+    if (!debit.success) {
+      return debit;
+    }
+
+    await this.applyInvoicePayment(invoice, {
+      amount: payAmount,
+      payment_method: 'wallet_deduction',
+      payment_reference: debit.transaction.transaction_id,
+      transaction_id: debit.transaction._id,
+      recorded_by: postedBy
+    });
+
+    return { success: true, invoice, transaction: debit.transaction, closing_balance: debit.closing_balance };
+  }
+
+  async sendDunning(invoice, stage, { accountOnHold = false } = {}) {
+    try {
+      const user = await User.findById(invoice.user_id).select('email your_name company_name');
+      if (!user?.email) return false;
+
+      const result = await emailService.sendDunningEmail({
+        stage,
+        invoice_id: invoice._id,
+        invoice_number: invoice.invoice_number,
+        due_date: invoice.due_date,
+        balance_due: invoice.balance_due,
+        days_overdue: Math.max(0, Math.floor((Date.now() - new Date(invoice.due_date).getTime()) / DAY_MS)),
+        account_on_hold: accountOnHold,
+        user_email: user.email,
+        user_name: user.your_name || user.company_name
+      });
+      // Not marked as sent when email is down, so tomorrow's run retries it
+      if (!result.success) return false;
+
+      await Invoice.updateOne(
+        { _id: invoice._id },
+        { $addToSet: { 'dunning.stages_sent': stage }, $set: { 'dunning.last_sent_at': new Date() } }
+      );
+      return true;
+    } catch (error) {
+      logger.error('❌ Dunning email failed', { invoiceId: String(invoice._id), stage, error: error.message });
+      return false;
+    }
+  }
+
+  /**
+   * Flip unpaid invoices past due_date to overdue and hold their accounts.
+   */
+  async markOverdueInvoices() {
+    const now = new Date();
+    const dueInvoices = await Invoice.find({
+      payment_status: { $in: ['pending', 'partially_paid'] },
+      status: { $ne: 'cancelled' },
+      due_date: { $lt: now }
+    }).select('-shipment_charges');
+
+    for (const invoice of dueInvoices) {
+      invoice.status = 'overdue';
+      await invoice.save();
+    }
+
+    const overdueByUser = await Invoice.aggregate([
+      { $match: { payment_status: 'overdue', status: { $ne: 'cancelled' } } },
+      { $group: { _id: '$user_id', invoice_ids: { $push: '$_id' }, invoice_numbers: { $push: '$invoice_number' } } }
+    ]);
+
+    let holdsPlaced = 0;
+    for (const row of overdueByUser) {
+      const user = await User.findById(row._id).select('account_hold');
+      if (!user || (user.account_hold?.active && user.account_hold.source === 'manual')) continue;
+
+      const reason = `Overdue invoice ${row.invoice_numbers.join(', ')}`;
+      if (user.account_hold?.active) {
+        // Already held for overdue invoices: keep placed_at, refresh the invoice list
+        await User.updateOne({ _id: row._id }, {
+          $set: { 'account_hold.reason': reason, 'account_hold.invoice_ids': row.invoice_ids }
+        });
+        continue;
+      }
+
+      await this.placeHold(row._id, {
+        source: 'overdue_invoice',
+        reason,
+        invoiceIds: row.invoice_ids,
+        placedBy: 'system'
+      });
+      holdsPlaced++;
+    }
+
+    return { marked_overdue: dueInvoices.length, holds_placed: holdsPlaced };
+  }
+
+  async sendDunningReminders() {
+    const now = Date.now();
+    const stages = [
+      {
+        stage: 'due_soon',
+        query: {
+          payment_status: { $in: ['pending', 'partially_paid'] },
+          due_date: { $gte: new Date(now), $lte: new Date(now + DUE_SOON_DAYS * DAY_MS) }
+        }
+      },
+      {
+        stage: 'overdue',
+        query: { payment_status: 'overdue' }
+      },
+      {
+        stage: 'final_notice',
+        query: { payment_status: 'overdue', due_date: { $lt: new Date(now - FINAL_NOTICE_DAYS * DAY_MS) } }
+      }
+    ];
+
+    const sent = {};
+    for (const { stage, query } of stages) {
+      const invoices = await Invoice.find({
+        ...query,
+        status: { $ne: 'cancelled' },
+        balance_due: { $gt: 0 },
+        'dunning.stages_sent': { $ne: stage }
+      }).select('user_id invoice_number due_date balance_due');
+
+      sent[stage] = 0;
+      for (const invoice of invoices) {
+        if (await this.sendDunning(invoice, stage, { accountOnHold: stage !== 'due_soon' })) {
+          sent[stage]++;
+        }
+      }
+    }
+    return sent;
+  }
+
+  async runDailyChecks() {
+    const overdue = await this.markOverdueInvoices();
+    const dunning = await this.sendDunningReminders();
+    logger.info('📅 Credit control checks completed', { ...overdue, dunning });
+    return { ...overdue, dunning };
+  }
+
+  startScheduler() {
+    if (this.isRunning) {
+      logger.warn('⚠️ Credit control scheduler already running');
+      return;
+    }
+
+    // '0 9 * * *' = every day at 09:00 IST, so reminders land in business hours
+    this.dailyJob = cron.schedule('0 9 * * *', async () => {
+      if (this.isChecking) {
+        logger.warn('⚠️ Credit control checks already in progress, skipping this execution');
+        return;
+      }
+
+      this.isChecking = true;
+      try {
+        await this.runDailyChecks();
+      } catch (error) {
+        logger.error('❌ Error in scheduled credit control checks:', error);
+      } finally {
+        this.isChecking = false;
+      }
+    }, {
+      scheduled: true,
+      timezone: 'Asia/Kolkata'
+    });
+
+    this.isRunning = true;
+    logger.info('✅ Credit control scheduler started');
+  }
+
+  stopScheduler() {
+    if (this.dailyJob) {
+      this.dailyJob.destroy();
+      this.isRunning = false;
+    }
+  }
+}
+
+module.exports = new CreditControlService();
+module.exports.UNPAID_STATUSES = UNPAID_STATUSES;
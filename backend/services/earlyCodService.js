@@ -0,0 +1,527 @@
+// Location: backend/services/earlyCodService.js
+const cron = require('node-cron');
+const User = require('../models/User');
+const Order = require('../models/Order');
+const Remittance = require('../models/Remittance');
+const CodAdvance = require('../models/CodAdvance');
+const walletLedgerService = require('./walletLedgerService');
+const websocketService = require('./websocketService');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_FEE_PERCENT = 1.5;
+// Plans sellers can choose: paid D+N days after delivery
+const DAY_OPTIONS = [1, 2, 3, 5, 7];
+const PAYOUT_MODES = ['wallet', 'bank'];
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const getDefaultFeePercent = () => {
+  const value = parseFloat(process.env.EARLY_COD_FEE_PERCENT);
+  return Number.isNaN(value) || value < 0 ? DEFAULT_FEE_PERCENT : value;
+};
+
+/**
+ * Early COD Service
+ * Sellers on the early-COD plan are paid the COD amount of a delivered order
+ * `early_cod.days` after delivery instead of waiting for the courier remittance.
+ *
+ * Each advance is posted through the wallet ledger: a cod_remittance credit for
+ * the COD amount and an early_cod_fee debit for the fee. For bank payouts the
+ * net amount then leaves the wallet as a cod_payout debit and waits in the
+ * payout queue until an admin records the bank transfer.
+ *
+ * When the courier's remittance is uploaded, advanced AWBs are netted off
+ * (settleRemittance): the remittance's net_payable excludes them and any
+ * difference between the remitted and advanced amount is posted to the wallet.
+ */
+class EarlyCodService {
+  constructor() {
+    this.advanceJob = null;
+    this.isRunning = false;
+    this.isProcessing = false;
+  }
+
+  getFeePercent(user) {
+    const override = user.early_cod?.fee_percent;
+    return override === undefined || override === null ? getDefaultFeePercent() : override;
+  }
+
+  getPlan(user) {
+    const plan = user.early_cod || {};
+    return {
+      enabled: Boolean(plan.enabled),
+      days: plan.days || 2,
+      fee_percent: this.getFeePercent(user),
+      fee_is_default: plan.fee_percent === undefined || plan.fee_percent === null,
+      payout_mode: plan.payout_mode || 'wallet',
+      opted_in_at: plan.opted_in_at || null,
+      day_options: DAY_OPTIONS,
+      default_fee_percent: getDefaultFeePercent()
+    };
+  }
+
+  /**
+   * Opt in/out or change the plan
+   * @param {string} userId
+   * @param {Object} changes - enabled, days, payout_mode; fee_percent only with allowFee (admin)
+   * @param {Object} [options]
+   * @param {string} [options.by]
+   * @param {boolean} [options.allowFee]
+   * @returns {Promise<Object>} { success, before, plan } or { success: false, code, error }
+   */
+  async updatePlan(userId, changes, { by = 'system', allowFee = false } = {}) {
+    const user = await User.findById(userId).select('company_name email bank_details early_cod');
+    if (!user) {
+      return { success: false, code: 'NOT_FOUND', error: 'User not found' };
+    }
+
+    const before = this.getPlan(user);
+    const updates = {};
+
+    if (changes.days !== undefined) {
+      const days = parseInt(changes.days, 10);
+      if (!DAY_OPTIONS.includes(days)) {
+        return { success: false, code: 'INVALID_DAYS', error: `Days must be one of ${DAY_OPTIONS.join(', ')}` };
+      }
+      updates['early_cod.days'] = days;
+    }
+
+    if (changes.payout_mode !== undefined) {
+      if (!PAYOUT_MODES.includes(changes.payout_mode)) {
+        return { success: false, code: 'INVALID_PAYOUT_MODE', error: 'Payout mode must be wallet or bank' };
+      }
+      updates['early_cod.payout_mode'] = changes.payout_mode;
+    }
+
+    if (allowFee && changes.fee_percent !== undefined) {
+      if (changes.fee_percent === null || changes.fee_percent === '') {
+        updates['early_cod.fee_percent'] = undefined;
+      } else {
+        const fee = parseFloat(changes.fee_percent);
+        if (Number.isNaN(fee) || fee < 0 || fee > 10) {
+          return { success: false, code: 'INVALID_FEE', error: 'Fee must be between 0 and 10 percent' };
+        }
+        updates['early_cod.fee_percent'] = round2(fee);
+      }
+    }
+
+    if (changes.enabled !== undefined) {
+      const enabled = changes.enabled === true || changes.enabled === 'true';
+      updates['early_cod.enabled'] = enabled;
+      if (enabled && !before.enabled) {
+        updates['early_cod.opted_in_at'] = new Date();
+      }
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return { success: false, code: 'NOTHING_TO_UPDATE', error: 'Nothing to update' };
+    }
+
+    const payoutMode = updates['early_cod.payout_mode'] || before.payout_mode;
+    const enabled = updates['early_cod.enabled'] ?? before.enabled;
+    if (enabled && payoutMode === 'bank' && !(user.bank_details?.account_number && user.bank_details?.ifsc_code)) {
+      return { success: false, code: 'NO_BANK_DETAILS', error: 'Add bank details before choosing bank payouts' };
+    }
+
+    user.set(updates);
+    user.early_cod.updated_by = by;
+    await user.save();
+
+    logger.info('💸 Early COD plan updated', { userId: String(user._id), before, after: updates, by });
+    return { success: true, before, plan: this.getPlan(user) };
+  }
+
+  /**
+   * Delivered COD orders of a seller that are due for an advance: delivered
+   * after opting in and at least `days` ago, not remitted by the courier yet
+   * and not advanced before.
+   */
+  async findDueOrders(user, now = new Date()) {
+    const plan = user.early_cod;
+    const dueBefore = new Date(now.getTime() - plan.days * DAY_MS);
+    if (plan.opted_in_at && plan.opted_in_at > dueBefore) {
+      return [];
+    }
+
+    const orders = await Order.find({
+      user_id: user._id,
+      status: 'delivered',
+      'payment_info.payment_mode': 'COD',
+      'payment_info.cod_remitted': { $ne: true },
+      'delhivery_data.waybill': { $nin: [null, ''] },
+      delivered_date: { $gte: plan.opted_in_at || dueBefore, $lte: dueBefore }
+    })
+      .select('order_id delivered_date delhivery_data.waybill payment_info.cod_amount')
+      .lean();
+    if (orders.length === 0) return [];
+
+    const awbs = orders.map(order => order.delhivery_data.waybill);
+    const [advanced, remitted] = await Promise.all([
+      CodAdvance.find({ order_id: { $in: orders.map(order => order._id) } }).select('order_id').lean(),
+      Remittance.find({ user_id: user._id, 'remittance_orders.awb_number': { $in: awbs } })
+        .select('remittance_orders.awb_number')
+        .lean()
+    ]);
+    const advancedIds = new Set(advanced.map(advance => String(advance.order_id)));
+    const remittedAwbs = new Set(remitted.flatMap(remittance => remittance.remittance_orders.map(entry => entry.awb_number)));
+
+    return orders.filter(order =>
+      !advancedIds.has(String(order._id)) &&
+      !remittedAwbs.has(order.delhivery_data.waybill) &&
+      order.payment_info.cod_amount > 0
+    );
+  }
+
+  /**
+   * Pay one order's COD to the seller ahead of the courier remittance
+   * @returns {Promise<Object>} { success, advance } or { success: false, code, error }
+   */
+  async advanceOrder(user, order) {
+    const awb = order.delhivery_data.waybill;
+    const codAmount = round2(order.payment_info.cod_amount);
+    const feePercent = this.getFeePercent(user);
+    const feeAmount = round2(codAmount * feePercent / 100);
+    const payoutMode = user.early_cod.payout_mode || 'wallet';
+
+    let advance;
+    try {
+      // The unique order_id claims the order, so two runs never advance it twice
+      advance = await CodAdvance.create({
+        user_id: user._id,
+        order_id: order._id,
+        internal_order_id: order.order_id,
+        awb_number: awb,
+        delivered_date: order.delivered_date,
+        plan_days: user.early_cod.days,
+        cod_amount: codAmount,
+        fee_percent: feePercent,
+        fee_amount: feeAmount,
+        net_amount: round2(codAmount - feeAmount),
+        payout_mode: payoutMode,
+        status: payoutMode === 'bank' ? 'payout_pending' : 'paid'
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        return { success: false, code: 'ALREADY_ADVANCED', error: `Order ${order.order_id} was already advanced` };
+      }
+      throw error;
+    }
+
+    const orderFields = {
+      related_order_id: order._id,
+      related_awb: awb,
+      reference_number: String(advance._id),
+      order_info: { order_id: order.order_id, awb_number: awb }
+    };
+
+    const credit = await walletLedgerService.credit({
+      userId: user._id,
+      amount: codAmount,
+      category: 'cod_remittance',
+      description: `Early COD for AWB ${awb} (D+${user.early_cod.days})`,
+      fields: orderFields
+    });
+    if (!credit.success) {
+      await CodAdvance.deleteOne({ _id: advance._id });
+      logger.error('❌ Early COD credit failed', { orderId: order.order_id, awb, error: credit.error });
+      return { success: false, code: credit.code, error: credit.error };
+    }
+    advance.advance_transaction_id = credit.transaction.transaction_id;
+
+    if (feeAmount > 0) {
+      const fee = await walletLedgerService.debit({
+        userId: user._id,
+        amount: feeAmount,
+        category: 'early_cod_fee',
+        description: `Early COD fee ${feePercent}% for AWB ${awb}`,
+        fields: orderFields
+      });
+      if (fee.success) {
+        advance.fee_transaction_id = fee.transaction.transaction_id;
+      } else {
+        logger.error('❌ Early COD fee debit failed', { orderId: order.order_id, awb, error: fee.error });
+      }
+    }
+
+    if (payoutMode === 'bank') {
+      const payout = await walletLedgerService.debit({
+        userId: user._id,
+        amount: advance.net_amount,
+        category: 'cod_payout',
+        description: `Early COD bank payout for AWB ${awb}`,
+        fields: orderFields
+      });
+      if (payout.success) {
+        advance.payout_transaction_id = payout.transaction.transaction_id;
+      } else {
+        // Leave the money in the wallet rather than owing a transfer that was never taken out
+        advance.status = 'paid';
+        advance.payout_mode = 'wallet';
+        advance.paid_at = new Date();
+        logger.error('❌ Early COD payout debit failed, kept in wallet', { orderId: order.order_id, awb, error: payout.error });
+      }
+    } else {
+      advance.paid_at = new Date();
+    }
+
+    await advance.save();
+    return { success: true, advance };
+  }
+
+  /**
+   * Advance every due order of every seller on the plan
+   * @returns {Promise<Object>} { sellers, advanced, amount, fees, failed }
+   */
+  async processDueAdvances() {
+    const result = { sellers: 0, advanced: 0, amount: 0, fees: 0, failed: 0 };
+    const users = await User.find({ 'early_cod.enabled': true }).select('early_cod');
+
+    for (const user of users) {
+      try {
+        const orders = await this.findDueOrders(user);
+        if (orders.length === 0) continue;
+
+        result.sellers++;
+        let sellerAmount = 0;
+        let sellerCount = 0;
+        for (const order of orders) {
+          const advanced = await this.advanceOrder(user, order);
+          if (!advanced.success) {
+            if (advanced.code !== 'ALREADY_ADVANCED') result.failed++;
+            continue;
+          }
+          sellerCount++;
+          sellerAmount += advanced.advance.net_amount;
+          result.advanced++;
+          result.amount += advanced.advance.cod_amount;
+          result.fees += advanced.advance.fee_amount;
+        }
+
+        if (sellerCount > 0) {
+          websocketService.sendNotificationToClient(String(user._id), {
+            type: 'early_cod_paid',
+            title: 'Early COD paid',
+            message: user.early_cod.payout_mode === 'bank'
+              ? `₹${round2(sellerAmount).toFixed(2)} early COD for ${sellerCount} orders is queued for bank transfer.`
+              : `₹${round2(sellerAmount).toFixed(2)} early COD for ${sellerCount} orders was credited to your wallet.`,
+            amount: round2(sellerAmount),
+            orders: sellerCount,
+            created_at: new Date()
+          });
+        }
+      } catch (error) {
+        result.failed++;
+        logger.error('❌ Early COD run failed for seller', { userId: String(user._id), error: error.message });
+      }
+    }
+
+    result.amount = round2(result.amount);
+    result.fees = round2(result.fees);
+    logger.info('💸 Early COD advances processed', result);
+    return result;
+  }
+
+  /**
+   * Record the bank transfer of a queued payout
+   * @returns {Promise<Object>} { success, advance } or { success: false, code, error }
+   */
+  async markPayoutPaid(advanceId, { utr, by }) {
+    const advance = await CodAdvance.findById(advanceId);
+    if (!advance) {
+      return { success: false, code: 'NOT_FOUND', error: 'Advance not found' };
+    }
+    if (advance.status !== 'payout_pending') {
+      return { success: false, code: 'NOT_PENDING', error: 'This payout was already made' };
+    }
+
+    advance.status = 'paid';
+    advance.bank_utr = utr;
+    advance.paid_at = new Date();
+    advance.paid_by = by;
+    await advance.save();
+
+    logger.info('🏦 Early COD bank payout recorded', { advanceId: String(advance._id), awb: advance.awb_number, utr, by });
+    return { success: true, advance };
+  }
+
+  /**
+   * Net advanced AWBs off against an uploaded courier remittance. Safe to run
+   * again when the same remittance is uploaded again; adjustments are only
+   * posted the first time an advance is settled.
+   * @param {Object} remittance - Saved Remittance document
+   * @returns {Promise<Object>} { advanced_orders, advanced_amount, net_payable, settled, adjustments_pending }
+   */
+  async settleRemittance(remittance, { by = 'system' } = {}) {
+    const lines = new Map((remittance.remittance_orders || []).map(entry => [entry.awb_number, entry]));
+    const advances = await CodAdvance.find({
+      user_id: remittance.user_id,
+      awb_number: { $in: [...lines.keys()] },
+      $or: [
+        { 'settlement.settled_at': null },
+        { 'settlement.remittance_number': remittance.remittance_number }
+      ]
+    });
+
+    let advancedAmount = 0;
+    let settled = 0;
+    let adjustmentsPending = 0;
+
+    for (const advance of advances) {
+      const line = lines.get(advance.awb_number);
+      const remittedAmount = round2(line.amount_collected);
+      advancedAmount += remittedAmount;
+
+      if (advance.settlement?.settled_at) {
+        continue;
+      }
+
+      const difference = round2(remittedAmount - advance.cod_amount);
+      advance.settlement = {
+        remittance_number: remittance.remittance_number,
+        remittance_id: remittance._id,
+        remitted_amount: remittedAmount,
+        difference,
+        adjustment_pending: false,
+        settled_at: new Date()
+      };
+
+      if (difference !== 0) {
+        const post = difference > 0 ? walletLedgerService.credit.bind(walletLedgerService) : walletLedgerService.debit.bind(walletLedgerService);
+        const adjustment = await post({
+          userId: advance.user_id,
+          amount: Math.abs(difference),
+          category: 'cod_remittance',
+          description: `Early COD adjustment for AWB ${advance.awb_number}: remitted ₹${remittedAmount.toFixed(2)}, advanced ₹${advance.cod_amount.toFixed(2)}`,
+          fields: {
+            related_order_id: advance.order_id,
+            related_awb: advance.awb_number,
+            reference_number: remittance.remittance_number
+          },
+          postedBy: by
+        });
+        if (adjustment.success) {
+          advance.settlement.adjustment_transaction_id = adjustment.transaction.transaction_id;
+        } else {
+          advance.settlement.adjustment_pending = true;
+          adjustmentsPending++;
+          logger.warn('⚠️ Early COD adjustment not posted', {
+            awb: advance.awb_number,
+            difference,
+            error: adjustment.error
+          });
+        }
+      }
+
+      await advance.save();
+      settled++;
+    }
+
+    const earlyCod = {
+      advanced_orders: advances.length,
+      advanced_amount: round2(advancedAmount),
+      net_payable: round2((remittance.total_remittance || 0) - advancedAmount)
+    };
+    await Remittance.updateOne({ _id: remittance._id }, { $set: { early_cod: earlyCod } });
+    remittance.early_cod = earlyCod;
+
+    if (settled > 0) {
+      logger.info('💸 Early COD advances settled', {
+        remittanceNumber: remittance.remittance_number,
+        userId: String(remittance.user_id),
+        settled,
+        ...earlyCod
+      });
+    }
+    return { ...earlyCod, settled, adjustments_pending: adjustmentsPending };
+  }
+
+  /**
+   * Plan, totals and recent advances of a seller
+   */
+  async getSummary(userId, { page = 1, limit = 20 } = {}) {
+    const user = await User.findById(userId).select('early_cod');
+    if (!user) return null;
+
+    const [totals, advances, total] = await Promise.all([
+      CodAdvance.aggregate([
+        { $match: { user_id: user._id } },
+        {
+          $group: {
+            _id: null,
+            advanced_orders: { $sum: 1 },
+            advanced_amount: { $sum: '$cod_amount' },
+            fees: { $sum: '$fee_amount' },
+            awaiting_remittance: { $sum: { $cond: [{ $ifNull: ['$settlement.settled_at', false] }, 0, 1] } },
+            payouts_pending: { $sum: { $cond: [{ $eq: ['$status', 'payout_pending'] }, '$net_amount', 0] } }
+          }
+        }
+      ]),
+      CodAdvance.find({ user_id: user._id })
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      CodAdvance.countDocuments({ user_id: user._id })
+    ]);
+
+    const stats = totals[0] || { advanced_orders: 0, advanced_amount: 0, fees: 0, awaiting_remittance: 0, payouts_pending: 0 };
+    delete stats._id;
+
+    return {
+      plan: this.getPlan(user),
+      stats: {
+        ...stats,
+        advanced_amount: round2(stats.advanced_amount),
+        fees: round2(stats.fees),
+        payouts_pending: round2(stats.payouts_pending)
+      },
+      advances,
+      pagination: {
+        current_page: page,
+        total_pages: Math.ceil(total / limit),
+        total_count: total,
+        per_page: limit
+      }
+    };
+  }
+
+  startScheduler() {
+    if (this.isRunning) {
+      logger.warn('⚠️ Early COD scheduler already running');
+      return;
+    }
+
+    // '0 10 * * *' = every day at 10:00 IST, after the night's delivery updates
+    this.advanceJob = cron.schedule('0 10 * * *', async () => {
+      if (this.isProcessing) {
+        logger.warn('⚠️ Early COD run already in progress, skipping this execution');
+        return;
+      }
+
+      this.isProcessing = true;
+      try {
+        await this.processDueAdvances();
+      } catch (error) {
+        logger.error('❌ Error in scheduled early COD run:', error);
+      } finally {
+        this.isProcessing = false;
+      }
+    }, {
+      scheduled: true,
+      timezone: 'Asia/Kolkata'
+    });
+
+    this.isRunning = true;
+    logger.info('✅ Early COD scheduler started');
+  }
+
+  stopScheduler() {
+    if (this.advanceJob) {
+      this.advanceJob.destroy();
+      this.isRunning = false;
+    }
+  }
+}
+
+module.exports = new EarlyCodService();
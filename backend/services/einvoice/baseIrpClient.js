@@ -0,0 +1,84 @@
+// Location: backend/services/einvoice/baseIrpClient.js
+
+/**
+ * Base IRP Client
+ * Contract for Invoice Registration Portals (the NIC e-invoice system or a GSP
+ * in front of it). The client only transports the NIC e-invoice JSON; building
+ * the payload and storing the result is done by services/einvoiceService.js.
+ *
+ * All methods resolve to { success: boolean, ..., error?: string, error_code?: string }
+ * and never throw for portal side failures.
+ *
+ * A registered IRN resolves to:
+ *   { success, irn, ack_no, ack_date (Date), signed_invoice, signed_qr_code }
+ */
+class BaseIrpClient {
+  /**
+   * @param {Object} config
+   * @param {string} config.code - Client code used in EINVOICE_IRP (e.g. 'NIC')
+   * @param {string} config.name - Human readable portal name
+   */
+  constructor({ code, name }) {
+    this.code = code;
+    this.name = name;
+  }
+
+  notSupported(method) {
+    return Promise.resolve({
+      success: false,
+      error: `${this.name} does not support ${method}`
+    });
+  }
+
+  /**
+   * Check whether the portal credentials/configuration are usable
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Register an invoice and get its IRN. When the document was already
+   * registered, resolves to the existing IRN instead of failing.
+   * @param {Object} payload - NIC e-invoice JSON (schema version 1.1)
+   * @returns {Promise<Object>}
+   */
+  async generateIRN(payload) {
+    return this.notSupported('generateIRN');
+  }
+
+  /**
+   * Fetch a registered IRN with its signed invoice and QR code
+   * @param {Object} params
+   * @param {string} params.gstin - Supplier GSTIN
+   * @param {string} params.irn
+   * @returns {Promise<Object>}
+   */
+  async getIRN(params) {
+    return this.notSupported('getIRN');
+  }
+
+  /**
+   * Cancel an IRN. The portal only allows this within 24 hours of generation.
+   * @param {Object} params
+   * @param {string} params.gstin - Supplier GSTIN
+   * @param {string} params.irn
+   * @param {string} params.reason_code - '1' duplicate, '2' data entry mistake, '3' order cancelled, '4' others
+   * @param {string} params.remarks
+   * @returns {Promise<{success: boolean, cancelled_at?: Date, error?: string, error_code?: string}>}
+   */
+  async cancelIRN(params) {
+    return this.notSupported('cancelIRN');
+  }
+
+  describe() {
+    return {
+      code: this.code,
+      name: this.name,
+      configured: this.isConfigured()
+    };
+  }
+}
+
+module.exports = BaseIrpClient;
@@ -0,0 +1,43 @@
+// Location: backend/services/einvoice/index.js
+// IRP registry - the portal B2B invoices are registered with for an IRN.
+//
+// Environment:
+//   EINVOICE_IRP - client code (NIC | STUB). E-invoicing is off when unset.
+//
+// To add a portal or GSP: implement BaseIrpClient and register it in CLIENTS.
+const NicIrpClient = require('./nicIrpClient');
+const StubIrpClient = require('./stubIrpClient');
+
+const CLIENTS = {
+  NIC: NicIrpClient,
+  STUB: StubIrpClient
+};
+
+const instances = new Map();
+
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+const isEnabled = () => Boolean(normalizeCode(process.env.EINVOICE_IRP));
+
+/**
+ * Get an IRP client
+ * @param {string} [code] - Client code, defaults to EINVOICE_IRP
+ * @returns {BaseIrpClient}
+ */
+const getClient = (code) => {
+  const normalized = normalizeCode(code || process.env.EINVOICE_IRP);
+  if (!CLIENTS[normalized]) {
+    throw new Error(`Unknown IRP client: ${code || process.env.EINVOICE_IRP}`);
+  }
+
+  if (!instances.has(normalized)) {
+    instances.set(normalized, new CLIENTS[normalized]());
+  }
+  return instances.get(normalized);
+};
+
+module.exports = {
+  getClient,
+  isEnabled,
+  normalizeCode
+};
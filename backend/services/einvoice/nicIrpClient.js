@@ -0,0 +1,229 @@
+// Location: backend/services/einvoice/nicIrpClient.js
+const crypto = require('crypto');
+const axios = require('axios');
+const BaseIrpClient = require('./baseIrpClient');
+const logger = require('../../utils/logger');
+
+const REQUEST_TIMEOUT_MS = 30000;
+// Refresh the auth token this long before the portal expires it
+const TOKEN_REFRESH_MARGIN_MS = 10 * 60 * 1000;
+const DEFAULT_BASE_URL = 'https://einv-apisandbox.nic.in';
+
+// The portal reports times in IST as "YYYY-MM-DD HH:mm:ss"
+const parseISTDate = (value) => {
+  if (!value) return new Date();
+  const date = new Date(`${String(value).replace(' ', 'T')}+05:30`);
+  return Number.isNaN(date.getTime()) ? new Date() : date;
+};
+
+/**
+ * NIC IRP Client
+ * Talks to the NIC e-invoice API directly (v1.04 auth, v1.03 invoice APIs).
+ *
+ * Requests are encrypted as the portal requires: the login payload with the
+ * NIC public key (RSA), everything after it with the session key (SEK,
+ * AES-256-ECB) returned by the login. Tokens are cached per supplier GSTIN.
+ *
+ * Environment:
+ *   EINVOICE_NIC_BASE_URL      - default: the NIC sandbox
+ *   EINVOICE_NIC_CLIENT_ID     - API client id
+ *   EINVOICE_NIC_CLIENT_SECRET - API client secret
+ *   EINVOICE_NIC_USERNAME      - API user created on the e-invoice portal
+ *   EINVOICE_NIC_PASSWORD
+ *   EINVOICE_NIC_PUBLIC_KEY    - NIC public key (PEM, newlines may be written as \n)
+ */
+class NicIrpClient extends BaseIrpClient {
+  constructor() {
+    super({
+      code: 'NIC',
+      name: 'NIC e-Invoice'
+    });
+    this.sessions = new Map();
+  }
+
+  isConfigured() {
+    return Boolean(
+      process.env.EINVOICE_NIC_CLIENT_ID &&
+      process.env.EINVOICE_NIC_CLIENT_SECRET &&
+      process.env.EINVOICE_NIC_USERNAME &&
+      process.env.EINVOICE_NIC_PASSWORD &&
+      process.env.EINVOICE_NIC_PUBLIC_KEY
+    );
+  }
+
+  getBaseUrl() {
+    return (process.env.EINVOICE_NIC_BASE_URL || DEFAULT_BASE_URL).replace(/\/$/, '');
+  }
+
+  baseHeaders(gstin) {
+    return {
+      client_id: process.env.EINVOICE_NIC_CLIENT_ID,
+      client_secret: process.env.EINVOICE_NIC_CLIENT_SECRET,
+      Gstin: gstin,
+      'Content-Type': 'application/json'
+    };
+  }
+
+  encryptWithSek(sek, data) {
+    const cipher = crypto.createCipheriv('aes-256-ecb', sek, null);
+    return Buffer.concat([cipher.update(JSON.stringify(data)), cipher.final()]).toString('base64');
+  }
+
+  decryptWithKey(key, base64) {
+    const decipher = crypto.createDecipheriv('aes-256-ecb', key, null);
+    return Buffer.concat([decipher.update(Buffer.from(base64, 'base64')), decipher.final()]);
+  }
+
+  // ErrorDetails on a failed response, as { error_code, error }
+  toError(body, fallback) {
+    const details = Array.isArray(body?.ErrorDetails) ? body.ErrorDetails : [];
+    return {
+      success: false,
+      error_code: details[0]?.ErrorCode,
+      error: details.map(detail => `${detail.ErrorCode}: ${detail.ErrorMessage}`).join('; ') || body?.message || fallback
+    };
+  }
+
+  /**
+   * Log in (or reuse a cached session) for a supplier GSTIN
+   * @returns {Promise<{success: boolean, token?: string, sek?: Buffer, error?: string}>}
+   */
+  async getSession(gstin, { force = false } = {}) {
+    const cached = this.sessions.get(gstin);
+    if (!force && cached && cached.expiresAt - TOKEN_REFRESH_MARGIN_MS > Date.now()) {
+      return { success: true, ...cached };
+    }
+
+    const appKey = crypto.randomBytes(32);
+    const publicKey = process.env.EINVOICE_NIC_PUBLIC_KEY.replace(/\\n/g, '\n');
+    const login = crypto.publicEncrypt(
+      { key: publicKey, padding: crypto.constants.RSA_PKCS1_PADDING },
+      Buffer.from(JSON.stringify({
+        UserName: process.env.EINVOICE_NIC_USERNAME,
+        Password: process.env.EINVOICE_NIC_PASSWORD,
+        AppKey: appKey.toString('base64'),
+        ForceRefreshAccessToken: force
+      }))
+    ).toString('base64');
+
+    const response = await axios.post(`${this.getBaseUrl()}/eivital/v1.04/auth`, { Data: login }, {
+      headers: this.baseHeaders(gstin),
+      timeout: REQUEST_TIMEOUT_MS,
+      validateStatus: () => true
+    });
+
+    const body = response.data || {};
+    if (String(body.Status) !== '1' || !body.Data?.AuthToken) {
+      logger.error('❌ NIC e-invoice login failed', { gstin, status: response.status, response: body.ErrorDetails || body });
+      return this.toError(body, `NIC login failed with HTTP ${response.status}`);
+    }
+
+    const session = {
+      token: body.Data.AuthToken,
+      sek: this.decryptWithKey(appKey, body.Data.Sek),
+      expiresAt: parseISTDate(body.Data.TokenExpiry).getTime()
+    };
+    this.sessions.set(gstin, session);
+    return { success: true, ...session };
+  }
+
+  /**
+   * Call an authenticated invoice API and decrypt its Data
+   * @returns {Promise<{success: boolean, data?: Object, body?: Object, error?: string, error_code?: string}>}
+   */
+  async request(gstin, method, path, data) {
+    if (!this.isConfigured()) {
+      return { success: false, error: 'NIC e-invoice credentials are not configured' };
+    }
+
+    try {
+      let session = await this.getSession(gstin);
+      if (!session.success) return session;
+
+      const send = () => axios({
+        method,
+        url: `${this.getBaseUrl()}${path}`,
+        data: data ? { Data: this.encryptWithSek(session.sek, data) } : undefined,
+        headers: {
+          ...this.baseHeaders(gstin),
+          user_name: process.env.EINVOICE_NIC_USERNAME,
+          AuthToken: session.token
+        },
+        timeout: REQUEST_TIMEOUT_MS,
+        validateStatus: () => true
+      });
+
+      let response = await send();
+      // The token was revoked early (e.g. a login from another client); log in again once
+      if (response.status === 401 || response.data?.ErrorDetails?.some(detail => detail.ErrorCode === '1005')) {
+        session = await this.getSession(gstin, { force: true });
+        if (!session.success) return session;
+        response = await send();
+      }
+
+      const body = response.data || {};
+      if (String(body.Status) !== '1') {
+        return { ...this.toError(body, `NIC returned HTTP ${response.status}`), body };
+      }
+
+      return {
+        success: true,
+        data: JSON.parse(this.decryptWithKey(session.sek, body.Data).toString())
+      };
+    } catch (error) {
+      logger.error('❌ NIC e-invoice request failed', { path, error: error.message });
+      return { success: false, error: error.message };
+    }
+  }
+
+  toResult(data) {
+    return {
+      success: true,
+      irn: data.Irn,
+      ack_no: String(data.AckNo),
+      ack_date: parseISTDate(data.AckDt),
+      signed_invoice: data.SignedInvoice,
+      signed_qr_code: data.SignedQRCode
+    };
+  }
+
+  async generateIRN(payload) {
+    const gstin = payload.SellerDtls?.Gstin;
+    const result = await this.request(gstin, 'post', '/eicore/v1.03/Invoice', payload);
+    if (result.success) {
+      return this.toResult(result.data);
+    }
+
+    // 2150 = already registered; the portal names the existing IRN in InfoDtls
+    const duplicate = (result.body?.InfoDtls || []).find(info => info.InfCd === 'DUPIRN');
+    if (result.error_code === '2150' && duplicate?.Desc?.Irn) {
+      return this.getIRN({ gstin, irn: duplicate.Desc.Irn });
+    }
+
+    logger.error('❌ NIC IRN generation failed', { docNo: payload.DocDtls?.No, error: result.error });
+    return { success: false, error_code: result.error_code, error: result.error };
+  }
+
+  async getIRN({ gstin, irn }) {
+    const result = await this.request(gstin, 'get', `/eicore/v1.03/Invoice/irn/${irn}`);
+    if (!result.success) {
+      return { success: false, error_code: result.error_code, error: result.error };
+    }
+    return this.toResult(result.data);
+  }
+
+  async cancelIRN({ gstin, irn, reason_code, remarks }) {
+    const result = await this.request(gstin, 'post', '/eicore/v1.03/Invoice/Cancel', {
+      Irn: irn,
+      CnlRsn: reason_code,
+      CnlRem: String(remarks || '').slice(0, 100)
+    });
+    if (!result.success) {
+      logger.error('❌ NIC IRN cancellation failed', { irn, error: result.error });
+      return { success: false, error_code: result.error_code, error: result.error };
+    }
+    return { success: true, cancelled_at: parseISTDate(result.data.CancelDate) };
+  }
+}
+
+module.exports = NicIrpClient;
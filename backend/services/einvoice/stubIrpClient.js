@@ -0,0 +1,148 @@
+// Location: backend/services/einvoice/stubIrpClient.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const BaseIrpClient = require('./baseIrpClient');
+const logger = require('../../utils/logger');
+
+const CANCEL_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Stub IRP Client
+ * Registers invoices locally so the e-invoice flow can be tested without the
+ * government portal. It follows the portal's rules that matter to us: the IRN
+ * is the SHA-256 of supplier GSTIN + financial year + document type + number,
+ * a document registers once (later calls get the same IRN back) and an IRN can
+ * only be cancelled within 24 hours.
+ *
+ * Registrations are kept in memory. The signed QR code is a JWT like the
+ * portal's, signed with EINVOICE_STUB_SECRET instead of the NIC key.
+ */
+class StubIrpClient extends BaseIrpClient {
+  constructor() {
+    super({
+      code: 'STUB',
+      name: 'Stub IRP'
+    });
+    this.registrations = new Map();
+    this.sequence = 0;
+  }
+
+  getSecret() {
+    return process.env.EINVOICE_STUB_SECRET || 'shipsarthi-stub-irp';
+  }
+
+  // DocDtls.Dt is dd/mm/yyyy; the financial year runs April to March
+  financialYear(docDate) {
+    const [, month, year] = String(docDate).split('/').map(Number);
+    const start = month >= 4 ? year : year - 1;
+    return `${start}-${String(start + 1).slice(-2)}`;
+  }
+
+  validate(payload) {
+    const errors = [];
+    if (!payload?.SellerDtls?.Gstin) errors.push('SellerDtls.Gstin is required');
+    if (!payload?.BuyerDtls?.Gstin) errors.push('BuyerDtls.Gstin is required');
+    if (!payload?.DocDtls?.No || !/^\d{2}\/\d{2}\/\d{4}$/.test(payload?.DocDtls?.Dt || '')) {
+      errors.push('DocDtls.No and DocDtls.Dt (dd/mm/yyyy) are required');
+    }
+    if (!Array.isArray(payload?.ItemList) || payload.ItemList.length === 0) {
+      errors.push('ItemList must have at least one item');
+    } else {
+      const itemTotal = payload.ItemList.reduce((sum, item) => sum + (item.TotItemVal || 0), 0);
+      if (Math.abs(itemTotal - (payload.ValDtls?.TotInvVal || 0)) > 1) {
+        errors.push('ValDtls.TotInvVal does not match the item totals');
+      }
+    }
+    return errors;
+  }
+
+  toResult(registration) {
+    return {
+      success: true,
+      irn: registration.irn,
+      ack_no: registration.ack_no,
+      ack_date: registration.ack_date,
+      signed_invoice: registration.signed_invoice,
+      signed_qr_code: registration.signed_qr_code
+    };
+  }
+
+  async generateIRN(payload) {
+    const errors = this.validate(payload);
+    if (errors.length > 0) {
+      return { success: false, error_code: '2100', error: errors.join('; ') };
+    }
+
+    const { SellerDtls, BuyerDtls, DocDtls, ItemList, ValDtls } = payload;
+    const irn = crypto.createHash('sha256')
+      .update(`${SellerDtls.Gstin}${this.financialYear(DocDtls.Dt)}${DocDtls.Typ}${DocDtls.No}`)
+      .digest('hex');
+
+    const existing = this.registrations.get(irn);
+    if (existing && !existing.cancelled_at) {
+      return this.toResult(existing);
+    }
+    if (existing) {
+      return { success: false, error_code: '2150', error: 'Duplicate IRN: this document was registered and cancelled' };
+    }
+
+    this.sequence += 1;
+    const ackDate = new Date();
+    const ackNo = `${ackDate.getFullYear().toString().slice(-2)}${String(Date.now()).slice(-8)}${String(this.sequence).padStart(5, '0')}`;
+
+    const signedQrCode = jwt.sign({
+      data: JSON.stringify({
+        SellerGstin: SellerDtls.Gstin,
+        BuyerGstin: BuyerDtls.Gstin,
+        DocNo: DocDtls.No,
+        DocTyp: DocDtls.Typ,
+        DocDt: DocDtls.Dt,
+        TotInvVal: ValDtls.TotInvVal,
+        ItemCnt: ItemList.length,
+        MainHsnCode: ItemList[0].HsnCd,
+        Irn: irn,
+        IrnDt: ackDate.toISOString()
+      })
+    }, this.getSecret(), { issuer: 'NIC (stub)' });
+
+    const registration = {
+      irn,
+      ack_no: ackNo,
+      ack_date: ackDate,
+      signed_invoice: jwt.sign({ data: JSON.stringify({ ...payload, Irn: irn, AckNo: ackNo }) }, this.getSecret(), { issuer: 'NIC (stub)' }),
+      signed_qr_code: signedQrCode,
+      gstin: SellerDtls.Gstin
+    };
+    this.registrations.set(irn, registration);
+
+    logger.info('🧾 Stub IRP registered invoice', { docNo: DocDtls.No, irn, ackNo });
+    return this.toResult(registration);
+  }
+
+  async getIRN({ gstin, irn }) {
+    const registration = this.registrations.get(irn);
+    if (!registration || registration.gstin !== gstin) {
+      return { success: false, error_code: '2283', error: 'IRN details are not found' };
+    }
+    return this.toResult(registration);
+  }
+
+  async cancelIRN({ gstin, irn, reason_code, remarks }) {
+    const registration = this.registrations.get(irn);
+    if (!registration || registration.gstin !== gstin) {
+      return { success: false, error_code: '2283', error: 'IRN details are not found' };
+    }
+    if (registration.cancelled_at) {
+      return { success: false, error_code: '9999', error: 'Invoice is already cancelled' };
+    }
+    if (Date.now() - registration.ack_date.getTime() > CANCEL_WINDOW_MS) {
+      return { success: false, error_code: '2270', error: 'The allowed cancellation time limit is crossed, you cannot cancel the IRN' };
+    }
+
+    registration.cancelled_at = new Date();
+    logger.info('🧾 Stub IRP cancelled IRN', { irn, reasonCode: reason_code, remarks });
+    return { success: true, cancelled_at: registration.cancelled_at };
+  }
+}
+
+module.exports = StubIrpClient;
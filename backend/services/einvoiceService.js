@@ -0,0 +1,293 @@
+// Location: backend/services/einvoiceService.js
+const Invoice = require('../models/Invoice');
+const InvoiceRenderer = require('./invoiceRenderer');
+const irpRegistry = require('./einvoice');
+const logger = require('../utils/logger');
+
+const GSTIN_REGEX = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z]{1}[1-9A-Z]{1}Z[0-9A-Z]{1}$/;
+// The IRP only cancels an IRN within 24 hours of generation
+const CANCEL_WINDOW_MS = 24 * 60 * 60 * 1000;
+// Failed registrations are retried for this long after the invoice date
+const RETRY_WINDOW_DAYS = 30;
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+// dd/mm/yyyy in IST, as the e-invoice schema expects
+const formatDocDate = (date) => new Date(date).toLocaleDateString('en-GB', { timeZone: 'Asia/Kolkata' });
+
+/**
+ * E-Invoice Service
+ * Registers B2B invoices (sellers with a GSTIN) with the IRP configured in
+ * EINVOICE_IRP and stores the IRN, ack number and signed QR code on the invoice.
+ *
+ * Builds the NIC e-invoice JSON (schema 1.1) from the invoice: the supplier is
+ * the platform (see InvoiceRenderer.getSupplier), the buyer is the seller being
+ * billed, and the single SAC line matches the printed tax invoice.
+ *
+ * Methods resolve to { success, ... } or { success: false, code, error } and
+ * record the outcome on the invoice; portal failures do not throw.
+ */
+class EInvoiceService {
+
+  /**
+   * Whether an invoice must be registered for an IRN
+   */
+  isApplicable(invoice) {
+    return irpRegistry.isEnabled() &&
+      GSTIN_REGEX.test(invoice.gst_info?.buyer_gstin || '') &&
+      invoice.payment_status !== 'cancelled' &&
+      (invoice.amounts?.grand_total || 0) > 0;
+  }
+
+  /**
+   * Build the NIC e-invoice JSON for an invoice
+   * @returns {{success: boolean, payload?: Object, code?: string, error?: string}}
+   */
+  buildPayload(invoice) {
+    const supplier = InvoiceRenderer.getSupplier(invoice);
+    const gst = invoice.gst_info || {};
+    const billing = invoice.billing_address || {};
+    const amounts = invoice.amounts || {};
+
+    const missing = [];
+    if (!GSTIN_REGEX.test(supplier.gstin || '')) missing.push('supplier GSTIN');
+    if (!supplier.address) missing.push('INVOICE_SUPPLIER_ADDRESS');
+    if (!supplier.city) missing.push('INVOICE_SUPPLIER_CITY');
+    if (!/^\d{6}$/.test(supplier.pincode || '')) missing.push('INVOICE_SUPPLIER_PINCODE');
+    if (!billing.company_name) missing.push('buyer company name');
+    if (!billing.address) missing.push('buyer address');
+    if (!billing.city) missing.push('buyer city');
+    if (!/^\d{6}$/.test(billing.pincode || '')) missing.push('buyer pincode');
+    if (missing.length > 0) {
+      return { success: false, code: 'MISSING_DETAILS', error: `Missing e-invoice details: ${missing.join(', ')}` };
+    }
+
+    const buyerStateCode = gst.buyer_gstin.slice(0, 2);
+    const taxRate = gst.is_igst ? amounts.igst_rate : amounts.cgst_rate + amounts.sgst_rate;
+    const taxable = round2(amounts.subtotal);
+    const igst = round2(amounts.igst_amount);
+    const cgst = round2(amounts.cgst_amount);
+    const sgst = round2(amounts.sgst_amount);
+
+    return {
+      success: true,
+      payload: {
+        Version: '1.1',
+        TranDtls: {
+          TaxSch: 'GST',
+          SupTyp: 'B2B',
+          RegRev: 'N',
+          IgstOnIntra: 'N'
+        },
+        DocDtls: {
+          Typ: 'INV',
+          No: invoice.invoice_number,
+          Dt: formatDocDate(invoice.invoice_date)
+        },
+        SellerDtls: {
+          Gstin: supplier.gstin,
+          LglNm: supplier.name.slice(0, 100),
+          Addr1: supplier.address.slice(0, 100),
+          Addr2: supplier.address.length > 100 ? supplier.address.slice(100, 200) : undefined,
+          Loc: supplier.city.slice(0, 50),
+          Pin: Number(supplier.pincode),
+          Stcd: supplier.gstin.slice(0, 2),
+          Em: supplier.email || undefined
+        },
+        BuyerDtls: {
+          Gstin: gst.buyer_gstin,
+          LglNm: billing.company_name.slice(0, 100),
+          // '99' is getStateCode's "unknown"; fall back to the buyer's registered state
+          Pos: gst.place_of_supply && gst.place_of_supply !== '99' ? gst.place_of_supply : buyerStateCode,
+          Addr1: billing.address.slice(0, 100),
+          Addr2: billing.address.length > 100 ? billing.address.slice(100, 200) : undefined,
+          Loc: billing.city.slice(0, 50),
+          Pin: Number(billing.pincode),
+          Stcd: buyerStateCode
+        },
+        ItemList: [{
+          SlNo: '1',
+          PrdDesc: `Courier and logistics services (${invoice.service_type || 'Domestic B2C'})`,
+          IsServc: 'Y',
+          HsnCd: gst.sac_code || '996719',
+          UnitPrice: taxable,
+          TotAmt: taxable,
+          Discount: 0,
+          AssAmt: taxable,
+          GstRt: taxRate,
+          IgstAmt: igst,
+          CgstAmt: cgst,
+          SgstAmt: sgst,
+          TotItemVal: round2(taxable + igst + cgst + sgst)
+        }],
+        ValDtls: {
+          AssVal: taxable,
+          IgstVal: igst,
+          CgstVal: cgst,
+          SgstVal: sgst,
+          TotInvVal: round2(amounts.grand_total)
+        }
+      }
+    };
+  }
+
+  /**
+   * Register an invoice with the IRP and store the IRN. Also used to retry a
+   * failed registration; the IRP returns the existing IRN for a document it has seen.
+   * @param {Object|string} invoiceRef - Invoice document or id
+   * @param {Object} [options]
+   * @param {string} [options.by] - Admin email or 'system'
+   * @returns {Promise<Object>} { success, invoice } or { success: false, code, error }
+   */
+  async generateIRN(invoiceRef, { by = 'system' } = {}) {
+    const invoice = typeof invoiceRef?.save === 'function' ? invoiceRef : await Invoice.findById(invoiceRef);
+    if (!invoice) {
+      return { success: false, code: 'NOT_FOUND', error: 'Invoice not found' };
+    }
+    if (invoice.payment_status === 'cancelled') {
+      return { success: false, code: 'INVOICE_CANCELLED', error: `Invoice ${invoice.invoice_number} is cancelled` };
+    }
+    if (invoice.irn) {
+      return { success: false, code: 'ALREADY_GENERATED', error: `Invoice ${invoice.invoice_number} already has an IRN` };
+    }
+    if (invoice.einvoice?.status === 'cancelled') {
+      return {
+        success: false,
+        code: 'IRN_CANCELLED',
+        error: `The IRN of invoice ${invoice.invoice_number} was cancelled; the invoice number cannot be registered again`
+      };
+    }
+    if (!this.isApplicable(invoice)) {
+      return {
+        success: false,
+        code: 'NOT_APPLICABLE',
+        error: irpRegistry.isEnabled() ? 'Only invoices to sellers with a GSTIN need an IRN' : 'E-invoicing is not enabled'
+      };
+    }
+
+    const client = irpRegistry.getClient();
+    invoice.einvoice.irp = client.code;
+    invoice.einvoice.attempts = (invoice.einvoice.attempts || 0) + 1;
+    invoice.einvoice.last_attempt_at = new Date();
+
+    const built = this.buildPayload(invoice);
+    let result = built;
+    if (built.success) {
+      try {
+        result = await client.generateIRN(built.payload);
+      } catch (error) {
+        result = { success: false, error: error.message };
+      }
+    }
+
+    if (!result.success) {
+      invoice.einvoice.status = 'failed';
+      invoice.einvoice.last_error = result.error;
+      await invoice.save();
+
+      logger.error('❌ IRN generation failed', {
+        invoiceNumber: invoice.invoice_number,
+        irp: client.code,
+        attempts: invoice.einvoice.attempts,
+        error: result.error
+      });
+      return { success: false, code: built.success ? 'IRP_ERROR' : built.code, error: result.error };
+    }
+
+    invoice.irn = result.irn;
+    invoice.irn_date = result.ack_date;
+    invoice.einvoice.status = 'generated';
+    invoice.einvoice.ack_no = result.ack_no;
+    invoice.einvoice.ack_date = result.ack_date;
+    invoice.einvoice.signed_invoice = result.signed_invoice;
+    invoice.einvoice.signed_qr_code = result.signed_qr_code;
+    invoice.einvoice.last_error = undefined;
+    invoice.einvoice.generated_by = by;
+    await invoice.save();
+
+    logger.info('🧾 IRN generated', {
+      invoiceNumber: invoice.invoice_number,
+      irp: client.code,
+      ackNo: result.ack_no,
+      by
+    });
+    return { success: true, invoice };
+  }
+
+  /**
+   * Cancel an invoice's IRN. Only possible within 24 hours of generation; after
+   * that the invoice has to be corrected with a credit note.
+   * @param {Object|string} invoiceRef - Invoice document or id
+   * @param {Object} data
+   * @param {string} [data.reasonCode] - '1' duplicate, '2' data entry mistake, '3' order cancelled, '4' others
+   * @param {string} data.remarks
+   * @param {string} data.by
+   * @returns {Promise<Object>} { success, invoice } or { success: false, code, error }
+   */
+  async cancelIRN(invoiceRef, { reasonCode = '4', remarks, by }) {
+    const invoice = typeof invoiceRef?.save === 'function' ? invoiceRef : await Invoice.findById(invoiceRef);
+    if (!invoice) {
+      return { success: false, code: 'NOT_FOUND', error: 'Invoice not found' };
+    }
+    if (!invoice.irn) {
+      return { success: false, code: 'NO_IRN', error: `Invoice ${invoice.invoice_number} has no IRN` };
+    }
+
+    const generatedAt = invoice.einvoice?.ack_date || invoice.irn_date;
+    if (generatedAt && Date.now() - new Date(generatedAt).getTime() > CANCEL_WINDOW_MS) {
+      return {
+        success: false,
+        code: 'CANCEL_WINDOW_EXPIRED',
+        error: `The IRN of invoice ${invoice.invoice_number} is more than 24 hours old and can no longer be cancelled; issue a credit note instead`
+      };
+    }
+
+    let result;
+    try {
+      result = await irpRegistry.getClient(invoice.einvoice?.irp).cancelIRN({
+        gstin: invoice.gst_info.seller_gstin,
+        irn: invoice.irn,
+        reason_code: reasonCode,
+        remarks: remarks || 'Cancelled'
+      });
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+
+    if (!result.success) {
+      return {
+        success: false,
+        code: result.error_code === '2270' ? 'CANCEL_WINDOW_EXPIRED' : 'IRP_ERROR',
+        error: result.error
+      };
+    }
+
+    const irn = invoice.irn;
+    invoice.einvoice.status = 'cancelled';
+    invoice.einvoice.cancelled_irn = irn;
+    invoice.einvoice.cancelled_at = result.cancelled_at || new Date();
+    invoice.einvoice.cancel_reason_code = reasonCode;
+    invoice.einvoice.cancel_remarks = remarks;
+    invoice.einvoice.cancelled_by = by;
+    invoice.irn = undefined;
+    invoice.irn_date = undefined;
+    await invoice.save();
+
+    logger.info('🧾 IRN cancelled', { invoiceNumber: invoice.invoice_number, irn, reasonCode, by });
+    return { success: true, invoice };
+  }
+
+  /**
+   * Invoices whose registration failed and may still be retried
+   */
+  async findPending() {
+    const since = new Date(Date.now() - RETRY_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+    return Invoice.find({
+      'einvoice.status': 'failed',
+      payment_status: { $ne: 'cancelled' },
+      invoice_date: { $gte: since }
+    }).sort({ invoice_date: 1 });
+  }
+}
+
+module.exports = new EInvoiceService();
@@ -350,7 +350,15 @@ class EmailService {
         };
       }
 
-      const { invoice_number, invoice_date, due_date, amounts, billing_address, user_email, user_name } = invoiceData;
+      const { invoice_number, invoice_date, due_date, amounts, billing_address, user_email, user_name, pdf_buffer, pdf_url } = invoiceData;
+
+      // Tax invoice PDF from InvoiceService.ensureInvoicePDF - fresh buffer, or the stored copy
+      const attachments = [];
+      if (pdf_buffer) {
+        attachments.push({ filename: `${invoice_number}.pdf`, content: pdf_buffer, contentType: 'application/pdf' });
+      } else if (pdf_url) {
+        attachments.push({ filename: `${invoice_number}.pdf`, path: pdf_url, contentType: 'application/pdf' });
+      }
 
       const mailOptions = {
         from: `"Shipsarthi Solutions" <${process.env.EMAIL_USER}>`,
@@ -411,7 +419,7 @@ class EmailService {
                   Total Amount: ₹${amounts?.grand_total?.toFixed(2) || '0.00'}
                 </div>
                 
-                <p>You can view and download your invoice by logging into your Shipsarthi account.</p>
+                <p>${attachments.length ? 'Your GST tax invoice is attached to this email. You' : 'You'} can also view and download your invoice by logging into your Shipsarthi account.</p>
                 
                 <a href="${process.env.FRONTEND_URL || 'https://shipsarthi.com'}/invoices/${invoiceData.invoice_id}" class="button">View Invoice</a>
                 
@@ -422,13 +430,15 @@ class EmailService {
             </div>
           </body>
           </html>
-        `
+        `,
+        attachments
       };
 
       const result = await this.transporter.sendMail(mailOptions);
       logger.info('Invoice notification email sent', {
         to: user_email,
         invoiceNumber: invoice_number,
+        attachedPdf: attachments.length > 0,
         messageId: result.messageId
       });
 
@@ -440,7 +450,281 @@ class EmailService {
     } catch (error) {
       logger.error('Failed to send invoice notification email', {
         error: error.message,
-        invoiceData: invoiceData
+        invoiceNumber: invoiceData.invoice_number,
+        to: invoiceData.user_email
+      });
+      throw error;
+    }
+  }
+
+  async sendDunningEmail(dunningData) {
+    try {
+      if (!this.isConnected) {
+        logger.warn('⚠️ EMAIL SERVICE - Skipping dunning email (service not connected)', {
+          reason: 'Email service connection failed',
+          invoiceNumber: dunningData.invoice_number,
+          stage: dunningData.stage
+        });
+        return {
+          success: false,
+          message: 'Email service not available',
+          messageId: null
+        };
+      }
+
+      const { stage, invoice_id, invoice_number, due_date, balance_due, days_overdue, account_on_hold, user_email, user_name } = dunningData;
+
+      const subjects = {
+        due_soon: `Payment reminder: Invoice ${invoice_number} is due on ${new Date(due_date).toLocaleDateString('en-GB')}`,
+        overdue: `Invoice ${invoice_number} is overdue - shipping on hold`,
+        final_notice: `Final notice: Invoice ${invoice_number} is ${days_overdue} days overdue`
+      };
+      const messages = {
+        due_soon: 'This is a reminder that the invoice below is due soon. Please pay it before the due date to keep shipping without interruption.',
+        overdue: 'The invoice below is past its due date. New shipments are on hold until it is paid.',
+        final_notice: `The invoice below is ${days_overdue} days overdue. Please pay it immediately or contact our accounts team.`
+      };
+
+      const mailOptions = {
+        from: `"Shipsarthi Solutions" <${process.env.EMAIL_USER}>`,
+        to: user_email,
+        subject: `${subjects[stage]} - Shipsarthi`,
+        html: `
+          <!DOCTYPE html>
+          <html>
+          <head>
+            <meta charset="utf-8">
+            <meta name="viewport" content="width=device-width, initial-scale=1.0">
+            <title>Invoice ${invoice_number} - Shipsarthi</title>
+            <style>
+              body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; margin: 0; padding: 0; }
+              .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+              .header { background: ${stage === 'due_soon' ? '#1976d2' : '#c62828'}; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0; }
+              .content { background: #f9f9f9; padding: 20px; border-radius: 0 0 8px 8px; }
+              .amount { font-size: 24px; font-weight: bold; color: #c62828; text-align: center; padding: 20px; }
+              .hold { background: #ffebee; border: 1px solid #ef9a9a; color: #b71c1c; padding: 12px; border-radius: 6px; }
+              .button { display: inline-block; background: #1976d2; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; margin: 20px 0; }
+            </style>
+          </head>
+          <body>
+            <div class="container">
+              <div class="header">
+                <h1>Invoice ${invoice_number}</h1>
+                <p>Due date: ${new Date(due_date).toLocaleDateString('en-GB')}</p>
+              </div>
+
+              <div class="content">
+                <p>Dear ${user_name || 'Valued Customer'},</p>
+
+                <p>${messages[stage]}</p>
+
+                <div class="amount">
+                  Amount Due: ₹${Number(balance_due || 0).toFixed(2)}
+                </div>
+
+                ${account_on_hold ? '<p class="hold">Your account is on hold. AWB generation will resume once all overdue invoices are paid.</p>' : ''}
+
+                <p>You can pay from your wallet on the invoice page, or by bank transfer quoting the invoice number.</p>
+
+                <a href="${process.env.FRONTEND_URL || 'https://shipsarthi.com'}/invoices/${invoice_id}" class="button">View Invoice</a>
+
+                <p>Best regards,<br>Shipsarthi Accounts Team</p>
+              </div>
+            </div>
+          </body>
+          </html>
+        `
+      };
+
+      const result = await this.transporter.sendMail(mailOptions);
+      logger.info('Dunning email sent', {
+        to: user_email,
+        invoiceNumber: invoice_number,
+        stage,
+        messageId: result.messageId
+      });
+
+      return {
+        success: true,
+        messageId: result.messageId
+      };
+
+    } catch (error) {
+      logger.error('Failed to send dunning email', {
+        error: error.message,
+        invoiceNumber: dunningData.invoice_number,
+        stage: dunningData.stage
+      });
+      throw error;
+    }
+  }
+
+  async sendNDRResponseEmail(ndrData) {
+    try {
+      if (!this.isConnected) {
+        logger.warn('⚠️ EMAIL SERVICE - Skipping NDR response email (service not connected)', {
+          reason: 'Email service connection failed',
+          orderId: ndrData.order_id
+        });
+        return {
+          success: false,
+          message: 'Email service not available',
+          messageId: null
+        };
+      }
+
+      const { to, customer_name, order_id, seller_name, link, expires_at } = ndrData;
+
+      const mailOptions = {
+        from: `"Shipsarthi Solutions" <${process.env.EMAIL_USER}>`,
+        to,
+        subject: `Delivery attempt failed for order ${order_id} - Shipsarthi`,
+        html: `
+          <!DOCTYPE html>
+          <html>
+          <head>
+            <meta charset="utf-8">
+            <meta name="viewport" content="width=device-width, initial-scale=1.0">
+            <title>Delivery attempt failed - Shipsarthi</title>
+            <style>
+              body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; margin: 0; padding: 0; }
+              .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+              .header { background: #002B59; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0; }
+              .content { background: #f9f9f9; padding: 20px; border-radius: 0 0 8px 8px; }
+              .button { display: inline-block; background: #F68723; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; margin: 20px 0; }
+              .note { font-size: 13px; color: #666; }
+            </style>
+          </head>
+          <body>
+            <div class="container">
+              <div class="header">
+                <h1>We missed you</h1>
+                <p>Order ${order_id} from ${seller_name}</p>
+              </div>
+
+              <div class="content">
+                <p>Dear ${customer_name || 'Customer'},</p>
+
+                <p>Our courier could not deliver your order today. Tell us how you would like us to proceed:</p>
+                <ul>
+                  <li>Try again or pick a new delivery date</li>
+                  <li>Correct your address or phone number</li>
+                  <li>Cancel the order</li>
+                </ul>
+
+                <a href="${link}" class="button">Choose Delivery Option</a>
+
+                <p class="note">This link is valid until ${new Date(expires_at).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' })}. If you do nothing, the courier will follow the seller's instructions.</p>
+
+                <p>Best regards,<br>Shipsarthi Team</p>
+              </div>
+            </div>
+          </body>
+          </html>
+        `
+      };
+
+      const result = await this.transporter.sendMail(mailOptions);
+      logger.info('NDR response email sent', {
+        to,
+        orderId: order_id,
+        messageId: result.messageId
+      });
+
+      return {
+        success: true,
+        messageId: result.messageId
+      };
+
+    } catch (error) {
+      logger.error('Failed to send NDR response email', {
+        error: error.message,
+        orderId: ndrData.order_id
+      });
+      throw error;
+    }
+  }
+
+  async sendTrackingLinkEmail(trackingData) {
+    try {
+      if (!this.isConnected) {
+        logger.warn('⚠️ EMAIL SERVICE - Skipping tracking link email (service not connected)', {
+          reason: 'Email service connection failed',
+          orderId: trackingData.order_id
+        });
+        return {
+          success: false,
+          message: 'Email service not available',
+          messageId: null
+        };
+      }
+
+      const { to, customer_name, order_id, seller_name, awb_number, link, brand } = trackingData;
+
+      const mailOptions = {
+        from: `"${seller_name} via Shipsarthi" <${process.env.EMAIL_USER}>`,
+        to,
+        subject: `Your order ${order_id} from ${seller_name} has been shipped`,
+        html: `
+          <!DOCTYPE html>
+          <html>
+          <head>
+            <meta charset="utf-8">
+            <meta name="viewport" content="width=device-width, initial-scale=1.0">
+            <title>Your order has been shipped</title>
+            <style>
+              body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; margin: 0; padding: 0; }
+              .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+              .header { background: ${brand.primary_color}; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0; }
+              .header img { max-height: 48px; max-width: 180px; margin-bottom: 8px; background: white; padding: 4px; border-radius: 4px; }
+              .content { background: #f9f9f9; padding: 20px; border-radius: 0 0 8px 8px; }
+              .button { display: inline-block; background: ${brand.accent_color}; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; margin: 20px 0; }
+              .note { font-size: 13px; color: #666; }
+            </style>
+          </head>
+          <body>
+            <div class="container">
+              <div class="header">
+                ${brand.logo_url ? `<img src="${brand.logo_url}" alt="${seller_name}">` : ''}
+                <h1>Your order is on its way</h1>
+                <p>Order ${order_id} from ${seller_name}</p>
+              </div>
+
+              <div class="content">
+                <p>Dear ${customer_name || 'Customer'},</p>
+
+                <p>Your order has been handed to the courier. Its AWB number is <strong>${awb_number}</strong>.</p>
+
+                <a href="${link}" class="button">Track Your Order</a>
+
+                ${brand.support.email || brand.support.phone
+    ? `<p class="note">Questions about your order? Contact ${seller_name}${brand.support.email ? ` at ${brand.support.email}` : ''}${brand.support.email && brand.support.phone ? ' or' : ''}${brand.support.phone ? ` on ${brand.support.phone}` : ''}.</p>`
+    : ''}
+
+                <p>Best regards,<br>${seller_name}</p>
+              </div>
+            </div>
+          </body>
+          </html>
+        `
+      };
+
+      const result = await this.transporter.sendMail(mailOptions);
+      logger.info('Tracking link email sent', {
+        to,
+        orderId: order_id,
+        messageId: result.messageId
+      });
+
+      return {
+        success: true,
+        messageId: result.messageId
+      };
+
+    } catch (error) {
+      logger.error('Failed to send tracking link email', {
+        error: error.message,
+        orderId: trackingData.order_id
       });
       throw error;
     }
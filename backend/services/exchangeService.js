@@ -0,0 +1,686 @@
+// Location: backend/services/exchangeService.js
+const Order = require('../models/Order');
+const Exchange = require('../models/Exchange');
+const RateCardService = require('./rateCardService');
+const returnService = require('./returnService');
+const websocketService = require('./websocketService');
+const carriers = require('./carriers');
+const { generateOrderId } = require('../utils/orderIdGenerator');
+const logger = require('../utils/logger');
+
+const RELEASE_RULES = ['immediate', 'after_pickup', 'after_qc'];
+// Reverse leg statuses that mean the original item has left the buyer
+const PICKED_UP_STATUSES = ['in_transit', 'out_for_delivery', 'delivered'];
+const ACTIVE_STATUSES = ['awaiting_pickup', 'qc_pending', 'qc_failed', 'in_progress'];
+const MAX_NOTES_LENGTH = 500;
+
+const HOLD_MESSAGES = {
+  after_pickup: 'This exchange order ships after the original item is picked up from the buyer',
+  after_qc: 'This exchange order ships after the returned item passes QC'
+};
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const plain = (value) => (value && typeof value.toObject === 'function' ? value.toObject() : value);
+
+/**
+ * Exchange Service
+ * An exchange replaces items from a delivered order. It creates two orders
+ * together and links both to the original order through Order.exchange_info:
+ * - forward leg: the replacement, REPL payment mode, warehouse -> buyer
+ * - reverse leg: pickup of the original item, Pickup payment mode, buyer -> warehouse
+ *
+ * The release rule decides when the forward leg may get an AWB: straight away,
+ * after the reverse leg is picked up, or after the seller records a QC pass.
+ * Until then the forward leg is on hold and AWB generation refuses it.
+ *
+ * Each leg is priced on its own lane with RateCardService and charged like any
+ * other order when it is created (routes/orders.js POST /:id/exchange).
+ * Leg status changes reach the exchange from the Order post-save hook (syncLeg).
+ */
+class ExchangeService {
+  /**
+   * Why an order cannot get an AWB yet, or null
+   */
+  async getHoldMessage(order) {
+    if (!order.exchange_info?.on_hold) {
+      return null;
+    }
+    const exchange = await Exchange.findById(order.exchange_info.exchange_id).select('release_rule').lean();
+    return HOLD_MESSAGES[exchange?.release_rule] || 'This exchange order is on hold until the original item is returned';
+  }
+
+  /**
+   * Quantities of each original line already in an exchange that is not cancelled
+   */
+  async getExchangedQuantities(order) {
+    const exchanges = await Exchange.find({ original_order_id: order._id, status: { $ne: 'cancelled' } })
+      .select('items')
+      .lean();
+    const exchanged = {};
+    for (const exchange of exchanges) {
+      for (const item of exchange.items) {
+        exchanged[item.line] = (exchanged[item.line] || 0) + item.quantity;
+      }
+    }
+    return exchanged;
+  }
+
+  /**
+   * Original order items and how many of each can still be exchanged
+   */
+  async getEligibility(orderId, userId) {
+    const order = await Order.findOne({ _id: orderId, user_id: userId });
+    if (!order) {
+      return { success: false, code: 'NOT_FOUND', error: 'Order not found' };
+    }
+    if (order.order_type !== 'forward' || order.status !== 'delivered') {
+      return { success: false, code: 'NOT_ELIGIBLE', error: 'Only delivered forward orders can be exchanged' };
+    }
+    if (order.exchange_info?.exchange_id) {
+      return { success: false, code: 'NOT_ELIGIBLE', error: 'An exchange order cannot be exchanged again. Create a new order instead.' };
+    }
+
+    const exchanged = await this.getExchangedQuantities(order);
+    return {
+      success: true,
+      order,
+      data: {
+        order_id: order.order_id,
+        customer_name: order.customer_info?.buyer_name,
+        items: order.products.map((product, line) => ({
+          line,
+          product_name: product.product_name,
+          sku: product.sku || null,
+          quantity: product.quantity,
+          unit_price: product.unit_price || 0,
+          exchangeable_quantity: Math.max(product.quantity - (exchanged[line] || 0), 0)
+        })),
+        reasons: returnService.getReasons(),
+        qc_checks: returnService.QC_CHECKS
+      }
+    };
+  }
+
+  /**
+   * Validate an exchange request against the original order
+   * @param {Object} input - { items: [{ line, quantity, replacement_product_name,
+   *   replacement_sku, replacement_unit_price }], reason, notes, release_rule,
+   *   qc_required, qc_checks }
+   * @returns {Promise<{success: boolean, error?: string, code?: string, plan?: Object}>}
+   */
+  async plan(eligibility, input = {}) {
+    const { order, data } = eligibility;
+
+    if (!Array.isArray(input.items) || input.items.length === 0) {
+      return { success: false, code: 'ITEMS_REQUIRED', error: 'Choose the items to exchange' };
+    }
+
+    const items = [];
+    for (const entry of input.items) {
+      const line = Number(entry?.line);
+      const quantity = Number(entry?.quantity);
+      const item = data.items[line];
+      if (!item || !Number.isInteger(quantity) || quantity < 1) {
+        return { success: false, code: 'INVALID_ITEMS', error: 'Choose valid items and quantities' };
+      }
+      if (items.some(existing => existing.line === line)) {
+        return { success: false, code: 'INVALID_ITEMS', error: 'Each item can only be chosen once' };
+      }
+      if (quantity > item.exchangeable_quantity) {
+        return {
+          success: false,
+          code: 'INVALID_ITEMS',
+          error: `Only ${item.exchangeable_quantity} of ${item.product_name} can be exchanged`
+        };
+      }
+
+      const replacementPrice = entry.replacement_unit_price === undefined || entry.replacement_unit_price === ''
+        ? item.unit_price
+        : Number(entry.replacement_unit_price);
+      if (!Number.isFinite(replacementPrice) || replacementPrice < 0) {
+        return { success: false, code: 'INVALID_ITEMS', error: `Enter a valid replacement price for ${item.product_name}` };
+      }
+
+      items.push({
+        line,
+        product_name: item.product_name,
+        sku: item.sku || undefined,
+        quantity,
+        replacement_product_name: String(entry.replacement_product_name || '').trim() || item.product_name,
+        replacement_sku: String(entry.replacement_sku || '').trim() || item.sku || undefined,
+        replacement_unit_price: roundAmount(replacementPrice)
+      });
+    }
+
+    if (!data.reasons.some(reason => reason.value === input.reason)) {
+      return { success: false, code: 'REASON_REQUIRED', error: 'Choose a reason for the exchange' };
+    }
+
+    const releaseRule = input.release_rule || 'immediate';
+    if (!RELEASE_RULES.includes(releaseRule)) {
+      return { success: false, code: 'INVALID_RULE', error: `Release rule must be one of: ${RELEASE_RULES.join(', ')}` };
+    }
+
+    const qcRequired = input.qc_required === undefined ? true : input.qc_required === true || input.qc_required === 'true';
+    if (releaseRule === 'after_qc' && !qcRequired) {
+      return { success: false, code: 'INVALID_RULE', error: 'Releasing after QC needs QC to be on' };
+    }
+
+    let qcChecks = returnService.getQcChecks(input.reason);
+    if (input.qc_checks !== undefined) {
+      qcChecks = Array.isArray(input.qc_checks) ? [...new Set(input.qc_checks)] : null;
+      if (!qcChecks || qcChecks.some(check => !returnService.QC_CHECKS.includes(check))) {
+        return { success: false, code: 'INVALID_QC', error: `QC checks must be from: ${returnService.QC_CHECKS.join(', ')}` };
+      }
+    }
+
+    const notes = String(input.notes || '').trim();
+    if (notes.length > MAX_NOTES_LENGTH) {
+      return { success: false, code: 'INVALID_NOTES', error: `Notes can be at most ${MAX_NOTES_LENGTH} characters` };
+    }
+
+    return {
+      success: true,
+      plan: {
+        order,
+        items,
+        reason: input.reason,
+        notes: notes || undefined,
+        release_rule: releaseRule,
+        qc: { required: qcRequired, checks: qcChecks }
+      }
+    };
+  }
+
+  /**
+   * Price one leg on its own lane with the seller's rate card
+   */
+  async quoteLeg(user, order, { pickupPincode, deliveryPincode, paymentMode, orderType }) {
+    const carrier = carriers.getCarrierForOrder(order);
+    const { weight, dimensions = {} } = order.package_info;
+    const weightGrams = weight * 1000;
+    const volumetricGrams = ((dimensions.length * dimensions.width * dimensions.height) / 5000) * 1000;
+
+    const zoneResult = await carrier.getZone({
+      pickupPincode,
+      deliveryPincode,
+      chargeableWeight: Math.max(weightGrams, volumetricGrams || 0),
+      shippingMode: order.shipping_mode,
+      paymentMode
+    });
+    if (!zoneResult.success || !zoneResult.zone) {
+      throw new Error(zoneResult.error || `${carrier.name} could not price ${pickupPincode} to ${deliveryPincode}`);
+    }
+
+    const charges = await RateCardService.calculateShippingCharges(
+      user.user_category || 'Basic User',
+      weightGrams,
+      {
+        length: dimensions.length,
+        breadth: dimensions.width,
+        height: dimensions.height
+      },
+      zoneResult.zone,
+      0,
+      orderType,
+      carrier.code,
+      order.shipping_mode
+    );
+
+    return { zone: zoneResult.zone, amount: roundAmount(charges.totalCharges) };
+  }
+
+  /**
+   * Charges for both legs of a planned exchange
+   */
+  async quote(user, order) {
+    const [forward, reverse] = await Promise.all([
+      this.quoteLeg(user, order, {
+        pickupPincode: order.pickup_address.pincode,
+        deliveryPincode: order.delivery_address.pincode,
+        paymentMode: 'REPL',
+        orderType: 'forward'
+      }),
+      this.quoteLeg(user, order, {
+        pickupPincode: order.delivery_address.pincode,
+        deliveryPincode: order.pickup_address.pincode,
+        paymentMode: 'Pickup',
+        orderType: 'reverse'
+      })
+    ]);
+
+    return {
+      forward,
+      reverse,
+      total: roundAmount(forward.amount + reverse.amount)
+    };
+  }
+
+  async getQuote(orderId, user, input) {
+    const eligibility = await this.getEligibility(orderId, user._id);
+    if (!eligibility.success) {
+      return eligibility;
+    }
+    const planned = await this.plan(eligibility, input);
+    if (!planned.success) {
+      return planned;
+    }
+
+    try {
+      return { success: true, data: await this.quote(user, eligibility.order) };
+    } catch (error) {
+      return { success: false, code: 'QUOTE_FAILED', error: error.message };
+    }
+  }
+
+  generateExchangeNumber() {
+    const now = new Date();
+    const date = `${String(now.getFullYear()).slice(-2)}${String(now.getMonth() + 1).padStart(2, '0')}${String(now.getDate()).padStart(2, '0')}`;
+    const random = Math.random().toString(36).substring(2, 6).toUpperCase().padEnd(4, '0');
+    return `EX${date}${random}`;
+  }
+
+  buildLegs(plan, exchange, charges) {
+    const { order } = plan;
+    const base = {
+      user_id: order.user_id,
+      order_date: new Date(),
+      customer_info: plain(order.customer_info),
+      delivery_address: plain(order.delivery_address),
+      pickup_address: plain(order.pickup_address),
+      seller_info: plain(order.seller_info),
+      shipping_mode: order.shipping_mode,
+      carrier: order.carrier,
+      status: 'new'
+    };
+    const packageInfo = plain(order.package_info) || {};
+    const packageBase = {
+      package_type: 'Single Package (B2C)',
+      weight: packageInfo.weight,
+      dimensions: packageInfo.dimensions,
+      number_of_boxes: 1
+    };
+    const exchangeInfo = {
+      exchange_id: exchange._id,
+      original_order_id: order._id,
+      original_order_number: order.order_id
+    };
+
+    const replacementValue = roundAmount(plan.items.reduce(
+      (sum, item) => sum + item.replacement_unit_price * item.quantity, 0
+    ));
+    const returnedValue = roundAmount(plan.items.reduce(
+      (sum, item) => sum + (order.products[item.line].unit_price || 0) * item.quantity, 0
+    ));
+
+    const forward = new Order({
+      ...base,
+      order_id: generateOrderId(),
+      order_type: 'forward',
+      products: plan.items.map(item => ({
+        ...plain(order.products[item.line]),
+        product_name: item.replacement_product_name,
+        sku: item.replacement_sku,
+        unit_price: item.replacement_unit_price,
+        quantity: item.quantity
+      })),
+      package_info: packageBase,
+      payment_info: {
+        payment_mode: 'REPL',
+        order_value: replacementValue,
+        total_amount: replacementValue,
+        grand_total: replacementValue,
+        shipping_charges: charges.forward.amount,
+        cod_amount: 0
+      },
+      exchange_info: {
+        ...exchangeInfo,
+        leg: 'forward',
+        on_hold: plan.release_rule !== 'immediate'
+      },
+      special_instructions: `Exchange ${exchange.exchange_number}: replacement for order ${order.order_id}`
+    });
+
+    const reverse = new Order({
+      ...base,
+      order_id: generateOrderId(),
+      order_type: 'reverse',
+      products: plan.items.map(item => ({
+        ...plain(order.products[item.line]),
+        quantity: item.quantity
+      })),
+      package_info: packageBase,
+      payment_info: {
+        payment_mode: 'Pickup',
+        order_value: returnedValue,
+        total_amount: returnedValue,
+        grand_total: returnedValue,
+        shipping_charges: charges.reverse.amount,
+        cod_amount: 0
+      },
+      exchange_info: {
+        ...exchangeInfo,
+        leg: 'reverse'
+      },
+      return_info: {
+        forward_order_id: order._id,
+        forward_order_number: order.order_id,
+        reason: plan.reason,
+        qc: {
+          required: plan.qc.required,
+          checks: plan.qc.checks
+        }
+      },
+      special_instructions: `Exchange ${exchange.exchange_number}: pickup of the original item from order ${order.order_id}`
+    });
+
+    return { forward, reverse };
+  }
+
+  /**
+   * Create the exchange and both leg orders. Charging the legs is left to the
+   * caller, which removes everything with discard() if that fails.
+   */
+  async createExchange(orderId, user, input) {
+    const eligibility = await this.getEligibility(orderId, user._id);
+    if (!eligibility.success) {
+      return eligibility;
+    }
+    const planned = await this.plan(eligibility, input);
+    if (!planned.success) {
+      return planned;
+    }
+    const { plan } = planned;
+
+    let charges;
+    try {
+      charges = await this.quote(user, plan.order);
+    } catch (error) {
+      return { success: false, code: 'QUOTE_FAILED', error: error.message };
+    }
+
+    const held = plan.release_rule !== 'immediate';
+    const initialStatus = held ? 'awaiting_pickup' : 'in_progress';
+    const exchange = new Exchange({
+      user_id: plan.order.user_id,
+      exchange_number: this.generateExchangeNumber(),
+      original_order_id: plan.order._id,
+      original_order_number: plan.order.order_id,
+      customer_name: plan.order.customer_info?.buyer_name,
+      items: plan.items,
+      reason: plan.reason,
+      notes: plan.notes,
+      release_rule: plan.release_rule,
+      forward_held: held,
+      qc: { required: plan.qc.required, result: 'pending' },
+      status: initialStatus,
+      status_history: [{ status: initialStatus, note: 'Exchange created' }]
+    });
+
+    const { forward, reverse } = this.buildLegs(plan, exchange, charges);
+    exchange.forward_leg = {
+      order_id: forward._id,
+      order_number: forward.order_id,
+      status: forward.status,
+      charges: charges.forward.amount,
+      zone: charges.forward.zone
+    };
+    exchange.reverse_leg = {
+      order_id: reverse._id,
+      order_number: reverse.order_id,
+      status: reverse.status,
+      charges: charges.reverse.amount,
+      zone: charges.reverse.zone
+    };
+
+    try {
+      await reverse.save();
+      await forward.save();
+      await exchange.save();
+    } catch (error) {
+      await this.discard(exchange);
+      logger.error('❌ Exchange not created', {
+        orderId: plan.order.order_id,
+        error: error.message
+      });
+      return { success: false, code: 'CREATE_FAILED', error: `Could not create the exchange: ${error.message}` };
+    }
+
+    logger.info('🔁 Exchange created', {
+      exchangeNumber: exchange.exchange_number,
+      orderId: plan.order.order_id,
+      forwardOrderId: forward.order_id,
+      reverseOrderId: reverse.order_id,
+      releaseRule: plan.release_rule,
+      charges: charges.total
+    });
+
+    return { success: true, exchange, forward, reverse, charges };
+  }
+
+  /**
+   * Remove an exchange and its leg orders (only used before anything shipped)
+   */
+  async discard(exchange) {
+    await Order.deleteMany({ 'exchange_info.exchange_id': exchange._id, status: 'new' });
+    await Exchange.deleteOne({ _id: exchange._id });
+  }
+
+  shouldRelease(exchange) {
+    if (!exchange.forward_held || exchange.forward_leg.status === 'cancelled') return false;
+    if (exchange.release_rule === 'after_pickup') return Boolean(exchange.reverse_picked_up_at);
+    if (exchange.release_rule === 'after_qc') return exchange.qc.result === 'passed';
+    return true;
+  }
+
+  computeStatus(exchange) {
+    const forwardStatus = exchange.forward_leg?.status;
+    const reverseStatus = exchange.reverse_leg?.status;
+
+    if (forwardStatus === 'cancelled' && reverseStatus === 'cancelled') return 'cancelled';
+    if (exchange.forward_delivered_at && exchange.reverse_delivered_at) return 'completed';
+    if (exchange.forward_held) {
+      if (exchange.qc.result === 'failed') return 'qc_failed';
+      if (exchange.reverse_picked_up_at && exchange.release_rule === 'after_qc') return 'qc_pending';
+      return 'awaiting_pickup';
+    }
+    return 'in_progress';
+  }
+
+  /**
+   * Release the forward leg so it can get an AWB
+   */
+  async releaseForward(exchange, releasedBy, note) {
+    await Order.updateOne(
+      { _id: exchange.forward_leg.order_id },
+      { $set: { 'exchange_info.on_hold': false } }
+    );
+    exchange.forward_held = false;
+    exchange.forward_released_at = new Date();
+    exchange.forward_released_by = releasedBy;
+
+    logger.info('🔓 Exchange forward leg released', {
+      exchangeNumber: exchange.exchange_number,
+      forwardOrderId: exchange.forward_leg.order_number,
+      releasedBy
+    });
+
+    websocketService.sendNotificationToClient(String(exchange.user_id), {
+      type: 'exchange_released',
+      title: 'Exchange Ready to Ship',
+      message: `${note}. Replacement order ${exchange.forward_leg.order_number} can now be shipped.`,
+      exchange_id: exchange._id,
+      created_at: new Date()
+    });
+  }
+
+  /**
+   * Apply the release rule, recompute the status and save
+   */
+  async evaluate(exchange, note) {
+    if (this.shouldRelease(exchange)) {
+      await this.releaseForward(
+        exchange,
+        'auto',
+        exchange.release_rule === 'after_qc' ? 'Returned item passed QC' : 'Original item picked up'
+      );
+    }
+
+    const status = this.computeStatus(exchange);
+    if (status !== exchange.status) {
+      exchange.status = status;
+      exchange.status_history.push({ status, note, timestamp: new Date() });
+    }
+    await exchange.save();
+    return exchange;
+  }
+
+  /**
+   * Order post-save hook: a leg's status changed. Never throws.
+   */
+  async syncLeg(order) {
+    try {
+      const exchange = await Exchange.findById(order.exchange_info.exchange_id);
+      if (!exchange) return;
+
+      const isForward = order.exchange_info.leg === 'forward';
+      const leg = isForward ? exchange.forward_leg : exchange.reverse_leg;
+      leg.status = order.status;
+
+      if (isForward) {
+        if (order.status === 'delivered' && !exchange.forward_delivered_at) {
+          exchange.forward_delivered_at = order.delivered_date || new Date();
+        }
+      } else {
+        if (PICKED_UP_STATUSES.includes(order.status) && !exchange.reverse_picked_up_at) {
+          exchange.reverse_picked_up_at = new Date();
+        }
+        if (order.status === 'delivered' && !exchange.reverse_delivered_at) {
+          exchange.reverse_delivered_at = order.delivered_date || new Date();
+        }
+      }
+
+      await this.evaluate(exchange, `${isForward ? 'Replacement' : 'Pickup'} order ${order.order_id} is ${order.status}`);
+    } catch (error) {
+      logger.error('❌ Exchange leg sync failed', {
+        orderId: order?.order_id,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Seller records the QC result for the returned item
+   */
+  async recordQc(exchangeId, userId, { result, notes } = {}) {
+    if (!['passed', 'failed'].includes(result)) {
+      return { success: false, code: 'INVALID_QC', error: 'QC result must be passed or failed' };
+    }
+    const qcNotes = String(notes || '').trim();
+    if (qcNotes.length > MAX_NOTES_LENGTH) {
+      return { success: false, code: 'INVALID_QC', error: `Notes can be at most ${MAX_NOTES_LENGTH} characters` };
+    }
+
+    const exchange = await Exchange.findOne({ _id: exchangeId, user_id: userId });
+    if (!exchange) {
+      return { success: false, code: 'NOT_FOUND', error: 'Exchange not found' };
+    }
+    if (!ACTIVE_STATUSES.includes(exchange.status)) {
+      return { success: false, code: 'NOT_ACTIVE', error: `This exchange is ${exchange.status.replace('_', ' ')}` };
+    }
+    if (!exchange.qc.required) {
+      return { success: false, code: 'QC_NOT_REQUIRED', error: 'QC is not required for this exchange' };
+    }
+    if (!exchange.reverse_picked_up_at) {
+      return { success: false, code: 'NOT_PICKED_UP', error: 'QC can be recorded once the original item is picked up' };
+    }
+
+    exchange.qc.result = result;
+    exchange.qc.notes = qcNotes || undefined;
+    exchange.qc.recorded_at = new Date();
+    exchange.qc.recorded_by = String(userId);
+
+    await this.evaluate(exchange, `QC ${result}${qcNotes ? `: ${qcNotes}` : ''}`);
+    return { success: true, exchange };
+  }
+
+  /**
+   * Seller releases a held forward leg before the rule is met
+   */
+  async release(exchangeId, userId) {
+    const exchange = await Exchange.findOne({ _id: exchangeId, user_id: userId });
+    if (!exchange) {
+      return { success: false, code: 'NOT_FOUND', error: 'Exchange not found' };
+    }
+    if (!exchange.forward_held) {
+      return { success: false, code: 'NOT_HELD', error: 'The replacement order is not on hold' };
+    }
+    if (exchange.forward_leg.status === 'cancelled') {
+      return { success: false, code: 'NOT_ACTIVE', error: 'The replacement order is cancelled' };
+    }
+
+    await this.releaseForward(exchange, String(userId), 'Released by you');
+    await this.evaluate(exchange, 'Replacement released by seller');
+    return { success: true, exchange };
+  }
+
+  async listExchanges(userId, { status, search, page = 1, limit = 25 } = {}) {
+    const filterQuery = { user_id: userId };
+    if (status && status !== 'all') {
+      filterQuery.status = status;
+    }
+    if (search) {
+      const pattern = { $regex: search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+      filterQuery.$or = [
+        { exchange_number: pattern },
+        { original_order_number: pattern },
+        { 'forward_leg.order_number': pattern },
+        { 'reverse_leg.order_number': pattern },
+        { customer_name: pattern }
+      ];
+    }
+
+    const [exchanges, totalCount] = await Promise.all([
+      Exchange.find(filterQuery)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Exchange.countDocuments(filterQuery)
+    ]);
+
+    return {
+      exchanges,
+      pagination: {
+        current_page: page,
+        total_pages: Math.ceil(totalCount / limit),
+        total_count: totalCount,
+        per_page: limit
+      }
+    };
+  }
+
+  /**
+   * An exchange with the AWBs of its legs
+   */
+  async getExchange(exchangeId, userId) {
+    const exchange = await Exchange.findOne({ _id: exchangeId, user_id: userId }).lean();
+    if (!exchange) {
+      return null;
+    }
+
+    const legs = await Order.find({ _id: { $in: [exchange.forward_leg.order_id, exchange.reverse_leg.order_id] } })
+      .select('order_id status delhivery_data.waybill exchange_info.on_hold')
+      .lean();
+    const awbFor = (orderId) => legs.find(leg => String(leg._id) === String(orderId))?.delhivery_data?.waybill || null;
+
+    return {
+      ...exchange,
+      forward_leg: { ...exchange.forward_leg, awb: awbFor(exchange.forward_leg.order_id) },
+      reverse_leg: { ...exchange.reverse_leg, awb: awbFor(exchange.reverse_leg.order_id) }
+    };
+  }
+}
+
+module.exports = new ExchangeService();
@@ -0,0 +1,536 @@
+// Location: backend/services/invoiceNoteService.js
+const crypto = require('crypto');
+const axios = require('axios');
+const Invoice = require('../models/Invoice');
+const InvoiceNote = require('../models/InvoiceNote');
+const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+const InvoiceRenderer = require('./invoiceRenderer');
+const cloudinaryService = require('./cloudinaryService');
+const walletLedgerService = require('./walletLedgerService');
+const creditControlService = require('./creditControlService');
+const websocketService = require('./websocketService');
+const logger = require('../utils/logger');
+
+const NOTE_PDF_FOLDER = 'shipsarthi/invoice-notes';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const NOTE_LABELS = {
+  credit_note: 'Credit note',
+  debit_note: 'Debit note'
+};
+
+/**
+ * Invoice Note Service
+ * Issues GST credit and debit notes against an existing invoice. Each note has its
+ * own number series (CN… / DN…), its own PDF and a wallet effect:
+ * - wallet: the note total is credited to / debited from the seller's wallet
+ * - invoice: the note total is taken off / added to the original invoice's balance
+ * - none: the money already moved (e.g. the cancellation refund), linked by transaction
+ *
+ * Notes are raised automatically when an invoiced shipment is cancelled and when an
+ * RTO or weight discrepancy charge arrives for an order that was already invoiced.
+ * Finance issues the rest from the admin billing screen.
+ */
+class InvoiceNoteService {
+
+  /**
+   * Credit notes against an invoice cannot exceed what it charged, including debit notes
+   */
+  getCreditHeadroom(invoice) {
+    const noted = (type) => (invoice.adjustments || [])
+      .filter(adj => adj.type === type)
+      .reduce((sum, adj) => sum + (adj.amount || 0), 0);
+    return round2(invoice.amounts.grand_total + noted('debit_note') - noted('credit_note'));
+  }
+
+  /**
+   * Why a note cannot be issued against the invoice as it stands, or null
+   */
+  checkNoteLimits(invoice, total, isCredit, settlement) {
+    if (invoice.payment_status === 'cancelled') {
+      return { success: false, code: 'INVOICE_CANCELLED', error: `Invoice ${invoice.invoice_number} is cancelled` };
+    }
+    if (isCredit && total > this.getCreditHeadroom(invoice) + 0.01) {
+      return {
+        success: false,
+        code: 'EXCEEDS_INVOICE',
+        error: `Credit notes cannot exceed ₹${this.getCreditHeadroom(invoice)} on invoice ${invoice.invoice_number}`
+      };
+    }
+    if (isCredit && settlement === 'invoice' && total > invoice.balance_due + 0.01) {
+      return {
+        success: false,
+        code: 'EXCEEDS_BALANCE',
+        error: `Invoice ${invoice.invoice_number} has ₹${invoice.balance_due} due; credit the rest to the wallet`
+      };
+    }
+    return null;
+  }
+
+  /**
+   * checkNoteLimits() as an Invoice query filter, for the update that reserves the note
+   */
+  buildLimitFilter(total, isCredit, settlement) {
+    const filter = { payment_status: { $ne: 'cancelled' } };
+    if (!isCredit) {
+      return filter;
+    }
+
+    const noted = (type) => ({
+      $sum: {
+        $map: {
+          input: { $filter: { input: { $ifNull: ['$adjustments', []] }, cond: { $eq: ['$$this.type', type] } } },
+          in: '$$this.amount'
+        }
+      }
+    });
+    const headroom = { $subtract: [{ $add: ['$amounts.grand_total', noted('debit_note'), 0.01] }, noted('credit_note')] };
+    filter.$expr = settlement === 'invoice'
+      ? { $and: [{ $gte: [headroom, total] }, { $gte: [{ $add: ['$balance_due', 0.01] }, total] }] }
+      : { $gte: [headroom, total] };
+    return filter;
+  }
+
+  /**
+   * Invoice updates that add the note's adjustment (apply) and take it back (undo).
+   * Only notes settled against the invoice change what is payable; wallet-settled
+   * notes are listed for reference. The note number is filled in once the note is saved.
+   */
+  buildReservation(note, total, isCredit, settlement) {
+    const adjustment = {
+      type: note.note_type,
+      note_id: note._id,
+      amount: total,
+      reason: note.reason,
+      date: note.note_date,
+      related_awb: note.line_items.length === 1 ? note.line_items[0].awb_number : undefined,
+      settlement
+    };
+    const apply = { $push: { adjustments: adjustment } };
+    const undo = { $pull: { adjustments: { note_id: note._id } } };
+
+    if (settlement === 'invoice') {
+      const change = isCredit ? -total : total;
+      // balance_due moves with the reservation so a second credit sees what is left;
+      // the invoice save afterwards recalculates it exactly
+      apply.$inc = { note_adjustment: change, balance_due: change };
+      undo.$inc = { note_adjustment: -change, balance_due: -change };
+    }
+    return { apply, undo };
+  }
+
+  /**
+   * Remove a saved note whose wallet posting failed, with its invoice reservation
+   */
+  async withdrawNote(note, releaseReservation, reason) {
+    await InvoiceNote.deleteOne({ _id: note._id });
+    await releaseReservation();
+    logger.warn('⚠️ Invoice note withdrawn, wallet posting failed', {
+      noteNumber: note.note_number,
+      invoiceNumber: note.invoice_number,
+      error: reason
+    });
+  }
+
+  /**
+   * Issue a credit or debit note
+   * @param {Object|string} invoiceRef - Invoice document or id
+   * @param {Object} data
+   * @param {string} data.noteType - 'credit_note' | 'debit_note'
+   * @param {string} data.reasonCode - See InvoiceNote.reason_code
+   * @param {string} data.reason
+   * @param {Array} data.lineItems - [{ description, awb_number?, amount }]; an AWB must be on the invoice
+   * @param {boolean} [data.inclusiveOfGst] - Line amounts already include GST
+   * @param {string} data.settlement - 'wallet' | 'invoice' | 'none'
+   * @param {string} [data.transactionId] - Existing transaction for settlement 'none'
+   * @param {string} [data.sourceRef] - Issued at most once (automatic notes)
+   * @param {string} [data.issuedBy]
+   * @returns {Promise<Object>} { success, note, transaction?, invoice } or { success: false, code, error }
+   *   invoice is the updated invoice; the invoice passed in is not changed
+   */
+  async issueNote(invoiceRef, {
+    noteType,
+    reasonCode,
+    reason,
+    lineItems,
+    inclusiveOfGst = false,
+    settlement,
+    transactionId,
+    sourceRef,
+    issuedBy
+  }) {
+    const invoice = invoiceRef instanceof Invoice ? invoiceRef : await Invoice.findById(invoiceRef);
+    if (!invoice) {
+      return { success: false, code: 'NOT_FOUND', error: 'Invoice not found' };
+    }
+    if (invoice.payment_status === 'cancelled') {
+      return { success: false, code: 'INVOICE_CANCELLED', error: `Invoice ${invoice.invoice_number} is cancelled` };
+    }
+
+    if (sourceRef) {
+      const existing = await InvoiceNote.findOne({ user_id: invoice.user_id, source_ref: sourceRef, status: 'issued' });
+      if (existing) {
+        logger.info('ℹ️ Invoice note already issued', { noteNumber: existing.note_number, sourceRef });
+        return { success: true, note: existing, duplicate: true };
+      }
+    }
+
+    const lines = [];
+    for (const item of lineItems || []) {
+      const line = {
+        description: item.description,
+        awb_number: item.awb_number || undefined,
+        amount: round2(item.amount)
+      };
+      if (line.awb_number) {
+        const shipment = invoice.shipment_charges.find(sc => sc.awb_number === line.awb_number);
+        if (!shipment) {
+          return {
+            success: false,
+            code: 'AWB_NOT_ON_INVOICE',
+            error: `AWB ${line.awb_number} is not on invoice ${invoice.invoice_number}`
+          };
+        }
+        line.order_id = shipment.order_id;
+        line.internal_order_id = shipment.internal_order_id;
+      }
+      lines.push(line);
+    }
+
+    const note = new InvoiceNote({
+      user_id: invoice.user_id,
+      note_type: noteType,
+      note_date: new Date(),
+      invoice_id: invoice._id,
+      invoice_number: invoice.invoice_number,
+      invoice_date: invoice.invoice_date,
+      reason_code: reasonCode,
+      reason,
+      line_items: lines,
+      gst_info: invoice.gst_info,
+      billing_address: invoice.billing_address,
+      amounts: {
+        cgst_rate: invoice.amounts.cgst_rate,
+        sgst_rate: invoice.amounts.sgst_rate,
+        igst_rate: invoice.amounts.igst_rate
+      },
+      wallet_effect: { settlement },
+      source_ref: sourceRef,
+      issued_by: issuedBy
+    });
+    note.calculateAmounts({ inclusiveOfGst });
+
+    try {
+      await note.validate();
+    } catch (error) {
+      return { success: false, code: 'INVALID_NOTE', error: error.message };
+    }
+
+    const total = note.amounts.total;
+    if (!(total > 0)) {
+      return { success: false, code: 'INVALID_NOTE', error: 'Note amount must be greater than zero' };
+    }
+    const isCredit = noteType === 'credit_note';
+    const limitError = this.checkNoteLimits(invoice, total, isCredit, settlement);
+    if (limitError) {
+      return limitError;
+    }
+
+    if (settlement === 'wallet' || settlement === 'invoice') {
+      note.wallet_effect.amount = total;
+    } else if (transactionId) {
+      const linked = await Transaction.findOne({ _id: transactionId, user_id: invoice.user_id }).select('amount');
+      if (!linked) {
+        return { success: false, code: 'TRANSACTION_NOT_FOUND', error: 'Linked transaction not found for this seller' };
+      }
+      note.wallet_effect.amount = linked.amount;
+      note.wallet_effect.transaction_id = linked._id;
+    }
+
+    // Reserve the note on the invoice first. The limits are checked again inside the
+    // update, so two notes issued at the same time cannot share the same headroom.
+    const wasSettled = invoice.balance_due <= 0;
+    const reservation = this.buildReservation(note, total, isCredit, settlement);
+    const reserved = await Invoice.updateOne(
+      { _id: invoice._id, ...this.buildLimitFilter(total, isCredit, settlement) },
+      reservation.apply
+    );
+    if (reserved.modifiedCount === 0) {
+      const current = await Invoice.findById(invoice._id);
+      return (current && this.checkNoteLimits(current, total, isCredit, settlement)) || {
+        success: false,
+        code: 'INVOICE_CHANGED',
+        error: `Invoice ${invoice.invoice_number} changed while the note was being issued, please try again`
+      };
+    }
+    const releaseReservation = () => Invoice.updateOne({ _id: invoice._id }, reservation.undo);
+
+    try {
+      await note.save();
+    } catch (error) {
+      await releaseReservation();
+      // Lost a race with another request issuing the same automatic note
+      if (error.code === 11000 && sourceRef) {
+        const existing = await InvoiceNote.findOne({ user_id: invoice.user_id, source_ref: sourceRef, status: 'issued' });
+        if (existing) {
+          return { success: true, note: existing, duplicate: true };
+        }
+      }
+      throw error;
+    }
+
+    // Move the money after the note is saved. The key makes a repeated posting a no-op,
+    // and a rejected posting withdraws the note and its reservation.
+    let transaction = null;
+    if (settlement === 'wallet') {
+      const idempotencyKey = `NOTE${note._id}`;
+      const posting = {
+        userId: invoice.user_id,
+        amount: total,
+        category: noteType,
+        description: `${NOTE_LABELS[noteType]} ${note.note_number} against invoice ${invoice.invoice_number}: ${reason}`,
+        fields: { reference_number: invoice.invoice_number },
+        postedBy: issuedBy,
+        idempotencyKey
+      };
+
+      let result;
+      try {
+        result = isCredit
+          ? await walletLedgerService.credit(posting)
+          : await walletLedgerService.debit(posting);
+      } catch (error) {
+        // The posting may have committed before the error reached us
+        result = await walletLedgerService.findPosted(idempotencyKey);
+        if (!result) {
+          await this.withdrawNote(note, releaseReservation, error.message);
+          throw error;
+        }
+      }
+      if (!result.success) {
+        await this.withdrawNote(note, releaseReservation, result.error);
+        return result;
+      }
+
+      transaction = result.transaction;
+      note.wallet_effect.transaction_id = transaction._id;
+      await note.save();
+    }
+
+    const updatedInvoice = await Invoice.findOneAndUpdate(
+      { _id: invoice._id, 'adjustments.note_id': note._id },
+      { $set: { 'adjustments.$.note_number': note.note_number } },
+      { new: true }
+    );
+
+    // A debit note on a settled invoice gets a fresh due date instead of being overdue at once
+    if (settlement === 'invoice') {
+      if (!isCredit && wasSettled) {
+        const user = await User.findById(invoice.user_id).select('payment_terms_days');
+        const dueDate = new Date(Date.now() + (user?.payment_terms_days ?? 15) * DAY_MS);
+        if (!updatedInvoice.due_date || updatedInvoice.due_date < dueDate) {
+          updatedInvoice.due_date = dueDate;
+        }
+      }
+      if (updatedInvoice.amount_paid >= updatedInvoice.payable_total) {
+        updatedInvoice.status = 'paid';
+      }
+    }
+    // Recalculates balance_due and payment_status from the reserved adjustment
+    await updatedInvoice.save();
+
+    if (isCredit && settlement === 'invoice') {
+      await creditControlService.releaseHoldIfClear(invoice.user_id);
+    }
+
+    logger.info('🧾 Invoice note issued', {
+      noteNumber: note.note_number,
+      noteType,
+      invoiceNumber: invoice.invoice_number,
+      total,
+      settlement,
+      issuedBy
+    });
+
+    websocketService.sendNotificationToClient(String(invoice.user_id), {
+      type: 'invoice_note_issued',
+      title: `${NOTE_LABELS[noteType]} issued`,
+      message: `${NOTE_LABELS[noteType]} ${note.note_number} for ₹${total.toFixed(2)} was issued against invoice ${invoice.invoice_number}.`,
+      note_id: note._id,
+      note_type: noteType,
+      invoice_id: invoice._id,
+      amount: total,
+      created_at: new Date()
+    });
+
+    return { success: true, note, transaction, invoice: updatedInvoice };
+  }
+
+  /**
+   * Credit note for a shipment cancelled after it was invoiced. The wallet refund has
+   * already been posted by the cancellation, so the note only records it. Never throws.
+   * @param {Object} order - Order document
+   * @param {Object} [refundTransaction] - Refund posted for the cancellation
+   */
+  async issueCancellationCreditNote(order, refundTransaction = null) {
+    try {
+      const invoiceId = order.billing_info?.invoice_id;
+      if (order.billing_info?.billing_status !== 'billed' || !invoiceId) {
+        return null;
+      }
+
+      const invoice = await Invoice.findById(invoiceId);
+      // The shipment's own row comes first; late charges are appended after all shipments
+      const shipment = invoice?.shipment_charges.find(sc => String(sc.order_id) === String(order._id));
+      if (!shipment || !(shipment.total_charge > 0)) {
+        return null;
+      }
+
+      const result = await this.issueNote(invoice, {
+        noteType: 'credit_note',
+        reasonCode: 'shipment_cancelled',
+        reason: `Shipment cancelled - Order ${order.order_id}`,
+        lineItems: [{
+          description: `Charges reversed for cancelled shipment ${order.order_id}`,
+          awb_number: shipment.awb_number,
+          amount: shipment.total_charge
+        }],
+        settlement: 'none',
+        transactionId: refundTransaction?._id,
+        sourceRef: `cancel:${order._id}`,
+        issuedBy: 'system'
+      });
+      if (!result.success) {
+        logger.warn('⚠️ Cancellation credit note not issued', { orderId: order.order_id, code: result.code, error: result.error });
+        return null;
+      }
+      return result.note;
+    } catch (error) {
+      logger.error('❌ Failed to issue cancellation credit note', { orderId: order.order_id, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Debit note for an RTO or weight discrepancy charge raised after the order was
+   * invoiced. Charges already taken from the wallet are recorded (settlement 'none');
+   * the rest are added to the invoice's balance.
+   * @returns {Promise<Object>} issueNote result
+   */
+  async issueLateChargeDebitNote(order, { type, amount, description, settledFromWallet = false, transactionId, sourceRef }) {
+    return this.issueNote(order.billing_info.invoice_id, {
+      noteType: 'debit_note',
+      reasonCode: type === 'rto' ? 'rto_charge' : 'weight_discrepancy',
+      reason: description,
+      lineItems: [{
+        description,
+        awb_number: order.delhivery_data?.waybill,
+        amount
+      }],
+      settlement: settledFromWallet ? 'none' : 'invoice',
+      transactionId,
+      sourceRef,
+      issuedBy: 'system'
+    });
+  }
+
+  /**
+   * List notes, newest first
+   * @param {Object} filters - { userId, noteType, invoiceId, startDate, endDate, search }
+   * @param {Object} options - { page, limit }
+   */
+  async getNotes({ userId, noteType, invoiceId, startDate, endDate, search } = {}, { page = 1, limit = 10 } = {}) {
+    const query = {};
+    if (userId) query.user_id = userId;
+    if (noteType) query.note_type = noteType;
+    if (invoiceId) query.invoice_id = invoiceId;
+    if (startDate || endDate) {
+      query.note_date = {};
+      if (startDate) query.note_date.$gte = new Date(startDate);
+      if (endDate) query.note_date.$lte = new Date(endDate);
+    }
+    if (search) {
+      const pattern = search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      query.$or = [
+        { note_number: { $regex: pattern, $options: 'i' } },
+        { invoice_number: { $regex: pattern, $options: 'i' } },
+        { 'line_items.awb_number': { $regex: pattern, $options: 'i' } }
+      ];
+    }
+
+    const [notes, total] = await Promise.all([
+      InvoiceNote.find(query)
+        .sort({ note_date: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      InvoiceNote.countDocuments(query)
+    ]);
+
+    return {
+      notes,
+      pagination: {
+        current_page: page,
+        total_pages: Math.ceil(total / limit),
+        total_count: total,
+        per_page: limit
+      }
+    };
+  }
+
+  /**
+   * Make sure the stored note PDF matches the note, regenerating it when stale
+   * @returns {Promise<{url: string, buffer?: Buffer, regenerated: boolean}>}
+   */
+  async ensureNotePDF(note, { force = false } = {}) {
+    const html = InvoiceRenderer.generateNoteHTML(note);
+    const hash = crypto.createHash('sha256').update(html).digest('hex');
+    const documents = note.documents || {};
+
+    if (!force && documents.pdf_url && documents.pdf_hash === hash) {
+      return { url: documents.pdf_url, regenerated: false };
+    }
+
+    const buffer = await InvoiceRenderer.renderPDF(html);
+    const upload = await cloudinaryService.uploadDocument(buffer, {
+      folder: NOTE_PDF_FOLDER,
+      mimetype: 'application/pdf'
+    });
+
+    const update = {
+      'documents.pdf_url': upload.url,
+      'documents.pdf_public_id': upload.public_id,
+      'documents.pdf_hash': hash,
+      'documents.pdf_generated_at': new Date()
+    };
+    await InvoiceNote.updateOne({ _id: note._id }, { $set: update });
+
+    if (documents.pdf_public_id && documents.pdf_public_id !== upload.public_id) {
+      cloudinaryService.deleteFile(documents.pdf_public_id, 'raw').catch(error => {
+        logger.warn('⚠️ Could not delete old note PDF', { noteNumber: note.note_number, error: error.message });
+      });
+    }
+
+    logger.info('🧾 Invoice note PDF generated', { noteNumber: note.note_number, url: upload.url });
+    return { url: upload.url, buffer, regenerated: true };
+  }
+
+  /**
+   * Get the current note PDF as a buffer (for downloads)
+   * @returns {Promise<Buffer>}
+   */
+  async getNotePDF(note) {
+    const pdf = await this.ensureNotePDF(note);
+    if (pdf.buffer) {
+      return pdf.buffer;
+    }
+
+    const response = await axios.get(pdf.url, { responseType: 'arraybuffer', timeout: 30000 });
+    return Buffer.from(response.data);
+  }
+}
+
+module.exports = new InvoiceNoteService();
@@ -0,0 +1,542 @@
+const QRCode = require('qrcode');
+const logger = require('../utils/logger');
+
+/**
+ * Invoice Renderer Service
+ * Renders an Invoice document as a GST tax invoice (HTML) and prints it to an A4 PDF.
+ *
+ * Page 1 is the tax invoice: supplier / recipient GSTINs, place of supply, one SAC
+ * line for the billing period, CGST + SGST (intra-state) or IGST (inter-state) and
+ * the grand total in words. The annexure lists every shipment from shipment_charges.
+ *
+ * Supplier details come from the environment:
+ *   INVOICE_SUPPLIER_NAME, INVOICE_SUPPLIER_ADDRESS, INVOICE_SUPPLIER_CITY,
+ *   INVOICE_SUPPLIER_PINCODE, INVOICE_SUPPLIER_STATE, INVOICE_SUPPLIER_PAN,
+ *   INVOICE_SUPPLIER_EMAIL
+ * The supplier GSTIN is taken from the invoice (gst_info.seller_gstin).
+ *
+ * An e-invoice (IRN registered with the IRP) also prints the IRN, ack number
+ * and the IRP's signed QR code.
+ *
+ * Credit and debit notes (models/InvoiceNote.js) use the same layout and refer
+ * back to the original invoice.
+ */
+
+const SUPPLIER_DEFAULTS = {
+  name: 'Shipsarthi Solutions',
+  address: '',
+  state: 'Haryana',
+  state_code: '06'
+};
+
+const SHIPMENT_STATUS_LABELS = {
+  delivered: 'Delivered',
+  rto: 'RTO',
+  in_transit: 'In Transit',
+  cancelled: 'Cancelled',
+  lost: 'Lost'
+};
+
+// Print styles shared by the tax invoice and credit / debit notes
+const DOCUMENT_STYLES = `
+  * { box-sizing: border-box; }
+  body { font-family: Arial, Helvetica, sans-serif; font-size: 11px; color: #222; margin: 0; }
+  h1 { font-size: 18px; margin: 0; text-align: center; letter-spacing: 1px; }
+  h2 { font-size: 14px; margin: 0 0 8px; }
+  h3 { font-size: 12px; margin: 16px 0 6px; }
+  .page { padding: 0; }
+  .annexure { page-break-before: always; }
+  .subtitle { text-align: center; color: #555; margin: 2px 0 12px; }
+  .parties { display: flex; border: 1px solid #999; }
+  .parties > div { flex: 1; padding: 8px; }
+  .parties > div + div { border-left: 1px solid #999; }
+  .parties p { margin: 2px 0; }
+  .label { color: #555; }
+  .meta { display: flex; flex-wrap: wrap; border: 1px solid #999; border-top: none; }
+  .meta div { width: 33.33%; padding: 6px 8px; }
+  table { width: 100%; border-collapse: collapse; }
+  .grid th, .grid td { border: 1px solid #999; padding: 4px 6px; vertical-align: top; }
+  .grid th { background: #f0f0f0; text-align: left; }
+  .grid.compact { font-size: 9px; }
+  .num { text-align: right; white-space: nowrap; }
+  .totals { display: flex; justify-content: space-between; margin-top: 12px; }
+  .totals .breakup { width: 45%; }
+  .totals .summary { width: 45%; }
+  .totals td { padding: 3px 6px; border-bottom: 1px solid #eee; }
+  .grand td { font-weight: bold; font-size: 13px; border-top: 2px solid #222; }
+  .words { margin-top: 10px; padding: 6px 8px; border: 1px solid #999; }
+  .footer { margin-top: 24px; display: flex; justify-content: space-between; align-items: flex-end; }
+  .signature { text-align: center; min-width: 200px; }
+  .signature .line { border-top: 1px solid #222; margin-top: 40px; padding-top: 4px; }
+  .note { color: #555; font-size: 10px; }
+  .einvoice { display: flex; justify-content: space-between; align-items: center; border: 1px solid #999; border-top: none; padding: 6px 8px; }
+  .einvoice p { margin: 2px 0; word-break: break-all; }
+  .einvoice svg { width: 34mm; height: 34mm; flex-shrink: 0; margin-left: 12px; }
+`;
+
+const ONES = ['', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten',
+  'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen'];
+const TENS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+class InvoiceRenderer {
+
+  /**
+   * Escape a value for HTML output
+   */
+  static escape(value) {
+    if (value === null || value === undefined) return '';
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  static formatAmount(value) {
+    return (Number(value) || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  }
+
+  static formatDate(value) {
+    if (!value) return '-';
+    return new Date(value).toLocaleDateString('en-GB', { timeZone: 'Asia/Kolkata' });
+  }
+
+  static formatWeight(grams) {
+    if (!grams) return '-';
+    return `${(grams / 1000).toFixed(2)} kg`;
+  }
+
+  /**
+   * Supplier block printed on every invoice
+   * @param {Object} invoice - Invoice document
+   */
+  static getSupplier(invoice) {
+    return {
+      name: process.env.INVOICE_SUPPLIER_NAME || SUPPLIER_DEFAULTS.name,
+      address: process.env.INVOICE_SUPPLIER_ADDRESS || SUPPLIER_DEFAULTS.address,
+      city: process.env.INVOICE_SUPPLIER_CITY,
+      pincode: process.env.INVOICE_SUPPLIER_PINCODE,
+      state: process.env.INVOICE_SUPPLIER_STATE || SUPPLIER_DEFAULTS.state,
+      state_code: invoice.gst_info?.seller_gstin?.slice(0, 2) || SUPPLIER_DEFAULTS.state_code,
+      gstin: invoice.gst_info?.seller_gstin,
+      pan: process.env.INVOICE_SUPPLIER_PAN || invoice.gst_info?.seller_gstin?.slice(2, 12),
+      email: process.env.INVOICE_SUPPLIER_EMAIL || process.env.EMAIL_USER
+    };
+  }
+
+  /**
+   * Convert a whole number below 1000 to words
+   */
+  static hundredsToWords(num) {
+    const words = [];
+    if (num >= 100) {
+      words.push(`${ONES[Math.floor(num / 100)]} Hundred`);
+      num %= 100;
+    }
+    if (num >= 20) {
+      words.push(TENS[Math.floor(num / 10)] + (num % 10 ? ` ${ONES[num % 10]}` : ''));
+    } else if (num > 0) {
+      words.push(ONES[num]);
+    }
+    return words.join(' ');
+  }
+
+  /**
+   * Convert a whole number to words in the Indian system (thousand, lakh, crore)
+   */
+  static numberToWords(num) {
+    if (num === 0) return 'Zero';
+
+    const parts = [];
+    const crores = Math.floor(num / 10000000);
+    const lakhs = Math.floor((num % 10000000) / 100000);
+    const thousands = Math.floor((num % 100000) / 1000);
+    const rest = num % 1000;
+
+    if (crores) parts.push(`${this.numberToWords(crores)} Crore`);
+    if (lakhs) parts.push(`${this.hundredsToWords(lakhs)} Lakh`);
+    if (thousands) parts.push(`${this.hundredsToWords(thousands)} Thousand`);
+    if (rest) parts.push(this.hundredsToWords(rest));
+
+    return parts.join(' ');
+  }
+
+  /**
+   * Rupee amount in words, e.g. "Rupees One Thousand Two Hundred and Paise Fifty Only"
+   */
+  static amountInWords(amount) {
+    const paiseTotal = Math.round((Number(amount) || 0) * 100);
+    const rupees = Math.floor(paiseTotal / 100);
+    const paise = paiseTotal % 100;
+
+    let words = `Rupees ${this.numberToWords(rupees)}`;
+    if (paise) {
+      words += ` and Paise ${this.numberToWords(paise)}`;
+    }
+    return `${words} Only`;
+  }
+
+  /**
+   * Tax columns for the invoice line: IGST for inter-state, CGST + SGST otherwise
+   */
+  static getTaxLines(invoice) {
+    const amounts = invoice.amounts || {};
+    if (invoice.gst_info?.is_igst) {
+      return [{ label: 'IGST', rate: amounts.igst_rate, amount: amounts.igst_amount }];
+    }
+    return [
+      { label: 'CGST', rate: amounts.cgst_rate, amount: amounts.cgst_amount },
+      { label: 'SGST', rate: amounts.sgst_rate, amount: amounts.sgst_amount }
+    ];
+  }
+
+  /**
+   * QR code as inline SVG (the invoice HTML is printed offline, so no image URLs)
+   * @param {string} text - e.g. the IRP's signed QR code
+   */
+  static renderQRCode(text) {
+    const { modules } = QRCode.create(text, { errorCorrectionLevel: 'M' });
+    const margin = 2;
+    const size = modules.size + margin * 2;
+    let path = '';
+    for (let row = 0; row < modules.size; row++) {
+      for (let col = 0; col < modules.size; col++) {
+        if (modules.get(row, col)) {
+          path += `M${col + margin} ${row + margin}h1v1h-1z`;
+        }
+      }
+    }
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${size} ${size}" shape-rendering="crispEdges"><rect width="${size}" height="${size}" fill="#fff"/><path d="${path}" fill="#000"/></svg>`;
+  }
+
+  /**
+   * IRN, ack number and signed QR code of a registered e-invoice
+   */
+  static renderEInvoice(invoice) {
+    const e = (value) => this.escape(value);
+    const einvoice = invoice.einvoice || {};
+    return `
+    <div class="einvoice">
+      <div>
+        <p><span class="label">IRN:</span> ${e(invoice.irn)}</p>
+        ${einvoice.ack_no ? `<p><span class="label">Ack No:</span> ${e(einvoice.ack_no)}</p>` : ''}
+        <p><span class="label">Ack Date:</span> ${this.formatDate(einvoice.ack_date || invoice.irn_date)}</p>
+      </div>
+      ${einvoice.signed_qr_code ? this.renderQRCode(einvoice.signed_qr_code) : ''}
+    </div>`;
+  }
+
+  /**
+   * Supplier and recipient blocks (GSTINs, place of supply)
+   */
+  static renderParties(supplier, billing, gst) {
+    const e = (value) => this.escape(value);
+    return `
+    <div class="parties">
+      <div>
+        <h2>${e(supplier.name)}</h2>
+        ${supplier.address ? `<p>${[supplier.address, supplier.city, supplier.pincode].filter(Boolean).map(e).join(', ')}</p>` : ''}
+        <p><span class="label">State:</span> ${e(supplier.state)} (${e(supplier.state_code)})</p>
+        <p><span class="label">GSTIN:</span> ${e(supplier.gstin)}</p>
+        ${supplier.pan ? `<p><span class="label">PAN:</span> ${e(supplier.pan)}</p>` : ''}
+        ${supplier.email ? `<p><span class="label">Email:</span> ${e(supplier.email)}</p>` : ''}
+      </div>
+      <div>
+        <p class="label">Bill To</p>
+        <h2>${e(billing.company_name) || '-'}</h2>
+        <p>${[billing.address, billing.city, billing.state, billing.pincode].filter(Boolean).map(e).join(', ')}</p>
+        <p><span class="label">GSTIN:</span> ${e(gst.buyer_gstin) || 'Unregistered'}</p>
+        <p><span class="label">Place of Supply:</span> ${e(gst.place_of_supply_name) || '-'}${gst.place_of_supply ? ` (${e(gst.place_of_supply)})` : ''}</p>
+      </div>
+    </div>`;
+  }
+
+  /**
+   * Render the tax invoice and shipment annexure as HTML
+   * @param {Object} invoice - Invoice document (or lean object) with shipment_charges
+   * @returns {string} HTML string
+   */
+  static generateInvoiceHTML(invoice) {
+    const e = (value) => this.escape(value);
+    const amount = (value) => this.formatAmount(value);
+    const supplier = this.getSupplier(invoice);
+    const amounts = invoice.amounts || {};
+    const gst = invoice.gst_info || {};
+    const billing = invoice.billing_address || {};
+    const period = invoice.billing_period || {};
+    const taxLines = this.getTaxLines(invoice);
+    const shipments = invoice.shipment_charges || [];
+    const adjustments = invoice.adjustments || [];
+
+    const taxHeaders = taxLines.map(tax => `<th class="num">${tax.label} Rate</th><th class="num">${tax.label} Amount</th>`).join('');
+    const taxCells = taxLines.map(tax => `<td class="num">${e(tax.rate)}%</td><td class="num">${amount(tax.amount)}</td>`).join('');
+    const taxSummary = taxLines.map(tax => `
+          <tr><td>${tax.label} @ ${e(tax.rate)}%</td><td class="num">${amount(tax.amount)}</td></tr>`).join('');
+
+    const chargeRows = [
+      ['Forward charges', amounts.total_forward_charges],
+      ['RTO charges', amounts.total_rto_charges],
+      ['COD charges', amounts.total_cod_charges],
+      ['Fuel surcharge', amounts.total_fuel_surcharge],
+      ['Weight discrepancy', amounts.total_weight_discrepancy],
+      ['Other charges', amounts.total_other_charges]
+    ]
+      .filter(([, value]) => value)
+      .map(([label, value]) => `<tr><td>${label}</td><td class="num">${amount(value)}</td></tr>`)
+      .join('');
+
+    const adjustmentSection = adjustments.length === 0 ? '' : `
+      <h3>Credit / Debit Notes</h3>
+      <table class="grid">
+        <thead>
+          <tr><th>Note No.</th><th>Type</th><th>Date</th><th>AWB</th><th>Reason</th><th class="num">Amount (₹)</th></tr>
+        </thead>
+        <tbody>
+          ${adjustments.map(adj => `
+          <tr>
+            <td>${e(adj.note_number)}</td>
+            <td>${adj.type === 'credit_note' ? 'Credit Note' : 'Debit Note'}</td>
+            <td>${this.formatDate(adj.date)}</td>
+            <td>${e(adj.related_awb) || '-'}</td>
+            <td>${e(adj.reason)}</td>
+            <td class="num">${amount(adj.amount)}</td>
+          </tr>`).join('')}
+        </tbody>
+      </table>`;
+
+    const shipmentRows = shipments.map((sc, index) => `
+          <tr>
+            <td>${index + 1}</td>
+            <td>${e(sc.awb_number) || '-'}</td>
+            <td>${e(sc.internal_order_id)}</td>
+            <td>${this.formatDate(sc.order_date)}</td>
+            <td>${SHIPMENT_STATUS_LABELS[sc.shipment_status] || e(sc.shipment_status)}</td>
+            <td>${e(sc.pickup_pincode)} → ${e(sc.delivery_pincode)}</td>
+            <td>${e(sc.zone) || '-'}</td>
+            <td class="num">${this.formatWeight(sc.weight?.charged_weight)}</td>
+            <td>${e(sc.payment_mode)}</td>
+            <td class="num">${amount(sc.charges?.forward_charge)}</td>
+            <td class="num">${amount(sc.charges?.rto_charge)}</td>
+            <td class="num">${amount(sc.charges?.cod_charge)}</td>
+            <td class="num">${amount(sc.charges?.weight_discrepancy_charge)}</td>
+            <td class="num">${amount(sc.total_charge)}</td>
+          </tr>`).join('');
+
+    const annexureTotal = shipments.reduce((sum, sc) => sum + (sc.total_charge || 0), 0);
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>Tax Invoice ${e(invoice.invoice_number)}</title>
+  <style>${DOCUMENT_STYLES}</style>
+</head>
+<body>
+  <div class="page">
+    <h1>TAX INVOICE</h1>
+    <p class="subtitle">Original for Recipient</p>
+
+    ${this.renderParties(supplier, billing, gst)}
+
+    <div class="meta">
+      <div><span class="label">Invoice No:</span> ${e(invoice.invoice_number)}</div>
+      <div><span class="label">Invoice Date:</span> ${this.formatDate(invoice.invoice_date)}</div>
+      <div><span class="label">Due Date:</span> ${this.formatDate(invoice.due_date)}</div>
+      <div><span class="label">Billing Period:</span> ${this.formatDate(period.start_date)} - ${this.formatDate(period.end_date)}</div>
+      <div><span class="label">Service:</span> ${e(invoice.service_type)}</div>
+      <div><span class="label">Reverse Charge:</span> No</div>
+    </div>
+    ${invoice.irn ? this.renderEInvoice(invoice) : ''}
+
+    <h3>Invoice Details</h3>
+    <table class="grid">
+      <thead>
+        <tr>
+          <th>#</th><th>Description</th><th>SAC</th><th class="num">Qty</th><th class="num">Taxable Value (₹)</th>
+          ${taxHeaders}
+          <th class="num">Total (₹)</th>
+        </tr>
+      </thead>
+      <tbody>
+        <tr>
+          <td>1</td>
+          <td>Courier and logistics services (${e(invoice.service_type)})<br><span class="note">${shipments.length} shipment(s), see annexure</span></td>
+          <td>${e(gst.sac_code)}</td>
+          <td class="num">${shipments.length}</td>
+          <td class="num">${amount(amounts.subtotal)}</td>
+          ${taxCells}
+          <td class="num">${amount(amounts.grand_total)}</td>
+        </tr>
+      </tbody>
+    </table>
+
+    <div class="totals">
+      <div class="breakup">
+        <table>
+          ${chargeRows}
+        </table>
+      </div>
+      <div class="summary">
+        <table>
+          <tr><td>Taxable value</td><td class="num">${amount(amounts.subtotal)}</td></tr>
+          ${taxSummary}
+          <tr><td>Total tax</td><td class="num">${amount(amounts.total_tax)}</td></tr>
+          <tr class="grand"><td>Grand Total (₹)</td><td class="num">${amount(amounts.grand_total)}</td></tr>
+        </table>
+      </div>
+    </div>
+
+    <div class="words"><span class="label">Amount in words:</span> ${this.amountInWords(amounts.grand_total)}</div>
+
+    ${adjustmentSection}
+
+    <div class="footer">
+      <p class="note">This is a computer generated invoice.</p>
+      <div class="signature">
+        <div>For ${e(supplier.name)}</div>
+        <div class="line">Authorised Signatory</div>
+      </div>
+    </div>
+  </div>
+
+  <div class="page annexure">
+    <h1>ANNEXURE - SHIPMENT DETAILS</h1>
+    <p class="subtitle">Invoice ${e(invoice.invoice_number)} • ${this.formatDate(period.start_date)} - ${this.formatDate(period.end_date)}</p>
+    <table class="grid compact">
+      <thead>
+        <tr>
+          <th>#</th><th>AWB</th><th>Order ID</th><th>Order Date</th><th>Status</th><th>Route</th><th>Zone</th>
+          <th class="num">Charged Wt</th><th>Mode</th><th class="num">Forward</th><th class="num">RTO</th><th class="num">COD</th><th class="num">Wt Disc.</th><th class="num">Total (₹)</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${shipmentRows || '<tr><td colspan="14">No shipments in this billing period</td></tr>'}
+        <tr class="grand"><td colspan="13">Total (excluding GST)</td><td class="num">${amount(annexureTotal)}</td></tr>
+      </tbody>
+    </table>
+  </div>
+</body>
+</html>`;
+  }
+
+  /**
+   * Render a credit or debit note as HTML
+   * @param {Object} note - InvoiceNote document (or lean object)
+   * @returns {string} HTML string
+   */
+  static generateNoteHTML(note) {
+    const e = (value) => this.escape(value);
+    const amount = (value) => this.formatAmount(value);
+    const supplier = this.getSupplier(note);
+    const amounts = note.amounts || {};
+    const gst = note.gst_info || {};
+    const taxLines = this.getTaxLines(note);
+    const lines = note.line_items || [];
+    const label = note.note_type === 'credit_note' ? 'Credit Note' : 'Debit Note';
+
+    const taxSummary = taxLines.map(tax => `
+          <tr><td>${tax.label} @ ${e(tax.rate)}%</td><td class="num">${amount(tax.amount)}</td></tr>`).join('');
+
+    const lineRows = lines.map((line, index) => `
+          <tr>
+            <td>${index + 1}</td>
+            <td>${e(line.description)}</td>
+            <td>${e(line.awb_number) || '-'}</td>
+            <td>${e(line.internal_order_id) || '-'}</td>
+            <td>${e(gst.sac_code)}</td>
+            <td class="num">${amount(line.amount)}</td>
+          </tr>`).join('');
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>${label} ${e(note.note_number)}</title>
+  <style>${DOCUMENT_STYLES}</style>
+</head>
+<body>
+  <div class="page">
+    <h1>${label.toUpperCase()}</h1>
+    <p class="subtitle">Original for Recipient</p>
+
+    ${this.renderParties(supplier, note.billing_address || {}, gst)}
+
+    <div class="meta">
+      <div><span class="label">Note No:</span> ${e(note.note_number)}</div>
+      <div><span class="label">Note Date:</span> ${this.formatDate(note.note_date)}</div>
+      <div><span class="label">Reverse Charge:</span> No</div>
+      <div><span class="label">Original Invoice:</span> ${e(note.invoice_number)}</div>
+      <div><span class="label">Invoice Date:</span> ${this.formatDate(note.invoice_date)}</div>
+      <div><span class="label">Reason:</span> ${e(note.reason)}</div>
+    </div>
+
+    <h3>Note Details</h3>
+    <table class="grid">
+      <thead>
+        <tr><th>#</th><th>Description</th><th>AWB</th><th>Order ID</th><th>SAC</th><th class="num">Taxable Value (₹)</th></tr>
+      </thead>
+      <tbody>
+        ${lineRows}
+      </tbody>
+    </table>
+
+    <div class="totals">
+      <div class="breakup"></div>
+      <div class="summary">
+        <table>
+          <tr><td>Taxable value</td><td class="num">${amount(amounts.taxable_value)}</td></tr>
+          ${taxSummary}
+          <tr><td>Total tax</td><td class="num">${amount(amounts.total_tax)}</td></tr>
+          <tr class="grand"><td>Note Total (₹)</td><td class="num">${amount(amounts.total)}</td></tr>
+        </table>
+      </div>
+    </div>
+
+    <div class="words"><span class="label">Amount in words:</span> ${this.amountInWords(amounts.total)}</div>
+
+    <div class="footer">
+      <p class="note">This is a computer generated ${label.toLowerCase()} issued against invoice ${e(note.invoice_number)}.</p>
+      <div class="signature">
+        <div>For ${e(supplier.name)}</div>
+        <div class="line">Authorised Signatory</div>
+      </div>
+    </div>
+  </div>
+</body>
+</html>`;
+  }
+
+  /**
+   * Print invoice or note HTML to an A4 PDF with headless Chrome
+   * (also used for pickup manifests, see manifestRenderer)
+   * @param {string} html - Output of generateInvoiceHTML or generateNoteHTML
+   * @returns {Promise<Buffer>} PDF file
+   */
+  static async renderPDF(html) {
+    // Loaded lazily so the API does not pay Chrome's startup cost unless documents are printed
+    const puppeteer = require('puppeteer');
+    const browser = await puppeteer.launch({
+      headless: true,
+      args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage']
+    });
+
+    try {
+      const page = await browser.newPage();
+      await page.setContent(html, { waitUntil: 'load' });
+      const pdf = await page.pdf({
+        format: 'A4',
+        printBackground: true,
+        margin: { top: '12mm', bottom: '12mm', left: '10mm', right: '10mm' }
+      });
+      return Buffer.from(pdf);
+    } catch (error) {
+      logger.error('❌ PDF render failed', { error: error.message });
+      throw error;
+    } finally {
+      await browser.close();
+    }
+  }
+}
+
+module.exports = InvoiceRenderer;
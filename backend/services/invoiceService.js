@@ -1,9 +1,18 @@
 // Location: backend/services/invoiceService.js
+const crypto = require('crypto');
+const axios = require('axios');
 const Invoice = require('../models/Invoice');
 const BillingCycle = require('../models/BillingCycle');
 const Order = require('../models/Order');
 const User = require('../models/User');
 const Transaction = require('../models/Transaction');
+const InvoiceRenderer = require('./invoiceRenderer');
+const cloudinaryService = require('./cloudinaryService');
+const emailService = require('./emailService');
+const einvoiceService = require('./einvoiceService');
+const logger = require('../utils/logger');
+
+const INVOICE_PDF_FOLDER = 'shipsarthi/invoices';
 
 class InvoiceService {
   
@@ -12,7 +21,7 @@ class InvoiceService {
    */
   static async generateInvoiceFromCycle(billingCycleId) {
     const cycle = await BillingCycle.findById(billingCycleId)
-      .populate('user_id', 'your_name company_name email gstin state address');
+      .populate('user_id', 'your_name company_name email gstin state address payment_terms_days');
     
     if (!cycle) {
       throw new Error('Billing cycle not found');
@@ -22,6 +31,10 @@ class InvoiceService {
       throw new Error('Invoice already generated for this cycle');
     }
     
+    if (cycle.status === 'void') {
+      throw new Error('Billing cycle is void');
+    }
+    
     const user = cycle.user_id;
     
     // Determine if IGST or CGST+SGST based on state
@@ -36,6 +49,10 @@ class InvoiceService {
       'billing_info.billing_status': 'unbilled'
     });
     
+    // Postpaid sellers get their payment terms; prepaid charges are already settled
+    const invoiceDate = new Date();
+    const termsDays = user.payment_terms_days || 15;
+
     // Create invoice
     const invoice = new Invoice({
       user_id: cycle.user_id._id,
@@ -46,8 +63,8 @@ class InvoiceService {
         month: cycle.month,
         year: cycle.year
       },
-      invoice_date: new Date(),
-      due_date: new Date(Date.now() + 15 * 24 * 60 * 60 * 1000), // 15 days from now
+      invoice_date: invoiceDate,
+      due_date: new Date(invoiceDate.getTime() + termsDays * 24 * 60 * 60 * 1000),
       service_type: 'Domestic B2C',
       gst_info: {
         buyer_gstin: user.gstin,
@@ -67,6 +84,7 @@ class InvoiceService {
     });
     
     // Add each order as shipment charge
+    let prepaidSubtotal = 0;
     for (const order of orders) {
       const shipmentData = {
         awb_number: order.delhivery_data?.waybill,
@@ -85,7 +103,9 @@ class InvoiceService {
         delivery_pincode: order.delivery_address?.pincode,
         charges: {
           forward_charge: order.billing_info?.charges?.forward_charge || 0,
-          rto_charge: order.billing_info?.charges?.rto_charge || 0,
+          // billing_info.charges.rto_charge is only the quoted rate; a return is
+          // billed as a late charge (see late_charges below)
+          rto_charge: 0,
           cod_charge: order.billing_info?.charges?.cod_charge || 0
         },
         total_charge: order.billing_info?.charges?.total_charge || 0,
@@ -94,6 +114,9 @@ class InvoiceService {
       };
       
       invoice.addShipment(shipmentData);
+      if (order.billing_info?.billing_mode !== 'postpaid') {
+        prepaidSubtotal += shipmentData.total_charge;
+      }
       
       // Mark order as billed
       order.billing_info.billing_status = 'billed';
@@ -102,15 +125,210 @@ class InvoiceService {
       await order.save();
     }
     
+    // Weight discrepancy and RTO charges raised after booking
+    for (const lateCharge of cycle.late_charges || []) {
+      invoice.addLateCharge(lateCharge.toObject(), {
+        shipment_status: lateCharge.type === 'rto' ? 'rto' : undefined
+      });
+      if (lateCharge.settled_from_wallet) {
+        prepaidSubtotal += lateCharge.amount;
+      }
+    }
+    
+    // Charges booked in prepaid mode were debited from the wallet at booking,
+    // so only the postpaid share of the invoice is left to pay
+    if (prepaidSubtotal > 0 && invoice.amounts.subtotal > 0) {
+      invoice.calculateTaxes();
+      const prepaidShare = Math.min(prepaidSubtotal / invoice.amounts.subtotal, 1);
+      invoice.amount_paid = Math.round(invoice.amounts.grand_total * prepaidShare * 100) / 100;
+      invoice.payment_info = {
+        payment_date: invoiceDate,
+        payment_method: 'wallet_deduction'
+      };
+    }
+    
     // Calculate taxes and finalize
     await invoice.finalize();
     
     // Mark cycle as invoiced
     await cycle.markAsInvoiced(invoice._id);
     
+    // The invoice is already saved, so an IRN, PDF or email failure must not fail generation
+    await this.issueInvoice(invoice, user);
+    
     return invoice;
   }
   
+  /**
+   * Issue a generated invoice: register it for an IRN when it is a B2B e-invoice,
+   * then email it. A B2B invoice is not sent without its IRN; the email is held
+   * until a retry registers it. Never throws.
+   * @param {Object} invoice - Invoice document
+   * @param {Object} [user] - Recipient, see sendInvoiceEmail
+   * @param {string} [by] - Admin email or 'system'
+   * @returns {Promise<{irn: Object|null, email: Object|null}>}
+   */
+  static async issueInvoice(invoice, user = null, by = 'system') {
+    let irn = null;
+    if (einvoiceService.isApplicable(invoice) && !invoice.irn) {
+      irn = await einvoiceService.generateIRN(invoice, { by });
+      if (!irn.success) {
+        logger.warn('⏸️ Invoice email held until the IRN is generated', {
+          invoiceNumber: invoice.invoice_number,
+          error: irn.error
+        });
+        return { irn, email: null };
+      }
+    }
+    
+    // Already emailed (e.g. an IRN retry on an invoice issued before e-invoicing was enabled)
+    if (invoice.status !== 'generated') {
+      return { irn, email: null };
+    }
+    
+    // The PDF is rebuilt on the first download if it fails here
+    let email = null;
+    try {
+      email = await this.sendInvoiceEmail(invoice, user);
+    } catch (error) {
+      logger.error('❌ Invoice email failed', { invoiceNumber: invoice.invoice_number, error: error.message });
+    }
+    return { irn, email };
+  }
+  
+  /**
+   * Retry IRN registration for recent B2B invoices that failed, and send the
+   * invoices that were held for it
+   * @returns {Promise<{retried: number, generated: number}>}
+   */
+  static async retryFailedEInvoices() {
+    const result = { retried: 0, generated: 0 };
+    const invoices = await einvoiceService.findPending();
+    
+    for (const invoice of invoices) {
+      result.retried++;
+      const outcome = await this.issueInvoice(invoice);
+      if (outcome.irn?.success) {
+        result.generated++;
+      }
+    }
+    
+    if (result.retried > 0) {
+      logger.info('🧾 IRN retry completed', result);
+    }
+    return result;
+  }
+  
+  /**
+   * Make sure the stored invoice PDF matches the invoice, regenerating it when the
+   * invoice was corrected (amounts, shipments, GST details, notes, IRN) since it was printed
+   * @param {Object} invoice - Invoice document or lean object, including shipment_charges
+   * @param {Object} [options]
+   * @param {boolean} [options.force] - Regenerate even when the stored PDF is current
+   * @returns {Promise<{url: string, buffer?: Buffer, regenerated: boolean}>}
+   */
+  static async ensureInvoicePDF(invoice, { force = false } = {}) {
+    const html = InvoiceRenderer.generateInvoiceHTML(invoice);
+    const hash = crypto.createHash('sha256').update(html).digest('hex');
+    const documents = invoice.documents || {};
+    
+    if (!force && documents.invoice_pdf_url && documents.invoice_pdf_hash === hash) {
+      return { url: documents.invoice_pdf_url, regenerated: false };
+    }
+    
+    const buffer = await InvoiceRenderer.renderPDF(html);
+    const upload = await cloudinaryService.uploadDocument(buffer, {
+      folder: INVOICE_PDF_FOLDER,
+      mimetype: 'application/pdf'
+    });
+    
+    const update = {
+      'documents.invoice_pdf_url': upload.url,
+      'documents.invoice_pdf_public_id': upload.public_id,
+      'documents.invoice_pdf_hash': hash,
+      'documents.invoice_pdf_generated_at': new Date()
+    };
+    await Invoice.updateOne({ _id: invoice._id }, { $set: update });
+    
+    // Keep an in-memory document in step with the database
+    if (typeof invoice.set === 'function') {
+      invoice.set(update);
+    }
+    
+    if (documents.invoice_pdf_public_id && documents.invoice_pdf_public_id !== upload.public_id) {
+      cloudinaryService.deleteFile(documents.invoice_pdf_public_id, 'raw').catch(error => {
+        logger.warn('⚠️ Could not delete old invoice PDF', {
+          invoiceNumber: invoice.invoice_number,
+          publicId: documents.invoice_pdf_public_id,
+          error: error.message
+        });
+      });
+    }
+    
+    logger.info('🧾 Invoice PDF generated', {
+      invoiceNumber: invoice.invoice_number,
+      url: upload.url,
+      replaced: Boolean(documents.invoice_pdf_url)
+    });
+    
+    return { url: upload.url, buffer, regenerated: true };
+  }
+  
+  /**
+   * Get the current invoice PDF as a buffer (for downloads), regenerating it if stale
+   * @returns {Promise<Buffer>}
+   */
+  static async getInvoicePDF(invoice) {
+    const pdf = await this.ensureInvoicePDF(invoice);
+    if (pdf.buffer) {
+      return pdf.buffer;
+    }
+    
+    const response = await axios.get(pdf.url, { responseType: 'arraybuffer', timeout: 30000 });
+    return Buffer.from(response.data);
+  }
+  
+  /**
+   * Email the invoice to the seller with the PDF attached
+   * @param {Object} invoice - Invoice document
+   * @param {Object} [user] - User with email, your_name and company_name (loaded when omitted)
+   * @returns {Promise<Object>} emailService result
+   */
+  static async sendInvoiceEmail(invoice, user = null) {
+    const recipient = user || await User.findById(invoice.user_id).select('email your_name company_name');
+    if (!recipient?.email) {
+      return { success: false, message: 'Seller has no email address' };
+    }
+    
+    // Send without the attachment rather than not at all
+    let pdf = null;
+    try {
+      pdf = await this.ensureInvoicePDF(invoice);
+    } catch (error) {
+      logger.error('❌ Invoice PDF generation failed', { invoiceNumber: invoice.invoice_number, error: error.message });
+    }
+    
+    const result = await emailService.sendInvoiceNotification({
+      invoice_id: invoice._id,
+      invoice_number: invoice.invoice_number,
+      invoice_date: invoice.invoice_date,
+      due_date: invoice.due_date,
+      amounts: invoice.amounts,
+      billing_address: invoice.billing_address,
+      user_email: recipient.email,
+      user_name: recipient.your_name || recipient.company_name,
+      pdf_buffer: pdf?.buffer,
+      pdf_url: pdf?.url
+    });
+    
+    if (result.success && invoice.status === 'generated') {
+      invoice.status = 'sent';
+      await Invoice.updateOne({ _id: invoice._id }, { $set: { status: 'sent' } });
+    }
+    
+    return result;
+  }
+  
   /**
    * Get invoices for user with filters (for Invoice List page)
    */
@@ -217,6 +435,7 @@ class InvoiceService {
       'Forward Charge': sc.charges?.forward_charge || 0,
       'RTO Charge': sc.charges?.rto_charge || 0,
       'COD Charge': sc.charges?.cod_charge || 0,
+      'Weight Discrepancy Charge': sc.charges?.weight_discrepancy_charge || 0,
       'Total Charge': sc.total_charge
     }));
     
@@ -295,6 +295,11 @@ class LabelRenderer {
       // Courier name
       const courierName = 'Delhivery';
 
+      // Seller's branded tracking page (tracking_page_url is set by the label routes)
+      const trackingUrl = labelSettings?.tracking_page_url && awb !== 'N/A'
+        ? `${labelSettings.tracking_page_url}/${encodeURIComponent(awb)}`
+        : '';
+
       // Brand info (for company branding section)
       const brandName = order?.user_id?.company_name || companyName || 'SHIPPING COMPANY';
       const brandMobile = companyPhone || '';
@@ -441,6 +446,15 @@ class LabelRenderer {
     .awb-number span {
       font-weight: normal;
     }
+    .tracking-url {
+      margin-top: 2px;
+      font-size: 6.5px;
+      font-weight: bold;
+      word-break: break-all;
+    }
+    .tracking-url span {
+      font-weight: normal;
+    }
     .payment-info-section {
       padding: 6px 8px;
       font-size: 7.5px;
@@ -653,6 +667,7 @@ class LabelRenderer {
           ${barcodeImage ? `<img src="${barcodeImage}" alt="AWB Barcode">` : '<div style="height:30px;background:repeating-linear-gradient(90deg,#000,#000 2px,#fff 2px,#fff 4px);"></div>'}
         </div>
         <div class="awb-number">AWB: <span>${awb}</span></div>
+        ${showComponent('tracking_url') && trackingUrl ? `<div class="tracking-url">Track: <span>${trackingUrl}</span></div>` : ''}
       </div>
       <div class="payment-info-section">
         ${showComponent('dimensions') ? `<div class="payment-info-row"><span class="payment-info-label">Dimensions:</span><span class="payment-info-value">${dimensions}</span></div>` : ''}
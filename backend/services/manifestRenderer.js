@@ -0,0 +1,244 @@
+const InvoiceRenderer = require('./invoiceRenderer');
+
+/**
+ * Manifest Renderer Service
+ * Renders a pickup manifest (models/Manifest.js) as the handover sheet the courier
+ * executive signs: warehouse and carrier, shipment and COD counts, one row per
+ * shipment with its AWB barcode, and signature blocks for both sides.
+ *
+ * Barcodes are Code 128 (set B) drawn as inline SVG, so the sheet prints offline
+ * and scans with any handheld scanner.
+ */
+
+// Bar / space widths of Code 128 symbols 0-105, then the stop symbol
+const CODE128_PATTERNS = [
+  '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+  '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+  '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+  '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+  '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+  '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+  '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+  '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+  '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+  '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+  '114131', '311141', '411131', '211412', '211214', '211232', '2331112'
+];
+const CODE128_START_B = 104;
+const CODE128_STOP = 106;
+
+const HANDOVER_LABELS = {
+  pending: '',
+  handed_over: 'Handed over',
+  not_picked: 'Not picked'
+};
+
+const MANIFEST_STYLES = `
+  * { box-sizing: border-box; }
+  body { font-family: Arial, Helvetica, sans-serif; font-size: 10px; color: #222; margin: 0; }
+  h1 { font-size: 18px; margin: 0; letter-spacing: 1px; }
+  .header { display: flex; justify-content: space-between; align-items: center; border-bottom: 2px solid #222; padding-bottom: 8px; }
+  .header .number { text-align: center; font-size: 11px; font-weight: bold; }
+  .header .number svg { display: block; width: 60mm; height: 12mm; }
+  .parties { display: flex; border: 1px solid #999; margin-top: 10px; }
+  .parties > div { flex: 1; padding: 6px 8px; }
+  .parties > div + div { border-left: 1px solid #999; }
+  .parties p { margin: 2px 0; }
+  .label { color: #555; }
+  .summary { display: flex; border: 1px solid #999; border-top: none; }
+  .summary div { flex: 1; padding: 6px 8px; text-align: center; }
+  .summary div + div { border-left: 1px solid #999; }
+  .summary strong { display: block; font-size: 14px; }
+  table { width: 100%; border-collapse: collapse; margin-top: 10px; }
+  th, td { border: 1px solid #999; padding: 3px 5px; vertical-align: middle; }
+  th { background: #f0f0f0; text-align: left; }
+  tr { page-break-inside: avoid; }
+  .awb svg { display: block; width: 46mm; height: 9mm; }
+  .awb span { display: block; font-weight: bold; letter-spacing: 0.5px; }
+  .num { text-align: right; white-space: nowrap; }
+  .not-picked { font-weight: bold; color: #b00; }
+  .signatures { display: flex; justify-content: space-between; margin-top: 24px; page-break-inside: avoid; }
+  .signatures > div { width: 46%; border: 1px solid #999; padding: 8px; }
+  .signatures p { margin: 12px 0 0; border-bottom: 1px dotted #999; padding-bottom: 2px; }
+  .note { color: #555; font-size: 9px; margin-top: 10px; }
+`;
+
+class ManifestRenderer {
+
+  static escape(value) {
+    return InvoiceRenderer.escape(value);
+  }
+
+  static formatAmount(value) {
+    return InvoiceRenderer.formatAmount(value);
+  }
+
+  /**
+   * Pickup day, stored as midnight UTC
+   */
+  static formatPickupDate(value) {
+    if (!value) return '-';
+    return new Date(value).toLocaleDateString('en-GB', { timeZone: 'UTC' });
+  }
+
+  static formatDateTime(value) {
+    if (!value) return '-';
+    return new Date(value).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' });
+  }
+
+  /**
+   * Code 128 symbol values (set B) for a text, with start, checksum and stop
+   * @param {string} text - Printable ASCII, e.g. an AWB number
+   * @returns {number[]}
+   */
+  static encodeCode128(text) {
+    const values = [CODE128_START_B];
+    for (const char of String(text)) {
+      const code = char.charCodeAt(0);
+      // Set B covers printable ASCII; anything else prints as '?'
+      values.push(code >= 32 && code <= 126 ? code - 32 : 31);
+    }
+    const checksum = values.reduce((sum, value, index) => sum + value * (index || 1), 0) % 103;
+    values.push(checksum, CODE128_STOP);
+    return values;
+  }
+
+  /**
+   * Code 128 barcode as inline SVG
+   * @param {string} text - Value to encode
+   */
+  static renderBarcode(text) {
+    const quietZone = 10;
+    let x = quietZone;
+    let path = '';
+    for (const value of this.encodeCode128(text)) {
+      const widths = CODE128_PATTERNS[value];
+      for (let i = 0; i < widths.length; i++) {
+        const width = Number(widths[i]);
+        // Patterns alternate bar, space, bar, ... starting with a bar
+        if (i % 2 === 0) {
+          path += `M${x} 0h${width}v40h-${width}z`;
+        }
+        x += width;
+      }
+    }
+    const size = x + quietZone;
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${size} 40" preserveAspectRatio="none" shape-rendering="crispEdges"><rect width="${size}" height="40" fill="#fff"/><path d="${path}" fill="#000"/></svg>`;
+  }
+
+  /**
+   * Handover sheet HTML
+   * @param {Object} manifest - Manifest document
+   * @param {Object} options - { seller: User, carrierName }
+   * @returns {string} HTML
+   */
+  static generateManifestHTML(manifest, { seller = {}, carrierName } = {}) {
+    const e = (value) => this.escape(value);
+    const amount = (value) => this.formatAmount(value);
+    const totals = manifest.totals || {};
+    const address = manifest.pickup_address || {};
+    const shipments = manifest.shipments || [];
+
+    const rows = shipments.map((shipment, index) => `
+        <tr>
+          <td>${index + 1}</td>
+          <td class="awb">${this.renderBarcode(shipment.awb_number)}<span>${e(shipment.awb_number)}</span></td>
+          <td>${e(shipment.internal_order_id) || '-'}</td>
+          <td>${e(shipment.consignee_name) || '-'}</td>
+          <td>${[shipment.destination_city, shipment.destination_pincode].filter(Boolean).map(e).join(' - ') || '-'}</td>
+          <td>${e(shipment.payment_mode) || '-'}</td>
+          <td class="num">${shipment.payment_mode === 'COD' ? amount(shipment.cod_amount) : '-'}</td>
+          <td class="num">${shipment.weight ? `${shipment.weight} kg` : '-'}</td>
+          <td class="num">${shipment.number_of_boxes || 1}</td>
+          <td class="${shipment.handover_status === 'not_picked' ? 'not-picked' : ''}">${HANDOVER_LABELS[shipment.handover_status] || ''}</td>
+        </tr>`).join('');
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>Manifest ${e(manifest.manifest_number)}</title>
+  <style>${MANIFEST_STYLES}</style>
+</head>
+<body>
+  <div class="header">
+    <div>
+      <h1>PICKUP MANIFEST</h1>
+      <div class="label">Generated ${this.formatDateTime(new Date())}</div>
+    </div>
+    <div class="number">
+      ${this.renderBarcode(manifest.manifest_number)}
+      ${e(manifest.manifest_number)}
+    </div>
+  </div>
+
+  <div class="parties">
+    <div>
+      <p class="label">Seller</p>
+      <p><strong>${e(seller.company_name || seller.your_name) || '-'}</strong></p>
+      ${seller.client_id ? `<p><span class="label">Client ID:</span> ${e(seller.client_id)}</p>` : ''}
+    </div>
+    <div>
+      <p class="label">Pickup from</p>
+      <p><strong>${e(manifest.warehouse_name)}</strong></p>
+      <p>${[address.full_address, address.city, address.state, address.pincode].filter(Boolean).map(e).join(', ') || '-'}</p>
+      ${address.phone ? `<p><span class="label">Phone:</span> ${e(address.phone)}</p>` : ''}
+    </div>
+    <div>
+      <p><span class="label">Courier:</span> <strong>${e(carrierName || manifest.carrier)}</strong></p>
+      <p><span class="label">Pickup date:</span> ${this.formatPickupDate(manifest.pickup_date)}</p>
+      ${manifest.pickup_time ? `<p><span class="label">Pickup time:</span> ${e(manifest.pickup_time)}</p>` : ''}
+    </div>
+  </div>
+
+  <div class="summary">
+    <div><span class="label">Shipments</span><strong>${totals.shipments || 0}</strong></div>
+    <div><span class="label">Boxes</span><strong>${totals.boxes || 0}</strong></div>
+    <div><span class="label">Prepaid</span><strong>${(totals.shipments || 0) - (totals.cod_shipments || 0)}</strong></div>
+    <div><span class="label">COD</span><strong>${totals.cod_shipments || 0}</strong></div>
+    <div><span class="label">COD total (₹)</span><strong>${amount(totals.cod_amount)}</strong></div>
+  </div>
+
+  <table>
+    <thead>
+      <tr>
+        <th>#</th><th>AWB</th><th>Order ID</th><th>Consignee</th><th>Destination</th><th>Payment</th>
+        <th class="num">COD (₹)</th><th class="num">Weight</th><th class="num">Boxes</th><th>Handover</th>
+      </tr>
+    </thead>
+    <tbody>
+      ${rows}
+    </tbody>
+  </table>
+
+  <div class="signatures">
+    <div>
+      <strong>Handed over by (seller)</strong>
+      <p><span class="label">Name:</span></p>
+      <p><span class="label">Signature:</span></p>
+    </div>
+    <div>
+      <strong>Received by (courier executive)</strong>
+      <p><span class="label">Name:</span></p>
+      <p><span class="label">Phone:</span></p>
+      <p><span class="label">Shipments received:</span></p>
+      <p><span class="label">Signature &amp; time:</span></p>
+    </div>
+  </div>
+
+  <p class="note">The courier executive confirms receiving the shipments above in good condition. COD amounts are collected from the consignee on delivery.</p>
+</body>
+</html>`;
+  }
+
+  /**
+   * Print manifest HTML to an A4 PDF
+   * @param {string} html - Output of generateManifestHTML
+   * @returns {Promise<Buffer>} PDF file
+   */
+  static async renderPDF(html) {
+    return InvoiceRenderer.renderPDF(html);
+  }
+}
+
+module.exports = ManifestRenderer;
@@ -0,0 +1,496 @@
+const cron = require('node-cron');
+const Manifest = require('../models/Manifest');
+const Order = require('../models/Order');
+const User = require('../models/User');
+const carriers = require('./carriers');
+const manifestRenderer = require('./manifestRenderer');
+const websocketService = require('./websocketService');
+const logger = require('../utils/logger');
+
+// Order statuses that mean the carrier has the shipment
+const PICKED_UP_STATUSES = ['in_transit', 'out_for_delivery', 'delivered', 'ndr', 'rto', 'lost'];
+
+// Pickup days are stored as midnight UTC of the date the seller picked (YYYY-MM-DD)
+const toPickupDay = (date) => new Date(date).toISOString().slice(0, 10);
+const todayIST = () => new Date().toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' });
+
+const normalizeAwb = (awb) => String(awb || '').trim().toUpperCase();
+
+/**
+ * Manifest Service
+ * Orders join a pickup manifest when their pickup is requested. There is one open
+ * manifest per warehouse (Order.pickup_address.name), carrier and pickup day; its
+ * number is stored on the order as delhivery_data.manifest_id.
+ *
+ * At pickup the seller scans each AWB as it is handed to the courier executive.
+ * Shipments the carrier reports as picked up are marked handed over as well.
+ * At day end (23:30 IST) open manifests for today and earlier are closed: anything
+ * still unscanned is flagged "not picked" and its pickup can be requested again.
+ */
+class ManifestService {
+  constructor() {
+    this.closeJob = null;
+    this.isRunning = false;
+  }
+
+  /**
+   * Orders left with the seller at a manifest's day end wait in pickups_manifests
+   * with a failed pickup until a new pickup is requested
+   */
+  canRequestPickupAgain(order) {
+    return order.status === 'pickups_manifests' && order.delhivery_data?.pickup_request_status === 'failed';
+  }
+
+  generateManifestNumber(pickupDay) {
+    const random = Math.random().toString(36).slice(2, 6).toUpperCase().padEnd(4, '0');
+    return `MF${pickupDay.replace(/-/g, '').slice(2)}${random}`;
+  }
+
+  buildShipment(order) {
+    const packageInfo = order.package_info || {};
+    return {
+      order_id: order._id,
+      internal_order_id: order.order_id,
+      awb_number: order.delhivery_data.waybill,
+      payment_mode: order.payment_info?.payment_mode,
+      cod_amount: order.payment_info?.payment_mode === 'COD' ? order.payment_info.cod_amount || 0 : 0,
+      weight: packageInfo.weight,
+      number_of_boxes: packageInfo.number_of_boxes || 1,
+      consignee_name: order.customer_info?.buyer_name,
+      destination_city: order.delivery_address?.city,
+      destination_pincode: order.delivery_address?.pincode
+    };
+  }
+
+  /**
+   * Open manifest for the order's warehouse, carrier and pickup day, created if needed
+   */
+  async getOpenManifest(order) {
+    const pickupDay = toPickupDay(order.delhivery_data.pickup_request_date);
+    const key = {
+      user_id: order.user_id,
+      warehouse_name: order.pickup_address.name,
+      carrier: carriers.normalizeCode(order.carrier || 'DELHIVERY'),
+      pickup_date: new Date(pickupDay),
+      status: 'open'
+    };
+
+    const existing = await Manifest.findOne(key);
+    if (existing) {
+      return existing;
+    }
+
+    const address = order.pickup_address;
+    try {
+      return await Manifest.create({
+        ...key,
+        manifest_number: this.generateManifestNumber(pickupDay),
+        pickup_time: order.delhivery_data.pickup_request_time,
+        pickup_address: {
+          full_address: address.full_address,
+          city: address.city,
+          state: address.state,
+          pincode: address.pincode,
+          phone: address.phone
+        }
+      });
+    } catch (error) {
+      // Another request opened it first
+      if (error.code === 11000) {
+        return Manifest.findOne(key);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Add an order whose pickup was requested to its manifest
+   * @param {Object} order - Order document in pickups_manifests with a waybill and pickup date
+   * @returns {Promise<Object>} { success, manifest } or { success: false, code, error }
+   */
+  async addOrder(order) {
+    const delhivery = order.delhivery_data || {};
+    if (order.status !== 'pickups_manifests' || !delhivery.waybill || !delhivery.pickup_request_date) {
+      return { success: false, code: 'NOT_SCHEDULED', error: 'Pickup has not been requested for this order' };
+    }
+    if (!order.pickup_address?.name) {
+      return { success: false, code: 'NO_WAREHOUSE', error: 'Pickup location is not configured for this order' };
+    }
+
+    const manifest = await this.getOpenManifest(order);
+    const shipment = this.buildShipment(order);
+
+    // Atomic so concurrent pickup requests keep the totals right
+    await Manifest.updateOne(
+      { _id: manifest._id, status: 'open', 'shipments.order_id': { $ne: order._id } },
+      {
+        $push: { shipments: shipment },
+        $inc: {
+          'totals.shipments': 1,
+          'totals.boxes': shipment.number_of_boxes,
+          'totals.cod_shipments': shipment.payment_mode === 'COD' ? 1 : 0,
+          'totals.cod_amount': shipment.cod_amount
+        }
+      }
+    );
+
+    await Order.updateOne({ _id: order._id }, { $set: { 'delhivery_data.manifest_id': manifest.manifest_number } });
+    order.delhivery_data.manifest_id = manifest.manifest_number;
+
+    logger.info('📋 Order added to manifest', {
+      orderId: order.order_id,
+      awb: shipment.awb_number,
+      manifest: manifest.manifest_number
+    });
+
+    return { success: true, manifest: await Manifest.findById(manifest._id) };
+  }
+
+  /**
+   * Take a cancelled order off its open manifest. Never throws - called from the Order save hook.
+   */
+  async removeOrder(order) {
+    try {
+      const manifestNumber = order.delhivery_data?.manifest_id;
+      if (!manifestNumber) return;
+
+      const manifest = await Manifest.findOne({ manifest_number: manifestNumber, status: 'open' });
+      const shipment = manifest?.shipments.find(item => String(item.order_id) === String(order._id));
+      if (!shipment) return;
+
+      await Manifest.updateOne(
+        { _id: manifest._id, status: 'open', 'shipments.order_id': order._id },
+        {
+          $pull: { shipments: { order_id: order._id } },
+          $inc: {
+            'totals.shipments': -1,
+            'totals.boxes': -(shipment.number_of_boxes || 1),
+            'totals.cod_shipments': shipment.payment_mode === 'COD' ? -1 : 0,
+            'totals.cod_amount': -(shipment.cod_amount || 0),
+            'totals.handed_over': shipment.handover_status === 'handed_over' ? -1 : 0
+          }
+        }
+      );
+      await this.completeIfHandedOver(manifest._id);
+    } catch (error) {
+      logger.error('❌ Failed to remove cancelled order from manifest', {
+        orderId: order.order_id,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Mark a shipment handed over when the carrier reports the pickup, including one
+   * already flagged not picked. Never throws - called from the Order save hook.
+   */
+  async markPickedUp(order) {
+    try {
+      const manifestNumber = order.delhivery_data?.manifest_id;
+      if (!manifestNumber) return;
+
+      const now = new Date();
+      for (const from of ['pending', 'not_picked']) {
+        const result = await Manifest.updateOne(
+          {
+            manifest_number: manifestNumber,
+            shipments: { $elemMatch: { order_id: order._id, handover_status: from } }
+          },
+          {
+            $set: {
+              'shipments.$.handover_status': 'handed_over',
+              'shipments.$.handover_source': 'carrier',
+              'shipments.$.scanned_at': now
+            },
+            $inc: {
+              'totals.handed_over': 1,
+              'totals.not_picked': from === 'not_picked' ? -1 : 0
+            }
+          }
+        );
+        if (result.modifiedCount > 0) break;
+      }
+
+      const manifest = await Manifest.findOne({ manifest_number: manifestNumber }).select('_id');
+      if (manifest) {
+        await this.completeIfHandedOver(manifest._id);
+      }
+    } catch (error) {
+      logger.error('❌ Failed to mark manifest shipment picked up', {
+        orderId: order.order_id,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Open manifest whose shipments have all been handed over becomes handed_over
+   */
+  async completeIfHandedOver(manifestId) {
+    await Manifest.updateOne(
+      {
+        _id: manifestId,
+        status: 'open',
+        'totals.shipments': { $gt: 0 },
+        $expr: { $eq: ['$totals.handed_over', '$totals.shipments'] }
+      },
+      { $set: { status: 'handed_over', handed_over_at: new Date() } }
+    );
+  }
+
+  /**
+   * Build manifests for scheduled orders that are not on one yet, e.g. pickups
+   * requested before manifests existed
+   * @param {string} userId
+   * @param {string} [pickupDate] - YYYY-MM-DD; all pickups from today onwards when not given
+   * @returns {Promise<Object>} { success, added, manifests }
+   */
+  async generateForUser(userId, pickupDate) {
+    const query = {
+      user_id: userId,
+      status: 'pickups_manifests',
+      'delhivery_data.waybill': { $exists: true, $ne: null },
+      'delhivery_data.manifest_id': { $in: [null, ''] },
+      'delhivery_data.pickup_request_status': { $ne: 'failed' }
+    };
+    query['delhivery_data.pickup_request_date'] = pickupDate
+      ? new Date(pickupDate)
+      : { $gte: new Date(todayIST()) };
+
+    const orders = await Order.find(query);
+    const manifestIds = new Set();
+    let added = 0;
+
+    for (const order of orders) {
+      const result = await this.addOrder(order);
+      if (result.success) {
+        added++;
+        manifestIds.add(String(result.manifest._id));
+      }
+    }
+
+    const manifests = await Manifest.find({ _id: { $in: [...manifestIds] } })
+      .select('-shipments')
+      .sort({ pickup_date: 1, warehouse_name: 1 });
+
+    return { success: true, added, manifests };
+  }
+
+  /**
+   * Record an AWB scanned while handing shipments to the courier executive
+   * @param {string} manifestId
+   * @param {Object} user - Seller scanning
+   * @param {string} awb - Scanned AWB
+   * @returns {Promise<Object>} { success, already_scanned, shipment, manifest } or { success: false, code, error }
+   */
+  async scanAwb(manifestId, user, awb) {
+    const awbNumber = normalizeAwb(awb);
+    if (!awbNumber) {
+      return { success: false, code: 'AWB_REQUIRED', error: 'Scan or enter an AWB number' };
+    }
+
+    const manifest = await Manifest.findOne({ _id: manifestId, user_id: user._id });
+    if (!manifest) {
+      return { success: false, code: 'NOT_FOUND', error: 'Manifest not found' };
+    }
+
+    const shipment = manifest.shipments.find(item => normalizeAwb(item.awb_number) === awbNumber);
+    if (!shipment) {
+      return { success: false, code: 'AWB_NOT_ON_MANIFEST', error: `AWB ${awbNumber} is not on manifest ${manifest.manifest_number}` };
+    }
+    if (shipment.handover_status === 'handed_over') {
+      return { success: true, already_scanned: true, shipment, manifest };
+    }
+    if (manifest.status !== 'open') {
+      return { success: false, code: 'MANIFEST_CLOSED', error: `Manifest ${manifest.manifest_number} is already closed` };
+    }
+
+    const result = await Manifest.updateOne(
+      {
+        _id: manifest._id,
+        status: 'open',
+        shipments: { $elemMatch: { awb_number: shipment.awb_number, handover_status: 'pending' } }
+      },
+      {
+        $set: {
+          'shipments.$.handover_status': 'handed_over',
+          'shipments.$.handover_source': 'scan',
+          'shipments.$.scanned_at': new Date(),
+          'shipments.$.scanned_by': user.your_name || user.email
+        },
+        $inc: { 'totals.handed_over': 1 }
+      }
+    );
+
+    if (result.modifiedCount > 0) {
+      await Order.updateOne(
+        { _id: shipment.order_id, status: 'pickups_manifests' },
+        { $set: { 'delhivery_data.pickup_request_status': 'completed' } }
+      );
+      await this.completeIfHandedOver(manifest._id);
+    }
+
+    const updated = await Manifest.findById(manifest._id);
+    return {
+      success: true,
+      already_scanned: result.modifiedCount === 0,
+      shipment: updated.shipments.find(item => item.awb_number === shipment.awb_number),
+      manifest: updated
+    };
+  }
+
+  /**
+   * Close an open manifest. Shipments the carrier has already picked up count as
+   * handed over; the rest are flagged not picked and their pickup can be requested again.
+   * @param {Object} manifest - Manifest document
+   * @param {string} closedBy - 'user' or 'scheduler'
+   * @returns {Promise<Object>} { success, manifest } or { success: false, code, error }
+   */
+  async closeManifest(manifest, closedBy) {
+    // Claim it first so scans and new orders stop before shipments are flagged
+    const claimed = await Manifest.findOneAndUpdate(
+      { _id: manifest._id, status: 'open' },
+      { $set: { status: 'closed', closed_at: new Date(), closed_by: closedBy } },
+      { new: true }
+    );
+    if (!claimed) {
+      return { success: false, code: 'NOT_OPEN', error: `Manifest ${manifest.manifest_number} is not open` };
+    }
+
+    const pending = claimed.shipments.filter(item => item.handover_status === 'pending');
+    const orders = pending.length
+      ? await Order.find({ _id: { $in: pending.map(item => item.order_id) } }).select('status')
+      : [];
+    const pickedUp = new Set(orders.filter(order => PICKED_UP_STATUSES.includes(order.status)).map(order => String(order._id)));
+
+    const notPickedOrderIds = [];
+    for (const shipment of pending) {
+      if (pickedUp.has(String(shipment.order_id))) {
+        shipment.handover_status = 'handed_over';
+        shipment.handover_source = 'carrier';
+      } else {
+        shipment.handover_status = 'not_picked';
+        notPickedOrderIds.push(shipment.order_id);
+      }
+    }
+
+    claimed.refreshTotals();
+    if (claimed.totals.not_picked === 0) {
+      claimed.status = 'handed_over';
+      claimed.handed_over_at = claimed.closed_at;
+    }
+    await claimed.save();
+
+    if (notPickedOrderIds.length) {
+      await Order.updateMany(
+        { _id: { $in: notPickedOrderIds }, status: 'pickups_manifests' },
+        { $set: { 'delhivery_data.pickup_request_status': 'failed' } }
+      );
+    }
+
+    logger.info('📋 Manifest closed', {
+      manifest: claimed.manifest_number,
+      closedBy,
+      handedOver: claimed.totals.handed_over,
+      notPicked: claimed.totals.not_picked
+    });
+
+    return { success: true, manifest: claimed };
+  }
+
+  /**
+   * Close open manifests for today and earlier (IST)
+   * @returns {Promise<Object>} { closed, not_picked }
+   */
+  async closeDay() {
+    const manifests = await Manifest.find({
+      status: 'open',
+      pickup_date: { $lte: new Date(todayIST()) }
+    });
+
+    let closed = 0;
+    let notPicked = 0;
+    for (const manifest of manifests) {
+      try {
+        const result = await this.closeManifest(manifest, 'scheduler');
+        if (!result.success) continue;
+        closed++;
+        notPicked += result.manifest.totals.not_picked;
+        if (result.manifest.totals.not_picked > 0) {
+          this.notifyNotPicked(result.manifest);
+        }
+      } catch (error) {
+        logger.error('❌ Failed to close manifest', {
+          manifest: manifest.manifest_number,
+          error: error.message
+        });
+      }
+    }
+
+    if (closed > 0) {
+      logger.info('📋 Day-end manifest close completed', { closed, notPicked });
+    }
+    return { closed, not_picked: notPicked };
+  }
+
+  notifyNotPicked(manifest) {
+    const count = manifest.totals.not_picked;
+    websocketService.sendNotificationToClient(String(manifest.user_id), {
+      type: 'manifest_not_picked',
+      title: 'Shipments Not Picked',
+      message: `${count} shipment${count === 1 ? ' was' : 's were'} not picked from ${manifest.warehouse_name} on manifest ${manifest.manifest_number}. Request pickup again to reschedule.`,
+      manifest_number: manifest.manifest_number,
+      not_picked: count,
+      created_at: new Date()
+    });
+  }
+
+  /**
+   * Handover sheet PDF
+   * @param {Object} manifest - Manifest document
+   * @returns {Promise<Buffer>}
+   */
+  async getManifestPDF(manifest) {
+    const seller = await User.findById(manifest.user_id).select('company_name your_name client_id');
+    let carrierName = manifest.carrier;
+    try {
+      carrierName = carriers.getCarrier(manifest.carrier).name;
+    } catch (error) {
+      // Carrier no longer registered - print its code
+    }
+
+    const html = manifestRenderer.generateManifestHTML(manifest, { seller: seller || {}, carrierName });
+    return manifestRenderer.renderPDF(html);
+  }
+
+  startScheduler() {
+    if (this.isRunning) {
+      logger.warn('⚠️ Manifest scheduler already running');
+      return;
+    }
+
+    // '30 23 * * *' = every day at 23:30 IST, after the day's pickups
+    this.closeJob = cron.schedule('30 23 * * *', async () => {
+      try {
+        await this.closeDay();
+      } catch (error) {
+        logger.error('❌ Error closing manifests at day end:', error);
+      }
+    }, {
+      scheduled: true,
+      timezone: 'Asia/Kolkata'
+    });
+
+    this.isRunning = true;
+    logger.info('✅ Manifest scheduler started');
+  }
+
+  stopScheduler() {
+    if (this.closeJob) {
+      this.closeJob.destroy();
+      this.isRunning = false;
+    }
+  }
+}
+
+module.exports = new ManifestService();
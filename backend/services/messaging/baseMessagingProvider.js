@@ -0,0 +1,80 @@
+// Location: backend/services/messaging/baseMessagingProvider.js
+
+/**
+ * Base Messaging Provider
+ * Contract for SMS / WhatsApp gateways used to reach buyers. Email goes
+ * through emailService and is not part of the provider.
+ *
+ * Messages are identified by a template name (e.g. 'ndr_response') plus
+ * variables, because Indian SMS (DLT) and WhatsApp both require pre-approved
+ * templates. `text` is the rendered message for providers that send free text
+ * and for the NDR communication history.
+ *
+ * All methods resolve to { success: boolean, message_id?: string, error?: string }
+ * and never throw for gateway side failures.
+ */
+class BaseMessagingProvider {
+  /**
+   * @param {Object} config
+   * @param {string} config.code - Provider code used in MESSAGING_PROVIDER (e.g. 'MSG91')
+   * @param {string} config.name - Human readable provider name
+   * @param {string[]} [config.channels] - Supported channels ('sms', 'whatsapp')
+   */
+  constructor({ code, name, channels = ['sms'] }) {
+    this.code = code;
+    this.name = name;
+    this.channels = channels;
+  }
+
+  notSupported(method) {
+    return Promise.resolve({
+      success: false,
+      error: `${this.name} does not support ${method}`
+    });
+  }
+
+  /**
+   * Check whether the provider credentials/configuration are usable
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return true;
+  }
+
+  supportsChannel(channel) {
+    return this.channels.includes(channel);
+  }
+
+  /**
+   * Send a templated SMS
+   * @param {Object} message
+   * @param {string} message.to - 10 digit mobile number
+   * @param {string} message.template - Template name
+   * @param {Object} message.variables - Template variables
+   * @param {string} message.text - Rendered message text
+   * @returns {Promise<{success: boolean, message_id?: string, error?: string}>}
+   */
+  async sendSMS(message) {
+    return this.notSupported('sendSMS');
+  }
+
+  /**
+   * Send a templated WhatsApp message
+   * @param {Object} message - Same shape as sendSMS
+   * @returns {Promise<{success: boolean, message_id?: string, error?: string}>}
+   */
+  async sendWhatsApp(message) {
+    return this.notSupported('sendWhatsApp');
+  }
+
+  describe() {
+    return {
+      code: this.code,
+      name: this.name,
+      channels: this.channels,
+      configured: this.isConfigured()
+    };
+  }
+}
+
+module.exports = BaseMessagingProvider;
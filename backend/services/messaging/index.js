@@ -0,0 +1,40 @@
+// Location: backend/services/messaging/index.js
+// Messaging registry - SMS / WhatsApp gateway used to reach buyers.
+//
+// Environment:
+//   MESSAGING_PROVIDER - provider code (default: MSG91)
+//
+// To add a gateway: implement BaseMessagingProvider and register it in PROVIDERS.
+const MSG91Provider = require('./msg91Provider');
+const MockMessagingProvider = require('./mockMessagingProvider');
+
+const PROVIDERS = {
+  MSG91: MSG91Provider,
+  MOCK: MockMessagingProvider
+};
+
+const instances = new Map();
+
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+/**
+ * Get a messaging provider
+ * @param {string} [code] - Provider code, defaults to MESSAGING_PROVIDER
+ * @returns {BaseMessagingProvider}
+ */
+const getProvider = (code) => {
+  const normalized = normalizeCode(code || process.env.MESSAGING_PROVIDER) || 'MSG91';
+  if (!PROVIDERS[normalized]) {
+    throw new Error(`Unknown messaging provider: ${code || process.env.MESSAGING_PROVIDER}`);
+  }
+
+  if (!instances.has(normalized)) {
+    instances.set(normalized, new PROVIDERS[normalized]());
+  }
+  return instances.get(normalized);
+};
+
+module.exports = {
+  getProvider,
+  normalizeCode
+};
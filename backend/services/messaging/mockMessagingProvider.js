@@ -0,0 +1,42 @@
+// Location: backend/services/messaging/mockMessagingProvider.js
+const BaseMessagingProvider = require('./baseMessagingProvider');
+const logger = require('../../utils/logger');
+
+const OUTBOX_LIMIT = 100;
+
+/**
+ * Mock Messaging Provider
+ * Logs messages instead of sending them, for local development. The last
+ * messages are kept in memory so links can be picked up while testing.
+ */
+class MockMessagingProvider extends BaseMessagingProvider {
+  constructor() {
+    super({
+      code: 'MOCK',
+      name: 'Mock Messaging',
+      channels: ['sms', 'whatsapp']
+    });
+    this.outbox = [];
+    this.sequence = 0;
+  }
+
+  record(channel, { to, template, text }) {
+    this.sequence += 1;
+    const messageId = `MOCKMSG${Date.now()}${this.sequence}`;
+    this.outbox.unshift({ message_id: messageId, channel, to, template, text, sent_at: new Date() });
+    this.outbox.length = Math.min(this.outbox.length, OUTBOX_LIMIT);
+
+    logger.info(`📨 Mock ${channel} message`, { to, template, text });
+    return { success: true, message_id: messageId };
+  }
+
+  async sendSMS(message) {
+    return this.record('sms', message);
+  }
+
+  async sendWhatsApp(message) {
+    return this.record('whatsapp', message);
+  }
+}
+
+module.exports = MockMessagingProvider;
@@ -0,0 +1,149 @@
+// Location: backend/services/messaging/msg91Provider.js
+const https = require('https');
+const BaseMessagingProvider = require('./baseMessagingProvider');
+const msg91Service = require('../msg91Service');
+const logger = require('../../utils/logger');
+
+// Template name -> MSG91 template ids and the order WhatsApp body variables are filled in
+const TEMPLATES = {
+  ndr_response: {
+    sms: () => process.env.MSG91_NDR_SMS_TEMPLATE_ID,
+    whatsapp: () => process.env.MSG91_NDR_WHATSAPP_TEMPLATE,
+    variables: ['customer_name', 'order_id', 'seller_name', 'link']
+  },
+  tracking_link: {
+    sms: () => process.env.MSG91_TRACKING_SMS_TEMPLATE_ID,
+    whatsapp: () => process.env.MSG91_TRACKING_WHATSAPP_TEMPLATE,
+    variables: ['customer_name', 'order_id', 'seller_name', 'link']
+  },
+  return_update: {
+    sms: () => process.env.MSG91_RETURN_SMS_TEMPLATE_ID,
+    whatsapp: () => process.env.MSG91_RETURN_WHATSAPP_TEMPLATE,
+    variables: ['customer_name', 'order_id', 'seller_name', 'status']
+  }
+};
+
+const REQUEST_TIMEOUT_MS = 15000;
+
+/**
+ * MSG91 Messaging Provider
+ * SMS through the MSG91 Flow API and WhatsApp through MSG91's WhatsApp
+ * outbound API. Uses the same auth key as msg91Service (OTP).
+ *
+ * Environment:
+ *   MSG91_AUTH_KEY              - shared with OTP
+ *   MSG91_NDR_SMS_TEMPLATE_ID   - DLT approved flow for NDR links
+ *   MSG91_WHATSAPP_NUMBER       - integrated WhatsApp business number
+ *   MSG91_NDR_WHATSAPP_TEMPLATE - approved WhatsApp template name for NDR links
+ *   MSG91_TRACKING_SMS_TEMPLATE_ID   - DLT approved flow for tracking links
+ *   MSG91_TRACKING_WHATSAPP_TEMPLATE - approved WhatsApp template name for tracking links
+ *   MSG91_RETURN_SMS_TEMPLATE_ID     - DLT approved flow for return decisions
+ *   MSG91_RETURN_WHATSAPP_TEMPLATE   - approved WhatsApp template name for return decisions
+ */
+class MSG91Provider extends BaseMessagingProvider {
+  constructor() {
+    super({
+      code: 'MSG91',
+      name: 'MSG91',
+      channels: ['sms', 'whatsapp']
+    });
+  }
+
+  isConfigured() {
+    return Boolean(process.env.MSG91_AUTH_KEY);
+  }
+
+  postJSON(hostname, path, payload) {
+    return new Promise((resolve) => {
+      const req = https.request({
+        method: 'POST',
+        hostname,
+        path,
+        timeout: REQUEST_TIMEOUT_MS,
+        headers: {
+          authkey: process.env.MSG91_AUTH_KEY,
+          'Content-Type': 'application/json',
+          accept: 'application/json'
+        }
+      }, (res) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => {
+          const raw = Buffer.concat(chunks).toString();
+          let body;
+          try {
+            body = JSON.parse(raw);
+          } catch (error) {
+            body = { message: raw };
+          }
+          resolve({ statusCode: res.statusCode, body });
+        });
+      });
+
+      req.on('timeout', () => req.destroy(new Error('MSG91 request timed out')));
+      req.on('error', (error) => resolve({ statusCode: 0, body: { message: error.message } }));
+
+      req.write(JSON.stringify(payload));
+      req.end();
+    });
+  }
+
+  toResult(channel, to, { statusCode, body }) {
+    if (statusCode >= 200 && statusCode < 300 && body.type !== 'error' && body.status !== 'fail') {
+      return {
+        success: true,
+        message_id: body.request_id || body.data?.request_id || body.message
+      };
+    }
+
+    logger.error(`❌ MSG91 ${channel} send failed`, { to, statusCode, response: body });
+    return {
+      success: false,
+      error: body.message || body.errors || `MSG91 returned ${statusCode}`
+    };
+  }
+
+  async sendSMS({ to, template, variables = {} }) {
+    const templateId = TEMPLATES[template]?.sms();
+    if (!this.isConfigured() || !templateId) {
+      return { success: false, error: `MSG91 SMS template for ${template} is not configured` };
+    }
+
+    const response = await this.postJSON('control.msg91.com', '/api/v5/flow/', {
+      template_id: templateId,
+      short_url: '0',
+      recipients: [{ mobiles: msg91Service.formatMobile(to), ...variables }]
+    });
+    return this.toResult('sms', to, response);
+  }
+
+  async sendWhatsApp({ to, template, variables = {} }) {
+    const config = TEMPLATES[template];
+    const templateName = config?.whatsapp();
+    if (!this.isConfigured() || !templateName || !process.env.MSG91_WHATSAPP_NUMBER) {
+      return { success: false, error: `MSG91 WhatsApp template for ${template} is not configured` };
+    }
+
+    const components = {};
+    config.variables.forEach((key, index) => {
+      components[`body_${index + 1}`] = { type: 'text', value: String(variables[key] ?? '') };
+    });
+
+    const response = await this.postJSON('api.msg91.com', '/api/v5/whatsapp/whatsapp-outbound-message/bulk/', {
+      integrated_number: process.env.MSG91_WHATSAPP_NUMBER,
+      content_type: 'template',
+      payload: {
+        messaging_product: 'whatsapp',
+        type: 'template',
+        template: {
+          name: templateName,
+          language: { code: 'en', policy: 'deterministic' },
+          to_and_components: [{ to: [msg91Service.formatMobile(to)], components }]
+        }
+      }
+    });
+    return this.toResult('whatsapp', to, response);
+  }
+}
+
+module.exports = MSG91Provider;
@@ -0,0 +1,154 @@
+// Location: backend/services/ndrActionService.js
+const carriers = require('./carriers');
+
+// NSL codes the carrier accepts each action for
+const ALLOWED_REATTEMPT_CODES = ['EOD-74', 'EOD-15', 'EOD-104', 'EOD-43', 'EOD-86', 'EOD-11', 'EOD-69', 'EOD-6'];
+const ALLOWED_RESCHEDULE_CODES = ['EOD-777', 'EOD-21'];
+
+/**
+ * NDR Action Service
+ * Seller NDR actions shared by routes/ndr.js (POST /action, PATCH /:id/customer-info)
+ * and buyer responses from the NDR self-service link (services/ndrOutreachService.js).
+ *
+ * Methods return { success, code?, error?, ... } instead of throwing for
+ * validation or carrier failures.
+ */
+class NDRActionService {
+  /**
+   * Why an action cannot be taken for an order, or null when it can
+   * @returns {{code: string, error: string}|null}
+   */
+  checkAction(order, action) {
+    const nslCode = order.ndr_info.nsl_code;
+
+    if (action === 'RE-ATTEMPT' && !ALLOWED_REATTEMPT_CODES.includes(nslCode)) {
+      return { code: 'ACTION_NOT_ALLOWED', error: `Re-attempt not allowed for NSL code: ${nslCode}` };
+    }
+    if (action === 'PICKUP_RESCHEDULE' && !ALLOWED_RESCHEDULE_CODES.includes(nslCode)) {
+      return { code: 'ACTION_NOT_ALLOWED', error: `Pickup reschedule not allowed for NSL code: ${nslCode}` };
+    }
+    if (order.ndr_info.ndr_attempts > 2) {
+      return { code: 'MAX_ATTEMPTS', error: 'Maximum 3 attempts allowed. Please initiate RTO.' };
+    }
+    return null;
+  }
+
+  /**
+   * Re-attempt or pickup reschedule through the order's carrier
+   * @param {Object} order - Order document with ndr_info
+   * @param {Object} params
+   * @param {string} params.action - 'RE-ATTEMPT' | 'PICKUP_RESCHEDULE'
+   * @param {string} [params.reason]
+   * @param {string} [params.source] - Order.ndr_info.action_history source
+   * @returns {Promise<{success: boolean, code?: string, error?: string, upl_id?: string, next_attempt_date?: Date}>}
+   */
+  async takeAction(order, { action, reason, source = 'seller' }) {
+    const blocked = this.checkAction(order, action);
+    if (blocked) {
+      return { success: false, ...blocked };
+    }
+
+    const waybill = order.delhivery_data.waybill;
+    const result = await carriers.getCarrierForOrder(order).takeNDRAction({
+      waybill,
+      action,
+      reason,
+      nslCode: order.ndr_info.nsl_code,
+      attemptCount: order.ndr_info.ndr_attempts
+    });
+
+    if (!result.success) {
+      return { success: false, code: 'CARRIER_ERROR', error: result.error || 'Failed to take NDR action' };
+    }
+
+    order.ndr_info.action_history.push({
+      action: action,
+      timestamp: new Date(),
+      upl_id: result.request_id,
+      status: 'PENDING',
+      remarks: reason || `${action} initiated`,
+      source
+    });
+
+    order.ndr_info.resolution_action = action === 'RE-ATTEMPT' ? 'reattempt' : 'rto';
+
+    if (action === 'RE-ATTEMPT' && !this.hasFutureAttemptDate(order)) {
+      // Calculate next attempt date (next day)
+      const nextAttempt = new Date();
+      nextAttempt.setDate(nextAttempt.getDate() + 1);
+      order.ndr_info.next_attempt_date = nextAttempt;
+    }
+
+    await order.save();
+
+    return {
+      success: true,
+      upl_id: result.request_id,
+      next_attempt_date: order.ndr_info.next_attempt_date
+    };
+  }
+
+  // A date the buyer asked for (PATCH /customer-info) is kept over the next-day default
+  hasFutureAttemptDate(order) {
+    const date = order.ndr_info.next_attempt_date;
+    return Boolean(date) && new Date(date) > new Date();
+  }
+
+  /**
+   * Return the shipment to origin through the order's carrier
+   * @returns {Promise<{success: boolean, code?: string, error?: string, upl_id?: string}>}
+   */
+  async initiateRTO(order, { reason, source = 'seller' }) {
+    const result = await carriers.getCarrierForOrder(order).initiateRTO(order.delhivery_data.waybill, reason);
+    if (!result.success) {
+      return { success: false, code: 'CARRIER_ERROR', error: result.error || 'Failed to initiate RTO' };
+    }
+
+    order.ndr_info.action_history.push({
+      action: 'RTO',
+      timestamp: new Date(),
+      upl_id: result.request_id,
+      status: 'PENDING',
+      remarks: reason,
+      source
+    });
+    order.ndr_info.resolution_action = 'rto';
+    await order.save();
+
+    return { success: true, upl_id: result.request_id };
+  }
+
+  /**
+   * Apply corrected delivery details to an NDR order
+   * @param {Object} order - Order document
+   * @param {Object} info - { updated_address, updated_phone, preferred_delivery_date, customer_notes }
+   * @returns {Promise<string[]>} Fields that were updated
+   */
+  async updateCustomerInfo(order, info) {
+    const updatedFields = [];
+
+    if (info.updated_address) {
+      order.delivery_address.full_address = info.updated_address;
+      updatedFields.push('updated_address');
+    }
+    if (info.updated_phone) {
+      order.customer_info.phone = info.updated_phone;
+      updatedFields.push('updated_phone');
+    }
+    if (info.preferred_delivery_date) {
+      order.ndr_info.next_attempt_date = new Date(info.preferred_delivery_date);
+      updatedFields.push('preferred_delivery_date');
+    }
+    if (info.customer_notes) {
+      order.special_instructions = info.customer_notes;
+      updatedFields.push('customer_notes');
+    }
+
+    await order.save();
+    return updatedFields;
+  }
+}
+
+module.exports = new NDRActionService();
+module.exports.ALLOWED_REATTEMPT_CODES = ALLOWED_REATTEMPT_CODES;
+module.exports.ALLOWED_RESCHEDULE_CODES = ALLOWED_RESCHEDULE_CODES;
@@ -0,0 +1,428 @@
+// Location: backend/services/ndrOutreachService.js
+const crypto = require('crypto');
+const Order = require('../models/Order');
+const NDR = require('../models/NDR');
+const User = require('../models/User');
+const messaging = require('./messaging');
+const emailService = require('./emailService');
+const ndrActionService = require('./ndrActionService');
+const websocketService = require('./websocketService');
+const logger = require('../utils/logger');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+// Latest date a buyer can push delivery to, counted from today
+const MAX_RESCHEDULE_DAYS = 7;
+// Links sent per NDR, including seller resends
+const MAX_SENDS_PER_NDR = 5;
+const CLOSED_NDR_STATUSES = ['delivered', 'rto_initiated', 'rto_in_transit', 'rto_delivered', 'closed'];
+const OUTREACH_CHANNELS = ['sms', 'whatsapp', 'email'];
+const BUYER_CHOICES = ['reattempt', 'reschedule', 'change_address', 'cancel_order'];
+
+const getLinkTtlHours = () => parseInt(process.env.NDR_LINK_TTL_HOURS) || 48;
+
+const getEnabledChannels = () => (process.env.NDR_OUTREACH_CHANNELS || 'sms,whatsapp,email')
+  .split(',')
+  .map(channel => channel.trim().toLowerCase())
+  .filter(channel => OUTREACH_CHANNELS.includes(channel));
+
+const getLinkSecret = () => process.env.NDR_LINK_SECRET || process.env.JWT_SECRET;
+
+// Short signature so the link fits in an SMS; the link version invalidates older links
+const signLink = (ndrId, expires, version) => crypto
+  .createHmac('sha256', getLinkSecret())
+  .update(`${ndrId}.${expires}.${version}`)
+  .digest('base64url')
+  .slice(0, 22);
+
+const maskPhone = (phone) => (phone && phone.length >= 4
+  ? `${phone.slice(0, 2)}${'X'.repeat(phone.length - 4)}${phone.slice(-2)}`
+  : phone);
+
+// Delivery dates are calendar days (YYYY-MM-DD), stored as UTC midnight
+const toDateKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+/**
+ * NDR Outreach Service
+ * Sends the buyer a signed, expiring self-service link when an NDR is raised
+ * and applies their answer (new date, corrected address/phone or cancellation)
+ * through the same actions sellers use on the NDR page.
+ *
+ * Link tokens have the form <ndrId>.<expiry, base36 seconds>.<signature>.
+ */
+class NDROutreachService {
+  buildLink(token) {
+    return `${process.env.FRONTEND_URL || 'https://shipsarthi.com'}/ndr-response/${token}`;
+  }
+
+  /**
+   * Issue a new link for an NDR. Older links stop working. Does not save the NDR.
+   */
+  createLink(ndr) {
+    const version = (ndr.customer_outreach?.link_version || 0) + 1;
+    const expiresAt = new Date(Date.now() + getLinkTtlHours() * HOUR_MS);
+    const expires = Math.floor(expiresAt.getTime() / 1000);
+
+    ndr.customer_outreach.link_version = version;
+    ndr.customer_outreach.link_expires_at = expiresAt;
+
+    const token = `${ndr._id}.${expires.toString(36)}.${signLink(String(ndr._id), expires, version)}`;
+    return { token, url: this.buildLink(token), expires_at: expiresAt };
+  }
+
+  isClosed(ndr, order) {
+    return CLOSED_NDR_STATUSES.includes(ndr.ndr_status.current_status) || order.status !== 'ndr';
+  }
+
+  /**
+   * Send the self-service link to the buyer on every enabled channel.
+   * Never throws: outreach must not fail the NDR processing that triggered it.
+   * @returns {Promise<{success: boolean, code?: string, error?: string, channels?: Array, link_expires_at?: Date}>}
+   */
+  async sendOutreach(ndr, order) {
+    try {
+      if (this.isClosed(ndr, order)) {
+        return { success: false, code: 'NDR_CLOSED', error: 'NDR is already closed' };
+      }
+      if ((ndr.customer_outreach.send_count || 0) >= MAX_SENDS_PER_NDR) {
+        return { success: false, code: 'SEND_LIMIT', error: `A maximum of ${MAX_SENDS_PER_NDR} links can be sent per NDR` };
+      }
+      if (!getLinkSecret()) {
+        logger.error('❌ NDR outreach skipped: NDR_LINK_SECRET / JWT_SECRET not set');
+        return { success: false, code: 'NOT_CONFIGURED', error: 'NDR links are not configured' };
+      }
+
+      const channels = getEnabledChannels();
+      const seller = await User.findById(order.user_id).select('company_name').lean();
+      const previousLink = {
+        link_version: ndr.customer_outreach.link_version,
+        link_expires_at: ndr.customer_outreach.link_expires_at
+      };
+      const link = this.createLink(ndr);
+      const variables = {
+        customer_name: order.customer_info?.buyer_name || 'Customer',
+        order_id: order.order_id,
+        seller_name: seller?.company_name || 'your seller',
+        link: link.url
+      };
+      const text = `Hi ${variables.customer_name}, we could not deliver your order ${variables.order_id} from ${variables.seller_name}. ` +
+        `Choose a new delivery date, update your address or cancel here: ${link.url}`;
+
+      const provider = messaging.getProvider();
+      const phone = order.customer_info?.phone;
+      const email = order.customer_info?.email;
+      const results = [];
+
+      for (const channel of channels) {
+        if (channel === 'email') {
+          if (!email) continue;
+          let result;
+          try {
+            result = await emailService.sendNDRResponseEmail({ ...variables, to: email, expires_at: link.expires_at });
+          } catch (error) {
+            result = { success: false, message: error.message };
+          }
+          ndr.customer_communication.emails_sent.push({
+            email_subject: `Delivery attempt failed for order ${order.order_id}`,
+            email_content: text,
+            email_status: result.success ? 'sent' : 'failed'
+          });
+          results.push({ channel, success: result.success, error: result.success ? undefined : result.message });
+          continue;
+        }
+
+        if (!phone || !provider.supportsChannel(channel)) continue;
+        const message = { to: phone, template: 'ndr_response', variables, text };
+        const result = channel === 'sms' ? await provider.sendSMS(message) : await provider.sendWhatsApp(message);
+
+        if (channel === 'sms') {
+          ndr.customer_communication.sms_sent.push({
+            message_text: text,
+            delivery_status: result.success ? 'sent' : 'failed',
+            template_used: 'ndr_response'
+          });
+        } else {
+          ndr.customer_communication.whatsapp_messages.push({
+            message_text: text,
+            message_status: result.success ? 'sent' : 'failed'
+          });
+        }
+        results.push({ channel, success: result.success, error: result.error });
+      }
+
+      const sent = results.some(result => result.success);
+      if (sent) {
+        const now = new Date();
+        ndr.customer_outreach.last_sent_at = now;
+        ndr.customer_outreach.send_count = (ndr.customer_outreach.send_count || 0) + 1;
+        ndr.metrics.first_contact_date = ndr.metrics.first_contact_date || now;
+        ndr.metrics.last_contact_date = now;
+        if (ndr.ndr_status.current_status === 'new_ndr') {
+          ndr.ndr_status.current_status = 'customer_response_pending';
+        }
+      } else {
+        // Nothing reached the buyer, so the link they already have keeps working
+        Object.assign(ndr.customer_outreach, previousLink);
+      }
+      await ndr.save();
+
+      logger.info(sent ? '📨 NDR self-service link sent' : '⚠️ NDR self-service link not sent', {
+        orderId: order.order_id,
+        waybill: ndr.awb_number,
+        provider: provider.code,
+        channels: results
+      });
+
+      return sent
+        ? { success: true, channels: results, link_expires_at: link.expires_at }
+        : { success: false, code: 'NOT_SENT', error: 'No channel could reach the buyer', channels: results };
+    } catch (error) {
+      logger.error('❌ NDR outreach failed', { orderId: order?.order_id, error: error.message, stack: error.stack });
+      return { success: false, code: 'NOT_SENT', error: error.message };
+    }
+  }
+
+  /**
+   * Verify a link token and load its NDR and order
+   * @returns {Promise<{success: boolean, code?: string, error?: string, ndr?: Object, order?: Object}>}
+   */
+  async resolveLink(token) {
+    const invalid = { success: false, code: 'INVALID_LINK', error: 'This link is invalid or has been replaced by a newer one' };
+    const [ndrId, expiresPart, signature] = String(token || '').split('.');
+    const expires = parseInt(expiresPart, 36);
+
+    if (!/^[a-f0-9]{24}$/.test(ndrId || '') || !expires || !signature || !getLinkSecret()) {
+      return invalid;
+    }
+
+    const ndr = await NDR.findById(ndrId);
+    if (!ndr) {
+      return invalid;
+    }
+
+    const expected = Buffer.from(signLink(ndrId, expires, ndr.customer_outreach?.link_version || 0));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return invalid;
+    }
+    if (expires * 1000 < Date.now()) {
+      return { success: false, code: 'LINK_EXPIRED', error: 'This link has expired. Please contact the seller.' };
+    }
+
+    const order = await Order.findById(ndr.order_id);
+    if (!order) {
+      return invalid;
+    }
+
+    return { success: true, ndr, order };
+  }
+
+  rescheduleWindow() {
+    return {
+      from: toDateKey(Date.now() + DAY_MS),
+      to: toDateKey(Date.now() + MAX_RESCHEDULE_DAYS * DAY_MS)
+    };
+  }
+
+  /**
+   * What the buyer sees on the self-service page. Contact details are masked.
+   */
+  async getLinkDetails(token) {
+    const resolved = await this.resolveLink(token);
+    if (!resolved.success) {
+      return resolved;
+    }
+
+    const { ndr, order } = resolved;
+    const seller = await User.findById(order.user_id).select('company_name').lean();
+    const responded = ndr.customer_outreach.responded_version === ndr.customer_outreach.link_version;
+
+    return {
+      success: true,
+      data: {
+        order_id: order.order_id,
+        awb_number: ndr.awb_number,
+        seller_name: seller?.company_name || null,
+        customer_name: order.customer_info?.buyer_name,
+        phone: maskPhone(order.customer_info?.phone),
+        delivery_address: {
+          full_address: order.delivery_address?.full_address,
+          city: order.delivery_address?.city,
+          state: order.delivery_address?.state,
+          pincode: order.delivery_address?.pincode
+        },
+        payment_mode: order.payment_info?.payment_mode,
+        ndr_reason: ndr.ndr_reason_description,
+        attempts: order.ndr_info?.ndr_attempts || ndr.delivery_attempts.length,
+        link_expires_at: ndr.customer_outreach.link_expires_at,
+        closed: this.isClosed(ndr, order),
+        responded,
+        response: responded
+          ? {
+            choice: ndr.customer_response.customer_preference,
+            response_date: ndr.customer_response.response_date,
+            preferred_delivery_date: ndr.customer_response.preferred_delivery_date
+          }
+          : null,
+        choices: BUYER_CHOICES,
+        reschedule_window: this.rescheduleWindow()
+      }
+    };
+  }
+
+  // The carrier already has a re-attempt for the current failed attempt
+  hasPendingReattempt(order) {
+    const lastNdrDate = order.ndr_info.last_ndr_date ? new Date(order.ndr_info.last_ndr_date) : null;
+    return order.ndr_info.action_history.some(entry =>
+      entry.action === 'RE-ATTEMPT' && (!lastNdrDate || new Date(entry.timestamp) >= lastNdrDate)
+    );
+  }
+
+  validateResponse(input) {
+    const { choice } = input;
+    if (!BUYER_CHOICES.includes(choice)) {
+      return 'Please choose what you would like us to do';
+    }
+    if (choice === 'reschedule') {
+      const date = new Date(input.preferred_delivery_date || '');
+      const { from, to } = this.rescheduleWindow();
+      if (Number.isNaN(date.getTime()) || toDateKey(date) < from || toDateKey(date) > to) {
+        return `Please pick a delivery date within the next ${MAX_RESCHEDULE_DAYS} days`;
+      }
+    }
+    if (choice === 'change_address' && !input.updated_address && !input.updated_phone) {
+      return 'Please enter the corrected address or phone number';
+    }
+    return null;
+  }
+
+  /**
+   * Apply the buyer's answer. Re-attempts and address/phone changes go through
+   * ndrActionService exactly like the seller's POST /action and
+   * PATCH /:id/customer-info; cancellation initiates RTO.
+   * @param {string} token
+   * @param {Object} input - { choice, preferred_delivery_date, updated_address, updated_phone, customer_notes }
+   */
+  async submitResponse(token, input) {
+    const resolved = await this.resolveLink(token);
+    if (!resolved.success) {
+      return resolved;
+    }
+
+    const { ndr, order } = resolved;
+    if (this.isClosed(ndr, order)) {
+      return { success: false, code: 'NDR_CLOSED', error: 'This shipment can no longer be changed' };
+    }
+    if (ndr.customer_outreach.responded_version === ndr.customer_outreach.link_version) {
+      return { success: false, code: 'ALREADY_RESPONDED', error: 'We have already received your response' };
+    }
+
+    const validationError = this.validateResponse(input);
+    if (validationError) {
+      return { success: false, code: 'INVALID_RESPONSE', error: validationError };
+    }
+
+    const { choice } = input;
+    const preferredDate = choice === 'reschedule'
+      ? new Date(`${toDateKey(input.preferred_delivery_date)}T00:00:00.000Z`)
+      : undefined;
+    let result;
+    let buyerMessage;
+
+    if (choice === 'cancel_order') {
+      result = await ndrActionService.initiateRTO(order, { reason: 'Cancelled by buyer via NDR link', source: 'buyer' });
+      if (result.success) {
+        ndr.rto_info.is_rto = true;
+        ndr.rto_info.rto_initiated_date = new Date();
+        ndr.rto_info.rto_reason = 'Cancelled by buyer';
+        ndr.rto_info.rto_status = 'initiated';
+        ndr.ndr_status.current_status = 'rto_initiated';
+        ndr.ndr_status.resolution_action = 'initiate_rto';
+        ndr.ndr_status.resolution_date = new Date();
+      }
+      buyerMessage = result.success
+        ? 'Your order has been cancelled and will be returned to the seller.'
+        : 'Thank you. Your cancellation request has been shared with the seller.';
+    } else {
+      const updatedFields = await ndrActionService.updateCustomerInfo(order, {
+        updated_address: choice === 'change_address' ? input.updated_address : undefined,
+        updated_phone: choice === 'change_address' ? input.updated_phone : undefined,
+        preferred_delivery_date: preferredDate,
+        customer_notes: input.customer_notes
+      });
+      if (updatedFields.includes('updated_address')) ndr.customer_info.address = order.delivery_address.full_address;
+      if (updatedFields.includes('updated_phone')) ndr.customer_info.phone = order.customer_info.phone;
+
+      const reason = choice === 'reschedule'
+        ? `Buyer requested delivery on ${toDateKey(preferredDate)}`
+        : choice === 'change_address' ? 'Buyer updated delivery details' : 'Buyer requested re-attempt';
+
+      result = this.hasPendingReattempt(order)
+        ? { success: true, already_scheduled: true }
+        : await ndrActionService.takeAction(order, { action: 'RE-ATTEMPT', reason, source: 'buyer' });
+
+      if (result.success) {
+        ndr.ndr_status.current_status = 'reattempt_scheduled';
+        ndr.ndr_status.resolution_action = 'reattempt_delivery';
+        ndr.ndr_status.resolution_date = new Date();
+        ndr.ndr_status.resolution_notes = reason;
+      } else if (updatedFields.includes('updated_address') || updatedFields.includes('updated_phone')) {
+        ndr.ndr_status.current_status = 'address_updated';
+      } else {
+        ndr.ndr_status.current_status = 'customer_contacted';
+      }
+      buyerMessage = result.success
+        ? `Thank you. We will try to deliver your order again${preferredDate ? ` on ${toDateKey(preferredDate)}` : ' soon'}.`
+        : 'Thank you. Your response has been shared with the seller, who will arrange the next delivery attempt.';
+    }
+
+    ndr.customer_response = {
+      response_received: true,
+      response_date: new Date(),
+      response_type: 'portal',
+      customer_preference: choice,
+      preferred_delivery_date: preferredDate,
+      updated_address: choice === 'change_address' ? input.updated_address : undefined,
+      updated_phone: choice === 'change_address' ? input.updated_phone : undefined,
+      customer_notes: input.customer_notes,
+      action_result: result.success
+        ? (result.already_scheduled ? 'Re-attempt already requested' : `Carrier request ${result.upl_id || 'sent'}`)
+        : result.error
+    };
+    ndr.customer_outreach.responded_version = ndr.customer_outreach.link_version;
+    await ndr.save();
+
+    logger.info('🙋 NDR buyer response', {
+      orderId: order.order_id,
+      waybill: ndr.awb_number,
+      choice,
+      applied: result.success,
+      error: result.success ? undefined : result.error
+    });
+
+    try {
+      websocketService.sendNotificationToClient(String(order.user_id), {
+        type: 'ndr_customer_response',
+        title: 'Buyer Responded to NDR',
+        message: `${order.order_id}: buyer chose ${choice.replace('_', ' ')}${result.success ? '' : ' (needs your action)'}`,
+        order_id: order.order_id,
+        waybill: ndr.awb_number,
+        choice,
+        created_at: new Date()
+      });
+    } catch (notifError) {
+      logger.error('Failed to send NDR response notification:', notifError);
+    }
+
+    return {
+      success: true,
+      data: {
+        choice,
+        applied: result.success,
+        message: buyerMessage
+      }
+    };
+  }
+}
+
+module.exports = new NDROutreachService();
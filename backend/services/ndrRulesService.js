@@ -0,0 +1,377 @@
+// Location: backend/services/ndrRulesService.js
+const Order = require('../models/Order');
+const NDR = require('../models/NDR');
+const NDRRule = require('../models/NDRRule');
+const NDRAutomationLog = require('../models/NDRAutomationLog');
+const carriers = require('./carriers');
+const ndrOutreachService = require('./ndrOutreachService');
+const websocketService = require('./websocketService');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Carrier limit: re-attempts are only accepted for the first two attempts
+const MAX_REATTEMPT_ATTEMPTS = 2;
+// NSL codes Delhivery accepts a RE-ATTEMPT for (same list as routes/ndr.js)
+const REATTEMPT_NSL_CODES = ['EOD-74', 'EOD-15', 'EOD-104', 'EOD-43', 'EOD-86', 'EOD-11', 'EOD-69', 'EOD-6'];
+
+// First match wins; scan remarks are free text
+const NDR_REASON_PATTERNS = [
+  [/refus/i, 'customer_refused'],
+  [/cash|payment/i, 'payment_issue'],
+  [/(incomplete|insufficient).*address|address.*(incomplete|insufficient)/i, 'address_incomplete'],
+  [/(wrong|incorrect|invalid).*address|address.*(wrong|incorrect|not found)/i, 'wrong_address'],
+  [/reschedul|future date|another day/i, 'customer_rescheduled'],
+  [/closed|holiday/i, 'premises_closed'],
+  [/not contactable|not reachable|unreachable|switched off/i, 'customer_not_contactable'],
+  [/not available|unavailable/i, 'customer_not_available']
+];
+
+const mapNDRReason = (remarks) => {
+  const match = NDR_REASON_PATTERNS.find(([pattern]) => pattern.test(remarks || ''));
+  return match ? match[1] : 'other';
+};
+
+const hasValue = (value) => value !== undefined && value !== null;
+
+/**
+ * Whether every condition of a rule holds for an NDR's facts.
+ * Unset conditions are ignored, so a rule without conditions matches everything.
+ */
+const ruleMatches = (rule, facts) => {
+  const c = rule.conditions || {};
+
+  if (c.nsl_codes?.length && !c.nsl_codes.includes(String(facts.nsl_code || '').toUpperCase())) return false;
+  if (hasValue(c.min_attempts) && facts.attempts < c.min_attempts) return false;
+  if (hasValue(c.max_attempts) && facts.attempts > c.max_attempts) return false;
+  if (hasValue(c.min_days_in_ndr) && facts.days_in_ndr < c.min_days_in_ndr) return false;
+  if (hasValue(c.max_days_in_ndr) && facts.days_in_ndr > c.max_days_in_ndr) return false;
+  if (hasValue(c.min_order_value) && facts.order_value < c.min_order_value) return false;
+  if (hasValue(c.max_order_value) && facts.order_value > c.max_order_value) return false;
+  if (c.payment_mode && c.payment_mode !== 'any' && facts.payment_mode !== c.payment_mode) return false;
+  if (c.pincodes?.length && !c.pincodes.some(prefix => String(facts.pincode || '').startsWith(prefix))) return false;
+
+  return true;
+};
+
+/**
+ * NDR Rules Service
+ * Records NDR scans against the NDR model and runs the seller's NDRRule list
+ * on every new or updated NDR. The first matching rule re-attempts delivery,
+ * initiates RTO, escalates or leaves the NDR for manual review; every
+ * decision is written to NDRAutomationLog. The buyer is then sent the
+ * self-service link (services/ndrOutreachService.js).
+ */
+class NDRRulesService {
+  /**
+   * Record a carrier NDR scan for an order and run the seller's rules.
+   * Never throws: NDR handling must not fail the webhook / tracking update that found it.
+   * @param {string|ObjectId} orderId - Order _id
+   * @param {Object} scan - { nslCode, remarks, location, eventDate }
+   */
+  async recordNDREvent(orderId, { nslCode, remarks, location, eventDate = new Date() } = {}) {
+    try {
+      const order = await Order.findById(orderId);
+      const waybill = order?.delhivery_data?.waybill;
+      if (!order || !waybill) {
+        return null;
+      }
+
+      if (!order.ndr_info) {
+        order.ndr_info = {};
+      }
+      order.ndr_info.is_ndr = true;
+      order.ndr_info.ndr_attempts = (order.ndr_info.ndr_attempts || 0) + 1;
+      order.ndr_info.last_ndr_date = eventDate;
+      if (remarks) order.ndr_info.ndr_reason = remarks;
+      if (nslCode) order.ndr_info.nsl_code = nslCode;
+      await order.save();
+
+      let ndr = await NDR.findOne({ awb_number: waybill });
+      const isNew = !ndr;
+      if (isNew) {
+        ndr = new NDR({
+          order_id: order._id,
+          user_id: order.user_id,
+          awb_number: waybill,
+          ndr_date: eventDate,
+          ndr_reason: mapNDRReason(remarks),
+          ndr_reason_description: remarks || 'Delivery failed',
+          customer_info: {
+            name: order.customer_info?.buyer_name || 'Customer',
+            phone: order.customer_info?.phone || 'NA',
+            alternate_phone: order.customer_info?.alternate_phone,
+            city: order.delivery_address?.city || 'NA',
+            address: order.delivery_address?.full_address || 'NA'
+          }
+        });
+      } else {
+        if (remarks) {
+          ndr.ndr_reason = mapNDRReason(remarks);
+          ndr.ndr_reason_description = remarks;
+        }
+        if (!['rto_initiated', 'closed'].includes(ndr.ndr_status.current_status)) {
+          ndr.ndr_status.current_status = 'new_ndr';
+        }
+      }
+
+      ndr.delivery_attempts.push({
+        attempt_number: ndr.delivery_attempts.length + 1,
+        attempt_date: eventDate,
+        delivery_partner: order.carrier || 'DELHIVERY',
+        attempt_status: 'failed',
+        failure_reason: [remarks, location].filter(Boolean).join(' @ ') || undefined
+      });
+      await ndr.save();
+
+      logger.info(isNew ? '📭 NDR created' : '📭 NDR updated', {
+        orderId: order.order_id,
+        waybill,
+        attempts: order.ndr_info.ndr_attempts,
+        nslCode
+      });
+
+      const log = await this.evaluate(ndr, order, { trigger: isNew ? 'ndr_created' : 'ndr_updated' });
+      // Skipped when a rule already sent the shipment back
+      await ndrOutreachService.sendOutreach(ndr, order);
+      return log;
+    } catch (error) {
+      logger.error('❌ NDR recording failed', { orderId: String(orderId), error: error.message, stack: error.stack });
+      return null;
+    }
+  }
+
+  buildFacts(order, ndr) {
+    const since = ndr?.ndr_date || order.ndr_info?.last_ndr_date || new Date();
+    return {
+      nsl_code: order.ndr_info?.nsl_code || '',
+      attempts: order.ndr_info?.ndr_attempts || ndr?.delivery_attempts?.length || 0,
+      days_in_ndr: Math.max(0, Math.floor((Date.now() - new Date(since).getTime()) / DAY_MS)),
+      order_value: order.payment_info?.order_value || 0,
+      payment_mode: order.payment_info?.payment_mode,
+      pincode: order.delivery_address?.pincode
+    };
+  }
+
+  // 1 (routine) .. 10 (urgent), for sorting NDR queues
+  priorityScore(facts) {
+    let score = 1 + Math.min(facts.attempts, 3) * 2;
+    if (facts.payment_mode === 'COD') score += 1;
+    if (facts.order_value >= 5000) score += 2;
+    else if (facts.order_value >= 1000) score += 1;
+    if (facts.days_in_ndr >= 7) score += 1;
+    return Math.min(score, 10);
+  }
+
+  /**
+   * Why an action cannot be taken for these facts, or null when it can
+   */
+  actionBlocker(action, facts) {
+    if (action === 'reattempt') {
+      if (facts.attempts > MAX_REATTEMPT_ATTEMPTS) {
+        return `Re-attempt not allowed after ${MAX_REATTEMPT_ATTEMPTS} attempts`;
+      }
+      if (facts.nsl_code && !REATTEMPT_NSL_CODES.includes(facts.nsl_code)) {
+        return `Re-attempt not allowed for NSL code ${facts.nsl_code}`;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Pick the action for an NDR: the first matching rule, otherwise manual review.
+   * @returns {{ rule: Object|null, action: string, blocked: string|null }}
+   */
+  decide(rules, facts) {
+    const rule = rules.find(candidate => candidate.enabled !== false && ruleMatches(candidate, facts)) || null;
+    const action = rule ? rule.action : 'manual_review';
+    return { rule, action, blocked: this.actionBlocker(action, facts) };
+  }
+
+  getRules(userId) {
+    return NDRRule.find({ user_id: userId, enabled: true }).sort({ priority: 1, createdAt: 1 });
+  }
+
+  /**
+   * Run the seller's rules against an NDR and apply the decision
+   */
+  async evaluate(ndr, order, { trigger }) {
+    const facts = this.buildFacts(order, ndr);
+
+    ndr.metrics.priority_score = this.priorityScore(facts);
+    ndr.auto_resolution.max_attempts_reached = facts.attempts > MAX_REATTEMPT_ATTEMPTS;
+
+    const rules = await this.getRules(order.user_id);
+    // Each attempt is acted on once; a seller without rules handles NDRs by hand
+    if (rules.length === 0 || ndr.auto_resolution.last_evaluated_attempt >= facts.attempts) {
+      await ndr.save();
+      return null;
+    }
+
+    const { rule, action, blocked } = this.decide(rules, facts);
+    const reason = rule?.action_reason || (rule ? `NDR rule: ${rule.name}` : undefined);
+    let outcome = 'applied';
+    let message = rule ? `Rule "${rule.name}" matched` : 'No rule matched, left for manual review';
+    let requestId;
+
+    if (blocked) {
+      outcome = 'skipped';
+      message = `${blocked}, left for manual review`;
+    } else if (action === 'reattempt' || action === 'rto') {
+      const result = await this.applyCarrierAction(order, ndr, action, reason, facts);
+      outcome = result.success ? 'applied' : 'failed';
+      message = result.success ? message : (result.error || 'Carrier request failed');
+      requestId = result.request_id;
+    } else if (action === 'escalate') {
+      ndr.metrics.escalation_level = Math.min((ndr.metrics.escalation_level || 1) + 1, 3);
+      ndr.metrics.priority_score = Math.max(ndr.metrics.priority_score, 8);
+    }
+
+    ndr.auto_resolution.last_evaluated_attempt = facts.attempts;
+    ndr.auto_resolution.matched_rule_id = rule?._id;
+    ndr.auto_resolution.last_action = action;
+    ndr.auto_resolution.last_action_at = new Date();
+    await ndr.save();
+
+    if (rule) {
+      await NDRRule.updateOne({ _id: rule._id }, { $inc: { match_count: 1 }, $set: { last_matched_at: new Date() } });
+    }
+
+    const log = await NDRAutomationLog.create({
+      user_id: order.user_id,
+      ndr_id: ndr._id,
+      order_id: order._id,
+      awb_number: ndr.awb_number,
+      trigger,
+      rule_id: rule?._id,
+      rule_name: rule?.name,
+      action,
+      outcome,
+      message,
+      carrier_request_id: requestId,
+      facts
+    });
+
+    logger.info('🤖 NDR rule decision', {
+      orderId: order.order_id,
+      waybill: ndr.awb_number,
+      rule: rule?.name || null,
+      action,
+      outcome
+    });
+
+    if (outcome === 'applied' && action !== 'manual_review') {
+      try {
+        websocketService.sendNotificationToClient(String(order.user_id), {
+          type: 'ndr_automation',
+          title: 'NDR Auto-Resolved',
+          message: `${order.order_id}: ${action === 'rto' ? 'RTO initiated' : action === 'reattempt' ? 're-attempt requested' : 'escalated'} by rule "${rule.name}"`,
+          order_id: order.order_id,
+          waybill: ndr.awb_number,
+          action,
+          created_at: new Date()
+        });
+      } catch (notifError) {
+        logger.error('Failed to send NDR automation notification:', notifError);
+      }
+    }
+
+    return log;
+  }
+
+  async applyCarrierAction(order, ndr, action, reason, facts) {
+    const carrier = carriers.getCarrierForOrder(order);
+    const waybill = ndr.awb_number;
+
+    const result = action === 'reattempt'
+      ? await carrier.takeNDRAction({
+        waybill,
+        action: 'RE-ATTEMPT',
+        reason,
+        nslCode: facts.nsl_code || undefined,
+        attemptCount: facts.attempts
+      })
+      : await carrier.initiateRTO(waybill, reason || 'Initiated by NDR rule');
+
+    if (!result.success) {
+      return result;
+    }
+
+    order.ndr_info.action_history.push({
+      action: action === 'reattempt' ? 'RE-ATTEMPT' : 'RTO',
+      timestamp: new Date(),
+      upl_id: result.request_id,
+      status: 'PENDING',
+      remarks: reason,
+      source: 'automation'
+    });
+    order.ndr_info.resolution_action = action;
+
+    if (action === 'reattempt') {
+      const nextAttempt = new Date(Date.now() + DAY_MS);
+      order.ndr_info.next_attempt_date = nextAttempt;
+      ndr.ndr_status.current_status = 'reattempt_scheduled';
+      ndr.ndr_status.resolution_action = 'reattempt_delivery';
+    } else {
+      ndr.rto_info.is_rto = true;
+      ndr.rto_info.rto_initiated_date = new Date();
+      ndr.rto_info.rto_reason = reason;
+      ndr.rto_info.rto_status = 'initiated';
+      ndr.ndr_status.current_status = 'rto_initiated';
+      ndr.ndr_status.resolution_action = 'initiate_rto';
+      ndr.auto_resolution.auto_rto_date = new Date();
+    }
+    ndr.ndr_status.resolution_date = new Date();
+    ndr.ndr_status.resolution_notes = reason;
+    await order.save();
+
+    return result;
+  }
+
+  /**
+   * Dry run: what the rules would do to the seller's open NDRs. Nothing is
+   * sent to the carrier or logged.
+   * @param {string} userId
+   * @param {Object} [options]
+   * @param {Array} [options.rules] - Unsaved rules to try instead of the saved ones
+   * @param {number} [options.limit]
+   */
+  async preview(userId, { rules, limit = 50 } = {}) {
+    const ruleList = rules
+      ? rules
+        .map(rule => new NDRRule({ ...rule, user_id: userId }))
+        .sort((a, b) => a.priority - b.priority)
+      : await this.getRules(userId);
+
+    const orders = await Order.find({ user_id: userId, 'ndr_info.is_ndr': true, status: 'ndr' })
+      .select('order_id carrier ndr_info payment_info delivery_address delhivery_data.waybill')
+      .sort({ 'ndr_info.last_ndr_date': -1 })
+      .limit(limit);
+
+    const ndrs = await NDR.find({ awb_number: { $in: orders.map(o => o.delhivery_data?.waybill).filter(Boolean) } })
+      .select('awb_number ndr_date delivery_attempts');
+    const ndrByWaybill = new Map(ndrs.map(ndr => [ndr.awb_number, ndr]));
+
+    const summary = { reattempt: 0, rto: 0, escalate: 0, manual_review: 0, blocked: 0 };
+    const decisions = orders.map(order => {
+      const facts = this.buildFacts(order, ndrByWaybill.get(order.delhivery_data?.waybill));
+      const { rule, action, blocked } = this.decide(ruleList, facts);
+      summary[action]++;
+      if (blocked) summary.blocked++;
+      return {
+        order_id: order.order_id,
+        awb_number: order.delhivery_data?.waybill,
+        facts,
+        rule_id: rule?._id || null,
+        rule_name: rule?.name || null,
+        action,
+        blocked
+      };
+    });
+
+    return { rules_evaluated: ruleList.length, total: decisions.length, summary, decisions };
+  }
+}
+
+module.exports = new NDRRulesService();
+module.exports.ruleMatches = ruleMatches;
+module.exports.mapNDRReason = mapNDRReason;
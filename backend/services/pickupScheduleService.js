@@ -0,0 +1,553 @@
+const cron = require('node-cron');
+const Warehouse = require('../models/Warehouse');
+const Order = require('../models/Order');
+const TrackingOrder = require('../models/TrackingOrder');
+const ScheduledPickup = require('../models/ScheduledPickup');
+const carriers = require('./carriers');
+const manifestService = require('./manifestService');
+const websocketService = require('./websocketService');
+const logger = require('../utils/logger');
+
+const DAYS = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+const IST_OFFSET_MS = 330 * 60 * 1000;
+const DEFAULT_LEAD_MINUTES = 120;
+const MAX_ATTEMPTS = 3;
+const ALERT_DAYS = 7;
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+// Orders the carrier should collect: ready to ship, or left behind on a manifest
+const READY_ORDER_QUERY = {
+  'delhivery_data.waybill': { $exists: true, $ne: null },
+  $or: [
+    { status: 'ready_to_ship' },
+    { status: 'pickups_manifests', 'delhivery_data.pickup_request_status': 'failed' }
+  ]
+};
+
+/**
+ * Current IST date, weekday and minutes since midnight (IST has no daylight saving)
+ */
+const istClock = (now = new Date()) => {
+  const ist = new Date(now.getTime() + IST_OFFSET_MS);
+  return {
+    date: ist.toISOString().slice(0, 10),
+    weekday: DAYS[ist.getUTCDay()],
+    minutes: ist.getUTCHours() * 60 + ist.getUTCMinutes()
+  };
+};
+
+const slotMinutes = (slotTime) => {
+  const [hours, minutes] = String(slotTime || '11:00:00').split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const getLeadMinutes = () => {
+  const value = parseInt(process.env.PICKUP_SCHEDULE_LEAD_MINUTES, 10);
+  return Number.isNaN(value) ? DEFAULT_LEAD_MINUTES : Math.min(Math.max(value, 15), 720);
+};
+
+// PICKUP_HOLIDAYS=2026-10-20,2026-11-08 - days no scheduled pickup is raised for anyone
+const getPlatformHolidays = () => (process.env.PICKUP_HOLIDAYS || '')
+  .split(',')
+  .map(date => date.trim())
+  .filter(date => DATE_REGEX.test(date));
+
+/**
+ * Pickup Schedule Service
+ * A warehouse can carry a recurring pickup schedule: weekdays, a time slot and an
+ * optional expected package count. Every 15 minutes the scheduler looks at warehouses
+ * whose slot is within PICKUP_SCHEDULE_LEAD_MINUTES (120 by default). If orders from
+ * the warehouse are ready to ship it raises the pickup with the order's carrier, then
+ * moves the orders to pickups_manifests like a manual pickup request.
+ *
+ * One pickup is raised per warehouse, carrier and day. Orders that become ready
+ * before the slot join it. Holidays (PICKUP_HOLIDAYS and the warehouse's own dates)
+ * are skipped. Failed and missed pickups are recorded in ScheduledPickup and shown
+ * on the dashboard.
+ */
+class PickupScheduleService {
+  constructor() {
+    this.runJob = null;
+    this.isRunning = false;
+  }
+
+  getDays(warehouse) {
+    const days = warehouse.pickup_schedule?.days;
+    return days && days.length ? days : (warehouse.business_days || []);
+  }
+
+  isHoliday(warehouse, date) {
+    return getPlatformHolidays().includes(date) || (warehouse.pickup_schedule?.holidays || []).includes(date);
+  }
+
+  /**
+   * Next scheduled pickup for a warehouse within two weeks
+   * @returns {{ date: string, time: string } | null}
+   */
+  getNextPickup(warehouse, now = new Date()) {
+    const schedule = warehouse.pickup_schedule;
+    if (!schedule?.enabled || !warehouse.is_active) {
+      return null;
+    }
+
+    const slot = slotMinutes(schedule.slot_time);
+    const days = this.getDays(warehouse);
+    const today = istClock(now);
+    for (let offset = 0; offset < 14; offset++) {
+      const day = istClock(new Date(now.getTime() + offset * 24 * 60 * 60 * 1000));
+      if (offset === 0 && today.minutes >= slot) continue;
+      if (!days.includes(day.weekday) || this.isHoliday(warehouse, day.date)) continue;
+      return { date: day.date, time: schedule.slot_time };
+    }
+    return null;
+  }
+
+  /**
+   * Validate a schedule update
+   * @param {Object} input - { enabled, days, slot_time, expected_package_count, holidays }
+   * @returns {{ changes: Object } | { error: string }}
+   */
+  parseSchedule(input = {}) {
+    const changes = {};
+
+    if (input.enabled !== undefined) {
+      changes.enabled = input.enabled === true || input.enabled === 'true';
+    }
+
+    if (input.days !== undefined) {
+      if (!Array.isArray(input.days)) {
+        return { error: 'days must be a list of weekdays' };
+      }
+      const days = [...new Set(input.days.map(day => String(day).trim().toUpperCase()))];
+      const invalid = days.filter(day => !DAYS.includes(day));
+      if (invalid.length) {
+        return { error: `Invalid pickup day: ${invalid.join(', ')}` };
+      }
+      // Keep week order
+      changes.days = DAYS.slice(1).concat('SUN').filter(day => days.includes(day));
+    }
+
+    if (input.slot_time !== undefined) {
+      const match = String(input.slot_time).trim().match(/^([01]\d|2[0-3]):([0-5]\d)(?::([0-5]\d))?$/);
+      if (!match) {
+        return { error: 'Pickup time must be HH:mm' };
+      }
+      changes.slot_time = `${match[1]}:${match[2]}:${match[3] || '00'}`;
+    }
+
+    if (input.expected_package_count !== undefined) {
+      if (input.expected_package_count === null || input.expected_package_count === '') {
+        changes.expected_package_count = undefined;
+      } else {
+        const count = Number(input.expected_package_count);
+        if (!Number.isInteger(count) || count < 1 || count > 1000) {
+          return { error: 'Expected package count must be a whole number between 1 and 1000' };
+        }
+        changes.expected_package_count = count;
+      }
+    }
+
+    if (input.holidays !== undefined) {
+      if (!Array.isArray(input.holidays)) {
+        return { error: 'holidays must be a list of dates' };
+      }
+      const holidays = [...new Set(input.holidays.map(date => String(date).trim()))];
+      const invalid = holidays.filter(date => !DATE_REGEX.test(date) || Number.isNaN(new Date(date).getTime()));
+      if (invalid.length) {
+        return { error: `Invalid holiday date: ${invalid.join(', ')}` };
+      }
+      if (holidays.length > 100) {
+        return { error: 'A warehouse can have at most 100 holidays' };
+      }
+      changes.holidays = holidays.sort();
+    }
+
+    return { changes };
+  }
+
+  /**
+   * Schedule settings as shown to the seller
+   */
+  getScheduleView(warehouse) {
+    const schedule = warehouse.pickup_schedule || {};
+    const today = istClock().date;
+    return {
+      enabled: Boolean(schedule.enabled),
+      days: this.getDays(warehouse),
+      slot_time: schedule.slot_time || '11:00:00',
+      expected_package_count: schedule.expected_package_count || null,
+      holidays: schedule.holidays || [],
+      platform_holidays: getPlatformHolidays().filter(date => date >= today),
+      lead_minutes: getLeadMinutes(),
+      next_pickup: this.getNextPickup(warehouse)
+    };
+  }
+
+  /**
+   * Update a warehouse's pickup schedule
+   * @returns {Promise<Object>} { success, warehouse } or { success: false, code, error }
+   */
+  async updateSchedule(warehouseId, userId, input) {
+    const warehouse = await Warehouse.findOne({ _id: warehouseId, user_id: userId });
+    if (!warehouse) {
+      return { success: false, code: 'NOT_FOUND', error: 'Warehouse not found' };
+    }
+
+    const { changes, error } = this.parseSchedule(input);
+    if (error) {
+      return { success: false, code: 'INVALID_SCHEDULE', error };
+    }
+
+    for (const [field, value] of Object.entries(changes)) {
+      warehouse.set(`pickup_schedule.${field}`, value);
+    }
+
+    if (warehouse.pickup_schedule.enabled && this.getDays(warehouse).length === 0) {
+      return { success: false, code: 'INVALID_SCHEDULE', error: 'Choose at least one pickup day' };
+    }
+
+    await warehouse.save();
+    return { success: true, warehouse };
+  }
+
+  /**
+   * Move an order to pickups_manifests under a raised pickup, like POST /api/orders/:id/request-pickup
+   */
+  async applyPickup(order, { pickupId, pickupDate, pickupTime }) {
+    order.status = 'pickups_manifests';
+    order.delhivery_data.pickup_request_id = pickupId;
+    order.delhivery_data.pickup_request_date = new Date(pickupDate);
+    order.delhivery_data.pickup_request_time = pickupTime;
+    order.delhivery_data.pickup_request_status = 'scheduled';
+    await order.save();
+
+    try {
+      await manifestService.addOrder(order);
+    } catch (error) {
+      logger.warn('⚠️ Failed to add order to manifest (non-critical)', {
+        orderId: order.order_id,
+        error: error.message
+      });
+    }
+
+    try {
+      await TrackingOrder.createFromOrder(order);
+    } catch (error) {
+      logger.warn('⚠️ Failed to create TrackingOrder (non-critical)', {
+        orderId: order.order_id,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Attach orders to a raised pickup and record them on the run
+   */
+  async attachOrders(run, orders) {
+    const pickupDate = run.pickup_date.toISOString().slice(0, 10);
+    for (const order of orders) {
+      try {
+        await this.applyPickup(order, {
+          pickupId: run.pickup_request_id,
+          pickupDate,
+          pickupTime: run.pickup_time
+        });
+        if (!run.order_ids.some(id => String(id) === String(order._id))) {
+          run.order_ids.push(order._id);
+        }
+      } catch (error) {
+        logger.error('❌ Failed to attach order to scheduled pickup', {
+          orderId: order.order_id,
+          pickupId: run.pickup_request_id,
+          error: error.message
+        });
+      }
+    }
+    run.order_count = run.order_ids.length;
+    await run.save();
+  }
+
+  /**
+   * Raise (or join) today's pickup for one carrier's ready orders at a warehouse
+   */
+  async raiseForCarrier(warehouse, carrierCode, orders, date) {
+    const key = { warehouse_id: warehouse._id, carrier: carrierCode, pickup_date: new Date(date) };
+    const run = await ScheduledPickup.findOne(key);
+
+    if (run?.status === 'scheduled') {
+      await this.attachOrders(run, orders);
+      return;
+    }
+    if (run && (run.status === 'missed' || run.attempts >= MAX_ATTEMPTS)) {
+      return;
+    }
+
+    const schedule = warehouse.pickup_schedule;
+    const expectedCount = schedule.expected_package_count || orders.length;
+    let result;
+    try {
+      result = await carriers.getCarrier(carrierCode).schedulePickup({
+        pickup_date: date,
+        pickup_time: schedule.slot_time,
+        pickup_location: warehouse.name,
+        expected_package_count: expectedCount
+      });
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+
+    const base = {
+      user_id: warehouse.user_id,
+      warehouse_name: warehouse.name,
+      pickup_time: schedule.slot_time,
+      expected_package_count: expectedCount
+    };
+
+    if (result.success) {
+      const scheduled = await ScheduledPickup.findOneAndUpdate(
+        key,
+        {
+          $set: {
+            ...base,
+            status: 'scheduled',
+            pickup_request_id: result.pickup_id || `PU${Date.now()}`,
+            last_error: null
+          },
+          $inc: { attempts: 1 }
+        },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+      );
+
+      logger.info('🚚 Scheduled pickup raised', {
+        warehouse: warehouse.name,
+        carrier: carrierCode,
+        date,
+        orders: orders.length,
+        pickupId: scheduled.pickup_request_id
+      });
+
+      await this.attachOrders(scheduled, orders);
+      return;
+    }
+
+    const failed = await ScheduledPickup.findOneAndUpdate(
+      key,
+      {
+        $set: {
+          ...base,
+          status: 'failed',
+          last_error: result.error || 'Pickup request failed',
+          order_ids: orders.map(order => order._id),
+          order_count: orders.length
+        },
+        $inc: { attempts: 1 }
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    logger.warn('⚠️ Scheduled pickup failed', {
+      warehouse: warehouse.name,
+      carrier: carrierCode,
+      date,
+      attempt: failed.attempts,
+      error: failed.last_error
+    });
+
+    if (failed.attempts >= MAX_ATTEMPTS) {
+      this.notify(failed);
+    }
+  }
+
+  /**
+   * When a warehouse's slot has passed, record orders that were ready before it
+   * but never got a pickup
+   */
+  async recordMissed(warehouse, orders, date) {
+    const slotAt = new Date(`${date}T${warehouse.pickup_schedule.slot_time}+05:30`);
+    const readyBeforeSlot = orders.filter(order => {
+      const readyEntry = [...(order.status_history || [])].reverse().find(entry => entry.status === order.status);
+      return new Date(readyEntry?.timestamp || order.updatedAt) < slotAt;
+    });
+
+    for (const [carrierCode, carrierOrders] of this.groupByCarrier(readyBeforeSlot)) {
+      const key = { warehouse_id: warehouse._id, carrier: carrierCode, pickup_date: new Date(date) };
+      if (await ScheduledPickup.exists(key)) continue;
+
+      try {
+        const missed = await ScheduledPickup.create({
+          ...key,
+          user_id: warehouse.user_id,
+          warehouse_name: warehouse.name,
+          pickup_time: warehouse.pickup_schedule.slot_time,
+          status: 'missed',
+          order_ids: carrierOrders.map(order => order._id),
+          order_count: carrierOrders.length
+        });
+        logger.warn('⚠️ Scheduled pickup missed', {
+          warehouse: warehouse.name,
+          carrier: carrierCode,
+          date,
+          orders: carrierOrders.length
+        });
+        this.notify(missed);
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+      }
+    }
+  }
+
+  groupByCarrier(orders) {
+    const groups = new Map();
+    for (const order of orders) {
+      const code = carriers.normalizeCode(order.carrier || 'DELHIVERY');
+      if (!groups.has(code)) groups.set(code, []);
+      groups.get(code).push(order);
+    }
+    return groups;
+  }
+
+  /**
+   * One scheduler pass over warehouses with a pickup today
+   * @returns {Promise<Object>} { checked }
+   */
+  async runDue(now = new Date()) {
+    const clock = istClock(now);
+    if (getPlatformHolidays().includes(clock.date)) {
+      return { checked: 0 };
+    }
+
+    const warehouses = await Warehouse.find({
+      'pickup_schedule.enabled': true,
+      is_active: true
+    });
+    const leadMinutes = getLeadMinutes();
+    let checked = 0;
+
+    for (const warehouse of warehouses) {
+      if (!this.getDays(warehouse).includes(clock.weekday) || this.isHoliday(warehouse, clock.date)) continue;
+
+      const slot = slotMinutes(warehouse.pickup_schedule.slot_time);
+      if (clock.minutes < slot - leadMinutes) continue;
+
+      try {
+        const orders = await Order.find({
+          ...READY_ORDER_QUERY,
+          user_id: warehouse.user_id,
+          'pickup_address.name': warehouse.name
+        });
+        if (orders.length === 0) continue;
+        checked++;
+
+        if (clock.minutes >= slot) {
+          await this.recordMissed(warehouse, orders, clock.date);
+          continue;
+        }
+
+        for (const [carrierCode, carrierOrders] of this.groupByCarrier(orders)) {
+          await this.raiseForCarrier(warehouse, carrierCode, carrierOrders, clock.date);
+        }
+      } catch (error) {
+        logger.error('❌ Scheduled pickup error', {
+          warehouse: warehouse.name,
+          userId: String(warehouse.user_id),
+          error: error.message
+        });
+      }
+    }
+
+    return { checked };
+  }
+
+  notify(run) {
+    const failed = run.status === 'failed';
+    websocketService.sendNotificationToClient(String(run.user_id), {
+      type: 'scheduled_pickup_alert',
+      title: failed ? 'Scheduled Pickup Failed' : 'Scheduled Pickup Missed',
+      message: failed
+        ? `The scheduled pickup from ${run.warehouse_name} could not be raised: ${run.last_error}. Request pickup manually.`
+        : `No pickup was raised from ${run.warehouse_name} for ${run.order_count} ready order${run.order_count === 1 ? '' : 's'}. Request pickup manually.`,
+      warehouse: run.warehouse_name,
+      status: run.status,
+      created_at: new Date()
+    });
+  }
+
+  /**
+   * Failed and missed pickups of the last week not dismissed yet, and each warehouse's next pickup
+   */
+  async getDashboard(userId) {
+    const since = new Date(`${istClock().date}T00:00:00Z`);
+    since.setUTCDate(since.getUTCDate() - ALERT_DAYS);
+
+    const [alerts, warehouses] = await Promise.all([
+      ScheduledPickup.find({
+        user_id: userId,
+        status: { $in: ['failed', 'missed'] },
+        acknowledged_at: { $exists: false },
+        pickup_date: { $gte: since }
+      })
+        .select('-order_ids')
+        .sort({ pickup_date: -1, createdAt: -1 })
+        .limit(20)
+        .lean(),
+      Warehouse.find({ user_id: userId, is_active: true, 'pickup_schedule.enabled': true })
+        .select('name title is_active business_days pickup_schedule')
+    ]);
+
+    return {
+      alerts: alerts.map(alert => ({ ...alert, retrying: alert.status === 'failed' && alert.attempts < MAX_ATTEMPTS })),
+      next_pickups: warehouses
+        .map(warehouse => ({
+          warehouse_id: warehouse._id,
+          warehouse_name: warehouse.title || warehouse.name,
+          next_pickup: this.getNextPickup(warehouse)
+        }))
+        .filter(item => item.next_pickup)
+    };
+  }
+
+  /**
+   * Dismiss a failed or missed pickup alert
+   */
+  async acknowledge(userId, runId) {
+    const run = await ScheduledPickup.findOneAndUpdate(
+      { _id: runId, user_id: userId, status: { $in: ['failed', 'missed'] } },
+      { $set: { acknowledged_at: new Date() } },
+      { new: true }
+    );
+    return run
+      ? { success: true, run }
+      : { success: false, code: 'NOT_FOUND', error: 'Pickup alert not found' };
+  }
+
+  startScheduler() {
+    if (this.isRunning) {
+      logger.warn('⚠️ Pickup schedule scheduler already running');
+      return;
+    }
+
+    // '*/15 * * * *' = every 15 minutes
+    this.runJob = cron.schedule('*/15 * * * *', async () => {
+      try {
+        await this.runDue();
+      } catch (error) {
+        logger.error('❌ Error raising scheduled pickups:', error);
+      }
+    }, {
+      scheduled: true,
+      timezone: 'Asia/Kolkata'
+    });
+
+    this.isRunning = true;
+    logger.info('✅ Pickup schedule scheduler started');
+  }
+
+  stopScheduler() {
+    if (this.runJob) {
+      this.runJob.destroy();
+      this.isRunning = false;
+    }
+  }
+}
+
+module.exports = new PickupScheduleService();
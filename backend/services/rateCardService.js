@@ -4,26 +4,32 @@ const RateCard = require('../models/RateCard');
 // In-memory cache for ratecards (optional performance optimization)
 const rateCardCache = new Map();
 const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
+const DEFAULT_RATE_CARD_CARRIER = 'DELHIVERY';
 
 class RateCardService {
   // Get rate card for a specific user category (from database)
-  static async getRateCard(userCategory) {
+  // Carriers without their own rate card are priced on the default (Delhivery) card
+  static async getRateCard(userCategory, carrier = DEFAULT_RATE_CARD_CARRIER) {
     try {
       // Normalize category name
       let normalizedCategory = userCategory;
       if (userCategory === 'Advanced User') {
         normalizedCategory = 'Advanced';
       }
+      const normalizedCarrier = (carrier || DEFAULT_RATE_CARD_CARRIER).toUpperCase();
 
       // Check cache first
-      const cacheKey = normalizedCategory.toLowerCase();
+      const cacheKey = `${normalizedCategory.toLowerCase()}:${normalizedCarrier}`;
       const cached = rateCardCache.get(cacheKey);
       if (cached && (Date.now() - cached.timestamp) < CACHE_TTL) {
         return cached.data;
       }
 
       // Fetch from database
-      const rateCard = await RateCard.findByCategory(normalizedCategory);
+      let rateCard = await RateCard.findByCategory(normalizedCategory, normalizedCarrier);
+      if (!rateCard && normalizedCarrier !== DEFAULT_RATE_CARD_CARRIER) {
+        rateCard = await RateCard.findByCategory(normalizedCategory, DEFAULT_RATE_CARD_CARRIER);
+      }
       
       if (!rateCard) {
         return null;
@@ -48,8 +54,7 @@ class RateCardService {
   // Get available user categories (from database)
   static async getAvailableUserCategories() {
     try {
-      const rateCards = await RateCard.find({}).select('userCategory').lean();
-      const categories = rateCards.map(rc => rc.userCategory);
+      const categories = await RateCard.distinct('userCategory');
       
       // Add alias for "Advanced User" if "Advanced" exists
       if (categories.includes('Advanced') && !categories.includes('Advanced User')) {
@@ -66,16 +71,20 @@ class RateCardService {
   // Clear cache (useful when ratecard is updated)
   static clearCache(userCategory = null) {
     if (userCategory) {
-      const cacheKey = userCategory.toLowerCase();
-      rateCardCache.delete(cacheKey);
+      const prefix = `${userCategory.toLowerCase()}:`;
+      for (const cacheKey of rateCardCache.keys()) {
+        if (cacheKey.startsWith(prefix)) {
+          rateCardCache.delete(cacheKey);
+        }
+      }
     } else {
       rateCardCache.clear();
     }
   }
 
-  // Calculate shipping charges based on weight, dimensions, and zone
-  static async calculateShippingCharges(userCategory, weight, dimensions, zone, codAmount = 0, orderType = 'forward') {
-    const rateCard = await this.getRateCard(userCategory);
+  // Calculate shipping charges based on weight, dimensions, zone and service mode
+  static async calculateShippingCharges(userCategory, weight, dimensions, zone, codAmount = 0, orderType = 'forward', carrier = DEFAULT_RATE_CARD_CARRIER, shippingMode = 'Surface') {
+    const rateCard = await this.getRateCard(userCategory, carrier);
     if (!rateCard) {
       throw new Error(`Rate card not found for user category: ${userCategory}`);
     }
@@ -88,11 +97,14 @@ class RateCardService {
     // Use higher of actual weight (in grams) or volumetric weight (in grams)
     const chargeableWeight = Math.max(weight, volumetricWeightGrams);
 
+    // Slabs are Surface rates; Express is priced at the card's multiplier
+    const modeMultiplier = shippingMode === 'Express' ? (rateCard.expressMultiplier || 1) : 1;
+
     // Calculate forward charges
-    const forwardCharges = this.calculateForwardCharges(rateCard, chargeableWeight, zone);
+    const forwardCharges = this.calculateForwardCharges(rateCard, chargeableWeight, zone) * modeMultiplier;
     
     // Calculate RTO charges
-    const rtoCharges = this.calculateRTOCharges(rateCard, chargeableWeight, zone);
+    const rtoCharges = this.calculateRTOCharges(rateCard, chargeableWeight, zone) * modeMultiplier;
     
     // Calculate COD charges if COD amount is provided
     let codCharges = 0;
@@ -123,7 +135,8 @@ class RateCardService {
       totalCharges,
       volumetricWeight: volumetricWeightKg, // Return in kg for display
       chargeableWeight: chargeableWeight / 1000, // Return in kg for display (converted from grams)
-      orderType: orderType
+      orderType: orderType,
+      shippingMode: shippingMode === 'Express' ? 'Express' : 'Surface'
     };
   }
 
@@ -0,0 +1,802 @@
+// Location: backend/services/returnService.js
+const crypto = require('crypto');
+const Order = require('../models/Order');
+const User = require('../models/User');
+const ReturnRequest = require('../models/ReturnRequest');
+const msg91Service = require('./msg91Service');
+const cloudinaryService = require('./cloudinaryService');
+const trackingPageService = require('./trackingPageService');
+const messaging = require('./messaging');
+const websocketService = require('./websocketService');
+const { generateOrderId } = require('../utils/orderIdGenerator');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SESSION_TTL_MS = 30 * 60 * 1000;
+const MAX_PHOTOS = 5;
+const MAX_COMMENT_LENGTH = 500;
+const PHOTO_FOLDER = 'shipsarthi/return-photos';
+
+const RETURN_REASONS = {
+  damaged: 'Item arrived damaged',
+  defective: 'Item is defective or not working',
+  wrong_item: 'Received the wrong item',
+  size_issue: 'Size or fit issue',
+  not_as_described: 'Item not as described',
+  changed_mind: 'No longer needed',
+  other: 'Other'
+};
+// The buyer has to show the problem
+const PHOTO_REQUIRED_REASONS = ['damaged', 'defective', 'wrong_item'];
+
+const QC_CHECKS = ['product_match', 'quantity_match', 'no_damage', 'unused', 'tags_intact', 'original_packaging'];
+// A damaged or faulty item cannot be expected to come back unused and undamaged
+const QC_CHECKS_FOR_REASON = {
+  damaged: ['product_match', 'quantity_match'],
+  defective: ['product_match', 'quantity_match'],
+  wrong_item: ['product_match', 'quantity_match', 'unused', 'original_packaging']
+};
+const DEFAULT_QC_CHECKS = ['product_match', 'quantity_match', 'no_damage', 'unused', 'tags_intact'];
+
+const getSessionSecret = () => process.env.JWT_SECRET;
+
+const signSession = (sellerId, orderId, expires) => crypto
+  .createHmac('sha256', getSessionSecret())
+  .update(`return.${sellerId}.${orderId}.${expires}`)
+  .digest('base64url')
+  .slice(0, 22);
+
+const maskPhone = (phone) => (phone && phone.length >= 4
+  ? `${phone.slice(0, 2)}${'X'.repeat(phone.length - 4)}${phone.slice(-2)}`
+  : phone);
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const normalizeSku = (sku) => String(sku || '').trim().toUpperCase();
+
+const getFrontendUrl = () => (process.env.FRONTEND_URL || 'https://shipsarthi.com').replace(/\/$/, '');
+
+/**
+ * Return Service
+ * Seller-branded returns portal at /returns/<slug> (the tracking page slug).
+ * The buyer proves they own a delivered order with its order ID, phone and an
+ * MSG91 OTP, then picks items, a reason and photos. The seller approves or
+ * rejects the request; approval creates the linked reverse Order (payment mode
+ * Pickup) with the QC checks the courier should run at pickup.
+ *
+ * Rules come from User.returns_policy: the return window after delivery and
+ * non-returnable SKUs block a request; a value above max_return_value flags it
+ * for the seller. Requests that break no rule can be approved automatically.
+ *
+ * Session tokens have the form <orderId>.<expiry, base36 seconds>.<signature>.
+ */
+class ReturnService {
+  getPortalUrl(user) {
+    return `${getFrontendUrl()}/returns/${trackingPageService.getSlug(user)}`;
+  }
+
+  getPolicy(user) {
+    const policy = user.returns_policy || {};
+    return {
+      enabled: Boolean(policy.enabled),
+      window_days: policy.window_days || 7,
+      non_returnable_skus: policy.non_returnable_skus || [],
+      max_return_value: policy.max_return_value ?? null,
+      auto_approve: Boolean(policy.auto_approve),
+      portal_url: this.getPortalUrl(user)
+    };
+  }
+
+  /**
+   * Validate a policy update
+   * @returns {{error?: string, set?: Object, unset?: Object}}
+   */
+  parsePolicy(input) {
+    const set = {};
+    const unset = {};
+
+    for (const field of ['enabled', 'auto_approve']) {
+      if (input[field] === undefined) continue;
+      set[`returns_policy.${field}`] = input[field] === true || input[field] === 'true';
+    }
+
+    if (input.window_days !== undefined) {
+      const days = Number(input.window_days);
+      if (!Number.isInteger(days) || days < 1 || days > 90) {
+        return { error: 'Return window must be between 1 and 90 days' };
+      }
+      set['returns_policy.window_days'] = days;
+    }
+
+    if (input.non_returnable_skus !== undefined) {
+      const skus = Array.isArray(input.non_returnable_skus)
+        ? input.non_returnable_skus
+        : String(input.non_returnable_skus || '').split(/[,\n]/);
+      const normalized = [...new Set(skus.map(normalizeSku).filter(Boolean))];
+      if (normalized.length > 500) {
+        return { error: 'At most 500 non-returnable SKUs can be listed' };
+      }
+      set['returns_policy.non_returnable_skus'] = normalized;
+    }
+
+    if (input.max_return_value !== undefined) {
+      if (input.max_return_value === null || input.max_return_value === '') {
+        unset['returns_policy.max_return_value'] = '';
+      } else {
+        const value = Number(input.max_return_value);
+        if (!Number.isFinite(value) || value <= 0) {
+          return { error: 'Maximum return value must be a positive amount' };
+        }
+        set['returns_policy.max_return_value'] = roundAmount(value);
+      }
+    }
+
+    return { set, unset };
+  }
+
+  async updatePolicy(userId, input) {
+    const parsed = this.parsePolicy(input || {});
+    if (parsed.error) {
+      return { success: false, code: 'INVALID_POLICY', error: parsed.error };
+    }
+
+    const update = {};
+    if (Object.keys(parsed.set).length > 0) update.$set = parsed.set;
+    if (Object.keys(parsed.unset).length > 0) update.$unset = parsed.unset;
+
+    const fields = 'client_id tracking_page.slug returns_policy';
+    const user = Object.keys(update).length > 0
+      ? await User.findByIdAndUpdate(userId, update, { new: true, runValidators: true }).select(fields).lean()
+      : await User.findById(userId).select(fields).lean();
+
+    if (!user) {
+      return { success: false, code: 'NOT_FOUND', error: 'User not found' };
+    }
+    return { success: true, data: this.getPolicy(user) };
+  }
+
+  /**
+   * Seller behind a portal slug, only when their returns portal is on
+   */
+  async findPortalSeller(slug) {
+    const seller = await trackingPageService.findSeller(slug, 'returns_policy');
+    if (!seller) {
+      return { success: false, code: 'PAGE_NOT_FOUND', error: 'Returns page not found' };
+    }
+    if (!seller.returns_policy?.enabled) {
+      return { success: false, code: 'RETURNS_DISABLED', error: `${seller.company_name} does not accept online return requests` };
+    }
+    return { success: true, seller };
+  }
+
+  async getPortal(slug) {
+    const found = await this.findPortalSeller(slug);
+    if (!found.success) {
+      return found;
+    }
+
+    const policy = this.getPolicy(found.seller);
+    return {
+      success: true,
+      data: {
+        brand: trackingPageService.getBranding(found.seller),
+        window_days: policy.window_days,
+        reasons: this.getReasons()
+      }
+    };
+  }
+
+  getReasons() {
+    return Object.entries(RETURN_REASONS).map(([value, label]) => ({
+      value,
+      label,
+      photo_required: PHOTO_REQUIRED_REASONS.includes(value)
+    }));
+  }
+
+  getDeliveredAt(order) {
+    if (order.delivered_date) {
+      return new Date(order.delivered_date);
+    }
+    const delivered = [...(order.status_history || [])].reverse().find(entry => entry.status === 'delivered');
+    return delivered ? new Date(delivered.timestamp) : null;
+  }
+
+  /**
+   * Delivered forward order matching what the buyer typed. The same answer is
+   * given for a wrong order ID and a wrong phone, so orders cannot be probed.
+   */
+  async findBuyerOrder(seller, orderNumber, phone) {
+    const notFound = {
+      success: false,
+      code: 'ORDER_NOT_FOUND',
+      error: 'We could not find a delivered order with this order ID and phone number'
+    };
+    const number = String(orderNumber || '').trim();
+    if (!number || !msg91Service.validateMobile(String(phone || ''))) {
+      return notFound;
+    }
+
+    const order = await Order.findOne({
+      user_id: seller._id,
+      order_type: 'forward',
+      $or: [{ order_id: number }, { reference_id: number }],
+      'customer_info.phone': phone
+    });
+    if (!order || order.status !== 'delivered') {
+      return notFound;
+    }
+
+    const deliveredAt = this.getDeliveredAt(order);
+    const windowDays = seller.returns_policy?.window_days || 7;
+    if (deliveredAt && deliveredAt.getTime() + windowDays * DAY_MS < Date.now()) {
+      return {
+        success: false,
+        code: 'WINDOW_CLOSED',
+        error: `Returns must be requested within ${windowDays} days of delivery`
+      };
+    }
+
+    return { success: true, order };
+  }
+
+  /**
+   * Step 1: send an OTP to the order's phone
+   */
+  async sendOtp(slug, { order_id: orderNumber, phone } = {}) {
+    const found = await this.findPortalSeller(slug);
+    if (!found.success) {
+      return found;
+    }
+
+    const lookup = await this.findBuyerOrder(found.seller, orderNumber, phone);
+    if (!lookup.success) {
+      return lookup;
+    }
+
+    try {
+      await msg91Service.sendOTP(msg91Service.formatMobile(phone), {
+        param1: found.seller.company_name,
+        param2: lookup.order.order_id
+      });
+    } catch (error) {
+      logger.error('❌ Return OTP not sent', {
+        orderId: lookup.order.order_id,
+        error: error.message
+      });
+      return { success: false, code: 'OTP_NOT_SENT', error: 'Could not send the OTP. Please try again.' };
+    }
+
+    return { success: true, data: { phone: maskPhone(phone) } };
+  }
+
+  /**
+   * Step 2: check the OTP and open a short session for the order
+   */
+  async verifyOtp(slug, { order_id: orderNumber, phone, otp } = {}) {
+    const found = await this.findPortalSeller(slug);
+    if (!found.success) {
+      return found;
+    }
+
+    const lookup = await this.findBuyerOrder(found.seller, orderNumber, phone);
+    if (!lookup.success) {
+      return lookup;
+    }
+
+    if (!/^\d{4,8}$/.test(String(otp || ''))) {
+      return { success: false, code: 'INVALID_OTP', error: 'Enter the OTP sent to your phone' };
+    }
+
+    let verified;
+    try {
+      verified = await msg91Service.verifyOTP(msg91Service.formatMobile(phone), otp);
+    } catch (error) {
+      verified = { success: false };
+    }
+    if (!verified.success) {
+      return { success: false, code: 'INVALID_OTP', error: 'The OTP is incorrect or has expired' };
+    }
+
+    const { order } = lookup;
+    const expires = Math.floor((Date.now() + SESSION_TTL_MS) / 1000);
+    const token = `${order._id}.${expires.toString(36)}.${signSession(String(found.seller._id), String(order._id), expires)}`;
+
+    return {
+      success: true,
+      data: {
+        token,
+        expires_at: new Date(expires * 1000),
+        ...(await this.describeOrder(found.seller, order))
+      }
+    };
+  }
+
+  /**
+   * Verify a session token for a portal and load its order
+   */
+  async resolveSession(slug, token) {
+    const found = await this.findPortalSeller(slug);
+    if (!found.success) {
+      return found;
+    }
+
+    const invalid = { success: false, code: 'SESSION_EXPIRED', error: 'Your session has expired. Please verify your phone again.' };
+    const [orderId, expiresPart, signature] = String(token || '').split('.');
+    const expires = parseInt(expiresPart, 36);
+    if (!/^[a-f0-9]{24}$/.test(orderId || '') || !expires || !signature || !getSessionSecret()) {
+      return invalid;
+    }
+
+    const expected = Buffer.from(signSession(String(found.seller._id), orderId, expires));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual) || expires * 1000 < Date.now()) {
+      return invalid;
+    }
+
+    const order = await Order.findOne({ _id: orderId, user_id: found.seller._id });
+    if (!order) {
+      return invalid;
+    }
+
+    return { success: true, seller: found.seller, order };
+  }
+
+  async getSession(slug, token) {
+    const session = await this.resolveSession(slug, token);
+    if (!session.success) {
+      return session;
+    }
+    return { success: true, data: await this.describeOrder(session.seller, session.order) };
+  }
+
+  /**
+   * Quantities of each product line already approved for return
+   */
+  async getReturnedQuantities(order) {
+    const approved = await ReturnRequest.find({ order_id: order._id, status: 'approved' }).select('items').lean();
+    const returned = {};
+    for (const request of approved) {
+      for (const item of request.items) {
+        returned[item.line] = (returned[item.line] || 0) + item.quantity;
+      }
+    }
+    return returned;
+  }
+
+  /**
+   * What the buyer sees: the order's items with what can still be returned,
+   * and their latest request
+   */
+  async describeOrder(seller, order) {
+    const nonReturnable = (seller.returns_policy?.non_returnable_skus || []).map(normalizeSku);
+    const returned = await this.getReturnedQuantities(order);
+    const deliveredAt = this.getDeliveredAt(order);
+    const windowDays = seller.returns_policy?.window_days || 7;
+    const latest = await ReturnRequest.findOne({ order_id: order._id })
+      .sort({ createdAt: -1 })
+      .select('request_number status reason items return_value rejection_reason createdAt decided_at')
+      .lean();
+
+    return {
+      order: {
+        order_id: order.order_id,
+        customer_name: order.customer_info?.buyer_name,
+        delivered_at: deliveredAt,
+        return_by: deliveredAt ? new Date(deliveredAt.getTime() + windowDays * DAY_MS) : null,
+        items: order.products.map((product, line) => {
+          const remaining = product.quantity - (returned[line] || 0);
+          const blocked = product.sku && nonReturnable.includes(normalizeSku(product.sku));
+          return {
+            line,
+            product_name: product.product_name,
+            sku: product.sku || null,
+            quantity: product.quantity,
+            unit_price: product.unit_price || 0,
+            returnable_quantity: blocked ? 0 : Math.max(remaining, 0),
+            not_returnable_reason: blocked
+              ? 'This item cannot be returned'
+              : remaining <= 0 ? 'Already returned' : null
+          };
+        })
+      },
+      latest_request: latest
+    };
+  }
+
+  generateRequestNumber() {
+    const now = new Date();
+    const date = `${String(now.getFullYear()).slice(-2)}${String(now.getMonth() + 1).padStart(2, '0')}${String(now.getDate()).padStart(2, '0')}`;
+    const random = Math.random().toString(36).substring(2, 6).toUpperCase().padEnd(4, '0');
+    return `RR${date}${random}`;
+  }
+
+  /**
+   * Step 3: the buyer submits a return request
+   * @param {Object} input - { items: [{ line, quantity }] (array or JSON string), reason, comments }
+   * @param {Array} files - photos (multer files)
+   */
+  async submitRequest(slug, token, input = {}, files = []) {
+    const session = await this.resolveSession(slug, token);
+    if (!session.success) {
+      return session;
+    }
+    const { seller, order } = session;
+
+    const open = await ReturnRequest.exists({ order_id: order._id, status: 'requested' });
+    if (open) {
+      return { success: false, code: 'ALREADY_REQUESTED', error: 'A return request for this order is already being reviewed' };
+    }
+
+    let selected = input.items;
+    if (typeof selected === 'string') {
+      try {
+        selected = JSON.parse(selected);
+      } catch (error) {
+        selected = null;
+      }
+    }
+    if (!Array.isArray(selected) || selected.length === 0) {
+      return { success: false, code: 'ITEMS_REQUIRED', error: 'Choose the items you want to return' };
+    }
+
+    const { order: details } = await this.describeOrder(seller, order);
+    const items = [];
+    for (const entry of selected) {
+      const line = Number(entry?.line);
+      const quantity = Number(entry?.quantity);
+      const item = details.items[line];
+      if (!item || !Number.isInteger(quantity) || quantity < 1) {
+        return { success: false, code: 'INVALID_ITEMS', error: 'Choose valid items and quantities' };
+      }
+      if (items.some(existing => existing.line === line)) {
+        return { success: false, code: 'INVALID_ITEMS', error: 'Each item can only be chosen once' };
+      }
+      if (quantity > item.returnable_quantity) {
+        return {
+          success: false,
+          code: 'NOT_RETURNABLE',
+          error: item.not_returnable_reason
+            ? `${item.product_name}: ${item.not_returnable_reason}`
+            : `Only ${item.returnable_quantity} of ${item.product_name} can be returned`
+        };
+      }
+      items.push({
+        line,
+        product_name: item.product_name,
+        sku: item.sku || undefined,
+        quantity,
+        unit_price: item.unit_price
+      });
+    }
+
+    const reason = String(input.reason || '');
+    if (!RETURN_REASONS[reason]) {
+      return { success: false, code: 'REASON_REQUIRED', error: 'Choose a reason for the return' };
+    }
+    const comments = String(input.comments || '').trim();
+    if (comments.length > MAX_COMMENT_LENGTH) {
+      return { success: false, code: 'INVALID_COMMENTS', error: `Comments can be at most ${MAX_COMMENT_LENGTH} characters` };
+    }
+    if (reason === 'other' && !comments) {
+      return { success: false, code: 'COMMENTS_REQUIRED', error: 'Tell us why you are returning the item' };
+    }
+    if (files.length > MAX_PHOTOS) {
+      return { success: false, code: 'TOO_MANY_PHOTOS', error: `Upload at most ${MAX_PHOTOS} photos` };
+    }
+    if (PHOTO_REQUIRED_REASONS.includes(reason) && files.length === 0) {
+      return { success: false, code: 'PHOTOS_REQUIRED', error: 'Add at least one photo showing the problem' };
+    }
+
+    const photos = [];
+    for (const file of files) {
+      const uploaded = await cloudinaryService.uploadFile(file.buffer, {
+        folder: PHOTO_FOLDER,
+        mimetype: file.mimetype
+      });
+      photos.push({ url: uploaded.url, public_id: uploaded.public_id });
+    }
+
+    const returnValue = roundAmount(items.reduce((sum, item) => sum + item.unit_price * item.quantity, 0));
+    const ruleFlags = [];
+    const maxValue = seller.returns_policy?.max_return_value;
+    if (maxValue && returnValue > maxValue) {
+      ruleFlags.push('max_value_exceeded');
+    }
+
+    const request = await ReturnRequest.create({
+      user_id: seller._id,
+      request_number: this.generateRequestNumber(),
+      order_id: order._id,
+      order_number: order.order_id,
+      customer: {
+        name: order.customer_info?.buyer_name,
+        phone: order.customer_info?.phone
+      },
+      items,
+      reason,
+      comments: comments || undefined,
+      photos,
+      return_value: returnValue,
+      rule_flags: ruleFlags
+    });
+
+    logger.info('↩️ Return requested', {
+      requestNumber: request.request_number,
+      orderId: order.order_id,
+      items: items.length,
+      value: returnValue,
+      flags: ruleFlags
+    });
+
+    if (seller.returns_policy?.auto_approve && ruleFlags.length === 0) {
+      const approved = await this.approve(request._id, seller._id, {}, 'auto');
+      if (approved.success) {
+        return { success: true, data: { request: approved.request, auto_approved: true } };
+      }
+      logger.warn('⚠️ Return auto-approval failed', {
+        requestNumber: request.request_number,
+        error: approved.error
+      });
+    }
+
+    websocketService.sendNotificationToClient(String(seller._id), {
+      type: 'return_request',
+      title: 'New Return Request',
+      message: `${request.customer.name || 'A buyer'} asked to return ${items.length} item${items.length === 1 ? '' : 's'} from order ${order.order_id}` +
+        (ruleFlags.length ? ' (above your maximum return value)' : ''),
+      request_id: request._id,
+      created_at: new Date()
+    });
+
+    return { success: true, data: { request, auto_approved: false } };
+  }
+
+  /**
+   * Seller's return requests, newest first
+   */
+  async listRequests(userId, { status, search, page = 1, limit = 25 } = {}) {
+    const filterQuery = { user_id: userId };
+    if (status && status !== 'all') {
+      filterQuery.status = status;
+    }
+    if (search) {
+      const pattern = { $regex: search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+      filterQuery.$or = [
+        { request_number: pattern },
+        { order_number: pattern },
+        { reverse_order_number: pattern },
+        { 'customer.name': pattern }
+      ];
+    }
+
+    const [requests, totalCount, counts] = await Promise.all([
+      ReturnRequest.find(filterQuery)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      ReturnRequest.countDocuments(filterQuery),
+      ReturnRequest.aggregate([
+        { $match: { user_id: userId } },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    return {
+      requests,
+      counts: counts.reduce((acc, row) => ({ ...acc, [row._id]: row.count }), { requested: 0, approved: 0, rejected: 0 }),
+      pagination: {
+        current_page: page,
+        total_pages: Math.ceil(totalCount / limit),
+        total_count: totalCount,
+        per_page: limit
+      }
+    };
+  }
+
+  getQcChecks(reason) {
+    return QC_CHECKS_FOR_REASON[reason] || DEFAULT_QC_CHECKS;
+  }
+
+  /**
+   * Reverse order for an approved request: picked up from the buyer's
+   * delivery address and returned to the forward order's warehouse
+   */
+  buildReverseOrder(request, forward, qc) {
+    const plain = (value) => (value && typeof value.toObject === 'function' ? value.toObject() : value);
+    const products = request.items.map(item => {
+      const product = plain(forward.products[item.line]) || {};
+      return { ...product, quantity: item.quantity };
+    });
+    const packageInfo = plain(forward.package_info) || {};
+
+    return new Order({
+      user_id: forward.user_id,
+      order_id: generateOrderId(),
+      order_date: new Date(),
+      customer_info: plain(forward.customer_info),
+      delivery_address: plain(forward.delivery_address),
+      pickup_address: plain(forward.pickup_address),
+      products,
+      package_info: {
+        package_type: 'Single Package (B2C)',
+        weight: packageInfo.weight,
+        dimensions: packageInfo.dimensions,
+        number_of_boxes: 1
+      },
+      payment_info: {
+        payment_mode: 'Pickup',
+        order_value: request.return_value,
+        total_amount: request.return_value,
+        grand_total: request.return_value,
+        shipping_charges: 0,
+        cod_amount: 0
+      },
+      seller_info: plain(forward.seller_info),
+      shipping_mode: forward.shipping_mode,
+      order_type: 'reverse',
+      carrier: forward.carrier,
+      status: 'new',
+      return_info: {
+        return_request_id: request._id,
+        forward_order_id: forward._id,
+        forward_order_number: forward.order_id,
+        reason: request.reason,
+        qc: {
+          required: qc.required,
+          checks: qc.checks,
+          reference_images: request.photos.map(photo => photo.url)
+        }
+      },
+      special_instructions: `Return ${request.request_number}: ${RETURN_REASONS[request.reason]}`
+    });
+  }
+
+  /**
+   * Approve a request and create its reverse order
+   * @param {Object} options - { qc_required, qc_checks }
+   * @param {string} decidedBy - seller user ID, or 'auto'
+   */
+  async approve(requestId, userId, options = {}, decidedBy = String(userId)) {
+    let qcChecks;
+    if (options.qc_checks !== undefined) {
+      qcChecks = Array.isArray(options.qc_checks) ? [...new Set(options.qc_checks)] : null;
+      if (!qcChecks || qcChecks.some(check => !QC_CHECKS.includes(check))) {
+        return { success: false, code: 'INVALID_QC', error: `QC checks must be from: ${QC_CHECKS.join(', ')}` };
+      }
+    }
+
+    // Claim the request so it is approved only once
+    const request = await ReturnRequest.findOneAndUpdate(
+      { _id: requestId, user_id: userId, status: 'requested' },
+      { $set: { status: 'approved', decided_at: new Date(), decided_by: decidedBy } },
+      { new: true }
+    );
+    if (!request) {
+      const exists = await ReturnRequest.exists({ _id: requestId, user_id: userId });
+      return exists
+        ? { success: false, code: 'ALREADY_DECIDED', error: 'This return request has already been decided' }
+        : { success: false, code: 'NOT_FOUND', error: 'Return request not found' };
+    }
+
+    const release = () => ReturnRequest.updateOne(
+      { _id: request._id },
+      { $set: { status: 'requested' }, $unset: { decided_at: '', decided_by: '' } }
+    );
+
+    const forward = await Order.findOne({ _id: request.order_id, user_id: userId });
+    if (!forward) {
+      await release();
+      return { success: false, code: 'ORDER_NOT_FOUND', error: 'The original order no longer exists' };
+    }
+
+    const qc = {
+      required: options.qc_required === undefined ? true : options.qc_required === true || options.qc_required === 'true',
+      checks: qcChecks || this.getQcChecks(request.reason)
+    };
+
+    let reverse;
+    try {
+      reverse = this.buildReverseOrder(request, forward, qc);
+      await reverse.save();
+    } catch (error) {
+      await release();
+      logger.error('❌ Reverse order not created', {
+        requestNumber: request.request_number,
+        error: error.message
+      });
+      return { success: false, code: 'REVERSE_ORDER_FAILED', error: `Could not create the reverse order: ${error.message}` };
+    }
+
+    request.reverse_order_id = reverse._id;
+    request.reverse_order_number = reverse.order_id;
+    await request.save();
+
+    logger.info('✅ Return approved', {
+      requestNumber: request.request_number,
+      reverseOrderId: reverse.order_id,
+      decidedBy
+    });
+
+    await this.notifyBuyer(request);
+    return { success: true, request, reverse_order: reverse };
+  }
+
+  async reject(requestId, userId, reason) {
+    const rejectionReason = String(reason || '').trim();
+    if (rejectionReason.length < 3 || rejectionReason.length > MAX_COMMENT_LENGTH) {
+      return { success: false, code: 'REASON_REQUIRED', error: 'Tell the buyer why the return was rejected' };
+    }
+
+    const request = await ReturnRequest.findOneAndUpdate(
+      { _id: requestId, user_id: userId, status: 'requested' },
+      {
+        $set: {
+          status: 'rejected',
+          decided_at: new Date(),
+          decided_by: String(userId),
+          rejection_reason: rejectionReason
+        }
+      },
+      { new: true }
+    );
+    if (!request) {
+      const exists = await ReturnRequest.exists({ _id: requestId, user_id: userId });
+      return exists
+        ? { success: false, code: 'ALREADY_DECIDED', error: 'This return request has already been decided' }
+        : { success: false, code: 'NOT_FOUND', error: 'Return request not found' };
+    }
+
+    logger.info('🚫 Return rejected', { requestNumber: request.request_number });
+    await this.notifyBuyer(request);
+    return { success: true, request };
+  }
+
+  /**
+   * Tell the buyer the seller's decision by SMS and WhatsApp. Never throws.
+   */
+  async notifyBuyer(request) {
+    try {
+      const phone = request.customer?.phone;
+      if (!phone) return;
+
+      const seller = await User.findById(request.user_id).select('company_name').lean();
+      const approved = request.status === 'approved';
+      const variables = {
+        customer_name: request.customer.name || 'Customer',
+        order_id: request.order_number,
+        seller_name: seller?.company_name || '',
+        status: approved ? 'approved' : 'rejected'
+      };
+      const text = approved
+        ? `Hi ${variables.customer_name}, your return for order ${variables.order_id} from ${variables.seller_name} is approved. A courier will collect the items.`
+        : `Hi ${variables.customer_name}, your return for order ${variables.order_id} from ${variables.seller_name} was not approved: ${request.rejection_reason}`;
+
+      const provider = messaging.getProvider();
+      const message = { to: phone, template: 'return_update', variables, text };
+      const results = [];
+      for (const channel of ['sms', 'whatsapp']) {
+        if (!provider.supportsChannel(channel)) continue;
+        const result = channel === 'sms' ? await provider.sendSMS(message) : await provider.sendWhatsApp(message);
+        results.push({ channel, success: result.success, error: result.error });
+      }
+
+      if (results.some(result => result.success)) {
+        await ReturnRequest.updateOne({ _id: request._id }, { $set: { buyer_notified_at: new Date() } });
+      }
+      logger.info('📨 Return decision sent to buyer', {
+        requestNumber: request.request_number,
+        channels: results
+      });
+    } catch (error) {
+      logger.error('❌ Return decision not sent', {
+        requestNumber: request?.request_number,
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new ReturnService();
+module.exports.QC_CHECKS = QC_CHECKS;
@@ -0,0 +1,577 @@
+// Location: backend/services/rtoRiskService.js
+const Order = require('../models/Order');
+const NDR = require('../models/NDR');
+const Customer = require('../models/Customer');
+const User = require('../models/User');
+const BillingCycle = require('../models/BillingCycle');
+const RateCardService = require('./rateCardService');
+const carriers = require('./carriers');
+const walletLedgerService = require('./walletLedgerService');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BUYER_LOOKBACK_DAYS = 365;
+const PINCODE_LOOKBACK_DAYS = 180;
+// Fewer finished COD orders than this say nothing about a pincode
+const MIN_PINCODE_SAMPLE = 10;
+// Every COD order carries some risk
+const BASE_SCORE = 10;
+
+const BANDS = ['low', 'medium', 'high'];
+const ACTIONS = ['ship', 'hold', 'force_prepaid'];
+const RESOLUTIONS = {
+  verify: 'verified',
+  convert_prepaid: 'converted_prepaid'
+};
+const DEFAULT_SETTINGS = {
+  medium_from: 40,
+  high_from: 70,
+  actions: { low: 'ship', medium: 'ship', high: 'ship' }
+};
+
+const round2 = (amount) => Math.round(amount * 100) / 100;
+
+const formatAmount = (amount) => `₹${Math.round(amount).toLocaleString('en-IN')}`;
+
+const percent = (rate) => `${Math.round(rate * 100)}%`;
+
+const istHour = (date) => Number(new Intl.DateTimeFormat('en-GB', {
+  hour: '2-digit',
+  hourCycle: 'h23',
+  timeZone: 'Asia/Kolkata'
+}).format(date));
+
+const istTime = (date) => new Date(date).toLocaleTimeString('en-GB', {
+  hour: '2-digit',
+  minute: '2-digit',
+  timeZone: 'Asia/Kolkata'
+});
+
+/**
+ * RTO Risk Service
+ * Scores COD forward orders for the chance they come back undelivered, from
+ * the platform's own delivery history:
+ * - the buyer phone's past COD orders and failed deliveries (Order, NDR)
+ * - the delivery pincode's RTO rate
+ * - how complete the address is
+ * - the COD amount
+ * - whether the buyer has ordered from this seller before (Customer.total_orders)
+ * - the time of day the order was placed
+ *
+ * Scores run 0-100. The seller's rto_risk_settings turn a score into a band
+ * and the band into an action: ship, hold for verification or force prepaid.
+ * A held order cannot get an AWB until the seller resolves it (resolve()).
+ * Converting to prepaid gives back the COD charge taken when the order was
+ * saved (priceWithoutCod(), refundCodCharge()).
+ */
+class RtoRiskService {
+  getSettings(user) {
+    const settings = user?.rto_risk_settings || {};
+    return {
+      medium_from: settings.medium_from || DEFAULT_SETTINGS.medium_from,
+      high_from: settings.high_from || DEFAULT_SETTINGS.high_from,
+      actions: {
+        low: settings.actions?.low || DEFAULT_SETTINGS.actions.low,
+        medium: settings.actions?.medium || DEFAULT_SETTINGS.actions.medium,
+        high: settings.actions?.high || DEFAULT_SETTINGS.actions.high
+      }
+    };
+  }
+
+  /**
+   * Validate a settings update on top of the current settings
+   * @returns {{error?: string, settings?: Object}}
+   */
+  parseSettings(input, current) {
+    const settings = {
+      medium_from: current.medium_from,
+      high_from: current.high_from,
+      actions: { ...current.actions }
+    };
+
+    for (const field of ['medium_from', 'high_from']) {
+      if (input[field] === undefined) continue;
+      const value = Number(input[field]);
+      if (!Number.isInteger(value) || value < 1 || value > 100) {
+        return { error: 'Band scores must be whole numbers from 1 to 100' };
+      }
+      settings[field] = value;
+    }
+    if (settings.medium_from >= settings.high_from) {
+      return { error: 'High risk must start above medium risk' };
+    }
+
+    for (const band of BANDS) {
+      const action = input.actions?.[band];
+      if (action === undefined) continue;
+      if (!ACTIONS.includes(action)) {
+        return { error: `Action must be one of: ${ACTIONS.join(', ')}` };
+      }
+      settings.actions[band] = action;
+    }
+
+    return { settings };
+  }
+
+  async updateSettings(userId, input) {
+    const user = await User.findById(userId).select('rto_risk_settings').lean();
+    if (!user) {
+      return { success: false, code: 'NOT_FOUND', error: 'User not found' };
+    }
+
+    const parsed = this.parseSettings(input || {}, this.getSettings(user));
+    if (parsed.error) {
+      return { success: false, code: 'INVALID_SETTINGS', error: parsed.error };
+    }
+
+    await User.updateOne({ _id: userId }, { $set: { rto_risk_settings: parsed.settings } });
+    return { success: true, data: parsed.settings };
+  }
+
+  getBand(score, settings) {
+    if (score >= settings.high_from) return 'high';
+    if (score >= settings.medium_from) return 'medium';
+    return 'low';
+  }
+
+  /**
+   * Delivered and RTO counts for finished COD forward orders matching a filter
+   */
+  async getDeliveryHistory(match, lookbackDays) {
+    const rows = await Order.aggregate([
+      {
+        $match: {
+          ...match,
+          order_type: 'forward',
+          'payment_info.payment_mode': 'COD',
+          status: { $in: ['delivered', 'rto'] },
+          createdAt: { $gte: new Date(Date.now() - lookbackDays * DAY_MS) }
+        }
+      },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+
+    const history = { delivered: 0, rto: 0 };
+    for (const row of rows) {
+      history[row._id] = row.count;
+    }
+    return history;
+  }
+
+  async collectSignals(order) {
+    const phone = order.customer_info?.phone;
+    const pincode = order.delivery_address?.pincode;
+    const since = new Date(Date.now() - BUYER_LOOKBACK_DAYS * DAY_MS);
+
+    const [buyer, pincodeHistory, ndrs, customer] = await Promise.all([
+      phone ? this.getDeliveryHistory({ 'customer_info.phone': phone }, BUYER_LOOKBACK_DAYS) : null,
+      pincode ? this.getDeliveryHistory({ 'delivery_address.pincode': pincode }, PINCODE_LOOKBACK_DAYS) : null,
+      phone
+        ? NDR.find({ 'customer_info.phone': { $in: [phone, `91${phone}`, `+91${phone}`] }, ndr_date: { $gte: since } })
+          .select('ndr_reason')
+          .lean()
+        : [],
+      phone ? Customer.findOne({ user_id: order.user_id, phone }).select('total_orders').lean() : null
+    ]);
+
+    return {
+      buyer,
+      pincode: pincodeHistory,
+      ndr_count: ndrs.length,
+      refused_count: ndrs.filter(ndr => ndr.ndr_reason === 'customer_refused').length,
+      previous_orders: customer?.total_orders || 0,
+      // Store orders keep the time the buyer placed them
+      placed_at: order.channel_info?.channel_order_id && order.order_date ? order.order_date : new Date()
+    };
+  }
+
+  /**
+   * Turn the signals into a score and the reasons behind it
+   * @returns {{score: number, reasons: Array<{code: string, label: string, points: number}>}}
+   */
+  scoreSignals(order, signals) {
+    const reasons = [];
+    const add = (code, label, points) => reasons.push({ code, label, points });
+
+    // Buyer's own record weighs most
+    const buyer = signals.buyer;
+    if (buyer) {
+      const finished = buyer.delivered + buyer.rto;
+      const rate = finished > 0 ? buyer.rto / finished : 0;
+      if (finished === 1 && buyer.rto === 1) {
+        add('buyer_rto', 'Buyer\'s only past COD order was returned', 25);
+      } else if (finished >= 2 && rate >= 0.5) {
+        add('buyer_rto', `Buyer returned ${buyer.rto} of ${finished} past COD orders`, 35);
+      } else if (finished >= 2 && rate >= 0.25) {
+        add('buyer_rto', `Buyer returned ${buyer.rto} of ${finished} past COD orders`, 20);
+      } else if (buyer.delivered >= 2 && buyer.rto === 0) {
+        add('buyer_delivered', `Buyer accepted all ${buyer.delivered} past COD orders`, -15);
+      }
+    }
+
+    if (signals.refused_count > 0) {
+      add('buyer_refused', `Buyer refused ${signals.refused_count === 1 ? 'a delivery' : `${signals.refused_count} deliveries`} before`, 15);
+    } else if (signals.ndr_count >= 2) {
+      add('buyer_ndr', `${signals.ndr_count} failed delivery attempts to this phone`, 10);
+    }
+
+    const pincode = signals.pincode;
+    if (pincode) {
+      const finished = pincode.delivered + pincode.rto;
+      const rate = finished >= MIN_PINCODE_SAMPLE ? pincode.rto / finished : 0;
+      if (rate >= 0.35) {
+        add('pincode_rto', `${percent(rate)} of COD orders to ${order.delivery_address.pincode} were returned`, 20);
+      } else if (rate >= 0.2) {
+        add('pincode_rto', `${percent(rate)} of COD orders to ${order.delivery_address.pincode} were returned`, 10);
+      }
+    }
+
+    const address = [order.delivery_address?.address_line_1, order.delivery_address?.address_line_2]
+      .filter(Boolean)
+      .join(' ')
+      .trim();
+    if (address.length < 15) {
+      add('address_short', 'Delivery address is very short', 10);
+    }
+    if (!/\d/.test(address)) {
+      add('address_no_number', 'No house or flat number in the address', 8);
+    }
+
+    const codAmount = order.payment_info?.cod_amount || 0;
+    if (codAmount >= 5000) {
+      add('cod_value', `High COD value of ${formatAmount(codAmount)}`, 15);
+    } else if (codAmount >= 2000) {
+      add('cod_value', `COD value of ${formatAmount(codAmount)}`, 8);
+    }
+
+    if (signals.previous_orders >= 3) {
+      add('repeat_buyer', `Repeat buyer with ${signals.previous_orders} orders`, -10);
+    } else if (signals.previous_orders === 0) {
+      add('new_buyer', 'First order from this buyer', 10);
+    }
+
+    const hour = istHour(new Date(signals.placed_at));
+    if (hour < 6) {
+      add('late_night', `Placed at ${istTime(signals.placed_at)} at night`, 8);
+    }
+
+    const total = reasons.reduce((sum, reason) => sum + reason.points, BASE_SCORE);
+    return {
+      score: Math.min(Math.max(total, 0), 100),
+      // Biggest risks first
+      reasons: reasons.sort((a, b) => b.points - a.points)
+    };
+  }
+
+  /**
+   * Score a new COD forward order and apply the seller's action for its band.
+   * Sets order.rto_risk (not saved). Never throws; an order that cannot be
+   * scored ships as usual.
+   */
+  async assess(order) {
+    if (order.order_type !== 'forward' || order.payment_info?.payment_mode !== 'COD') {
+      return null;
+    }
+
+    try {
+      const [signals, user] = await Promise.all([
+        this.collectSignals(order),
+        User.findById(order.user_id).select('rto_risk_settings').lean()
+      ]);
+      const settings = this.getSettings(user);
+      const { score, reasons } = this.scoreSignals(order, signals);
+      const band = this.getBand(score, settings);
+      const action = settings.actions[band];
+
+      order.rto_risk = {
+        score,
+        band,
+        reasons,
+        action,
+        on_hold: action !== 'ship',
+        assessed_at: new Date()
+      };
+
+      if (action !== 'ship') {
+        logger.info('🛡️ Order held for RTO risk', {
+          orderId: order.order_id,
+          score,
+          band,
+          action
+        });
+      }
+      return order.rto_risk;
+    } catch (error) {
+      logger.error('❌ RTO risk scoring failed', {
+        orderId: order.order_id,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Why an order cannot get an AWB yet, or null
+   */
+  getHoldMessage(order) {
+    const risk = order.rto_risk;
+    if (!risk?.on_hold) {
+      return null;
+    }
+    const label = `${risk.band.charAt(0).toUpperCase()}${risk.band.slice(1)} RTO risk (score ${risk.score})`;
+    if (risk.action === 'force_prepaid') {
+      // Already switched to prepaid some other way
+      if (order.payment_info?.payment_mode !== 'COD') {
+        return null;
+      }
+      return `${label}: convert this order to prepaid before shipping`;
+    }
+    return `${label}: verify the buyer before shipping`;
+  }
+
+  /**
+   * Seller clears a held order: 'verify' keeps it COD after checking with the
+   * buyer, 'convert_prepaid' switches it to prepaid and refunds the COD charge.
+   * Either releases the hold.
+   *
+   * The order is saved before any money moves. If the refund then fails the
+   * order is put back as it was (COD and held), so a seller never keeps a
+   * refund for an order that is still COD or loses one for a prepaid order.
+   */
+  async resolve(orderId, userId, action) {
+    if (!RESOLUTIONS[action]) {
+      return { success: false, code: 'INVALID_ACTION', error: 'Action must be verify or convert_prepaid' };
+    }
+
+    const order = await Order.findOne({ _id: orderId, user_id: userId });
+    if (!order) {
+      return { success: false, code: 'NOT_FOUND', error: 'Order not found' };
+    }
+    if (!order.rto_risk?.on_hold) {
+      return { success: false, code: 'NOT_HELD', error: 'This order is not held for RTO risk' };
+    }
+    if (order.status === 'cancelled') {
+      return { success: false, code: 'NOT_ACTIVE', error: 'This order is cancelled' };
+    }
+
+    // Only one request releases the hold, so the COD charge is refunded once
+    const claimed = await Order.updateOne(
+      { _id: order._id, 'rto_risk.on_hold': true },
+      { $set: { 'rto_risk.on_hold': false } }
+    );
+    if (claimed.modifiedCount === 0) {
+      return { success: false, code: 'NOT_HELD', error: 'This order is not held for RTO risk' };
+    }
+    const releaseClaim = () => Order.updateOne({ _id: order._id }, { $set: { 'rto_risk.on_hold': true } });
+
+    const before = {
+      payment_mode: order.payment_info.payment_mode,
+      cod_amount: order.payment_info.cod_amount,
+      shipping_charges: order.payment_info.shipping_charges,
+      charges: order.billing_info?.charges ? { ...order.billing_info.charges.toObject() } : undefined,
+      zone: order.billing_info?.zone
+    };
+
+    let pricing = null;
+    if (action === 'convert_prepaid') {
+      pricing = await this.priceWithoutCod(order, userId);
+      if (!pricing.success) {
+        await releaseClaim();
+        return pricing;
+      }
+      if (pricing.charges) {
+        order.billing_info.zone = pricing.zone;
+        order.billing_info.charges = pricing.charges;
+      }
+      order.payment_info.shipping_charges = round2((before.shipping_charges || 0) - pricing.amount);
+      order.payment_info.payment_mode = 'Prepaid';
+      order.payment_info.cod_amount = 0;
+    }
+    order.rto_risk.on_hold = false;
+    order.rto_risk.resolution = RESOLUTIONS[action];
+    order.rto_risk.resolved_at = new Date();
+    order.rto_risk.resolved_by = String(userId);
+
+    try {
+      await order.save();
+    } catch (error) {
+      await releaseClaim();
+      throw error;
+    }
+
+    let refund = null;
+    if (pricing) {
+      refund = await this.refundCodCharge(order, userId, pricing.amount, before.cod_amount);
+      if (!refund.success) {
+        // Undo the conversion: the seller keeps a COD order on hold and no refund
+        order.payment_info.payment_mode = before.payment_mode;
+        order.payment_info.cod_amount = before.cod_amount;
+        order.payment_info.shipping_charges = before.shipping_charges;
+        if (before.charges) {
+          order.billing_info.charges = before.charges;
+          order.billing_info.zone = before.zone;
+        }
+        order.rto_risk.on_hold = true;
+        order.rto_risk.resolution = undefined;
+        order.rto_risk.resolved_at = undefined;
+        order.rto_risk.resolved_by = undefined;
+        await order.save();
+
+        logger.error('❌ COD charge refund failed, order still held', {
+          orderId: order.order_id,
+          code: refund.code,
+          error: refund.error
+        });
+        return refund;
+      }
+    }
+
+    logger.info('🛡️ RTO risk hold resolved', {
+      orderId: order.order_id,
+      score: order.rto_risk.score,
+      resolution: order.rto_risk.resolution,
+      refund: refund?.amount
+    });
+
+    return { success: true, order, refund };
+  }
+
+  /**
+   * Price an order charged as COD again without COD. The difference to what
+   * was booked is the COD charge to give back.
+   * @returns {Promise<Object>} { success, amount, zone, charges } or { success: false, code, error }.
+   *   charges is null when the order was never charged.
+   */
+  async priceWithoutCod(order, userId) {
+    const billing = order.billing_info;
+    if (!billing?.charged_at) {
+      // Never charged: nothing to give back
+      return { success: true, amount: 0, zone: null, charges: null };
+    }
+
+    const carrier = carriers.getCarrierForOrder(order);
+    const { weight, dimensions = {} } = order.package_info;
+    const declaredWeight = billing.declared_weight || weight * 1000;
+    let zone = billing.zone;
+    let result;
+    try {
+      if (!zone) {
+        const zoneResult = await carrier.getZone({
+          pickupPincode: order.pickup_address.pincode,
+          deliveryPincode: order.delivery_address.pincode,
+          chargeableWeight: billing.charged_weight || declaredWeight,
+          shippingMode: order.shipping_mode,
+          paymentMode: 'Prepaid'
+        });
+        zone = zoneResult.success ? zoneResult.zone : null;
+      }
+      const userCategory = billing.user_category_at_order
+        || (await User.findById(userId).select('user_category').lean())?.user_category;
+      if (!zone || !userCategory) {
+        throw new Error(`${carrier.name} could not price this order`);
+      }
+
+      result = await RateCardService.calculateShippingCharges(
+        userCategory,
+        declaredWeight,
+        {
+          length: dimensions.length,
+          breadth: dimensions.width,
+          height: dimensions.height
+        },
+        zone,
+        0,
+        order.order_type || 'forward',
+        carrier.code,
+        order.shipping_mode
+      );
+    } catch (error) {
+      return { success: false, code: 'PRICING_FAILED', error: `Could not reprice the order as prepaid: ${error.message}` };
+    }
+
+    const charged = order.payment_info.shipping_charges || 0;
+    const bookedTotal = billing.charges?.total_charge || charged;
+    const amount = Math.min(Math.max(round2(bookedTotal - result.totalCharges), 0), charged);
+
+    return {
+      success: true,
+      amount,
+      zone,
+      charges: {
+        forward_charge: result.forwardCharges,
+        rto_charge: result.rtoCharges,
+        cod_charge: 0,
+        total_charge: round2(bookedTotal - amount)
+      }
+    };
+  }
+
+  /**
+   * Return the COD charge of a converted order the way it was collected:
+   * - anything debited from the wallet (or already invoiced) is credited back,
+   *   once per order (the credit is keyed on the order)
+   * - unbilled charges on an open billing cycle come off the cycle
+   * @returns {Promise<Object>} { success, amount, method } or { success: false, code, error }
+   */
+  async refundCodCharge(order, userId, amount, codAmount) {
+    if (!(amount > 0)) {
+      return { success: true, amount: 0, method: 'none' };
+    }
+
+    const billing = order.billing_info;
+    const unbilled = billing.billing_status === 'unbilled';
+    let transaction = null;
+    try {
+      // Unbilled postpaid charges never left the wallet; the invoice reads billing_info
+      if (billing.billing_mode !== 'postpaid' || !unbilled) {
+        const credit = await walletLedgerService.credit({
+          userId,
+          amount,
+          category: 'refund',
+          description: `COD charge refund - Order ${order.order_id} converted to prepaid`,
+          idempotencyKey: `CODREF${order._id}`,
+          fields: {
+            related_order_id: order._id,
+            order_info: {
+              order_id: order.order_id,
+              awb_number: order.delhivery_data?.waybill || null,
+              weight: billing.declared_weight,
+              zone: billing.zone,
+              order_date: order.order_date
+            }
+          }
+        });
+        if (!credit.success) {
+          return { success: false, code: 'REFUND_FAILED', error: credit.error || 'Could not refund the COD charge to the wallet' };
+        }
+        transaction = credit.transaction;
+      }
+
+      if (unbilled && billing.billing_cycle_id) {
+        await BillingCycle.updateOne(
+          { _id: billing.billing_cycle_id, status: 'open' },
+          {
+            $inc: {
+              'summary.estimated_total': -amount,
+              'summary.total_cod_charges': -amount,
+              'summary.total_cod_amount': -(codAmount || 0),
+              'summary.cod_orders': -1,
+              'summary.prepaid_orders': 1
+            }
+          }
+        );
+      }
+    } catch (error) {
+      if (transaction) {
+        // The money is back with the seller; only the cycle summary is stale
+        logger.warn('⚠️ Billing cycle not adjusted for COD charge refund', { orderId: order.order_id, error: error.message });
+        return { success: true, amount, method: 'wallet', transaction };
+      }
+      return { success: false, code: 'REFUND_FAILED', error: `Could not refund the COD charge: ${error.message}` };
+    }
+
+    return { success: true, amount, method: transaction ? 'wallet' : 'billing_cycle', transaction };
+  }
+}
+
+module.exports = new RtoRiskService();
@@ -0,0 +1,385 @@
+// Location: backend/services/sellerWebhookService.js
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const axios = require('axios');
+const cron = require('node-cron');
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const logger = require('../utils/logger');
+const { getHostBlockReason, publicLookup } = require('../utils/urlSafety');
+
+const MAX_ATTEMPTS = parseInt(process.env.SELLER_WEBHOOK_MAX_ATTEMPTS || '8');
+const BASE_RETRY_DELAY_MS = 60 * 1000; // 1m, 2m, 4m ... capped below
+const MAX_RETRY_DELAY_MS = 6 * 60 * 60 * 1000;
+const REQUEST_TIMEOUT_MS = 10000;
+const RESPONSE_BODY_LIMIT = 1000;
+const RETRY_BATCH_SIZE = 50;
+// New deliveries are attempted immediately; the scheduler only picks them up
+// after this grace period (e.g. when the process restarted before sending)
+const PENDING_GRACE_MS = 2 * 60 * 1000;
+const TEST_EVENT = 'webhook.test';
+
+// Callback hosts are resolved at connect time and refused if any address is
+// private, loopback or link-local (cloud metadata lives at 169.254.169.254)
+const httpAgent = new http.Agent({ lookup: publicLookup });
+const httpsAgent = new https.Agent({ lookup: publicLookup });
+
+/**
+ * Seller Webhook Service
+ * Pushes shipment lifecycle events to the HTTPS callback URLs sellers register.
+ *
+ * Every request carries:
+ *   X-Shipsarthi-Event      - event name, e.g. shipment.delivered
+ *   X-Shipsarthi-Delivery   - unique delivery id (stable across retries)
+ *   X-Shipsarthi-Signature  - t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">
+ *
+ * Non-2xx responses and network errors are retried with exponential backoff
+ * until SELLER_WEBHOOK_MAX_ATTEMPTS, then the delivery is marked failed.
+ * Callback URLs that point at IP literals, localhost, metadata hosts or names
+ * resolving to non-public addresses are never contacted.
+ */
+class SellerWebhookService {
+  constructor() {
+    this.isRunning = false;
+    this.isRetryInProgress = false;
+  }
+
+  /**
+   * Start the retry cron job (called from server.js so scripts that save
+   * orders don't keep a scheduler alive)
+   */
+  startRetryScheduler() {
+    if (this.isRunning) {
+      return;
+    }
+
+    this.retryJob = cron.schedule('* * * * *', async () => {
+      if (this.isRetryInProgress) {
+        return;
+      }
+
+      this.isRetryInProgress = true;
+      try {
+        await this.processDueRetries();
+      } catch (error) {
+        logger.error('❌ Seller webhook retry run failed', { error: error.message });
+      } finally {
+        this.isRetryInProgress = false;
+      }
+    }, {
+      scheduled: true,
+      timezone: 'Asia/Kolkata'
+    });
+
+    this.isRunning = true;
+    logger.info('✅ Seller webhook retry scheduler started');
+  }
+
+  stopRetryScheduler() {
+    if (this.retryJob) {
+      this.retryJob.destroy();
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Sign a raw body with a subscription secret
+   * @returns {string} Signature header value
+   */
+  sign(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+    const digest = crypto
+      .createHmac('sha256', secret)
+      .update(`${timestamp}.${body}`)
+      .digest('hex');
+    return `t=${timestamp},v1=${digest}`;
+  }
+
+  generateDeliveryId() {
+    return `whd_${Date.now().toString(36)}${crypto.randomBytes(6).toString('hex')}`;
+  }
+
+  /**
+   * Backoff before the next attempt, with +/-20% jitter so failed receivers
+   * aren't hit by every queued delivery at once
+   */
+  getRetryDelay(attempts) {
+    const delay = Math.min(BASE_RETRY_DELAY_MS * Math.pow(2, Math.max(attempts - 1, 0)), MAX_RETRY_DELAY_MS);
+    const jitter = delay * 0.2 * (Math.random() * 2 - 1);
+    return Math.round(delay + jitter);
+  }
+
+  /**
+   * Queue an event for every active subscription of the seller and deliver it.
+   * Never throws - event emission must not break the caller's flow.
+   * @param {ObjectId|string} userId
+   * @param {string} event - One of WebhookSubscription.EVENTS
+   * @param {Object} data - Event specific payload
+   */
+  async emit(userId, event, data) {
+    try {
+      if (!userId || !WebhookSubscription.EVENTS.includes(event)) {
+        return [];
+      }
+
+      const subscriptions = await WebhookSubscription.find({
+        user_id: userId,
+        is_active: true,
+        events: event
+      });
+
+      if (subscriptions.length === 0) {
+        return [];
+      }
+
+      const deliveries = [];
+      for (const subscription of subscriptions) {
+        const deliveryId = this.generateDeliveryId();
+        const delivery = await WebhookDelivery.create({
+          delivery_id: deliveryId,
+          subscription_id: subscription._id,
+          user_id: userId,
+          event,
+          url: subscription.url,
+          payload: {
+            id: deliveryId,
+            event,
+            created_at: new Date().toISOString(),
+            data
+          },
+          next_attempt_at: new Date(Date.now() + PENDING_GRACE_MS)
+        });
+        deliveries.push(delivery);
+      }
+
+      logger.info('📤 Seller webhook event queued', {
+        userId: userId.toString(),
+        event,
+        deliveries: deliveries.length
+      });
+
+      setImmediate(() => {
+        deliveries.forEach(delivery => {
+          this.deliver(delivery).catch(err => logger.error('❌ Seller webhook delivery error', {
+            deliveryId: delivery.delivery_id,
+            error: err.message
+          }));
+        });
+      });
+
+      return deliveries;
+    } catch (error) {
+      logger.error('❌ Failed to queue seller webhook event', {
+        userId: userId?.toString(),
+        event,
+        error: error.message
+      });
+      return [];
+    }
+  }
+
+  /**
+   * Attempt a single delivery and record the outcome
+   * @param {WebhookDelivery} delivery
+   */
+  async deliver(delivery) {
+    const subscription = await WebhookSubscription.findById(delivery.subscription_id);
+
+    if (!subscription || !subscription.is_active) {
+      delivery.status = 'failed';
+      delivery.error = subscription ? 'Subscription disabled' : 'Subscription deleted';
+      delivery.next_attempt_at = null;
+      await delivery.save();
+      return delivery;
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const startTime = Date.now();
+    delivery.attempts += 1;
+
+    try {
+      // Subscriptions saved before host checks existed may still hold a blocked host
+      const blockReason = getHostBlockReason(new URL(subscription.url).hostname);
+      if (blockReason) {
+        const blockedError = new Error(`Callback host not allowed: ${blockReason}`);
+        blockedError.code = 'EBLOCKEDHOST';
+        throw blockedError;
+      }
+
+      const response = await axios.post(subscription.url, body, {
+        timeout: REQUEST_TIMEOUT_MS,
+        maxRedirects: 0,
+        proxy: false,
+        httpAgent,
+        httpsAgent,
+        validateStatus: () => true,
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'Shipsarthi-Webhooks/1.0',
+          'X-Shipsarthi-Event': delivery.event,
+          'X-Shipsarthi-Delivery': delivery.delivery_id,
+          'X-Shipsarthi-Signature': this.sign(subscription.secret, body)
+        }
+      });
+
+      delivery.response_status = response.status;
+      delivery.response_body = typeof response.data === 'string'
+        ? response.data.substring(0, RESPONSE_BODY_LIMIT)
+        : JSON.stringify(response.data || '').substring(0, RESPONSE_BODY_LIMIT);
+      delivery.error = response.status >= 200 && response.status < 300
+        ? null
+        : `Receiver responded with HTTP ${response.status}`;
+    } catch (error) {
+      delivery.response_status = null;
+      delivery.response_body = null;
+      delivery.error = error.code ? `${error.code}: ${error.message}` : error.message;
+    }
+
+    delivery.duration_ms = Date.now() - startTime;
+    const succeeded = !delivery.error;
+
+    if (succeeded) {
+      delivery.status = 'succeeded';
+      delivery.delivered_at = new Date();
+      delivery.next_attempt_at = null;
+    } else if (delivery.attempts >= MAX_ATTEMPTS || delivery.event === TEST_EVENT) {
+      // Test pings are not retried
+      delivery.status = 'failed';
+      delivery.next_attempt_at = null;
+    } else {
+      delivery.status = 'retrying';
+      delivery.next_attempt_at = new Date(Date.now() + this.getRetryDelay(delivery.attempts));
+    }
+
+    await delivery.save();
+
+    subscription.last_delivery_at = new Date();
+    subscription.last_delivery_status = succeeded ? 'succeeded' : 'failed';
+    subscription.consecutive_failures = succeeded ? 0 : subscription.consecutive_failures + 1;
+    await subscription.save();
+
+    if (succeeded) {
+      logger.info('✅ Seller webhook delivered', {
+        deliveryId: delivery.delivery_id,
+        event: delivery.event,
+        attempts: delivery.attempts,
+        duration: `${delivery.duration_ms}ms`
+      });
+    } else {
+      logger.warn('⚠️ Seller webhook delivery failed', {
+        deliveryId: delivery.delivery_id,
+        event: delivery.event,
+        attempts: delivery.attempts,
+        status: delivery.status,
+        error: delivery.error
+      });
+    }
+
+    return delivery;
+  }
+
+  /**
+   * Deliver everything whose backoff has elapsed
+   */
+  async processDueRetries() {
+    const due = await WebhookDelivery.find({
+      status: { $in: ['pending', 'retrying'] },
+      next_attempt_at: { $lte: new Date() }
+    })
+      .sort({ next_attempt_at: 1 })
+      .limit(RETRY_BATCH_SIZE);
+
+    for (const delivery of due) {
+      try {
+        await this.deliver(delivery);
+      } catch (error) {
+        logger.error('❌ Seller webhook retry failed', {
+          deliveryId: delivery.delivery_id,
+          error: error.message
+        });
+      }
+    }
+
+    return due.length;
+  }
+
+  /**
+   * Re-send a logged delivery as a new delivery with the same payload
+   * @param {WebhookDelivery} original
+   */
+  async replay(original) {
+    const deliveryId = this.generateDeliveryId();
+    const delivery = await WebhookDelivery.create({
+      delivery_id: deliveryId,
+      subscription_id: original.subscription_id,
+      user_id: original.user_id,
+      event: original.event,
+      url: original.url,
+      payload: {
+        ...original.payload,
+        id: deliveryId,
+        replay_of: original.delivery_id
+      },
+      replay_of: original.delivery_id,
+      next_attempt_at: new Date(Date.now() + PENDING_GRACE_MS)
+    });
+
+    return this.deliver(delivery);
+  }
+
+  /**
+   * Send a signed ping so sellers can verify their endpoint and signature check
+   * @param {WebhookSubscription} subscription
+   */
+  async sendTest(subscription) {
+    const deliveryId = this.generateDeliveryId();
+    const delivery = await WebhookDelivery.create({
+      delivery_id: deliveryId,
+      subscription_id: subscription._id,
+      user_id: subscription.user_id,
+      event: TEST_EVENT,
+      url: subscription.url,
+      payload: {
+        id: deliveryId,
+        event: TEST_EVENT,
+        created_at: new Date().toISOString(),
+        data: { message: 'Test delivery from Shipsarthi' }
+      },
+      next_attempt_at: null
+    });
+
+    return this.deliver(delivery);
+  }
+
+  /**
+   * Common shipment payload for order lifecycle events
+   * @param {Order} order
+   * @param {Object} extra
+   */
+  buildOrderPayload(order, extra = {}) {
+    const lastHistory = Array.isArray(order.status_history) && order.status_history.length > 0
+      ? order.status_history[order.status_history.length - 1]
+      : null;
+
+    return {
+      order_id: order.order_id,
+      reference_id: order.reference_id || null,
+      awb: order.delhivery_data?.waybill || null,
+      carrier: order.carrier || 'DELHIVERY',
+      status: order.status,
+      carrier_status: order.delhivery_data?.current_status || null,
+      location: lastHistory?.location || null,
+      remarks: lastHistory?.remarks || null,
+      payment_mode: order.payment_info?.payment_mode || null,
+      cod_amount: order.payment_info?.cod_amount || 0,
+      shipping_mode: order.shipping_mode || null,
+      delivery_pincode: order.delivery_address?.pincode || null,
+      updated_at: new Date().toISOString(),
+      ...extra
+    };
+  }
+}
+
+SellerWebhookService.MAX_ATTEMPTS = MAX_ATTEMPTS;
+
+module.exports = new SellerWebhookService();
@@ -0,0 +1,477 @@
+// Location: backend/services/trackingPageService.js
+const Order = require('../models/Order');
+const User = require('../models/User');
+const ShipmentTrackingEvent = require('../models/ShipmentTrackingEvent');
+const carriers = require('./carriers');
+const courierRecommendationService = require('./courierRecommendationService');
+const messaging = require('./messaging');
+const emailService = require('./emailService');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SLUG_PATTERN = /^[a-z0-9][a-z0-9-]{1,38}[a-z0-9]$/;
+// Reserved for the default /track/<client_id> address
+const CLIENT_ID_SLUG_PATTERN = /^ss\d{5}$/;
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+const PHONE_PATTERN = /^[0-9+\-\s]{8,16}$/;
+const EMAIL_PATTERN = /^[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}$/i;
+const URL_PATTERN = /^https?:\/\/\S+$/i;
+const MAX_TIMELINE_EVENTS = 100;
+const BRANDING_FIELDS = 'company_name client_id company_logo_url label_settings.logo_url tracking_page';
+const LINK_CHANNELS = ['sms', 'whatsapp', 'email'];
+
+const DEFAULT_COLORS = {
+  primary_color: '#002B59',
+  accent_color: '#F68723'
+};
+
+// What the buyer sees for each order status
+const STATUS_LABELS = {
+  new: 'Order placed',
+  ready_to_ship: 'Order placed',
+  pickups_manifests: 'Ready for pickup',
+  in_transit: 'In transit',
+  out_for_delivery: 'Out for delivery',
+  delivered: 'Delivered',
+  ndr: 'Delivery attempted',
+  rto: 'Returning to seller',
+  cancelled: 'Cancelled',
+  lost: 'Delayed - contact the seller'
+};
+
+// Estimates are only shown while the parcel is on its way to the buyer
+const ESTIMATE_STATUSES = ['new', 'ready_to_ship', 'pickups_manifests', 'in_transit', 'out_for_delivery', 'ndr'];
+
+const getEnabledChannels = () => (process.env.TRACKING_LINK_CHANNELS || 'sms,whatsapp,email')
+  .split(',')
+  .map(channel => channel.trim().toLowerCase())
+  .filter(channel => LINK_CHANNELS.includes(channel));
+
+const getFrontendUrl = () => (process.env.FRONTEND_URL || 'https://shipsarthi.com').replace(/\/$/, '');
+
+/**
+ * Tracking Page Service
+ * Seller-branded buyer tracking pages at /track/<slug>/<awb>: the seller's
+ * logo, colours, support contact and banner around a timeline built from
+ * ShipmentTrackingEvent, plus an estimated delivery date.
+ *
+ * Sellers without a custom slug use their client ID, so every seller has a
+ * page and the client ID address keeps working after a slug is chosen.
+ */
+class TrackingPageService {
+  getSlug(user) {
+    return user?.tracking_page?.slug || String(user?.client_id || '').toLowerCase();
+  }
+
+  getPageUrl(user) {
+    return `${getFrontendUrl()}/track/${this.getSlug(user)}`;
+  }
+
+  getTrackingUrl(user, awb) {
+    return `${this.getPageUrl(user)}/${encodeURIComponent(awb)}`;
+  }
+
+  /**
+   * Branded tracking link for an order, or the generic page when the seller
+   * cannot be loaded
+   */
+  async getTrackingUrlForOrder(order) {
+    const awb = order.delhivery_data?.waybill;
+    const sellerId = order.user_id?._id || order.user_id;
+    const seller = order.user_id?.client_id
+      ? order.user_id
+      : await User.findById(sellerId).select('client_id tracking_page.slug').lean();
+
+    return seller?.client_id
+      ? this.getTrackingUrl(seller, awb)
+      : `${getFrontendUrl()}/tracking/detail?awb=${encodeURIComponent(awb)}`;
+  }
+
+  normalizeSlug(value) {
+    return String(value || '').trim().toLowerCase();
+  }
+
+  /**
+   * Seller for a page slug, with the branding fields and any extra fields asked for
+   */
+  async findSeller(slug, extraFields = '') {
+    const normalized = this.normalizeSlug(slug);
+    if (!normalized) {
+      return null;
+    }
+
+    const query = CLIENT_ID_SLUG_PATTERN.test(normalized)
+      ? { client_id: normalized.toUpperCase() }
+      : { 'tracking_page.slug': normalized };
+    return User.findOne(query).select(`${BRANDING_FIELDS} ${extraFields}`.trim()).lean();
+  }
+
+  /**
+   * Public branding for a seller. Never includes anything the buyer should not see.
+   */
+  getBranding(user) {
+    const page = user.tracking_page || {};
+    const banner = page.banner || {};
+    const hasBanner = Boolean(banner.image_url || banner.title);
+
+    return {
+      slug: this.getSlug(user),
+      company_name: user.company_name,
+      logo_url: user.label_settings?.logo_url || user.company_logo_url || null,
+      primary_color: page.primary_color || DEFAULT_COLORS.primary_color,
+      accent_color: page.accent_color || DEFAULT_COLORS.accent_color,
+      support: {
+        email: page.support_email || null,
+        phone: page.support_phone || null,
+        website_url: page.website_url || null
+      },
+      banner: hasBanner
+        ? {
+          image_url: banner.image_url || null,
+          title: banner.title || null,
+          link_url: banner.link_url || null
+        }
+        : null
+    };
+  }
+
+  /**
+   * Settings as the seller edits them, with the page address
+   */
+  getSettings(user) {
+    const page = user.tracking_page || {};
+    return {
+      slug: page.slug || null,
+      default_slug: String(user.client_id || '').toLowerCase(),
+      page_url: this.getPageUrl(user),
+      primary_color: page.primary_color || DEFAULT_COLORS.primary_color,
+      accent_color: page.accent_color || DEFAULT_COLORS.accent_color,
+      support_email: page.support_email || null,
+      support_phone: page.support_phone || null,
+      website_url: page.website_url || null,
+      banner: {
+        image_url: page.banner?.image_url || null,
+        title: page.banner?.title || null,
+        link_url: page.banner?.link_url || null
+      },
+      notify_buyers: page.notify_buyers !== false,
+      branding: this.getBranding(user)
+    };
+  }
+
+  /**
+   * Validate a settings update. Empty strings clear optional fields.
+   * @returns {{error?: string, set?: Object, unset?: Object}}
+   */
+  parseSettings(input) {
+    const set = {};
+    const unset = {};
+    const optional = (field, path, pattern, message) => {
+      if (input[field] === undefined) return null;
+      const value = String(input[field] || '').trim();
+      if (!value) {
+        unset[path] = '';
+        return null;
+      }
+      if (pattern && !pattern.test(value)) return message;
+      set[path] = value;
+      return null;
+    };
+
+    if (input.slug !== undefined) {
+      const slug = this.normalizeSlug(input.slug);
+      if (!slug) {
+        unset['tracking_page.slug'] = '';
+      } else if (!SLUG_PATTERN.test(slug)) {
+        return { error: 'Page address must be 3-40 lowercase letters, numbers or hyphens' };
+      } else if (CLIENT_ID_SLUG_PATTERN.test(slug)) {
+        return { error: 'This page address is reserved' };
+      } else {
+        set['tracking_page.slug'] = slug;
+      }
+    }
+
+    for (const field of ['primary_color', 'accent_color']) {
+      if (input[field] === undefined) continue;
+      const value = String(input[field] || '').trim();
+      if (!COLOR_PATTERN.test(value)) {
+        return { error: `${field} must be a hex colour such as #002B59` };
+      }
+      set[`tracking_page.${field}`] = value.toUpperCase();
+    }
+
+    const error = optional('support_email', 'tracking_page.support_email', EMAIL_PATTERN, 'Enter a valid support email')
+      || optional('support_phone', 'tracking_page.support_phone', PHONE_PATTERN, 'Enter a valid support phone number')
+      || optional('website_url', 'tracking_page.website_url', URL_PATTERN, 'Website must start with http:// or https://')
+      || optional('banner_title', 'tracking_page.banner.title', null)
+      || optional('banner_link_url', 'tracking_page.banner.link_url', URL_PATTERN, 'Banner link must start with http:// or https://');
+    if (error) {
+      return { error };
+    }
+    if (set['tracking_page.banner.title'] && set['tracking_page.banner.title'].length > 120) {
+      return { error: 'Banner text can be at most 120 characters' };
+    }
+
+    if (input.notify_buyers !== undefined) {
+      set['tracking_page.notify_buyers'] = Boolean(input.notify_buyers);
+    }
+
+    return { set, unset };
+  }
+
+  /**
+   * Update a seller's tracking page settings
+   * @returns {Promise<{success: boolean, code?: string, error?: string, data?: Object}>}
+   */
+  async updateSettings(userId, input) {
+    const parsed = this.parseSettings(input || {});
+    if (parsed.error) {
+      return { success: false, code: 'INVALID_SETTINGS', error: parsed.error };
+    }
+
+    const slug = parsed.set['tracking_page.slug'];
+    if (slug) {
+      const taken = await User.exists({ _id: { $ne: userId }, 'tracking_page.slug': slug });
+      if (taken) {
+        return { success: false, code: 'SLUG_TAKEN', error: 'This page address is already in use' };
+      }
+    }
+
+    const update = {};
+    if (Object.keys(parsed.set).length > 0) update.$set = parsed.set;
+    if (Object.keys(parsed.unset).length > 0) update.$unset = parsed.unset;
+
+    let user;
+    try {
+      user = Object.keys(update).length > 0
+        ? await User.findByIdAndUpdate(userId, update, { new: true }).select(BRANDING_FIELDS).lean()
+        : await User.findById(userId).select(BRANDING_FIELDS).lean();
+    } catch (error) {
+      // Lost a race with another seller for the same slug
+      if (error.code === 11000) {
+        return { success: false, code: 'SLUG_TAKEN', error: 'This page address is already in use' };
+      }
+      throw error;
+    }
+
+    if (!user) {
+      return { success: false, code: 'NOT_FOUND', error: 'User not found' };
+    }
+    return { success: true, data: this.getSettings(user) };
+  }
+
+  /**
+   * Timeline newest first, from carrier scans. Orders without scans yet fall
+   * back to their own status history.
+   */
+  async buildTimeline(order) {
+    const events = await ShipmentTrackingEvent.find({ waybill: order.delhivery_data.waybill })
+      .sort({ status_date_time: -1, createdAt: -1 })
+      .limit(MAX_TIMELINE_EVENTS)
+      .select('status status_type status_location status_date_time instructions')
+      .lean();
+
+    if (events.length > 0) {
+      return events.map(event => ({
+        status: event.status,
+        location: event.status_location || null,
+        description: event.instructions || null,
+        timestamp: event.status_date_time
+      }));
+    }
+
+    return (order.status_history || [])
+      .filter(entry => STATUS_LABELS[entry.status])
+      .map(entry => ({
+        status: STATUS_LABELS[entry.status],
+        location: entry.location || null,
+        description: null,
+        timestamp: entry.timestamp
+      }))
+      .reverse();
+  }
+
+  /**
+   * Estimated delivery: the carrier's promise when it gave one, otherwise the
+   * zone's usual transit time counted from pickup
+   * @returns {{date: Date, source: 'carrier'|'estimate'}|null}
+   */
+  estimateDelivery(order) {
+    if (!ESTIMATE_STATUSES.includes(order.status)) {
+      return null;
+    }
+
+    const carrierDate = order.delhivery_data?.expected_delivery_date;
+    if (carrierDate) {
+      return { date: carrierDate, source: 'carrier' };
+    }
+
+    const transitDays = courierRecommendationService.getDefaultTransitDays(order.shipping_mode, order.billing_info?.zone);
+    if (!transitDays) {
+      return null;
+    }
+
+    const pickup = (order.status_history || []).find(entry => entry.status === 'in_transit');
+    const start = new Date(pickup?.timestamp || order.delhivery_data?.pickup_date || order.order_date);
+    const date = new Date(start.getTime() + transitDays * DAY_MS);
+
+    // A missed estimate says nothing useful to the buyer
+    return date.getTime() < Date.now() ? null : { date, source: 'estimate' };
+  }
+
+  /**
+   * Branding for a seller's page, before the buyer enters an AWB
+   */
+  async getPage(slug) {
+    const seller = await this.findSeller(slug);
+    if (!seller) {
+      return { success: false, code: 'PAGE_NOT_FOUND', error: 'Tracking page not found' };
+    }
+    return { success: true, data: { brand: this.getBranding(seller) } };
+  }
+
+  /**
+   * Branding plus shipment progress for one of the seller's AWBs
+   */
+  async getTracking(slug, awb) {
+    const seller = await this.findSeller(slug);
+    if (!seller) {
+      return { success: false, code: 'PAGE_NOT_FOUND', error: 'Tracking page not found' };
+    }
+
+    const waybill = String(awb || '').trim();
+    const order = waybill
+      ? await Order.findOne({ user_id: seller._id, 'delhivery_data.waybill': waybill })
+        .select('order_id status status_history shipping_mode carrier order_date delivered_date delivery_address.city delivery_address.state delivery_address.pincode products.product_name products.quantity payment_info.payment_mode delhivery_data.waybill delhivery_data.expected_delivery_date delhivery_data.pickup_date billing_info.zone')
+        .lean()
+      : null;
+    if (!order) {
+      return {
+        success: false,
+        code: 'SHIPMENT_NOT_FOUND',
+        error: 'We could not find this AWB number. Please check it and try again.',
+        data: { brand: this.getBranding(seller) }
+      };
+    }
+
+    const estimate = this.estimateDelivery(order);
+
+    return {
+      success: true,
+      data: {
+        brand: this.getBranding(seller),
+        shipment: {
+          awb_number: waybill,
+          order_id: order.order_id,
+          courier: carriers.getCarrierForOrder(order).name,
+          status: order.status,
+          status_label: STATUS_LABELS[order.status] || order.status,
+          payment_mode: order.payment_info?.payment_mode || null,
+          destination: {
+            city: order.delivery_address?.city || null,
+            state: order.delivery_address?.state || null,
+            pincode: order.delivery_address?.pincode || null
+          },
+          products: (order.products || []).map(product => ({
+            name: product.product_name,
+            quantity: product.quantity
+          })),
+          order_date: order.order_date,
+          delivered_date: order.status === 'delivered' ? order.delivered_date || null : null,
+          estimated_delivery: estimate ? estimate.date : null,
+          estimate_source: estimate ? estimate.source : null,
+          timeline: await this.buildTimeline(order)
+        }
+      }
+    };
+  }
+
+  /**
+   * Send the buyer their branded tracking link, once per order.
+   * Called from the Order post-save hook when the shipment is picked up; never throws.
+   * @returns {Promise<{success: boolean, skipped?: boolean, channels?: Array, error?: string}>}
+   */
+  async sendTrackingLink(order) {
+    try {
+      const awb = order.delhivery_data?.waybill;
+      if (!awb || order.tracking_link_sent_at) {
+        return { success: false, skipped: true, error: 'No AWB or link already sent' };
+      }
+
+      const seller = await User.findById(order.user_id).select('company_name client_id tracking_page').lean();
+      if (!seller || seller.tracking_page?.notify_buyers === false) {
+        return { success: false, skipped: true, error: 'Seller has turned off tracking links' };
+      }
+
+      // Claim first so a second save cannot send the link twice
+      const claimed = await Order.updateOne(
+        { _id: order._id, tracking_link_sent_at: { $exists: false } },
+        { $set: { tracking_link_sent_at: new Date() } }
+      );
+      if (claimed.modifiedCount === 0) {
+        return { success: false, skipped: true, error: 'Link already sent' };
+      }
+
+      const link = this.getTrackingUrl(seller, awb);
+      const variables = {
+        customer_name: order.customer_info?.buyer_name || 'Customer',
+        order_id: order.order_id,
+        seller_name: seller.company_name,
+        link
+      };
+      const text = `Hi ${variables.customer_name}, your order ${variables.order_id} from ${variables.seller_name} has been shipped. ` +
+        `Track it here: ${link}`;
+
+      const provider = messaging.getProvider();
+      const phone = order.customer_info?.phone;
+      const email = order.customer_info?.email;
+      const results = [];
+
+      for (const channel of getEnabledChannels()) {
+        if (channel === 'email') {
+          if (!email) continue;
+          let result;
+          try {
+            result = await emailService.sendTrackingLinkEmail({
+              ...variables,
+              to: email,
+              awb_number: awb,
+              brand: this.getBranding(seller)
+            });
+          } catch (error) {
+            result = { success: false, message: error.message };
+          }
+          results.push({ channel, success: result.success, error: result.success ? undefined : result.message });
+          continue;
+        }
+
+        if (!phone || !provider.supportsChannel(channel)) continue;
+        const message = { to: phone, template: 'tracking_link', variables, text };
+        const result = channel === 'sms' ? await provider.sendSMS(message) : await provider.sendWhatsApp(message);
+        results.push({ channel, success: result.success, error: result.error });
+      }
+
+      const sent = results.some(result => result.success);
+      if (!sent) {
+        // Release the claim so a later pickup scan can try again
+        await Order.updateOne({ _id: order._id }, { $unset: { tracking_link_sent_at: '' } });
+      }
+
+      logger.info(sent ? '📨 Tracking link sent to buyer' : '⚠️ Tracking link not sent', {
+        orderId: order.order_id,
+        waybill: awb,
+        provider: provider.code,
+        channels: results
+      });
+
+      return sent
+        ? { success: true, channels: results }
+        : { success: false, error: 'No channel could reach the buyer', channels: results };
+    } catch (error) {
+      logger.error('❌ Tracking link failed', { orderId: order?.order_id, error: error.message, stack: error.stack });
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+module.exports = new TrackingPageService();
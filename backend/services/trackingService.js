@@ -2,7 +2,9 @@
 const cron = require('node-cron');
 const Order = require('../models/Order');
 const TrackingOrder = require('../models/TrackingOrder');
-const delhiveryService = require('./delhiveryService');
+const carriers = require('./carriers');
+const ndrRulesService = require('./ndrRulesService');
+const billingCycleService = require('./billingCycleService');
 const logger = require('../utils/logger');
 
 class TrackingService {
@@ -137,8 +139,9 @@ class TrackingService {
                 currentStatus: trackingOrder.current_status
             });
 
-            // Track with Delhivery API
-            const trackingResult = await delhiveryService.trackShipment(awbNumber, trackingOrder.reference_id || '');
+            // Track with the carrier that owns the shipment
+            const carrier = carriers.getCarrier(trackingOrder.carrier || 'DELHIVERY');
+            const trackingResult = await carrier.trackShipment(awbNumber, trackingOrder.reference_id || '');
             
             if (trackingResult.success && trackingResult.data) {
                 const apiResponse = trackingResult.data;
@@ -190,7 +193,7 @@ class TrackingService {
                                 rawApiStatus: statusValue
                             });
                             
-                            const mappedStatus = this.mapDelhiveryStatus(statusValue);
+                            const mappedStatus = this.mapCarrierStatus(carrier, statusValue);
                             
                             // Log mapping result
                             if (mappedStatus) {
@@ -241,7 +244,8 @@ class TrackingService {
                                     status_date_time: statusObj.StatusDateTime || extractedStatus.statusDateTime || new Date(),
                                     awb_number: awbNumber, // Pass AWB for fallback lookup
                                     raw_api_status: statusValue, // Pass RAW status from Delhivery API for logging
-                                    api_status: extractedStatus.apiStatus // Also pass extracted API status
+                                    api_status: extractedStatus.apiStatus, // Also pass extracted API status
+                                    instructions: statusObj.Instructions
                                 });
                                 
                                 if (updateResult) {
@@ -517,12 +521,13 @@ class TrackingService {
                 currentStatus: order.status
             });
 
-            const trackingResult = await delhiveryService.trackShipment(waybill);
+            const carrier = carriers.getCarrierForOrder(order);
+            const trackingResult = await carrier.trackShipment(waybill);
             
             if (trackingResult.success && trackingResult.data) {
                 const trackingData = trackingResult.data;
                 const extractedStatus = this.extractStatusFromResponse(trackingData);
-                const newStatus = this.mapDelhiveryStatus(extractedStatus.apiStatus);
+                const newStatus = this.mapCarrierStatus(carrier, extractedStatus.apiStatus);
                 const oldStatus = order.status;
                 
                 if (newStatus && newStatus !== oldStatus) {
@@ -678,6 +683,17 @@ class TrackingService {
         };
     }
 
+    /**
+     * Map a carrier status to internal status.
+     * Delhivery keeps the tolerant mapping below; other carriers own their tables.
+     */
+    mapCarrierStatus(carrier, carrierStatus) {
+        if (!carrier || carrier.code === 'DELHIVERY') {
+            return this.mapDelhiveryStatus(carrierStatus);
+        }
+        return carrier.mapStatus(carrierStatus);
+    }
+
     /**
      * Map Delhivery status to internal status
      * Based on actual API response structure from tracking test results
@@ -950,6 +966,19 @@ class TrackingService {
                         isFallback: isFallback
                     });
                 }
+
+                // Polling found a new NDR the webhook didn't report
+                if (status === 'ndr' && oldStatus !== 'ndr') {
+                    await ndrRulesService.recordNDREvent(order._id, {
+                        remarks: additionalData.instructions || rawApiStatus,
+                        location: additionalData.status_location
+                    });
+                }
+
+                // Bill the return (never throws, charged once per order)
+                if (status === 'rto' && oldStatus !== 'rto') {
+                    await billingCycleService.recordRTOCharge(order._id);
+                }
                 
                 return true;
             } else {
@@ -0,0 +1,509 @@
+// Location: backend/services/walletLedgerService.js
+const cron = require('node-cron');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+const LedgerEntry = require('../models/LedgerEntry');
+const WalletReconciliation = require('../models/WalletReconciliation');
+const logger = require('../utils/logger');
+
+// Differences below one paisa are rounding noise, not drift
+const DRIFT_TOLERANCE = 0.01;
+const MAX_STORED_DRIFTS = 1000;
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const generateTransactionId = (type) =>
+  `${type === 'credit' ? 'CR' : 'DR'}${Date.now()}${Math.floor(Math.random() * 1000000).toString().padStart(6, '0')}`;
+
+// Standalone mongod has no multi-document transactions
+const isTransactionUnsupported = (error) =>
+  error && (error.code === 20 || /Transaction numbers are only allowed/i.test(error.message || ''));
+
+/**
+ * Platform-side account for a wallet movement. The other side of every
+ * entry is always the seller wallet (wallet:<userId>).
+ */
+const counterAccountFor = (transaction) => {
+  switch (transaction.transaction_category) {
+    case 'wallet_recharge':
+      return `gateway:${transaction.payment_info?.payment_gateway || 'manual'}`;
+    case 'shipping_charge':
+    case 'refund':
+    case 'shipment_cancellation_refund':
+      return 'revenue:shipping';
+    case 'weight_discrepancy_charge':
+    case 'weight_discrepancy_refund':
+      return 'revenue:weight_discrepancy';
+    case 'rto_charge':
+      return 'revenue:rto';
+    case 'manual_adjustment':
+    case 'adjustment':
+      return 'adjustments:manual';
+    case 'cod_remittance':
+      return 'payable:cod';
+    case 'early_cod_fee':
+      return 'revenue:early_cod';
+    case 'cod_payout':
+      return 'payable:bank_payouts';
+    case 'invoice_payment':
+      return 'receivable:invoices';
+    case 'credit_note':
+    case 'debit_note':
+      return 'revenue:invoice_notes';
+    default:
+      return `other:${transaction.transaction_category}`;
+  }
+};
+
+/**
+ * Wallet Ledger Service
+ * The only writer of User.wallet_balance. Every movement is one atomic unit:
+ * the balance update, a completed Transaction with balance_info, and a
+ * balanced LedgerEntry. Debits that would take the balance below
+ * -credit_limit are rejected. A nightly job recomputes every balance from
+ * completed Transactions and records any drift in WalletReconciliation.
+ */
+class WalletLedgerService {
+  constructor() {
+    this.reconciliationJob = null;
+    this.isRunning = false;
+    this.isReconciling = false;
+    this.transactionsSupported = true;
+  }
+
+  /**
+   * Run work(session) inside a MongoDB transaction. Falls back to running
+   * without a session (single-document atomicity only) on a standalone
+   * server, which is what local development usually uses.
+   */
+  async runAtomic(work) {
+    if (this.transactionsSupported) {
+      const session = await mongoose.startSession();
+      try {
+        let result;
+        await session.withTransaction(async () => {
+          result = await work(session);
+        });
+        return result;
+      } catch (error) {
+        if (!isTransactionUnsupported(error)) throw error;
+        this.transactionsSupported = false;
+        logger.warn('⚠️ MongoDB transactions unavailable, wallet ledger running without multi-document atomicity');
+      } finally {
+        await session.endSession();
+      }
+    }
+    return work(null);
+  }
+
+  /**
+   * Atomically move amount in or out of the wallet. Debits only match when
+   * wallet_balance + credit_limit covers the amount.
+   * @returns {Promise<{opening_balance: number, closing_balance: number}|null>} null when rejected
+   */
+  async applyBalanceChange(userId, type, amount, session) {
+    const delta = type === 'credit' ? amount : -amount;
+    const filter = { _id: userId };
+    if (type === 'debit') {
+      filter.$expr = {
+        $gte: [
+          { $add: [{ $ifNull: ['$wallet_balance', 0] }, { $ifNull: ['$credit_limit', 0] }] },
+          amount
+        ]
+      };
+    }
+
+    const updated = await User.findOneAndUpdate(filter, [
+      {
+        $set: {
+          wallet_balance: { $round: [{ $add: [{ $ifNull: ['$wallet_balance', 0] }, delta] }, 2] },
+          updated_at: '$$NOW'
+        }
+      }
+    ], { new: true, session, projection: { wallet_balance: 1 } });
+
+    if (!updated) return null;
+
+    const closingBalance = round2(updated.wallet_balance);
+    return { opening_balance: round2(closingBalance - delta), closing_balance: closingBalance };
+  }
+
+  async rejectionFor(userId, amount) {
+    const user = await User.findById(userId).select('wallet_balance credit_limit');
+    if (!user) {
+      return { success: false, code: 'USER_NOT_FOUND', error: 'User not found' };
+    }
+    const available = round2((user.wallet_balance || 0) + (user.credit_limit || 0));
+    return {
+      success: false,
+      code: 'INSUFFICIENT_BALANCE',
+      error: `Insufficient wallet balance. Required: ₹${amount}, Available: ₹${available}`,
+      available_balance: available
+    };
+  }
+
+  async writeLedgerEntry(transaction, closingBalance, postedBy, session) {
+    const walletAccount = `wallet:${transaction.user_id}`;
+    const counterAccount = counterAccountFor(transaction);
+    const amount = round2(transaction.amount);
+    // A wallet credit is money the platform owes the seller: debit the
+    // funding account, credit the wallet. Debits are the reverse.
+    const lines = transaction.transaction_type === 'credit'
+      ? [{ account: counterAccount, debit: amount, credit: 0 }, { account: walletAccount, debit: 0, credit: amount }]
+      : [{ account: walletAccount, debit: amount, credit: 0 }, { account: counterAccount, debit: 0, credit: amount }];
+
+    const [entry] = await LedgerEntry.create([{
+      transaction_id: transaction._id,
+      user_id: transaction.user_id,
+      category: transaction.transaction_category,
+      lines,
+      wallet_balance_after: closingBalance,
+      posted_by: postedBy || 'system'
+    }], { session });
+    return entry;
+  }
+
+  /**
+   * Post a completed credit or debit.
+   * @param {Object} params
+   * @param {String} params.userId
+   * @param {'credit'|'debit'} params.type
+   * @param {Number} params.amount - positive rupees
+   * @param {String} params.category - Transaction.transaction_category
+   * @param {String} params.description
+   * @param {Object} [params.fields] - extra Transaction fields (transaction_id, order_info, payment_info, ...)
+   * @param {String} [params.postedBy] - email or 'system', stored on Transaction.created_by and the ledger entry
+   * @param {String} [params.idempotencyKey] - used as the transaction_id; a second post with the same key
+   *   returns the first transaction with already_posted and moves no money
+   * @returns {Promise<Object>} { success, transaction, opening_balance, closing_balance } or
+   *   { success: false, code: 'INVALID_AMOUNT'|'INSUFFICIENT_BALANCE'|'USER_NOT_FOUND', error }
+   */
+  async post({ userId, type, amount, category, description, fields = {}, postedBy = 'system', idempotencyKey }) {
+    const value = round2(amount);
+    if (!(value > 0) || !['credit', 'debit'].includes(type)) {
+      return { success: false, code: 'INVALID_AMOUNT', error: 'Amount must be a positive number' };
+    }
+
+    if (idempotencyKey) {
+      const existing = await this.findPosted(idempotencyKey);
+      if (existing) return existing;
+    }
+
+    const work = async (session) => {
+      const balances = await this.applyBalanceChange(userId, type, value, session);
+      if (!balances) return null;
+
+      try {
+        const [transaction] = await Transaction.create([{
+          transaction_id: generateTransactionId(type),
+          created_by: postedBy,
+          ...fields,
+          ...(idempotencyKey ? { transaction_id: idempotencyKey } : {}),
+          user_id: userId,
+          transaction_type: type,
+          transaction_category: category,
+          amount: value,
+          description,
+          status: 'completed',
+          transaction_date: fields.transaction_date || new Date(),
+          balance_info: balances
+        }], { session });
+
+        await this.writeLedgerEntry(transaction, balances.closing_balance, postedBy, session);
+        return { transaction, ...balances };
+      } catch (error) {
+        if (!session) await this.revertBalanceChange(userId, type, value);
+        throw error;
+      }
+    };
+
+    let result;
+    try {
+      result = await this.runAtomic(work);
+    } catch (error) {
+      // Lost a race with another post under the same key
+      if (idempotencyKey && error.code === 11000) {
+        const existing = await this.findPosted(idempotencyKey);
+        if (existing) return existing;
+      }
+      throw error;
+    }
+    if (!result) return this.rejectionFor(userId, value);
+
+    logger.info(`📒 Wallet ${type} posted`, {
+      userId: String(userId),
+      transactionId: result.transaction.transaction_id,
+      category,
+      amount: value,
+      openingBalance: result.opening_balance,
+      closingBalance: result.closing_balance
+    });
+
+    return { success: true, ...result };
+  }
+
+  async findPosted(idempotencyKey) {
+    const transaction = await Transaction.findOne({ transaction_id: idempotencyKey });
+    if (!transaction) return null;
+    return {
+      success: true,
+      already_posted: true,
+      transaction,
+      opening_balance: transaction.balance_info?.opening_balance,
+      closing_balance: transaction.balance_info?.closing_balance
+    };
+  }
+
+  credit(params) {
+    return this.post({ ...params, type: 'credit' });
+  }
+
+  debit(params) {
+    return this.post({ ...params, type: 'debit' });
+  }
+
+  /**
+   * Complete a pending gateway top-up and credit the wallet exactly once.
+   * Safe to call from the return URL, the webhook and status sync at the
+   * same time: only the caller that flips the status applies the credit.
+   * Gateway details already set on transaction.payment_info are saved with it.
+   * @param {Object} transaction - pending Transaction document (refreshed in place)
+   * @param {Object} [options]
+   * @param {String} [options.postedBy]
+   * @returns {Promise<Object>} { success, already_settled, opening_balance, closing_balance }
+   */
+  async settlePending(transaction, { postedBy = 'system' } = {}) {
+    const paymentInfo = transaction.toObject({ depopulate: true }).payment_info || {};
+
+    const work = async (session) => {
+      const claimed = await Transaction.findOneAndUpdate(
+        { _id: transaction._id, status: { $ne: 'completed' } },
+        { $set: { status: 'completed', updated_at: new Date() } },
+        { new: true, session }
+      );
+      if (!claimed) return null;
+
+      const balances = await this.applyBalanceChange(claimed.user_id, 'credit', round2(claimed.amount), session);
+      if (!balances) {
+        throw new Error('User not found for wallet credit');
+      }
+
+      try {
+        claimed.balance_info = balances;
+        claimed.transaction_date = new Date();
+        claimed.payment_info = {
+          ...paymentInfo,
+          payment_status: 'completed',
+          payment_date: paymentInfo.payment_date || new Date()
+        };
+        await claimed.save({ session });
+        await this.writeLedgerEntry(claimed, balances.closing_balance, postedBy, session);
+      } catch (error) {
+        if (!session) {
+          await this.revertBalanceChange(claimed.user_id, 'credit', round2(claimed.amount));
+          await Transaction.updateOne({ _id: claimed._id }, { $set: { status: transaction.status } });
+        }
+        throw error;
+      }
+      return { claimed, ...balances };
+    };
+
+    const result = await this.runAtomic(work);
+    if (!result) {
+      const current = await Transaction.findById(transaction._id);
+      if (current) transaction.set(current.toObject());
+      return {
+        success: true,
+        already_settled: true,
+        opening_balance: current?.balance_info?.opening_balance,
+        closing_balance: current?.balance_info?.closing_balance
+      };
+    }
+
+    transaction.set(result.claimed.toObject());
+    logger.info('📒 Pending wallet top-up settled', {
+      userId: String(result.claimed.user_id),
+      transactionId: result.claimed.transaction_id,
+      amount: result.claimed.amount,
+      openingBalance: result.opening_balance,
+      closingBalance: result.closing_balance
+    });
+
+    return {
+      success: true,
+      already_settled: false,
+      opening_balance: result.opening_balance,
+      closing_balance: result.closing_balance
+    };
+  }
+
+  // Compensation for the no-transaction fallback when the Transaction or ledger write fails
+  async revertBalanceChange(userId, type, amount) {
+    const delta = type === 'credit' ? -amount : amount;
+    try {
+      await User.updateOne({ _id: userId }, [
+        { $set: { wallet_balance: { $round: [{ $add: [{ $ifNull: ['$wallet_balance', 0] }, delta] }, 2] } } }
+      ]);
+    } catch (error) {
+      logger.error('❌ Failed to revert wallet balance after ledger write error', {
+        userId: String(userId),
+        type,
+        amount,
+        error: error.message
+      });
+    }
+  }
+
+  async getAvailableBalance(userId) {
+    const user = await User.findById(userId).select('wallet_balance credit_limit');
+    if (!user) return null;
+    return {
+      wallet_balance: round2(user.wallet_balance),
+      credit_limit: round2(user.credit_limit),
+      available_balance: round2((user.wallet_balance || 0) + (user.credit_limit || 0))
+    };
+  }
+
+  /**
+   * Recompute every wallet from completed Transactions and compare it with
+   * User.wallet_balance. Also checks that the ledger as a whole balances.
+   * @param {Object} [options]
+   * @param {'scheduled'|'manual'} [options.trigger]
+   * @param {String} [options.triggeredBy]
+   * @returns {Promise<Object>} the saved WalletReconciliation run
+   */
+  async reconcile({ trigger = 'scheduled', triggeredBy = 'system' } = {}) {
+    const run = await WalletReconciliation.create({
+      trigger,
+      triggered_by: triggeredBy,
+      started_at: new Date(),
+      status: 'running'
+    });
+
+    try {
+      const totals = await Transaction.aggregate([
+        { $match: { status: 'completed' } },
+        {
+          $group: {
+            _id: '$user_id',
+            credits: { $sum: { $cond: [{ $eq: ['$transaction_type', 'credit'] }, '$amount', 0] } },
+            debits: { $sum: { $cond: [{ $eq: ['$transaction_type', 'debit'] }, '$amount', 0] } },
+            transaction_count: { $sum: 1 }
+          }
+        }
+      ]);
+      const expectedByUser = new Map(totals.map(row => [String(row._id), row]));
+
+      const drifts = [];
+      let usersChecked = 0;
+      let totalDrift = 0;
+
+      const cursor = User.find({}).select('client_id company_name email wallet_balance').lean().cursor();
+      for await (const user of cursor) {
+        usersChecked++;
+        const history = expectedByUser.get(String(user._id));
+        const expected = history ? round2(history.credits - history.debits) : 0;
+        const actual = round2(user.wallet_balance);
+        const difference = round2(actual - expected);
+
+        if (Math.abs(difference) >= DRIFT_TOLERANCE) {
+          totalDrift = round2(totalDrift + Math.abs(difference));
+          if (drifts.length < MAX_STORED_DRIFTS) {
+            drifts.push({
+              user_id: user._id,
+              client_id: user.client_id,
+              company_name: user.company_name,
+              email: user.email,
+              wallet_balance: actual,
+              expected_balance: expected,
+              difference,
+              transaction_count: history?.transaction_count || 0
+            });
+          }
+        }
+      }
+
+      const [trialBalance] = await LedgerEntry.aggregate([
+        { $unwind: '$lines' },
+        { $group: { _id: null, debits: { $sum: '$lines.debit' }, credits: { $sum: '$lines.credit' } } }
+      ]);
+      const entryCount = await LedgerEntry.countDocuments();
+
+      run.set({
+        status: 'completed',
+        finished_at: new Date(),
+        users_checked: usersChecked,
+        drift_count: drifts.length,
+        total_drift: totalDrift,
+        drifts,
+        ledger: {
+          entry_count: entryCount,
+          total_debits: round2(trialBalance?.debits),
+          total_credits: round2(trialBalance?.credits),
+          balanced: round2(trialBalance?.debits) === round2(trialBalance?.credits)
+        }
+      });
+      await run.save();
+
+      if (drifts.length > 0 || !run.ledger.balanced) {
+        logger.warn('⚠️ Wallet reconciliation found drift', {
+          runId: String(run._id),
+          usersChecked,
+          driftCount: drifts.length,
+          totalDrift,
+          ledgerBalanced: run.ledger.balanced
+        });
+      } else {
+        logger.info('✅ Wallet reconciliation clean', { runId: String(run._id), usersChecked });
+      }
+
+      return run;
+    } catch (error) {
+      run.set({ status: 'failed', finished_at: new Date(), error: error.message });
+      await run.save();
+      logger.error('❌ Wallet reconciliation failed', { runId: String(run._id), error: error.message });
+      return run;
+    }
+  }
+
+  startReconciliationScheduler() {
+    if (this.isRunning) {
+      logger.warn('⚠️ Wallet reconciliation scheduler already running');
+      return;
+    }
+
+    // '30 2 * * *' = every night at 02:30 IST
+    this.reconciliationJob = cron.schedule('30 2 * * *', async () => {
+      if (this.isReconciling) {
+        logger.warn('⚠️ Wallet reconciliation already in progress, skipping this execution');
+        return;
+      }
+
+      this.isReconciling = true;
+      try {
+        await this.reconcile({ trigger: 'scheduled' });
+      } catch (error) {
+        logger.error('❌ Error in scheduled wallet reconciliation:', error);
+      } finally {
+        this.isReconciling = false;
+      }
+    }, {
+      scheduled: true,
+      timezone: 'Asia/Kolkata'
+    });
+
+    this.isRunning = true;
+    logger.info('✅ Wallet reconciliation scheduler started');
+  }
+
+  stopReconciliationScheduler() {
+    if (this.reconciliationJob) {
+      this.reconciliationJob.destroy();
+      this.isRunning = false;
+    }
+  }
+}
+
+module.exports = new WalletLedgerService();
+module.exports.counterAccountFor = counterAccountFor;
@@ -6,6 +6,8 @@ const ShipmentTrackingEvent = require('../models/ShipmentTrackingEvent');
 const ShipmentDocument = require('../models/ShipmentDocument');
 const logger = require('../utils/logger');
 const websocketService = require('./websocketService');
+const ndrRulesService = require('./ndrRulesService');
+const billingCycleService = require('./billingCycleService');
 
 class WebhookService {
   /**
@@ -238,6 +240,9 @@ class WebhookService {
       // Use transaction for data consistency
       const session = await mongoose.startSession();
       let result;
+      // Set when this scan moved the order into NDR; handled after the commit
+      let ndrEvent = null;
+      let rtoOrderId = null;
       
       try {
         await session.withTransaction(async () => {
@@ -314,6 +319,20 @@ class WebhookService {
                 newStatus: mappedStatus
               });
 
+              if (mappedStatus === 'rto') {
+                rtoOrderId = order._id;
+              }
+
+              if (mappedStatus === 'ndr') {
+                ndrEvent = {
+                  orderId: order._id,
+                  nslCode: shipment.NSLCode || '',
+                  remarks: statusData?.Instructions || statusData?.Status,
+                  location: statusData?.StatusLocation || '',
+                  eventDate: statusData?.StatusDateTime ? new Date(statusData.StatusDateTime) : new Date()
+                };
+              }
+
               // Link tracking event to order
               trackingEvent.order_ref = order._id;
               await trackingEvent.save({ session });
@@ -415,6 +434,17 @@ class WebhookService {
         await session.endSession();
       }
 
+      // Record the NDR and run the seller's NDR rules (never throws)
+      if (ndrEvent) {
+        const { orderId, ...scan } = ndrEvent;
+        await ndrRulesService.recordNDREvent(orderId, scan);
+      }
+
+      // Bill the return once the status change is committed (never throws)
+      if (rtoOrderId) {
+        await billingCycleService.recordRTOCharge(rtoOrderId);
+      }
+
       const duration = Date.now() - startTime;
       
       logger.info('✅ Scan push webhook processed successfully', {
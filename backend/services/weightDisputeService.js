@@ -0,0 +1,466 @@
+// Location: backend/services/weightDisputeService.js
+const cron = require('node-cron');
+const WeightDiscrepancy = require('../models/WeightDiscrepancy');
+const Order = require('../models/Order');
+const BillingCycle = require('../models/BillingCycle');
+const InvoiceNote = require('../models/InvoiceNote');
+const walletLedgerService = require('./walletLedgerService');
+const invoiceNoteService = require('./invoiceNoteService');
+const cloudinaryService = require('./cloudinaryService');
+const sellerWebhookService = require('./sellerWebhookService');
+const websocketService = require('./websocketService');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_WINDOW_DAYS = 7;
+const EVIDENCE_FOLDER = 'shipsarthi/weight-disputes';
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const getWindowDays = () => {
+  const value = parseInt(process.env.WEIGHT_DISPUTE_WINDOW_DAYS, 10);
+  return Number.isNaN(value) || value < 1 ? DEFAULT_WINDOW_DAYS : value;
+};
+
+const positiveNumber = (value) => {
+  const number = parseFloat(value);
+  return Number.isNaN(number) || number <= 0 ? undefined : number;
+};
+
+/**
+ * Weight Dispute Service
+ * Sellers can dispute a weight discrepancy charge within the dispute window
+ * (WEIGHT_DISPUTE_WINDOW_DAYS, 7 by default) by sending their own weight and
+ * dimensions with photos. Finance accepts or rejects the dispute.
+ *
+ * Accepting reverses the charge the same way it was collected:
+ * - wallet debit: a weight_discrepancy_refund credit to the wallet
+ * - charge still on an open billing cycle: the late charge is reduced or removed
+ * - charge already invoiced: a credit note against that invoice
+ *
+ * Discrepancies that are not disputed in time are closed by the scheduler.
+ */
+class WeightDisputeService {
+  constructor() {
+    this.closeJob = null;
+    this.isRunning = false;
+  }
+
+  getWindowDays() {
+    return getWindowDays();
+  }
+
+  getDeadline(from) {
+    return new Date(new Date(from).getTime() + getWindowDays() * DAY_MS);
+  }
+
+  /**
+   * Last moment a dispute can be raised. Discrepancies imported before disputes
+   * existed have no deadline and use their import time.
+   */
+  deadlineFor(discrepancy) {
+    return discrepancy.dispute_deadline || this.getDeadline(discrepancy.createdAt || discrepancy.discrepancy_date);
+  }
+
+  canDispute(discrepancy, now = new Date()) {
+    const status = discrepancy.dispute_status || 'not_raised';
+    return status === 'not_raised' && discrepancy.deduction_amount > 0 && this.deadlineFor(discrepancy) > now;
+  }
+
+  /**
+   * Raise a dispute
+   * @param {string} discrepancyId
+   * @param {Object} user - Seller raising it
+   * @param {Object} data - { comment, actual_weight, length, width, height }
+   * @param {Object} files - { weight: file, dimensions: file, product: [file] } (multer files)
+   * @returns {Promise<Object>} { success, discrepancy } or { success: false, code, error }
+   */
+  async raiseDispute(discrepancyId, user, data = {}, files = {}) {
+    const discrepancy = await WeightDiscrepancy.findOne({ _id: discrepancyId, client_id: user._id });
+    if (!discrepancy) {
+      return { success: false, code: 'NOT_FOUND', error: 'Weight discrepancy not found' };
+    }
+
+    const status = discrepancy.dispute_status || 'not_raised';
+    if (status !== 'not_raised') {
+      return { success: false, code: 'ALREADY_RAISED', error: `This discrepancy is already ${status === 'open' ? 'under dispute' : status}` };
+    }
+    if (!(discrepancy.deduction_amount > 0)) {
+      return { success: false, code: 'NOTHING_CHARGED', error: 'Nothing was charged for this discrepancy' };
+    }
+    if (this.deadlineFor(discrepancy) <= new Date()) {
+      return { success: false, code: 'WINDOW_CLOSED', error: `Disputes must be raised within ${getWindowDays()} days` };
+    }
+
+    const comment = (data.comment || '').trim();
+    const actualWeight = positiveNumber(data.actual_weight);
+    if (!comment) {
+      return { success: false, code: 'COMMENT_REQUIRED', error: 'Describe why the charge is wrong' };
+    }
+    if (!actualWeight) {
+      return { success: false, code: 'WEIGHT_REQUIRED', error: 'Enter the weight of the package in grams' };
+    }
+
+    // The order's own package photos count as evidence; new uploads take their place
+    const order = discrepancy.order_id ? await Order.findById(discrepancy.order_id) : null;
+    const packageInfo = order?.package_info || {};
+    if (!files.weight && !packageInfo.weight_photo_url) {
+      return { success: false, code: 'EVIDENCE_REQUIRED', error: 'Upload a photo of the package on the weighing scale' };
+    }
+    if (!files.dimensions && !packageInfo.dimensions_photo_url) {
+      return { success: false, code: 'EVIDENCE_REQUIRED', error: 'Upload a photo showing the package dimensions' };
+    }
+
+    const evidence = [];
+    const uploads = [
+      ['weight', files.weight],
+      ['dimensions', files.dimensions],
+      ...(files.product || []).map(file => ['product', file])
+    ].filter(([, file]) => file);
+
+    for (const [kind, file] of uploads) {
+      const uploaded = await cloudinaryService.uploadFile(file.buffer, {
+        folder: EVIDENCE_FOLDER,
+        mimetype: file.mimetype
+      });
+      evidence.push({ kind, url: uploaded.url, public_id: uploaded.public_id });
+    }
+    if (!files.weight) {
+      evidence.unshift({ kind: 'weight', url: packageInfo.weight_photo_url, from_order: true });
+    }
+    if (!files.dimensions) {
+      evidence.unshift({ kind: 'dimensions', url: packageInfo.dimensions_photo_url, from_order: true });
+    }
+
+    const dimensions = {
+      length: positiveNumber(data.length),
+      width: positiveNumber(data.width),
+      height: positiveNumber(data.height)
+    };
+
+    const updated = await WeightDiscrepancy.findOneAndUpdate(
+      { _id: discrepancy._id, dispute_status: { $in: ['not_raised', null] } },
+      {
+        $set: {
+          dispute_status: 'open',
+          dispute: {
+            raised_at: new Date(),
+            raised_by: user.email,
+            comment,
+            actual_weight: actualWeight,
+            dimensions,
+            evidence
+          }
+        }
+      },
+      { new: true }
+    );
+    if (!updated) {
+      return { success: false, code: 'ALREADY_RAISED', error: 'This discrepancy is already under dispute' };
+    }
+
+    // Keep the photos on the order too, where the rest of the app looks for them
+    if (order && (files.weight || files.dimensions)) {
+      const photoUpdates = {};
+      const photo = (kind) => evidence.find(item => item.kind === kind && !item.from_order)?.url;
+      if (files.weight && !packageInfo.weight_photo_url) {
+        photoUpdates['package_info.weight_photo_url'] = photo('weight');
+      }
+      if (files.dimensions && !packageInfo.dimensions_photo_url) {
+        photoUpdates['package_info.dimensions_photo_url'] = photo('dimensions');
+      }
+      if (Object.keys(photoUpdates).length > 0) {
+        await Order.updateOne({ _id: order._id }, { $set: photoUpdates });
+      }
+    }
+
+    logger.info('⚖️ Weight dispute raised', {
+      discrepancyId: String(updated._id),
+      awb: updated.awb_number,
+      userId: String(user._id),
+      actualWeight,
+      evidence: evidence.length
+    });
+    return { success: true, discrepancy: updated };
+  }
+
+  /**
+   * Accept an open dispute and reverse the charge
+   * @param {string} discrepancyId
+   * @param {Object} options
+   * @param {string} [options.comment]
+   * @param {number} [options.refundAmount] - Defaults to the full deduction
+   * @param {string} options.by
+   * @returns {Promise<Object>} { success, discrepancy, refund } or { success: false, code, error }
+   */
+  async acceptDispute(discrepancyId, { comment, refundAmount, by = 'system' } = {}) {
+    const existing = await WeightDiscrepancy.findById(discrepancyId);
+    if (!existing) {
+      return { success: false, code: 'NOT_FOUND', error: 'Weight discrepancy not found' };
+    }
+
+    const amount = refundAmount === undefined || refundAmount === null || refundAmount === ''
+      ? round2(existing.deduction_amount)
+      : round2(refundAmount);
+    if (amount <= 0 || amount > round2(existing.deduction_amount)) {
+      return {
+        success: false,
+        code: 'INVALID_AMOUNT',
+        error: `Refund must be more than 0 and at most ₹${round2(existing.deduction_amount)}`
+      };
+    }
+
+    // Claim the dispute first so two reviewers cannot refund it twice
+    const discrepancy = await WeightDiscrepancy.findOneAndUpdate(
+      { _id: existing._id, dispute_status: 'open' },
+      {
+        $set: {
+          dispute_status: 'accepted',
+          'dispute.reviewed_at': new Date(),
+          'dispute.reviewed_by': by,
+          'dispute.admin_comment': comment
+        }
+      },
+      { new: true }
+    );
+    if (!discrepancy) {
+      return { success: false, code: 'NOT_OPEN', error: 'Only open disputes can be accepted' };
+    }
+
+    let refund;
+    try {
+      refund = await this.reverseCharge(discrepancy, amount, by);
+    } catch (error) {
+      refund = { success: false, code: 'REFUND_FAILED', error: error.message };
+    }
+
+    if (!refund.success) {
+      await WeightDiscrepancy.updateOne(
+        { _id: discrepancy._id },
+        { $set: { dispute_status: 'open' }, $unset: { 'dispute.reviewed_at': '', 'dispute.reviewed_by': '', 'dispute.admin_comment': '' } }
+      );
+      logger.error('❌ Weight dispute refund failed', { discrepancyId: String(discrepancy._id), code: refund.code, error: refund.error });
+      return refund;
+    }
+
+    discrepancy.dispute.refund_amount = refund.method === 'none' ? 0 : amount;
+    discrepancy.dispute.refund_method = refund.method;
+    discrepancy.dispute.refund_transaction_id = refund.transaction?._id;
+    discrepancy.dispute.credit_note_number = refund.note?.note_number;
+    await discrepancy.save();
+
+    logger.info('✅ Weight dispute accepted', {
+      discrepancyId: String(discrepancy._id),
+      awb: discrepancy.awb_number,
+      method: refund.method,
+      amount: discrepancy.dispute.refund_amount,
+      by
+    });
+    this.notifyResolved(discrepancy);
+    return { success: true, discrepancy, refund };
+  }
+
+  /**
+   * Reverse `amount` of the charge where it was collected. Never posts twice:
+   * the wallet credit is only made by the caller that claimed the dispute.
+   */
+  async reverseCharge(discrepancy, amount, by) {
+    const sourceRef = `weight_discrepancy:${discrepancy._id}`;
+    const description = `Weight dispute accepted for AWB: ${discrepancy.awb_number}`;
+    let transaction = null;
+
+    if (discrepancy.transaction_id) {
+      const order = discrepancy.order_id ? await Order.findById(discrepancy.order_id).select('order_id order_date') : null;
+      const credit = await walletLedgerService.credit({
+        userId: discrepancy.client_id,
+        amount,
+        category: 'weight_discrepancy_refund',
+        description: `${description}. Refund of weight discrepancy charge`,
+        fields: {
+          related_order_id: discrepancy.order_id,
+          related_awb: discrepancy.awb_number,
+          order_info: order ? {
+            order_id: order.order_id,
+            awb_number: discrepancy.awb_number,
+            order_date: order.order_date
+          } : undefined
+        },
+        postedBy: by
+      });
+      if (!credit.success) {
+        return credit;
+      }
+      transaction = credit.transaction;
+    }
+
+    const settledFromWallet = Boolean(transaction);
+
+    // Still on a billing cycle that has not been invoiced: change the late charge
+    const cycle = await BillingCycle.findOne({ user_id: discrepancy.client_id, 'late_charges.source_ref': sourceRef });
+    if (cycle && !cycle.invoice_id && ['open', 'closed'].includes(cycle.status)) {
+      const charge = cycle.late_charges.find(item => item.source_ref === sourceRef);
+      if (amount >= charge.amount) {
+        cycle.late_charges.pull(charge._id);
+      } else {
+        charge.amount = round2(charge.amount - amount);
+      }
+      await cycle.save();
+      return { success: true, method: settledFromWallet ? 'wallet' : 'billing_cycle', transaction, cycle };
+    }
+
+    // Already invoiced, on the cycle's invoice or on a debit note
+    let invoiceId = cycle?.invoice_id;
+    if (!invoiceId) {
+      const debitNote = await InvoiceNote.findOne({
+        user_id: discrepancy.client_id,
+        note_type: 'debit_note',
+        source_ref: sourceRef
+      }).select('invoice_id');
+      invoiceId = debitNote?.invoice_id;
+    }
+
+    if (invoiceId) {
+      const noteData = {
+        noteType: 'credit_note',
+        reasonCode: 'weight_discrepancy_reversed',
+        reason: description,
+        lineItems: [{ description, awb_number: discrepancy.awb_number, amount }],
+        settlement: settledFromWallet ? 'none' : 'invoice',
+        transactionId: transaction?._id,
+        sourceRef: `weight_dispute:${discrepancy._id}`,
+        issuedBy: by
+      };
+      let result = await invoiceNoteService.issueNote(invoiceId, noteData);
+      // A paid invoice has nothing left to reduce: refund through the wallet instead
+      if (!result.success && result.code === 'EXCEEDS_BALANCE') {
+        result = await invoiceNoteService.issueNote(invoiceId, { ...noteData, settlement: 'wallet' });
+      }
+
+      if (!result.success) {
+        if (settledFromWallet) {
+          // The money is back with the seller; only the paperwork is missing
+          logger.warn('⚠️ Weight dispute credit note not issued', { discrepancyId: String(discrepancy._id), code: result.code, error: result.error });
+          return { success: true, method: 'wallet', transaction };
+        }
+        return result;
+      }
+      return { success: true, method: settledFromWallet ? 'wallet' : 'credit_note', transaction: transaction || result.transaction, note: result.note };
+    }
+
+    // Charge pending for lack of balance: nothing was collected
+    return { success: true, method: settledFromWallet ? 'wallet' : 'none', transaction };
+  }
+
+  /**
+   * Reject an open dispute
+   * @returns {Promise<Object>} { success, discrepancy } or { success: false, code, error }
+   */
+  async rejectDispute(discrepancyId, { comment, by = 'system' } = {}) {
+    if (!comment || !comment.trim()) {
+      return { success: false, code: 'COMMENT_REQUIRED', error: 'Give the seller a reason for rejecting the dispute' };
+    }
+
+    const discrepancy = await WeightDiscrepancy.findOneAndUpdate(
+      { _id: discrepancyId, dispute_status: 'open' },
+      {
+        $set: {
+          dispute_status: 'rejected',
+          'dispute.reviewed_at': new Date(),
+          'dispute.reviewed_by': by,
+          'dispute.admin_comment': comment.trim()
+        }
+      },
+      { new: true }
+    );
+    if (!discrepancy) {
+      const exists = await WeightDiscrepancy.exists({ _id: discrepancyId });
+      return exists
+        ? { success: false, code: 'NOT_OPEN', error: 'Only open disputes can be rejected' }
+        : { success: false, code: 'NOT_FOUND', error: 'Weight discrepancy not found' };
+    }
+
+    logger.info('🚫 Weight dispute rejected', { discrepancyId: String(discrepancy._id), awb: discrepancy.awb_number, by });
+    this.notifyResolved(discrepancy);
+    return { success: true, discrepancy };
+  }
+
+  notifyResolved(discrepancy) {
+    const accepted = discrepancy.dispute_status === 'accepted';
+    const refundAmount = discrepancy.dispute.refund_amount || 0;
+
+    websocketService.sendNotificationToClient(String(discrepancy.client_id), {
+      type: 'weight_dispute_resolved',
+      title: accepted ? 'Weight Dispute Accepted' : 'Weight Dispute Rejected',
+      message: accepted
+        ? `Your weight dispute for AWB ${discrepancy.awb_number} was accepted${refundAmount > 0 ? `. ₹${refundAmount.toFixed(2)} has been reversed.` : '.'}`
+        : `Your weight dispute for AWB ${discrepancy.awb_number} was rejected: ${discrepancy.dispute.admin_comment}`,
+      awb: discrepancy.awb_number,
+      status: discrepancy.dispute_status,
+      refund_amount: refundAmount,
+      created_at: new Date()
+    });
+
+    sellerWebhookService.emit(discrepancy.client_id, 'weight_discrepancy.dispute_resolved', {
+      awb: discrepancy.awb_number,
+      status: discrepancy.dispute_status,
+      deduction_amount: discrepancy.deduction_amount,
+      refund_amount: refundAmount,
+      refund_method: discrepancy.dispute.refund_method || null,
+      comment: discrepancy.dispute.admin_comment || null
+    });
+  }
+
+  /**
+   * Close discrepancies whose dispute window has passed without a dispute
+   * @returns {Promise<number>} Number closed
+   */
+  async closeExpired(now = new Date()) {
+    const legacyCutoff = new Date(now.getTime() - getWindowDays() * DAY_MS);
+    const result = await WeightDiscrepancy.updateMany(
+      {
+        dispute_status: { $in: ['not_raised', null] },
+        $or: [
+          { dispute_deadline: { $lte: now } },
+          { dispute_deadline: { $exists: false }, createdAt: { $lte: legacyCutoff } }
+        ]
+      },
+      { $set: { dispute_status: 'closed', 'dispute.closed_at': now } }
+    );
+
+    if (result.modifiedCount > 0) {
+      logger.info('🔒 Weight discrepancies closed after the dispute window', { closed: result.modifiedCount });
+    }
+    return result.modifiedCount;
+  }
+
+  startScheduler() {
+    if (this.isRunning) {
+      logger.warn('⚠️ Weight dispute scheduler already running');
+      return;
+    }
+
+    // '15 * * * *' = every hour at :15
+    this.closeJob = cron.schedule('15 * * * *', async () => {
+      try {
+        await this.closeExpired();
+      } catch (error) {
+        logger.error('❌ Error closing expired weight disputes:', error);
+      }
+    }, {
+      scheduled: true,
+      timezone: 'Asia/Kolkata'
+    });
+
+    this.isRunning = true;
+    logger.info('✅ Weight dispute scheduler started');
+  }
+
+  stopScheduler() {
+    if (this.closeJob) {
+      this.closeJob.destroy();
+      this.isRunning = false;
+    }
+  }
+}
+
+module.exports = new WeightDisputeService();
@@ -0,0 +1,241 @@
+// Location: backend/tests/carriers.test.js
+// Carrier registry and mock carrier lifecycle: create, AWB, track, cancel and status mapping
+process.env.LOG_LEVEL = 'ERROR';
+
+// The tracking pipeline pulls in the mailer, which would keep retrying SMTP
+jest.mock('../services/emailService', () => ({}));
+
+const carriers = require('../services/carriers');
+const MockCarrierAdapter = require('../services/carriers/mockCarrierAdapter');
+const trackingService = require('../services/trackingService');
+const webhookService = require('../services/webhookService');
+
+const buildOrder = (overrides = {}) => ({
+  order_id: 'ORD-TEST-1',
+  reference_id: 'REF-1',
+  shipping_mode: 'Surface',
+  pickup_address: { city: 'Mumbai', pincode: '400001' },
+  delivery_address: {
+    full_address: '12, MG Road',
+    city: 'Bengaluru',
+    state: 'Karnataka',
+    pincode: '560001'
+  },
+  customer_info: { buyer_name: 'Test Buyer', phone: '9876543210' },
+  payment_info: { payment_mode: 'COD', cod_amount: 499 },
+  package_info: { weight: 0.5 },
+  ...overrides
+});
+
+const latestStatus = (trackingResult) => trackingResult.data.ShipmentData[0].Shipment.Status.Status;
+
+afterAll(() => {
+  trackingService.stopTracking();
+});
+
+describe('carrier registry', () => {
+  const originalEnabled = process.env.ENABLED_CARRIERS;
+
+  afterEach(() => {
+    if (originalEnabled === undefined) {
+      delete process.env.ENABLED_CARRIERS;
+    } else {
+      process.env.ENABLED_CARRIERS = originalEnabled;
+    }
+  });
+
+  test('resolves adapters by code, case-insensitively', () => {
+    const carrier = carriers.getCarrier('mock');
+    expect(carrier).toBeInstanceOf(MockCarrierAdapter);
+    expect(carrier.code).toBe('MOCK');
+    expect(carriers.getCarrier('MOCK')).toBe(carrier);
+  });
+
+  test('orders without a carrier belong to Delhivery', () => {
+    expect(carriers.getCarrierForOrder({}).code).toBe('DELHIVERY');
+    expect(carriers.getCarrierForOrder({ carrier: 'MOCK' }).code).toBe('MOCK');
+  });
+
+  test('rejects unknown carrier codes', () => {
+    expect(() => carriers.getCarrier('NOPE')).toThrow('Unknown carrier: NOPE');
+  });
+
+  test('only lists enabled carriers', () => {
+    process.env.ENABLED_CARRIERS = 'MOCK,UNKNOWN';
+    expect(carriers.getEnabledCodes()).toEqual(['MOCK']);
+    expect(carriers.isEnabled('mock')).toBe(true);
+    expect(carriers.isEnabled('DELHIVERY')).toBe(false);
+    expect(carriers.getDefaultCarrierCode()).toBe('MOCK');
+  });
+});
+
+describe('MockCarrierAdapter', () => {
+  let carrier;
+
+  beforeEach(() => {
+    carrier = new MockCarrierAdapter();
+  });
+
+  afterEach(() => {
+    delete process.env.MOCK_CARRIER_UNSERVICEABLE_PINCODES;
+  });
+
+  describe('createShipment', () => {
+    test('assigns an AWB and returns shipment data', async () => {
+      const result = await carrier.createShipment(buildOrder());
+
+      expect(result.success).toBe(true);
+      expect(result.waybill).toMatch(/^MOCK\d{12}$/);
+      expect(result.shipment_data).toMatchObject({
+        waybill: result.waybill,
+        package_id: 'ORD-TEST-1',
+        status: 'Success',
+        cod_amount: 499,
+        payment: 'COD'
+      });
+      expect(result.shipment_data.expected_delivery_date).toBeInstanceOf(Date);
+    });
+
+    test('assigns a unique AWB per shipment', async () => {
+      const first = await carrier.createShipment(buildOrder());
+      const second = await carrier.createShipment(buildOrder({ order_id: 'ORD-TEST-2' }));
+      expect(first.waybill).not.toBe(second.waybill);
+    });
+
+    test('refuses unserviceable delivery pincodes', async () => {
+      process.env.MOCK_CARRIER_UNSERVICEABLE_PINCODES = '560001';
+      const result = await carrier.createShipment(buildOrder());
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('560001');
+      expect(carrier.shipments.size).toBe(0);
+    });
+  });
+
+  describe('trackShipment', () => {
+    test('returns Delhivery-shaped tracking data for a new shipment', async () => {
+      const { waybill } = await carrier.createShipment(buildOrder());
+      const result = await carrier.trackShipment(waybill);
+
+      expect(result.success).toBe(true);
+      const shipment = result.data.ShipmentData[0].Shipment;
+      expect(shipment.AWB).toBe(waybill);
+      expect(shipment.ReferenceNo).toBe('ORD-TEST-1');
+      expect(shipment.Status.Status).toBe('Manifested');
+      expect(shipment.Scans).toHaveLength(1);
+    });
+
+    test('follows the forward lifecycle as the shipment advances', async () => {
+      const { waybill } = await carrier.createShipment(buildOrder());
+
+      for (const expected of ['Picked Up', 'In Transit', 'Out For Delivery', 'Delivered']) {
+        expect(carrier.advanceShipment(waybill).status).toBe(expected);
+        expect(latestStatus(await carrier.trackShipment(waybill))).toBe(expected);
+      }
+
+      const result = await carrier.trackShipment(waybill);
+      expect(result.data.ShipmentData[0].Shipment.Scans).toHaveLength(5);
+    });
+
+    test('reports unknown waybills as not found', async () => {
+      const result = await carrier.trackShipment('MOCK000');
+
+      expect(result.success).toBe(false);
+      expect(result.errorType).toBe('WAYBILL_NOT_FOUND');
+      expect(result.statusCode).toBe(404);
+    });
+  });
+
+  describe('cancelShipment', () => {
+    test('cancels an open shipment', async () => {
+      const { waybill } = await carrier.createShipment(buildOrder());
+      const result = await carrier.cancelShipment(waybill);
+
+      expect(result).toMatchObject({ success: true, confirmed: true });
+      expect(latestStatus(await carrier.trackShipment(waybill))).toBe('Cancelled');
+    });
+
+    test('refuses to cancel a delivered or cancelled shipment', async () => {
+      const { waybill } = await carrier.createShipment(buildOrder());
+      carrier.advanceShipment(waybill, 'Delivered');
+
+      const result = await carrier.cancelShipment(waybill);
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Shipment already delivered');
+    });
+
+    test('fails for unknown waybills', async () => {
+      const result = await carrier.cancelShipment('MOCK000');
+      expect(result).toEqual({ success: false, error: 'Waybill not found' });
+    });
+  });
+
+  describe('initiateRTO', () => {
+    test('records the RTO scan with the reason', async () => {
+      const { waybill } = await carrier.createShipment(buildOrder());
+      const result = await carrier.initiateRTO(waybill, 'Customer refused');
+
+      expect(result.success).toBe(true);
+      const shipment = (await carrier.trackShipment(waybill)).data.ShipmentData[0].Shipment;
+      expect(shipment.Status.Status).toBe('RTO Initiated');
+      expect(shipment.Status.Instructions).toBe('Customer refused');
+    });
+  });
+
+  test('rejects unknown statuses when advancing', async () => {
+    const { waybill } = await carrier.createShipment(buildOrder());
+    expect(carrier.advanceShipment(waybill, 'Teleported')).toEqual({
+      success: false,
+      error: 'Unknown mock status: Teleported'
+    });
+  });
+});
+
+describe('status mapping', () => {
+  test.each([
+    ['Manifested', 'ready_to_ship'],
+    ['Pickup Scheduled', 'pickups_manifests'],
+    ['Picked Up', 'in_transit'],
+    ['In Transit', 'in_transit'],
+    ['Out For Delivery', 'out_for_delivery'],
+    ['Delivered', 'delivered'],
+    ['Undelivered', 'ndr'],
+    ['RTO Initiated', 'rto'],
+    ['RTO Delivered', 'rto'],
+    ['Cancelled', 'cancelled'],
+    ['Lost', 'lost']
+  ])('mock carrier status %s maps to %s', (status, expected) => {
+    expect(trackingService.mapCarrierStatus(carriers.getCarrier('MOCK'), status)).toBe(expected);
+  });
+
+  test('every mock status has an internal mapping', () => {
+    const carrier = carriers.getCarrier('MOCK');
+    for (const status of MockCarrierAdapter.STATUSES) {
+      expect(carrier.mapStatus(status)).toEqual(expect.any(String));
+    }
+    expect(carrier.mapStatus('Teleported')).toBeNull();
+  });
+
+  test.each([
+    ['Manifested', 'UD', 'pickups_manifests'],
+    ['Not Picked', 'UD', 'pickups_manifests'],
+    ['In Transit', 'UD', 'in_transit'],
+    ['Pending', 'UD', 'in_transit'],
+    ['Dispatched', 'UD', 'out_for_delivery'],
+    ['Delivered', 'DL', 'delivered'],
+    ['In Transit', 'RT', 'rto'],
+    ['RTO', 'DL', 'rto'],
+    ['Open', 'PP', 'pickups_manifests'],
+    ['Dispatched', 'PU', 'out_for_delivery'],
+    ['Canceled', 'CN', 'cancelled']
+  ])('Delhivery webhook status %s (%s) maps to %s', (status, statusType, expected) => {
+    expect(webhookService.mapDelhiveryStatus(status, statusType)).toBe(expected);
+    expect(carriers.getCarrier('DELHIVERY').mapStatus(status, statusType)).toBe(expected);
+  });
+
+  test('Delhivery tracking polls use the Delhivery status table', () => {
+    const delhivery = carriers.getCarrier('DELHIVERY');
+    expect(trackingService.mapCarrierStatus(delhivery, 'Delivered')).toBe('delivered');
+    expect(trackingService.mapCarrierStatus(null, 'Dispatched')).toBe('out_for_delivery');
+  });
+});
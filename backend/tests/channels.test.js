@@ -0,0 +1,207 @@
+// Location: backend/tests/channels.test.js
+// Channel registry, the fake store connector and mapping store orders to orders
+process.env.LOG_LEVEL = 'ERROR';
+
+// The sync service pulls in the mailer, which would keep retrying SMTP
+jest.mock('../services/emailService', () => ({}));
+
+const channels = require('../services/channels');
+const FakeStoreConnector = require('../services/channels/fakeStoreConnector');
+const channelSyncService = require('../services/channelSyncService');
+
+const connectionFor = (storeId, accessToken = 'token') => ({
+  channel: 'FAKE_STORE',
+  credentials: { store_id: storeId, access_token: accessToken },
+  defaults: { warehouse_id: 'WH-1', shipping_mode: 'Express' }
+});
+
+describe('channel registry', () => {
+  const originalEnabled = process.env.ENABLED_CHANNELS;
+
+  afterEach(() => {
+    if (originalEnabled === undefined) {
+      delete process.env.ENABLED_CHANNELS;
+    } else {
+      process.env.ENABLED_CHANNELS = originalEnabled;
+    }
+  });
+
+  test('resolves connectors by code, case-insensitively', () => {
+    const connector = channels.getConnector('fake_store');
+    expect(connector).toBeInstanceOf(FakeStoreConnector);
+    expect(channels.getConnector('FAKE_STORE')).toBe(connector);
+  });
+
+  test('rejects unknown channel codes', () => {
+    expect(() => channels.getConnector('NOPE')).toThrow('Unknown channel: NOPE');
+  });
+
+  test('only lists enabled channels', () => {
+    process.env.ENABLED_CHANNELS = 'UNKNOWN';
+    expect(channels.getEnabledCodes()).toEqual([]);
+    expect(channels.isEnabled('FAKE_STORE')).toBe(false);
+
+    process.env.ENABLED_CHANNELS = 'fake_store';
+    expect(channels.listChannels().map(channel => channel.code)).toEqual(['FAKE_STORE']);
+  });
+});
+
+describe('FakeStoreConnector', () => {
+  let connector;
+
+  beforeEach(() => {
+    connector = new FakeStoreConnector();
+  });
+
+  describe('credentials', () => {
+    test('connects with a store id and token', async () => {
+      await expect(connector.testConnection(connectionFor('s1'))).resolves.toEqual({
+        success: true,
+        store_name: 'Fake Store s1'
+      });
+    });
+
+    test('reports missing credentials', async () => {
+      const result = await connector.fetchOrders({ credentials: { store_id: 's1' } });
+      expect(result).toEqual({ success: false, error: 'Missing credentials: access_token' });
+    });
+
+    test('simulates a revoked token', async () => {
+      connector.seedOrders('s1');
+      const result = await connector.fetchOrders(connectionFor('s1', 'invalid'));
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('401');
+    });
+  });
+
+  describe('fetchOrders', () => {
+    test('returns seeded orders in the normalized shape', async () => {
+      const [seeded] = connector.seedOrders('s1', { skus: ['TSHIRT-M'] });
+      const result = await connector.fetchOrders(connectionFor('s1'));
+
+      expect(result.success).toBe(true);
+      expect(result.next_cursor).toBeNull();
+      expect(result.orders).toHaveLength(1);
+
+      const [order] = result.orders;
+      expect(order).toMatchObject({
+        channel_order_id: seeded.id,
+        channel_order_number: seeded.number,
+        payment: { mode: 'Prepaid', total: seeded.total_price, cod_amount: 0 },
+        shipping_address: { pincode: seeded.shipping_address.zip, state: seeded.shipping_address.province }
+      });
+      expect(order.line_items[0]).toMatchObject({ sku: 'TSHIRT-M', quantity: seeded.line_items[0].quantity });
+    });
+
+    test('collects the order total for COD orders', async () => {
+      const [seeded] = connector.seedOrders('s1', { cod: true });
+      const { orders } = await connector.fetchOrders(connectionFor('s1'));
+
+      expect(orders[0].payment).toEqual({ mode: 'COD', total: seeded.total_price, cod_amount: seeded.total_price });
+    });
+
+    test('pages through orders with the cursor', async () => {
+      connector.seedOrders('s1', { count: 5 });
+      const connection = connectionFor('s1');
+
+      const first = await connector.fetchOrders(connection, { limit: 2 });
+      const second = await connector.fetchOrders(connection, { limit: 2, cursor: first.next_cursor });
+      const last = await connector.fetchOrders(connection, { limit: 2, cursor: second.next_cursor });
+
+      expect([first.next_cursor, second.next_cursor, last.next_cursor]).toEqual(['2', '4', null]);
+      const ids = [...first.orders, ...second.orders, ...last.orders].map(order => order.channel_order_id);
+      expect(new Set(ids).size).toBe(5);
+    });
+
+    test('only returns orders updated since the last sync', async () => {
+      const [old] = connector.seedOrders('s1');
+      old.updated_at = new Date('2026-01-01T00:00:00Z');
+      const [recent] = connector.seedOrders('s1');
+
+      const { orders } = await connector.fetchOrders(connectionFor('s1'), { since: new Date('2026-02-01T00:00:00Z') });
+      expect(orders.map(order => order.channel_order_id)).toEqual([recent.id]);
+    });
+
+    test('keeps stores apart', async () => {
+      connector.seedOrders('s1', { count: 2 });
+      const { orders } = await connector.fetchOrders(connectionFor('s2'));
+      expect(orders).toEqual([]);
+    });
+  });
+
+  describe('pushFulfilment', () => {
+    test('fulfils the order so it is not fetched again', async () => {
+      const [seeded] = connector.seedOrders('s1');
+      const connection = connectionFor('s1');
+
+      const result = await connector.pushFulfilment(connection, {
+        channel_order_id: seeded.id,
+        awb: 'AWB123',
+        carrier: 'Delhivery',
+        tracking_url: 'https://track.example.com/AWB123'
+      });
+
+      expect(result.success).toBe(true);
+      expect(connector.getStore('s1').fulfilments[0]).toMatchObject({ order_id: seeded.id, tracking_number: 'AWB123' });
+      expect((await connector.fetchOrders(connection)).orders).toEqual([]);
+    });
+
+    test('is idempotent for the same order and AWB', async () => {
+      const [seeded] = connector.seedOrders('s1');
+      const connection = connectionFor('s1');
+      const fulfilment = { channel_order_id: seeded.id, awb: 'AWB123', carrier: 'Delhivery' };
+
+      const first = await connector.pushFulfilment(connection, fulfilment);
+      const repeat = await connector.pushFulfilment(connection, fulfilment);
+
+      expect(repeat.fulfilment_id).toBe(first.fulfilment_id);
+      expect(connector.getStore('s1').fulfilments).toHaveLength(1);
+    });
+
+    test('fails for orders the store does not have', async () => {
+      const result = await connector.pushFulfilment(connectionFor('s1'), { channel_order_id: 'missing', awb: 'AWB1' });
+      expect(result).toEqual({ success: false, error: 'Order missing not found in Fake Store' });
+    });
+  });
+});
+
+describe('channelSyncService.buildOrderData', () => {
+  const packageInfo = { weight: 0.75, dimensions: { length: 20, breadth: 15, height: 10 } };
+
+  test('maps a store order to an order with the channel id as reference', async () => {
+    const connector = new FakeStoreConnector();
+    connector.seedOrders('s1', { cod: true });
+    const connection = connectionFor('s1');
+    const { orders: [channelOrder] } = await connector.fetchOrders(connection);
+
+    const data = channelSyncService.buildOrderData(connection, channelOrder, packageInfo);
+
+    expect(data.reference_id).toBe(channelOrder.channel_order_id);
+    expect(data.pickup_address).toEqual({ warehouse_id: 'WH-1' });
+    expect(data.shipping_mode).toBe('Express');
+    expect(data.package_info).toMatchObject({ weight: 0.75, dimensions: packageInfo.dimensions });
+    expect(data.payment_info).toMatchObject({
+      payment_mode: 'COD',
+      total_amount: channelOrder.payment.total,
+      cod_amount: channelOrder.payment.total
+    });
+    expect(data.products[0].sku).toBe('FAKE-SKU-1');
+  });
+
+  test('keeps the last 10 digits of the buyer phone', () => {
+    const channelOrder = {
+      channel_order_id: 42,
+      customer: { name: 'Buyer', phone: '+91 98765-43210' },
+      payment: { mode: 'Prepaid' },
+      line_items: [{ sku: 'A', quantity: 2, unit_price: 100 }]
+    };
+
+    const data = channelSyncService.buildOrderData({ defaults: {} }, channelOrder, packageInfo);
+
+    expect(data.reference_id).toBe('42');
+    expect(data.customer_info.phone).toBe('9876543210');
+    expect(data.payment_info).toMatchObject({ payment_mode: 'Prepaid', order_value: 200, cod_amount: 0 });
+    expect(data.shipping_mode).toBe('Surface');
+  });
+});
@@ -0,0 +1,296 @@
+// Location: backend/tests/einvoice.test.js
+// E-invoice registration against the stub IRP: IRN generation, cancellation
+// within 24 hours, failures and retries
+process.env.LOG_LEVEL = 'ERROR';
+process.env.EINVOICE_IRP = 'STUB';
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Invoice = require('../models/Invoice');
+const irpRegistry = require('../services/einvoice');
+const StubIrpClient = require('../services/einvoice/stubIrpClient');
+const einvoiceService = require('../services/einvoiceService');
+
+const START = new Date('2026-10-05T06:30:00.000Z');
+const HOUR_MS = 60 * 60 * 1000;
+const SELLER_GSTIN = '06AAPCS9575E1ZR';
+const BUYER_GSTIN = '27AAPFU0939F1ZV';
+
+let sequence = 0;
+const buildInvoice = (overrides = {}) => {
+  sequence += 1;
+  const invoice = new Invoice({
+    user_id: new mongoose.Types.ObjectId(),
+    invoice_number: `INV2610C1-${String(sequence).padStart(5, '0')}`,
+    invoice_date: START,
+    gst_info: { seller_gstin: SELLER_GSTIN, buyer_gstin: BUYER_GSTIN, place_of_supply: '27', is_igst: true },
+    billing_address: { company_name: 'Test Traders', address: '12, MG Road', city: 'Pune', state: 'Maharashtra', pincode: '411001' },
+    amounts: { subtotal: 1000, igst_rate: 18, igst_amount: 180, grand_total: 1180 },
+    payment_status: 'pending',
+    ...overrides
+  });
+  // Keep the invoice in memory; the service saves it after every attempt
+  invoice.save = jest.fn().mockResolvedValue(invoice);
+  return invoice;
+};
+
+const buildPayload = (overrides = {}) => ({
+  Version: '1.1',
+  DocDtls: { Typ: 'INV', No: `DOC-${++sequence}`, Dt: '05/10/2026' },
+  SellerDtls: { Gstin: SELLER_GSTIN },
+  BuyerDtls: { Gstin: BUYER_GSTIN },
+  ItemList: [{ HsnCd: '996719', TotItemVal: 1180 }],
+  ValDtls: { TotInvVal: 1180 },
+  ...overrides
+});
+
+beforeEach(() => {
+  jest.useFakeTimers({ now: START, doNotFake: ['nextTick', 'setImmediate'] });
+  process.env.INVOICE_SUPPLIER_ADDRESS = 'Plot 5, Sector 44';
+  process.env.INVOICE_SUPPLIER_CITY = 'Gurugram';
+  process.env.INVOICE_SUPPLIER_PINCODE = '122003';
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+describe('StubIrpClient', () => {
+  let client;
+
+  beforeEach(() => {
+    client = new StubIrpClient();
+  });
+
+  describe('generateIRN', () => {
+    test('derives the IRN from supplier GSTIN, financial year, type and number', async () => {
+      const payload = buildPayload();
+      const result = await client.generateIRN(payload);
+
+      const expected = crypto.createHash('sha256')
+        .update(`${SELLER_GSTIN}2026-27INV${payload.DocDtls.No}`)
+        .digest('hex');
+      expect(result).toMatchObject({ success: true, irn: expected, ack_date: START });
+      expect(result.ack_no).toMatch(/^26\d{13}$/);
+    });
+
+    test('puts January to March documents in the previous financial year', () => {
+      expect(client.financialYear('15/02/2027')).toBe('2026-27');
+      expect(client.financialYear('01/04/2027')).toBe('2027-28');
+    });
+
+    test('returns the same registration when a document is sent again', async () => {
+      const payload = buildPayload();
+      const first = await client.generateIRN(payload);
+      const repeat = await client.generateIRN(payload);
+
+      expect(repeat).toEqual(first);
+      expect(client.registrations.size).toBe(1);
+    });
+
+    test('signs a QR code that carries the IRN and invoice details', async () => {
+      const payload = buildPayload();
+      const result = await client.generateIRN(payload);
+
+      const qr = JSON.parse(jwt.verify(result.signed_qr_code, client.getSecret()).data);
+      expect(qr).toMatchObject({
+        SellerGstin: SELLER_GSTIN,
+        BuyerGstin: BUYER_GSTIN,
+        DocNo: payload.DocDtls.No,
+        TotInvVal: 1180,
+        ItemCnt: 1,
+        Irn: result.irn
+      });
+    });
+
+    test('rejects payloads that fail validation', async () => {
+      const result = await client.generateIRN(buildPayload({
+        BuyerDtls: {},
+        ValDtls: { TotInvVal: 999 }
+      }));
+
+      expect(result.success).toBe(false);
+      expect(result.error_code).toBe('2100');
+      expect(result.error).toContain('BuyerDtls.Gstin is required');
+      expect(result.error).toContain('TotInvVal does not match');
+    });
+  });
+
+  describe('cancelIRN', () => {
+    test('cancels within 24 hours of generation', async () => {
+      const { irn } = await client.generateIRN(buildPayload());
+      jest.setSystemTime(START.getTime() + 23 * HOUR_MS);
+
+      const result = await client.cancelIRN({ gstin: SELLER_GSTIN, irn, reason_code: '2', remarks: 'Wrong amount' });
+      expect(result).toEqual({ success: true, cancelled_at: new Date(START.getTime() + 23 * HOUR_MS) });
+    });
+
+    test('refuses after 24 hours', async () => {
+      const { irn } = await client.generateIRN(buildPayload());
+      jest.setSystemTime(START.getTime() + 24 * HOUR_MS + 1);
+
+      const result = await client.cancelIRN({ gstin: SELLER_GSTIN, irn, reason_code: '2' });
+      expect(result).toMatchObject({ success: false, error_code: '2270' });
+    });
+
+    test('refuses a second cancellation and a new registration of the same document', async () => {
+      const payload = buildPayload();
+      const { irn } = await client.generateIRN(payload);
+      await client.cancelIRN({ gstin: SELLER_GSTIN, irn, reason_code: '1' });
+
+      expect(await client.cancelIRN({ gstin: SELLER_GSTIN, irn, reason_code: '1' })).toMatchObject({ success: false, error_code: '9999' });
+      expect(await client.generateIRN(payload)).toMatchObject({ success: false, error_code: '2150' });
+    });
+
+    test('only finds an IRN for the GSTIN that registered it', async () => {
+      const { irn } = await client.generateIRN(buildPayload());
+
+      expect(await client.getIRN({ gstin: BUYER_GSTIN, irn })).toMatchObject({ success: false, error_code: '2283' });
+      expect(await client.cancelIRN({ gstin: BUYER_GSTIN, irn })).toMatchObject({ success: false, error_code: '2283' });
+      expect(await client.getIRN({ gstin: SELLER_GSTIN, irn })).toMatchObject({ success: true, irn });
+    });
+  });
+});
+
+describe('einvoiceService', () => {
+  const stub = () => irpRegistry.getClient('STUB');
+
+  describe('generateIRN', () => {
+    test('stores the IRN, ack and signed QR on the invoice', async () => {
+      const invoice = buildInvoice();
+      const result = await einvoiceService.generateIRN(invoice, { by: 'finance@example.com' });
+
+      expect(result.success).toBe(true);
+      expect(invoice.irn).toMatch(/^[0-9a-f]{64}$/);
+      expect(invoice.irn_date).toEqual(START);
+      expect(invoice.einvoice).toMatchObject({
+        status: 'generated',
+        irp: 'STUB',
+        attempts: 1,
+        generated_by: 'finance@example.com'
+      });
+      expect(invoice.einvoice.ack_no).toBeTruthy();
+      expect(invoice.einvoice.signed_qr_code).toBeTruthy();
+      expect(invoice.save).toHaveBeenCalledTimes(1);
+    });
+
+    test('sends the NIC schema built from the invoice', () => {
+      const { payload } = einvoiceService.buildPayload(buildInvoice());
+
+      expect(payload.DocDtls).toMatchObject({ Typ: 'INV', Dt: '05/10/2026' });
+      expect(payload.SellerDtls).toMatchObject({ Gstin: SELLER_GSTIN, Pin: 122003, Stcd: '06' });
+      expect(payload.BuyerDtls).toMatchObject({ Gstin: BUYER_GSTIN, Pos: '27', Stcd: '27', Pin: 411001 });
+      expect(payload.ItemList[0]).toMatchObject({ HsnCd: '996719', AssAmt: 1000, GstRt: 18, IgstAmt: 180, TotItemVal: 1180 });
+      expect(payload.ValDtls).toMatchObject({ AssVal: 1000, IgstVal: 180, TotInvVal: 1180 });
+    });
+
+    test('refuses invoices that already have an IRN', async () => {
+      const invoice = buildInvoice();
+      await einvoiceService.generateIRN(invoice);
+
+      expect(await einvoiceService.generateIRN(invoice)).toMatchObject({ success: false, code: 'ALREADY_GENERATED' });
+    });
+
+    test('does not register sellers without a GSTIN', async () => {
+      const invoice = buildInvoice({ gst_info: { seller_gstin: SELLER_GSTIN, buyer_gstin: '' } });
+
+      expect(await einvoiceService.generateIRN(invoice)).toMatchObject({ success: false, code: 'NOT_APPLICABLE' });
+      expect(invoice.save).not.toHaveBeenCalled();
+    });
+
+    test('records missing supplier details as a failed attempt', async () => {
+      delete process.env.INVOICE_SUPPLIER_PINCODE;
+      const invoice = buildInvoice();
+
+      const result = await einvoiceService.generateIRN(invoice);
+
+      expect(result).toMatchObject({ success: false, code: 'MISSING_DETAILS' });
+      expect(result.error).toContain('INVOICE_SUPPLIER_PINCODE');
+      expect(invoice.einvoice).toMatchObject({ status: 'failed', attempts: 1 });
+      expect(invoice.irn).toBeUndefined();
+    });
+
+    test('records IRP errors and succeeds on retry', async () => {
+      const invoice = buildInvoice();
+      jest.spyOn(stub(), 'generateIRN').mockRejectedValueOnce(new Error('socket hang up'));
+
+      const failed = await einvoiceService.generateIRN(invoice);
+      expect(failed).toEqual({ success: false, code: 'IRP_ERROR', error: 'socket hang up' });
+      expect(invoice.einvoice).toMatchObject({ status: 'failed', attempts: 1, last_error: 'socket hang up' });
+
+      jest.setSystemTime(START.getTime() + HOUR_MS);
+      const retried = await einvoiceService.generateIRN(invoice);
+
+      expect(retried.success).toBe(true);
+      expect(invoice.einvoice).toMatchObject({ status: 'generated', attempts: 2, last_attempt_at: new Date(START.getTime() + HOUR_MS) });
+      expect(invoice.einvoice.last_error).toBeUndefined();
+    });
+
+    test('is off when no IRP is configured', async () => {
+      delete process.env.EINVOICE_IRP;
+      try {
+        const result = await einvoiceService.generateIRN(buildInvoice());
+        expect(result).toEqual({ success: false, code: 'NOT_APPLICABLE', error: 'E-invoicing is not enabled' });
+      } finally {
+        process.env.EINVOICE_IRP = 'STUB';
+      }
+    });
+  });
+
+  describe('cancelIRN', () => {
+    test('cancels within 24 hours and keeps the cancelled IRN', async () => {
+      const invoice = buildInvoice();
+      await einvoiceService.generateIRN(invoice);
+      const irn = invoice.irn;
+      jest.setSystemTime(START.getTime() + 2 * HOUR_MS);
+
+      const result = await einvoiceService.cancelIRN(invoice, { reasonCode: '3', remarks: 'Cycle re-run', by: 'finance@example.com' });
+
+      expect(result.success).toBe(true);
+      expect(invoice.irn).toBeUndefined();
+      expect(invoice.einvoice).toMatchObject({
+        status: 'cancelled',
+        cancelled_irn: irn,
+        cancel_reason_code: '3',
+        cancelled_by: 'finance@example.com'
+      });
+    });
+
+    test('refuses after 24 hours without calling the IRP', async () => {
+      const invoice = buildInvoice();
+      await einvoiceService.generateIRN(invoice);
+      const cancel = jest.spyOn(stub(), 'cancelIRN');
+      jest.setSystemTime(START.getTime() + 25 * HOUR_MS);
+
+      const result = await einvoiceService.cancelIRN(invoice, { remarks: 'Too late', by: 'finance@example.com' });
+
+      expect(result).toMatchObject({ success: false, code: 'CANCEL_WINDOW_EXPIRED' });
+      expect(cancel).not.toHaveBeenCalled();
+      expect(invoice.einvoice.status).toBe('generated');
+    });
+
+    test('maps the IRP time limit error', async () => {
+      const invoice = buildInvoice();
+      await einvoiceService.generateIRN(invoice);
+      jest.spyOn(stub(), 'cancelIRN').mockResolvedValueOnce({ success: false, error_code: '2270', error: 'Time limit crossed' });
+
+      const result = await einvoiceService.cancelIRN(invoice, { by: 'finance@example.com' });
+      expect(result).toEqual({ success: false, code: 'CANCEL_WINDOW_EXPIRED', error: 'Time limit crossed' });
+      expect(invoice.irn).toBeTruthy();
+    });
+
+    test('a cancelled invoice number cannot be registered again', async () => {
+      const invoice = buildInvoice();
+      await einvoiceService.generateIRN(invoice);
+      await einvoiceService.cancelIRN(invoice, { by: 'finance@example.com' });
+
+      expect(await einvoiceService.generateIRN(invoice)).toMatchObject({ success: false, code: 'IRN_CANCELLED' });
+    });
+
+    test('refuses invoices without an IRN', async () => {
+      expect(await einvoiceService.cancelIRN(buildInvoice(), { by: 'finance@example.com' })).toMatchObject({ success: false, code: 'NO_IRN' });
+    });
+  });
+});
@@ -0,0 +1,101 @@
+// Location: backend/tests/urlSafety.test.js
+// Host and address checks for seller-supplied callback URLs
+const dns = require('dns');
+const { getHostBlockReason, isBlockedAddress, publicLookup } = require('../utils/urlSafety');
+
+describe('isBlockedAddress', () => {
+  test.each([
+    '10.0.0.5',
+    '172.16.4.1',
+    '172.31.255.255',
+    '192.168.1.1',
+    '127.0.0.1',
+    '127.8.8.8',
+    '169.254.169.254',
+    '100.64.0.1',
+    '0.0.0.0',
+    '::1',
+    '::',
+    'fc00::1',
+    'fd00:ec2::254',
+    'fe80::1',
+    '::ffff:127.0.0.1',
+    '::ffff:10.0.0.1'
+  ])('blocks %s', (address) => {
+    expect(isBlockedAddress(address)).toBe(true);
+  });
+
+  test.each([
+    '8.8.8.8',
+    '172.32.0.1',
+    '1.1.1.1',
+    '2606:4700:4700::1111'
+  ])('allows %s', (address) => {
+    expect(isBlockedAddress(address)).toBe(false);
+  });
+
+  test('treats non-addresses as blocked', () => {
+    expect(isBlockedAddress('example.com')).toBe(true);
+  });
+});
+
+describe('getHostBlockReason', () => {
+  test.each([
+    ['127.0.0.1', /IP address/],
+    ['8.8.8.8', /IP address/],
+    ['[::1]', /IP address/],
+    ['localhost', /localhost/],
+    ['LOCALHOST.', /localhost/],
+    ['api.localhost', /localhost/],
+    ['metadata.google.internal', /not allowed/],
+    ['', /no host/]
+  ])('refuses %s', (host, reason) => {
+    expect(getHostBlockReason(host)).toMatch(reason);
+  });
+
+  test('accepts public domain names', () => {
+    expect(getHostBlockReason('hooks.example.com')).toBeNull();
+  });
+});
+
+describe('publicLookup', () => {
+  let lookupSpy;
+
+  const resolveTo = (addresses) => {
+    lookupSpy = jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) => {
+      callback(null, addresses);
+    });
+  };
+
+  const lookup = (hostname, options) => new Promise((resolve, reject) => {
+    publicLookup(hostname, options, (error, address, family) => (error ? reject(error) : resolve({ address, family })));
+  });
+
+  afterEach(() => {
+    lookupSpy.mockRestore();
+  });
+
+  test('returns the first address of a public host', async () => {
+    resolveTo([{ address: '93.184.216.34', family: 4 }]);
+    await expect(lookup('hooks.example.com', {})).resolves.toEqual({ address: '93.184.216.34', family: 4 });
+  });
+
+  test('returns every address when asked for all', async () => {
+    const addresses = [{ address: '93.184.216.34', family: 4 }, { address: '2606:2800:220:1::1', family: 6 }];
+    resolveTo(addresses);
+    await expect(lookup('hooks.example.com', { all: true })).resolves.toEqual({ address: addresses, family: undefined });
+  });
+
+  test('fails when any resolved address is private', async () => {
+    resolveTo([{ address: '93.184.216.34', family: 4 }, { address: '10.0.0.7', family: 4 }]);
+    await expect(lookup('rebind.example.com', {})).rejects.toMatchObject({
+      code: 'EBLOCKEDHOST',
+      message: 'rebind.example.com resolves to a non-public address (10.0.0.7)'
+    });
+  });
+
+  test('fails for metadata addresses', async () => {
+    resolveTo([{ address: '169.254.169.254', family: 4 }]);
+    await expect(lookup('metadata.example.com', { all: true })).rejects.toMatchObject({ code: 'EBLOCKEDHOST' });
+  });
+});
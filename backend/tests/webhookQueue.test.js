@@ -0,0 +1,285 @@
+// Location: backend/tests/webhookQueue.test.js
+// Webhook job queue on the in-memory job store: claiming, lease recovery,
+// retry with backoff, dead-lettering and idempotency
+process.env.LOG_LEVEL = 'ERROR';
+process.env.WEBHOOK_QUEUE_BACKEND = 'memory';
+
+const { MemoryJobStore } = require('../utils/webhookJobStores');
+const webhookQueue = require('../utils/webhookQueue');
+
+const START = new Date('2026-01-01T00:00:00.000Z');
+const LEASE_MS = 2 * 60 * 1000;
+
+let sequence = 0;
+const buildJob = (overrides = {}) => {
+  sequence += 1;
+  return {
+    job_id: `job_test_${sequence}`,
+    type: 'scan-status',
+    idempotency_key: `scan-status:AWB${sequence}:Delivered:DL:2026-01-01`,
+    waybill: `AWB${sequence}`,
+    payload: { Shipment: { AWB: `AWB${sequence}` } },
+    max_attempts: 3,
+    ...overrides
+  };
+};
+
+const scanPayload = (status = 'In Transit', at = '2026-01-01T10:00:00') => ({
+  Shipment: {
+    AWB: 'AWB1001',
+    Status: { Status: status, StatusType: 'UD', StatusDateTime: at }
+  }
+});
+
+beforeEach(() => {
+  jest.useFakeTimers({ now: START, doNotFake: ['nextTick', 'setImmediate'] });
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+describe('MemoryJobStore', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new MemoryJobStore();
+  });
+
+  describe('add', () => {
+    test('queues new jobs for immediate processing', async () => {
+      const { job, duplicate } = await store.add(buildJob());
+
+      expect(duplicate).toBe(false);
+      expect(job).toMatchObject({ status: 'queued', attempts: 0, next_run_at: START });
+    });
+
+    test('returns the existing job for a repeated idempotency key', async () => {
+      const first = await store.add(buildJob({ idempotency_key: 'scan-status:AWB1:Delivered' }));
+      const second = await store.add(buildJob({ idempotency_key: 'scan-status:AWB1:Delivered' }));
+
+      expect(second.duplicate).toBe(true);
+      expect(second.job.job_id).toBe(first.job.job_id);
+      expect(store.jobs.size).toBe(1);
+    });
+
+    test('still deduplicates while the first job is processing or dead', async () => {
+      await store.add(buildJob({ idempotency_key: 'dup-key' }));
+      const claimed = await store.claimNext('worker-1');
+      await store.fail(claimed, 'boom', null);
+
+      const repeat = await store.add(buildJob({ idempotency_key: 'dup-key' }));
+      expect(repeat.duplicate).toBe(true);
+      expect(repeat.job.status).toBe('dead');
+    });
+
+    test('refuses new jobs when the queue is full', async () => {
+      store = new MemoryJobStore({ maxQueueSize: 1 });
+      await store.add(buildJob());
+      await expect(store.add(buildJob())).rejects.toThrow('Webhook queue is full');
+    });
+  });
+
+  describe('claimNext', () => {
+    test('claims the job that has been due longest and locks it', async () => {
+      const later = await store.add(buildJob({ next_run_at: new Date(START.getTime() - 1000) }));
+      const earliest = await store.add(buildJob({ next_run_at: new Date(START.getTime() - 5000) }));
+
+      const claimed = await store.claimNext('worker-1');
+
+      expect(claimed.job_id).toBe(earliest.job.job_id);
+      expect(claimed).toMatchObject({ status: 'processing', attempts: 1, locked_by: 'worker-1', locked_at: START });
+      expect((await store.claimNext('worker-2')).job_id).toBe(later.job.job_id);
+    });
+
+    test('never hands the same job to two workers', async () => {
+      await store.add(buildJob());
+
+      expect(await store.claimNext('worker-1')).not.toBeNull();
+      expect(await store.claimNext('worker-2')).toBeNull();
+    });
+
+    test('skips jobs whose retry time has not come', async () => {
+      await store.add(buildJob({ next_run_at: new Date(START.getTime() + 60000) }));
+
+      expect(await store.claimNext('worker-1')).toBeNull();
+      jest.advanceTimersByTime(60000);
+      expect(await store.claimNext('worker-1')).not.toBeNull();
+    });
+
+    test('does not claim completed jobs', async () => {
+      await store.add(buildJob());
+      const claimed = await store.claimNext('worker-1');
+      await store.complete(claimed, { success: true });
+
+      expect((await store.get(claimed.job_id)).status).toBe('completed');
+      expect(await store.claimNext('worker-1')).toBeNull();
+    });
+  });
+
+  describe('recoverStale', () => {
+    test('re-queues processing jobs once their lease expires', async () => {
+      const { job } = await store.add(buildJob());
+      await store.claimNext('crashed-worker');
+
+      jest.advanceTimersByTime(LEASE_MS - 1);
+      expect(await store.recoverStale(LEASE_MS)).toBe(0);
+      expect((await store.get(job.job_id)).status).toBe('processing');
+
+      jest.advanceTimersByTime(2);
+      expect(await store.recoverStale(LEASE_MS)).toBe(1);
+
+      const reclaimed = await store.claimNext('worker-2');
+      expect(reclaimed).toMatchObject({ job_id: job.job_id, attempts: 2, locked_by: 'worker-2' });
+    });
+
+    test('leaves queued and completed jobs alone', async () => {
+      await store.add(buildJob());
+      await store.add(buildJob());
+      const claimed = await store.claimNext('worker-1');
+      await store.complete(claimed, null);
+
+      jest.advanceTimersByTime(LEASE_MS * 2);
+      expect(await store.recoverStale(LEASE_MS)).toBe(0);
+    });
+  });
+
+  describe('fail', () => {
+    test('schedules a retry and records the error', async () => {
+      const { job } = await store.add(buildJob());
+      const claimed = await store.claimNext('worker-1');
+      const retryAt = new Date(START.getTime() + 5000);
+
+      expect(await store.fail(claimed, 'Order not found', retryAt)).toBe('queued');
+
+      const stored = await store.get(job.job_id);
+      expect(stored).toMatchObject({ status: 'queued', next_run_at: retryAt, last_error: 'Order not found', locked_at: null });
+      expect(stored.error_history).toEqual([{ attempt: 1, error: 'Order not found', at: START }]);
+    });
+
+    test('dead-letters the job when no retry is given, until it is re-driven', async () => {
+      const { job } = await store.add(buildJob());
+      await store.fail(await store.claimNext('worker-1'), 'boom', null);
+
+      expect((await store.get(job.job_id)).status).toBe('dead');
+      expect(await store.claimNext('worker-1')).toBeNull();
+
+      expect(await store.redrive({ jobIds: [job.job_id] })).toBe(1);
+      expect(await store.claimNext('worker-1')).toMatchObject({ job_id: job.job_id, attempts: 1, redrive_count: 1 });
+    });
+  });
+});
+
+describe('webhookQueue', () => {
+  beforeEach(() => {
+    webhookQueue.stop();
+    webhookQueue.store = new MemoryJobStore();
+  });
+
+  afterAll(() => {
+    webhookQueue.stop();
+  });
+
+  describe('idempotency keys', () => {
+    test('identical scan pushes share a key', () => {
+      const first = webhookQueue.describePayload('scan-status', scanPayload());
+      const repeat = webhookQueue.describePayload('scan-status', scanPayload());
+
+      expect(first).toEqual({ waybill: 'AWB1001', idempotencyKey: 'scan-status:AWB1001:In Transit:UD:2026-01-01T10:00:00' });
+      expect(repeat.idempotencyKey).toBe(first.idempotencyKey);
+    });
+
+    test('a new status or scan time gets a new key', () => {
+      const base = webhookQueue.describePayload('scan-status', scanPayload()).idempotencyKey;
+
+      expect(webhookQueue.describePayload('scan-status', scanPayload('Delivered')).idempotencyKey).not.toBe(base);
+      expect(webhookQueue.describePayload('scan-status', scanPayload('In Transit', '2026-01-01T11:00:00')).idempotencyKey).not.toBe(base);
+    });
+
+    test('image pushes are keyed on their content', () => {
+      const first = webhookQueue.describePayload('qc-image', { waybillId: 'AWB1', Image: ['a.jpg'] });
+      const same = webhookQueue.describePayload('qc-image', { waybillId: 'AWB1', Image: ['a.jpg'] });
+      const changed = webhookQueue.describePayload('qc-image', { waybillId: 'AWB1', Image: ['b.jpg'] });
+
+      expect(same.idempotencyKey).toBe(first.idempotencyKey);
+      expect(changed.idempotencyKey).not.toBe(first.idempotencyKey);
+    });
+
+    test('enqueueing a repeated push returns the original job', async () => {
+      jest.spyOn(webhookQueue, 'start').mockImplementation(() => {});
+
+      const firstId = await webhookQueue.enqueue('scan-status', scanPayload());
+      const repeatId = await webhookQueue.enqueue('scan-status', scanPayload());
+
+      expect(repeatId).toBe(firstId);
+      expect(webhookQueue.store.jobs.size).toBe(1);
+    });
+  });
+
+  describe('getRetryDelay', () => {
+    test('doubles from 5 seconds and caps at 10 minutes', () => {
+      expect([1, 2, 3, 4].map(attempt => webhookQueue.getRetryDelay(attempt))).toEqual([5000, 10000, 20000, 40000]);
+      expect(webhookQueue.getRetryDelay(20)).toBe(10 * 60 * 1000);
+    });
+  });
+
+  describe('runJob', () => {
+    const claim = () => webhookQueue.store.claimNext('test-worker');
+
+    test('completes a job with a trimmed result', async () => {
+      jest.spyOn(webhookQueue, 'processJob').mockResolvedValue({ success: true, waybill: 'AWB1', order: { huge: true } });
+      const { job } = await webhookQueue.store.add(buildJob());
+
+      await webhookQueue.runJob(await claim());
+
+      const stored = await webhookQueue.store.get(job.job_id);
+      expect(stored.status).toBe('completed');
+      expect(stored.result).toEqual({ success: true, waybill: 'AWB1', message: undefined, duplicate: undefined, duration: undefined });
+    });
+
+    test('retries failed jobs with exponential backoff, then dead-letters them', async () => {
+      const processJob = jest.spyOn(webhookQueue, 'processJob').mockRejectedValue(new Error('Order not found'));
+      const { job } = await webhookQueue.store.add(buildJob({ max_attempts: 3 }));
+
+      // Attempt 1 fails: retry in 5s
+      await webhookQueue.runJob(await claim());
+      let stored = await webhookQueue.store.get(job.job_id);
+      expect(stored.status).toBe('queued');
+      expect(stored.next_run_at.getTime() - Date.now()).toBe(5000);
+
+      jest.advanceTimersByTime(4999);
+      expect(await claim()).toBeNull();
+      jest.advanceTimersByTime(1);
+
+      // Attempt 2 fails: retry in 10s
+      await webhookQueue.runJob(await claim());
+      stored = await webhookQueue.store.get(job.job_id);
+      expect(stored.next_run_at.getTime() - Date.now()).toBe(10000);
+
+      jest.advanceTimersByTime(10000);
+
+      // Attempt 3 was the last one
+      await webhookQueue.runJob(await claim());
+      stored = await webhookQueue.store.get(job.job_id);
+      expect(stored.status).toBe('dead');
+      expect(stored.attempts).toBe(3);
+      expect(stored.error_history.map(entry => entry.attempt)).toEqual([1, 2, 3]);
+      expect(processJob).toHaveBeenCalledTimes(3);
+    });
+
+    test('dead-letters a recovered job that already used its attempts without running it', async () => {
+      const processJob = jest.spyOn(webhookQueue, 'processJob');
+      const { job } = await webhookQueue.store.add(buildJob({ max_attempts: 1 }));
+
+      // Worker crashed mid-job; the lease expires and the job is claimed again
+      await claim();
+      jest.advanceTimersByTime(LEASE_MS + 1);
+      await webhookQueue.store.recoverStale(LEASE_MS);
+      await webhookQueue.runJob(await claim());
+
+      expect((await webhookQueue.store.get(job.job_id)).status).toBe('dead');
+      expect(processJob).not.toHaveBeenCalled();
+    });
+  });
+});
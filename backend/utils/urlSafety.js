@@ -0,0 +1,111 @@
+// Location: backend/utils/urlSafety.js
+// Guards for outbound requests to seller-supplied URLs (webhook callbacks) so they
+// cannot be pointed at our own network, loopback or cloud metadata endpoints.
+const dns = require('dns');
+const net = require('net');
+
+// Loopback, private, link-local, CGNAT, multicast and reserved ranges
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+].forEach(([network, prefix]) => blockedAddresses.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['64:ff9b::', 96],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([network, prefix]) => blockedAddresses.addSubnet(network, prefix, 'ipv6'));
+
+// Names that resolve to instance metadata on the major clouds
+const METADATA_HOSTNAMES = [
+  'metadata',
+  'metadata.google.internal',
+  'metadata.azure.com',
+  'instance-data',
+  'instance-data.ec2.internal'
+];
+
+/**
+ * Whether an IP address is loopback, private, link-local or otherwise not publicly routable.
+ * IPv4-mapped IPv6 addresses are checked against the IPv4 ranges.
+ */
+const isBlockedAddress = (address) => {
+  const family = net.isIP(address);
+  if (!family) {
+    return true;
+  }
+  return blockedAddresses.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+/**
+ * Why a callback URL host is not allowed, or null when it is acceptable.
+ * Hosts must be DNS names: IP literals, localhost and metadata names are refused.
+ * @param {string} hostname - URL hostname (IPv6 literals may be bracketed)
+ * @returns {string|null}
+ */
+const getHostBlockReason = (hostname) => {
+  const host = String(hostname || '').replace(/^\[|\]$/g, '').replace(/\.$/, '').toLowerCase();
+  if (!host) {
+    return 'URL has no host';
+  }
+  if (net.isIP(host)) {
+    return 'IP address hosts are not allowed, use a domain name';
+  }
+  if (host === 'localhost' || host.endsWith('.localhost')) {
+    return 'localhost is not allowed';
+  }
+  if (METADATA_HOSTNAMES.includes(host)) {
+    return `${host} is not allowed`;
+  }
+  return null;
+};
+
+/**
+ * Drop-in for dns.lookup that fails when any resolved address is not public.
+ * Used as the socket lookup of outbound agents so the address is checked at
+ * connect time (a second resolution cannot swap in a private address).
+ */
+const publicLookup = (hostname, options, callback) => {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  } else if (typeof options === 'number') {
+    options = { family: options };
+  }
+
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+
+    const blocked = addresses.find(entry => isBlockedAddress(entry.address));
+    if (blocked || addresses.length === 0) {
+      const blockedError = new Error(`${hostname} resolves to a non-public address${blocked ? ` (${blocked.address})` : ''}`);
+      blockedError.code = 'EBLOCKEDHOST';
+      return callback(blockedError);
+    }
+
+    if (options.all) {
+      return callback(null, addresses);
+    }
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+module.exports = {
+  getHostBlockReason,
+  isBlockedAddress,
+  publicLookup
+};
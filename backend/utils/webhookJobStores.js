@@ -0,0 +1,340 @@
+// Location: backend/utils/webhookJobStores.js
+// Storage backends for utils/webhookQueue.js
+//
+// A store implements:
+//   add(job)                      -> { job, duplicate }
+//   claimNext(workerId, leaseMs)  -> job | null   (marks it processing, increments attempts)
+//   complete(job, result)
+//   fail(job, error, retryAt)     -> 'queued' | 'dead'   (retryAt null = dead-letter)
+//   recoverStale(leaseMs)         -> number of jobs re-queued
+//   stats()
+//   list(filter, { page, limit }) -> { jobs, total }
+//   get(jobId)
+//   redrive(filter)               -> number of jobs re-queued
+const WebhookJob = require('../models/WebhookJob');
+
+const COMPLETED_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+const ERROR_HISTORY_LIMIT = 10;
+
+const buildFilter = ({ status, type, waybill, jobIds } = {}) => {
+  const filter = {};
+  if (status) filter.status = status;
+  if (type) filter.type = type;
+  if (waybill) filter.waybill = waybill;
+  if (Array.isArray(jobIds) && jobIds.length > 0) filter.job_id = { $in: jobIds };
+  return filter;
+};
+
+/**
+ * MongoDB store - survives restarts and deploys, safe with several workers
+ */
+class MongoJobStore {
+  constructor() {
+    this.name = 'mongo';
+  }
+
+  async add(job) {
+    try {
+      const doc = await WebhookJob.create(job);
+      return { job: doc.toObject(), duplicate: false };
+    } catch (error) {
+      if (error.code === 11000 && error.keyPattern?.idempotency_key) {
+        const existing = await WebhookJob.findOne({ idempotency_key: job.idempotency_key }).lean();
+        return { job: existing, duplicate: true };
+      }
+      throw error;
+    }
+  }
+
+  async claimNext(workerId) {
+    const now = new Date();
+    return WebhookJob.findOneAndUpdate(
+      { status: 'queued', next_run_at: { $lte: now } },
+      {
+        $set: { status: 'processing', locked_at: now, locked_by: workerId },
+        $inc: { attempts: 1 }
+      },
+      { sort: { next_run_at: 1 }, new: true }
+    ).lean();
+  }
+
+  async complete(job, result) {
+    await WebhookJob.updateOne(
+      { job_id: job.job_id },
+      {
+        $set: {
+          status: 'completed',
+          result,
+          last_error: null,
+          completed_at: new Date(),
+          expires_at: new Date(Date.now() + COMPLETED_RETENTION_MS),
+          locked_at: null,
+          locked_by: null
+        }
+      }
+    );
+  }
+
+  async fail(job, error, retryAt) {
+    const status = retryAt ? 'queued' : 'dead';
+    await WebhookJob.updateOne(
+      { job_id: job.job_id },
+      {
+        $set: {
+          status,
+          last_error: error,
+          next_run_at: retryAt || job.next_run_at,
+          dead_at: retryAt ? null : new Date(),
+          locked_at: null,
+          locked_by: null
+        },
+        $push: {
+          error_history: {
+            $each: [{ attempt: job.attempts, error, at: new Date() }],
+            $slice: -ERROR_HISTORY_LIMIT
+          }
+        }
+      }
+    );
+    return status;
+  }
+
+  async recoverStale(leaseMs) {
+    const result = await WebhookJob.updateMany(
+      { status: 'processing', locked_at: { $lt: new Date(Date.now() - leaseMs) } },
+      {
+        $set: { status: 'queued', next_run_at: new Date(), locked_at: null, locked_by: null },
+        $push: {
+          error_history: {
+            $each: [{ error: 'Worker lease expired (process restarted or job hung)', at: new Date() }],
+            $slice: -ERROR_HISTORY_LIMIT
+          }
+        }
+      }
+    );
+    return result.modifiedCount || 0;
+  }
+
+  async stats() {
+    const [byStatus, byType, oldestQueued] = await Promise.all([
+      WebhookJob.aggregate([
+        {
+          $group: {
+            _id: '$status',
+            count: { $sum: 1 },
+            retries: { $sum: { $max: [{ $subtract: ['$attempts', 1] }, 0] } }
+          }
+        }
+      ]),
+      WebhookJob.aggregate([
+        { $match: { status: { $in: ['queued', 'processing', 'dead'] } } },
+        { $group: { _id: { type: '$type', status: '$status' }, count: { $sum: 1 } } }
+      ]),
+      WebhookJob.findOne({ status: 'queued' }).sort({ createdAt: 1 }).select('createdAt').lean()
+    ]);
+
+    const counts = { queued: 0, processing: 0, completed: 0, dead: 0 };
+    let retries = 0;
+    byStatus.forEach(row => {
+      counts[row._id] = row.count;
+      retries += row.retries;
+    });
+
+    const types = {};
+    byType.forEach(row => {
+      types[row._id.type] = types[row._id.type] || {};
+      types[row._id.type][row._id.status] = row.count;
+    });
+
+    return {
+      counts,
+      retries,
+      byType: types,
+      oldestQueuedAt: oldestQueued?.createdAt || null
+    };
+  }
+
+  async list(filter, { page = 1, limit = 20 } = {}) {
+    const query = buildFilter(filter);
+    const [jobs, total] = await Promise.all([
+      WebhookJob.find(query)
+        .select('-payload -result')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      WebhookJob.countDocuments(query)
+    ]);
+    return { jobs, total };
+  }
+
+  async get(jobId) {
+    return WebhookJob.findOne({ job_id: jobId }).lean();
+  }
+
+  async redrive(filter) {
+    const query = { ...buildFilter(filter), status: 'dead' };
+    const result = await WebhookJob.updateMany(query, {
+      $set: {
+        status: 'queued',
+        attempts: 0,
+        next_run_at: new Date(),
+        dead_at: null,
+        redriven_at: new Date()
+      },
+      $inc: { redrive_count: 1 }
+    });
+    return result.modifiedCount || 0;
+  }
+}
+
+/**
+ * In-memory store - the previous behaviour, for local development and tests.
+ * Jobs are lost on restart.
+ */
+class MemoryJobStore {
+  constructor({ maxQueueSize = 10000 } = {}) {
+    this.name = 'memory';
+    this.jobs = new Map();
+    this.keys = new Map();
+    this.maxQueueSize = maxQueueSize;
+  }
+
+  async add(job) {
+    const existingId = this.keys.get(job.idempotency_key);
+    if (existingId && this.jobs.has(existingId)) {
+      return { job: { ...this.jobs.get(existingId) }, duplicate: true };
+    }
+
+    const pending = [...this.jobs.values()].filter(j => j.status === 'queued' || j.status === 'processing').length;
+    if (pending >= this.maxQueueSize) {
+      throw new Error('Webhook queue is full');
+    }
+
+    const stored = {
+      status: 'queued',
+      attempts: 0,
+      next_run_at: new Date(),
+      error_history: [],
+      redrive_count: 0,
+      createdAt: new Date(),
+      ...job
+    };
+    this.jobs.set(stored.job_id, stored);
+    this.keys.set(stored.idempotency_key, stored.job_id);
+    return { job: { ...stored }, duplicate: false };
+  }
+
+  async claimNext(workerId) {
+    const now = Date.now();
+    const next = [...this.jobs.values()]
+      .filter(j => j.status === 'queued' && j.next_run_at.getTime() <= now)
+      .sort((a, b) => a.next_run_at - b.next_run_at)[0];
+    if (!next) {
+      return null;
+    }
+
+    Object.assign(next, { status: 'processing', locked_at: new Date(), locked_by: workerId });
+    next.attempts += 1;
+    return { ...next };
+  }
+
+  async complete(job, result) {
+    const stored = this.jobs.get(job.job_id);
+    if (!stored) return;
+    Object.assign(stored, { status: 'completed', result, last_error: null, completed_at: new Date(), locked_at: null });
+
+    // Bound memory: only completed jobs are dropped (their idempotency key too)
+    setTimeout(() => {
+      this.jobs.delete(job.job_id);
+      this.keys.delete(job.idempotency_key);
+    }, 60 * 60 * 1000).unref();
+  }
+
+  async fail(job, error, retryAt) {
+    const stored = this.jobs.get(job.job_id);
+    const status = retryAt ? 'queued' : 'dead';
+    if (!stored) return status;
+
+    stored.status = status;
+    stored.last_error = error;
+    stored.locked_at = null;
+    if (retryAt) {
+      stored.next_run_at = retryAt;
+    } else {
+      stored.dead_at = new Date();
+    }
+    stored.error_history = [...stored.error_history, { attempt: stored.attempts, error, at: new Date() }].slice(-ERROR_HISTORY_LIMIT);
+    return status;
+  }
+
+  async recoverStale(leaseMs) {
+    let recovered = 0;
+    const cutoff = Date.now() - leaseMs;
+    this.jobs.forEach(job => {
+      if (job.status === 'processing' && job.locked_at && job.locked_at.getTime() < cutoff) {
+        Object.assign(job, { status: 'queued', next_run_at: new Date(), locked_at: null });
+        recovered++;
+      }
+    });
+    return recovered;
+  }
+
+  async stats() {
+    const counts = { queued: 0, processing: 0, completed: 0, dead: 0 };
+    const byType = {};
+    let retries = 0;
+    let oldestQueuedAt = null;
+
+    this.jobs.forEach(job => {
+      counts[job.status]++;
+      retries += Math.max(job.attempts - 1, 0);
+      if (job.status !== 'completed') {
+        byType[job.type] = byType[job.type] || {};
+        byType[job.type][job.status] = (byType[job.type][job.status] || 0) + 1;
+      }
+      if (job.status === 'queued' && (!oldestQueuedAt || job.createdAt < oldestQueuedAt)) {
+        oldestQueuedAt = job.createdAt;
+      }
+    });
+
+    return { counts, retries, byType, oldestQueuedAt };
+  }
+
+  async list(filter = {}, { page = 1, limit = 20 } = {}) {
+    const matches = [...this.jobs.values()]
+      .filter(job => (!filter.status || job.status === filter.status) &&
+        (!filter.type || job.type === filter.type) &&
+        (!filter.waybill || job.waybill === filter.waybill) &&
+        (!filter.jobIds?.length || filter.jobIds.includes(job.job_id)))
+      .sort((a, b) => b.createdAt - a.createdAt);
+
+    const jobs = matches
+      .slice((page - 1) * limit, page * limit)
+      .map(({ payload, result, ...rest }) => rest);
+    return { jobs, total: matches.length };
+  }
+
+  async get(jobId) {
+    const job = this.jobs.get(jobId);
+    return job ? { ...job } : null;
+  }
+
+  async redrive(filter = {}) {
+    const { jobs } = await this.list({ ...filter, status: 'dead' }, { page: 1, limit: Number.MAX_SAFE_INTEGER });
+    jobs.forEach(({ job_id: jobId }) => {
+      const job = this.jobs.get(jobId);
+      Object.assign(job, {
+        status: 'queued',
+        attempts: 0,
+        next_run_at: new Date(),
+        dead_at: null,
+        redriven_at: new Date(),
+        redrive_count: job.redrive_count + 1
+      });
+    });
+    return jobs.length;
+  }
+}
+
+module.exports = { MongoJobStore, MemoryJobStore };
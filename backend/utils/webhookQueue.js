@@ -1,167 +1,233 @@
 // Location: backend/utils/webhookQueue.js
-// Simple in-memory queue for webhook processing with retry mechanism
+// Durable queue for inbound carrier webhook processing with retry and dead-letter handling
+//
+// Environment:
+//   WEBHOOK_QUEUE_BACKEND      - mongo (default) | memory
+//   WEBHOOK_QUEUE_MAX_ATTEMPTS - attempts before a job is dead-lettered (default 5)
+const crypto = require('crypto');
+const os = require('os');
 const logger = require('./logger');
+const { MongoJobStore, MemoryJobStore } = require('./webhookJobStores');
+
+const JOB_TIMEOUT_MS = 30000; // 30 seconds max per job
+const LEASE_MS = 2 * 60 * 1000; // processing jobs older than this are assumed abandoned
+const POLL_INTERVAL_MS = 5000;
+const RETRY_BASE_DELAY_MS = 5000; // 5s, 10s, 20s ... capped below
+const RETRY_MAX_DELAY_MS = 10 * 60 * 1000;
+
+const hashPayload = (value) => crypto
+  .createHash('sha1')
+  .update(typeof value === 'string' ? value : JSON.stringify(value))
+  .digest('hex');
 
 class WebhookQueue {
   constructor() {
-    this.queue = [];
+    this.store = (process.env.WEBHOOK_QUEUE_BACKEND || 'mongo').toLowerCase() === 'memory'
+      ? new MemoryJobStore()
+      : new MongoJobStore();
+    this.maxAttempts = parseInt(process.env.WEBHOOK_QUEUE_MAX_ATTEMPTS || '5');
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.started = false;
     this.processing = false;
-    this.maxRetries = 3;
-    this.retryDelay = 1000; // 1 second
-    this.maxQueueSize = 10000;
-    this.stats = {
-      processed: 0,
-      failed: 0,
-      retries: 0
-    };
+    this.pollTimer = null;
   }
 
   /**
-   * Add webhook to queue
+   * Waybill and idempotency key for a webhook payload.
+   * Scan pushes are keyed on waybill + status + status timestamp; image/EPOD
+   * pushes on waybill + content hash.
    */
-  async enqueue(webhookType, payload, metadata = {}) {
-    if (this.queue.length >= this.maxQueueSize) {
-      logger.error('⚠️ Webhook queue is full', {
-        queueSize: this.queue.length,
-        maxSize: this.maxQueueSize
-      });
-      throw new Error('Webhook queue is full');
+  describePayload(webhookType, payload = {}) {
+    switch (webhookType) {
+      case 'scan-status': {
+        const shipment = payload.Shipment || {};
+        const status = shipment.Status || {};
+        const timestamp = status.StatusDateTime || hashPayload(payload);
+        return {
+          waybill: shipment.AWB,
+          idempotencyKey: `scan-status:${shipment.AWB}:${status.Status}:${status.StatusType || ''}:${timestamp}`
+        };
+      }
+      case 'epod':
+        return { waybill: payload.waybill, idempotencyKey: `epod:${payload.waybill}:${hashPayload(payload.EPOD || '')}` };
+      case 'sorter-image':
+        return { waybill: payload.Waybill, idempotencyKey: `sorter-image:${payload.Waybill}:${hashPayload(payload.Weight_images || '')}` };
+      case 'qc-image':
+        return { waybill: payload.waybillId, idempotencyKey: `qc-image:${payload.waybillId}:${hashPayload(payload.Image || '')}` };
+      default:
+        return { waybill: null, idempotencyKey: `${webhookType}:${hashPayload(payload)}` };
     }
+  }
+
+  /**
+   * Add webhook to queue. The job is persisted before this resolves, so a
+   * 200 to the carrier means the push survives a restart.
+   * @returns {Promise<string>} Job id (the existing job's id for duplicates)
+   */
+  async enqueue(webhookType, payload, metadata = {}) {
+    const { waybill, idempotencyKey } = this.describePayload(webhookType, payload);
 
-    const job = {
-      id: `job_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    const { job, duplicate } = await this.store.add({
+      job_id: `job_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
       type: webhookType,
+      idempotency_key: idempotencyKey,
+      waybill,
       payload,
-      metadata: {
-        ...metadata,
-        attempts: 0,
-        createdAt: new Date(),
-        queuedAt: new Date()
-      }
-    };
+      metadata: { ...metadata, queuedAt: new Date() },
+      max_attempts: this.maxAttempts
+    });
+
+    if (duplicate) {
+      logger.info('⚠️ Duplicate webhook ignored by queue', {
+        jobId: job.job_id,
+        type: webhookType,
+        waybill,
+        status: job.status
+      });
+      return job.job_id;
+    }
 
-    this.queue.push(job);
     logger.debug('📥 Webhook queued', {
-      jobId: job.id,
+      jobId: job.job_id,
       type: webhookType,
-      queueSize: this.queue.length
+      waybill,
+      backend: this.store.name
     });
 
-    // Start processing if not already running
-    if (!this.processing) {
-      this.processQueue();
+    this.start();
+    this.kick();
+    return job.job_id;
+  }
+
+  /**
+   * Start the polling worker (idempotent). Called from server.js once the
+   * database is connected so jobs left over from a previous process resume.
+   */
+  start() {
+    if (this.started) {
+      return;
+    }
+    this.started = true;
+    logger.info('✅ Webhook queue worker started', { backend: this.store.name, workerId: this.workerId });
+    this.kick();
+  }
+
+  stop() {
+    this.started = false;
+    if (this.pollTimer) {
+      clearTimeout(this.pollTimer);
+      this.pollTimer = null;
+    }
+  }
+
+  kick() {
+    if (this.processing || !this.started) {
+      return;
     }
+    if (this.pollTimer) {
+      clearTimeout(this.pollTimer);
+      this.pollTimer = null;
+    }
+    setImmediate(() => this.processQueue());
+  }
 
-    return job.id;
+  scheduleNextPoll() {
+    if (!this.started || this.pollTimer) {
+      return;
+    }
+    this.pollTimer = setTimeout(() => {
+      this.pollTimer = null;
+      this.processQueue();
+    }, POLL_INTERVAL_MS);
+    // Don't keep scripts that only enqueue alive
+    this.pollTimer.unref();
+  }
+
+  getRetryDelay(attempts) {
+    return Math.min(RETRY_BASE_DELAY_MS * Math.pow(2, Math.max(attempts - 1, 0)), RETRY_MAX_DELAY_MS);
   }
 
   /**
-   * Process queue with retry mechanism
-   * FIXED: Process jobs asynchronously to prevent event loop blocking
+   * Drain due jobs one at a time, yielding to the event loop between jobs
    */
   async processQueue() {
-    if (this.processing || this.queue.length === 0) {
+    if (this.processing) {
       return;
     }
-
     this.processing = true;
 
-    // Process jobs one at a time with delays to prevent blocking
-    const processNext = async () => {
-      try {
-        if (this.queue.length === 0) {
-          this.processing = false;
-          return;
-        }
-
-        const job = this.queue.shift();
-        
-        try {
-          // Add timeout to prevent hanging jobs
-          const jobTimeout = 30000; // 30 seconds max per job
-          const jobPromise = this.processJob(job);
-          const timeoutPromise = new Promise((_, reject) => {
-            setTimeout(() => reject(new Error('Job processing timeout')), jobTimeout);
-          });
-          
-          await Promise.race([jobPromise, timeoutPromise]);
-          this.stats.processed++;
-          
-          // Yield control back to event loop before processing next job
-          setImmediate(() => processNext());
-        } catch (error) {
-          logger.error('❌ Job processing failed', {
-            jobId: job.id,
-            error: error.message,
-            attempts: job.metadata.attempts,
-            stack: error.stack
-          });
-
-          // Retry with exponential backoff
-          if (job.metadata.attempts < this.maxRetries) {
-            job.metadata.attempts++;
-            job.metadata.lastError = error.message;
-            this.stats.retries++;
-            
-            const delay = this.retryDelay * Math.pow(2, job.metadata.attempts - 1);
-            
-            setTimeout(() => {
-              // Safety check: don't add to queue if it's too large
-              if (this.queue.length < this.maxQueueSize) {
-                this.queue.push(job);
-                // Trigger processing if queue is not being processed
-                if (!this.processing) {
-                  this.processQueue();
-                }
-              } else {
-                logger.error('⚠️ Queue full, dropping retry job', {
-                  jobId: job.id,
-                  queueSize: this.queue.length
-                });
-                this.stats.failed++;
-              }
-            }, delay);
-
-            logger.info('🔄 Job queued for retry', {
-              jobId: job.id,
-              attempt: job.metadata.attempts,
-              delay: `${delay}ms`
-            });
-          } else {
-            this.stats.failed++;
-            logger.error('💀 Job failed after max retries', {
-              jobId: job.id,
-              attempts: job.metadata.attempts,
-              error: error.message
-            });
-          }
-          
-          // Continue processing next job even if current one failed
-          setImmediate(() => processNext());
-        }
-      } catch (error) {
-        // Critical error in processNext itself - prevent infinite loop
-        logger.error('❌ Critical error in queue processor', {
-          error: error.message,
-          stack: error.stack,
-          queueLength: this.queue.length
+    try {
+      const recovered = await this.store.recoverStale(LEASE_MS);
+      if (recovered > 0) {
+        logger.warn('🔄 Re-queued webhook jobs with expired leases', { recovered });
+      }
+
+      let job = await this.store.claimNext(this.workerId);
+      while (job) {
+        await this.runJob(job);
+        await new Promise(resolve => setImmediate(resolve));
+        job = this.started ? await this.store.claimNext(this.workerId) : null;
+      }
+    } catch (error) {
+      // Store unavailable (e.g. DB reconnecting) - try again on the next poll
+      logger.error('❌ Critical error in queue processor', {
+        error: error.message,
+        stack: error.stack
+      });
+    } finally {
+      this.processing = false;
+      this.scheduleNextPoll();
+    }
+  }
+
+  async runJob(job) {
+    // A job recovered after a crash may already have used all its attempts
+    if (job.attempts > job.max_attempts) {
+      await this.store.fail(job, job.last_error || 'Max attempts exceeded', null);
+      return;
+    }
+
+    let timeoutId;
+    try {
+      const timeoutPromise = new Promise((_, reject) => {
+        timeoutId = setTimeout(() => reject(new Error('Job processing timeout')), JOB_TIMEOUT_MS);
+      });
+      const result = await Promise.race([this.processJob(job), timeoutPromise]);
+      await this.store.complete(job, this.summarizeResult(result));
+    } catch (error) {
+      const retryAt = job.attempts < job.max_attempts
+        ? new Date(Date.now() + this.getRetryDelay(job.attempts))
+        : null;
+      const status = await this.store.fail(job, error.message, retryAt);
+
+      if (status === 'dead') {
+        logger.error('💀 Job moved to dead letter after max attempts', {
+          jobId: job.job_id,
+          type: job.type,
+          waybill: job.waybill,
+          attempts: job.attempts,
+          error: error.message
+        });
+      } else {
+        logger.info('🔄 Job queued for retry', {
+          jobId: job.job_id,
+          attempt: job.attempts,
+          retryAt,
+          error: error.message
         });
-        this.processing = false;
-        
-        // Try to restart processing after a delay if queue still has items
-        if (this.queue.length > 0) {
-          setTimeout(() => {
-            if (!this.processing && this.queue.length > 0) {
-              logger.info('🔄 Restarting queue processing after error');
-              this.processQueue();
-            }
-          }, 5000);
-        }
       }
-    };
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
 
-    // Start processing
-    setImmediate(() => processNext());
+  // Keep stored results small - webhook handlers may echo large payloads
+  summarizeResult(result) {
+    if (!result || typeof result !== 'object') {
+      return result ?? null;
+    }
+    const { success, message, duplicate, waybill, duration } = result;
+    return { success, message, duplicate, waybill, duration };
   }
 
   /**
@@ -172,9 +238,9 @@ class WebhookQueue {
     const webhookService = require('../services/webhookService');
 
     logger.info('🔄 Processing webhook job', {
-      jobId: job.id,
+      jobId: job.job_id,
       type: job.type,
-      attempts: job.metadata.attempts
+      attempts: job.attempts
     });
 
     let result;
@@ -197,7 +263,7 @@ class WebhookQueue {
 
     const duration = Date.now() - startTime;
     logger.info('✅ Job processed successfully', {
-      jobId: job.id,
+      jobId: job.job_id,
       type: job.type,
       duration: `${duration}ms`
     });
@@ -206,24 +272,50 @@ class WebhookQueue {
   }
 
   /**
-   * Get queue statistics
+   * Get queue statistics from the job store
    */
-  getStats() {
+  async getStats() {
+    const { counts, retries, byType, oldestQueuedAt } = await this.store.stats();
     return {
-      queueSize: this.queue.length,
+      backend: this.store.name,
+      queueSize: counts.queued + counts.processing,
       processing: this.processing,
-      stats: { ...this.stats }
+      oldestQueuedAt,
+      stats: {
+        processed: counts.completed,
+        failed: counts.dead,
+        retries,
+        ...counts
+      },
+      byType
     };
   }
 
   /**
-   * Clear queue (for testing)
+   * List jobs for the admin dead-letter view
    */
-  clear() {
-    this.queue = [];
-    this.processing = false;
+  async listJobs(filter = {}, pagination = {}) {
+    return this.store.list(filter, pagination);
+  }
+
+  async getJob(jobId) {
+    return this.store.get(jobId);
+  }
+
+  /**
+   * Re-queue dead jobs matching the filter with a fresh attempt budget
+   * @param {{jobIds?: string[], type?: string, waybill?: string}} filter
+   * @returns {Promise<number>} Jobs re-queued
+   */
+  async redrive(filter = {}) {
+    const count = await this.store.redrive(filter);
+    if (count > 0) {
+      logger.info('♻️ Dead webhook jobs re-driven', { count, filter });
+      this.start();
+      this.kick();
+    }
+    return count;
   }
 }
 
 module.exports = new WebhookQueue();
-
@@ -13,6 +13,8 @@ import Profile from './pages/Profile';
 import Orders from './pages/Orders';
 import Packages from './pages/Packages';
 import NDR from './pages/NDR';
+import NDRRules from './pages/NDRRules';
+import NDRResponse from './pages/NDRResponse';
 import Support from './pages/Support';
 import TicketDetail from './pages/TicketDetail';
 import Tools from './pages/Tools';
@@ -21,6 +23,9 @@ import PaymentConfirmation from './pages/PaymentConfirmation';
 import Remittances from './pages/Remittances';
 import RemittanceDetail from './pages/RemittanceDetail';
 import WeightDiscrepancies from './pages/WeightDiscrepancies';
+import Manifests from './pages/Manifests';
+import ReturnRequests from './pages/ReturnRequests';
+import Exchanges from './pages/Exchanges';
 import AddWarehouse from './pages/AddWarehouse';
 import WarehouseManagement from './pages/WarehouseManagement';
 // import Settings from './pages/Settings'; // Replaced with AccountSettings
@@ -33,10 +38,14 @@ import Contact from './pages/Contact';
 import About from './pages/About';
 import Tracking from './pages/Tracking';
 import TrackingDetail from './pages/TrackingDetail';
+import BrandedTracking from './pages/BrandedTracking';
+import ReturnsPortal from './pages/ReturnsPortal';
 import PublicRateCalculator from './pages/PublicRateCalculator';
 import Channel from './pages/Channel';
 import AccountSettings from './pages/AccountSettings';
 import ManageLabel from './pages/ManageLabel';
+import TrackingPageSettings from './pages/TrackingPageSettings';
+import RtoRiskSettings from './pages/RtoRiskSettings';
 import AssignCourier from './pages/AssignCourier';
 import Customers from './pages/Customers';
 import InvoiceList from './pages/InvoiceList';
@@ -53,9 +62,11 @@ import AdminTicketSummary from './pages/AdminTicketSummary';
 import AdminStaffManagement from './pages/AdminStaffManagement';
 import AdminRateCard from './pages/AdminRateCard';
 import AdminRateCardCategory from './pages/AdminRateCardCategory';
+import AdminAuditLog from './pages/AdminAuditLog';
 import AdminWalletRecharge from './pages/AdminWalletRecharge';
 import AdminWeightDiscrepancies from './pages/AdminWeightDiscrepancies';
 import AdminBilling from './pages/AdminBilling';
+import AdminBillingCycles from './pages/AdminBillingCycles';
 import AdminRemittances from './pages/AdminRemittances';
 import AdminOrders from './pages/AdminOrders';
 import AdminNDR from './pages/AdminNDR';
@@ -79,7 +90,11 @@ function App() {
             <Route path="/contact" element={<Contact />} />
             <Route path="/tracking" element={<Tracking />} />
             <Route path="/tracking/detail" element={<TrackingDetail />} />
+            <Route path="/track/:slug" element={<BrandedTracking />} />
+            <Route path="/track/:slug/:awb" element={<BrandedTracking />} />
+            <Route path="/returns/:slug" element={<ReturnsPortal />} />
             <Route path="/rate-calculator" element={<PublicRateCalculator />} />
+            <Route path="/ndr-response/:token" element={<NDRResponse />} />
             <Route path="/privacy-policy" element={<PrivacyPolicy />} />
             <Route path="/terms-conditions" element={<TermsConditions />} />
             <Route path="/return-policy" element={<ReturnPolicy />} />
@@ -146,6 +161,14 @@ function App() {
                 </ProtectedRoute>
               } 
             />
+            <Route 
+              path="/ndr/rules" 
+              element={
+                <ProtectedRoute>
+                  <NDRRules />
+                </ProtectedRoute>
+              } 
+            />
             <Route 
               path="/support" 
               element={
@@ -242,6 +265,30 @@ function App() {
                 </ProtectedRoute>
               } 
             />
+            <Route
+              path="/manifests"
+              element={
+                <ProtectedRoute>
+                  <Manifests />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/return-requests"
+              element={
+                <ProtectedRoute>
+                  <ReturnRequests />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/exchanges"
+              element={
+                <ProtectedRoute>
+                  <Exchanges />
+                </ProtectedRoute>
+              }
+            />
             <Route 
               path="/warehouse" 
               element={
@@ -314,6 +361,22 @@ function App() {
                 </ProtectedRoute>
               } 
             />
+            <Route
+              path="/settings/tracking-page"
+              element={
+                <ProtectedRoute>
+                  <TrackingPageSettings />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/settings/rto-risk"
+              element={
+                <ProtectedRoute>
+                  <RtoRiskSettings />
+                </ProtectedRoute>
+              }
+            />
             
             {/* Admin Protected Routes */}
             <Route 
@@ -388,6 +451,14 @@ function App() {
                 </AdminLayout>
               } 
             />
+            <Route 
+              path="/admin/billing-cycles" 
+              element={
+                <AdminLayout>
+                  <AdminBillingCycles />
+                </AdminLayout>
+              } 
+            />
             <Route 
               path="/admin/remittances" 
               element={
@@ -452,6 +523,14 @@ function App() {
                 </AdminLayout>
               } 
             />
+            <Route 
+              path="/admin/audit-log" 
+              element={
+                <AdminLayout>
+                  <AdminAuditLog />
+                </AdminLayout>
+              } 
+            />
             
             {/* Catch all route */}
             <Route path="*" element={<Navigate to="/dashboard" replace />} />
@@ -1,7 +1,18 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate, useLocation } from 'react-router-dom';
+import { adminService } from '../services/adminService';
+import {
+  clearAdminSession,
+  getAdminProfile,
+  getAdminToken,
+  getAdminTokenExpiry,
+  saveAdminSession
+} from '../utils/adminSession';
 import './AdminLayout.css';
 
+// Refresh the session token when it has less than this left
+const REFRESH_BEFORE_EXPIRY_MS = 5 * 60 * 1000;
+
 interface AdminLayoutProps {
   children: React.ReactNode;
 }
@@ -12,53 +23,65 @@ const AdminLayout: React.FC<AdminLayoutProps> = ({ children }) => {
   const location = useLocation();
 
   useEffect(() => {
-    // Check if admin or staff is authenticated
-    const isAuthenticated = localStorage.getItem('admin_authenticated');
-    const isStaff = localStorage.getItem('is_staff') === 'true';
-    if (!isAuthenticated && !isStaff) {
+    // Sessions from older builds have no token and must log in again
+    if (!getAdminToken()) {
+      clearAdminSession();
       navigate('/admin/login');
+      return;
     }
+
+    const refreshIfNeeded = async () => {
+      const expiresAt = getAdminTokenExpiry();
+      if (!expiresAt || expiresAt - Date.now() > REFRESH_BEFORE_EXPIRY_MS) return;
+
+      if (expiresAt <= Date.now()) {
+        clearAdminSession();
+        navigate('/admin/login');
+        return;
+      }
+
+      try {
+        saveAdminSession(await adminService.refreshSession());
+      } catch (error) {
+        // A 401 is handled by apiService (redirects to the admin login)
+        console.error('Admin session refresh failed:', error);
+      }
+    };
+
+    refreshIfNeeded();
+    const interval = setInterval(refreshIfNeeded, 60 * 1000);
+    return () => clearInterval(interval);
   }, [navigate]);
 
-  const handleLogout = () => {
-    localStorage.removeItem('admin_authenticated');
-    localStorage.removeItem('admin_email');
-    localStorage.removeItem('admin_password');
-    localStorage.removeItem('admin_role');
-    localStorage.removeItem('is_staff');
-    localStorage.removeItem('staff_name');
-    localStorage.removeItem('staff_email');
+  const handleLogout = async () => {
+    try {
+      await adminService.logout();
+    } catch (error) {
+      console.error('Admin logout failed:', error);
+    }
+    clearAdminSession();
     navigate('/admin/login');
   };
 
-  // Check if current user is staff (not admin)
-  const isStaff = localStorage.getItem('is_staff') === 'true';
+  const profile = getAdminProfile();
+  const permissions = profile?.permissions || [];
 
+  // Items without a permission are visible to every admin/staff member
   const menuItems = [
     { path: '/admin/dashboard', label: 'Dashboard', icon: '📊' },
-    { path: '/admin/clients', label: 'Clients', icon: '👥' },
-    { path: '/admin/tickets', label: 'Tickets', icon: '🎫' },
-    { path: '/admin/billing', label: 'Billing', icon: '💰' },
-    { path: '/admin/remittances', label: 'Remittances', icon: '💸' },
-    { path: '/admin/orders', label: 'Orders', icon: '📦' },
-    { path: '/admin/ndr', label: 'NDR', icon: '📋' },
-    { path: '/admin/wallet-recharge', label: 'Wallet Recharge', icon: '💳' },
-    { path: '/admin/weight-discrepancies', label: 'Weight Discrepancies', icon: '⚖️' },
-    // Staff Management - only visible to admins
-    ...(isStaff ? [] : [{ path: '/admin/staff-management', label: 'Staff Management', icon: '👤' }]),
-    // Rate Card Management - only visible to admins
-    ...(isStaff ? [] : [{ path: '/admin/ratecard', label: 'Rate Card Management', icon: '💲' }]),
-  ];
-
-  // Debug: Log menu items to verify they're being added
-  useEffect(() => {
-    console.log('Admin Layout - isStaff:', isStaff);
-    console.log('Admin Layout - menuItems count:', menuItems.length);
-    console.log('Admin Layout - menuItems:', menuItems.map(m => m.label));
-    const rateCardItem = menuItems.find(m => m.path === '/admin/ratecard');
-    console.log('Admin Layout - Rate Card item:', rateCardItem);
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [isStaff, menuItems.length]);
+    { path: '/admin/clients', label: 'Clients', icon: '👥', permission: 'clients.view' },
+    { path: '/admin/tickets', label: 'Tickets', icon: '🎫', permission: 'tickets' },
+    { path: '/admin/billing', label: 'Billing', icon: '💰', permission: 'billing' },
+    { path: '/admin/billing-cycles', label: 'Billing Cycles', icon: '🗓️', permission: 'billing' },
+    { path: '/admin/remittances', label: 'Remittances', icon: '💸', permission: 'remittances' },
+    { path: '/admin/orders', label: 'Orders', icon: '📦', permission: 'orders.view' },
+    { path: '/admin/ndr', label: 'NDR', icon: '📋', permission: 'ndr.view' },
+    { path: '/admin/wallet-recharge', label: 'Wallet Recharge', icon: '💳', permission: 'wallet.recharge' },
+    { path: '/admin/weight-discrepancies', label: 'Weight Discrepancies', icon: '⚖️', permission: 'weight_discrepancies' },
+    { path: '/admin/staff-management', label: 'Staff Management', icon: '👤', permission: 'staff.manage' },
+    { path: '/admin/ratecard', label: 'Rate Card Management', icon: '💲', permission: 'ratecard.edit' },
+    { path: '/admin/audit-log', label: 'Audit Log', icon: '🧾', permission: 'audit.view' },
+  ].filter(item => !item.permission || permissions.includes(item.permission));
 
   const isActivePath = (path: string) => {
     if (path === '/admin/ratecard') {
@@ -116,9 +139,9 @@ const AdminLayout: React.FC<AdminLayoutProps> = ({ children }) => {
           </div>
           <div className="header-right">
             <span className="admin-email">
-              {isStaff 
-                ? localStorage.getItem('staff_name') || localStorage.getItem('staff_email') || 'Staff'
-                : localStorage.getItem('admin_email') || 'Admin'}
+              {profile?.is_super_admin
+                ? profile.email
+                : profile?.name || profile?.email || 'Staff'}
             </span>
           </div>
         </header>
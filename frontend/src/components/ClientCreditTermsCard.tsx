@@ -0,0 +1,289 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { adminService, AdminCreditTerms, AdminUnpaidInvoice } from '../services/adminService';
+import './ClientCreditTermsCard.css';
+
+interface ClientCreditTermsCardProps {
+  clientId: string;
+}
+
+type OfflinePaymentMethod = 'bank_transfer' | 'upi' | 'razorpay';
+
+const formatCurrency = (value: number) => `₹${(value || 0).toFixed(2)}`;
+
+const formatDate = (value?: string) =>
+  value ? new Date(value).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' }) : '—';
+
+const ClientCreditTermsCard: React.FC<ClientCreditTermsCardProps> = ({ clientId }) => {
+  const [terms, setTerms] = useState<AdminCreditTerms | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [notice, setNotice] = useState<string | null>(null);
+
+  const [billingMode, setBillingMode] = useState<'prepaid' | 'postpaid'>('prepaid');
+  const [creditLimit, setCreditLimit] = useState('0');
+  const [paymentTermsDays, setPaymentTermsDays] = useState('15');
+  const [reason, setReason] = useState('');
+
+  const [paymentInvoice, setPaymentInvoice] = useState<AdminUnpaidInvoice | null>(null);
+  const [paymentAmount, setPaymentAmount] = useState('');
+  const [paymentMethod, setPaymentMethod] = useState<OfflinePaymentMethod>('bank_transfer');
+  const [paymentReference, setPaymentReference] = useState('');
+
+  const loadTerms = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await adminService.getClientCreditTerms(clientId);
+      const data = response?.data ?? null;
+      setTerms(data);
+      if (data) {
+        setBillingMode(data.billing_mode);
+        setCreditLimit(String(data.credit_limit ?? 0));
+        setPaymentTermsDays(String(data.payment_terms_days ?? 15));
+      }
+    } catch (err: any) {
+      setError(err.response?.data?.message || err.message || 'Failed to load credit terms.');
+    } finally {
+      setLoading(false);
+    }
+  }, [clientId]);
+
+  useEffect(() => {
+    loadTerms();
+  }, [loadTerms]);
+
+  const runAction = async (action: () => Promise<{ message: string }>) => {
+    setSaving(true);
+    setError(null);
+    setNotice(null);
+    try {
+      const response = await action();
+      setNotice(response.message);
+      setReason('');
+      await loadTerms();
+      return true;
+    } catch (err: any) {
+      setError(err.response?.data?.message || err.message || 'Request failed.');
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSaveTerms = () =>
+    runAction(() => adminService.updateClientCreditTerms(clientId, {
+      billing_mode: billingMode,
+      credit_limit: parseFloat(creditLimit) || 0,
+      payment_terms_days: parseInt(paymentTermsDays, 10) || 15,
+      reason: reason.trim() || undefined
+    }));
+
+  const handleHold = (action: 'place' | 'release') =>
+    runAction(() => adminService.updateClientAccountHold(clientId, action, reason.trim() || undefined));
+
+  const handleRecordPayment = async () => {
+    if (!paymentInvoice) return;
+    const recorded = await runAction(() => adminService.recordInvoicePayment(paymentInvoice._id, {
+      amount: parseFloat(paymentAmount) || 0,
+      payment_method: paymentMethod,
+      payment_reference: paymentReference.trim() || undefined
+    }));
+    if (recorded) {
+      setPaymentInvoice(null);
+    }
+  };
+
+  const openPaymentForm = (invoice: AdminUnpaidInvoice) => {
+    setPaymentInvoice(invoice);
+    setPaymentAmount(String(invoice.balance_due));
+    setPaymentMethod('bank_transfer');
+    setPaymentReference('');
+  };
+
+  const hold = terms?.account_hold;
+
+  return (
+    <div className="transactions-card credit-terms-card">
+      <div className="transactions-header">
+        <div>
+          <h2>Credit Terms</h2>
+          {terms && (
+            <p>
+              Exposure: {formatCurrency(terms.exposure.total)} (unbilled {formatCurrency(terms.exposure.unbilled)} • outstanding {formatCurrency(terms.exposure.outstanding)})
+              {terms.billing_mode === 'postpaid' && <> • Available credit: {formatCurrency(terms.available_credit)}</>}
+            </p>
+          )}
+        </div>
+      </div>
+
+      {error && (
+        <div className="billing-error">
+          <span>{error}</span>
+          <button onClick={() => setError(null)}>Dismiss</button>
+        </div>
+      )}
+      {notice && <div className="credit-terms-notice">{notice}</div>}
+
+      {loading && !terms ? (
+        <div className="loading-indicator">Loading credit terms…</div>
+      ) : (
+        <>
+          <div className={`credit-hold-banner ${hold?.active ? 'active' : ''}`}>
+            {hold?.active ? (
+              <span>
+                <strong>On hold</strong> ({hold.source === 'manual' ? 'manual' : 'overdue invoice'}) since {formatDate(hold.placed_at)}: {hold.reason}
+              </span>
+            ) : (
+              <span>No account hold. New shipments are allowed.</span>
+            )}
+          </div>
+
+          <div className="credit-terms-form">
+            <label>
+              Billing Mode
+              <select
+                className="billing-select"
+                value={billingMode}
+                onChange={(event) => setBillingMode(event.target.value as 'prepaid' | 'postpaid')}
+              >
+                <option value="prepaid">Prepaid (wallet)</option>
+                <option value="postpaid">Postpaid (invoiced)</option>
+              </select>
+            </label>
+            <label>
+              Credit Limit (₹)
+              <input
+                type="number"
+                min="0"
+                className="billing-date"
+                value={creditLimit}
+                onChange={(event) => setCreditLimit(event.target.value)}
+              />
+            </label>
+            <label>
+              Payment Terms (days)
+              <input
+                type="number"
+                min="1"
+                max="90"
+                className="billing-date"
+                value={paymentTermsDays}
+                onChange={(event) => setPaymentTermsDays(event.target.value)}
+              />
+            </label>
+            <label className="credit-terms-reason">
+              Reason
+              <input
+                type="text"
+                className="billing-search-input"
+                placeholder="Recorded in the audit log"
+                value={reason}
+                onChange={(event) => setReason(event.target.value)}
+              />
+            </label>
+          </div>
+
+          <div className="credit-terms-actions">
+            <button className="reset-btn" onClick={handleSaveTerms} disabled={saving}>
+              Save Terms
+            </button>
+            {hold?.active ? (
+              <button className="reset-btn" onClick={() => handleHold('release')} disabled={saving}>
+                Release Hold
+              </button>
+            ) : (
+              <button
+                className="reset-btn danger"
+                onClick={() => handleHold('place')}
+                disabled={saving || !reason.trim()}
+                title={reason.trim() ? undefined : 'Enter a reason to place a hold'}
+              >
+                Place Hold
+              </button>
+            )}
+          </div>
+
+          <div className="table-responsive">
+            <table className="billing-table">
+              <thead>
+                <tr>
+                  <th>Invoice</th>
+                  <th>Due Date</th>
+                  <th>Status</th>
+                  <th className="numeric">Total</th>
+                  <th className="numeric">Balance Due</th>
+                  <th className="actions">Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {!terms || terms.unpaid_invoices.length === 0 ? (
+                  <tr>
+                    <td colSpan={6} className="table-empty">No unpaid invoices.</td>
+                  </tr>
+                ) : (
+                  terms.unpaid_invoices.map((invoice) => (
+                    <tr key={invoice._id}>
+                      <td>{invoice.invoice_number}</td>
+                      <td>{formatDate(invoice.due_date)}</td>
+                      <td>
+                        <span className={`badge ${invoice.payment_status === 'overdue' ? 'debit' : ''}`}>
+                          {invoice.payment_status.replace('_', ' ')}
+                        </span>
+                      </td>
+                      <td className="numeric">{formatCurrency(invoice.amounts?.grand_total)}</td>
+                      <td className="numeric danger">{formatCurrency(invoice.balance_due)}</td>
+                      <td className="actions">
+                        <button className="link-button" onClick={() => openPaymentForm(invoice)}>
+                          Record Payment
+                        </button>
+                      </td>
+                    </tr>
+                  ))
+                )}
+              </tbody>
+            </table>
+          </div>
+
+          {paymentInvoice && (
+            <div className="credit-payment-form">
+              <strong>Record payment for {paymentInvoice.invoice_number}</strong>
+              <input
+                type="number"
+                min="0"
+                max={paymentInvoice.balance_due}
+                className="billing-date"
+                value={paymentAmount}
+                onChange={(event) => setPaymentAmount(event.target.value)}
+              />
+              <select
+                className="billing-select"
+                value={paymentMethod}
+                onChange={(event) => setPaymentMethod(event.target.value as OfflinePaymentMethod)}
+              >
+                <option value="bank_transfer">Bank Transfer</option>
+                <option value="upi">UPI</option>
+                <option value="razorpay">Razorpay</option>
+              </select>
+              <input
+                type="text"
+                className="billing-search-input"
+                placeholder="UTR / reference"
+                value={paymentReference}
+                onChange={(event) => setPaymentReference(event.target.value)}
+              />
+              <button className="reset-btn" onClick={handleRecordPayment} disabled={saving || !(parseFloat(paymentAmount) > 0)}>
+                Save Payment
+              </button>
+              <button className="reset-btn" onClick={() => setPaymentInvoice(null)} disabled={saving}>
+                Cancel
+              </button>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ClientCreditTermsCard;
@@ -0,0 +1,375 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+  adminService,
+  AdminInvoiceNote,
+  AdminInvoiceNoteType,
+  AdminNoteInvoice,
+  AdminNoteSettlement
+} from '../services/adminService';
+import './ClientInvoiceNotesCard.css';
+
+interface ClientInvoiceNotesCardProps {
+  clientId: string;
+}
+
+const PAGE_SIZE = 10;
+
+const REASON_CODES: Record<AdminInvoiceNoteType, Array<{ value: string; label: string }>> = {
+  credit_note: [
+    { value: 'shipment_cancelled', label: 'Shipment cancelled' },
+    { value: 'weight_discrepancy_reversed', label: 'Weight discrepancy reversed' },
+    { value: 'rate_correction', label: 'Rate correction' },
+    { value: 'other', label: 'Other' }
+  ],
+  debit_note: [
+    { value: 'rto_charge', label: 'RTO charge' },
+    { value: 'weight_discrepancy', label: 'Weight discrepancy' },
+    { value: 'rate_correction', label: 'Rate correction' },
+    { value: 'other', label: 'Other' }
+  ]
+};
+
+const SETTLEMENT_LABELS: Record<AdminNoteSettlement, string> = {
+  wallet: 'Wallet',
+  invoice: 'Invoice balance',
+  none: 'Already settled'
+};
+
+const formatCurrency = (value: number) => `₹${(value || 0).toFixed(2)}`;
+
+const formatDate = (value?: string) =>
+  value ? new Date(value).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' }) : '—';
+
+const ClientInvoiceNotesCard: React.FC<ClientInvoiceNotesCardProps> = ({ clientId }) => {
+  const [notes, setNotes] = useState<AdminInvoiceNote[]>([]);
+  const [invoices, setInvoices] = useState<AdminNoteInvoice[]>([]);
+  const [typeFilter, setTypeFilter] = useState<AdminInvoiceNoteType | ''>('');
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [notice, setNotice] = useState<string | null>(null);
+
+  const [formOpen, setFormOpen] = useState(false);
+  const [invoiceId, setInvoiceId] = useState('');
+  const [noteType, setNoteType] = useState<AdminInvoiceNoteType>('credit_note');
+  const [reasonCode, setReasonCode] = useState('shipment_cancelled');
+  const [reason, setReason] = useState('');
+  const [awbNumber, setAwbNumber] = useState('');
+  const [description, setDescription] = useState('');
+  const [amount, setAmount] = useState('');
+  const [inclusiveOfGst, setInclusiveOfGst] = useState(false);
+  const [settlement, setSettlement] = useState<AdminNoteSettlement>('wallet');
+  const [transactionId, setTransactionId] = useState('');
+
+  const loadNotes = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const data = await adminService.getClientNotes(clientId, {
+        note_type: typeFilter,
+        page,
+        limit: PAGE_SIZE
+      });
+      setNotes(data.notes);
+      setInvoices(data.invoices);
+      setTotalPages(Math.max(data.pagination.total_pages, 1));
+    } catch (err: any) {
+      setError(err.response?.data?.message || err.message || 'Failed to load credit and debit notes.');
+    } finally {
+      setLoading(false);
+    }
+  }, [clientId, typeFilter, page]);
+
+  useEffect(() => {
+    loadNotes();
+  }, [loadNotes]);
+
+  const resetForm = () => {
+    setInvoiceId('');
+    setReason('');
+    setAwbNumber('');
+    setDescription('');
+    setAmount('');
+    setInclusiveOfGst(false);
+    setTransactionId('');
+  };
+
+  const handleNoteTypeChange = (value: AdminInvoiceNoteType) => {
+    setNoteType(value);
+    setReasonCode(REASON_CODES[value][0].value);
+  };
+
+  const handleIssue = async () => {
+    const invoice = invoices.find((item) => item._id === invoiceId);
+    if (!invoice) return;
+
+    const label = noteType === 'credit_note' ? 'credit' : 'debit';
+    if (!window.confirm(`Issue a ${label} note of ${formatCurrency(parseFloat(amount))}${inclusiveOfGst ? ' (incl. GST)' : ' + GST'} against ${invoice.invoice_number}?`)) {
+      return;
+    }
+
+    setSaving(true);
+    setError(null);
+    setNotice(null);
+    try {
+      const response = await adminService.issueInvoiceNote(invoiceId, {
+        note_type: noteType,
+        reason_code: reasonCode,
+        reason: reason.trim(),
+        line_items: [{
+          description: description.trim() || reason.trim(),
+          awb_number: awbNumber.trim() || undefined,
+          amount: parseFloat(amount)
+        }],
+        inclusive_of_gst: inclusiveOfGst,
+        settlement,
+        transaction_id: settlement === 'none' ? transactionId.trim() || undefined : undefined
+      });
+      setNotice(response.message);
+      resetForm();
+      setFormOpen(false);
+      await loadNotes();
+    } catch (err: any) {
+      setError(err.response?.data?.message || err.message || 'Failed to issue note.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDownload = async (note: AdminInvoiceNote) => {
+    try {
+      await adminService.downloadInvoiceNote(note._id, note.note_number);
+    } catch (err: any) {
+      setError(err.message || 'Failed to download note.');
+    }
+  };
+
+  const canIssue = Boolean(invoiceId) && Boolean(reason.trim()) && parseFloat(amount) > 0 && !saving;
+
+  return (
+    <div className="transactions-card invoice-notes-card">
+      <div className="transactions-header">
+        <div>
+          <h2>Credit &amp; Debit Notes</h2>
+          <p>GST notes issued against this client&apos;s invoices.</p>
+        </div>
+        <div className="invoice-notes-header-actions">
+          <select
+            className="billing-select"
+            value={typeFilter}
+            onChange={(event) => {
+              setPage(1);
+              setTypeFilter(event.target.value as AdminInvoiceNoteType | '');
+            }}
+          >
+            <option value="">All notes</option>
+            <option value="credit_note">Credit notes</option>
+            <option value="debit_note">Debit notes</option>
+          </select>
+          <button className="reset-btn" onClick={() => setFormOpen(!formOpen)} disabled={saving}>
+            {formOpen ? 'Close' : 'Issue Note'}
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="billing-error">
+          <span>{error}</span>
+          <button onClick={() => setError(null)}>Dismiss</button>
+        </div>
+      )}
+      {notice && <div className="invoice-notes-notice">{notice}</div>}
+
+      {formOpen && (
+        <div className="invoice-note-form">
+          <label>
+            Invoice
+            <select
+              className="billing-select"
+              value={invoiceId}
+              onChange={(event) => setInvoiceId(event.target.value)}
+            >
+              <option value="">Select invoice</option>
+              {invoices.map((invoice) => (
+                <option key={invoice._id} value={invoice._id}>
+                  {invoice.invoice_number} • {formatCurrency(invoice.amounts?.grand_total + (invoice.note_adjustment || 0))} • {invoice.payment_status.replace('_', ' ')}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label>
+            Note Type
+            <select
+              className="billing-select"
+              value={noteType}
+              onChange={(event) => handleNoteTypeChange(event.target.value as AdminInvoiceNoteType)}
+            >
+              <option value="credit_note">Credit note</option>
+              <option value="debit_note">Debit note</option>
+            </select>
+          </label>
+          <label>
+            Reason Code
+            <select
+              className="billing-select"
+              value={reasonCode}
+              onChange={(event) => setReasonCode(event.target.value)}
+            >
+              {REASON_CODES[noteType].map((option) => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </label>
+          <label className="invoice-note-wide">
+            Reason
+            <input
+              type="text"
+              className="billing-search-input"
+              placeholder="Printed on the note and recorded in the audit log"
+              value={reason}
+              onChange={(event) => setReason(event.target.value)}
+            />
+          </label>
+          <label>
+            AWB (optional)
+            <input
+              type="text"
+              className="billing-search-input"
+              placeholder="Must be on the invoice"
+              value={awbNumber}
+              onChange={(event) => setAwbNumber(event.target.value)}
+            />
+          </label>
+          <label className="invoice-note-wide">
+            Line Description
+            <input
+              type="text"
+              className="billing-search-input"
+              placeholder="Defaults to the reason"
+              value={description}
+              onChange={(event) => setDescription(event.target.value)}
+            />
+          </label>
+          <label>
+            Amount (₹)
+            <input
+              type="number"
+              min="0"
+              step="0.01"
+              className="billing-date"
+              value={amount}
+              onChange={(event) => setAmount(event.target.value)}
+            />
+          </label>
+          <label className="invoice-note-checkbox">
+            <input
+              type="checkbox"
+              checked={inclusiveOfGst}
+              onChange={(event) => setInclusiveOfGst(event.target.checked)}
+            />
+            Amount includes GST
+          </label>
+          <label>
+            Settle Through
+            <select
+              className="billing-select"
+              value={settlement}
+              onChange={(event) => setSettlement(event.target.value as AdminNoteSettlement)}
+            >
+              <option value="wallet">{noteType === 'credit_note' ? 'Credit wallet' : 'Debit wallet'}</option>
+              <option value="invoice">{noteType === 'credit_note' ? 'Reduce invoice balance' : 'Add to invoice balance'}</option>
+              <option value="none">Already settled</option>
+            </select>
+          </label>
+          {settlement === 'none' && (
+            <label>
+              Transaction ID (optional)
+              <input
+                type="text"
+                className="billing-search-input"
+                placeholder="Wallet transaction that moved the money"
+                value={transactionId}
+                onChange={(event) => setTransactionId(event.target.value)}
+              />
+            </label>
+          )}
+          <div className="invoice-note-form-actions">
+            <button className="reset-btn" onClick={handleIssue} disabled={!canIssue}>
+              {saving ? 'Issuing…' : 'Issue Note'}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {loading && notes.length === 0 ? (
+        <div className="loading-indicator">Loading notes…</div>
+      ) : (
+        <div className="table-responsive">
+          <table className="billing-table">
+            <thead>
+              <tr>
+                <th>Note</th>
+                <th>Date</th>
+                <th>Invoice</th>
+                <th>Reason</th>
+                <th>Settlement</th>
+                <th className="numeric">Total</th>
+                <th className="actions">Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {notes.length === 0 ? (
+                <tr>
+                  <td colSpan={7} className="table-empty">No credit or debit notes.</td>
+                </tr>
+              ) : (
+                notes.map((note) => (
+                  <tr key={note._id}>
+                    <td>
+                      <span className={`badge ${note.note_type === 'credit_note' ? 'credit' : 'debit'}`}>
+                        {note.note_type === 'credit_note' ? 'CN' : 'DN'}
+                      </span>{' '}
+                      {note.note_number}
+                    </td>
+                    <td>{formatDate(note.note_date)}</td>
+                    <td>{note.invoice_number}</td>
+                    <td>
+                      {note.reason}
+                      {note.issued_by && <div className="invoice-note-muted">by {note.issued_by}</div>}
+                    </td>
+                    <td>
+                      {SETTLEMENT_LABELS[note.wallet_effect.settlement]}
+                      {note.wallet_effect.amount > 0 && ` (${formatCurrency(note.wallet_effect.amount)})`}
+                    </td>
+                    <td className="numeric">{formatCurrency(note.amounts.total)}</td>
+                    <td className="actions">
+                      <button className="link-button" onClick={() => handleDownload(note)}>
+                        Download
+                      </button>
+                    </td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {totalPages > 1 && (
+        <div className="invoice-notes-pagination">
+          <button className="reset-btn" onClick={() => setPage(page - 1)} disabled={page === 1}>
+            Previous
+          </button>
+          <span>Page {page} of {totalPages}</span>
+          <button className="reset-btn" onClick={() => setPage(page + 1)} disabled={page >= totalPages}>
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ClientInvoiceNotesCard;
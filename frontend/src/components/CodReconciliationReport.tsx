@@ -0,0 +1,427 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  CodReconciliationReport as Report,
+  RemittanceLineStatus,
+  RemittanceReconciliation
+} from '../services/remittanceService';
+import './CodReconciliationReport.css';
+
+interface CodReconciliationReportProps {
+  loadReport: (minAgeDays: number) => Promise<Report>;
+  loadRemittance: (remittanceNumber: string) => Promise<RemittanceReconciliation>;
+  exportReport: (minAgeDays: number) => Promise<void>;
+  exportRemittance: (remittanceNumber: string) => Promise<void>;
+  // Admin report across sellers: show the seller of each row
+  showSeller?: boolean;
+  onSellerSelect?: (clientId: string) => void;
+}
+
+type ListTab = 'unremitted' | 'mismatches' | 'duplicates';
+
+const DEFAULT_MIN_AGE_DAYS = 7;
+
+const LINE_STATUS_LABELS: Record<RemittanceLineStatus, string> = {
+  matched: 'Matched',
+  amount_mismatch: 'Amount mismatch',
+  duplicate: 'Duplicate',
+  not_delivered: 'Not delivered',
+  not_cod: 'Not COD',
+  order_not_found: 'Order not found'
+};
+
+const formatCurrency = (amount: number | null) => (amount === null ? '-' : `₹ ${amount.toFixed(2)}`);
+
+const formatDate = (dateString: string | null) => {
+  if (!dateString) return '-';
+  const date = new Date(dateString);
+  return date.toLocaleDateString('en-GB', { day: '2-digit', month: 'short', year: 'numeric' });
+};
+
+/**
+ * COD reconciliation: delivered COD orders that were not remitted, remitted
+ * with a different amount, or remitted twice; plus a check of one remittance.
+ */
+const CodReconciliationReport: React.FC<CodReconciliationReportProps> = ({
+  loadReport,
+  loadRemittance,
+  exportReport,
+  exportRemittance,
+  showSeller = false,
+  onSellerSelect
+}) => {
+  const [minAgeDays, setMinAgeDays] = useState(DEFAULT_MIN_AGE_DAYS);
+  const [minAgeInput, setMinAgeInput] = useState(String(DEFAULT_MIN_AGE_DAYS));
+  const [report, setReport] = useState<Report | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [activeTab, setActiveTab] = useState<ListTab>('unremitted');
+  const [exporting, setExporting] = useState(false);
+  const [remittanceInput, setRemittanceInput] = useState('');
+  const [remittanceReport, setRemittanceReport] = useState<RemittanceReconciliation | null>(null);
+  const [remittanceLoading, setRemittanceLoading] = useState(false);
+  const [remittanceError, setRemittanceError] = useState<string | null>(null);
+
+  const fetchReport = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      setReport(await loadReport(minAgeDays));
+    } catch (err: any) {
+      setError(err.response?.data?.message || err.message || 'Failed to load COD reconciliation');
+      setReport(null);
+    } finally {
+      setLoading(false);
+    }
+  }, [loadReport, minAgeDays]);
+
+  useEffect(() => {
+    fetchReport();
+  }, [fetchReport]);
+
+  const sellerNames = new Map((report?.sellers || []).map(seller => [seller.user_id, seller.company_name]));
+
+  const handleApplyMinAge = (e: React.FormEvent) => {
+    e.preventDefault();
+    const days = parseInt(minAgeInput, 10);
+    if (Number.isNaN(days) || days < 0 || days > 365) {
+      alert('Enter a number of days between 0 and 365');
+      return;
+    }
+    setMinAgeDays(days);
+  };
+
+  const handleExport = async () => {
+    try {
+      setExporting(true);
+      await exportReport(minAgeDays);
+    } catch (err: any) {
+      alert(err.message || 'Failed to export COD reconciliation');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const handleCheckRemittance = async (e: React.FormEvent) => {
+    e.preventDefault();
+    const remittanceNumber = remittanceInput.trim();
+    if (!remittanceNumber) return;
+
+    setRemittanceLoading(true);
+    setRemittanceError(null);
+    setRemittanceReport(null);
+    try {
+      setRemittanceReport(await loadRemittance(remittanceNumber));
+    } catch (err: any) {
+      setRemittanceError(err.response?.data?.message || err.message || 'Failed to reconcile remittance');
+    } finally {
+      setRemittanceLoading(false);
+    }
+  };
+
+  const handleExportRemittance = async () => {
+    if (!remittanceReport) return;
+    try {
+      await exportRemittance(remittanceReport.remittance_number);
+    } catch (err: any) {
+      alert(err.message || 'Failed to export remittance reconciliation');
+    }
+  };
+
+  const sellerCell = (userId: string) => (showSeller ? <td>{sellerNames.get(userId) || userId}</td> : null);
+  const sellerHeader = showSeller ? <th>SELLER</th> : null;
+  const columnCount = (count: number) => (showSeller ? count + 1 : count);
+
+  const renderList = () => {
+    if (!report) return null;
+
+    if (activeTab === 'unremitted') {
+      return (
+        <table className="cod-recon-table">
+          <thead>
+            <tr>
+              <th>AWB NUMBER</th>
+              <th>ORDER ID</th>
+              {sellerHeader}
+              <th>DELIVERED ON</th>
+              <th>COD AMOUNT</th>
+              <th>AGE</th>
+            </tr>
+          </thead>
+          <tbody>
+            {report.unremitted.length === 0 ? (
+              <tr><td colSpan={columnCount(5)} className="empty-state">Every delivered COD order older than {report.min_age_days} days has been remitted</td></tr>
+            ) : report.unremitted.map(row => (
+              <tr key={row.awb_number}>
+                <td>{row.awb_number}</td>
+                <td>{row.order_id}</td>
+                {sellerCell(row.user_id)}
+                <td>{formatDate(row.delivered_date)}</td>
+                <td>{formatCurrency(row.cod_amount)}</td>
+                <td>
+                  <span className="cod-recon-bucket">{row.age_days === null ? 'Unknown' : `${row.age_days} days`}</span>
+                  {row.early_cod_advanced && <span className="cod-recon-early">Paid early</span>}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      );
+    }
+
+    if (activeTab === 'mismatches') {
+      return (
+        <table className="cod-recon-table">
+          <thead>
+            <tr>
+              <th>AWB NUMBER</th>
+              <th>ORDER ID</th>
+              {sellerHeader}
+              <th>COD AMOUNT</th>
+              <th>REMITTED</th>
+              <th>DIFFERENCE</th>
+              <th>REMITTANCE / UTR</th>
+            </tr>
+          </thead>
+          <tbody>
+            {report.mismatches.length === 0 ? (
+              <tr><td colSpan={columnCount(6)} className="empty-state">No amount mismatches</td></tr>
+            ) : report.mismatches.map(row => (
+              <tr key={row.awb_number}>
+                <td>{row.awb_number}</td>
+                <td>{row.order_id}</td>
+                {sellerCell(row.user_id)}
+                <td>{formatCurrency(row.cod_amount)}</td>
+                <td>{formatCurrency(row.remitted_amount)}</td>
+                <td className={row.difference < 0 ? 'cod-recon-short' : 'cod-recon-excess'}>
+                  {formatCurrency(row.difference)}
+                </td>
+                <td>{row.source === 'webhook' ? `UTR ${row.utr_number || '-'}` : row.remittance_numbers.join(', ')}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      );
+    }
+
+    return (
+      <table className="cod-recon-table">
+        <thead>
+          <tr>
+            <th>AWB NUMBER</th>
+            <th>ORDER ID</th>
+            {sellerHeader}
+            <th>COD AMOUNT</th>
+            <th>TIMES REMITTED</th>
+            <th>EXCESS</th>
+            <th>REMITTANCES</th>
+          </tr>
+        </thead>
+        <tbody>
+          {report.duplicates.length === 0 ? (
+            <tr><td colSpan={columnCount(6)} className="empty-state">No duplicate remittances</td></tr>
+          ) : report.duplicates.map(row => (
+            <tr key={row.awb_number}>
+              <td>{row.awb_number}</td>
+              <td>{row.order_id}</td>
+              {sellerCell(row.user_id)}
+              <td>{formatCurrency(row.cod_amount)}</td>
+              <td>{row.times_remitted}</td>
+              <td className="cod-recon-excess">{formatCurrency(row.excess_amount)}</td>
+              <td>{row.remittance_numbers.join(', ')}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    );
+  };
+
+  return (
+    <div className="cod-recon">
+      <div className="cod-recon-toolbar">
+        <form className="cod-recon-age" onSubmit={handleApplyMinAge}>
+          <label htmlFor="cod-recon-min-age">Unremitted after</label>
+          <input
+            id="cod-recon-min-age"
+            type="number"
+            min={0}
+            max={365}
+            value={minAgeInput}
+            onChange={(e) => setMinAgeInput(e.target.value)}
+          />
+          <span>days of delivery</span>
+          <button type="submit">Apply</button>
+        </form>
+        <button className="cod-recon-export" onClick={handleExport} disabled={exporting || loading}>
+          {exporting ? 'Exporting...' : '⬇ Export Excel'}
+        </button>
+      </div>
+
+      {error && <div className="cod-recon-error">{error}</div>}
+
+      {loading ? (
+        <div className="loading-state">Reconciling COD orders...</div>
+      ) : report && (
+        <>
+          <div className="cod-recon-summary">
+            <div className="cod-recon-card">
+              <span className="cod-recon-card-label">Delivered COD</span>
+              <span className="cod-recon-card-value">{formatCurrency(report.summary.delivered_cod_amount)}</span>
+              <span className="cod-recon-card-sub">{report.summary.delivered_cod_orders} orders</span>
+            </div>
+            <div className="cod-recon-card">
+              <span className="cod-recon-card-label">Remitted</span>
+              <span className="cod-recon-card-value">{formatCurrency(report.summary.remitted_amount)}</span>
+              <span className="cod-recon-card-sub">{report.summary.remitted_orders} orders</span>
+            </div>
+            <div className="cod-recon-card warning">
+              <span className="cod-recon-card-label">Unremitted</span>
+              <span className="cod-recon-card-value">{formatCurrency(report.summary.unremitted_amount)}</span>
+              <span className="cod-recon-card-sub">
+                {report.summary.unremitted_orders} orders · {report.summary.not_yet_due_orders} not yet due
+              </span>
+            </div>
+            <div className="cod-recon-card warning">
+              <span className="cod-recon-card-label">Amount mismatches</span>
+              <span className="cod-recon-card-value">{formatCurrency(report.summary.mismatch_difference)}</span>
+              <span className="cod-recon-card-sub">{report.summary.mismatch_orders} orders</span>
+            </div>
+            <div className="cod-recon-card warning">
+              <span className="cod-recon-card-label">Duplicate remittances</span>
+              <span className="cod-recon-card-value">{formatCurrency(report.summary.duplicate_amount)}</span>
+              <span className="cod-recon-card-sub">{report.summary.duplicate_orders} orders</span>
+            </div>
+          </div>
+
+          <div className="cod-recon-aging">
+            <h4>Unremitted by age</h4>
+            <div className="cod-recon-aging-buckets">
+              {report.aging.map(row => (
+                <div key={row.bucket} className={`cod-recon-aging-bucket ${row.count > 0 ? 'has-orders' : ''}`}>
+                  <span className="cod-recon-aging-label">{row.bucket}</span>
+                  <span className="cod-recon-aging-count">{row.count} orders</span>
+                  <span className="cod-recon-aging-amount">{formatCurrency(row.amount)}</span>
+                </div>
+              ))}
+            </div>
+          </div>
+
+          {showSeller && report.sellers && report.sellers.length > 0 && (
+            <div className="cod-recon-sellers">
+              <h4>Sellers with open items</h4>
+              <table className="cod-recon-table">
+                <thead>
+                  <tr>
+                    <th>SELLER</th>
+                    <th>UNREMITTED</th>
+                    <th>UNREMITTED AMOUNT</th>
+                    <th>MISMATCHES</th>
+                    <th>DUPLICATES</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {report.sellers.map(seller => (
+                    <tr key={seller.user_id}>
+                      <td>
+                        {onSellerSelect && seller.client_id ? (
+                          <button className="cod-recon-link" onClick={() => onSellerSelect(seller.client_id as string)}>
+                            {seller.company_name} ({seller.client_id})
+                          </button>
+                        ) : seller.company_name}
+                      </td>
+                      <td>{seller.unremitted_orders}</td>
+                      <td>{formatCurrency(seller.unremitted_amount)}</td>
+                      <td>{seller.mismatch_orders}</td>
+                      <td>{seller.duplicate_orders}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          <div className="cod-recon-tabs">
+            <button className={activeTab === 'unremitted' ? 'active' : ''} onClick={() => setActiveTab('unremitted')}>
+              Unremitted ({report.summary.unremitted_orders})
+            </button>
+            <button className={activeTab === 'mismatches' ? 'active' : ''} onClick={() => setActiveTab('mismatches')}>
+              Amount Mismatches ({report.summary.mismatch_orders})
+            </button>
+            <button className={activeTab === 'duplicates' ? 'active' : ''} onClick={() => setActiveTab('duplicates')}>
+              Duplicate Remittances ({report.summary.duplicate_orders})
+            </button>
+          </div>
+          {report.truncated && (
+            <p className="cod-recon-note">Only the first rows of each list are shown. Export to Excel for the full list.</p>
+          )}
+          <div className="cod-recon-table-container">{renderList()}</div>
+        </>
+      )}
+
+      <div className="cod-recon-remittance">
+        <h4>Check a remittance</h4>
+        <form className="cod-recon-remittance-form" onSubmit={handleCheckRemittance}>
+          <input
+            type="text"
+            placeholder="Remittance Number"
+            value={remittanceInput}
+            onChange={(e) => setRemittanceInput(e.target.value)}
+          />
+          <button type="submit" disabled={remittanceLoading || !remittanceInput.trim()}>
+            {remittanceLoading ? 'Checking...' : 'Check'}
+          </button>
+        </form>
+        {remittanceError && <div className="cod-recon-error">{remittanceError}</div>}
+        {remittanceReport && (
+          <>
+            <div className="cod-recon-remittance-summary">
+              <span><strong>{remittanceReport.remittance_number}</strong> · {formatDate(remittanceReport.date)}</span>
+              <span>{remittanceReport.summary.total_lines} AWBs · collected {formatCurrency(remittanceReport.summary.total_collected)}</span>
+              <span>
+                {(Object.keys(LINE_STATUS_LABELS) as RemittanceLineStatus[])
+                  .filter(status => remittanceReport.summary[status] > 0)
+                  .map(status => `${LINE_STATUS_LABELS[status]}: ${remittanceReport.summary[status]}`)
+                  .join(' · ')}
+              </span>
+              <button className="cod-recon-export" onClick={handleExportRemittance}>⬇ Export Excel</button>
+            </div>
+            <div className="cod-recon-table-container">
+              <table className="cod-recon-table">
+                <thead>
+                  <tr>
+                    <th>AWB NUMBER</th>
+                    <th>ORDER ID</th>
+                    <th>ORDER STATUS</th>
+                    <th>COD AMOUNT</th>
+                    <th>COLLECTED</th>
+                    <th>DIFFERENCE</th>
+                    <th>RESULT</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {remittanceReport.lines.map((line, index) => (
+                    <tr key={`${line.awb_number}-${index}`}>
+                      <td>{line.awb_number}</td>
+                      <td>{line.order_id || '-'}</td>
+                      <td>{line.order_status || '-'}</td>
+                      <td>{formatCurrency(line.cod_amount)}</td>
+                      <td>{formatCurrency(line.amount_collected)}</td>
+                      <td>{formatCurrency(line.difference)}</td>
+                      <td>
+                        <span className={`cod-recon-status ${line.status}`}>{LINE_STATUS_LABELS[line.status]}</span>
+                        {line.other_remittances.length > 0 && (
+                          <span className="cod-recon-also-in">Also in {line.other_remittances.join(', ')}</span>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CodReconciliationReport;
@@ -0,0 +1,276 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  CodAdvance,
+  EarlyCodPayoutMode,
+  EarlyCodPlan,
+  EarlyCodSummary
+} from '../services/remittanceService';
+import './EarlyCodPanel.css';
+
+export interface EarlyCodPlanChanges {
+  enabled?: boolean;
+  days?: number;
+  payout_mode?: EarlyCodPayoutMode;
+  fee_percent?: number | null;
+}
+
+interface EarlyCodPanelProps {
+  loadSummary: (page: number) => Promise<EarlyCodSummary & { has_bank_details: boolean }>;
+  savePlan: (changes: EarlyCodPlanChanges) => Promise<EarlyCodPlan>;
+  // Admin: the fee can be overridden per seller
+  allowFee?: boolean;
+}
+
+const formatCurrency = (amount: number | undefined | null) =>
+  (amount === undefined || amount === null ? '-' : `₹ ${amount.toFixed(2)}`);
+
+const formatDate = (dateString?: string | null) => {
+  if (!dateString) return '-';
+  const date = new Date(dateString);
+  return date.toLocaleDateString('en-GB', { day: '2-digit', month: 'short', year: 'numeric' });
+};
+
+const advanceStatus = (advance: CodAdvance) => {
+  if (advance.status === 'payout_pending') return { label: 'Bank transfer pending', className: 'pending' };
+  if (advance.settlement?.adjustment_pending) return { label: 'Shortfall due', className: 'pending' };
+  if (advance.settlement?.settled_at) return { label: 'Settled', className: 'settled' };
+  return { label: 'Awaiting courier', className: 'awaiting' };
+};
+
+/**
+ * Early COD plan: COD paid out a few days after delivery instead of waiting
+ * for the courier's remittance, for a fee.
+ */
+const EarlyCodPanel: React.FC<EarlyCodPanelProps> = ({ loadSummary, savePlan, allowFee = false }) => {
+  const [summary, setSummary] = useState<(EarlyCodSummary & { has_bank_details: boolean }) | null>(null);
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [notice, setNotice] = useState<string | null>(null);
+  const [days, setDays] = useState(2);
+  const [payoutMode, setPayoutMode] = useState<EarlyCodPayoutMode>('wallet');
+  const [feeInput, setFeeInput] = useState('');
+
+  const applyPlan = (plan: EarlyCodPlan) => {
+    setDays(plan.days);
+    setPayoutMode(plan.payout_mode);
+    setFeeInput(plan.fee_is_default ? '' : String(plan.fee_percent));
+  };
+
+  const fetchSummary = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const data = await loadSummary(page);
+      setSummary(data);
+      applyPlan(data.plan);
+    } catch (err: any) {
+      setError(err.response?.data?.message || err.message || 'Failed to load early COD plan');
+      setSummary(null);
+    } finally {
+      setLoading(false);
+    }
+  }, [loadSummary, page]);
+
+  useEffect(() => {
+    fetchSummary();
+  }, [fetchSummary]);
+
+  const handleSave = async (changes: EarlyCodPlanChanges) => {
+    setSaving(true);
+    setError(null);
+    setNotice(null);
+    try {
+      const plan = await savePlan(changes);
+      setSummary(prev => (prev ? { ...prev, plan } : prev));
+      applyPlan(plan);
+      setNotice(plan.enabled ? 'Early COD plan saved' : 'Early COD turned off');
+    } catch (err: any) {
+      setError(err.response?.data?.message || err.message || 'Failed to save early COD plan');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const planChanges = (): EarlyCodPlanChanges => {
+    const changes: EarlyCodPlanChanges = { days, payout_mode: payoutMode };
+    if (allowFee) {
+      changes.fee_percent = feeInput.trim() === '' ? null : parseFloat(feeInput);
+    }
+    return changes;
+  };
+
+  if (loading && !summary) {
+    return <div className="early-cod"><div className="loading-state">Loading early COD plan...</div></div>;
+  }
+
+  if (!summary) {
+    return (
+      <div className="early-cod">
+        {error && <div className="early-cod-error">{error}</div>}
+      </div>
+    );
+  }
+
+  const { plan, stats, advances, pagination } = summary;
+  const bankBlocked = payoutMode === 'bank' && !summary.has_bank_details;
+
+  return (
+    <div className="early-cod">
+      {error && <div className="early-cod-error">{error}</div>}
+      {notice && <div className="early-cod-notice">{notice}</div>}
+
+      <div className="early-cod-plan">
+        <div className="early-cod-plan-header">
+          <div>
+            <h4>Early COD {plan.enabled ? <span className="early-cod-badge on">On</span> : <span className="early-cod-badge">Off</span>}</h4>
+            <p className="early-cod-plan-text">
+              Get COD {plan.days} {plan.days === 1 ? 'day' : 'days'} after delivery instead of waiting for the courier.
+              A fee of {plan.fee_percent}% of the COD amount is charged on each order.
+              {plan.enabled && plan.opted_in_at && ` Orders delivered after ${formatDate(plan.opted_in_at)} are covered.`}
+            </p>
+          </div>
+        </div>
+
+        <div className="early-cod-plan-form">
+          <label>
+            Pay out after
+            <select value={days} onChange={(e) => setDays(parseInt(e.target.value, 10))} disabled={saving}>
+              {plan.day_options.map(option => (
+                <option key={option} value={option}>D+{option}</option>
+              ))}
+            </select>
+          </label>
+          <label>
+            Pay to
+            <select
+              value={payoutMode}
+              onChange={(e) => setPayoutMode(e.target.value as EarlyCodPayoutMode)}
+              disabled={saving}
+            >
+              <option value="wallet">Wallet</option>
+              <option value="bank">Bank account</option>
+            </select>
+          </label>
+          {allowFee && (
+            <label>
+              Fee %
+              <input
+                type="number"
+                min={0}
+                max={10}
+                step={0.1}
+                value={feeInput}
+                placeholder={`${plan.default_fee_percent} (default)`}
+                onChange={(e) => setFeeInput(e.target.value)}
+                disabled={saving}
+              />
+            </label>
+          )}
+          <div className="early-cod-plan-actions">
+            {plan.enabled ? (
+              <>
+                <button onClick={() => handleSave(planChanges())} disabled={saving || bankBlocked}>
+                  {saving ? 'Saving...' : 'Save Plan'}
+                </button>
+                <button className="secondary" onClick={() => handleSave({ enabled: false })} disabled={saving}>
+                  Turn Off
+                </button>
+              </>
+            ) : (
+              <button onClick={() => handleSave({ ...planChanges(), enabled: true })} disabled={saving || bankBlocked}>
+                {saving ? 'Saving...' : 'Turn On Early COD'}
+              </button>
+            )}
+          </div>
+        </div>
+        {bankBlocked && (
+          <p className="early-cod-note">Bank payouts need bank details on the account.</p>
+        )}
+      </div>
+
+      <div className="early-cod-stats">
+        <div className="early-cod-card">
+          <span className="early-cod-card-label">Orders Paid Early</span>
+          <span className="early-cod-card-value">{stats.advanced_orders}</span>
+        </div>
+        <div className="early-cod-card">
+          <span className="early-cod-card-label">COD Paid Early</span>
+          <span className="early-cod-card-value">{formatCurrency(stats.advanced_amount)}</span>
+        </div>
+        <div className="early-cod-card">
+          <span className="early-cod-card-label">Fees</span>
+          <span className="early-cod-card-value">{formatCurrency(stats.fees)}</span>
+        </div>
+        <div className="early-cod-card">
+          <span className="early-cod-card-label">Awaiting Courier</span>
+          <span className="early-cod-card-value">{stats.awaiting_remittance}</span>
+          <span className="early-cod-card-sub">orders not remitted yet</span>
+        </div>
+        {stats.payouts_pending > 0 && (
+          <div className="early-cod-card warning">
+            <span className="early-cod-card-label">Bank Transfers Pending</span>
+            <span className="early-cod-card-value">{formatCurrency(stats.payouts_pending)}</span>
+          </div>
+        )}
+      </div>
+
+      <div className="early-cod-table-container">
+        <table className="early-cod-table">
+          <thead>
+            <tr>
+              <th>AWB NUMBER</th>
+              <th>ORDER ID</th>
+              <th>DELIVERED ON</th>
+              <th>COD AMOUNT</th>
+              <th>FEE</th>
+              <th>PAID</th>
+              <th>PAID TO</th>
+              <th>STATUS</th>
+              <th>REMITTANCE</th>
+            </tr>
+          </thead>
+          <tbody>
+            {advances.length === 0 ? (
+              <tr><td colSpan={9} className="empty-state">No orders paid early yet</td></tr>
+            ) : advances.map(advance => {
+              const status = advanceStatus(advance);
+              return (
+                <tr key={advance._id}>
+                  <td>{advance.awb_number}</td>
+                  <td>{advance.internal_order_id || '-'}</td>
+                  <td>{formatDate(advance.delivered_date)}</td>
+                  <td>{formatCurrency(advance.cod_amount)}</td>
+                  <td>{formatCurrency(advance.fee_amount)} ({advance.fee_percent}%)</td>
+                  <td>{formatCurrency(advance.net_amount)}</td>
+                  <td>
+                    {advance.payout_mode === 'bank' ? 'Bank' : 'Wallet'}
+                    {advance.bank_utr && <span className="early-cod-sub">UTR {advance.bank_utr}</span>}
+                  </td>
+                  <td><span className={`early-cod-status ${status.className}`}>{status.label}</span></td>
+                  <td>
+                    {advance.settlement?.remittance_number || '-'}
+                    {advance.settlement?.difference ? (
+                      <span className="early-cod-sub">Adjusted {formatCurrency(advance.settlement.difference)}</span>
+                    ) : null}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      {pagination.total_pages > 1 && (
+        <div className="early-cod-pagination">
+          <button onClick={() => setPage(p => p - 1)} disabled={page <= 1 || loading}>Previous</button>
+          <span>Page {pagination.current_page} of {pagination.total_pages}</span>
+          <button onClick={() => setPage(p => p + 1)} disabled={page >= pagination.total_pages || loading}>Next</button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default EarlyCodPanel;
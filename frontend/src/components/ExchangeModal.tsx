@@ -0,0 +1,286 @@
+import React, { useEffect, useState } from 'react';
+import {
+  exchangeService,
+  ExchangeEligibility,
+  ExchangeInput,
+  ExchangeQuote,
+  ExchangeReleaseRule,
+  RELEASE_RULE_LABELS
+} from '../services/exchangeService';
+import { ReturnReason } from '../services/returnService';
+import './ExchangeModal.css';
+
+interface ExchangeModalProps {
+  order: { _id: string; order_id: string };
+  onClose: () => void;
+  onCreated: (message: string) => void;
+}
+
+interface ItemDraft {
+  quantity: number;
+  replacement_product_name: string;
+  replacement_sku: string;
+  replacement_unit_price: string;
+}
+
+const getErrorMessage = (err: any, fallback: string) => err.response?.data?.message || err.message || fallback;
+
+/**
+ * Seller form to exchange items from a delivered order: which items go back,
+ * what replaces them and when the replacement may ship. Both legs are priced
+ * before the exchange is created.
+ */
+const ExchangeModal: React.FC<ExchangeModalProps> = ({ order, onClose, onCreated }) => {
+  const [eligibility, setEligibility] = useState<ExchangeEligibility | null>(null);
+  const [drafts, setDrafts] = useState<Record<number, ItemDraft>>({});
+  const [reason, setReason] = useState<ReturnReason | ''>('');
+  const [notes, setNotes] = useState('');
+  const [releaseRule, setReleaseRule] = useState<ExchangeReleaseRule>('immediate');
+  const [qcRequired, setQcRequired] = useState(true);
+  const [quote, setQuote] = useState<ExchangeQuote | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    const loadEligibility = async () => {
+      try {
+        const data = await exchangeService.getEligibility(order._id);
+        setEligibility(data);
+        setDrafts(Object.fromEntries(data.items.map(item => [item.line, {
+          quantity: 0,
+          replacement_product_name: item.product_name,
+          replacement_sku: item.sku || '',
+          replacement_unit_price: String(item.unit_price)
+        }])));
+      } catch (err: any) {
+        setError(getErrorMessage(err, 'Failed to load order for exchange'));
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadEligibility();
+  }, [order._id]);
+
+  // Any change invalidates the charges shown
+  const updateDraft = (line: number, changes: Partial<ItemDraft>) => {
+    setDrafts(prev => ({ ...prev, [line]: { ...prev[line], ...changes } }));
+    setQuote(null);
+  };
+
+  const buildInput = (): ExchangeInput | null => {
+    const items = Object.entries(drafts)
+      .filter(([, draft]) => draft.quantity > 0)
+      .map(([line, draft]) => ({
+        line: Number(line),
+        quantity: draft.quantity,
+        replacement_product_name: draft.replacement_product_name.trim(),
+        replacement_sku: draft.replacement_sku.trim(),
+        replacement_unit_price: Number(draft.replacement_unit_price)
+      }));
+
+    if (items.length === 0) {
+      setError('Choose at least one item to exchange');
+      return null;
+    }
+    if (!reason) {
+      setError('Choose a reason for the exchange');
+      return null;
+    }
+    return {
+      items,
+      reason,
+      notes: notes.trim() || undefined,
+      release_rule: releaseRule,
+      qc_required: qcRequired
+    };
+  };
+
+  const handleQuote = async () => {
+    setError(null);
+    const input = buildInput();
+    if (!input) return;
+
+    setSubmitting(true);
+    try {
+      setQuote(await exchangeService.getQuote(order._id, input));
+    } catch (err: any) {
+      setError(getErrorMessage(err, 'Failed to calculate exchange charges'));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setError(null);
+    const input = buildInput();
+    if (!input) return;
+
+    setSubmitting(true);
+    try {
+      const result = await exchangeService.createExchange(order._id, input);
+      onCreated(result.message);
+    } catch (err: any) {
+      setError(getErrorMessage(err, 'Failed to create exchange'));
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="exchange-modal-overlay" onClick={() => !submitting && onClose()}>
+      <div className="exchange-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="exchange-modal-header">
+          <h3>Exchange Items · {order.order_id}</h3>
+          <button className="exchange-modal-close" onClick={onClose} disabled={submitting}>×</button>
+        </div>
+
+        {loading ? (
+          <div className="exchange-modal-body">Loading order...</div>
+        ) : !eligibility ? (
+          <div className="exchange-modal-body">
+            {error && <div className="exchange-modal-error">{error}</div>}
+            <div className="exchange-modal-footer">
+              <button type="button" className="secondary" onClick={onClose}>Close</button>
+            </div>
+          </div>
+        ) : (
+          <form className="exchange-modal-body" onSubmit={handleSubmit}>
+            <p className="exchange-modal-hint">
+              A replacement order (REPL) and a pickup order for the original items are created together.
+              Both are charged to your wallet.
+            </p>
+
+            <table className="exchange-modal-items">
+              <thead>
+                <tr>
+                  <th>Item</th>
+                  <th>Qty</th>
+                  <th>Replacement</th>
+                  <th>SKU</th>
+                  <th>Price (₹)</th>
+                </tr>
+              </thead>
+              <tbody>
+                {eligibility.items.map(item => {
+                  const draft = drafts[item.line];
+                  const disabled = item.exchangeable_quantity === 0;
+                  return (
+                    <tr key={item.line} className={disabled ? 'disabled' : ''}>
+                      <td>
+                        <strong>{item.product_name}</strong>
+                        <span>{item.sku || 'No SKU'} · {disabled ? 'Already exchanged' : `${item.exchangeable_quantity} of ${item.quantity} available`}</span>
+                      </td>
+                      <td>
+                        <input
+                          type="number"
+                          min={0}
+                          max={item.exchangeable_quantity}
+                          value={draft?.quantity ?? 0}
+                          disabled={disabled}
+                          onChange={(e) => updateDraft(item.line, {
+                            quantity: Math.min(Math.max(parseInt(e.target.value) || 0, 0), item.exchangeable_quantity)
+                          })}
+                        />
+                      </td>
+                      <td>
+                        <input
+                          type="text"
+                          value={draft?.replacement_product_name ?? ''}
+                          disabled={disabled || !draft?.quantity}
+                          onChange={(e) => updateDraft(item.line, { replacement_product_name: e.target.value })}
+                        />
+                      </td>
+                      <td>
+                        <input
+                          type="text"
+                          value={draft?.replacement_sku ?? ''}
+                          disabled={disabled || !draft?.quantity}
+                          onChange={(e) => updateDraft(item.line, { replacement_sku: e.target.value })}
+                        />
+                      </td>
+                      <td>
+                        <input
+                          type="number"
+                          min={0}
+                          step="0.01"
+                          value={draft?.replacement_unit_price ?? ''}
+                          disabled={disabled || !draft?.quantity}
+                          onChange={(e) => updateDraft(item.line, { replacement_unit_price: e.target.value })}
+                        />
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+
+            <div className="exchange-modal-row">
+              <label className="exchange-modal-field">
+                Reason *
+                <select value={reason} onChange={(e) => { setReason(e.target.value as ReturnReason); setQuote(null); }}>
+                  <option value="">Select a reason</option>
+                  {eligibility.reasons.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+              </label>
+              <label className="exchange-modal-field">
+                Notes
+                <input type="text" maxLength={500} value={notes} onChange={(e) => setNotes(e.target.value)} />
+              </label>
+            </div>
+
+            <fieldset className="exchange-modal-rules">
+              <legend>When can the replacement ship?</legend>
+              {(Object.keys(RELEASE_RULE_LABELS) as ExchangeReleaseRule[]).map(rule => (
+                <label key={rule}>
+                  <input
+                    type="radio"
+                    name="release_rule"
+                    checked={releaseRule === rule}
+                    onChange={() => {
+                      setReleaseRule(rule);
+                      if (rule === 'after_qc') setQcRequired(true);
+                    }}
+                  />
+                  {RELEASE_RULE_LABELS[rule]}
+                </label>
+              ))}
+              <label className="exchange-modal-qc">
+                <input
+                  type="checkbox"
+                  checked={qcRequired}
+                  disabled={releaseRule === 'after_qc'}
+                  onChange={(e) => setQcRequired(e.target.checked)}
+                />
+                QC the returned item at pickup
+              </label>
+            </fieldset>
+
+            {quote && (
+              <div className="exchange-modal-quote">
+                <div><span>Replacement (zone {quote.forward.zone})</span><strong>₹{quote.forward.amount.toFixed(2)}</strong></div>
+                <div><span>Pickup (zone {quote.reverse.zone})</span><strong>₹{quote.reverse.amount.toFixed(2)}</strong></div>
+                <div><span>Total</span><strong>₹{quote.total.toFixed(2)}</strong></div>
+              </div>
+            )}
+
+            {error && <div className="exchange-modal-error">{error}</div>}
+
+            <div className="exchange-modal-footer">
+              <button type="button" className="secondary" onClick={onClose} disabled={submitting}>Cancel</button>
+              {quote ? (
+                <button type="submit" disabled={submitting}>{submitting ? 'Creating...' : `Create Exchange · ₹${quote.total.toFixed(2)}`}</button>
+              ) : (
+                <button type="button" onClick={handleQuote} disabled={submitting}>{submitting ? 'Calculating...' : 'Calculate Charges'}</button>
+              )}
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ExchangeModal;
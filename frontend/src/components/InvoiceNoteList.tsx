@@ -0,0 +1,217 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { invoiceService, InvoiceNote, InvoiceNoteType, NoteSettlement } from '../services/invoiceService';
+import '../pages/InvoiceList.css';
+
+interface InvoiceNoteListProps {
+  noteType: InvoiceNoteType;
+}
+
+const SETTLEMENT_LABELS: Record<InvoiceNoteType, Record<NoteSettlement, string>> = {
+  credit_note: {
+    wallet: 'Credited to wallet',
+    invoice: 'Adjusted in invoice',
+    none: 'Refunded to wallet'
+  },
+  debit_note: {
+    wallet: 'Debited from wallet',
+    invoice: 'Added to invoice due',
+    none: 'Debited from wallet'
+  }
+};
+
+const formatDate = (dateString: string) => {
+  const date = new Date(dateString);
+  return date.toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric' });
+};
+
+/**
+ * Credit notes / debit notes issued against the seller's invoices
+ */
+const InvoiceNoteList: React.FC<InvoiceNoteListProps> = ({ noteType }) => {
+  const navigate = useNavigate();
+  const [notes, setNotes] = useState<InvoiceNote[]>([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [totalCount, setTotalCount] = useState(0);
+  const [searchTerm, setSearchTerm] = useState('');
+  const [appliedSearch, setAppliedSearch] = useState('');
+  const [dateFrom, setDateFrom] = useState('');
+  const [dateTo, setDateTo] = useState('');
+
+  const label = noteType === 'credit_note' ? 'credit notes' : 'debit notes';
+
+  const fetchNotes = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await invoiceService.getNotes({
+        note_type: noteType,
+        page,
+        limit: 10,
+        start_date: dateFrom || undefined,
+        // Include the whole "to" day
+        end_date: dateTo ? `${dateTo}T23:59:59.999Z` : undefined,
+        search: appliedSearch || undefined
+      });
+      setNotes(response.data.notes);
+      setTotalPages(response.data.pagination.total_pages || 1);
+      setTotalCount(response.data.pagination.total_count);
+    } catch (err: any) {
+      setError(err.response?.data?.message || err.message || `Failed to load ${label}`);
+    } finally {
+      setLoading(false);
+    }
+  }, [noteType, page, dateFrom, dateTo, appliedSearch, label]);
+
+  useEffect(() => {
+    fetchNotes();
+  }, [fetchNotes]);
+
+  const handleDownload = async (note: InvoiceNote) => {
+    try {
+      await invoiceService.downloadNote(note.note_id, note.note_number);
+    } catch (err: any) {
+      alert(err.message || 'Failed to download note');
+    }
+  };
+
+  return (
+    <>
+      <div className="invoice-filters">
+        <div className="filter-left">
+          <input
+            type="text"
+            className="search-input"
+            placeholder="Search by note, invoice or AWB"
+            value={searchTerm}
+            onChange={(e) => setSearchTerm(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') {
+                setPage(1);
+                setAppliedSearch(searchTerm.trim());
+              }
+            }}
+          />
+        </div>
+        <div className="filter-right">
+          <div className="date-picker-inputs note-date-filters">
+            <label>
+              From:
+              <input
+                type="date"
+                value={dateFrom}
+                onChange={(e) => {
+                  setPage(1);
+                  setDateFrom(e.target.value);
+                }}
+              />
+            </label>
+            <label>
+              To:
+              <input
+                type="date"
+                value={dateTo}
+                onChange={(e) => {
+                  setPage(1);
+                  setDateTo(e.target.value);
+                }}
+              />
+            </label>
+          </div>
+        </div>
+      </div>
+
+      {error && (
+        <div className="error-banner">
+          {error}
+        </div>
+      )}
+
+      <div className="invoice-table-container">
+        {loading ? (
+          <div className="loading-spinner">Loading {label}...</div>
+        ) : notes.length === 0 ? (
+          <div className="empty-state">
+            No {label} found
+          </div>
+        ) : (
+          <table className="invoice-table">
+            <thead>
+              <tr>
+                <th>NOTE NO.</th>
+                <th>NOTE DATE</th>
+                <th>AGAINST INVOICE</th>
+                <th>REASON</th>
+                <th>SETTLEMENT</th>
+                <th>AMOUNT</th>
+                <th>Action</th>
+              </tr>
+            </thead>
+            <tbody>
+              {notes.map((note) => (
+                <tr key={note.note_id}>
+                  <td>{note.note_number}</td>
+                  <td>{formatDate(note.note_date)}</td>
+                  <td>
+                    <button
+                      className="invoice-id-link"
+                      onClick={() => navigate(`/invoices/${note.invoice_id}`)}
+                    >
+                      {note.invoice_number}
+                    </button>
+                  </td>
+                  <td>
+                    {note.reason}
+                    {note.line_items.length === 1 && note.line_items[0].awb_number && (
+                      <div>AWB {note.line_items[0].awb_number}</div>
+                    )}
+                  </td>
+                  <td>
+                    {note.settlement === 'none' && !note.wallet_amount
+                      ? 'No wallet change'
+                      : SETTLEMENT_LABELS[noteType][note.settlement]}
+                    {note.wallet_amount > 0 && ` (₹${note.wallet_amount.toFixed(2)})`}
+                  </td>
+                  <td className="amount-cell">₹{note.amounts.total.toFixed(2)}</td>
+                  <td>
+                    <button
+                      className="download-btn"
+                      onClick={() => handleDownload(note)}
+                    >
+                      📥 Download Note
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {totalPages > 1 && (
+        <div className="pagination">
+          <button
+            disabled={page === 1}
+            onClick={() => setPage(page - 1)}
+          >
+            Previous
+          </button>
+          <span>
+            Page {page} of {totalPages} ({totalCount} total)
+          </span>
+          <button
+            disabled={page === totalPages}
+            onClick={() => setPage(page + 1)}
+          >
+            Next
+          </button>
+        </div>
+      )}
+    </>
+  );
+};
+
+export default InvoiceNoteList;
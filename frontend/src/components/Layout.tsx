@@ -439,6 +439,9 @@ const Layout: React.FC<LayoutProps> = ({ children }) => {
       children: [
         { path: '/packages', icon: '📦', label: 'Packages', svgIcon: null },
         { path: '/weight-discrepancies', icon: '⚖️', label: 'Weight Discrepancies', svgIcon: null },
+        { path: '/manifests', icon: '📋', label: 'Manifests', svgIcon: null },
+        { path: '/return-requests', icon: '↩️', label: 'Returns', svgIcon: null },
+        { path: '/exchanges', icon: '🔁', label: 'Exchanges', svgIcon: null },
       ]
     },
     {
@@ -463,6 +466,8 @@ const Layout: React.FC<LayoutProps> = ({ children }) => {
       svgIcon: group3Icon,
       children: [
         { path: '/settings/manage-label', icon: '🏷️', label: 'Manage Label', svgIcon: null },
+        { path: '/settings/tracking-page', icon: '📍', label: 'Tracking Page', svgIcon: null },
+        { path: '/settings/rto-risk', icon: '🛡️', label: 'RTO Risk', svgIcon: null },
       ]
     },
   ];
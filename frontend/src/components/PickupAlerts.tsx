@@ -0,0 +1,82 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { dashboardService, PickupAlerts as PickupAlertsData } from '../services/dashboardService';
+import './PickupAlerts.css';
+
+const formatDate = (date: string) =>
+  new Date(date).toLocaleDateString('en-GB', { day: '2-digit', month: 'short', timeZone: 'UTC' });
+
+/**
+ * Dashboard strip for scheduled pickups: failed and missed pickups the seller
+ * has to act on, and the next pickup of each scheduled warehouse.
+ */
+const PickupAlerts: React.FC = () => {
+  const navigate = useNavigate();
+  const [data, setData] = useState<PickupAlertsData | null>(null);
+
+  useEffect(() => {
+    const loadAlerts = async () => {
+      try {
+        const response = await dashboardService.getPickupAlerts();
+        setData(response.data);
+      } catch (err) {
+        console.error('Failed to load pickup alerts:', err);
+      }
+    };
+
+    loadAlerts();
+  }, []);
+
+  const handleDismiss = async (alertId: string) => {
+    try {
+      await dashboardService.dismissPickupAlert(alertId);
+      setData(prev => (prev ? { ...prev, alerts: prev.alerts.filter(alert => alert._id !== alertId) } : prev));
+    } catch (err) {
+      console.error('Failed to dismiss pickup alert:', err);
+    }
+  };
+
+  if (!data || (data.alerts.length === 0 && data.next_pickups.length === 0)) {
+    return null;
+  }
+
+  return (
+    <div className="pickup-alerts-section">
+      {data.alerts.map(alert => (
+        <div key={alert._id} className={`pickup-alerts-item ${alert.retrying ? 'retrying' : ''}`}>
+          <div className="pickup-alerts-text">
+            <strong>
+              {alert.status === 'missed'
+                ? 'Scheduled pickup missed'
+                : alert.retrying ? 'Scheduled pickup failed, retrying' : 'Scheduled pickup failed'}
+            </strong>
+            <span>
+              {alert.warehouse_name} · {alert.carrier} · {formatDate(alert.pickup_date)} ·{' '}
+              {alert.order_count} order{alert.order_count === 1 ? '' : 's'}
+              {alert.last_error && ` · ${alert.last_error}`}
+            </span>
+          </div>
+          <div className="pickup-alerts-actions">
+            {!alert.retrying && (
+              <button onClick={() => navigate('/orders')}>Request Pickup</button>
+            )}
+            <button className="secondary" onClick={() => handleDismiss(alert._id)}>Dismiss</button>
+          </div>
+        </div>
+      ))}
+
+      {data.next_pickups.length > 0 && (
+        <div className="pickup-alerts-upcoming">
+          <span>Next scheduled pickups:</span>
+          {data.next_pickups.map(item => (
+            <span key={item.warehouse_id} className="pickup-alerts-chip">
+              {item.warehouse_name} · {formatDate(item.next_pickup.date)} {item.next_pickup.time.slice(0, 5)}
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PickupAlerts;
@@ -0,0 +1,213 @@
+import React, { useEffect, useState } from 'react';
+import {
+  warehouseService,
+  Warehouse,
+  PickupDay,
+  PickupSchedule,
+  ScheduledPickupRun
+} from '../services/warehouseService';
+import './PickupScheduleModal.css';
+
+interface PickupScheduleModalProps {
+  warehouse: Warehouse;
+  onClose: () => void;
+  onSaved: (schedule: PickupSchedule) => void;
+}
+
+const PICKUP_DAYS: PickupDay[] = ['MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT', 'SUN'];
+
+const formatDate = (date: string) =>
+  new Date(date).toLocaleDateString('en-GB', { day: '2-digit', month: 'short', year: 'numeric', timeZone: 'UTC' });
+
+/**
+ * Recurring pickup settings for a warehouse: days, time slot, expected
+ * package count and holidays, with the last few scheduled pickups.
+ */
+const PickupScheduleModal: React.FC<PickupScheduleModalProps> = ({ warehouse, onClose, onSaved }) => {
+  const [schedule, setSchedule] = useState<PickupSchedule | null>(null);
+  const [runs, setRuns] = useState<ScheduledPickupRun[]>([]);
+  const [enabled, setEnabled] = useState(false);
+  const [days, setDays] = useState<PickupDay[]>([]);
+  const [slotTime, setSlotTime] = useState('11:00');
+  const [packageCount, setPackageCount] = useState('');
+  const [holidays, setHolidays] = useState<string[]>([]);
+  const [newHoliday, setNewHoliday] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    const loadSchedule = async () => {
+      try {
+        const data = await warehouseService.getPickupSchedule(warehouse._id);
+        setSchedule(data.schedule);
+        setRuns(data.recent_runs);
+        setEnabled(data.schedule.enabled);
+        setDays(data.schedule.days);
+        setSlotTime(data.schedule.slot_time.slice(0, 5));
+        setPackageCount(data.schedule.expected_package_count ? String(data.schedule.expected_package_count) : '');
+        setHolidays(data.schedule.holidays);
+      } catch (err: any) {
+        setError(err.response?.data?.message || err.message || 'Failed to load pickup schedule');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadSchedule();
+  }, [warehouse._id]);
+
+  const toggleDay = (day: PickupDay) => {
+    setDays(prev => (prev.includes(day) ? prev.filter(d => d !== day) : [...prev, day]));
+  };
+
+  const addHoliday = () => {
+    if (newHoliday && !holidays.includes(newHoliday)) {
+      setHolidays(prev => [...prev, newHoliday].sort());
+    }
+    setNewHoliday('');
+  };
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setError(null);
+
+    if (enabled && days.length === 0) {
+      setError('Choose at least one pickup day');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const saved = await warehouseService.updatePickupSchedule(warehouse._id, {
+        enabled,
+        days,
+        slot_time: slotTime,
+        expected_package_count: packageCount ? Number(packageCount) : null,
+        holidays
+      });
+      onSaved(saved);
+    } catch (err: any) {
+      setError(err.response?.data?.message || err.message || 'Failed to save pickup schedule');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="pickup-schedule-overlay" onClick={() => !saving && onClose()}>
+      <div className="pickup-schedule-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="pickup-schedule-header">
+          <h3>Pickup Schedule · {warehouse.title || warehouse.name}</h3>
+          <button className="pickup-schedule-close" onClick={onClose} disabled={saving}>×</button>
+        </div>
+
+        {loading ? (
+          <div className="pickup-schedule-body">Loading...</div>
+        ) : (
+          <form className="pickup-schedule-body" onSubmit={handleSubmit}>
+            <label className="pickup-schedule-toggle">
+              <input type="checkbox" checked={enabled} onChange={(e) => setEnabled(e.target.checked)} />
+              Raise pickups automatically when orders are ready to ship
+            </label>
+
+            <div className="pickup-schedule-field">
+              <span>Pickup days</span>
+              <div className="pickup-schedule-days">
+                {PICKUP_DAYS.map(day => (
+                  <button
+                    key={day}
+                    type="button"
+                    className={days.includes(day) ? 'active' : ''}
+                    onClick={() => toggleDay(day)}
+                  >
+                    {day}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            <div className="pickup-schedule-row">
+              <label className="pickup-schedule-field">
+                <span>Pickup time</span>
+                <input type="time" value={slotTime} onChange={(e) => setSlotTime(e.target.value)} required />
+              </label>
+              <label className="pickup-schedule-field">
+                <span>Expected packages</span>
+                <input
+                  type="number"
+                  min={1}
+                  max={1000}
+                  value={packageCount}
+                  onChange={(e) => setPackageCount(e.target.value)}
+                  placeholder="Number of ready orders"
+                />
+              </label>
+            </div>
+
+            {schedule && (
+              <p className="pickup-schedule-hint">
+                The pickup is raised up to {schedule.lead_minutes} minutes before the slot.
+                {schedule.next_pickup && ` Next pickup: ${formatDate(schedule.next_pickup.date)} at ${schedule.next_pickup.time.slice(0, 5)}.`}
+              </p>
+            )}
+
+            <div className="pickup-schedule-field">
+              <span>Holidays</span>
+              <div className="pickup-schedule-holiday-input">
+                <input type="date" value={newHoliday} onChange={(e) => setNewHoliday(e.target.value)} />
+                <button type="button" className="secondary" onClick={addHoliday} disabled={!newHoliday}>Add</button>
+              </div>
+              {holidays.length > 0 && (
+                <div className="pickup-schedule-holidays">
+                  {holidays.map(date => (
+                    <span key={date}>
+                      {formatDate(date)}
+                      <button type="button" onClick={() => setHolidays(prev => prev.filter(d => d !== date))}>×</button>
+                    </span>
+                  ))}
+                </div>
+              )}
+              {schedule && schedule.platform_holidays.length > 0 && (
+                <p className="pickup-schedule-hint">
+                  No pickups on platform holidays: {schedule.platform_holidays.map(formatDate).join(', ')}
+                </p>
+              )}
+            </div>
+
+            {runs.length > 0 && (
+              <div className="pickup-schedule-field">
+                <span>Recent scheduled pickups</span>
+                <table className="pickup-schedule-runs">
+                  <tbody>
+                    {runs.map(run => (
+                      <tr key={run._id}>
+                        <td>{formatDate(run.pickup_date)}</td>
+                        <td>{run.carrier}</td>
+                        <td>{run.order_count} order{run.order_count === 1 ? '' : 's'}</td>
+                        <td>
+                          <span className={`pickup-schedule-status ${run.status}`} title={run.last_error || ''}>
+                            {run.status}
+                          </span>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
+            {error && <div className="pickup-schedule-error">{error}</div>}
+
+            <div className="pickup-schedule-footer">
+              <button type="button" className="secondary" onClick={onClose} disabled={saving}>Cancel</button>
+              <button type="submit" disabled={saving}>{saving ? 'Saving...' : 'Save Schedule'}</button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PickupScheduleModal;
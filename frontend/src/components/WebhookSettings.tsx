@@ -0,0 +1,387 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  sellerWebhookService,
+  WebhookSubscription,
+  WebhookDelivery,
+  WebhookDeliveryStatus
+} from '../services/sellerWebhookService';
+import './WebhookSettings.css';
+
+const EVENT_LABELS: Record<string, string> = {
+  'order.created': 'Order created',
+  'shipment.awb_assigned': 'AWB assigned',
+  'shipment.picked_up': 'Picked up',
+  'shipment.in_transit': 'In transit',
+  'shipment.out_for_delivery': 'Out for delivery',
+  'shipment.delivered': 'Delivered',
+  'ndr.raised': 'NDR raised',
+  'rto.initiated': 'RTO initiated',
+  'weight_discrepancy.raised': 'Weight discrepancy raised',
+  'weight_discrepancy.dispute_resolved': 'Weight dispute resolved',
+  'remittance.paid': 'COD remittance paid'
+};
+
+const DELIVERY_PAGE_SIZE = 10;
+
+const getErrorMessage = (error: any, fallback: string) =>
+  error?.response?.data?.message || error?.message || fallback;
+
+const WebhookSettings: React.FC = () => {
+  const [events, setEvents] = useState<string[]>(Object.keys(EVENT_LABELS));
+  const [subscriptions, setSubscriptions] = useState<WebhookSubscription[]>([]);
+  const [deliveries, setDeliveries] = useState<WebhookDelivery[]>([]);
+  const [deliveryPage, setDeliveryPage] = useState(1);
+  const [deliveryPages, setDeliveryPages] = useState(1);
+  const [statusFilter, setStatusFilter] = useState<WebhookDeliveryStatus | ''>('');
+  const [expandedDelivery, setExpandedDelivery] = useState<WebhookDelivery | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState<string | null>(null);
+  const [showForm, setShowForm] = useState(false);
+  const [formData, setFormData] = useState({ url: '', description: '', events: [] as string[] });
+  const [revealedSecret, setRevealedSecret] = useState<{ url: string; secret: string } | null>(null);
+
+  const fetchSubscriptions = useCallback(async () => {
+    try {
+      const [eventList, subscriptionList] = await Promise.all([
+        sellerWebhookService.getEvents(),
+        sellerWebhookService.getSubscriptions()
+      ]);
+      setEvents(eventList);
+      setSubscriptions(subscriptionList);
+    } catch (error) {
+      console.error('Error loading webhooks:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  const fetchDeliveries = useCallback(async () => {
+    try {
+      const response = await sellerWebhookService.getDeliveries({
+        page: deliveryPage,
+        limit: DELIVERY_PAGE_SIZE,
+        status: statusFilter
+      });
+      setDeliveries(response.deliveries);
+      setDeliveryPages(Math.max(response.pagination.total_pages, 1));
+    } catch (error) {
+      console.error('Error loading webhook deliveries:', error);
+    }
+  }, [deliveryPage, statusFilter]);
+
+  useEffect(() => {
+    fetchSubscriptions();
+  }, [fetchSubscriptions]);
+
+  useEffect(() => {
+    fetchDeliveries();
+  }, [fetchDeliveries]);
+
+  const toggleFormEvent = (event: string) => {
+    setFormData(prev => ({
+      ...prev,
+      events: prev.events.includes(event)
+        ? prev.events.filter(e => e !== event)
+        : [...prev.events, event]
+    }));
+  };
+
+  const handleCreate = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (formData.events.length === 0) {
+      alert('Select at least one event');
+      return;
+    }
+
+    try {
+      setBusyId('new');
+      const created = await sellerWebhookService.createSubscription(formData);
+      if (created.secret) {
+        setRevealedSecret({ url: created.url, secret: created.secret });
+      }
+      setFormData({ url: '', description: '', events: [] });
+      setShowForm(false);
+      await fetchSubscriptions();
+    } catch (error) {
+      alert(getErrorMessage(error, 'Failed to register webhook'));
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleToggleActive = async (subscription: WebhookSubscription) => {
+    try {
+      setBusyId(subscription._id);
+      await sellerWebhookService.updateSubscription(subscription._id, { is_active: !subscription.is_active });
+      await fetchSubscriptions();
+    } catch (error) {
+      alert(getErrorMessage(error, 'Failed to update webhook'));
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleDelete = async (subscription: WebhookSubscription) => {
+    if (!window.confirm(`Delete webhook ${subscription.url}?`)) {
+      return;
+    }
+
+    try {
+      setBusyId(subscription._id);
+      await sellerWebhookService.deleteSubscription(subscription._id);
+      await fetchSubscriptions();
+    } catch (error) {
+      alert(getErrorMessage(error, 'Failed to delete webhook'));
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleRotateSecret = async (subscription: WebhookSubscription) => {
+    if (!window.confirm('Rotate the signing secret? Deliveries will be signed with the new secret immediately.')) {
+      return;
+    }
+
+    try {
+      setBusyId(subscription._id);
+      const updated = await sellerWebhookService.rotateSecret(subscription._id);
+      if (updated.secret) {
+        setRevealedSecret({ url: updated.url, secret: updated.secret });
+      }
+      await fetchSubscriptions();
+    } catch (error) {
+      alert(getErrorMessage(error, 'Failed to rotate secret'));
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleTest = async (subscription: WebhookSubscription) => {
+    try {
+      setBusyId(subscription._id);
+      const result = await sellerWebhookService.sendTest(subscription._id);
+      alert(result.message);
+      await Promise.all([fetchSubscriptions(), fetchDeliveries()]);
+    } catch (error) {
+      alert(getErrorMessage(error, 'Failed to send test webhook'));
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleReplay = async (delivery: WebhookDelivery) => {
+    try {
+      setBusyId(delivery.delivery_id);
+      const result = await sellerWebhookService.replayDelivery(delivery.delivery_id);
+      alert(result.message);
+      await fetchDeliveries();
+    } catch (error) {
+      alert(getErrorMessage(error, 'Failed to replay webhook'));
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleExpand = async (delivery: WebhookDelivery) => {
+    if (expandedDelivery?.delivery_id === delivery.delivery_id) {
+      setExpandedDelivery(null);
+      return;
+    }
+
+    try {
+      setExpandedDelivery(await sellerWebhookService.getDelivery(delivery.delivery_id));
+    } catch (error) {
+      alert(getErrorMessage(error, 'Failed to load delivery'));
+    }
+  };
+
+  return (
+    <div className="settings-card webhook-settings">
+      <div className="card-header">
+        <h3>🔔 Webhooks</h3>
+        <button className="edit-btn" onClick={() => setShowForm(!showForm)}>
+          {showForm ? 'Cancel' : '+ Add Webhook'}
+        </button>
+      </div>
+      <div className="card-body">
+        <p className="webhook-hint">
+          We POST a JSON payload to your HTTPS URL when a subscribed event happens. Verify the
+          <code> X-Shipsarthi-Signature </code> header (HMAC-SHA256 of <code>timestamp.body</code>) with your signing secret.
+          Failed deliveries are retried with exponential backoff.
+        </p>
+
+        {revealedSecret && (
+          <div className="webhook-secret-banner">
+            <div>
+              <strong>Signing secret for {revealedSecret.url}</strong>
+              <p>Copy it now - it won't be shown again.</p>
+              <code>{revealedSecret.secret}</code>
+            </div>
+            <div className="webhook-secret-actions">
+              <button className="api-btn" onClick={() => navigator.clipboard.writeText(revealedSecret.secret)}>📋 Copy</button>
+              <button className="webhook-link-btn" onClick={() => setRevealedSecret(null)}>Done</button>
+            </div>
+          </div>
+        )}
+
+        {showForm && (
+          <form className="webhook-form" onSubmit={handleCreate}>
+            <div className="form-group">
+              <label>Callback URL:</label>
+              <input
+                type="url"
+                placeholder="https://example.com/webhooks/shipsarthi"
+                value={formData.url}
+                onChange={(e) => setFormData(prev => ({ ...prev, url: e.target.value }))}
+                required
+              />
+            </div>
+            <div className="form-group">
+              <label>Description (optional):</label>
+              <input
+                type="text"
+                maxLength={200}
+                value={formData.description}
+                onChange={(e) => setFormData(prev => ({ ...prev, description: e.target.value }))}
+              />
+            </div>
+            <div className="webhook-event-grid">
+              {events.map(event => (
+                <label key={event} className="webhook-event-option">
+                  <input
+                    type="checkbox"
+                    checked={formData.events.includes(event)}
+                    onChange={() => toggleFormEvent(event)}
+                  />
+                  {EVENT_LABELS[event] || event}
+                </label>
+              ))}
+            </div>
+            <button type="submit" className="api-btn" disabled={busyId === 'new'}>
+              {busyId === 'new' ? 'Saving...' : 'Register Webhook'}
+            </button>
+          </form>
+        )}
+
+        {loading ? (
+          <p className="webhook-empty">Loading webhooks...</p>
+        ) : subscriptions.length === 0 ? (
+          <p className="webhook-empty">No webhooks registered yet.</p>
+        ) : (
+          <div className="webhook-list">
+            {subscriptions.map(subscription => (
+              <div key={subscription._id} className={`webhook-item ${subscription.is_active ? '' : 'inactive'}`}>
+                <div className="webhook-item-main">
+                  <span className="webhook-url">{subscription.url}</span>
+                  {subscription.description && <span className="webhook-description">{subscription.description}</span>}
+                  <div className="webhook-events">
+                    {subscription.events.map(event => (
+                      <span key={event} className="webhook-event-chip">{EVENT_LABELS[event] || event}</span>
+                    ))}
+                  </div>
+                  <span className="webhook-meta">
+                    Secret {subscription.secret_hint || '—'}
+                    {subscription.last_delivery_at && (
+                      <> · Last delivery {new Date(subscription.last_delivery_at).toLocaleString()} ({subscription.last_delivery_status})</>
+                    )}
+                    {subscription.consecutive_failures > 0 && <> · {subscription.consecutive_failures} failures in a row</>}
+                  </span>
+                </div>
+                <div className="webhook-item-actions">
+                  <button className="webhook-link-btn" disabled={busyId === subscription._id} onClick={() => handleTest(subscription)}>Send test</button>
+                  <button className="webhook-link-btn" disabled={busyId === subscription._id} onClick={() => handleToggleActive(subscription)}>
+                    {subscription.is_active ? 'Disable' : 'Enable'}
+                  </button>
+                  <button className="webhook-link-btn" disabled={busyId === subscription._id} onClick={() => handleRotateSecret(subscription)}>Rotate secret</button>
+                  <button className="webhook-link-btn danger" disabled={busyId === subscription._id} onClick={() => handleDelete(subscription)}>Delete</button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <div className="webhook-log-header">
+          <h4>Delivery log</h4>
+          <select
+            value={statusFilter}
+            onChange={(e) => {
+              setStatusFilter(e.target.value as WebhookDeliveryStatus | '');
+              setDeliveryPage(1);
+            }}
+          >
+            <option value="">All statuses</option>
+            <option value="succeeded">Succeeded</option>
+            <option value="retrying">Retrying</option>
+            <option value="failed">Failed</option>
+            <option value="pending">Pending</option>
+          </select>
+        </div>
+
+        {deliveries.length === 0 ? (
+          <p className="webhook-empty">No deliveries yet.</p>
+        ) : (
+          <table className="webhook-log-table">
+            <thead>
+              <tr>
+                <th>Time</th>
+                <th>Event</th>
+                <th>Status</th>
+                <th>Attempts</th>
+                <th>Response</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {deliveries.map(delivery => (
+                <React.Fragment key={delivery.delivery_id}>
+                  <tr>
+                    <td>{new Date(delivery.createdAt).toLocaleString()}</td>
+                    <td>{EVENT_LABELS[delivery.event] || delivery.event}</td>
+                    <td><span className={`webhook-status ${delivery.status}`}>{delivery.status}</span></td>
+                    <td>{delivery.attempts}</td>
+                    <td title={delivery.error || ''}>{delivery.response_status || delivery.error || '—'}</td>
+                    <td className="webhook-log-actions">
+                      <button className="webhook-link-btn" onClick={() => handleExpand(delivery)}>
+                        {expandedDelivery?.delivery_id === delivery.delivery_id ? 'Hide' : 'View'}
+                      </button>
+                      <button
+                        className="webhook-link-btn"
+                        disabled={busyId === delivery.delivery_id}
+                        onClick={() => handleReplay(delivery)}
+                      >
+                        Replay
+                      </button>
+                    </td>
+                  </tr>
+                  {expandedDelivery?.delivery_id === delivery.delivery_id && (
+                    <tr className="webhook-log-detail">
+                      <td colSpan={6}>
+                        <pre>{JSON.stringify(expandedDelivery.payload, null, 2)}</pre>
+                        {expandedDelivery.response_body && (
+                          <>
+                            <strong>Response body</strong>
+                            <pre>{expandedDelivery.response_body}</pre>
+                          </>
+                        )}
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        {deliveryPages > 1 && (
+          <div className="webhook-pagination">
+            <button className="webhook-link-btn" disabled={deliveryPage <= 1} onClick={() => setDeliveryPage(deliveryPage - 1)}>‹ Prev</button>
+            <span>Page {deliveryPage} of {deliveryPages}</span>
+            <button className="webhook-link-btn" disabled={deliveryPage >= deliveryPages} onClick={() => setDeliveryPage(deliveryPage + 1)}>Next ›</button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default WebhookSettings;
@@ -0,0 +1,183 @@
+import React, { useState } from 'react';
+import { environmentConfig } from '../config/environment';
+import './WeightDisputeModal.css';
+
+export interface DisputableDiscrepancy {
+  _id: string;
+  awb_number: string;
+  client_declared_weight: number;
+  delhivery_updated_weight: number;
+  deduction_amount: number;
+  dispute_deadline: string;
+  order_id?: {
+    order_id: string;
+    package_info?: {
+      weight_photo_url?: string;
+      dimensions_photo_url?: string;
+    };
+  };
+}
+
+interface WeightDisputeModalProps {
+  discrepancy: DisputableDiscrepancy;
+  onClose: () => void;
+  onSubmitted: (message: string) => void;
+}
+
+const MAX_PRODUCT_PHOTOS = 3;
+
+/**
+ * Seller form to dispute a weight discrepancy charge: the package's own
+ * weight and dimensions, with photos of both.
+ */
+const WeightDisputeModal: React.FC<WeightDisputeModalProps> = ({ discrepancy, onClose, onSubmitted }) => {
+  const [actualWeight, setActualWeight] = useState('');
+  const [length, setLength] = useState('');
+  const [width, setWidth] = useState('');
+  const [height, setHeight] = useState('');
+  const [comment, setComment] = useState('');
+  const [weightPhoto, setWeightPhoto] = useState<File | null>(null);
+  const [dimensionsPhoto, setDimensionsPhoto] = useState<File | null>(null);
+  const [productPhotos, setProductPhotos] = useState<File[]>([]);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const orderPhotos = discrepancy.order_id?.package_info || {};
+  const hasWeightPhoto = Boolean(weightPhoto || orderPhotos.weight_photo_url);
+  const hasDimensionsPhoto = Boolean(dimensionsPhoto || orderPhotos.dimensions_photo_url);
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setError(null);
+
+    if (!hasWeightPhoto || !hasDimensionsPhoto) {
+      setError('Add a photo of the package on the weighing scale and one showing its dimensions');
+      return;
+    }
+
+    const formData = new FormData();
+    formData.append('actual_weight', actualWeight);
+    formData.append('length', length);
+    formData.append('width', width);
+    formData.append('height', height);
+    formData.append('comment', comment);
+    if (weightPhoto) formData.append('weight_photo', weightPhoto);
+    if (dimensionsPhoto) formData.append('dimensions_photo', dimensionsPhoto);
+    productPhotos.forEach(photo => formData.append('product_photos', photo));
+
+    setSubmitting(true);
+    try {
+      const response = await fetch(`${environmentConfig.apiUrl}/weight-discrepancies/${discrepancy._id}/dispute`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        },
+        body: formData
+      });
+      const data = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to raise dispute');
+      }
+      onSubmitted(data.message || 'Dispute raised');
+    } catch (err: any) {
+      setError(err.message || 'Failed to raise dispute');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="weight-dispute-overlay" onClick={() => !submitting && onClose()}>
+      <div className="weight-dispute-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="weight-dispute-header">
+          <h3>Dispute Weight Charge</h3>
+          <button className="weight-dispute-close" onClick={onClose} disabled={submitting}>×</button>
+        </div>
+
+        <form className="weight-dispute-body" onSubmit={handleSubmit}>
+          <div className="weight-dispute-summary">
+            <div><span>AWB</span><strong>{discrepancy.awb_number}</strong></div>
+            <div><span>Declared</span><strong>{discrepancy.client_declared_weight.toFixed(0)} g</strong></div>
+            <div><span>Charged</span><strong>{discrepancy.delhivery_updated_weight.toFixed(0)} g</strong></div>
+            <div><span>Deduction</span><strong>₹{discrepancy.deduction_amount.toFixed(2)}</strong></div>
+          </div>
+          <p className="weight-dispute-deadline">
+            Disputes can be raised until {new Date(discrepancy.dispute_deadline).toLocaleString('en-GB', {
+              day: '2-digit', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit'
+            })}.
+          </p>
+
+          <div className="weight-dispute-row">
+            <label>
+              Actual weight (g) *
+              <input type="number" min={1} value={actualWeight} onChange={(e) => setActualWeight(e.target.value)} required />
+            </label>
+            <label>
+              Length (cm)
+              <input type="number" min={1} value={length} onChange={(e) => setLength(e.target.value)} />
+            </label>
+            <label>
+              Width (cm)
+              <input type="number" min={1} value={width} onChange={(e) => setWidth(e.target.value)} />
+            </label>
+            <label>
+              Height (cm)
+              <input type="number" min={1} value={height} onChange={(e) => setHeight(e.target.value)} />
+            </label>
+          </div>
+
+          <label className="weight-dispute-field">
+            Why is the charge wrong? *
+            <textarea
+              rows={3}
+              value={comment}
+              onChange={(e) => setComment(e.target.value)}
+              placeholder="e.g. The package was weighed at 480 g before pickup"
+              required
+            />
+          </label>
+
+          <div className="weight-dispute-photos">
+            <label className="weight-dispute-field">
+              Photo on weighing scale {orderPhotos.weight_photo_url ? '' : '*'}
+              <input type="file" accept="image/jpeg,image/png,image/webp" onChange={(e) => setWeightPhoto(e.target.files?.[0] || null)} />
+              {!weightPhoto && orderPhotos.weight_photo_url && (
+                <span className="weight-dispute-hint">
+                  The <a href={orderPhotos.weight_photo_url} target="_blank" rel="noopener noreferrer">photo on the order</a> will be used
+                </span>
+              )}
+            </label>
+            <label className="weight-dispute-field">
+              Photo showing dimensions {orderPhotos.dimensions_photo_url ? '' : '*'}
+              <input type="file" accept="image/jpeg,image/png,image/webp" onChange={(e) => setDimensionsPhoto(e.target.files?.[0] || null)} />
+              {!dimensionsPhoto && orderPhotos.dimensions_photo_url && (
+                <span className="weight-dispute-hint">
+                  The <a href={orderPhotos.dimensions_photo_url} target="_blank" rel="noopener noreferrer">photo on the order</a> will be used
+                </span>
+              )}
+            </label>
+            <label className="weight-dispute-field">
+              Product photos (up to {MAX_PRODUCT_PHOTOS})
+              <input
+                type="file"
+                accept="image/jpeg,image/png,image/webp"
+                multiple
+                onChange={(e) => setProductPhotos(Array.from(e.target.files || []).slice(0, MAX_PRODUCT_PHOTOS))}
+              />
+            </label>
+          </div>
+
+          {error && <div className="weight-dispute-error">{error}</div>}
+
+          <div className="weight-dispute-footer">
+            <button type="button" className="secondary" onClick={onClose} disabled={submitting}>Cancel</button>
+            <button type="submit" disabled={submitting}>{submitting ? 'Submitting...' : 'Raise Dispute'}</button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default WeightDisputeModal;
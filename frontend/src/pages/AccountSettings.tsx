@@ -1,5 +1,6 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import Layout from '../components/Layout';
+import WebhookSettings from '../components/WebhookSettings';
 import { userService, type User } from '../services/userService';
 import { DataCache } from '../utils/dataCache';
 import { environmentConfig } from '../config/environment';
@@ -60,6 +61,7 @@ const AccountSettings: React.FC = () => {
   const [uploadingAvatar, setUploadingAvatar] = useState(false);
   const avatarInputRef = React.useRef<HTMLInputElement>(null);
   const [uploadingLogo, setUploadingLogo] = useState(false);
+  const [updatingApiKeys, setUpdatingApiKeys] = useState(false);
   const logoInputRef = React.useRef<HTMLInputElement>(null);
 
   useEffect(() => {
@@ -381,6 +383,45 @@ const AccountSettings: React.FC = () => {
     }
   };
 
+  const applyApiDetails = (apiDetails: Partial<User['api_details']>) => {
+    if (!user) return;
+    const updatedUser = { ...user, api_details: { ...user.api_details, ...apiDetails } };
+    setUser(updatedUser);
+    DataCache.set('userProfile', updatedUser);
+    localStorage.setItem('user', JSON.stringify(updatedUser));
+  };
+
+  const handleRegenerateApiKeys = async () => {
+    if (!window.confirm('Generate new API keys? Your current keys keep working during a short rotation window so you can update your integration.')) {
+      return;
+    }
+
+    try {
+      setUpdatingApiKeys(true);
+      const keys = await userService.regenerateApiKeys();
+      applyApiDetails(keys);
+      alert('API keys regenerated successfully!');
+    } catch (error: any) {
+      console.error('Error regenerating API keys:', error);
+      alert(error?.response?.data?.message || error?.message || 'Failed to regenerate API keys');
+    } finally {
+      setUpdatingApiKeys(false);
+    }
+  };
+
+  const handleApiScopeChange = async (scope: 'read' | 'write') => {
+    try {
+      setUpdatingApiKeys(true);
+      const response = await userService.updateApiKeyScope(scope);
+      applyApiDetails({ scope: response.scope });
+    } catch (error: any) {
+      console.error('Error updating API key scope:', error);
+      alert(error?.response?.data?.message || error?.message || 'Failed to update API key access');
+    } finally {
+      setUpdatingApiKeys(false);
+    }
+  };
+
   const handleDocumentUpload = async (documentType: string, file: File) => {
     console.log('🔍 HANDLE DOCUMENT UPLOAD:', {
       documentType,
@@ -1257,10 +1298,36 @@ const AccountSettings: React.FC = () => {
                 <label>Public Key:</label>
                 <span className="api-key">{user?.api_details?.public_key || 'Not set'}</span>
               </div>
+              <div className="api-item">
+                <label>Access:</label>
+                <select
+                  className="api-scope-select"
+                  value={user?.api_details?.scope || 'write'}
+                  onChange={(e) => handleApiScopeChange(e.target.value as 'read' | 'write')}
+                  disabled={updatingApiKeys || !user?.api_details?.public_key}
+                >
+                  <option value="write">Read &amp; write</option>
+                  <option value="read">Read only</option>
+                </select>
+              </div>
+              {user?.api_details?.previous_key_expires_at && new Date(user.api_details.previous_key_expires_at) > new Date() && (
+                <div className="api-rotation-note">
+                  Previous keys remain valid until {new Date(user.api_details.previous_key_expires_at).toLocaleString()}
+                </div>
+              )}
+              <div className="api-item">
+                <label>Rotate keys:</label>
+                <button className="api-btn" onClick={handleRegenerateApiKeys} disabled={updatingApiKeys}>
+                  🔄 {updatingApiKeys ? 'Updating...' : 'Regenerate'}
+                </button>
+              </div>
             </div>
           </div>
         </div>
 
+        {/* Seller Webhooks Card */}
+        <WebhookSettings />
+
         {/* Reset Password Card */}
         <div className="settings-card">
           <div className="card-header">
@@ -0,0 +1,271 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { adminService, AuditLogEntry, AuditLogFilters } from '../services/adminService';
+import './AdminAuditLog.css';
+
+const CATEGORIES = ['access', 'client', 'kyc', 'wallet', 'ratecard', 'impersonation', 'remittance', 'weight_discrepancy', 'staff', 'system'];
+const PAGE_SIZE = 50;
+
+const emptyFilters: AuditLogFilters = {
+  client: '',
+  actor: '',
+  action: '',
+  category: '',
+  from: '',
+  to: ''
+};
+
+const formatValue = (value: any) => {
+  if (value === undefined || value === null || value === '') return '—';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+const AdminAuditLog: React.FC = () => {
+  const [entries, setEntries] = useState<AuditLogEntry[]>([]);
+  const [actions, setActions] = useState<string[]>([]);
+  const [filters, setFilters] = useState<AuditLogFilters>(emptyFilters);
+  const [appliedFilters, setAppliedFilters] = useState<AuditLogFilters>(emptyFilters);
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [totalCount, setTotalCount] = useState(0);
+  const [expandedId, setExpandedId] = useState<string | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [exporting, setExporting] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const fetchEntries = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const result = await adminService.getAuditLogs({ ...appliedFilters, page, limit: PAGE_SIZE });
+      setEntries(result.entries);
+      setTotalPages(Math.max(result.pagination.total_pages, 1));
+      setTotalCount(result.pagination.total_count);
+    } catch (err: any) {
+      setError(err.response?.data?.message || err.message || 'Failed to load audit log');
+    } finally {
+      setLoading(false);
+    }
+  }, [appliedFilters, page]);
+
+  useEffect(() => {
+    fetchEntries();
+  }, [fetchEntries]);
+
+  useEffect(() => {
+    adminService.getAuditActions()
+      .then(setActions)
+      .catch((err: any) => console.error('Failed to load audit actions:', err));
+  }, []);
+
+  const handleFilterChange = (e: React.ChangeEvent<HTMLInputElement | HTMLSelectElement>) => {
+    const { name, value } = e.target;
+    setFilters(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSearch = (e: React.FormEvent) => {
+    e.preventDefault();
+    setPage(1);
+    setAppliedFilters({ ...filters });
+  };
+
+  const handleReset = () => {
+    setFilters(emptyFilters);
+    setPage(1);
+    setAppliedFilters(emptyFilters);
+  };
+
+  const handleExport = async () => {
+    try {
+      setExporting(true);
+      const { blob, truncated } = await adminService.exportAuditLogs(appliedFilters);
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `audit-log-${new Date().toISOString().slice(0, 10)}.csv`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+      if (truncated) {
+        alert('The export was limited to the newest 50,000 entries. Narrow the date range to export the rest.');
+      }
+    } catch (err: any) {
+      setError(err.message || 'Failed to export audit log');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const formatDate = (dateString: string) => {
+    const date = new Date(dateString);
+    return date.toLocaleDateString('en-GB', { day: '2-digit', month: 'short', year: 'numeric' }) +
+           ' ' + date.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', second: '2-digit', hour12: true });
+  };
+
+  return (
+    <div className="admin-audit-log">
+      <div className="audit-header">
+        <div>
+          <h1>🧾 Audit Log</h1>
+          <p>Every admin action and wallet movement, newest first. Entries cannot be edited or deleted.</p>
+        </div>
+        <button className="audit-export-btn" onClick={handleExport} disabled={exporting}>
+          {exporting ? 'Exporting...' : '⬇ Export CSV'}
+        </button>
+      </div>
+
+      <form className="audit-filters" onSubmit={handleSearch}>
+        <input
+          type="text"
+          name="client"
+          value={filters.client}
+          onChange={handleFilterChange}
+          placeholder="Client ID or email"
+        />
+        <input
+          type="text"
+          name="actor"
+          value={filters.actor}
+          onChange={handleFilterChange}
+          placeholder="Actor email"
+        />
+        <select name="action" value={filters.action} onChange={handleFilterChange}>
+          <option value="">All actions</option>
+          {actions.map(action => (
+            <option key={action} value={action}>{action}</option>
+          ))}
+        </select>
+        <select name="category" value={filters.category} onChange={handleFilterChange}>
+          <option value="">All categories</option>
+          {CATEGORIES.map(category => (
+            <option key={category} value={category}>{category.replace('_', ' ')}</option>
+          ))}
+        </select>
+        <input type="date" name="from" value={filters.from} onChange={handleFilterChange} title="From" />
+        <input type="date" name="to" value={filters.to} onChange={handleFilterChange} title="To" />
+        <button type="submit" className="audit-search-btn">Search</button>
+        <button type="button" className="audit-reset-btn" onClick={handleReset}>Reset</button>
+      </form>
+
+      {error && (
+        <div className="audit-error">
+          <span>{error}</span>
+          <button onClick={() => setError(null)}>×</button>
+        </div>
+      )}
+
+      <div className="audit-table-container">
+        {loading ? (
+          <div className="audit-loading">Loading...</div>
+        ) : (
+          <table className="audit-table">
+            <thead>
+              <tr>
+                <th>Time</th>
+                <th>Action</th>
+                <th>Actor</th>
+                <th>Client</th>
+                <th>Target</th>
+                <th>Changes</th>
+                <th>IP</th>
+              </tr>
+            </thead>
+            <tbody>
+              {entries.length === 0 ? (
+                <tr>
+                  <td colSpan={7} className="audit-no-data">No audit entries found</td>
+                </tr>
+              ) : (
+                entries.map(entry => (
+                  <React.Fragment key={entry._id}>
+                    <tr
+                      className={`audit-row ${expandedId === entry._id ? 'expanded' : ''}`}
+                      onClick={() => setExpandedId(expandedId === entry._id ? null : entry._id)}
+                    >
+                      <td className="audit-time">{formatDate(entry.createdAt)}</td>
+                      <td>
+                        <span className={`audit-category ${entry.category}`}>{entry.category.replace('_', ' ')}</span>
+                        <div className="audit-action">{entry.action}</div>
+                      </td>
+                      <td>
+                        <div>{entry.actor.email || entry.actor.name || entry.actor.type}</div>
+                        <div className="audit-muted">{entry.actor.role || entry.actor.type}</div>
+                      </td>
+                      <td>
+                        {entry.client_id ? (
+                          <>
+                            <div>{entry.client_id.company_name}</div>
+                            <div className="audit-muted">{entry.client_id.client_id}</div>
+                          </>
+                        ) : '—'}
+                      </td>
+                      <td>
+                        <div>{entry.target?.label || entry.target?.id || '—'}</div>
+                        {entry.target?.type && <div className="audit-muted">{entry.target.type}</div>}
+                      </td>
+                      <td>
+                        {entry.changes.length === 0 ? '—' : entry.changes.slice(0, 2).map(change => (
+                          <div key={change.field} className="audit-change">
+                            <strong>{change.field}</strong>: {formatValue(change.before)} → {formatValue(change.after)}
+                          </div>
+                        ))}
+                        {entry.changes.length > 2 && (
+                          <div className="audit-muted">+{entry.changes.length - 2} more</div>
+                        )}
+                      </td>
+                      <td className="audit-muted">{entry.ip_address || '—'}</td>
+                    </tr>
+                    {expandedId === entry._id && (
+                      <tr className="audit-details-row">
+                        <td colSpan={7}>
+                          {entry.reason && <p><strong>Reason:</strong> {entry.reason}</p>}
+                          {entry.request && <p><strong>Request:</strong> {entry.request.method} {entry.request.path}</p>}
+                          {entry.changes.length > 0 && (
+                            <table className="audit-changes-table">
+                              <thead>
+                                <tr>
+                                  <th>Field</th>
+                                  <th>Before</th>
+                                  <th>After</th>
+                                </tr>
+                              </thead>
+                              <tbody>
+                                {entry.changes.map(change => (
+                                  <tr key={change.field}>
+                                    <td>{change.field}</td>
+                                    <td>{formatValue(change.before)}</td>
+                                    <td>{formatValue(change.after)}</td>
+                                  </tr>
+                                ))}
+                              </tbody>
+                            </table>
+                          )}
+                          {entry.metadata && (
+                            <pre className="audit-metadata">{JSON.stringify(entry.metadata, null, 2)}</pre>
+                          )}
+                        </td>
+                      </tr>
+                    )}
+                  </React.Fragment>
+                ))
+              )}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {!loading && totalCount > 0 && (
+        <div className="audit-pagination">
+          <span>{totalCount} entries</span>
+          <div>
+            <button onClick={() => setPage(p => Math.max(1, p - 1))} disabled={page === 1}>←</button>
+            <span>Page {page} of {totalPages}</span>
+            <button onClick={() => setPage(p => Math.min(totalPages, p + 1))} disabled={page >= totalPages}>→</button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AdminAuditLog;
@@ -1,6 +1,8 @@
 import React, { useEffect, useMemo, useState } from 'react';
 import { useNavigate, useParams } from 'react-router-dom';
 import { adminService } from '../services/adminService';
+import ClientCreditTermsCard from '../components/ClientCreditTermsCard';
+import ClientInvoiceNotesCard from '../components/ClientInvoiceNotesCard';
 import './AdminBilling.css';
 
 interface BillingClientRow {
@@ -452,6 +454,10 @@ const AdminBilling: React.FC = () => {
         </div>
       </div>
 
+      {clientId && <ClientCreditTermsCard clientId={clientId} />}
+
+      {clientId && <ClientInvoiceNotesCard clientId={clientId} />}
+
       {transactionsError && (
         <div className="billing-error">
           <span>{transactionsError}</span>
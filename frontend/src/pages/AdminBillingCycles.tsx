@@ -0,0 +1,331 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { adminService, AdminBillingCycle, BillingCycleStatus } from '../services/adminService';
+import './AdminBillingCycles.css';
+
+const STATUSES: BillingCycleStatus[] = ['open', 'closed', 'invoiced', 'void'];
+const PAGE_SIZE = 25;
+
+const formatCurrency = (amount: number = 0) =>
+  `₹${amount.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const formatDateTime = (dateString?: string) => {
+  if (!dateString) return '—';
+  const date = new Date(dateString);
+  return date.toLocaleDateString('en-GB', { day: '2-digit', month: 'short', year: 'numeric' }) +
+         ' ' + date.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', hour12: true });
+};
+
+const AdminBillingCycles: React.FC = () => {
+  const [cycles, setCycles] = useState<AdminBillingCycle[]>([]);
+  const [status, setStatus] = useState<BillingCycleStatus | ''>('');
+  const [search, setSearch] = useState('');
+  const [appliedSearch, setAppliedSearch] = useState('');
+  const [failedOnly, setFailedOnly] = useState(false);
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [totalCount, setTotalCount] = useState(0);
+  const [expandedId, setExpandedId] = useState<string | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState<string | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [notice, setNotice] = useState<string | null>(null);
+
+  const fetchCycles = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const result = await adminService.getBillingCycles({
+        status,
+        search: appliedSearch,
+        failed: failedOnly,
+        page,
+        limit: PAGE_SIZE
+      });
+      setCycles(result.cycles);
+      setTotalPages(Math.max(result.pagination.totalPages, 1));
+      setTotalCount(result.pagination.totalCycles);
+    } catch (err: any) {
+      setError(err.response?.data?.message || err.message || 'Failed to load billing cycles');
+    } finally {
+      setLoading(false);
+    }
+  }, [status, appliedSearch, failedOnly, page]);
+
+  useEffect(() => {
+    fetchCycles();
+  }, [fetchCycles]);
+
+  const handleSearch = (e: React.FormEvent) => {
+    e.preventDefault();
+    setPage(1);
+    setAppliedSearch(search.trim());
+  };
+
+  const runAction = async (id: string, action: () => Promise<{ message: string }>) => {
+    try {
+      setBusyId(id);
+      setError(null);
+      const result = await action();
+      setNotice(result.message);
+      await fetchCycles();
+    } catch (err: any) {
+      setError(err.response?.data?.message || err.message || 'Action failed');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleRunClose = () => {
+    if (!window.confirm('Close every billing cycle whose period has ended and generate the pending invoices now?')) return;
+    runAction('run-close', () => adminService.runBillingCycleClose());
+  };
+
+  const handleRerun = (cycle: AdminBillingCycle) => {
+    const prompt = cycle.invoice
+      ? `Invoice ${cycle.invoice.invoice_number} will be cancelled and regenerated. Reason:`
+      : `Generate the invoice for ${cycle.cycle_id}? Reason (optional):`;
+    const reason = window.prompt(prompt);
+    if (reason === null) return;
+    runAction(cycle._id, () => adminService.rerunBillingCycle(cycle._id, reason.trim() || undefined));
+  };
+
+  const handleVoid = (cycle: AdminBillingCycle) => {
+    const reason = window.prompt(
+      `Void ${cycle.cycle_id}? None of its charges will be invoiced${cycle.invoice ? ` and invoice ${cycle.invoice.invoice_number} will be cancelled` : ''}. Reason:`
+    );
+    if (reason === null) return;
+    if (!reason.trim()) {
+      setError('A reason is required to void a billing cycle');
+      return;
+    }
+    runAction(cycle._id, () => adminService.voidBillingCycle(cycle._id, reason.trim()));
+  };
+
+  const handleGenerateIRN = (cycle: AdminBillingCycle) => {
+    if (!cycle.invoice) return;
+    const invoiceId = cycle.invoice._id;
+    runAction(cycle._id, () => adminService.generateInvoiceIRN(invoiceId));
+  };
+
+  const canRerun = (cycle: AdminBillingCycle) =>
+    cycle.status === 'closed' || cycle.status === 'invoiced' ||
+    (cycle.status === 'open' && new Date(cycle.end_date) < new Date());
+
+  return (
+    <div className="admin-billing-cycles">
+      <div className="cycles-header">
+        <div>
+          <h1>🗓️ Billing Cycles</h1>
+          <p>Fortnightly cycles close at 00:30 IST after the 15th and the last day of the month, and their invoices are generated automatically.</p>
+        </div>
+        <button className="cycles-primary-btn" onClick={handleRunClose} disabled={busyId !== null}>
+          {busyId === 'run-close' ? 'Running...' : '▶ Run Close Now'}
+        </button>
+      </div>
+
+      <form className="cycles-filters" onSubmit={handleSearch}>
+        <input
+          type="text"
+          value={search}
+          onChange={e => setSearch(e.target.value)}
+          placeholder="Client ID, company or email"
+        />
+        <select
+          value={status}
+          onChange={e => {
+            setPage(1);
+            setStatus(e.target.value as BillingCycleStatus | '');
+          }}
+        >
+          <option value="">All statuses</option>
+          {STATUSES.map(option => (
+            <option key={option} value={option}>{option}</option>
+          ))}
+        </select>
+        <label className="cycles-checkbox">
+          <input
+            type="checkbox"
+            checked={failedOnly}
+            onChange={e => {
+              setPage(1);
+              setFailedOnly(e.target.checked);
+            }}
+          />
+          Failed runs only
+        </label>
+        <button type="submit" className="cycles-primary-btn">Search</button>
+      </form>
+
+      {error && (
+        <div className="cycles-message error">
+          <span>{error}</span>
+          <button onClick={() => setError(null)}>×</button>
+        </div>
+      )}
+      {notice && (
+        <div className="cycles-message success">
+          <span>{notice}</span>
+          <button onClick={() => setNotice(null)}>×</button>
+        </div>
+      )}
+
+      <div className="cycles-table-container">
+        {loading ? (
+          <div className="cycles-loading">Loading...</div>
+        ) : (
+          <table className="cycles-table">
+            <thead>
+              <tr>
+                <th>Cycle</th>
+                <th>Client</th>
+                <th>Status</th>
+                <th>Orders</th>
+                <th>Late Charges</th>
+                <th>Estimated</th>
+                <th>Invoice</th>
+                <th>Last Run</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {cycles.length === 0 ? (
+                <tr>
+                  <td colSpan={9} className="cycles-no-data">No billing cycles found</td>
+                </tr>
+              ) : (
+                cycles.map(cycle => (
+                  <React.Fragment key={cycle._id}>
+                    <tr
+                      className={`cycles-row ${expandedId === cycle._id ? 'expanded' : ''}`}
+                      onClick={() => setExpandedId(expandedId === cycle._id ? null : cycle._id)}
+                    >
+                      <td>
+                        <div>{cycle.period_display}</div>
+                        <div className="cycles-muted cycles-mono">{cycle.cycle_id}</div>
+                      </td>
+                      <td>
+                        {cycle.client ? (
+                          <>
+                            <div>{cycle.client.company_name}</div>
+                            <div className="cycles-muted">{cycle.client.client_id} • {cycle.client.billing_mode}</div>
+                          </>
+                        ) : '—'}
+                      </td>
+                      <td>
+                        <span className={`cycles-status ${cycle.status}`}>{cycle.status}</span>
+                      </td>
+                      <td>{cycle.summary.total_orders}</td>
+                      <td>
+                        {cycle.late_charges.length > 0
+                          ? <>{cycle.late_charges.length} • {formatCurrency(cycle.late_charges_total)}</>
+                          : '—'}
+                      </td>
+                      <td>{formatCurrency(cycle.summary.estimated_total)}</td>
+                      <td>
+                        {cycle.invoice ? (
+                          <>
+                            <div>{cycle.invoice.invoice_number}</div>
+                            <div className="cycles-muted">
+                              {formatCurrency(cycle.invoice.amounts.grand_total)} • {cycle.invoice.payment_status}
+                            </div>
+                            {cycle.invoice.einvoice?.status && (
+                              <div className={`cycles-irn ${cycle.invoice.einvoice.status}`} title={cycle.invoice.irn || cycle.invoice.einvoice.last_error}>
+                                {cycle.invoice.einvoice.status === 'generated' && `IRN ✓ Ack ${cycle.invoice.einvoice.ack_no}`}
+                                {cycle.invoice.einvoice.status === 'failed' && 'IRN failed'}
+                                {cycle.invoice.einvoice.status === 'cancelled' && 'IRN cancelled'}
+                              </div>
+                            )}
+                          </>
+                        ) : '—'}
+                      </td>
+                      <td>
+                        <div>{formatDateTime(cycle.last_run?.at)}</div>
+                        {cycle.last_run?.error && <div className="cycles-run-error">{cycle.last_run.error}</div>}
+                      </td>
+                      <td className="cycles-actions" onClick={e => e.stopPropagation()}>
+                        {cycle.invoice?.einvoice?.status === 'failed' && cycle.invoice.payment_status !== 'cancelled' && (
+                          <button onClick={() => handleGenerateIRN(cycle)} disabled={busyId !== null}>
+                            Retry IRN
+                          </button>
+                        )}
+                        {canRerun(cycle) && (
+                          <button onClick={() => handleRerun(cycle)} disabled={busyId !== null}>
+                            {busyId === cycle._id ? '...' : 'Re-run'}
+                          </button>
+                        )}
+                        {cycle.status !== 'void' && (
+                          <button className="danger" onClick={() => handleVoid(cycle)} disabled={busyId !== null}>
+                            Void
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                    {expandedId === cycle._id && (
+                      <tr className="cycles-details-row">
+                        <td colSpan={9}>
+                          <p>
+                            <strong>Period:</strong> {formatDateTime(cycle.start_date)} – {formatDateTime(cycle.end_date)}
+                            {cycle.closed_at && <> • <strong>Closed:</strong> {formatDateTime(cycle.closed_at)}</>}
+                            {cycle.invoiced_at && <> • <strong>Invoiced:</strong> {formatDateTime(cycle.invoiced_at)}</>}
+                            {cycle.last_run?.by && <> • <strong>Last run by:</strong> {cycle.last_run.by}</>}
+                          </p>
+                          {cycle.invoice?.einvoice?.status === 'failed' && (
+                            <p className="cycles-run-error"><strong>IRN:</strong> {cycle.invoice.einvoice.last_error}</p>
+                          )}
+                          {cycle.status === 'void' && (
+                            <p><strong>Voided</strong> {formatDateTime(cycle.voided_at)} by {cycle.voided_by}: {cycle.void_reason}</p>
+                          )}
+                          {cycle.late_charges.length === 0 ? (
+                            <p className="cycles-muted">No late charges in this cycle.</p>
+                          ) : (
+                            <table className="cycles-charges-table">
+                              <thead>
+                                <tr>
+                                  <th>Type</th>
+                                  <th>Order</th>
+                                  <th>AWB</th>
+                                  <th>Amount</th>
+                                  <th>Paid From</th>
+                                  <th>Applied</th>
+                                </tr>
+                              </thead>
+                              <tbody>
+                                {cycle.late_charges.map(charge => (
+                                  <tr key={charge._id}>
+                                    <td>{charge.type === 'rto' ? 'RTO' : 'Weight discrepancy'}</td>
+                                    <td>{charge.internal_order_id || '—'}</td>
+                                    <td>{charge.awb_number || '—'}</td>
+                                    <td>{formatCurrency(charge.amount)}</td>
+                                    <td>{charge.settled_from_wallet ? 'Wallet' : 'Invoice'}</td>
+                                    <td>{formatDateTime(charge.applied_at)}</td>
+                                  </tr>
+                                ))}
+                              </tbody>
+                            </table>
+                          )}
+                        </td>
+                      </tr>
+                    )}
+                  </React.Fragment>
+                ))
+              )}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {!loading && totalCount > 0 && (
+        <div className="cycles-pagination">
+          <span>{totalCount} cycles</span>
+          <div>
+            <button onClick={() => setPage(p => Math.max(1, p - 1))} disabled={page === 1}>←</button>
+            <span>Page {page} of {totalPages}</span>
+            <button onClick={() => setPage(p => Math.min(totalPages, p + 1))} disabled={page >= totalPages}>→</button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AdminBillingCycles;
@@ -1,6 +1,7 @@
 import React, { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { environmentConfig } from '../config/environment';
+import { adminService } from '../services/adminService';
+import { saveAdminSession } from '../utils/adminSession';
 import './AdminLogin.css';
 
 const AdminLogin: React.FC = () => {
@@ -26,54 +27,16 @@ const AdminLogin: React.FC = () => {
     setError(null);
 
     try {
-      // Check admin credentials first
-      if (credentials.email === 'udditalerts247@gmail.com' && credentials.password === 'jpmcA123') {
-        // Store admin session
-        localStorage.setItem('admin_authenticated', 'true');
-        localStorage.setItem('admin_email', credentials.email);
-        localStorage.setItem('admin_password', credentials.password);
-        localStorage.setItem('admin_role', 'admin');
-        localStorage.removeItem('is_staff');
-        localStorage.removeItem('staff_name');
-        localStorage.removeItem('staff_email');
-        
-        // Navigate to admin dashboard
+      const result = await adminService.login(credentials.email, credentials.password);
+
+      if (result.success && result.data) {
+        saveAdminSession(result.data);
         navigate('/admin/dashboard');
         setLoading(false);
         return;
       }
 
-      // Check staff credentials via API
-      const response = await fetch(`${environmentConfig.apiUrl}/admin/staff/verify`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'x-admin-email': credentials.email,
-          'x-admin-password': credentials.password
-        }
-      });
-
-      if (response.ok) {
-        const data = await response.json();
-        if (data.success && data.staff) {
-          // Store staff session
-          localStorage.setItem('admin_authenticated', 'true');
-          localStorage.setItem('is_staff', 'true');
-          localStorage.setItem('staff_name', data.staff.name);
-          localStorage.setItem('staff_email', data.staff.email);
-          localStorage.setItem('admin_email', data.staff.email); // Needed for API calls
-          localStorage.setItem('admin_password', credentials.password); // Store password for API calls
-          localStorage.setItem('admin_role', 'staff');
-          
-          // Navigate to admin dashboard
-          navigate('/admin/dashboard');
-          setLoading(false);
-          return;
-        }
-      }
-
-      // If neither admin nor staff authentication succeeded
-      setError('Invalid credentials');
+      setError(result.message || 'Invalid credentials');
     } catch (err: any) {
       setError('Login failed. Please try again.');
       console.error('Login error:', err);
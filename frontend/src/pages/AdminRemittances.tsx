@@ -1,5 +1,7 @@
-import React, { useState } from 'react';
-import { adminService } from '../services/adminService';
+import React, { useState, useCallback, useEffect } from 'react';
+import { adminService, EarlyCodPayout } from '../services/adminService';
+import CodReconciliationReport from '../components/CodReconciliationReport';
+import EarlyCodPanel, { EarlyCodPlanChanges } from '../components/EarlyCodPanel';
 import './AdminRemittances.css';
 
 interface UploadResult {
@@ -20,6 +22,8 @@ interface UploadResult {
     user_id: string;
     orders_count: number;
     total_remittance: number;
+    early_cod_advanced?: number;
+    net_payable?: number;
     action: string;
   }>;
 }
@@ -28,6 +32,127 @@ const AdminRemittances: React.FC = () => {
   const [uploading, setUploading] = useState(false);
   const [uploadResult, setUploadResult] = useState<UploadResult | null>(null);
   const [uploadError, setUploadError] = useState<string | null>(null);
+  const [clientInput, setClientInput] = useState('');
+  const [reconClientId, setReconClientId] = useState('');
+  const [reconClientName, setReconClientName] = useState<string | null>(null);
+  const [earlyCodInput, setEarlyCodInput] = useState('');
+  const [earlyCodClientId, setEarlyCodClientId] = useState('');
+  const [earlyCodClientName, setEarlyCodClientName] = useState<string | null>(null);
+  const [payouts, setPayouts] = useState<EarlyCodPayout[]>([]);
+  const [payoutsLoading, setPayoutsLoading] = useState(false);
+  const [utrInputs, setUtrInputs] = useState<Record<string, string>>({});
+  const [markingPaid, setMarkingPaid] = useState<string | null>(null);
+  const [runningEarlyCod, setRunningEarlyCod] = useState(false);
+
+  const loadReconciliation = useCallback(async (minAgeDays: number) => {
+    const response = await adminService.getCodReconciliation({
+      clientId: reconClientId || undefined,
+      minAgeDays
+    });
+    setReconClientName(response.data.client?.company_name || null);
+    return response.data;
+  }, [reconClientId]);
+
+  const loadRemittanceReconciliation = useCallback(async (remittanceNumber: string) => {
+    const response = await adminService.getRemittanceReconciliation(remittanceNumber);
+    return response.data;
+  }, []);
+
+  const exportReconciliation = async (minAgeDays: number) => {
+    await adminService.downloadCodReconciliation({ clientId: reconClientId || undefined, minAgeDays });
+  };
+
+  const exportRemittanceReconciliation = async (remittanceNumber: string) => {
+    await adminService.downloadCodReconciliation({ remittanceNumber });
+  };
+
+  const handleClientFilter = (e: React.FormEvent) => {
+    e.preventDefault();
+    setReconClientId(clientInput.trim());
+  };
+
+  const handleSellerSelect = (clientId: string) => {
+    setClientInput(clientId);
+    setReconClientId(clientId);
+  };
+
+  const handleClearClient = () => {
+    setClientInput('');
+    setReconClientId('');
+  };
+
+  const fetchPayouts = useCallback(async () => {
+    setPayoutsLoading(true);
+    try {
+      const response = await adminService.getEarlyCodPayouts();
+      setPayouts(response.data.payouts);
+    } catch (error: any) {
+      console.error('Early COD payouts error:', error);
+    } finally {
+      setPayoutsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchPayouts();
+  }, [fetchPayouts]);
+
+  const loadClientEarlyCod = useCallback(async (page: number) => {
+    const response = await adminService.getClientEarlyCod(earlyCodClientId, page);
+    setEarlyCodClientName(response.data.client.company_name);
+    return { ...response.data, has_bank_details: response.data.client.has_bank_details };
+  }, [earlyCodClientId]);
+
+  const saveClientEarlyCod = async (changes: EarlyCodPlanChanges) => {
+    const response = await adminService.updateClientEarlyCod(earlyCodClientId, changes);
+    return response.data;
+  };
+
+  const handleEarlyCodClient = (e: React.FormEvent) => {
+    e.preventDefault();
+    setEarlyCodClientName(null);
+    setEarlyCodClientId(earlyCodInput.trim());
+  };
+
+  const handleMarkPaid = async (advanceId: string) => {
+    const utr = (utrInputs[advanceId] || '').trim();
+    if (!utr) {
+      alert('Enter the UTR number of the bank transfer');
+      return;
+    }
+
+    setMarkingPaid(advanceId);
+    try {
+      await adminService.markEarlyCodPayoutPaid(advanceId, utr);
+      setPayouts(prev => prev.filter(payout => payout._id !== advanceId));
+    } catch (error: any) {
+      alert(`Failed to record payout: ${error.response?.data?.message || error.message}`);
+    } finally {
+      setMarkingPaid(null);
+    }
+  };
+
+  const handleRunEarlyCod = async () => {
+    if (!window.confirm('Advance COD for all due orders now?')) return;
+
+    setRunningEarlyCod(true);
+    try {
+      const result = await adminService.runEarlyCod();
+      alert(
+        `Early COD run completed!\n\n` +
+        `Sellers: ${result.data.sellers}\n` +
+        `Orders Advanced: ${result.data.advanced}\n` +
+        `Amount: ₹${result.data.amount.toFixed(2)}\n` +
+        `Fees: ₹${result.data.fees.toFixed(2)}\n` +
+        `Failed: ${result.data.failed}`
+      );
+      fetchPayouts();
+    } catch (error: any) {
+      alert(`Early COD run failed: ${error.response?.data?.message || error.message}`);
+    } finally {
+      setRunningEarlyCod(false);
+    }
+  };
 
   const handleFileUpload = async (e: React.ChangeEvent<HTMLInputElement>) => {
     const file = e.target.files?.[0];
@@ -189,7 +314,8 @@ const AdminRemittances: React.FC = () => {
                 {uploadResult.details.map((detail, idx) => (
                   <div key={idx} className="detail-item">
                     <strong>{detail.remittance_number}</strong> - {detail.action} for client {detail.user_id} 
-                    ({detail.orders_count} orders, ₹{detail.total_remittance.toFixed(2)})
+                    ({detail.orders_count} orders, ₹{detail.total_remittance.toFixed(2)}
+                    {detail.early_cod_advanced ? `, ₹${detail.early_cod_advanced.toFixed(2)} paid early, net ₹${(detail.net_payable || 0).toFixed(2)}` : ''})
                   </div>
                 ))}
               </div>
@@ -215,6 +341,125 @@ const AdminRemittances: React.FC = () => {
           )}
         </div>
       )}
+
+      {/* COD Reconciliation */}
+      <div className="reconciliation-section">
+        <div className="reconciliation-header">
+          <div>
+            <h3>🔍 COD Reconciliation</h3>
+            <p>
+              Delivered COD orders checked against uploaded and webhook remittances
+              {reconClientId ? ` for ${reconClientName || reconClientId}` : ' for all clients'}
+            </p>
+          </div>
+          <form className="reconciliation-client-filter" onSubmit={handleClientFilter}>
+            <input
+              type="text"
+              placeholder="Client ID"
+              value={clientInput}
+              onChange={(e) => setClientInput(e.target.value)}
+            />
+            <button type="submit">Filter</button>
+            {reconClientId && (
+              <button type="button" className="secondary" onClick={handleClearClient}>All clients</button>
+            )}
+          </form>
+        </div>
+        <CodReconciliationReport
+          loadReport={loadReconciliation}
+          loadRemittance={loadRemittanceReconciliation}
+          exportReport={exportReconciliation}
+          exportRemittance={exportRemittanceReconciliation}
+          showSeller={!reconClientId}
+          onSellerSelect={handleSellerSelect}
+        />
+      </div>
+
+      {/* Early COD */}
+      <div className="reconciliation-section early-cod-section">
+        <div className="reconciliation-header">
+          <div>
+            <h3>⚡ Early COD</h3>
+            <p>COD advanced to opted-in clients before the courier remits it. Due orders are advanced daily at 10:00.</p>
+          </div>
+          <div className="early-cod-actions">
+            <form className="reconciliation-client-filter" onSubmit={handleEarlyCodClient}>
+              <input
+                type="text"
+                placeholder="Client ID"
+                value={earlyCodInput}
+                onChange={(e) => setEarlyCodInput(e.target.value)}
+              />
+              <button type="submit">Open Plan</button>
+            </form>
+            <button className="early-cod-run" onClick={handleRunEarlyCod} disabled={runningEarlyCod}>
+              {runningEarlyCod ? 'Running...' : 'Run Now'}
+            </button>
+          </div>
+        </div>
+
+        {earlyCodClientId && (
+          <div className="early-cod-client">
+            <h4>Plan for {earlyCodClientName || earlyCodClientId}</h4>
+            <EarlyCodPanel key={earlyCodClientId} loadSummary={loadClientEarlyCod} savePlan={saveClientEarlyCod} allowFee />
+          </div>
+        )}
+
+        <h4>Pending Bank Payouts ({payouts.length})</h4>
+        <div className="early-cod-payouts">
+          <table>
+            <thead>
+              <tr>
+                <th>Client</th>
+                <th>AWB</th>
+                <th>COD</th>
+                <th>Fee</th>
+                <th>Transfer</th>
+                <th>Bank Account</th>
+                <th>UTR</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {payoutsLoading ? (
+                <tr><td colSpan={8} className="empty-state">Loading...</td></tr>
+              ) : payouts.length === 0 ? (
+                <tr><td colSpan={8} className="empty-state">No bank payouts pending</td></tr>
+              ) : payouts.map(payout => (
+                <tr key={payout._id}>
+                  <td>
+                    {payout.client.company_name}
+                    <span className="early-cod-sub">{payout.client.client_id}</span>
+                  </td>
+                  <td>{payout.awb_number}</td>
+                  <td>₹{payout.cod_amount.toFixed(2)}</td>
+                  <td>₹{payout.fee_amount.toFixed(2)}</td>
+                  <td><strong>₹{payout.net_amount.toFixed(2)}</strong></td>
+                  <td>
+                    {payout.client.account_holder_name}
+                    <span className="early-cod-sub">
+                      {payout.client.bank_name} · {payout.client.account_number} · {payout.client.ifsc_code}
+                    </span>
+                  </td>
+                  <td>
+                    <input
+                      type="text"
+                      placeholder="UTR number"
+                      value={utrInputs[payout._id] || ''}
+                      onChange={(e) => setUtrInputs(prev => ({ ...prev, [payout._id]: e.target.value }))}
+                    />
+                  </td>
+                  <td>
+                    <button onClick={() => handleMarkPaid(payout._id)} disabled={markingPaid === payout._id}>
+                      {markingPaid === payout._id ? 'Saving...' : 'Mark Paid'}
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
     </div>
   );
 };
@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from 'react';
-import { adminService, Staff } from '../services/adminService';
+import { adminService, AdminPermissionCatalogue, Staff, StaffRole } from '../services/adminService';
 import './AdminStaffManagement.css';
 
 const AdminStaffManagement: React.FC = () => {
@@ -8,17 +8,40 @@ const AdminStaffManagement: React.FC = () => {
   const [error, setError] = useState<string | null>(null);
   const [showCreateForm, setShowCreateForm] = useState(false);
   const [editingStaff, setEditingStaff] = useState<Staff | null>(null);
+  const [catalogue, setCatalogue] = useState<AdminPermissionCatalogue | null>(null);
   
   const [formData, setFormData] = useState({
     name: '',
     email: '',
     password: ''
   });
+  const [role, setRole] = useState<StaffRole>('staff');
+  // null = use the role's default permissions
+  const [customPermissions, setCustomPermissions] = useState<string[] | null>(null);
 
   useEffect(() => {
     fetchStaff();
+    adminService.getPermissions()
+      .then(setCatalogue)
+      .catch((err: any) => console.error('Failed to load permissions:', err));
   }, []);
 
+  const resetForm = () => {
+    setFormData({ name: '', email: '', password: '' });
+    setRole('staff');
+    setCustomPermissions(null);
+  };
+
+  const rolePermissions = catalogue?.roles[role] || [];
+  const selectedPermissions = customPermissions || rolePermissions;
+
+  const togglePermission = (permission: string) => {
+    const next = selectedPermissions.includes(permission)
+      ? selectedPermissions.filter(p => p !== permission)
+      : [...selectedPermissions, permission];
+    setCustomPermissions(next);
+  };
+
   const fetchStaff = async () => {
     try {
       setLoading(true);
@@ -49,11 +72,12 @@ const AdminStaffManagement: React.FC = () => {
       const response = await adminService.createStaff(
         formData.name,
         formData.email,
-        formData.password
+        formData.password,
+        { role, permissions: customPermissions }
       );
       
       if (response.success) {
-        setFormData({ name: '', email: '', password: '' });
+        resetForm();
         setShowCreateForm(false);
         await fetchStaff();
         alert('Staff account created successfully!');
@@ -70,6 +94,8 @@ const AdminStaffManagement: React.FC = () => {
       email: staff.email,
       password: ''
     });
+    setRole(staff.role);
+    setCustomPermissions(staff.permissions || null);
     setShowCreateForm(true);
   };
 
@@ -81,7 +107,9 @@ const AdminStaffManagement: React.FC = () => {
       setError(null);
       const updates: any = {
         name: formData.name,
-        email: formData.email
+        email: formData.email,
+        role,
+        permissions: customPermissions
       };
       
       if (formData.password) {
@@ -91,7 +119,7 @@ const AdminStaffManagement: React.FC = () => {
       const response = await adminService.updateStaff(editingStaff._id, updates);
       
       if (response.success) {
-        setFormData({ name: '', email: '', password: '' });
+        resetForm();
         setShowCreateForm(false);
         setEditingStaff(null);
         await fetchStaff();
@@ -123,7 +151,7 @@ const AdminStaffManagement: React.FC = () => {
   const handleCancel = () => {
     setShowCreateForm(false);
     setEditingStaff(null);
-    setFormData({ name: '', email: '', password: '' });
+    resetForm();
   };
 
   if (loading && staffList.length === 0) {
@@ -211,6 +239,44 @@ const AdminStaffManagement: React.FC = () => {
               />
             </div>
 
+            <div className="form-group">
+              <label htmlFor="role">Role *</label>
+              <select
+                id="role"
+                value={role}
+                onChange={(e) => setRole(e.target.value as StaffRole)}
+              >
+                {Object.keys(catalogue?.roles || { staff: [] }).map(roleKey => (
+                  <option key={roleKey} value={roleKey}>{roleKey}</option>
+                ))}
+              </select>
+            </div>
+
+            {catalogue && (
+              <div className="form-group">
+                <label>
+                  Permissions {customPermissions ? '(custom)' : '(role defaults)'}
+                </label>
+                <div className="permission-grid">
+                  {catalogue.permissions.map(permission => (
+                    <label key={permission.key} className="permission-option">
+                      <input
+                        type="checkbox"
+                        checked={selectedPermissions.includes(permission.key)}
+                        onChange={() => togglePermission(permission.key)}
+                      />
+                      <span>{permission.description}</span>
+                    </label>
+                  ))}
+                </div>
+                {customPermissions && (
+                  <button type="button" className="btn-link" onClick={() => setCustomPermissions(null)}>
+                    Reset to {role} defaults
+                  </button>
+                )}
+              </div>
+            )}
+
             <div className="form-actions">
               <button type="submit" className="btn-primary">
                 {editingStaff ? 'Update Staff' : 'Create Staff'}
@@ -235,6 +301,7 @@ const AdminStaffManagement: React.FC = () => {
                 <th>Name</th>
                 <th>Email</th>
                 <th>Role</th>
+                <th>Permissions</th>
                 <th>Status</th>
                 <th>Created</th>
                 <th>Actions</th>
@@ -243,7 +310,7 @@ const AdminStaffManagement: React.FC = () => {
             <tbody>
               {staffList.length === 0 ? (
                 <tr>
-                  <td colSpan={6} className="no-data">
+                  <td colSpan={7} className="no-data">
                     No staff members found. Create your first staff account.
                   </td>
                 </tr>
@@ -255,6 +322,10 @@ const AdminStaffManagement: React.FC = () => {
                     <td>
                       <span className="role-badge">{staff.role}</span>
                     </td>
+                    <td title={(staff.effective_permissions || []).join(', ')}>
+                      {(staff.effective_permissions || []).length}
+                      {staff.permissions ? ' (custom)' : ''}
+                    </td>
                     <td>
                       <span className={`status-badge ${staff.is_active ? 'active' : 'inactive'}`}>
                         {staff.is_active ? 'Active' : 'Inactive'}
@@ -1,5 +1,6 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { environmentConfig } from '../config/environment';
+import { getAdminToken } from '../utils/adminSession';
 import './AdminWeightDiscrepancies.css';
 
 interface WeightDiscrepancy {
@@ -14,6 +15,10 @@ interface WeightDiscrepancy {
   order_id: {
     _id: string;
     order_id: string;
+    package_info?: {
+      weight?: number;
+      dimensions?: { length: number; width: number; height: number };
+    };
   };
   discrepancy_date: string;
   awb_status: string;
@@ -23,8 +28,40 @@ interface WeightDiscrepancy {
   deduction_amount: number;
   processed: boolean;
   upload_batch_id: string;
+  dispute_status: DisputeStatus;
+  dispute_deadline: string;
+  dispute?: {
+    raised_at?: string;
+    raised_by?: string;
+    comment?: string;
+    actual_weight?: number;
+    dimensions?: { length?: number; width?: number; height?: number };
+    evidence?: Array<{ kind: 'weight' | 'dimensions' | 'product'; url: string; from_order?: boolean }>;
+    reviewed_at?: string;
+    reviewed_by?: string;
+    admin_comment?: string;
+    refund_amount?: number;
+    refund_method?: string;
+    credit_note_number?: string;
+  };
 }
 
+type DisputeStatus = 'not_raised' | 'open' | 'accepted' | 'rejected' | 'closed';
+
+const DISPUTE_STATUS_LABELS: Record<DisputeStatus, string> = {
+  not_raised: 'Not raised',
+  open: 'Open',
+  accepted: 'Accepted',
+  rejected: 'Rejected',
+  closed: 'Closed'
+};
+
+const EVIDENCE_LABELS = {
+  weight: 'Weighing scale',
+  dimensions: 'Dimensions',
+  product: 'Product'
+};
+
 const AdminWeightDiscrepancies: React.FC = () => {
   const [discrepancies, setDiscrepancies] = useState<WeightDiscrepancy[]>([]);
   const [loading, setLoading] = useState(false);
@@ -34,10 +71,18 @@ const AdminWeightDiscrepancies: React.FC = () => {
   // Filters
   const [search, setSearch] = useState('');
   const [processed, setProcessed] = useState('all');
+  const [disputeStatus, setDisputeStatus] = useState('all');
   const [page, setPage] = useState(1);
   const [total, setTotal] = useState(0);
+  const [openDisputes, setOpenDisputes] = useState(0);
   const limit = 50;
 
+  // Dispute review
+  const [reviewing, setReviewing] = useState<WeightDiscrepancy | null>(null);
+  const [reviewComment, setReviewComment] = useState('');
+  const [refundAmount, setRefundAmount] = useState('');
+  const [resolving, setResolving] = useState(false);
+
   const fetchDiscrepancies = useCallback(async () => {
     setLoading(true);
     try {
@@ -46,11 +91,11 @@ const AdminWeightDiscrepancies: React.FC = () => {
       params.append('limit', limit.toString());
       if (search) params.append('search', search);
       if (processed !== 'all') params.append('processed', processed);
+      if (disputeStatus !== 'all') params.append('dispute_status', disputeStatus);
 
       const response = await fetch(`${environmentConfig.apiUrl}/admin/weight-discrepancies?${params}`, {
         headers: {
-          'x-admin-email': localStorage.getItem('admin_email') || '',
-          'x-admin-password': 'jpmcA123'
+          'X-Admin-Token': getAdminToken() || ''
         }
       });
 
@@ -58,13 +103,14 @@ const AdminWeightDiscrepancies: React.FC = () => {
         const data = await response.json();
         setDiscrepancies(data.data.discrepancies || []);
         setTotal(data.data.pagination.total || 0);
+        setOpenDisputes(data.data.open_disputes || 0);
       }
     } catch (error) {
       console.error('Error fetching discrepancies:', error);
     } finally {
       setLoading(false);
     }
-  }, [page, limit, search, processed]);
+  }, [page, limit, search, processed, disputeStatus]);
 
   useEffect(() => {
     fetchDiscrepancies();
@@ -93,8 +139,7 @@ const AdminWeightDiscrepancies: React.FC = () => {
       const response = await fetch(`${environmentConfig.apiUrl}/admin/weight-discrepancies/bulk-import`, {
         method: 'POST',
         headers: {
-          'x-admin-email': localStorage.getItem('admin_email') || '',
-          'x-admin-password': 'jpmcA123'
+          'X-Admin-Token': getAdminToken() || ''
         },
         body: formData
       });
@@ -118,6 +163,48 @@ const AdminWeightDiscrepancies: React.FC = () => {
     }
   };
 
+  const openReview = (disc: WeightDiscrepancy) => {
+    setReviewing(disc);
+    setReviewComment('');
+    setRefundAmount(disc.deduction_amount.toFixed(2));
+  };
+
+  const handleResolve = async (decision: 'accept' | 'reject') => {
+    if (!reviewing) return;
+    if (decision === 'reject' && !reviewComment.trim()) {
+      alert('Add a comment telling the seller why the dispute is rejected');
+      return;
+    }
+
+    setResolving(true);
+    try {
+      const response = await fetch(`${environmentConfig.apiUrl}/admin/weight-discrepancies/${reviewing._id}/dispute/${decision}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Admin-Token': getAdminToken() || ''
+        },
+        body: JSON.stringify(decision === 'accept'
+          ? { comment: reviewComment, refund_amount: parseFloat(refundAmount) }
+          : { comment: reviewComment })
+      });
+      const result = await response.json();
+
+      if (response.ok) {
+        alert(result.message);
+        setReviewing(null);
+        fetchDiscrepancies();
+      } else {
+        alert(`Failed: ${result.message}`);
+      }
+    } catch (error) {
+      console.error('Resolve dispute error:', error);
+      alert('Failed to update dispute');
+    } finally {
+      setResolving(false);
+    }
+  };
+
   const formatDate = (dateString: string) => {
     const date = new Date(dateString);
     return date.toLocaleDateString('en-GB', { day: '2-digit', month: 'short', year: 'numeric' }) + 
@@ -130,6 +217,11 @@ const AdminWeightDiscrepancies: React.FC = () => {
         <div className="page-header">
           <h1>⚖️ Weight Discrepancies</h1>
           <p>Manage weight discrepancies and charges</p>
+          {openDisputes > 0 && (
+            <button className="open-disputes-link" onClick={() => { setDisputeStatus('open'); setPage(1); }}>
+              {openDisputes} open {openDisputes === 1 ? 'dispute' : 'disputes'} to review
+            </button>
+          )}
         </div>
 
         {/* Upload Section */}
@@ -171,6 +263,20 @@ const AdminWeightDiscrepancies: React.FC = () => {
               <option value="false">Not Processed</option>
             </select>
           </div>
+          <div className="filter-group">
+            <select
+              value={disputeStatus}
+              onChange={(e) => { setDisputeStatus(e.target.value); setPage(1); }}
+              className="filter-select"
+            >
+              <option value="all">All Disputes</option>
+              <option value="open">Open</option>
+              <option value="accepted">Accepted</option>
+              <option value="rejected">Rejected</option>
+              <option value="not_raised">Not raised</option>
+              <option value="closed">Closed</option>
+            </select>
+          </div>
         </div>
 
         {/* Results Message */}
@@ -212,12 +318,13 @@ const AdminWeightDiscrepancies: React.FC = () => {
                   <th>Difference</th>
                   <th>Deduction</th>
                   <th>Processed</th>
+                  <th>Dispute</th>
                 </tr>
               </thead>
               <tbody>
                 {discrepancies.length === 0 ? (
                   <tr>
-                    <td colSpan={10} className="no-data">No discrepancies found</td>
+                    <td colSpan={11} className="no-data">No discrepancies found</td>
                   </tr>
                 ) : (
                   discrepancies.map((disc) => (
@@ -245,6 +352,16 @@ const AdminWeightDiscrepancies: React.FC = () => {
                           {disc.processed ? '✓ Yes' : '✗ No'}
                         </span>
                       </td>
+                      <td>
+                        <span className={`dispute-badge ${disc.dispute_status}`}>
+                          {DISPUTE_STATUS_LABELS[disc.dispute_status] || disc.dispute_status}
+                        </span>
+                        {disc.dispute_status !== 'not_raised' && disc.dispute_status !== 'closed' && (
+                          <button className="review-dispute-btn" onClick={() => openReview(disc)}>
+                            {disc.dispute_status === 'open' ? 'Review' : 'View'}
+                          </button>
+                        )}
+                      </td>
                     </tr>
                   ))
                 )}
@@ -270,6 +387,105 @@ const AdminWeightDiscrepancies: React.FC = () => {
             </div>
           </div>
         )}
+
+        {/* Dispute Review */}
+        {reviewing && reviewing.dispute && (
+          <div className="dispute-review-overlay" onClick={() => !resolving && setReviewing(null)}>
+            <div className="dispute-review-modal" onClick={(e) => e.stopPropagation()}>
+              <div className="dispute-review-header">
+                <h3>Weight Dispute - AWB {reviewing.awb_number}</h3>
+                <button onClick={() => setReviewing(null)} disabled={resolving}>×</button>
+              </div>
+
+              <div className="dispute-review-body">
+                <div className="dispute-review-grid">
+                  <div><span>Client</span><strong>{reviewing.client_id?.company_name || 'N/A'}</strong></div>
+                  <div><span>Declared</span><strong>{reviewing.client_declared_weight.toFixed(0)} g</strong></div>
+                  <div><span>Charged</span><strong>{reviewing.delhivery_updated_weight.toFixed(0)} g</strong></div>
+                  <div><span>Seller measured</span><strong>{reviewing.dispute.actual_weight?.toFixed(0) ?? '-'} g</strong></div>
+                  <div>
+                    <span>Seller dimensions</span>
+                    <strong>
+                      {reviewing.dispute.dimensions?.length
+                        ? `${reviewing.dispute.dimensions.length} × ${reviewing.dispute.dimensions.width ?? '-'} × ${reviewing.dispute.dimensions.height ?? '-'} cm`
+                        : '-'}
+                    </strong>
+                  </div>
+                  <div>
+                    <span>Booked dimensions</span>
+                    <strong>
+                      {reviewing.order_id?.package_info?.dimensions
+                        ? `${reviewing.order_id.package_info.dimensions.length} × ${reviewing.order_id.package_info.dimensions.width} × ${reviewing.order_id.package_info.dimensions.height} cm`
+                        : '-'}
+                    </strong>
+                  </div>
+                  <div><span>Deduction</span><strong>₹{reviewing.deduction_amount.toFixed(2)}</strong></div>
+                  <div><span>Raised</span><strong>{reviewing.dispute.raised_at ? formatDate(reviewing.dispute.raised_at) : '-'}</strong></div>
+                </div>
+
+                <div className="dispute-review-comment">
+                  <span>Seller's comment</span>
+                  <p>{reviewing.dispute.comment}</p>
+                </div>
+
+                <div className="dispute-review-evidence">
+                  {(reviewing.dispute.evidence || []).map((item, idx) => (
+                    <a key={idx} href={item.url} target="_blank" rel="noopener noreferrer">
+                      <img src={item.url} alt={EVIDENCE_LABELS[item.kind]} />
+                      <span>{EVIDENCE_LABELS[item.kind]}{item.from_order ? ' (from order)' : ''}</span>
+                    </a>
+                  ))}
+                </div>
+
+                {reviewing.dispute_status === 'open' ? (
+                  <div className="dispute-review-actions">
+                    <label>
+                      Comment for the seller
+                      <textarea
+                        rows={2}
+                        value={reviewComment}
+                        onChange={(e) => setReviewComment(e.target.value)}
+                        placeholder="Required when rejecting"
+                      />
+                    </label>
+                    <div className="dispute-review-buttons">
+                      <label>
+                        Refund ₹
+                        <input
+                          type="number"
+                          min={0.01}
+                          max={reviewing.deduction_amount}
+                          step={0.01}
+                          value={refundAmount}
+                          onChange={(e) => setRefundAmount(e.target.value)}
+                        />
+                      </label>
+                      <button className="accept" onClick={() => handleResolve('accept')} disabled={resolving}>
+                        {resolving ? 'Saving...' : 'Accept & Refund'}
+                      </button>
+                      <button className="reject" onClick={() => handleResolve('reject')} disabled={resolving}>
+                        Reject
+                      </button>
+                    </div>
+                  </div>
+                ) : (
+                  <div className="dispute-review-outcome">
+                    <strong>{DISPUTE_STATUS_LABELS[reviewing.dispute_status]}</strong>
+                    {reviewing.dispute.reviewed_by && ` by ${reviewing.dispute.reviewed_by}`}
+                    {reviewing.dispute.reviewed_at && ` on ${formatDate(reviewing.dispute.reviewed_at)}`}
+                    {reviewing.dispute_status === 'accepted' && (
+                      <div>
+                        Refund: ₹{(reviewing.dispute.refund_amount || 0).toFixed(2)} ({reviewing.dispute.refund_method}
+                        {reviewing.dispute.credit_note_number ? `, ${reviewing.dispute.credit_note_number}` : ''})
+                      </div>
+                    )}
+                    {reviewing.dispute.admin_comment && <div>Comment: {reviewing.dispute.admin_comment}</div>}
+                  </div>
+                )}
+              </div>
+            </div>
+          </div>
+        )}
     </div>
   );
 };
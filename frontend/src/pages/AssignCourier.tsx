@@ -39,102 +39,87 @@ interface Order {
   };
 }
 
+type CourierRule = 'cheapest' | 'fastest' | 'best_delivery_rate';
+type ModeFilter = 'all' | 'Express' | 'Surface';
+
 interface CourierOption {
-  id: string;
-  name: string;
-  service_type: string;
-  description: string;
-  estimated_delivery: string;
-  chargeable_weight: string;
-  charges: number;
-  pickup_cutoff_time: string;
-  more_options?: string;
+  carrier: string;
+  carrier_name: string;
+  shipping_mode: 'Surface' | 'Express';
+  available: boolean;
+  rank?: number;
+  recommended?: boolean;
+  score?: number;
+  zone?: string;
+  charges?: {
+    forward: number;
+    cod: number;
+    rto: number;
+    total: number;
+  };
+  chargeable_weight?: number;
+  estimated_days?: number;
+  estimated_delivery_date?: string;
+  lane_stats?: {
+    sample_size: number;
+    delivery_rate: number | null;
+    rto_rate: number | null;
+    ndr_rate: number | null;
+    avg_transit_days: number | null;
+  };
+  reasons: string[];
+}
+
+interface RecommendationResponse {
+  status: string;
+  data: {
+    order_id: string;
+    saved_rule: CourierRule;
+    rule: CourierRule;
+    chargeable_weight: number;
+    options: CourierOption[];
+  };
 }
 
+const RULE_LABELS: Record<CourierRule, string> = {
+  cheapest: 'Cheapest',
+  fastest: 'Fastest',
+  best_delivery_rate: 'Best Delivery Rate'
+};
+
+const formatRate = (rate: number | null | undefined) =>
+  rate === null || rate === undefined ? '—' : `${Math.round(rate * 100)}%`;
+
 const AssignCourier: React.FC = () => {
   const navigate = useNavigate();
   const { orderId } = useParams<{ orderId: string }>();
   const [order, setOrder] = useState<Order | null>(null);
   const [courierOptions, setCourierOptions] = useState<CourierOption[]>([]);
-  const [selectedCourier, setSelectedCourier] = useState<string>('');
+  const [rule, setRule] = useState<CourierRule | null>(null);
+  const [savedRule, setSavedRule] = useState<CourierRule>('cheapest');
+  const [modeFilter, setModeFilter] = useState<ModeFilter>('all');
   const [loading, setLoading] = useState(true);
-  const [shipping, setShipping] = useState(false);
+  const [rankingLoading, setRankingLoading] = useState(false);
+  const [rankingError, setRankingError] = useState<string | null>(null);
+  const [shippingOption, setShippingOption] = useState<string | null>(null);
 
-  const fetchCourierOptions = useCallback(async (orderData: Order) => {
+  const fetchCourierOptions = useCallback(async (orderData: Order, selectedRule: CourierRule | null) => {
     try {
-      // Calculate shipping cost using Delhivery API
-      const costData = {
-        billing_mode: 'S', // Surface
-        shipment_status: 'Delivered',
-        destination_pincode: orderData.delivery_address.pincode,
-        origin_pincode: orderData.pickup_address.pincode,
-        chargeable_weight: 5000, // 5kg in grams (default weight)
-        payment_type: orderData.payment_info.payment_mode === 'COD' ? 'COD' : 'Pre-paid'
-      };
-
-      const costResponse = await apiService.post<{
-        success: boolean;
-        data: {
-          calculated_cost: number;
-        };
-      }>('/shipping/calculate-cost', costData);
-      
-      if (costResponse.success) {
-        const calculatedCharges = costResponse.data.calculated_cost || 211.22;
-        
-        const courierOptions: CourierOption[] = [
-          {
-            id: 'delhivery_surface',
-            name: 'DELHIVERY',
-            service_type: 'Delhivery Surface 5KG',
-            description: 'Domestic (Surface)',
-            estimated_delivery: 'Oct 25, 2025',
-            chargeable_weight: '5 Kg',
-            charges: calculatedCharges,
-            pickup_cutoff_time: '02:00 PM',
-            more_options: '+3 more options from Delhivery Surface'
-          }
-        ];
-        
-        setCourierOptions(courierOptions);
-        setSelectedCourier('delhivery_surface');
-      } else {
-        // Fallback to mock data if API fails
-        const mockOptions: CourierOption[] = [
-          {
-            id: 'delhivery_surface',
-            name: 'DELHIVERY',
-            service_type: 'Delhivery Surface 5KG',
-            description: 'Domestic (Surface)',
-            estimated_delivery: 'Oct 25, 2025',
-            chargeable_weight: '5 Kg',
-            charges: 211.22,
-            pickup_cutoff_time: '02:00 PM',
-            more_options: '+3 more options from Delhivery Surface'
-          }
-        ];
-        setCourierOptions(mockOptions);
-        setSelectedCourier('delhivery_surface');
-      }
-    } catch (error) {
+      setRankingLoading(true);
+      setRankingError(null);
+      const query = selectedRule ? `?rule=${selectedRule}` : '';
+      const response = await apiService.get<RecommendationResponse>(
+        `/orders/${orderData._id}/courier-recommendations${query}`
+      );
+      setCourierOptions(response.data.options);
+      setSavedRule(response.data.saved_rule);
+      setRule(response.data.rule);
+    } catch (error: any) {
       console.error('Error fetching courier options:', error);
-      // Fallback to mock data
-      const mockOptions: CourierOption[] = [
-        {
-          id: 'delhivery_surface',
-          name: 'DELHIVERY',
-          service_type: 'Delhivery Surface 5KG',
-          description: 'Domestic (Surface)',
-          estimated_delivery: 'Oct 25, 2025',
-          chargeable_weight: '5 Kg',
-          charges: 211.22,
-          pickup_cutoff_time: '02:00 PM',
-          more_options: '+3 more options from Delhivery Surface'
-        }
-      ];
-      setCourierOptions(mockOptions);
-      setSelectedCourier('delhivery_surface');
+      setCourierOptions([]);
+      setRankingError(error?.response?.data?.message || 'Failed to load courier options');
     } finally {
+      setRankingLoading(false);
       setLoading(false);
     }
   }, []);
@@ -149,7 +134,7 @@ const AssignCourier: React.FC = () => {
       }>(`/orders/order/${orderId}`);
       const orderData = response.data;
       setOrder(orderData);
-      await fetchCourierOptions(orderData);
+      await fetchCourierOptions(orderData, null);
     } catch (error) {
       console.error('Error fetching order details:', error);
       alert('Failed to fetch order details');
@@ -161,83 +146,70 @@ const AssignCourier: React.FC = () => {
     fetchOrderDetails();
   }, [fetchOrderDetails]);
 
-  const handleShipNow = async () => {
-    if (!selectedCourier || !order) return;
+  const handleRuleChange = (nextRule: CourierRule) => {
+    if (!order || nextRule === rule) return;
+    setRule(nextRule);
+    fetchCourierOptions(order, nextRule);
+  };
 
-    setShipping(true);
+  const handleSaveRule = async () => {
+    if (!rule) return;
     try {
-      const selectedOption = courierOptions.find(option => option.id === selectedCourier);
-      
-      if (!selectedOption) {
-        alert('Please select a courier option');
-        setShipping(false);
-        return;
-      }
-
-      // Check wallet balance before proceeding
-      const shippingCharges = selectedOption.charges;
-      try {
-        const walletResponse = await apiService.get<{
-          success: boolean;
-          data: {
-            balance: number;
-          };
-        }>('/user/wallet-balance');
-        
-        if (walletResponse.success) {
-          const walletBalance = walletResponse.data.balance || 0;
-          
-          if (walletBalance < shippingCharges) {
-            alert(`Insufficient wallet balance! 
-Required: ₹${shippingCharges}
-Available: ₹${walletBalance}
-Please recharge your wallet to continue.`);
-            setShipping(false);
-            return;
-          }
-        }
-      } catch (walletError) {
-        // If wallet balance check fails, proceed with warning
-        console.warn('Could not verify wallet balance, proceeding with caution');
-      }
+      await apiService.put('/users/courier-preferences', { rule });
+      setSavedRule(rule);
+    } catch (error) {
+      console.error('Error saving courier preference:', error);
+      alert('Failed to save courier preference. Please try again.');
+    }
+  };
 
-      // Call pickup request creation API
-      const pickupData = {
-        pickup_time: '11:00:00',
-        pickup_date: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString().split('T')[0], // Tomorrow
-        pickup_location: {
-          name: order.pickup_address.name,
-          add: order.pickup_address.full_address,
-          city: order.pickup_address.city,
-          pin_code: order.pickup_address.pincode,
-          country: 'India',
-          phone: order.pickup_address.phone
-        },
-        expected_package_count: 1,
-        shipping_charges: shippingCharges
-      };
+  const handleShipNow = async (option: CourierOption) => {
+    if (!order) return;
 
+    const optionKey = `${option.carrier}_${option.shipping_mode}`;
+    setShippingOption(optionKey);
+    try {
       const response = await apiService.post<{
-        success: boolean;
+        status: string;
         message: string;
-      }>('/shipping/schedule-pickup', pickupData);
-      
-      if (response.success) {
-        alert(`Pickup request created successfully! 
-Shipping Charges: ₹${shippingCharges}
-Courier will be notified for pickup.`);
+        data: {
+          awb_number: string;
+          reprice: {
+            previous_total: number;
+            new_total: number;
+            difference: number;
+            method: 'wallet' | 'billing_cycle' | 'none';
+          } | null;
+        };
+      }>(`/orders/${order._id}/generate-awb`, {
+        carrier: option.carrier,
+        shipping_mode: option.shipping_mode
+      });
+
+      if (response.status === 'success') {
+        const reprice = response.data.reprice;
+        const repriceNote = reprice && reprice.difference !== 0
+          ? `\nShipping charges ${reprice.difference > 0 ? 'increased' : 'reduced'} from ₹${reprice.previous_total} to ₹${reprice.new_total}`
+          : '';
+        alert(`AWB generated successfully! 
+Courier: ${option.carrier_name} ${option.shipping_mode}
+AWB: ${response.data.awb_number}${repriceNote}`);
         navigate('/orders');
       } else {
-        alert('Failed to create pickup request. Please try again.');
+        alert(response.message || 'Failed to generate AWB. Please try again.');
       }
-    } catch (error) {
-      console.error('Error creating pickup request:', error);
-      alert('Failed to create pickup request. Please try again.');
+    } catch (error: any) {
+      console.error('Error generating AWB:', error);
+      alert(error?.response?.data?.message || 'Failed to generate AWB. Please try again.');
     } finally {
-      setShipping(false);
+      setShippingOption(null);
     }
   };
 
+  const visibleOptions = courierOptions.filter(
+    option => modeFilter === 'all' || option.shipping_mode === modeFilter
+  );
+
   if (loading) {
     return (
       <Layout>
@@ -326,10 +298,48 @@ Courier will be notified for pickup.`);
 
         {/* Courier Options */}
         <div className="courier-options-section">
+          <div className="ranking-rules">
+            <span className="ranking-rules-label">Rank by:</span>
+            {(Object.keys(RULE_LABELS) as CourierRule[]).map((ruleKey) => (
+              <button
+                key={ruleKey}
+                type="button"
+                className={`tab-btn ${rule === ruleKey ? 'active' : ''}`}
+                onClick={() => handleRuleChange(ruleKey)}
+                disabled={rankingLoading}
+              >
+                {RULE_LABELS[ruleKey]}
+              </button>
+            ))}
+            {rule && rule !== savedRule && (
+              <button type="button" className="save-rule-btn" onClick={handleSaveRule}>
+                Make {RULE_LABELS[rule]} my default
+              </button>
+            )}
+          </div>
+
           <div className="filter-tabs">
-            <button className="tab-btn active">All</button>
-            <button className="tab-btn">Air</button>
-            <button className="tab-btn">Surface</button>
+            <button
+              type="button"
+              className={`tab-btn ${modeFilter === 'all' ? 'active' : ''}`}
+              onClick={() => setModeFilter('all')}
+            >
+              All
+            </button>
+            <button
+              type="button"
+              className={`tab-btn ${modeFilter === 'Express' ? 'active' : ''}`}
+              onClick={() => setModeFilter('Express')}
+            >
+              Air
+            </button>
+            <button
+              type="button"
+              className={`tab-btn ${modeFilter === 'Surface' ? 'active' : ''}`}
+              onClick={() => setModeFilter('Surface')}
+            >
+              Surface
+            </button>
           </div>
 
           <div className="courier-table">
@@ -342,48 +352,86 @@ Courier will be notified for pickup.`);
             </div>
 
             <div className="table-body">
-              {courierOptions.map((courier) => (
-                <div key={courier.id} className="table-row">
-                  <div className="courier-info">
-                    <div className="courier-logo">
-                      <div className="logo-placeholder">DELHIVERY</div>
-                    </div>
-                    <div className="courier-details">
-                      <div className="service-name">{courier.service_type}</div>
-                      <div className="service-description">{courier.description}</div>
-                      <div className="pickup-cutoff">
-                        Pickup cut-off time: <span className="cutoff-time">{courier.pickup_cutoff_time}</span>
+              {rankingLoading && (
+                <div className="courier-empty">Ranking courier options...</div>
+              )}
+              {!rankingLoading && rankingError && (
+                <div className="courier-empty">{rankingError}</div>
+              )}
+              {!rankingLoading && !rankingError && visibleOptions.length === 0 && (
+                <div className="courier-empty">No courier options available for this order</div>
+              )}
+              {!rankingLoading && visibleOptions.map((courier) => {
+                const optionKey = `${courier.carrier}_${courier.shipping_mode}`;
+                return (
+                  <div
+                    key={optionKey}
+                    className={`table-row ${courier.recommended ? 'recommended' : ''} ${courier.available ? '' : 'unavailable'}`}
+                  >
+                    <div className="courier-info">
+                      <div className="courier-logo">
+                        <div className="logo-placeholder">{courier.carrier}</div>
+                      </div>
+                      <div className="courier-details">
+                        <div className="service-name">
+                          {courier.rank && <span className="rank-badge">#{courier.rank}</span>}
+                          {courier.carrier_name} {courier.shipping_mode}
+                          {courier.recommended && <span className="recommended-badge">Recommended</span>}
+                        </div>
+                        <div className="service-description">
+                          Domestic ({courier.shipping_mode === 'Express' ? 'Air' : 'Surface'})
+                          {courier.zone && ` · Zone ${courier.zone}`}
+                        </div>
+                        {courier.lane_stats && (
+                          <div className="lane-stats">
+                            Delivered {formatRate(courier.lane_stats.delivery_rate)} · RTO {formatRate(courier.lane_stats.rto_rate)} · NDR {formatRate(courier.lane_stats.ndr_rate)}
+                            {' '}({courier.lane_stats.sample_size} shipments on this lane)
+                          </div>
+                        )}
+                        <ul className="recommendation-reasons">
+                          {courier.reasons.map((reason) => (
+                            <li key={reason}>{reason}</li>
+                          ))}
+                        </ul>
                       </div>
-                      {courier.more_options && (
-                        <button
-                          type="button"
-                          className="more-options"
-                          onClick={() => alert('More shipping options will be available soon.')}
+                    </div>
+
+                    <div className="estimated-delivery">
+                      {courier.estimated_delivery_date
+                        ? new Date(courier.estimated_delivery_date).toLocaleDateString('en-IN', {
+                            day: 'numeric',
+                            month: 'short',
+                            year: 'numeric'
+                          })
+                        : '—'}
+                    </div>
+                    <div className="chargeable-weight">
+                      {courier.chargeable_weight !== undefined ? `${courier.chargeable_weight} Kg` : '—'}
+                    </div>
+                    <div className="charges">
+                      {courier.charges ? `₹ ${courier.charges.total.toFixed(2)}` : '—'}
+                      {courier.charges && (
+                        <span
+                          className="info-icon"
+                          title={`Freight ₹${courier.charges.forward.toFixed(2)} + COD ₹${courier.charges.cod.toFixed(2)}`}
                         >
-                          {courier.more_options}
-                        </button>
+                          ℹ️
+                        </span>
                       )}
                     </div>
+
+                    <div className="action-cell">
+                      <button
+                        className={`ship-now-btn ${courier.recommended ? 'selected' : ''}`}
+                        onClick={() => handleShipNow(courier)}
+                        disabled={!courier.available || shippingOption !== null}
+                      >
+                        {shippingOption === optionKey ? 'Processing...' : 'Ship Now'}
+                      </button>
+                    </div>
                   </div>
-                  
-                  <div className="estimated-delivery">{courier.estimated_delivery}</div>
-                  <div className="chargeable-weight">{courier.chargeable_weight}</div>
-                  <div className="charges">
-                    ₹ {courier.charges.toFixed(2)}
-                    <span className="info-icon">ℹ️</span>
-                  </div>
-                  
-                  <div className="action-cell">
-                    <button 
-                      className={`ship-now-btn ${selectedCourier === courier.id ? 'selected' : ''}`}
-                      onClick={handleShipNow}
-                      disabled={shipping}
-                    >
-                      {shipping ? 'Processing...' : 'Ship Now'}
-                    </button>
-                  </div>
-                </div>
-              ))}
+                );
+              })}
             </div>
           </div>
         </div>
@@ -0,0 +1,255 @@
+import React, { useEffect, useState } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import {
+  BrandedShipment,
+  TrackingBrand,
+  trackingPageService
+} from '../services/trackingPageService';
+import './BrandedTracking.css';
+
+// Progress steps and the order statuses that have reached them
+const STEPS: Array<{ label: string; statuses: string[] }> = [
+  { label: 'Ordered', statuses: ['new', 'ready_to_ship', 'pickups_manifests', 'in_transit', 'out_for_delivery', 'ndr', 'delivered'] },
+  { label: 'Shipped', statuses: ['in_transit', 'out_for_delivery', 'ndr', 'delivered'] },
+  { label: 'Out for delivery', statuses: ['out_for_delivery', 'ndr', 'delivered'] },
+  { label: 'Delivered', statuses: ['delivered'] }
+];
+
+const formatDate = (value?: string | null) => {
+  if (!value) return '-';
+  return new Date(value).toLocaleDateString('en-IN', { weekday: 'short', day: '2-digit', month: 'short', year: 'numeric' });
+};
+
+const formatDateTime = (value?: string | null) => {
+  if (!value) return '-';
+  return new Date(value).toLocaleString('en-IN', {
+    day: '2-digit', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit', hour12: true
+  });
+};
+
+const getErrorMessage = (err: any, fallback: string) => {
+  if (err.response?.status === 429) return 'Too many requests. Please try again in a few minutes.';
+  return err.response?.data?.message || fallback;
+};
+
+/**
+ * Public, seller-branded tracking page at /track/:slug and /track/:slug/:awb
+ */
+const BrandedTracking: React.FC = () => {
+  const { slug = '', awb = '' } = useParams<{ slug: string; awb?: string }>();
+  const navigate = useNavigate();
+  const [brand, setBrand] = useState<TrackingBrand | null>(null);
+  const [shipment, setShipment] = useState<BrandedShipment | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [searchInput, setSearchInput] = useState(awb);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+    setShipment(null);
+    setSearchInput(awb);
+
+    const load = async () => {
+      try {
+        if (awb) {
+          const data = await trackingPageService.getPublicTracking(slug, awb);
+          if (cancelled) return;
+          setBrand(data.brand);
+          setShipment(data.shipment);
+        } else {
+          const data = await trackingPageService.getPublicBrand(slug);
+          if (cancelled) return;
+          setBrand(data);
+        }
+      } catch (err: any) {
+        if (cancelled) return;
+        // An unknown AWB still comes back with the seller's branding
+        setBrand(err.response?.data?.data?.brand || null);
+        setError(getErrorMessage(err, 'Could not load tracking details. Please try again.'));
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    load();
+    return () => {
+      cancelled = true;
+    };
+  }, [slug, awb]);
+
+  const handleSearch = (e: React.FormEvent) => {
+    e.preventDefault();
+    const value = searchInput.trim();
+    if (value) {
+      navigate(`/track/${slug}/${encodeURIComponent(value)}`);
+    }
+  };
+
+  if (loading && !brand) {
+    return (
+      <div className="branded-tracking-page">
+        <div className="branded-tracking-loading">Loading...</div>
+      </div>
+    );
+  }
+
+  if (!brand) {
+    return (
+      <div className="branded-tracking-page">
+        <div className="branded-tracking-card branded-tracking-missing">
+          <h1>Tracking page not found</h1>
+          <p>{error || 'Please check the link and try again.'}</p>
+        </div>
+      </div>
+    );
+  }
+
+  const brandStyle = {
+    '--brand-primary': brand.primary_color,
+    '--brand-accent': brand.accent_color
+  } as React.CSSProperties;
+  const hasSupport = Boolean(brand.support.email || brand.support.phone || brand.support.website_url);
+  const reachedSteps = shipment ? STEPS.filter(step => step.statuses.includes(shipment.status)).length : 0;
+  const offTrack = shipment && ['rto', 'cancelled', 'lost'].includes(shipment.status);
+
+  return (
+    <div className="branded-tracking-page" style={brandStyle}>
+      <header className="branded-tracking-header">
+        {brand.logo_url && <img src={brand.logo_url} alt={brand.company_name} className="branded-tracking-logo" />}
+        <span className="branded-tracking-name">{brand.company_name}</span>
+      </header>
+
+      <main className="branded-tracking-main">
+        <form className="branded-tracking-search" onSubmit={handleSearch}>
+          <input
+            type="text"
+            value={searchInput}
+            onChange={(e) => setSearchInput(e.target.value)}
+            placeholder="Enter your AWB number"
+          />
+          <button type="submit" disabled={!searchInput.trim()}>Track</button>
+        </form>
+
+        {loading && <div className="branded-tracking-loading">Loading tracking details...</div>}
+        {!loading && error && <div className="branded-tracking-error">{error}</div>}
+
+        {!loading && shipment && (
+          <>
+            <section className="branded-tracking-card branded-tracking-status">
+              <div className="branded-tracking-status-row">
+                <div>
+                  <span className="branded-tracking-label">Status</span>
+                  <h1 className={offTrack ? 'off-track' : ''}>{shipment.status_label}</h1>
+                </div>
+                <div className="branded-tracking-eta">
+                  {shipment.delivered_date ? (
+                    <>
+                      <span className="branded-tracking-label">Delivered on</span>
+                      <strong>{formatDate(shipment.delivered_date)}</strong>
+                    </>
+                  ) : shipment.estimated_delivery ? (
+                    <>
+                      <span className="branded-tracking-label">
+                        {shipment.estimate_source === 'carrier' ? 'Expected delivery' : 'Estimated delivery'}
+                      </span>
+                      <strong>{formatDate(shipment.estimated_delivery)}</strong>
+                    </>
+                  ) : null}
+                </div>
+              </div>
+
+              {!offTrack && (
+                <ol className="branded-tracking-steps">
+                  {STEPS.map((step, index) => (
+                    <li key={step.label} className={index < reachedSteps ? 'done' : ''}>
+                      <span className="branded-tracking-dot" />
+                      <span>{step.label}</span>
+                    </li>
+                  ))}
+                </ol>
+              )}
+
+              <dl className="branded-tracking-details">
+                <div><dt>AWB</dt><dd>{shipment.awb_number}</dd></div>
+                <div><dt>Order ID</dt><dd>{shipment.order_id}</dd></div>
+                <div><dt>Courier</dt><dd>{shipment.courier}</dd></div>
+                <div>
+                  <dt>Delivering to</dt>
+                  <dd>{[shipment.destination.city, shipment.destination.state, shipment.destination.pincode].filter(Boolean).join(', ') || '-'}</dd>
+                </div>
+                <div><dt>Ordered on</dt><dd>{formatDate(shipment.order_date)}</dd></div>
+                {shipment.payment_mode && <div><dt>Payment</dt><dd>{shipment.payment_mode === 'COD' ? 'Cash on delivery' : 'Prepaid'}</dd></div>}
+              </dl>
+
+              {shipment.products.length > 0 && (
+                <ul className="branded-tracking-products">
+                  {shipment.products.map((product, index) => (
+                    <li key={index}>{product.name} <span>× {product.quantity}</span></li>
+                  ))}
+                </ul>
+              )}
+            </section>
+
+            <section className="branded-tracking-card">
+              <h2>Shipment updates</h2>
+              {shipment.timeline.length === 0 ? (
+                <p className="branded-tracking-empty">No updates yet. Please check again after pickup.</p>
+              ) : (
+                <ul className="branded-tracking-timeline">
+                  {shipment.timeline.map((event, index) => (
+                    <li key={`${event.timestamp}-${index}`} className={index === 0 ? 'latest' : ''}>
+                      <span className="branded-tracking-dot" />
+                      <div>
+                        <strong>{event.status}</strong>
+                        {event.description && <p>{event.description}</p>}
+                        <span className="branded-tracking-meta">
+                          {formatDateTime(event.timestamp)}{event.location ? ` · ${event.location}` : ''}
+                        </span>
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </section>
+          </>
+        )}
+
+        {brand.banner && (
+          <section className="branded-tracking-banner">
+            {brand.banner.link_url ? (
+              <a href={brand.banner.link_url} target="_blank" rel="noopener noreferrer">
+                {brand.banner.image_url && <img src={brand.banner.image_url} alt={brand.banner.title || brand.company_name} />}
+                {brand.banner.title && <span>{brand.banner.title}</span>}
+              </a>
+            ) : (
+              <>
+                {brand.banner.image_url && <img src={brand.banner.image_url} alt={brand.banner.title || brand.company_name} />}
+                {brand.banner.title && <span>{brand.banner.title}</span>}
+              </>
+            )}
+          </section>
+        )}
+
+        {hasSupport && (
+          <section className="branded-tracking-card branded-tracking-support">
+            <h2>Need help?</h2>
+            <p>Contact {brand.company_name} about your order.</p>
+            <div className="branded-tracking-support-links">
+              {brand.support.phone && <a href={`tel:${brand.support.phone}`}>{brand.support.phone}</a>}
+              {brand.support.email && <a href={`mailto:${brand.support.email}`}>{brand.support.email}</a>}
+              {brand.support.website_url && (
+                <a href={brand.support.website_url} target="_blank" rel="noopener noreferrer">Visit website</a>
+              )}
+            </div>
+          </section>
+        )}
+      </main>
+
+      <footer className="branded-tracking-footer">Powered by Shipsarthi</footer>
+    </div>
+  );
+};
+
+export default BrandedTracking;
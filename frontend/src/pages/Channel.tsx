@@ -1,22 +1,551 @@
-import React from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import Layout from '../components/Layout';
+import {
+  channelService,
+  AvailableChannel,
+  ChannelConnection,
+  ChannelOrder,
+  ChannelSkuMapping,
+  PackagePreset
+} from '../services/channelService';
+import { warehouseService } from '../services/warehouseService';
+import './Channel.css';
+
+interface WarehouseOption {
+  _id: string;
+  name: string;
+  address: { city: string };
+}
+
+type ExpandedPanel = { id: string; panel: 'skus' | 'orders' } | null;
+
+const ORDER_PAGE_SIZE = 10;
+
+const SYNC_STATUS_LABELS: Record<string, string> = {
+  succeeded: 'Synced',
+  partial: 'Synced with errors',
+  failed: 'Sync failed'
+};
+
+const emptyForm = {
+  channel: '',
+  name: '',
+  credentials: {} as Record<string, string>,
+  warehouse_id: '',
+  shipping_mode: 'Surface' as 'Surface' | 'Express',
+  package_id: '',
+  auto_sync: true,
+  sync_interval_minutes: 15,
+  push_fulfilment: true
+};
+
+const getErrorMessage = (error: any, fallback: string) =>
+  error?.response?.data?.message || error?.message || fallback;
+
+const formatDateTime = (value?: string) => (value ? new Date(value).toLocaleString('en-IN') : 'Never');
 
 const Channel: React.FC = () => {
+  const [available, setAvailable] = useState<AvailableChannel[]>([]);
+  const [connections, setConnections] = useState<ChannelConnection[]>([]);
+  const [warehouses, setWarehouses] = useState<WarehouseOption[]>([]);
+  const [packages, setPackages] = useState<PackagePreset[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState<string | null>(null);
+  const [showForm, setShowForm] = useState(false);
+  const [formData, setFormData] = useState(emptyForm);
+  const [expanded, setExpanded] = useState<ExpandedPanel>(null);
+  const [skuRows, setSkuRows] = useState<ChannelSkuMapping[]>([]);
+  const [orders, setOrders] = useState<ChannelOrder[]>([]);
+  const [orderPage, setOrderPage] = useState(1);
+  const [orderPages, setOrderPages] = useState(1);
+
+  const fetchConnections = useCallback(async () => {
+    try {
+      setConnections(await channelService.getConnections());
+    } catch (error) {
+      console.error('Error loading channel connections:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchConnections();
+
+    Promise.all([
+      channelService.getAvailableChannels(),
+      warehouseService.getWarehousesForDropdown(),
+      channelService.getPackagePresets()
+    ])
+      .then(([channelList, warehouseList, packageList]) => {
+        setAvailable(channelList);
+        setWarehouses(warehouseList);
+        setPackages(packageList);
+      })
+      .catch(error => console.error('Error loading channel settings:', error));
+  }, [fetchConnections]);
+
+  const fetchOrders = useCallback(async () => {
+    if (expanded?.panel !== 'orders') {
+      return;
+    }
+    try {
+      const response = await channelService.getOrders(expanded.id, orderPage, ORDER_PAGE_SIZE);
+      setOrders(response.orders);
+      setOrderPages(Math.max(response.pagination.total_pages, 1));
+    } catch (error) {
+      console.error('Error loading channel orders:', error);
+    }
+  }, [expanded, orderPage]);
+
+  useEffect(() => {
+    fetchOrders();
+  }, [fetchOrders]);
+
+  const selectedChannel = available.find(channel => channel.code === formData.channel);
+
+  const runAction = async (id: string, action: () => Promise<string | void>, fallback: string) => {
+    try {
+      setBusyId(id);
+      const message = await action();
+      if (message) {
+        alert(message);
+      }
+      await fetchConnections();
+    } catch (error) {
+      alert(getErrorMessage(error, fallback));
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleCreate = async (e: React.FormEvent) => {
+    e.preventDefault();
+
+    await runAction('new', async () => {
+      await channelService.createConnection({
+        channel: formData.channel,
+        name: formData.name,
+        credentials: formData.credentials,
+        defaults: {
+          warehouse_id: formData.warehouse_id,
+          shipping_mode: formData.shipping_mode,
+          package_id: formData.package_id || null
+        },
+        auto_sync: formData.auto_sync,
+        sync_interval_minutes: formData.sync_interval_minutes,
+        push_fulfilment: formData.push_fulfilment
+      });
+      setFormData(emptyForm);
+      setShowForm(false);
+    }, 'Failed to connect store');
+  };
+
+  const handleSync = (connection: ChannelConnection) => runAction(connection._id, async () => {
+    const { message } = await channelService.syncNow(connection._id);
+    if (expanded?.id === connection._id && expanded.panel === 'orders') {
+      await fetchOrders();
+    }
+    return message;
+  }, 'Store sync failed');
+
+  const handleTest = (connection: ChannelConnection) =>
+    runAction(connection._id, () => channelService.testConnection(connection._id), 'Connection test failed');
+
+  const handleToggle = (connection: ChannelConnection, field: 'is_active' | 'auto_sync' | 'push_fulfilment') =>
+    runAction(connection._id, async () => {
+      await channelService.updateConnection(connection._id, { [field]: !connection[field] });
+    }, 'Failed to update store');
+
+  const handleSampleOrders = (connection: ChannelConnection) =>
+    runAction(connection._id, () => channelService.createSampleOrders(connection._id, 3, false), 'Failed to create sample orders');
+
+  const handleDelete = async (connection: ChannelConnection) => {
+    if (!window.confirm(`Disconnect ${connection.name}? Orders already imported are kept.`)) {
+      return;
+    }
+    if (expanded?.id === connection._id) {
+      setExpanded(null);
+    }
+    await runAction(connection._id, () => channelService.deleteConnection(connection._id), 'Failed to disconnect store');
+  };
+
+  const togglePanel = (connection: ChannelConnection, panel: 'skus' | 'orders') => {
+    if (expanded?.id === connection._id && expanded.panel === panel) {
+      setExpanded(null);
+      return;
+    }
+    if (panel === 'skus') {
+      setSkuRows(connection.sku_mappings.length > 0
+        ? connection.sku_mappings.map(mapping => ({ ...mapping }))
+        : [{ sku: '', package_id: '' }]);
+    } else {
+      setOrders([]);
+      setOrderPage(1);
+    }
+    setExpanded({ id: connection._id, panel });
+  };
+
+  const updateSkuRow = (index: number, field: keyof ChannelSkuMapping, value: string) => {
+    setSkuRows(prev => prev.map((row, i) => (i === index ? { ...row, [field]: value } : row)));
+  };
+
+  const handleSaveSkus = (connection: ChannelConnection) => runAction(connection._id, async () => {
+    const mappings = skuRows.filter(row => row.sku.trim() || row.package_id);
+    await channelService.saveSkuMappings(connection._id, mappings);
+    return 'SKU mappings saved';
+  }, 'Failed to save SKU mappings');
+
+  const handlePushFulfilment = (connection: ChannelConnection, order: ChannelOrder) =>
+    runAction(connection._id, async () => {
+      const message = await channelService.pushFulfilment(connection._id, order.order_id);
+      await fetchOrders();
+      return message;
+    }, 'Failed to push fulfilment');
+
+  const renderSkuPanel = (connection: ChannelConnection) => (
+    <div className="channel-panel">
+      <p className="channel-hint">
+        Imported items take their weight and dimensions from the mapped package. SKUs without a mapping
+        use a package with the same SKU, then the store's default package.
+      </p>
+      {skuRows.map((row, index) => (
+        <div className="channel-sku-row" key={index}>
+          <input
+            type="text"
+            placeholder="Store SKU"
+            value={row.sku}
+            onChange={(e) => updateSkuRow(index, 'sku', e.target.value)}
+          />
+          <select value={row.package_id} onChange={(e) => updateSkuRow(index, 'package_id', e.target.value)}>
+            <option value="">Select package</option>
+            {packages.map(pkg => (
+              <option key={pkg._id} value={pkg._id}>
+                {pkg.name} ({pkg.weight} kg, {pkg.dimensions.length}x{pkg.dimensions.width}x{pkg.dimensions.height} cm)
+              </option>
+            ))}
+          </select>
+          <button
+            type="button"
+            className="channel-link-btn danger"
+            onClick={() => setSkuRows(prev => prev.filter((_, i) => i !== index))}
+          >
+            Remove
+          </button>
+        </div>
+      ))}
+      <div className="channel-panel-actions">
+        <button
+          type="button"
+          className="channel-link-btn"
+          onClick={() => setSkuRows(prev => [...prev, { sku: '', package_id: '' }])}
+        >
+          + Add SKU
+        </button>
+        <button
+          type="button"
+          className="channel-btn"
+          disabled={busyId === connection._id}
+          onClick={() => handleSaveSkus(connection)}
+        >
+          Save Mappings
+        </button>
+      </div>
+    </div>
+  );
+
+  const renderOrdersPanel = (connection: ChannelConnection) => (
+    <div className="channel-panel">
+      {orders.length === 0 ? (
+        <p className="channel-empty">No orders imported from this store yet.</p>
+      ) : (
+        <table className="channel-orders-table">
+          <thead>
+            <tr>
+              <th>Order ID</th>
+              <th>Store Order</th>
+              <th>Status</th>
+              <th>AWB</th>
+              <th>Fulfilment</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {orders.map(order => {
+              const fulfilment = order.channel_info.fulfilment_status;
+              return (
+                <tr key={order._id}>
+                  <td>{order.order_id}</td>
+                  <td>{order.channel_info.channel_order_number || order.reference_id}</td>
+                  <td>{order.status.replace(/_/g, ' ')}</td>
+                  <td>{order.delhivery_data?.waybill || '-'}</td>
+                  <td>
+                    <span className={`channel-status ${fulfilment || 'none'}`} title={order.channel_info.fulfilment_error || ''}>
+                      {fulfilment || 'awaiting AWB'}
+                    </span>
+                  </td>
+                  <td>
+                    {order.delhivery_data?.waybill && fulfilment !== 'pushed' && (
+                      <button
+                        type="button"
+                        className="channel-link-btn"
+                        disabled={busyId === connection._id}
+                        onClick={() => handlePushFulfilment(connection, order)}
+                      >
+                        Push
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+      {orderPages > 1 && (
+        <div className="channel-pagination">
+          <button
+            type="button"
+            className="channel-link-btn"
+            disabled={orderPage <= 1}
+            onClick={() => setOrderPage(page => page - 1)}
+          >
+            Previous
+          </button>
+          <span>Page {orderPage} of {orderPages}</span>
+          <button
+            type="button"
+            className="channel-link-btn"
+            disabled={orderPage >= orderPages}
+            onClick={() => setOrderPage(page => page + 1)}
+          >
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  );
+
   return (
     <Layout>
-      <div className="p-6">
-        <div className="bg-white rounded-xl shadow-lg p-8">
-          <h1 className="text-2xl font-bold text-gray-900 mb-6">Channel Management</h1>
-          <div className="text-center py-12">
-            <div className="w-24 h-24 bg-gray-100 rounded-full flex items-center justify-center mx-auto mb-4">
-              <svg className="w-12 h-12 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13.828 10.172a4 4 0 00-5.656 0l-4 4a4 4 0 105.656 5.656l1.102-1.101m-.758-4.899a4 4 0 005.656 0l4-4a4 4 0 00-5.656-5.656l-1.1 1.1" />
-              </svg>
-            </div>
-            <h3 className="text-lg font-medium text-gray-900 mb-2">Channel Management</h3>
-            <p className="text-gray-500">Manage your sales channels and integrations here.</p>
+      <div className="channel-container">
+        <div className="channel-header">
+          <div>
+            <h1>Sales Channels</h1>
+            <p className="channel-hint">
+              Connect your store to import unfulfilled orders automatically. When you generate an AWB,
+              the tracking number and link are sent back to the store.
+            </p>
           </div>
+          <button
+            type="button"
+            className="channel-btn"
+            disabled={available.length === 0}
+            onClick={() => setShowForm(prev => !prev)}
+          >
+            {showForm ? 'Cancel' : '+ Connect Store'}
+          </button>
         </div>
+
+        {showForm && (
+          <form className="channel-form" onSubmit={handleCreate}>
+            <div className="channel-form-grid">
+              <div className="form-group">
+                <label>Channel</label>
+                <select
+                  required
+                  value={formData.channel}
+                  onChange={(e) => setFormData(prev => ({ ...prev, channel: e.target.value, credentials: {} }))}
+                >
+                  <option value="">Select channel</option>
+                  {available.map(channel => (
+                    <option key={channel.code} value={channel.code}>{channel.name}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="form-group">
+                <label>Store Name</label>
+                <input
+                  type="text"
+                  required
+                  maxLength={100}
+                  value={formData.name}
+                  onChange={(e) => setFormData(prev => ({ ...prev, name: e.target.value }))}
+                />
+              </div>
+              {selectedChannel?.credential_fields.map(field => (
+                <div className="form-group" key={field.key}>
+                  <label>{field.label}</label>
+                  <input
+                    type={field.secret ? 'password' : 'text'}
+                    required
+                    autoComplete="off"
+                    value={formData.credentials[field.key] || ''}
+                    onChange={(e) => setFormData(prev => ({
+                      ...prev,
+                      credentials: { ...prev.credentials, [field.key]: e.target.value }
+                    }))}
+                  />
+                </div>
+              ))}
+              <div className="form-group">
+                <label>Pickup Warehouse</label>
+                <select
+                  required
+                  value={formData.warehouse_id}
+                  onChange={(e) => setFormData(prev => ({ ...prev, warehouse_id: e.target.value }))}
+                >
+                  <option value="">Select warehouse</option>
+                  {warehouses.map(warehouse => (
+                    <option key={warehouse._id} value={warehouse._id}>
+                      {warehouse.name} - {warehouse.address.city}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div className="form-group">
+                <label>Shipping Mode</label>
+                <select
+                  value={formData.shipping_mode}
+                  onChange={(e) => setFormData(prev => ({ ...prev, shipping_mode: e.target.value as 'Surface' | 'Express' }))}
+                >
+                  <option value="Surface">Surface</option>
+                  <option value="Express">Express</option>
+                </select>
+              </div>
+              <div className="form-group">
+                <label>Default Package (unmapped SKUs)</label>
+                <select
+                  value={formData.package_id}
+                  onChange={(e) => setFormData(prev => ({ ...prev, package_id: e.target.value }))}
+                >
+                  <option value="">None - skip unmapped SKUs</option>
+                  {packages.map(pkg => (
+                    <option key={pkg._id} value={pkg._id}>{pkg.name}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="form-group">
+                <label>Sync Every (minutes)</label>
+                <input
+                  type="number"
+                  min={5}
+                  max={1440}
+                  value={formData.sync_interval_minutes}
+                  onChange={(e) => setFormData(prev => ({ ...prev, sync_interval_minutes: parseInt(e.target.value) || 15 }))}
+                />
+              </div>
+            </div>
+            <label className="channel-checkbox">
+              <input
+                type="checkbox"
+                checked={formData.auto_sync}
+                onChange={(e) => setFormData(prev => ({ ...prev, auto_sync: e.target.checked }))}
+              />
+              Import orders automatically
+            </label>
+            <label className="channel-checkbox">
+              <input
+                type="checkbox"
+                checked={formData.push_fulfilment}
+                onChange={(e) => setFormData(prev => ({ ...prev, push_fulfilment: e.target.checked }))}
+              />
+              Send AWB and tracking link back to the store
+            </label>
+            <button type="submit" className="channel-btn" disabled={busyId === 'new'}>
+              {busyId === 'new' ? 'Connecting...' : 'Connect Store'}
+            </button>
+          </form>
+        )}
+
+        {loading ? (
+          <p className="channel-empty">Loading...</p>
+        ) : connections.length === 0 ? (
+          <p className="channel-empty">No stores connected yet.</p>
+        ) : (
+          <div className="channel-list">
+            {connections.map(connection => {
+              const channelName = available.find(c => c.code === connection.channel)?.name || connection.channel;
+              const isBusy = busyId === connection._id;
+              const summary = connection.last_sync_summary;
+
+              return (
+                <div key={connection._id} className={`channel-card ${connection.is_active ? '' : 'inactive'}`}>
+                  <div className="channel-card-header">
+                    <div className="channel-card-main">
+                      <span className="channel-name">{connection.name}</span>
+                      <span className="channel-meta">
+                        {channelName}
+                        {' · '}
+                        {connection.auto_sync ? `Auto sync every ${connection.sync_interval_minutes} min` : 'Manual sync'}
+                        {' · '}
+                        {connection.stats.orders_imported} imported, {connection.stats.fulfilments_pushed} fulfilled
+                      </span>
+                      <span className="channel-meta">
+                        Last sync: {formatDateTime(connection.last_synced_at)}
+                        {connection.last_sync_status && (
+                          <span className={`channel-status ${connection.last_sync_status}`}>
+                            {SYNC_STATUS_LABELS[connection.last_sync_status]}
+                          </span>
+                        )}
+                        {summary && connection.last_synced_at && (
+                          <> · {summary.imported} new, {summary.skipped} already imported, {summary.failed} failed</>
+                        )}
+                      </span>
+                    </div>
+                    <div className="channel-card-actions">
+                      <button type="button" className="channel-btn" disabled={isBusy || !connection.is_active} onClick={() => handleSync(connection)}>
+                        {isBusy ? 'Working...' : 'Sync Now'}
+                      </button>
+                      <div className="channel-card-links">
+                        <button type="button" className="channel-link-btn" disabled={isBusy} onClick={() => handleTest(connection)}>
+                          Test
+                        </button>
+                        <button type="button" className="channel-link-btn" onClick={() => togglePanel(connection, 'skus')}>
+                          SKU Mapping
+                        </button>
+                        <button type="button" className="channel-link-btn" onClick={() => togglePanel(connection, 'orders')}>
+                          Orders
+                        </button>
+                        <button type="button" className="channel-link-btn" disabled={isBusy} onClick={() => handleToggle(connection, 'auto_sync')}>
+                          {connection.auto_sync ? 'Pause Auto Sync' : 'Resume Auto Sync'}
+                        </button>
+                        <button type="button" className="channel-link-btn" disabled={isBusy} onClick={() => handleToggle(connection, 'push_fulfilment')}>
+                          {connection.push_fulfilment ? 'Stop Tracking Push' : 'Push Tracking'}
+                        </button>
+                        <button type="button" className="channel-link-btn" disabled={isBusy} onClick={() => handleToggle(connection, 'is_active')}>
+                          {connection.is_active ? 'Disable' : 'Enable'}
+                        </button>
+                        {connection.channel === 'FAKE_STORE' && (
+                          <button type="button" className="channel-link-btn" disabled={isBusy} onClick={() => handleSampleOrders(connection)}>
+                            Add Sample Orders
+                          </button>
+                        )}
+                        <button type="button" className="channel-link-btn danger" disabled={isBusy} onClick={() => handleDelete(connection)}>
+                          Disconnect
+                        </button>
+                      </div>
+                    </div>
+                  </div>
+
+                  {connection.last_sync_errors.length > 0 && (
+                    <ul className="channel-errors">
+                      {connection.last_sync_errors.map((syncError, index) => (
+                        <li key={index}>
+                          {syncError.channel_order_number && <strong>{syncError.channel_order_number}: </strong>}
+                          {syncError.error}
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+
+                  {expanded?.id === connection._id && expanded.panel === 'skus' && renderSkuPanel(connection)}
+                  {expanded?.id === connection._id && expanded.panel === 'orders' && renderOrdersPanel(connection)}
+                </div>
+              );
+            })}
+          </div>
+        )}
       </div>
     </Layout>
   );
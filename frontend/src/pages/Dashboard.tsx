@@ -1,6 +1,7 @@
 import React, { useState, useEffect, useRef, useCallback } from 'react';
 import { useNavigate } from 'react-router-dom';
 import Layout from '../components/Layout';
+import PickupAlerts from '../components/PickupAlerts';
 import { DashboardData } from '../services/userService';
 import { walletService, WalletBalance } from '../services/walletService';
 import { apiService } from '../services/api';
@@ -519,6 +520,9 @@ const Dashboard: React.FC = () => {
           </div>
         </div>
 
+        {/* Failed, missed and upcoming scheduled pickups */}
+        <PickupAlerts />
+
         <div className="dashboard-grid">
           {/* Left Column - Metric Cards */}
           <div className="metrics-column">
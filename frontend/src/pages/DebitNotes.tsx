@@ -1,6 +1,7 @@
 import React from 'react';
 import { useNavigate } from 'react-router-dom';
 import Layout from '../components/Layout';
+import InvoiceNoteList from '../components/InvoiceNoteList';
 import './InvoiceList.css';
 
 const DebitNotes: React.FC = () => {
@@ -37,9 +38,7 @@ const DebitNotes: React.FC = () => {
           </button>
         </div>
 
-        <div className="empty-state">
-          Debit Notes functionality coming soon
-        </div>
+        <InvoiceNoteList noteType="debit_note" />
       </div>
     </Layout>
   );
@@ -0,0 +1,343 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import Layout from '../components/Layout';
+import {
+  EXCHANGE_STATUS_LABELS,
+  Exchange,
+  ExchangeLeg,
+  ExchangeStatus,
+  RELEASE_RULE_LABELS,
+  exchangeService
+} from '../services/exchangeService';
+import './Exchanges.css';
+
+const REASON_LABELS: Record<string, string> = {
+  damaged: 'Item arrived damaged',
+  defective: 'Defective / not working',
+  wrong_item: 'Wrong item',
+  size_issue: 'Size or fit issue',
+  not_as_described: 'Not as described',
+  changed_mind: 'No longer needed',
+  other: 'Other'
+};
+
+const ACTIVE_STATUSES: ExchangeStatus[] = ['awaiting_pickup', 'qc_pending', 'qc_failed', 'in_progress'];
+const PAGE_SIZE = 25;
+
+const formatDate = (value?: string) =>
+  value ? new Date(value).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' }) : '-';
+
+const formatDateTime = (value?: string) =>
+  value ? new Date(value).toLocaleString('en-IN', { day: '2-digit', month: 'short', hour: '2-digit', minute: '2-digit' }) : '-';
+
+const formatAmount = (value: number) =>
+  `₹${(value || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const formatStatus = (value: string) => value.replace(/_/g, ' ');
+
+const getErrorMessage = (err: any, fallback: string) => err.response?.data?.message || err.message || fallback;
+
+/**
+ * Exchanges: the replacement and pickup orders of each exchange, QC of the
+ * returned item and release of held replacements
+ */
+const Exchanges: React.FC = () => {
+  const [exchanges, setExchanges] = useState<Exchange[]>([]);
+  const [status, setStatus] = useState<ExchangeStatus | 'all'>('all');
+  const [search, setSearch] = useState('');
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [notice, setNotice] = useState<string | null>(null);
+  const [busy, setBusy] = useState(false);
+
+  const [selected, setSelected] = useState<Exchange | null>(null);
+  const [qcNotes, setQcNotes] = useState('');
+
+  const fetchExchanges = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await exchangeService.getExchanges({
+        page,
+        limit: PAGE_SIZE,
+        status,
+        search: search.trim() || undefined
+      });
+      setExchanges(response.exchanges);
+      setTotalPages(Math.max(response.pagination.total_pages, 1));
+    } catch (err: any) {
+      setError(getErrorMessage(err, 'Failed to load exchanges'));
+    } finally {
+      setLoading(false);
+    }
+  }, [page, status, search]);
+
+  useEffect(() => {
+    if (!selected) {
+      fetchExchanges();
+    }
+  }, [fetchExchanges, selected]);
+
+  const openExchange = async (exchange: Exchange) => {
+    setError(null);
+    setNotice(null);
+    try {
+      setSelected(await exchangeService.getExchange(exchange._id));
+      setQcNotes('');
+    } catch (err: any) {
+      setError(getErrorMessage(err, 'Failed to load exchange'));
+    }
+  };
+
+  const handleQc = async (result: 'passed' | 'failed') => {
+    if (!selected) return;
+    setBusy(true);
+    setError(null);
+    try {
+      const response = await exchangeService.recordQc(selected._id, result, qcNotes.trim());
+      setSelected(response.exchange);
+      setNotice(response.message);
+    } catch (err: any) {
+      setError(getErrorMessage(err, 'Failed to record QC result'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRelease = async () => {
+    if (!selected) return;
+    setBusy(true);
+    setError(null);
+    try {
+      const response = await exchangeService.release(selected._id);
+      setSelected(response.exchange);
+      setNotice(response.message);
+    } catch (err: any) {
+      setError(getErrorMessage(err, 'Failed to release replacement order'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const renderLeg = (title: string, leg: ExchangeLeg, held?: boolean) => (
+    <div className="exchanges-leg">
+      <h3>{title}</h3>
+      <dl>
+        <div><dt>Order</dt><dd>{leg.order_number}</dd></div>
+        <div><dt>AWB</dt><dd>{leg.awb || (held ? 'On hold' : 'Not generated')}</dd></div>
+        <div><dt>Status</dt><dd className="exchanges-capitalize">{formatStatus(leg.status || 'new')}</dd></div>
+        <div><dt>Charges</dt><dd>{formatAmount(leg.charges)}{leg.zone ? ` · Zone ${leg.zone}` : ''}</dd></div>
+      </dl>
+    </div>
+  );
+
+  if (selected) {
+    const active = ACTIVE_STATUSES.includes(selected.status);
+    const canRecordQc = active && selected.qc.required && Boolean(selected.reverse_picked_up_at);
+    const canRelease = selected.forward_held && selected.forward_leg.status !== 'cancelled';
+
+    return (
+      <Layout>
+        <div className="exchanges-page">
+          <div className="exchanges-header">
+            <div>
+              <button className="exchanges-back" onClick={() => setSelected(null)}>← All exchanges</button>
+              <h1>
+                {selected.exchange_number}
+                <span className={`exchanges-status ${selected.status}`}>{EXCHANGE_STATUS_LABELS[selected.status]}</span>
+              </h1>
+              <p>
+                Order {selected.original_order_number} · {selected.customer_name || '-'} · Created {formatDate(selected.createdAt)}
+              </p>
+            </div>
+          </div>
+
+          {error && <div className="exchanges-error">{error}</div>}
+          {notice && <div className="exchanges-notice">{notice}</div>}
+
+          <div className="exchanges-grid">
+            <section className="exchanges-card">
+              <h2>Items</h2>
+              <table className="exchanges-table">
+                <thead>
+                  <tr>
+                    <th>Returned</th>
+                    <th>Replacement</th>
+                    <th>Qty</th>
+                    <th>Price</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {selected.items.map(item => (
+                    <tr key={item.line}>
+                      <td>{item.product_name}<span className="exchanges-sku">{item.sku || '-'}</span></td>
+                      <td>{item.replacement_product_name}<span className="exchanges-sku">{item.replacement_sku || '-'}</span></td>
+                      <td>{item.quantity}</td>
+                      <td>{formatAmount(item.replacement_unit_price || 0)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+
+              <h2>Reason</h2>
+              <p>{REASON_LABELS[selected.reason] || selected.reason}</p>
+              {selected.notes && <p className="exchanges-notes">“{selected.notes}”</p>}
+
+              <h2>Legs</h2>
+              <div className="exchanges-legs">
+                {renderLeg('Pickup of original', selected.reverse_leg)}
+                {renderLeg('Replacement (REPL)', selected.forward_leg, selected.forward_held)}
+              </div>
+              <p className="exchanges-total">
+                Total charges: <strong>{formatAmount(selected.forward_leg.charges + selected.reverse_leg.charges)}</strong>
+              </p>
+
+              <h2>History</h2>
+              <ul className="exchanges-history">
+                {[...selected.status_history].reverse().map((entry, index) => (
+                  <li key={index}>
+                    <span>{formatDateTime(entry.timestamp)}</span>
+                    <strong>{EXCHANGE_STATUS_LABELS[entry.status] || entry.status}</strong>
+                    {entry.note && <em>{entry.note}</em>}
+                  </li>
+                ))}
+              </ul>
+            </section>
+
+            <section className="exchanges-card">
+              <h2>Release</h2>
+              <p>{RELEASE_RULE_LABELS[selected.release_rule]}.</p>
+              {selected.forward_held ? (
+                <>
+                  <p className="exchanges-hint">The replacement order cannot get an AWB until then.</p>
+                  <button className="secondary" onClick={handleRelease} disabled={busy || !canRelease}>
+                    Release Now
+                  </button>
+                </>
+              ) : (
+                <p className="exchanges-hint">
+                  {selected.forward_released_at
+                    ? `Released ${formatDateTime(selected.forward_released_at)}${selected.forward_released_by === 'auto' ? ' automatically' : ' by you'}.`
+                    : 'The replacement order can be shipped.'}
+                </p>
+              )}
+
+              <h2>QC</h2>
+              {!selected.qc.required ? (
+                <p className="exchanges-hint">QC is off for this exchange.</p>
+              ) : (
+                <>
+                  <p>
+                    Result: <span className={`exchanges-qc ${selected.qc.result}`}>{selected.qc.result}</span>
+                    {selected.qc.recorded_at && <> · {formatDateTime(selected.qc.recorded_at)}</>}
+                  </p>
+                  {selected.qc.notes && <p className="exchanges-notes">“{selected.qc.notes}”</p>}
+                  {canRecordQc ? (
+                    <>
+                      <textarea
+                        value={qcNotes}
+                        onChange={(e) => setQcNotes(e.target.value)}
+                        placeholder="Notes on the returned item (optional)"
+                        maxLength={500}
+                        rows={3}
+                      />
+                      <div className="exchanges-actions">
+                        <button onClick={() => handleQc('passed')} disabled={busy}>QC Passed</button>
+                        <button className="danger" onClick={() => handleQc('failed')} disabled={busy}>QC Failed</button>
+                      </div>
+                    </>
+                  ) : active && (
+                    <p className="exchanges-hint">QC can be recorded once the original item is picked up.</p>
+                  )}
+                </>
+              )}
+            </section>
+          </div>
+        </div>
+      </Layout>
+    );
+  }
+
+  return (
+    <Layout>
+      <div className="exchanges-page">
+        <div className="exchanges-header">
+          <div>
+            <h1>Exchanges</h1>
+            <p>Create an exchange from a delivered order on the Orders page.</p>
+          </div>
+        </div>
+
+        {error && <div className="exchanges-error">{error}</div>}
+
+        <div className="exchanges-toolbar">
+          <div className="exchanges-tabs">
+            {(['all', ...ACTIVE_STATUSES, 'completed', 'cancelled'] as const).map(value => (
+              <button
+                key={value}
+                className={status === value ? 'active' : ''}
+                onClick={() => { setStatus(value); setPage(1); }}
+              >
+                {value === 'all' ? 'All' : EXCHANGE_STATUS_LABELS[value]}
+              </button>
+            ))}
+          </div>
+          <input
+            type="text"
+            value={search}
+            placeholder="Search exchange, order or buyer"
+            onChange={(e) => { setSearch(e.target.value); setPage(1); }}
+          />
+        </div>
+
+        <div className="exchanges-table-container">
+          <table className="exchanges-table">
+            <thead>
+              <tr>
+                <th>Exchange</th>
+                <th>Created</th>
+                <th>Order</th>
+                <th>Buyer</th>
+                <th>Pickup</th>
+                <th>Replacement</th>
+                <th>Charges</th>
+                <th>Status</th>
+              </tr>
+            </thead>
+            <tbody>
+              {loading ? (
+                <tr><td colSpan={8} className="exchanges-empty">Loading...</td></tr>
+              ) : exchanges.length === 0 ? (
+                <tr><td colSpan={8} className="exchanges-empty">No exchanges</td></tr>
+              ) : exchanges.map(exchange => (
+                <tr key={exchange._id} className="exchanges-row" onClick={() => openExchange(exchange)}>
+                  <td className="exchanges-number">{exchange.exchange_number}</td>
+                  <td>{formatDate(exchange.createdAt)}</td>
+                  <td>{exchange.original_order_number}</td>
+                  <td>{exchange.customer_name || '-'}</td>
+                  <td className="exchanges-capitalize">{formatStatus(exchange.reverse_leg.status || 'new')}</td>
+                  <td className="exchanges-capitalize">
+                    {exchange.forward_held ? 'On hold' : formatStatus(exchange.forward_leg.status || 'new')}
+                  </td>
+                  <td>{formatAmount(exchange.forward_leg.charges + exchange.reverse_leg.charges)}</td>
+                  <td><span className={`exchanges-status ${exchange.status}`}>{EXCHANGE_STATUS_LABELS[exchange.status]}</span></td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        {totalPages > 1 && (
+          <div className="exchanges-pagination">
+            <button className="secondary" onClick={() => setPage(page - 1)} disabled={page <= 1}>Previous</button>
+            <span>Page {page} of {totalPages}</span>
+            <button className="secondary" onClick={() => setPage(page + 1)} disabled={page >= totalPages}>Next</button>
+          </div>
+        )}
+      </div>
+    </Layout>
+  );
+};
+
+export default Exchanges;
@@ -12,13 +12,9 @@ const InvoiceDetail: React.FC = () => {
   const [error, setError] = useState<string | null>(null);
   const [showTransactions, setShowTransactions] = useState(false);
   const [downloadingCSV, setDownloadingCSV] = useState(false);
-  const [updatingStatus, setUpdatingStatus] = useState(false);
-  const [showStatusModal, setShowStatusModal] = useState(false);
-  const [statusUpdateData, setStatusUpdateData] = useState({
-    amount_paid: 0,
-    payment_method: 'wallet_deduction' as 'wallet_deduction' | 'bank_transfer' | 'upi' | 'auto_debit' | 'razorpay',
-    payment_reference: ''
-  });
+  const [payingInvoice, setPayingInvoice] = useState(false);
+  const [showPayModal, setShowPayModal] = useState(false);
+  const [payAmount, setPayAmount] = useState(0);
 
   const fetchInvoiceDetail = useCallback(async () => {
     if (!id) return;
@@ -64,29 +60,21 @@ const InvoiceDetail: React.FC = () => {
     }
   };
 
-  const handleUpdateStatus = async () => {
+  const handlePayFromWallet = async () => {
     if (!id || !invoice) return;
     
     try {
-      setUpdatingStatus(true);
-      await invoiceService.updateInvoiceStatus(
-        id,
-        'paid',
-        {
-          amount_paid: statusUpdateData.amount_paid || invoice.amounts.grand_total,
-          payment_method: statusUpdateData.payment_method,
-          payment_reference: statusUpdateData.payment_reference
-        }
-      );
+      setPayingInvoice(true);
+      await invoiceService.payInvoiceFromWallet(id, payAmount || invoice.balance_due);
       
       // Refresh invoice data
       await fetchInvoiceDetail();
-      setShowStatusModal(false);
-      alert('Invoice status updated successfully!');
+      setShowPayModal(false);
+      alert('Invoice payment successful!');
     } catch (err: any) {
-      alert(err.message || 'Failed to update invoice status');
+      alert(err.response?.data?.message || err.message || 'Failed to pay invoice');
     } finally {
-      setUpdatingStatus(false);
+      setPayingInvoice(false);
     }
   };
 
@@ -190,6 +178,17 @@ const InvoiceDetail: React.FC = () => {
                 <span className="detail-value">{invoice.gst_info?.buyer_gstin || 'N/A'}</span>
               </div>
 
+              {/* E-invoice IRN (B2B invoices) */}
+              {invoice.irn && (
+                <div className="detail-row">
+                  <span className="detail-label">IRN:</span>
+                  <span className="detail-value irn-value">
+                    {invoice.irn}
+                    {invoice.irn_ack_no && <> (Ack No. {invoice.irn_ack_no}{invoice.irn_date ? `, ${formatDate(invoice.irn_date)}` : ''})</>}
+                  </span>
+                </div>
+              )}
+
               {/* Billing Address */}
               <div className="detail-row">
                 <span className="detail-label">Billing Address:</span>
@@ -275,86 +274,52 @@ const InvoiceDetail: React.FC = () => {
           </div>
         </div>
 
-        {/* Status Update Button (if not paid) */}
-        {invoice.payment_status !== 'paid' && (
+        {/* Pay from Wallet (unpaid balance, not under dispute) */}
+        {!['paid', 'disputed'].includes(invoice.payment_status) && invoice.balance_due > 0 && (
           <div className="status-update-section">
             <button
               className="update-status-btn"
               onClick={() => {
-                setStatusUpdateData({
-                  amount_paid: invoice.amounts.grand_total,
-                  payment_method: 'wallet_deduction',
-                  payment_reference: ''
-                });
-                setShowStatusModal(true);
+                setPayAmount(invoice.balance_due);
+                setShowPayModal(true);
               }}
             >
-              Mark as Paid
+              Pay from Wallet
             </button>
           </div>
         )}
 
-        {/* Status Update Modal */}
-        {showStatusModal && (
-          <div className="modal-overlay" onClick={() => setShowStatusModal(false)}>
+        {/* Pay from Wallet Modal */}
+        {showPayModal && (
+          <div className="modal-overlay" onClick={() => setShowPayModal(false)}>
             <div className="modal-content" onClick={(e) => e.stopPropagation()}>
-              <h3>Update Invoice Status</h3>
+              <h3>Pay Invoice from Wallet</h3>
               <div className="modal-form">
+                <p>Balance due: ₹{invoice.balance_due.toFixed(2)}</p>
                 <label>
-                  Amount Paid:
+                  Amount:
                   <input
                     type="number"
-                    value={statusUpdateData.amount_paid}
-                    onChange={(e) => setStatusUpdateData({
-                      ...statusUpdateData,
-                      amount_paid: parseFloat(e.target.value) || 0
-                    })}
+                    value={payAmount}
+                    onChange={(e) => setPayAmount(parseFloat(e.target.value) || 0)}
                     min="0"
-                    max={invoice.amounts.grand_total}
-                  />
-                </label>
-                <label>
-                  Payment Method:
-                  <select
-                    value={statusUpdateData.payment_method}
-                    onChange={(e) => setStatusUpdateData({
-                      ...statusUpdateData,
-                      payment_method: e.target.value as any
-                    })}
-                  >
-                    <option value="wallet_deduction">Wallet Deduction</option>
-                    <option value="bank_transfer">Bank Transfer</option>
-                    <option value="upi">UPI</option>
-                    <option value="auto_debit">Auto Debit</option>
-                    <option value="razorpay">Razorpay</option>
-                  </select>
-                </label>
-                <label>
-                  Payment Reference (Optional):
-                  <input
-                    type="text"
-                    value={statusUpdateData.payment_reference}
-                    onChange={(e) => setStatusUpdateData({
-                      ...statusUpdateData,
-                      payment_reference: e.target.value
-                    })}
-                    placeholder="Transaction ID, UPI Reference, etc."
+                    max={invoice.balance_due}
                   />
                 </label>
                 <div className="modal-actions">
                   <button
                     className="cancel-btn"
-                    onClick={() => setShowStatusModal(false)}
-                    disabled={updatingStatus}
+                    onClick={() => setShowPayModal(false)}
+                    disabled={payingInvoice}
                   >
                     Cancel
                   </button>
                   <button
                     className="confirm-btn"
-                    onClick={handleUpdateStatus}
-                    disabled={updatingStatus}
+                    onClick={handlePayFromWallet}
+                    disabled={payingInvoice || payAmount <= 0 || payAmount > invoice.balance_due}
                   >
-                    {updatingStatus ? 'Updating...' : 'Mark as Paid'}
+                    {payingInvoice ? 'Paying...' : `Pay ₹${(payAmount || 0).toFixed(2)}`}
                   </button>
                 </div>
               </div>
@@ -24,6 +24,7 @@ interface LabelSettings {
     amount_prepaid: boolean;
     amount_cod: boolean;
     message: boolean;
+    tracking_url: boolean;
   };
   logo_url: string | null;
 }
@@ -67,7 +68,8 @@ const ManageLabel: React.FC = () => {
       shipping_charges: false,
       amount_prepaid: true,
       amount_cod: true,
-      message: true
+      message: true,
+      tracking_url: true
     },
     logo_url: null
   });
@@ -434,6 +436,9 @@ const LabelPreview: React.FC<LabelPreviewProps> = ({ settings, userProfile }) =>
           <div className="courier-name">Courier: <span>{mockOrder.courierName}</span></div>
           <div className="awb-barcode"></div>
           <div className="awb-number">AWB: <span>{mockOrder.waybill}</span></div>
+          {showComponent('tracking_url') && (
+            <div className="label-tracking-url">Track: <span>shipsarthi.com/track/your-store/{mockOrder.waybill}</span></div>
+          )}
         </div>
 
         {/* Right: Payment & Invoice Info */}
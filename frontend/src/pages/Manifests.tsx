@@ -0,0 +1,397 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import Layout from '../components/Layout';
+import {
+  HandoverStatus,
+  Manifest,
+  ManifestDetail,
+  ManifestStatus,
+  manifestService
+} from '../services/manifestService';
+import './Manifests.css';
+
+const STATUS_LABELS: Record<ManifestStatus, string> = {
+  open: 'Open',
+  handed_over: 'Handed Over',
+  closed: 'Closed'
+};
+
+const HANDOVER_LABELS: Record<HandoverStatus, string> = {
+  pending: 'Pending',
+  handed_over: 'Handed Over',
+  not_picked: 'Not Picked'
+};
+
+const PAGE_SIZE = 25;
+
+// Pickup dates are stored as midnight UTC of the chosen day
+const formatPickupDate = (value: string) =>
+  new Date(value).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric', timeZone: 'UTC' });
+
+const formatTime = (value?: string) =>
+  value ? new Date(value).toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit', hour12: true }) : '-';
+
+const formatAmount = (value: number) =>
+  `₹${(value || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const getErrorMessage = (err: any, fallback: string) => err.response?.data?.message || err.message || fallback;
+
+/**
+ * Pickup manifests: handover sheets per warehouse and pickup day, with AWB scanning
+ */
+const Manifests: React.FC = () => {
+  const [manifests, setManifests] = useState<Manifest[]>([]);
+  const [status, setStatus] = useState<ManifestStatus | 'all'>('all');
+  const [pickupDate, setPickupDate] = useState('');
+  const [search, setSearch] = useState('');
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [generating, setGenerating] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [notice, setNotice] = useState<string | null>(null);
+
+  const [selected, setSelected] = useState<ManifestDetail | null>(null);
+  const [shipmentFilter, setShipmentFilter] = useState<HandoverStatus | 'all'>('all');
+  const [awbInput, setAwbInput] = useState('');
+  const [scanning, setScanning] = useState(false);
+  const [scanResult, setScanResult] = useState<{ ok: boolean; message: string } | null>(null);
+  const [busy, setBusy] = useState(false);
+  const scanInputRef = useRef<HTMLInputElement>(null);
+
+  const fetchManifests = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await manifestService.getManifests({
+        page,
+        limit: PAGE_SIZE,
+        status,
+        pickup_date: pickupDate || undefined,
+        search: search.trim() || undefined
+      });
+      setManifests(response.data.manifests);
+      setTotalPages(Math.max(response.data.pagination.total_pages, 1));
+    } catch (err: any) {
+      setError(getErrorMessage(err, 'Failed to load manifests'));
+    } finally {
+      setLoading(false);
+    }
+  }, [page, status, pickupDate, search]);
+
+  useEffect(() => {
+    if (!selected) {
+      fetchManifests();
+    }
+  }, [fetchManifests, selected]);
+
+  useEffect(() => {
+    if (selected?.status === 'open') {
+      scanInputRef.current?.focus();
+    }
+  }, [selected?._id, selected?.status]);
+
+  const openManifest = async (manifest: Manifest) => {
+    setError(null);
+    setNotice(null);
+    setScanResult(null);
+    setShipmentFilter('all');
+    try {
+      setSelected(await manifestService.getManifest(manifest._id));
+    } catch (err: any) {
+      setError(getErrorMessage(err, 'Failed to load manifest'));
+    }
+  };
+
+  const handleGenerate = async () => {
+    setGenerating(true);
+    setError(null);
+    setNotice(null);
+    try {
+      const result = await manifestService.generate(pickupDate || undefined);
+      setNotice(result.message);
+      fetchManifests();
+    } catch (err: any) {
+      setError(getErrorMessage(err, 'Failed to generate manifests'));
+    } finally {
+      setGenerating(false);
+    }
+  };
+
+  const handleDownload = async (manifest: Manifest) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await manifestService.downloadManifest(manifest);
+    } catch (err: any) {
+      setError(getErrorMessage(err, 'Failed to download manifest'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // Handheld scanners type the AWB and press Enter
+  const handleScan = async (e: React.FormEvent) => {
+    e.preventDefault();
+    const awb = awbInput.trim();
+    if (!selected || !awb) return;
+
+    setScanning(true);
+    try {
+      const result = await manifestService.scan(selected._id, awb);
+      setSelected(result.manifest);
+      setScanResult({ ok: !result.already_scanned, message: result.message });
+    } catch (err: any) {
+      setScanResult({ ok: false, message: getErrorMessage(err, 'Scan failed') });
+    } finally {
+      setAwbInput('');
+      setScanning(false);
+      scanInputRef.current?.focus();
+    }
+  };
+
+  const handleClose = async () => {
+    if (!selected) return;
+    const pending = selected.totals.shipments - selected.totals.handed_over;
+    if (pending > 0 && !window.confirm(`${pending} shipment${pending === 1 ? ' has' : 's have'} not been scanned and will be marked not picked. Close the manifest?`)) {
+      return;
+    }
+
+    setBusy(true);
+    setError(null);
+    try {
+      const result = await manifestService.close(selected._id);
+      setSelected(result.manifest);
+      setNotice(result.message);
+    } catch (err: any) {
+      setError(getErrorMessage(err, 'Failed to close manifest'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const renderTotals = (manifest: Manifest) => (
+    <div className="manifests-totals">
+      <div><span>Shipments</span><strong>{manifest.totals.shipments}</strong></div>
+      <div><span>Boxes</span><strong>{manifest.totals.boxes}</strong></div>
+      <div><span>COD</span><strong>{manifest.totals.cod_shipments}</strong></div>
+      <div><span>COD Total</span><strong>{formatAmount(manifest.totals.cod_amount)}</strong></div>
+      <div className="handed-over"><span>Handed Over</span><strong>{manifest.totals.handed_over}</strong></div>
+      <div className={manifest.totals.not_picked ? 'not-picked' : ''}>
+        <span>Not Picked</span><strong>{manifest.totals.not_picked}</strong>
+      </div>
+    </div>
+  );
+
+  if (selected) {
+    const shipments = shipmentFilter === 'all'
+      ? selected.shipments
+      : selected.shipments.filter(shipment => shipment.handover_status === shipmentFilter);
+    const address = selected.pickup_address || {};
+
+    return (
+      <Layout>
+        <div className="manifests-page">
+          <div className="manifests-header">
+            <div>
+              <button className="manifests-back" onClick={() => setSelected(null)}>← All manifests</button>
+              <h1>
+                {selected.manifest_number}
+                <span className={`manifests-status ${selected.status}`}>{STATUS_LABELS[selected.status]}</span>
+              </h1>
+              <p>
+                {selected.warehouse_name} · {selected.carrier} · Pickup {formatPickupDate(selected.pickup_date)}
+                {selected.pickup_time ? ` at ${selected.pickup_time.slice(0, 5)}` : ''}
+              </p>
+              {(address.full_address || address.city) && (
+                <p>{[address.full_address, address.city, address.pincode].filter(Boolean).join(', ')}</p>
+              )}
+            </div>
+            <div className="manifests-actions">
+              <button className="secondary" onClick={() => handleDownload(selected)} disabled={busy}>Download Sheet</button>
+              {selected.status === 'open' && (
+                <button onClick={handleClose} disabled={busy}>Close Manifest</button>
+              )}
+            </div>
+          </div>
+
+          {error && <div className="manifests-error">{error}</div>}
+          {notice && <div className="manifests-notice">{notice}</div>}
+
+          {renderTotals(selected)}
+
+          {selected.status === 'open' && (
+            <form className="manifests-scan" onSubmit={handleScan}>
+              <label htmlFor="manifest-scan-input">Scan AWBs as you hand them to the courier executive</label>
+              <div>
+                <input
+                  id="manifest-scan-input"
+                  ref={scanInputRef}
+                  type="text"
+                  value={awbInput}
+                  onChange={(e) => setAwbInput(e.target.value)}
+                  placeholder="Scan or type AWB number"
+                  autoComplete="off"
+                  disabled={scanning}
+                />
+                <button type="submit" disabled={scanning || !awbInput.trim()}>Scan</button>
+              </div>
+              {scanResult && (
+                <div className={`manifests-scan-result ${scanResult.ok ? 'ok' : 'warn'}`}>{scanResult.message}</div>
+              )}
+            </form>
+          )}
+
+          <div className="manifests-filter">
+            {(['all', 'pending', 'handed_over', 'not_picked'] as const).map(value => (
+              <button
+                key={value}
+                className={shipmentFilter === value ? 'active' : ''}
+                onClick={() => setShipmentFilter(value)}
+              >
+                {value === 'all' ? 'All' : HANDOVER_LABELS[value]}
+              </button>
+            ))}
+          </div>
+
+          <div className="manifests-table-container">
+            <table className="manifests-table">
+              <thead>
+                <tr>
+                  <th>AWB</th>
+                  <th>Order ID</th>
+                  <th>Consignee</th>
+                  <th>Destination</th>
+                  <th>Payment</th>
+                  <th>Boxes</th>
+                  <th>Handover</th>
+                  <th>Scanned</th>
+                </tr>
+              </thead>
+              <tbody>
+                {shipments.length === 0 ? (
+                  <tr><td colSpan={8} className="manifests-empty">No shipments</td></tr>
+                ) : shipments.map(shipment => (
+                  <tr key={shipment.awb_number}>
+                    <td className="manifests-awb">{shipment.awb_number}</td>
+                    <td>{shipment.internal_order_id || '-'}</td>
+                    <td>{shipment.consignee_name || '-'}</td>
+                    <td>{[shipment.destination_city, shipment.destination_pincode].filter(Boolean).join(' - ') || '-'}</td>
+                    <td>{shipment.payment_mode === 'COD' ? `COD ${formatAmount(shipment.cod_amount)}` : shipment.payment_mode || '-'}</td>
+                    <td>{shipment.number_of_boxes}</td>
+                    <td>
+                      <span className={`manifests-handover ${shipment.handover_status}`}>
+                        {HANDOVER_LABELS[shipment.handover_status]}
+                      </span>
+                    </td>
+                    <td>
+                      {shipment.handover_source === 'carrier'
+                        ? 'Reported by courier'
+                        : shipment.scanned_at ? `${formatTime(shipment.scanned_at)}${shipment.scanned_by ? ` · ${shipment.scanned_by}` : ''}` : '-'}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </Layout>
+    );
+  }
+
+  return (
+    <Layout>
+      <div className="manifests-page">
+        <div className="manifests-header">
+          <div>
+            <h1>Manifests</h1>
+            <p>Shipments are grouped by warehouse and pickup date when you request pickup. Print the sheet for the courier executive to sign and scan each AWB at handover.</p>
+          </div>
+          <div className="manifests-actions">
+            <button onClick={handleGenerate} disabled={generating}>
+              {generating ? 'Adding...' : 'Add Scheduled Pickups'}
+            </button>
+          </div>
+        </div>
+
+        {error && <div className="manifests-error">{error}</div>}
+        {notice && <div className="manifests-notice">{notice}</div>}
+
+        <div className="manifests-toolbar">
+          <select value={status} onChange={(e) => { setStatus(e.target.value as ManifestStatus | 'all'); setPage(1); }}>
+            <option value="all">All statuses</option>
+            <option value="open">Open</option>
+            <option value="handed_over">Handed Over</option>
+            <option value="closed">Closed</option>
+          </select>
+          <input type="date" value={pickupDate} onChange={(e) => { setPickupDate(e.target.value); setPage(1); }} />
+          <input
+            type="text"
+            value={search}
+            placeholder="Search manifest or AWB"
+            onChange={(e) => { setSearch(e.target.value); setPage(1); }}
+          />
+        </div>
+
+        <div className="manifests-table-container">
+          <table className="manifests-table">
+            <thead>
+              <tr>
+                <th>Manifest</th>
+                <th>Pickup Date</th>
+                <th>Warehouse</th>
+                <th>Courier</th>
+                <th>Shipments</th>
+                <th>COD Total</th>
+                <th>Handed Over</th>
+                <th>Status</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {loading ? (
+                <tr><td colSpan={9} className="manifests-empty">Loading...</td></tr>
+              ) : manifests.length === 0 ? (
+                <tr><td colSpan={9} className="manifests-empty">No manifests yet. Request pickup for ready to ship orders to create one.</td></tr>
+              ) : manifests.map(manifest => (
+                <tr key={manifest._id} className="manifests-row" onClick={() => openManifest(manifest)}>
+                  <td className="manifests-awb">{manifest.manifest_number}</td>
+                  <td>{formatPickupDate(manifest.pickup_date)}</td>
+                  <td>{manifest.warehouse_name}</td>
+                  <td>{manifest.carrier}</td>
+                  <td>{manifest.totals.shipments}</td>
+                  <td>{formatAmount(manifest.totals.cod_amount)}</td>
+                  <td>
+                    {manifest.totals.handed_over}/{manifest.totals.shipments}
+                    {manifest.totals.not_picked > 0 && (
+                      <span className="manifests-handover not_picked">{manifest.totals.not_picked} not picked</span>
+                    )}
+                  </td>
+                  <td><span className={`manifests-status ${manifest.status}`}>{STATUS_LABELS[manifest.status]}</span></td>
+                  <td>
+                    <button
+                      className="secondary small"
+                      onClick={(e) => { e.stopPropagation(); handleDownload(manifest); }}
+                      disabled={busy}
+                    >
+                      PDF
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        {totalPages > 1 && (
+          <div className="manifests-pagination">
+            <button className="secondary" onClick={() => setPage(page - 1)} disabled={page <= 1}>Previous</button>
+            <span>Page {page} of {totalPages}</span>
+            <button className="secondary" onClick={() => setPage(page + 1)} disabled={page >= totalPages}>Next</button>
+          </div>
+        )}
+      </div>
+    </Layout>
+  );
+};
+
+export default Manifests;
@@ -1,4 +1,5 @@
 import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
 import Layout from '../components/Layout';
 import { ndrService, NDROrder, NDRFilters, NDRStats, NDRActionData, BulkNDRActionData } from '../services/ndrService';
 import './NDR.css';
@@ -6,6 +7,7 @@ import './NDR.css';
 type NDRStatus = 'action_required' | 'action_taken' | 'delivered' | 'rto' | 'all';
 
 const NDR: React.FC = () => {
+  const navigate = useNavigate();
   const [activeTab, setActiveTab] = useState<NDRStatus>('action_required');
   const [ndrOrders, setNdrOrders] = useState<NDROrder[]>([]);
   const [loading, setLoading] = useState(false);
@@ -161,6 +163,20 @@ const NDR: React.FC = () => {
     }
   };
 
+  const handleSendLink = async (order: NDROrder) => {
+    try {
+      setLoading(true);
+      const result = await ndrService.sendBuyerLink(order._id);
+      const sentOn = result.channels.filter(channel => channel.success).map(channel => channel.channel).join(', ');
+      alert(`Delivery options link sent to the buyer via ${sentOn}\nValid until: ${new Date(result.link_expires_at).toLocaleString()}`);
+    } catch (error: any) {
+      console.error('Error sending buyer link:', error);
+      alert(`Failed to send link: ${error.response?.data?.message || error.message || 'Unknown error'}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const handleBulkReAttempt = async () => {
     if (selectedOrders.length === 0) {
       alert('Please select at least one order');
@@ -287,6 +303,7 @@ const NDR: React.FC = () => {
           )}
 
           <div className="export-btns">
+            <button className="export-btn" onClick={() => navigate('/ndr/rules')}>Automation Rules</button>
             <button className="export-btn">Download</button>
             <button className="export-btn">Help</button>
           </div>
@@ -417,6 +434,13 @@ const NDR: React.FC = () => {
                                 📦 RTO
                               </button>
                             )}
+                            <button
+                              className="action-btn send-link-btn"
+                              onClick={() => handleSendLink(order)}
+                              title="Send the buyer a link to pick a new date, fix the address or cancel"
+                            >
+                              ✉️ Send Link
+                            </button>
                           </>
                         )}
                         <button className="action-btn view-btn" title="View Details">
@@ -0,0 +1,241 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { useParams } from 'react-router-dom';
+import axios from 'axios';
+import { environmentConfig } from '../config/environment';
+import './NDRResponse.css';
+
+type BuyerChoice = 'reattempt' | 'reschedule' | 'change_address' | 'cancel_order';
+
+interface NDRLinkDetails {
+  order_id: string;
+  awb_number: string;
+  seller_name: string | null;
+  customer_name: string;
+  phone: string;
+  delivery_address: {
+    full_address: string;
+    city: string;
+    state: string;
+    pincode: string;
+  };
+  payment_mode: 'COD' | 'Prepaid';
+  ndr_reason: string;
+  attempts: number;
+  link_expires_at: string;
+  closed: boolean;
+  responded: boolean;
+  response: {
+    choice: BuyerChoice;
+    response_date: string;
+    preferred_delivery_date?: string;
+  } | null;
+  choices: BuyerChoice[];
+  reschedule_window: { from: string; to: string };
+}
+
+const CHOICE_LABELS: Record<BuyerChoice, { title: string; description: string }> = {
+  reattempt: { title: 'Deliver again', description: 'The courier will try to deliver on the next working day.' },
+  reschedule: { title: 'Pick a delivery date', description: 'Choose a day in the coming week that suits you.' },
+  change_address: { title: 'Update address or phone', description: 'Correct your delivery details before the next attempt.' },
+  cancel_order: { title: 'Cancel the order', description: 'The parcel will be returned to the seller.' }
+};
+
+const getErrorMessage = (err: any, fallback: string) => {
+  if (err.response?.status === 429) return 'Too many requests. Please try again in a few minutes.';
+  return err.response?.data?.message || fallback;
+};
+
+const NDRResponse: React.FC = () => {
+  const { token = '' } = useParams<{ token: string }>();
+  const baseApiUrl = environmentConfig.apiUrl.replace(/\/$/, '');
+  const [details, setDetails] = useState<NDRLinkDetails | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [confirmation, setConfirmation] = useState<string | null>(null);
+
+  const [choice, setChoice] = useState<BuyerChoice>('reattempt');
+  const [deliveryDate, setDeliveryDate] = useState('');
+  const [address, setAddress] = useState('');
+  const [phone, setPhone] = useState('');
+  const [notes, setNotes] = useState('');
+
+  const loadDetails = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await axios.get<{ data: NDRLinkDetails }>(
+        `${baseApiUrl}/ndr/public/${encodeURIComponent(token)}`
+      );
+      setDetails(response.data.data);
+      setDeliveryDate(response.data.data.reschedule_window.from);
+      setAddress(response.data.data.delivery_address.full_address || '');
+    } catch (err: any) {
+      setError(getErrorMessage(err, 'We could not load your delivery details. Please try again later.'));
+    } finally {
+      setLoading(false);
+    }
+  }, [baseApiUrl, token]);
+
+  useEffect(() => {
+    loadDetails();
+  }, [loadDetails]);
+
+  const handleSubmit = async (event: React.FormEvent) => {
+    event.preventDefault();
+    if (choice === 'cancel_order' && !window.confirm('Cancel this order? The parcel will be returned to the seller.')) {
+      return;
+    }
+
+    const payload: Record<string, string> = { choice };
+    if (choice === 'reschedule') payload.preferred_delivery_date = deliveryDate;
+    if (choice === 'change_address') {
+      if (address.trim() && address.trim() !== details?.delivery_address.full_address) {
+        payload.updated_address = address.trim();
+      }
+      if (phone.trim()) payload.updated_phone = phone.trim();
+    }
+    if (notes.trim()) payload.customer_notes = notes.trim();
+
+    setSubmitting(true);
+    setError(null);
+    try {
+      const response = await axios.post<{ message: string }>(
+        `${baseApiUrl}/ndr/public/${encodeURIComponent(token)}`,
+        payload
+      );
+      setConfirmation(response.data.message);
+    } catch (err: any) {
+      setError(getErrorMessage(err, 'We could not save your response. Please try again.'));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const renderBody = () => {
+    if (loading) {
+      return <div className="ndr-response-message">Loading your delivery details…</div>;
+    }
+    if (!details) {
+      return <div className="ndr-response-message error">{error}</div>;
+    }
+    if (confirmation) {
+      return <div className="ndr-response-message success">{confirmation}</div>;
+    }
+    if (details.responded) {
+      return (
+        <div className="ndr-response-message success">
+          We received your response ({CHOICE_LABELS[details.response?.choice || 'reattempt'].title.toLowerCase()}) on{' '}
+          {new Date(details.response?.response_date || '').toLocaleString('en-IN')}.
+        </div>
+      );
+    }
+    if (details.closed) {
+      return <div className="ndr-response-message">This shipment can no longer be changed.</div>;
+    }
+
+    return (
+      <form onSubmit={handleSubmit} className="ndr-response-form">
+        <div className="ndr-response-choices">
+          {details.choices.map(option => (
+            <label key={option} className={`ndr-response-choice ${choice === option ? 'selected' : ''}`}>
+              <input
+                type="radio"
+                name="choice"
+                value={option}
+                checked={choice === option}
+                onChange={() => setChoice(option)}
+              />
+              <span>
+                <strong>{CHOICE_LABELS[option].title}</strong>
+                <small>{CHOICE_LABELS[option].description}</small>
+              </span>
+            </label>
+          ))}
+        </div>
+
+        {choice === 'reschedule' && (
+          <label className="ndr-response-field">
+            Delivery date
+            <input
+              type="date"
+              min={details.reschedule_window.from}
+              max={details.reschedule_window.to}
+              value={deliveryDate}
+              onChange={e => setDeliveryDate(e.target.value)}
+              required
+            />
+          </label>
+        )}
+
+        {choice === 'change_address' && (
+          <>
+            <label className="ndr-response-field">
+              Delivery address
+              <textarea rows={3} maxLength={500} value={address} onChange={e => setAddress(e.target.value)} />
+            </label>
+            <label className="ndr-response-field">
+              New phone number (optional)
+              <input
+                type="tel"
+                inputMode="numeric"
+                pattern="[6-9][0-9]{9}"
+                maxLength={10}
+                placeholder="10 digit mobile number"
+                value={phone}
+                onChange={e => setPhone(e.target.value.replace(/\D/g, ''))}
+              />
+            </label>
+          </>
+        )}
+
+        <label className="ndr-response-field">
+          Note for the courier (optional)
+          <input
+            type="text"
+            maxLength={300}
+            placeholder="e.g. Call before arriving, leave with security"
+            value={notes}
+            onChange={e => setNotes(e.target.value)}
+          />
+        </label>
+
+        {error && <div className="ndr-response-message error">{error}</div>}
+
+        <button type="submit" className={`ndr-response-submit ${choice === 'cancel_order' ? 'danger' : ''}`} disabled={submitting}>
+          {submitting ? 'Saving…' : choice === 'cancel_order' ? 'Cancel Order' : 'Confirm'}
+        </button>
+        <p className="ndr-response-expiry">
+          This link is valid until {new Date(details.link_expires_at).toLocaleString('en-IN')}.
+        </p>
+      </form>
+    );
+  };
+
+  return (
+    <div className="ndr-response-page">
+      <div className="ndr-response-card">
+        <img src="/NEW LOGO.png" alt="Shipsarthi" className="ndr-response-logo" />
+        <h1>We missed you</h1>
+        {details && (
+          <div className="ndr-response-summary">
+            <p>
+              Hi {details.customer_name}, we could not deliver your order <strong>{details.order_id}</strong>
+              {details.seller_name && <> from <strong>{details.seller_name}</strong></>}.
+            </p>
+            <p className="ndr-response-meta">
+              AWB {details.awb_number} • Attempt {details.attempts} • {details.ndr_reason}
+              {details.payment_mode === 'COD' && ' • Cash on delivery'}
+            </p>
+            <p className="ndr-response-meta">
+              {details.delivery_address.full_address}, {details.delivery_address.city}, {details.delivery_address.state}{' '}
+              {details.delivery_address.pincode} • {details.phone}
+            </p>
+          </div>
+        )}
+        {renderBody()}
+      </div>
+    </div>
+  );
+};
+
+export default NDRResponse;
@@ -0,0 +1,607 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import Layout from '../components/Layout';
+import {
+  ndrService,
+  NDRRule,
+  NDRRuleInput,
+  NDRRuleAction,
+  NDRRulePreview,
+  NDRAutomationLogEntry
+} from '../services/ndrService';
+import './NDR.css';
+import './NDRRules.css';
+
+type RulesTab = 'rules' | 'log';
+
+interface RuleFormState {
+  name: string;
+  enabled: boolean;
+  priority: string;
+  action: NDRRuleAction;
+  action_reason: string;
+  nsl_codes: string;
+  pincodes: string;
+  payment_mode: 'any' | 'COD' | 'Prepaid';
+  min_attempts: string;
+  max_attempts: string;
+  min_days_in_ndr: string;
+  max_days_in_ndr: string;
+  min_order_value: string;
+  max_order_value: string;
+}
+
+const ACTION_LABELS: Record<NDRRuleAction, string> = {
+  reattempt: 'Auto Re-Attempt',
+  rto: 'Auto RTO',
+  escalate: 'Escalate',
+  manual_review: 'Manual Review'
+};
+
+const RANGE_FIELDS = [
+  'min_attempts',
+  'max_attempts',
+  'min_days_in_ndr',
+  'max_days_in_ndr',
+  'min_order_value',
+  'max_order_value'
+] as const;
+
+const EMPTY_FORM: RuleFormState = {
+  name: '',
+  enabled: true,
+  priority: '100',
+  action: 'manual_review',
+  action_reason: '',
+  nsl_codes: '',
+  pincodes: '',
+  payment_mode: 'any',
+  min_attempts: '',
+  max_attempts: '',
+  min_days_in_ndr: '',
+  max_days_in_ndr: '',
+  min_order_value: '',
+  max_order_value: ''
+};
+
+const splitList = (value: string) =>
+  value.split(/[\s,]+/).map(item => item.trim()).filter(Boolean);
+
+const toOptionalNumber = (value: string) => (value.trim() === '' ? undefined : Number(value));
+
+const ruleToForm = (rule: NDRRule): RuleFormState => {
+  const form: RuleFormState = {
+    ...EMPTY_FORM,
+    name: rule.name,
+    enabled: rule.enabled,
+    priority: String(rule.priority),
+    action: rule.action,
+    action_reason: rule.action_reason || '',
+    nsl_codes: rule.conditions.nsl_codes.join(', '),
+    pincodes: rule.conditions.pincodes.join(', '),
+    payment_mode: rule.conditions.payment_mode
+  };
+  RANGE_FIELDS.forEach(field => {
+    const value = rule.conditions[field];
+    form[field] = value === undefined || value === null ? '' : String(value);
+  });
+  return form;
+};
+
+const formToInput = (form: RuleFormState): NDRRuleInput => ({
+  name: form.name.trim(),
+  enabled: form.enabled,
+  priority: parseInt(form.priority, 10) || 0,
+  action: form.action,
+  action_reason: form.action_reason.trim() || undefined,
+  conditions: {
+    nsl_codes: splitList(form.nsl_codes).map(code => code.toUpperCase()),
+    pincodes: splitList(form.pincodes),
+    payment_mode: form.payment_mode,
+    min_attempts: toOptionalNumber(form.min_attempts),
+    max_attempts: toOptionalNumber(form.max_attempts),
+    min_days_in_ndr: toOptionalNumber(form.min_days_in_ndr),
+    max_days_in_ndr: toOptionalNumber(form.max_days_in_ndr),
+    min_order_value: toOptionalNumber(form.min_order_value),
+    max_order_value: toOptionalNumber(form.max_order_value)
+  }
+});
+
+const describeConditions = (rule: NDRRule): string => {
+  const { conditions } = rule;
+  const parts: string[] = [];
+  const range = (label: string, min?: number, max?: number) => {
+    if (min !== undefined && min !== null && max !== undefined && max !== null) parts.push(`${label} ${min}–${max}`);
+    else if (min !== undefined && min !== null) parts.push(`${label} ≥ ${min}`);
+    else if (max !== undefined && max !== null) parts.push(`${label} ≤ ${max}`);
+  };
+
+  if (conditions.nsl_codes.length) parts.push(`NSL ${conditions.nsl_codes.join('/')}`);
+  range('attempts', conditions.min_attempts, conditions.max_attempts);
+  range('days in NDR', conditions.min_days_in_ndr, conditions.max_days_in_ndr);
+  range('order value ₹', conditions.min_order_value, conditions.max_order_value);
+  if (conditions.payment_mode !== 'any') parts.push(conditions.payment_mode);
+  if (conditions.pincodes.length) parts.push(`pincode ${conditions.pincodes.join('/')}`);
+
+  return parts.length ? parts.join(' • ') : 'Every NDR';
+};
+
+const formatDateTime = (value?: string) =>
+  value ? new Date(value).toLocaleString('en-IN', { day: '2-digit', month: 'short', hour: '2-digit', minute: '2-digit' }) : '—';
+
+const NDRRules: React.FC = () => {
+  const navigate = useNavigate();
+  const [activeTab, setActiveTab] = useState<RulesTab>('rules');
+  const [rules, setRules] = useState<NDRRule[]>([]);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  // null: form closed, '': new rule, otherwise the rule being edited
+  const [editingId, setEditingId] = useState<string | null>(null);
+  const [form, setForm] = useState<RuleFormState>(EMPTY_FORM);
+
+  const [preview, setPreview] = useState<NDRRulePreview | null>(null);
+  const [previewing, setPreviewing] = useState(false);
+
+  const [logEntries, setLogEntries] = useState<NDRAutomationLogEntry[]>([]);
+  const [logPage, setLogPage] = useState(1);
+  const [logTotalPages, setLogTotalPages] = useState(1);
+  const [logOutcome, setLogOutcome] = useState<'' | 'applied' | 'skipped' | 'failed'>('');
+
+  const fetchRules = useCallback(async () => {
+    setLoading(true);
+    try {
+      setRules(await ndrService.getRules());
+    } catch (err: any) {
+      setError(err.response?.data?.message || err.message || 'Failed to load NDR rules.');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  const fetchLog = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await ndrService.getAutomationLog({
+        page: logPage,
+        limit: 20,
+        outcome: logOutcome || undefined
+      });
+      setLogEntries(response.entries);
+      setLogTotalPages(Math.max(1, response.pagination.total_pages));
+    } catch (err: any) {
+      setError(err.response?.data?.message || err.message || 'Failed to load automation log.');
+    } finally {
+      setLoading(false);
+    }
+  }, [logPage, logOutcome]);
+
+  useEffect(() => {
+    if (activeTab === 'rules') {
+      fetchRules();
+    } else {
+      fetchLog();
+    }
+  }, [activeTab, fetchRules, fetchLog]);
+
+  const updateForm = <K extends keyof RuleFormState>(field: K, value: RuleFormState[K]) => {
+    setForm(prev => ({ ...prev, [field]: value }));
+  };
+
+  const openForm = (rule?: NDRRule) => {
+    setEditingId(rule ? rule._id : '');
+    setForm(rule ? ruleToForm(rule) : EMPTY_FORM);
+    setPreview(null);
+  };
+
+  const closeForm = () => {
+    setEditingId(null);
+    setPreview(null);
+  };
+
+  const runSave = async (action: () => Promise<unknown>) => {
+    setSaving(true);
+    setError(null);
+    try {
+      await action();
+      await fetchRules();
+      return true;
+    } catch (err: any) {
+      setError(err.response?.data?.message || err.message || 'Request failed.');
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSave = async () => {
+    const input = formToInput(form);
+    const saved = await runSave(() =>
+      editingId ? ndrService.updateRule(editingId, input) : ndrService.createRule(input)
+    );
+    if (saved) closeForm();
+  };
+
+  const handleToggle = (rule: NDRRule) =>
+    runSave(() => ndrService.updateRule(rule._id, { enabled: !rule.enabled }));
+
+  const handleDelete = (rule: NDRRule) => {
+    if (!window.confirm(`Delete rule "${rule.name}"?`)) return;
+    runSave(() => ndrService.deleteRule(rule._id));
+  };
+
+  // Preview the saved rules, or with the open form applied in place of the rule it edits
+  const handlePreview = async () => {
+    setPreviewing(true);
+    setError(null);
+    try {
+      let draftRules: NDRRuleInput[] | undefined;
+      if (editingId !== null) {
+        draftRules = rules
+          .filter(rule => rule.enabled && rule._id !== editingId)
+          .map(rule => formToInput(ruleToForm(rule)));
+        if (form.enabled) draftRules.push(formToInput(form));
+      }
+      setPreview(await ndrService.previewRules(draftRules));
+    } catch (err: any) {
+      setError(err.response?.data?.message || err.message || 'Failed to preview rules.');
+    } finally {
+      setPreviewing(false);
+    }
+  };
+
+  return (
+    <Layout>
+      <div className="ndr-container ndr-rules-container">
+        <div className="ndr-rules-header">
+          <div>
+            <h2>NDR Automation</h2>
+            <p>
+              Rules run whenever the carrier reports a failed delivery. They are checked in priority order and the
+              first match decides the action.
+            </p>
+          </div>
+          <button className="export-btn" onClick={() => navigate('/ndr')}>← Back to NDR</button>
+        </div>
+
+        <div className="ndr-tabs">
+          <button
+            className={`ndr-tab ${activeTab === 'rules' ? 'active' : ''}`}
+            onClick={() => setActiveTab('rules')}
+          >
+            Rules ({rules.length})
+          </button>
+          <button
+            className={`ndr-tab ${activeTab === 'log' ? 'active' : ''}`}
+            onClick={() => setActiveTab('log')}
+          >
+            Automation Log
+          </button>
+        </div>
+
+        {error && (
+          <div className="ndr-rules-error">
+            <span>{error}</span>
+            <button onClick={() => setError(null)}>Dismiss</button>
+          </div>
+        )}
+
+        {activeTab === 'rules' ? (
+          <>
+            <div className="ndr-filters">
+              <button className="bulk-action-btn" onClick={() => openForm()} disabled={editingId !== null}>
+                + Add Rule
+              </button>
+              <button className="more-filters-btn" onClick={handlePreview} disabled={previewing}>
+                {previewing ? 'Running…' : editingId !== null ? '🧪 Preview With Draft' : '🧪 Dry Run'}
+              </button>
+            </div>
+
+            {editingId !== null && (
+              <div className="ndr-rule-form">
+                <h3>{editingId ? 'Edit Rule' : 'New Rule'}</h3>
+                <div className="ndr-rule-grid">
+                  <label>
+                    Name
+                    <input value={form.name} onChange={e => updateForm('name', e.target.value)} maxLength={100} />
+                  </label>
+                  <label>
+                    Priority (lower runs first)
+                    <input
+                      type="number"
+                      min="0"
+                      value={form.priority}
+                      onChange={e => updateForm('priority', e.target.value)}
+                    />
+                  </label>
+                  <label>
+                    Action
+                    <select value={form.action} onChange={e => updateForm('action', e.target.value as NDRRuleAction)}>
+                      {(Object.keys(ACTION_LABELS) as NDRRuleAction[]).map(action => (
+                        <option key={action} value={action}>{ACTION_LABELS[action]}</option>
+                      ))}
+                    </select>
+                  </label>
+                  <label>
+                    Reason sent to carrier
+                    <input
+                      value={form.action_reason}
+                      onChange={e => updateForm('action_reason', e.target.value)}
+                      maxLength={200}
+                      disabled={form.action !== 'reattempt' && form.action !== 'rto'}
+                    />
+                  </label>
+                  <label>
+                    NSL codes
+                    <input
+                      placeholder="EOD-74, EOD-15"
+                      value={form.nsl_codes}
+                      onChange={e => updateForm('nsl_codes', e.target.value)}
+                    />
+                  </label>
+                  <label>
+                    Pincodes / prefixes
+                    <input
+                      placeholder="110, 400001"
+                      value={form.pincodes}
+                      onChange={e => updateForm('pincodes', e.target.value)}
+                    />
+                  </label>
+                  <label>
+                    Payment mode
+                    <select
+                      value={form.payment_mode}
+                      onChange={e => updateForm('payment_mode', e.target.value as RuleFormState['payment_mode'])}
+                    >
+                      <option value="any">Any</option>
+                      <option value="COD">COD</option>
+                      <option value="Prepaid">Prepaid</option>
+                    </select>
+                  </label>
+                  <label className="ndr-rule-checkbox">
+                    <input
+                      type="checkbox"
+                      checked={form.enabled}
+                      onChange={e => updateForm('enabled', e.target.checked)}
+                    />
+                    Enabled
+                  </label>
+                  <label>
+                    Attempts (min / max)
+                    <span className="ndr-rule-range">
+                      <input type="number" min="0" value={form.min_attempts} onChange={e => updateForm('min_attempts', e.target.value)} />
+                      <input type="number" min="0" value={form.max_attempts} onChange={e => updateForm('max_attempts', e.target.value)} />
+                    </span>
+                  </label>
+                  <label>
+                    Days in NDR (min / max)
+                    <span className="ndr-rule-range">
+                      <input type="number" min="0" value={form.min_days_in_ndr} onChange={e => updateForm('min_days_in_ndr', e.target.value)} />
+                      <input type="number" min="0" value={form.max_days_in_ndr} onChange={e => updateForm('max_days_in_ndr', e.target.value)} />
+                    </span>
+                  </label>
+                  <label>
+                    Order value ₹ (min / max)
+                    <span className="ndr-rule-range">
+                      <input type="number" min="0" value={form.min_order_value} onChange={e => updateForm('min_order_value', e.target.value)} />
+                      <input type="number" min="0" value={form.max_order_value} onChange={e => updateForm('max_order_value', e.target.value)} />
+                    </span>
+                  </label>
+                </div>
+                <p className="ndr-rule-hint">
+                  Leave a condition empty to match any value. Re-attempts are only requested for eligible NSL codes and
+                  while attempts are 2 or fewer; otherwise the NDR is left for manual review.
+                </p>
+                <div className="ndr-rule-actions">
+                  <button className="bulk-action-btn" onClick={handleSave} disabled={saving || !form.name.trim()}>
+                    {saving ? 'Saving…' : 'Save Rule'}
+                  </button>
+                  <button className="export-btn" onClick={closeForm} disabled={saving}>Cancel</button>
+                </div>
+              </div>
+            )}
+
+            <div className="ndr-table-container">
+              <table className="ndr-table">
+                <thead>
+                  <tr>
+                    <th>Priority</th>
+                    <th>Rule</th>
+                    <th>Conditions</th>
+                    <th>Action</th>
+                    <th>Matches</th>
+                    <th>Status</th>
+                    <th>Manage</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {loading && rules.length === 0 ? (
+                    <tr>
+                      <td colSpan={7} className="loading-cell">Loading rules...</td>
+                    </tr>
+                  ) : rules.length === 0 ? (
+                    <tr>
+                      <td colSpan={7} className="no-data-cell">
+                        No rules yet. Every NDR is left for manual review.
+                      </td>
+                    </tr>
+                  ) : (
+                    rules.map(rule => (
+                      <tr key={rule._id} className={rule.enabled ? '' : 'ndr-rule-disabled'}>
+                        <td>{rule.priority}</td>
+                        <td>{rule.name}</td>
+                        <td>{describeConditions(rule)}</td>
+                        <td>
+                          <span className={`ndr-rule-action ${rule.action}`}>{ACTION_LABELS[rule.action]}</span>
+                        </td>
+                        <td>
+                          {rule.match_count}
+                          {rule.last_matched_at && (
+                            <div className="ndr-rule-muted">last {formatDateTime(rule.last_matched_at)}</div>
+                          )}
+                        </td>
+                        <td>
+                          <button className="link-button" onClick={() => handleToggle(rule)} disabled={saving}>
+                            {rule.enabled ? 'Enabled' : 'Disabled'}
+                          </button>
+                        </td>
+                        <td className="ndr-rule-manage">
+                          <button className="link-button" onClick={() => openForm(rule)} disabled={editingId !== null}>
+                            Edit
+                          </button>
+                          <button className="link-button danger" onClick={() => handleDelete(rule)} disabled={saving}>
+                            Delete
+                          </button>
+                        </td>
+                      </tr>
+                    ))
+                  )}
+                </tbody>
+              </table>
+            </div>
+
+            {preview && (
+              <div className="ndr-rule-preview">
+                <h3>Dry Run — {preview.total} open NDRs, {preview.rules_evaluated} rules</h3>
+                <div className="ndr-rule-summary">
+                  {(Object.keys(ACTION_LABELS) as NDRRuleAction[]).map(action => (
+                    <span key={action} className={`ndr-rule-action ${action}`}>
+                      {ACTION_LABELS[action]}: {preview.summary[action]}
+                    </span>
+                  ))}
+                  {preview.summary.blocked > 0 && (
+                    <span className="ndr-rule-action blocked">Blocked: {preview.summary.blocked}</span>
+                  )}
+                </div>
+                <div className="ndr-table-container">
+                  <table className="ndr-table">
+                    <thead>
+                      <tr>
+                        <th>Order</th>
+                        <th>AWB</th>
+                        <th>NSL</th>
+                        <th>Attempts</th>
+                        <th>Days</th>
+                        <th>Payment</th>
+                        <th>Matched Rule</th>
+                        <th>Decision</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {preview.decisions.length === 0 ? (
+                        <tr>
+                          <td colSpan={8} className="no-data-cell">No open NDRs to evaluate.</td>
+                        </tr>
+                      ) : (
+                        preview.decisions.map(decision => (
+                          <tr key={decision.awb_number || decision.order_id}>
+                            <td>{decision.order_id}</td>
+                            <td>{decision.awb_number}</td>
+                            <td>{decision.facts.nsl_code || '—'}</td>
+                            <td>{decision.facts.attempts}</td>
+                            <td>{decision.facts.days_in_ndr}</td>
+                            <td>{decision.facts.payment_mode} ₹{decision.facts.order_value}</td>
+                            <td>{decision.rule_name || '—'}</td>
+                            <td>
+                              <span className={`ndr-rule-action ${decision.action}`}>{ACTION_LABELS[decision.action]}</span>
+                              {decision.blocked && <div className="ndr-rule-muted">{decision.blocked}</div>}
+                            </td>
+                          </tr>
+                        ))
+                      )}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            )}
+          </>
+        ) : (
+          <>
+            <div className="ndr-filters">
+              <select
+                className="ndr-rule-filter"
+                value={logOutcome}
+                onChange={e => {
+                  setLogOutcome(e.target.value as typeof logOutcome);
+                  setLogPage(1);
+                }}
+              >
+                <option value="">All outcomes</option>
+                <option value="applied">Applied</option>
+                <option value="skipped">Skipped</option>
+                <option value="failed">Failed</option>
+              </select>
+            </div>
+
+            <div className="ndr-table-container">
+              <table className="ndr-table">
+                <thead>
+                  <tr>
+                    <th>Time</th>
+                    <th>AWB</th>
+                    <th>Trigger</th>
+                    <th>Rule</th>
+                    <th>Action</th>
+                    <th>Outcome</th>
+                    <th>Details</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {loading ? (
+                    <tr>
+                      <td colSpan={7} className="loading-cell">Loading automation log...</td>
+                    </tr>
+                  ) : logEntries.length === 0 ? (
+                    <tr>
+                      <td colSpan={7} className="no-data-cell">No automated decisions yet.</td>
+                    </tr>
+                  ) : (
+                    logEntries.map(entry => (
+                      <tr key={entry._id}>
+                        <td>{formatDateTime(entry.created_at)}</td>
+                        <td>{entry.awb_number}</td>
+                        <td>{entry.trigger === 'ndr_created' ? 'New NDR' : 'NDR update'}</td>
+                        <td>{entry.rule_name || 'No match'}</td>
+                        <td>
+                          <span className={`ndr-rule-action ${entry.action}`}>{ACTION_LABELS[entry.action]}</span>
+                        </td>
+                        <td>
+                          <span className={`ndr-rule-outcome ${entry.outcome}`}>{entry.outcome}</span>
+                        </td>
+                        <td>
+                          {entry.message}
+                          {entry.carrier_request_id && (
+                            <div className="ndr-rule-muted">Ref: {entry.carrier_request_id}</div>
+                          )}
+                        </td>
+                      </tr>
+                    ))
+                  )}
+                </tbody>
+              </table>
+            </div>
+
+            {logTotalPages > 1 && (
+              <div className="ndr-rule-pagination">
+                <button className="export-btn" onClick={() => setLogPage(page => page - 1)} disabled={logPage <= 1}>
+                  Previous
+                </button>
+                <span>Page {logPage} of {logTotalPages}</span>
+                <button
+                  className="export-btn"
+                  onClick={() => setLogPage(page => page + 1)}
+                  disabled={logPage >= logTotalPages}
+                >
+                  Next
+                </button>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </Layout>
+  );
+};
+
+export default NDRRules;
@@ -7,7 +7,9 @@ import PickupRequestModal from '../components/PickupRequestModal';
 import BulkActionBar from '../components/BulkActionBar';
 import LabelFormatModal from '../components/LabelFormatModal';
 import BulkResultModal, { BulkResult } from '../components/BulkResultModal';
+import ExchangeModal from '../components/ExchangeModal';
 import { orderService, Order } from '../services/orderService';
+import { rtoRiskService, RtoRiskResolution } from '../services/rtoRiskService';
 import { warehouseService } from '../services/warehouseService';
 import { DataCache } from '../utils/dataCache';
 import { environmentConfig } from '../config/environment';
@@ -134,6 +136,9 @@ const Orders: React.FC = () => {
   });
   const [bulkLoading, setBulkLoading] = useState(false);
 
+  // Exchange modal state
+  const [exchangeOrder, setExchangeOrder] = useState<{ _id: string; order_id: string } | null>(null);
+
   // Fetch warehouses for filter dropdown
   useEffect(() => {
     const fetchWarehouses = async () => {
@@ -884,6 +889,28 @@ const Orders: React.FC = () => {
     }
   };
 
+  const handleResolveRtoRisk = async (order: Order, action: RtoRiskResolution) => {
+    const prompt = action === 'verify'
+      ? `Confirm you have verified the buyer of order ${order.orderId}? The order stays COD and can be shipped.`
+      : `Convert order ${order.orderId} to prepaid? The COD amount of ₹${order.codAmount || 0} will be removed and the COD charge refunded.`;
+    if (!window.confirm(prompt)) {
+      return;
+    }
+
+    try {
+      setLoading(true);
+      const result = await rtoRiskService.resolve(order._id, action);
+      alert(`✅ ${result.message}`);
+      orderService.clearCache();
+      fetchOrders();
+    } catch (error: any) {
+      console.error('Resolve RTO risk error:', error);
+      alert(`❌ ${error.response?.data?.message || error.message || 'Failed to release order'}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const handleCancelShipment = async (orderId: string, orderDbId: string, awb?: string | null) => {
     if (!orderDbId) {
       alert('Order ID not available');
@@ -1183,6 +1210,24 @@ const Orders: React.FC = () => {
                 <div className="detail-item"><strong>Total Amount:</strong> ₹{order.totalAmount}</div>
                 {order.codAmount && <div className="detail-item"><strong>COD Amount:</strong> ₹{order.codAmount}</div>}
               </div>
+              {order.rtoRisk && (
+                <div className="rto-risk-details">
+                  <strong>RTO Risk:</strong> <span className={`rto-risk-badge ${order.rtoRisk.band}`}>{order.rtoRisk.band} · {order.rtoRisk.score}</span>
+                  {order.rtoRisk.resolution && (
+                    <span className="rto-risk-resolution">
+                      {order.rtoRisk.resolution === 'verified' ? 'Buyer verified' : 'Converted to prepaid'}
+                    </span>
+                  )}
+                  <ul>
+                    {order.rtoRisk.reasons.map(reason => (
+                      <li key={reason.code}>
+                        <span>{reason.label}</span>
+                        <span className={reason.points > 0 ? 'rto-risk-up' : 'rto-risk-down'}>{reason.points > 0 ? '+' : ''}{reason.points}</span>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
             </section>
 
             {/* Pickup Information */}
@@ -1624,6 +1669,19 @@ const Orders: React.FC = () => {
                           {order.paymentMode || 'N/A'}
                         </div>
                         {order.codAmount && <div>₹{order.codAmount}</div>}
+                        {order.rtoRisk && (
+                          <div
+                            className={`rto-risk-badge ${order.rtoRisk.band}`}
+                            title={order.rtoRisk.reasons.map(reason => `${reason.points > 0 ? '+' : ''}${reason.points} ${reason.label}`).join('\n') || 'No risk factors'}
+                          >
+                            RTO {order.rtoRisk.band} · {order.rtoRisk.score}
+                          </div>
+                        )}
+                        {order.rtoRisk?.on_hold && (
+                          <div className="rto-risk-hold">
+                            {order.rtoRisk.action === 'force_prepaid' ? 'Convert to prepaid to ship' : 'Verify buyer to ship'}
+                          </div>
+                        )}
                       </div>
                     </td>
                     <td>
@@ -1704,8 +1762,8 @@ const Orders: React.FC = () => {
                     <td>{order.warehouse}</td>
                     <td>
                       <div className="action-buttons">
-                        {/* Generate AWB button - only for NEW status orders without AWB */}
-                        {order.status === 'new' && !order.awb && (
+                        {/* Generate AWB button - only for NEW status orders without AWB, not held for RTO risk */}
+                        {order.status === 'new' && !order.awb && !order.rtoRisk?.on_hold && (
                           <button 
                             className="action-btn generate-awb-btn"
                             title="Generate AWB Number"
@@ -1715,6 +1773,28 @@ const Orders: React.FC = () => {
                           </button>
                         )}
                         
+                        {/* RTO risk hold - the seller verifies the buyer or converts to prepaid */}
+                        {order.status === 'new' && order.rtoRisk?.on_hold && (
+                          <>
+                            {order.rtoRisk.action === 'hold' && (
+                              <button
+                                className="action-btn rto-verify-btn"
+                                title="Buyer verified, keep the order COD"
+                                onClick={() => handleResolveRtoRisk(order, 'verify')}
+                              >
+                                Verify Buyer
+                              </button>
+                            )}
+                            <button
+                              className="action-btn rto-prepaid-btn"
+                              title="Convert the order to prepaid"
+                              onClick={() => handleResolveRtoRisk(order, 'convert_prepaid')}
+                            >
+                              Convert to Prepaid
+                            </button>
+                          </>
+                        )}
+
                         {/* Create Pickup Request button - only for ready_to_ship status */}
                         {order.awb && 
                          activeTab !== 'pickups_manifests' &&
@@ -1742,6 +1822,17 @@ const Orders: React.FC = () => {
                           </button>
                         )}
                         
+                        {/* Create Exchange button - delivered forward orders that are not replacements */}
+                        {orderType === 'forward' && order.status === 'delivered' && order.paymentMode !== 'REPL' && (
+                          <button
+                            className="action-btn create-exchange-btn"
+                            title="Exchange items from this order"
+                            onClick={() => setExchangeOrder({ _id: order._id, order_id: order.orderId })}
+                          >
+                            Create Exchange
+                          </button>
+                        )}
+
                         {/* View button - always visible */}
                         <button 
                           className="action-icon-btn view-btn" 
@@ -2033,6 +2124,20 @@ const Orders: React.FC = () => {
         operationType={bulkResultModal.operationType}
       />
 
+      {/* Exchange Modal */}
+      {exchangeOrder && (
+        <ExchangeModal
+          order={exchangeOrder}
+          onClose={() => setExchangeOrder(null)}
+          onCreated={(message) => {
+            setExchangeOrder(null);
+            alert(`✅ ${message}\n\nThe replacement and pickup orders are in the New tab. Track the exchange under Tools → Exchanges.`);
+            orderService.clearCache();
+            fetchOrders();
+          }}
+        />
+      )}
+
       {/* Bulk Loading Overlay */}
       {bulkLoading && (
         <div className="bulk-loading-overlay">
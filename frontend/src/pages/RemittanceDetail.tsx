@@ -147,6 +147,20 @@ const RemittanceDetail: React.FC = () => {
                   <span className="summary-label">Remittance Date:</span>
                   <span className="summary-value">{formatDate(remittance.date)}</span>
                 </div>
+                {remittance.early_cod && (
+                  <>
+                    <div className="summary-item">
+                      <span className="summary-label">Paid Early:</span>
+                      <span className="summary-value">
+                        ₹ {remittance.early_cod.advanced_amount.toFixed(2)} ({remittance.early_cod.advanced_orders} orders)
+                      </span>
+                    </div>
+                    <div className="summary-item">
+                      <span className="summary-label">Net Payable:</span>
+                      <span className="summary-value">₹ {remittance.early_cod.net_payable.toFixed(2)}</span>
+                    </div>
+                  </>
+                )}
               </div>
             </div>
           </div>
@@ -1,11 +1,14 @@
 import React, { useState, useEffect, useRef, useCallback } from 'react';
 import { useNavigate } from 'react-router-dom';
 import Layout from '../components/Layout';
+import CodReconciliationReport from '../components/CodReconciliationReport';
+import EarlyCodPanel, { EarlyCodPlanChanges } from '../components/EarlyCodPanel';
 import { remittanceService, Remittance } from '../services/remittanceService';
 import './Remittances.css';
 
 const Remittances: React.FC = () => {
   const navigate = useNavigate();
+  const [view, setView] = useState<'remittances' | 'reconciliation' | 'early_cod'>('remittances');
   const [remittances, setRemittances] = useState<Remittance[]>([]);
   const [loading, setLoading] = useState(false);
   const [searchQuery, setSearchQuery] = useState('');
@@ -142,6 +145,47 @@ const Remittances: React.FC = () => {
     return date.toLocaleDateString('en-GB', { day: '2-digit', month: 'short', year: 'numeric' });
   };
 
+  const saveExcel = (blob: Blob, fileName: string) => {
+    const url = window.URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    window.URL.revokeObjectURL(url);
+  };
+
+  const loadReconciliation = useCallback(async (minAgeDays: number) => {
+    const response = await remittanceService.getReconciliation(minAgeDays);
+    return response.data;
+  }, []);
+
+  const loadRemittanceReconciliation = useCallback(async (remittanceNumber: string) => {
+    const response = await remittanceService.getRemittanceReconciliation(remittanceNumber);
+    return response.data;
+  }, []);
+
+  const exportReconciliation = async (minAgeDays: number) => {
+    const blob = await remittanceService.downloadReconciliation({ minAgeDays });
+    saveExcel(blob, `COD_Reconciliation_${new Date().toISOString().split('T')[0]}.xlsx`);
+  };
+
+  const exportRemittanceReconciliation = async (remittanceNumber: string) => {
+    const blob = await remittanceService.downloadReconciliation({ remittanceNumber });
+    saveExcel(blob, `Remittance_${remittanceNumber}_Reconciliation.xlsx`);
+  };
+
+  const loadEarlyCod = useCallback(async (page: number) => {
+    const response = await remittanceService.getEarlyCod(page);
+    return response.data;
+  }, []);
+
+  const saveEarlyCodPlan = async ({ enabled, days, payout_mode }: EarlyCodPlanChanges) => {
+    const response = await remittanceService.updateEarlyCod({ enabled, days, payout_mode });
+    return response.data;
+  };
+
   return (
     <Layout>
       <div className="remittances-container">
@@ -150,136 +194,177 @@ const Remittances: React.FC = () => {
           <button className="learn-more-btn">Learn More ?</button>
         </div>
 
-        {/* Search & Filter Section */}
-        <div className="remittances-filters">
-          <div className="search-box">
-            <input
-              type="text"
-              placeholder="Search by Remittance Number"
-              value={searchQuery}
-              onChange={(e) => {
-                setSearchQuery(e.target.value);
-                setPage(1);
-              }}
-            />
-          </div>
-          <div className="date-filter" ref={datePickerRef}>
-            <button
-              className="calendar-btn"
-              onClick={() => setShowDatePicker(!showDatePicker)}
-            >
-              📅 Processed On {dateFrom ? formatDateForDisplay(dateFrom) : ''} {dateTo && dateFrom ? `to ${formatDateForDisplay(dateTo)}` : ''}
-              {!dateFrom && !dateTo && ' (Select Date)'}
-            </button>
-            {showDatePicker && (
-              <div className="date-picker-dropdown">
-                <div className="date-picker-header">
-                  <h4>Select Date Range</h4>
-                  <button className="close-btn" onClick={() => setShowDatePicker(false)}>✕</button>
-                </div>
-                <div className="quick-select-options">
-                  <button onClick={() => handleQuickDateSelect('today')}>Today</button>
-                  <button onClick={() => handleQuickDateSelect('yesterday')}>Yesterday</button>
-                  <button onClick={() => handleQuickDateSelect('thisWeek')}>This Week</button>
-                  <button onClick={() => handleQuickDateSelect('thisMonth')}>This Month</button>
-                  <button onClick={() => handleQuickDateSelect('lastWeek')}>Last Week</button>
-                  <button onClick={() => handleQuickDateSelect('lastMonth')}>Last Month</button>
-                  <button onClick={() => handleQuickDateSelect('last90Days')}>Last 90 Days</button>
-                </div>
-                <div className="custom-date-range">
-                  <label>From:</label>
-                  <input
-                    type="date"
-                    value={dateFrom}
-                    onChange={(e) => setDateFrom(e.target.value)}
-                  />
-                  <label>To:</label>
-                  <input
-                    type="date"
-                    value={dateTo}
-                    onChange={(e) => setDateTo(e.target.value)}
-                    min={dateFrom}
-                  />
-                </div>
-                <div className="date-picker-actions">
-                  <button onClick={handleApplyDateFilter} disabled={!dateFrom || !dateTo}>
-                    Done
-                  </button>
-                  <button onClick={handleClearDateFilter}>Clear</button>
-                </div>
-              </div>
-            )}
-          </div>
+        <div className="remittances-view-tabs">
+          <button
+            className={view === 'remittances' ? 'active' : ''}
+            onClick={() => setView('remittances')}
+          >
+            Remittances
+          </button>
+          <button
+            className={view === 'reconciliation' ? 'active' : ''}
+            onClick={() => setView('reconciliation')}
+          >
+            COD Reconciliation
+          </button>
+          <button
+            className={view === 'early_cod' ? 'active' : ''}
+            onClick={() => setView('early_cod')}
+          >
+            Early COD
+          </button>
         </div>
 
-        {/* Remittances Table */}
-        <div className="remittances-table-container">
-          {loading ? (
-            <div className="loading-state">Loading remittances...</div>
-          ) : (
-            <table className="remittances-table">
-              <thead>
-                <tr>
-                  <th>REMITTANCE NUMBER</th>
-                  <th>DATE</th>
-                  <th>BANK'S TRANSACTION ID</th>
-                  <th>STATE</th>
-                  <th>TOTAL REMITTANCE</th>
-                </tr>
-              </thead>
-              <tbody>
-                {remittances.length === 0 ? (
-                  <tr>
-                    <td colSpan={5} className="empty-state">
-                      No remittances found
-                    </td>
-                  </tr>
-                ) : (
-                  remittances.map((remittance) => (
-                    <tr key={remittance.remittance_number}>
-                      <td>
-                        <button
-                          className="remittance-link"
-                          onClick={() => handleRemittanceClick(remittance.remittance_number)}
-                        >
-                          {remittance.remittance_number}
-                        </button>
-                      </td>
-                      <td>{formatDate(remittance.date)}</td>
-                      <td>{remittance.bank_transaction_id || '-'}</td>
-                      <td>
-                        <span className={`status-badge ${remittance.state}`}>
-                          {remittance.state.charAt(0).toUpperCase() + remittance.state.slice(1)}
-                        </span>
-                      </td>
-                      <td>₹ {remittance.total_remittance.toFixed(2)}</td>
-                    </tr>
-                  ))
+        {view === 'early_cod' ? (
+          <EarlyCodPanel loadSummary={loadEarlyCod} savePlan={saveEarlyCodPlan} />
+        ) : view === 'reconciliation' ? (
+          <CodReconciliationReport
+            loadReport={loadReconciliation}
+            loadRemittance={loadRemittanceReconciliation}
+            exportReport={exportReconciliation}
+            exportRemittance={exportRemittanceReconciliation}
+          />
+        ) : (
+          <>
+            {/* Search & Filter Section */}
+            <div className="remittances-filters">
+              <div className="search-box">
+                <input
+                  type="text"
+                  placeholder="Search by Remittance Number"
+                  value={searchQuery}
+                  onChange={(e) => {
+                    setSearchQuery(e.target.value);
+                    setPage(1);
+                  }}
+                />
+              </div>
+              <div className="date-filter" ref={datePickerRef}>
+                <button
+                  className="calendar-btn"
+                  onClick={() => setShowDatePicker(!showDatePicker)}
+                >
+                  📅 Processed On {dateFrom ? formatDateForDisplay(dateFrom) : ''} {dateTo && dateFrom ? `to ${formatDateForDisplay(dateTo)}` : ''}
+                  {!dateFrom && !dateTo && ' (Select Date)'}
+                </button>
+                {showDatePicker && (
+                  <div className="date-picker-dropdown">
+                    <div className="date-picker-header">
+                      <h4>Select Date Range</h4>
+                      <button className="close-btn" onClick={() => setShowDatePicker(false)}>✕</button>
+                    </div>
+                    <div className="quick-select-options">
+                      <button onClick={() => handleQuickDateSelect('today')}>Today</button>
+                      <button onClick={() => handleQuickDateSelect('yesterday')}>Yesterday</button>
+                      <button onClick={() => handleQuickDateSelect('thisWeek')}>This Week</button>
+                      <button onClick={() => handleQuickDateSelect('thisMonth')}>This Month</button>
+                      <button onClick={() => handleQuickDateSelect('lastWeek')}>Last Week</button>
+                      <button onClick={() => handleQuickDateSelect('lastMonth')}>Last Month</button>
+                      <button onClick={() => handleQuickDateSelect('last90Days')}>Last 90 Days</button>
+                    </div>
+                    <div className="custom-date-range">
+                      <label>From:</label>
+                      <input
+                        type="date"
+                        value={dateFrom}
+                        onChange={(e) => setDateFrom(e.target.value)}
+                      />
+                      <label>To:</label>
+                      <input
+                        type="date"
+                        value={dateTo}
+                        onChange={(e) => setDateTo(e.target.value)}
+                        min={dateFrom}
+                      />
+                    </div>
+                    <div className="date-picker-actions">
+                      <button onClick={handleApplyDateFilter} disabled={!dateFrom || !dateTo}>
+                        Done
+                      </button>
+                      <button onClick={handleClearDateFilter}>Clear</button>
+                    </div>
+                  </div>
                 )}
-              </tbody>
-            </table>
-          )}
-        </div>
+              </div>
+            </div>
+
+            {/* Remittances Table */}
+            <div className="remittances-table-container">
+              {loading ? (
+                <div className="loading-state">Loading remittances...</div>
+              ) : (
+                <table className="remittances-table">
+                  <thead>
+                    <tr>
+                      <th>REMITTANCE NUMBER</th>
+                      <th>DATE</th>
+                      <th>BANK'S TRANSACTION ID</th>
+                      <th>STATE</th>
+                      <th>TOTAL REMITTANCE</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {remittances.length === 0 ? (
+                      <tr>
+                        <td colSpan={5} className="empty-state">
+                          No remittances found
+                        </td>
+                      </tr>
+                    ) : (
+                      remittances.map((remittance) => (
+                        <tr key={remittance.remittance_number}>
+                          <td>
+                            <button
+                              className="remittance-link"
+                              onClick={() => handleRemittanceClick(remittance.remittance_number)}
+                            >
+                              {remittance.remittance_number}
+                            </button>
+                          </td>
+                          <td>{formatDate(remittance.date)}</td>
+                          <td>{remittance.bank_transaction_id || '-'}</td>
+                          <td>
+                            <span className={`status-badge ${remittance.state}`}>
+                              {remittance.state.charAt(0).toUpperCase() + remittance.state.slice(1)}
+                            </span>
+                          </td>
+                          <td>
+                            ₹ {remittance.total_remittance.toFixed(2)}
+                            {remittance.early_cod && (
+                              <span className="remittance-early-cod">
+                                ₹ {remittance.early_cod.advanced_amount.toFixed(2)} paid early
+                              </span>
+                            )}
+                          </td>
+                        </tr>
+                      ))
+                    )}
+                  </tbody>
+                </table>
+              )}
+            </div>
 
-        {/* Pagination */}
-        {totalPages > 1 && (
-          <div className="pagination">
-            <button
-              onClick={() => setPage((p) => Math.max(1, p - 1))}
-              disabled={page === 1}
-            >
-              Previous
-            </button>
-            <span>
-              Page {page} of {totalPages} ({totalCount} total)
-            </span>
-            <button
-              onClick={() => setPage((p) => Math.min(totalPages, p + 1))}
-              disabled={page === totalPages}
-            >
-              Next
-            </button>
-          </div>
+            {/* Pagination */}
+            {totalPages > 1 && (
+              <div className="pagination">
+                <button
+                  onClick={() => setPage((p) => Math.max(1, p - 1))}
+                  disabled={page === 1}
+                >
+                  Previous
+                </button>
+                <span>
+                  Page {page} of {totalPages} ({totalCount} total)
+                </span>
+                <button
+                  onClick={() => setPage((p) => Math.min(totalPages, p + 1))}
+                  disabled={page === totalPages}
+                >
+                  Next
+                </button>
+              </div>
+            )}
+          </>
         )}
       </div>
     </Layout>
@@ -0,0 +1,457 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import Layout from '../components/Layout';
+import {
+  QC_CHECK_LABELS,
+  QcCheck,
+  ReturnRequest,
+  ReturnRequestDetail,
+  ReturnStatus,
+  ReturnsPolicy,
+  returnService
+} from '../services/returnService';
+import './ReturnRequests.css';
+
+const STATUS_LABELS: Record<ReturnStatus, string> = {
+  requested: 'Pending Review',
+  approved: 'Approved',
+  rejected: 'Rejected'
+};
+
+const REASON_LABELS: Record<string, string> = {
+  damaged: 'Item arrived damaged',
+  defective: 'Defective / not working',
+  wrong_item: 'Wrong item',
+  size_issue: 'Size or fit issue',
+  not_as_described: 'Not as described',
+  changed_mind: 'No longer needed',
+  other: 'Other'
+};
+
+const FLAG_LABELS: Record<string, string> = {
+  max_value_exceeded: 'Above maximum return value'
+};
+
+const PAGE_SIZE = 25;
+
+const formatDate = (value?: string) =>
+  value ? new Date(value).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' }) : '-';
+
+const formatAmount = (value: number) =>
+  `₹${(value || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const getErrorMessage = (err: any, fallback: string) => err.response?.data?.message || err.message || fallback;
+
+/**
+ * Buyer return requests from the returns portal, with approval into reverse orders
+ */
+const ReturnRequests: React.FC = () => {
+  const [requests, setRequests] = useState<ReturnRequest[]>([]);
+  const [counts, setCounts] = useState<Record<ReturnStatus, number>>({ requested: 0, approved: 0, rejected: 0 });
+  const [status, setStatus] = useState<ReturnStatus | 'all'>('requested');
+  const [search, setSearch] = useState('');
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [notice, setNotice] = useState<string | null>(null);
+  const [busy, setBusy] = useState(false);
+
+  const [selected, setSelected] = useState<ReturnRequestDetail | null>(null);
+  const [qcRequired, setQcRequired] = useState(true);
+  const [qcChecks, setQcChecks] = useState<QcCheck[]>([]);
+  const [rejectReason, setRejectReason] = useState('');
+
+  const [policy, setPolicy] = useState<ReturnsPolicy | null>(null);
+  const [showPolicy, setShowPolicy] = useState(false);
+  const [policyForm, setPolicyForm] = useState({
+    enabled: false,
+    window_days: '7',
+    non_returnable_skus: '',
+    max_return_value: '',
+    auto_approve: false
+  });
+
+  const fetchRequests = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await returnService.getRequests({
+        page,
+        limit: PAGE_SIZE,
+        status,
+        search: search.trim() || undefined
+      });
+      setRequests(response.requests);
+      setCounts(response.counts);
+      setTotalPages(Math.max(response.pagination.total_pages, 1));
+    } catch (err: any) {
+      setError(getErrorMessage(err, 'Failed to load return requests'));
+    } finally {
+      setLoading(false);
+    }
+  }, [page, status, search]);
+
+  useEffect(() => {
+    if (!selected) {
+      fetchRequests();
+    }
+  }, [fetchRequests, selected]);
+
+  const applyPolicy = (data: ReturnsPolicy) => {
+    setPolicy(data);
+    setPolicyForm({
+      enabled: data.enabled,
+      window_days: String(data.window_days),
+      non_returnable_skus: data.non_returnable_skus.join(', '),
+      max_return_value: data.max_return_value === null ? '' : String(data.max_return_value),
+      auto_approve: data.auto_approve
+    });
+  };
+
+  useEffect(() => {
+    returnService.getPolicy()
+      .then(applyPolicy)
+      .catch(err => setError(getErrorMessage(err, 'Failed to load returns policy')));
+  }, []);
+
+  const handleSavePolicy = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setBusy(true);
+    setError(null);
+    setNotice(null);
+    try {
+      const data = await returnService.updatePolicy({
+        enabled: policyForm.enabled,
+        window_days: Number(policyForm.window_days),
+        non_returnable_skus: policyForm.non_returnable_skus.split(/[,\n]/).map(sku => sku.trim()).filter(Boolean),
+        max_return_value: policyForm.max_return_value.trim() ? Number(policyForm.max_return_value) : null,
+        auto_approve: policyForm.auto_approve
+      });
+      applyPolicy(data);
+      setNotice('Returns policy saved');
+      setShowPolicy(false);
+    } catch (err: any) {
+      setError(getErrorMessage(err, 'Failed to save returns policy'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const openRequest = async (request: ReturnRequest) => {
+    setError(null);
+    setNotice(null);
+    try {
+      const detail = await returnService.getRequest(request._id);
+      setSelected(detail);
+      setQcRequired(true);
+      setQcChecks(detail.suggested_qc_checks);
+      setRejectReason('');
+    } catch (err: any) {
+      setError(getErrorMessage(err, 'Failed to load return request'));
+    }
+  };
+
+  const toggleCheck = (check: QcCheck) => {
+    setQcChecks(prev => (prev.includes(check) ? prev.filter(item => item !== check) : [...prev, check]));
+  };
+
+  const handleApprove = async () => {
+    if (!selected) return;
+    setBusy(true);
+    setError(null);
+    try {
+      const result = await returnService.approve(selected._id, { qc_required: qcRequired, qc_checks: qcChecks });
+      setSelected({ ...selected, ...result.request });
+      setNotice(result.message);
+    } catch (err: any) {
+      setError(getErrorMessage(err, 'Failed to approve return request'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleReject = async () => {
+    if (!selected || !rejectReason.trim()) return;
+    setBusy(true);
+    setError(null);
+    try {
+      const result = await returnService.reject(selected._id, rejectReason.trim());
+      setSelected({ ...selected, ...result.request });
+      setNotice(result.message);
+    } catch (err: any) {
+      setError(getErrorMessage(err, 'Failed to reject return request'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (selected) {
+    return (
+      <Layout>
+        <div className="return-requests-page">
+          <div className="return-requests-header">
+            <div>
+              <button className="return-requests-back" onClick={() => setSelected(null)}>← All returns</button>
+              <h1>
+                {selected.request_number}
+                <span className={`return-requests-status ${selected.status}`}>{STATUS_LABELS[selected.status]}</span>
+              </h1>
+              <p>
+                Order {selected.order_number} · {selected.customer.name || '-'} · {selected.customer.phone || '-'} · Requested {formatDate(selected.createdAt)}
+              </p>
+            </div>
+          </div>
+
+          {error && <div className="return-requests-error">{error}</div>}
+          {notice && <div className="return-requests-notice">{notice}</div>}
+
+          {selected.rule_flags.length > 0 && (
+            <div className="return-requests-flags">
+              {selected.rule_flags.map(flag => <span key={flag}>{FLAG_LABELS[flag] || flag}</span>)}
+            </div>
+          )}
+
+          <div className="return-requests-grid">
+            <section className="return-requests-card">
+              <h2>Items</h2>
+              <table className="return-requests-table">
+                <thead>
+                  <tr>
+                    <th>Product</th>
+                    <th>SKU</th>
+                    <th>Qty</th>
+                    <th>Value</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {selected.items.map(item => (
+                    <tr key={item.line}>
+                      <td>{item.product_name}</td>
+                      <td>{item.sku || '-'}</td>
+                      <td>{item.quantity}</td>
+                      <td>{formatAmount(item.unit_price * item.quantity)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <p className="return-requests-total">Return value: <strong>{formatAmount(selected.return_value)}</strong></p>
+
+              <h2>Reason</h2>
+              <p>{REASON_LABELS[selected.reason] || selected.reason}</p>
+              {selected.comments && <p className="return-requests-comments">“{selected.comments}”</p>}
+
+              {selected.photos.length > 0 && (
+                <div className="return-requests-photos">
+                  {selected.photos.map(photo => (
+                    <a key={photo.url} href={photo.url} target="_blank" rel="noopener noreferrer">
+                      <img src={photo.url} alt="Return evidence" />
+                    </a>
+                  ))}
+                </div>
+              )}
+            </section>
+
+            <section className="return-requests-card">
+              {selected.status === 'requested' ? (
+                <>
+                  <h2>Approve</h2>
+                  <p className="return-requests-hint">
+                    A reverse pickup order is created from the buyer's address to your warehouse.
+                  </p>
+                  <label className="return-requests-checkbox">
+                    <input type="checkbox" checked={qcRequired} onChange={(e) => setQcRequired(e.target.checked)} />
+                    Courier QC check at pickup
+                  </label>
+                  {qcRequired && (
+                    <div className="return-requests-qc">
+                      {(Object.keys(QC_CHECK_LABELS) as QcCheck[]).map(check => (
+                        <label key={check} className="return-requests-checkbox">
+                          <input type="checkbox" checked={qcChecks.includes(check)} onChange={() => toggleCheck(check)} />
+                          {QC_CHECK_LABELS[check]}
+                        </label>
+                      ))}
+                    </div>
+                  )}
+                  <button onClick={handleApprove} disabled={busy}>Approve &amp; Create Reverse Order</button>
+
+                  <h2>Reject</h2>
+                  <textarea
+                    value={rejectReason}
+                    onChange={(e) => setRejectReason(e.target.value)}
+                    placeholder="Reason shown to the buyer"
+                    maxLength={500}
+                    rows={3}
+                  />
+                  <button className="danger" onClick={handleReject} disabled={busy || rejectReason.trim().length < 3}>
+                    Reject
+                  </button>
+                </>
+              ) : (
+                <>
+                  <h2>Decision</h2>
+                  <dl className="return-requests-decision">
+                    <div><dt>Decided</dt><dd>{formatDate(selected.decided_at)}{selected.decided_by === 'auto' ? ' (auto-approved)' : ''}</dd></div>
+                    {selected.reverse_order_number && (
+                      <div><dt>Reverse order</dt><dd>{selected.reverse_order_number}</dd></div>
+                    )}
+                    {selected.rejection_reason && (
+                      <div><dt>Rejection reason</dt><dd>{selected.rejection_reason}</dd></div>
+                    )}
+                    <div><dt>Buyer notified</dt><dd>{selected.buyer_notified_at ? formatDate(selected.buyer_notified_at) : 'Not sent'}</dd></div>
+                  </dl>
+                </>
+              )}
+            </section>
+          </div>
+        </div>
+      </Layout>
+    );
+  }
+
+  return (
+    <Layout>
+      <div className="return-requests-page">
+        <div className="return-requests-header">
+          <div>
+            <h1>Returns</h1>
+            <p>
+              Buyers request returns on your returns page.
+              {policy && (policy.enabled
+                ? <> Share <a href={policy.portal_url} target="_blank" rel="noopener noreferrer">{policy.portal_url}</a> with your buyers.</>
+                : ' Turn on the returns page in the policy settings.')}
+            </p>
+          </div>
+          <div className="return-requests-actions">
+            <button className="secondary" onClick={() => setShowPolicy(!showPolicy)}>
+              {showPolicy ? 'Hide Policy' : 'Returns Policy'}
+            </button>
+          </div>
+        </div>
+
+        {error && <div className="return-requests-error">{error}</div>}
+        {notice && <div className="return-requests-notice">{notice}</div>}
+
+        {showPolicy && (
+          <form className="return-requests-card return-requests-policy" onSubmit={handleSavePolicy}>
+            <label className="return-requests-checkbox">
+              <input
+                type="checkbox"
+                checked={policyForm.enabled}
+                onChange={(e) => setPolicyForm({ ...policyForm, enabled: e.target.checked })}
+              />
+              Accept return requests on my returns page
+            </label>
+            <label>
+              Return window (days after delivery)
+              <input
+                type="number"
+                min={1}
+                max={90}
+                value={policyForm.window_days}
+                onChange={(e) => setPolicyForm({ ...policyForm, window_days: e.target.value })}
+              />
+            </label>
+            <label>
+              Non-returnable SKUs (comma separated)
+              <textarea
+                value={policyForm.non_returnable_skus}
+                onChange={(e) => setPolicyForm({ ...policyForm, non_returnable_skus: e.target.value })}
+                rows={2}
+              />
+            </label>
+            <label>
+              Maximum return value (₹) — higher requests are flagged for review
+              <input
+                type="number"
+                min={1}
+                step="0.01"
+                value={policyForm.max_return_value}
+                onChange={(e) => setPolicyForm({ ...policyForm, max_return_value: e.target.value })}
+                placeholder="No limit"
+              />
+            </label>
+            <label className="return-requests-checkbox">
+              <input
+                type="checkbox"
+                checked={policyForm.auto_approve}
+                onChange={(e) => setPolicyForm({ ...policyForm, auto_approve: e.target.checked })}
+              />
+              Approve requests automatically when no rule is broken
+            </label>
+            <div>
+              <button type="submit" disabled={busy}>Save Policy</button>
+            </div>
+          </form>
+        )}
+
+        <div className="return-requests-toolbar">
+          <div className="return-requests-tabs">
+            {(['requested', 'approved', 'rejected', 'all'] as const).map(value => (
+              <button
+                key={value}
+                className={status === value ? 'active' : ''}
+                onClick={() => { setStatus(value); setPage(1); }}
+              >
+                {value === 'all' ? 'All' : `${STATUS_LABELS[value]} (${counts[value] || 0})`}
+              </button>
+            ))}
+          </div>
+          <input
+            type="text"
+            value={search}
+            placeholder="Search return, order or buyer"
+            onChange={(e) => { setSearch(e.target.value); setPage(1); }}
+          />
+        </div>
+
+        <div className="return-requests-table-container">
+          <table className="return-requests-table">
+            <thead>
+              <tr>
+                <th>Return</th>
+                <th>Requested</th>
+                <th>Order</th>
+                <th>Buyer</th>
+                <th>Items</th>
+                <th>Reason</th>
+                <th>Value</th>
+                <th>Status</th>
+              </tr>
+            </thead>
+            <tbody>
+              {loading ? (
+                <tr><td colSpan={8} className="return-requests-empty">Loading...</td></tr>
+              ) : requests.length === 0 ? (
+                <tr><td colSpan={8} className="return-requests-empty">No return requests</td></tr>
+              ) : requests.map(request => (
+                <tr key={request._id} className="return-requests-row" onClick={() => openRequest(request)}>
+                  <td className="return-requests-number">{request.request_number}</td>
+                  <td>{formatDate(request.createdAt)}</td>
+                  <td>{request.order_number}</td>
+                  <td>{request.customer.name || '-'}</td>
+                  <td>{request.items.reduce((sum, item) => sum + item.quantity, 0)}</td>
+                  <td>{REASON_LABELS[request.reason] || request.reason}</td>
+                  <td>
+                    {formatAmount(request.return_value)}
+                    {request.rule_flags.length > 0 && <span className="return-requests-flag-dot" title="Needs review">!</span>}
+                  </td>
+                  <td><span className={`return-requests-status ${request.status}`}>{STATUS_LABELS[request.status]}</span></td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        {totalPages > 1 && (
+          <div className="return-requests-pagination">
+            <button className="secondary" onClick={() => setPage(page - 1)} disabled={page <= 1}>Previous</button>
+            <span>Page {page} of {totalPages}</span>
+            <button className="secondary" onClick={() => setPage(page + 1)} disabled={page >= totalPages}>Next</button>
+          </div>
+        )}
+      </div>
+    </Layout>
+  );
+};
+
+export default ReturnRequests;
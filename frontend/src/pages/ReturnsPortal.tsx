@@ -0,0 +1,386 @@
+import React, { useEffect, useState } from 'react';
+import { useParams } from 'react-router-dom';
+import {
+  ReturnPortal,
+  ReturnReason,
+  ReturnSession,
+  returnService
+} from '../services/returnService';
+import './ReturnsPortal.css';
+
+type Step = 'lookup' | 'otp' | 'select' | 'submitted';
+
+const MAX_PHOTOS = 5;
+
+const STATUS_LABELS: Record<string, string> = {
+  requested: 'Under review',
+  approved: 'Approved',
+  rejected: 'Not approved'
+};
+
+const formatDate = (value?: string | null) => {
+  if (!value) return '-';
+  return new Date(value).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' });
+};
+
+const formatCurrency = (amount: number) => `₹${amount.toLocaleString('en-IN', { maximumFractionDigits: 2 })}`;
+
+const getErrorMessage = (err: any, fallback: string) => {
+  if (err.response?.status === 429) return 'Too many attempts. Please try again in a few minutes.';
+  return err.response?.data?.message || fallback;
+};
+
+/**
+ * Public, seller-branded returns portal at /returns/:slug
+ */
+const ReturnsPortal: React.FC = () => {
+  const { slug = '' } = useParams<{ slug: string }>();
+  const [portal, setPortal] = useState<ReturnPortal | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [step, setStep] = useState<Step>('lookup');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [notice, setNotice] = useState<string | null>(null);
+
+  const [orderId, setOrderId] = useState('');
+  const [phone, setPhone] = useState('');
+  const [otp, setOtp] = useState('');
+  const [token, setToken] = useState('');
+  const [session, setSession] = useState<ReturnSession | null>(null);
+
+  const [quantities, setQuantities] = useState<Record<number, number>>({});
+  const [reason, setReason] = useState<ReturnReason | ''>('');
+  const [comments, setComments] = useState('');
+  const [photos, setPhotos] = useState<File[]>([]);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    returnService.getPortal(slug)
+      .then(data => {
+        if (!cancelled) setPortal(data);
+      })
+      .catch(err => {
+        if (!cancelled) setError(getErrorMessage(err, 'Could not load the returns page. Please try again.'));
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [slug]);
+
+  const handleSendOtp = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setBusy(true);
+    setError(null);
+    try {
+      const masked = await returnService.sendOtp(slug, orderId, phone);
+      setNotice(`We sent an OTP to ${masked}.`);
+      setOtp('');
+      setStep('otp');
+    } catch (err: any) {
+      setError(getErrorMessage(err, 'Could not send the OTP. Please try again.'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleVerify = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setBusy(true);
+    setError(null);
+    try {
+      const { token: sessionToken, ...data } = await returnService.verifyOtp(slug, orderId, phone, otp);
+      setToken(sessionToken);
+      setSession(data);
+      setQuantities({});
+      setReason('');
+      setComments('');
+      setPhotos([]);
+      setNotice(null);
+      setStep('select');
+    } catch (err: any) {
+      setError(getErrorMessage(err, 'Could not verify the OTP. Please try again.'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handlePhotos = (e: React.ChangeEvent<HTMLInputElement>) => {
+    const selected = Array.from(e.target.files || []);
+    setPhotos(prev => [...prev, ...selected].slice(0, MAX_PHOTOS));
+    e.target.value = '';
+  };
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!reason) return;
+    setBusy(true);
+    setError(null);
+    try {
+      const items = Object.entries(quantities)
+        .filter(([, quantity]) => quantity > 0)
+        .map(([line, quantity]) => ({ line: Number(line), quantity }));
+      const result = await returnService.submitRequest(slug, token, {
+        items,
+        reason,
+        comments: comments.trim() || undefined,
+        photos
+      });
+      setNotice(result.message);
+      setSession(await returnService.getSession(slug, token));
+      setStep('submitted');
+    } catch (err: any) {
+      if (err.response?.status === 401) {
+        setStep('lookup');
+      }
+      setError(getErrorMessage(err, 'Could not submit your return request. Please try again.'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const startOver = () => {
+    setStep('lookup');
+    setToken('');
+    setSession(null);
+    setOtp('');
+    setNotice(null);
+    setError(null);
+  };
+
+  if (loading) {
+    return (
+      <div className="returns-portal-page">
+        <div className="returns-portal-loading">Loading...</div>
+      </div>
+    );
+  }
+
+  if (!portal) {
+    return (
+      <div className="returns-portal-page">
+        <div className="returns-portal-card returns-portal-missing">
+          <h1>Returns page not found</h1>
+          <p>{error || 'Please check the link and try again.'}</p>
+        </div>
+      </div>
+    );
+  }
+
+  const { brand } = portal;
+  const brandStyle = {
+    '--brand-primary': brand.primary_color,
+    '--brand-accent': brand.accent_color
+  } as React.CSSProperties;
+  const selectedReason = portal.reasons.find(option => option.value === reason);
+  const selectedCount = Object.values(quantities).filter(quantity => quantity > 0).length;
+  const returnValue = session
+    ? session.order.items.reduce((sum, item) => sum + (quantities[item.line] || 0) * item.unit_price, 0)
+    : 0;
+  const latest = session?.latest_request;
+  const openRequest = latest?.status === 'requested';
+  const canReturn = session ? session.order.items.some(item => item.returnable_quantity > 0) : false;
+  const canSubmit = selectedCount > 0 && Boolean(reason)
+    && (!selectedReason?.photo_required || photos.length > 0)
+    && (reason !== 'other' || comments.trim().length > 0);
+
+  return (
+    <div className="returns-portal-page" style={brandStyle}>
+      <header className="returns-portal-header">
+        {brand.logo_url && <img src={brand.logo_url} alt={brand.company_name} className="returns-portal-logo" />}
+        <span className="returns-portal-name">{brand.company_name}</span>
+      </header>
+
+      <main className="returns-portal-main">
+        <section className="returns-portal-card">
+          <h1>Return an item</h1>
+          <p className="returns-portal-hint">
+            Items can be returned within {portal.window_days} days of delivery.
+          </p>
+
+          {error && <div className="returns-portal-error">{error}</div>}
+          {notice && !error && <div className="returns-portal-notice">{notice}</div>}
+
+          {step === 'lookup' && (
+            <form className="returns-portal-form" onSubmit={handleSendOtp}>
+              <label>
+                Order ID
+                <input
+                  type="text"
+                  value={orderId}
+                  onChange={(e) => setOrderId(e.target.value)}
+                  placeholder="As shown in your order confirmation"
+                  required
+                />
+              </label>
+              <label>
+                Phone number
+                <input
+                  type="tel"
+                  value={phone}
+                  onChange={(e) => setPhone(e.target.value.replace(/\D/g, '').slice(0, 10))}
+                  placeholder="10-digit number used for the order"
+                  required
+                />
+              </label>
+              <button type="submit" disabled={busy || !orderId.trim() || phone.length !== 10}>
+                {busy ? 'Sending...' : 'Send OTP'}
+              </button>
+            </form>
+          )}
+
+          {step === 'otp' && (
+            <form className="returns-portal-form" onSubmit={handleVerify}>
+              <label>
+                OTP
+                <input
+                  type="text"
+                  inputMode="numeric"
+                  value={otp}
+                  onChange={(e) => setOtp(e.target.value.replace(/\D/g, '').slice(0, 8))}
+                  placeholder="Enter the OTP"
+                  autoFocus
+                  required
+                />
+              </label>
+              <button type="submit" disabled={busy || otp.length < 4}>
+                {busy ? 'Verifying...' : 'Verify'}
+              </button>
+              <button type="button" className="returns-portal-link" onClick={startOver}>
+                Change order or phone
+              </button>
+            </form>
+          )}
+
+          {session && (step === 'select' || step === 'submitted') && (
+            <div className="returns-portal-order">
+              <dl className="returns-portal-details">
+                <div><dt>Order ID</dt><dd>{session.order.order_id}</dd></div>
+                <div><dt>Delivered on</dt><dd>{formatDate(session.order.delivered_at)}</dd></div>
+                <div><dt>Return by</dt><dd>{formatDate(session.order.return_by)}</dd></div>
+              </dl>
+
+              {latest && (
+                <div className={`returns-portal-status ${latest.status}`}>
+                  <strong>Return {latest.request_number}: {STATUS_LABELS[latest.status]}</strong>
+                  <span>
+                    Requested on {formatDate(latest.createdAt)} · {latest.items.length} item{latest.items.length === 1 ? '' : 's'} · {formatCurrency(latest.return_value)}
+                  </span>
+                  {latest.status === 'approved' && <span>A courier will collect the items from your delivery address.</span>}
+                  {latest.status === 'rejected' && latest.rejection_reason && <span>Reason: {latest.rejection_reason}</span>}
+                </div>
+              )}
+
+              {step === 'select' && !openRequest && canReturn && (
+                <form className="returns-portal-form" onSubmit={handleSubmit}>
+                  <h2>Choose items</h2>
+                  <ul className="returns-portal-items">
+                    {session.order.items.map(item => (
+                      <li key={item.line} className={item.returnable_quantity === 0 ? 'disabled' : ''}>
+                        <div>
+                          <strong>{item.product_name}</strong>
+                          <span>
+                            {item.sku ? `SKU ${item.sku} · ` : ''}{formatCurrency(item.unit_price)} × {item.quantity}
+                          </span>
+                          {item.not_returnable_reason && <em>{item.not_returnable_reason}</em>}
+                        </div>
+                        {item.returnable_quantity > 0 && (
+                          <select
+                            value={quantities[item.line] || 0}
+                            onChange={(e) => setQuantities(prev => ({ ...prev, [item.line]: Number(e.target.value) }))}
+                          >
+                            {Array.from({ length: item.returnable_quantity + 1 }, (_, quantity) => (
+                              <option key={quantity} value={quantity}>
+                                {quantity === 0 ? 'Keep' : `Return ${quantity}`}
+                              </option>
+                            ))}
+                          </select>
+                        )}
+                      </li>
+                    ))}
+                  </ul>
+
+                  <label>
+                    Reason
+                    <select value={reason} onChange={(e) => setReason(e.target.value as ReturnReason | '')} required>
+                      <option value="">Select a reason</option>
+                      {portal.reasons.map(option => (
+                        <option key={option.value} value={option.value}>{option.label}</option>
+                      ))}
+                    </select>
+                  </label>
+
+                  <label>
+                    Comments{reason === 'other' ? '' : ' (optional)'}
+                    <textarea
+                      value={comments}
+                      onChange={(e) => setComments(e.target.value)}
+                      maxLength={500}
+                      rows={3}
+                      placeholder="Tell us more about the problem"
+                    />
+                  </label>
+
+                  <div className="returns-portal-photos">
+                    <span>
+                      Photos{selectedReason?.photo_required ? ' (required)' : ' (optional)'} · up to {MAX_PHOTOS}
+                    </span>
+                    {photos.length > 0 && (
+                      <ul>
+                        {photos.map((photo, index) => (
+                          <li key={`${photo.name}-${index}`}>
+                            {photo.name}
+                            <button type="button" onClick={() => setPhotos(prev => prev.filter((_, i) => i !== index))}>
+                              Remove
+                            </button>
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                    {photos.length < MAX_PHOTOS && (
+                      <input type="file" accept="image/jpeg,image/png,image/webp" multiple onChange={handlePhotos} />
+                    )}
+                  </div>
+
+                  {selectedCount > 0 && (
+                    <p className="returns-portal-total">Return value: <strong>{formatCurrency(returnValue)}</strong></p>
+                  )}
+
+                  <button type="submit" disabled={busy || !canSubmit}>
+                    {busy ? 'Submitting...' : 'Request return'}
+                  </button>
+                </form>
+              )}
+
+              {step === 'select' && !openRequest && !canReturn && (
+                <p className="returns-portal-hint">There are no items left on this order that can be returned.</p>
+              )}
+
+              <button type="button" className="returns-portal-link" onClick={startOver}>
+                Return items from another order
+              </button>
+            </div>
+          )}
+        </section>
+
+        {(brand.support.email || brand.support.phone) && (
+          <section className="returns-portal-card returns-portal-support">
+            <h2>Need help?</h2>
+            <p>Contact {brand.company_name} about your return.</p>
+            <div className="returns-portal-support-links">
+              {brand.support.phone && <a href={`tel:${brand.support.phone}`}>{brand.support.phone}</a>}
+              {brand.support.email && <a href={`mailto:${brand.support.email}`}>{brand.support.email}</a>}
+            </div>
+          </section>
+        )}
+      </main>
+
+      <footer className="returns-portal-footer">Powered by Shipsarthi</footer>
+    </div>
+  );
+};
+
+export default ReturnsPortal;
@@ -0,0 +1,166 @@
+import React, { useEffect, useState } from 'react';
+import Layout from '../components/Layout';
+import {
+  RTO_RISK_ACTION_LABELS,
+  RtoRiskAction,
+  RtoRiskBand,
+  RtoRiskSettings as Settings,
+  rtoRiskService
+} from '../services/rtoRiskService';
+import './RtoRiskSettings.css';
+
+const BANDS: RtoRiskBand[] = ['low', 'medium', 'high'];
+
+const ACTION_HINTS: Record<RtoRiskAction, string> = {
+  ship: 'The order is created and shipped as usual.',
+  hold: 'The order waits without an AWB until you verify the buyer on the Orders page.',
+  force_prepaid: 'The order waits without an AWB until you convert it to prepaid on the Orders page.'
+};
+
+const getErrorMessage = (err: any, fallback: string) => err.response?.data?.message || err.message || fallback;
+
+/**
+ * COD RTO risk: where the medium and high bands start, and what happens to
+ * new COD orders in each band
+ */
+const RtoRiskSettings: React.FC = () => {
+  const [settings, setSettings] = useState<Settings | null>(null);
+  const [form, setForm] = useState<Settings | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [notice, setNotice] = useState<string | null>(null);
+
+  const applySettings = (data: Settings) => {
+    setSettings(data);
+    setForm({ ...data, actions: { ...data.actions } });
+  };
+
+  useEffect(() => {
+    const fetchSettings = async () => {
+      try {
+        applySettings(await rtoRiskService.getSettings());
+      } catch (err: any) {
+        setError(getErrorMessage(err, 'Failed to load RTO risk settings'));
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchSettings();
+  }, []);
+
+  const handleSave = async () => {
+    if (!form) return;
+    setSaving(true);
+    setError(null);
+    setNotice(null);
+    try {
+      applySettings(await rtoRiskService.updateSettings(form));
+      setNotice('RTO risk settings saved');
+    } catch (err: any) {
+      setError(getErrorMessage(err, 'Failed to save RTO risk settings'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading || !settings || !form) {
+    return (
+      <Layout>
+        <div className="rto-risk-settings">
+          {loading ? <div className="rrs-loading">Loading...</div> : error && <div className="rrs-error">{error}</div>}
+        </div>
+      </Layout>
+    );
+  }
+
+  const ranges: Record<RtoRiskBand, string> = {
+    low: `0 – ${form.medium_from - 1}`,
+    medium: `${form.medium_from} – ${form.high_from - 1}`,
+    high: `${form.high_from} – 100`
+  };
+
+  return (
+    <Layout>
+      <div className="rto-risk-settings">
+        <div className="rrs-header">
+          <div>
+            <h1>RTO Risk</h1>
+            <p>
+              Every new COD order gets a score from 0 to 100 based on the buyer's past deliveries, the pincode, the address,
+              the order value and when it was placed. Choose what happens to orders in each band.
+            </p>
+          </div>
+          <div className="rrs-actions">
+            <button className="secondary" onClick={() => applySettings(settings)} disabled={saving}>Reset</button>
+            <button onClick={handleSave} disabled={saving}>{saving ? 'Saving...' : 'Save'}</button>
+          </div>
+        </div>
+
+        {error && <div className="rrs-error">{error}</div>}
+        {notice && <div className="rrs-notice">{notice}</div>}
+
+        <section className="rrs-card">
+          <h2>Bands</h2>
+          <div className="rrs-row">
+            <label>
+              Medium risk from
+              <input
+                type="number"
+                min={1}
+                max={99}
+                value={form.medium_from}
+                onChange={(e) => setForm({ ...form, medium_from: parseInt(e.target.value) || 0 })}
+              />
+            </label>
+            <label>
+              High risk from
+              <input
+                type="number"
+                min={2}
+                max={100}
+                value={form.high_from}
+                onChange={(e) => setForm({ ...form, high_from: parseInt(e.target.value) || 0 })}
+              />
+            </label>
+          </div>
+        </section>
+
+        <section className="rrs-card">
+          <h2>Actions</h2>
+          <table className="rrs-table">
+            <thead>
+              <tr>
+                <th>Band</th>
+                <th>Score</th>
+                <th>Action</th>
+              </tr>
+            </thead>
+            <tbody>
+              {BANDS.map(band => (
+                <tr key={band}>
+                  <td><span className={`rto-risk-badge ${band}`}>{band}</span></td>
+                  <td>{ranges[band]}</td>
+                  <td>
+                    <select
+                      value={form.actions[band]}
+                      onChange={(e) => setForm({ ...form, actions: { ...form.actions, [band]: e.target.value as RtoRiskAction } })}
+                    >
+                      {(Object.keys(RTO_RISK_ACTION_LABELS) as RtoRiskAction[]).map(action => (
+                        <option key={action} value={action}>{RTO_RISK_ACTION_LABELS[action]}</option>
+                      ))}
+                    </select>
+                    <small>{ACTION_HINTS[form.actions[band]]}</small>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <small>Held orders still have their shipping charges taken when they are created. Prepaid orders are not scored.</small>
+        </section>
+      </div>
+    </Layout>
+  );
+};
+
+export default RtoRiskSettings;
@@ -0,0 +1,312 @@
+import React, { useEffect, useRef, useState } from 'react';
+import Layout from '../components/Layout';
+import {
+  TrackingPageSettings as Settings,
+  trackingPageService
+} from '../services/trackingPageService';
+import './TrackingPageSettings.css';
+
+interface FormState {
+  slug: string;
+  primary_color: string;
+  accent_color: string;
+  support_email: string;
+  support_phone: string;
+  website_url: string;
+  banner_title: string;
+  banner_link_url: string;
+  notify_buyers: boolean;
+}
+
+const toForm = (settings: Settings): FormState => ({
+  slug: settings.slug || '',
+  primary_color: settings.primary_color,
+  accent_color: settings.accent_color,
+  support_email: settings.support_email || '',
+  support_phone: settings.support_phone || '',
+  website_url: settings.website_url || '',
+  banner_title: settings.banner.title || '',
+  banner_link_url: settings.banner.link_url || '',
+  notify_buyers: settings.notify_buyers
+});
+
+const getErrorMessage = (err: any, fallback: string) => err.response?.data?.message || err.message || fallback;
+
+const TrackingPageSettings: React.FC = () => {
+  const [settings, setSettings] = useState<Settings | null>(null);
+  const [form, setForm] = useState<FormState | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [uploading, setUploading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [notice, setNotice] = useState<string | null>(null);
+  const bannerInputRef = useRef<HTMLInputElement>(null);
+
+  const applySettings = (data: Settings) => {
+    setSettings(data);
+    setForm(toForm(data));
+  };
+
+  const fetchSettings = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      applySettings(await trackingPageService.getSettings());
+    } catch (err: any) {
+      setError(getErrorMessage(err, 'Failed to load tracking page settings'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchSettings();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  const updateField = <K extends keyof FormState>(field: K, value: FormState[K]) => {
+    setForm(prev => (prev ? { ...prev, [field]: value } : prev));
+  };
+
+  const handleSave = async () => {
+    if (!form) return;
+    setSaving(true);
+    setError(null);
+    setNotice(null);
+    try {
+      applySettings(await trackingPageService.updateSettings(form));
+      setNotice('Tracking page saved');
+    } catch (err: any) {
+      setError(getErrorMessage(err, 'Failed to save tracking page'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleBannerChange = async (e: React.ChangeEvent<HTMLInputElement>) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setUploading(true);
+    setError(null);
+    setNotice(null);
+    try {
+      const data = await trackingPageService.uploadBanner(file);
+      // Keep unsaved edits to the other fields
+      setSettings(data);
+      setNotice('Banner uploaded');
+    } catch (err: any) {
+      setError(getErrorMessage(err, 'Failed to upload banner'));
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleRemoveBanner = async () => {
+    setUploading(true);
+    setError(null);
+    setNotice(null);
+    try {
+      setSettings(await trackingPageService.removeBanner());
+      setNotice('Banner removed');
+    } catch (err: any) {
+      setError(getErrorMessage(err, 'Failed to remove banner'));
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleCopy = async () => {
+    if (!settings) return;
+    try {
+      await navigator.clipboard.writeText(settings.page_url);
+      setNotice('Page link copied');
+    } catch {
+      setError('Could not copy the link');
+    }
+  };
+
+  if (loading || !settings || !form) {
+    return (
+      <Layout>
+        <div className="tracking-page-settings">
+          {loading ? <div className="tps-loading">Loading...</div> : error && <div className="tps-error">{error}</div>}
+        </div>
+      </Layout>
+    );
+  }
+
+  const previewStyle = {
+    '--brand-primary': form.primary_color,
+    '--brand-accent': form.accent_color
+  } as React.CSSProperties;
+  const pageBase = settings.page_url.slice(0, settings.page_url.lastIndexOf('/') + 1);
+
+  return (
+    <Layout>
+      <div className="tracking-page-settings">
+        <div className="tps-header">
+          <div>
+            <h1>Tracking Page</h1>
+            <p>Your buyers track their orders on a page with your logo and colours. The link is printed on labels and sent to buyers at pickup.</p>
+          </div>
+          <div className="tps-actions">
+            <button className="secondary" onClick={() => applySettings(settings)} disabled={saving}>Reset</button>
+            <button onClick={handleSave} disabled={saving}>{saving ? 'Saving...' : 'Save'}</button>
+          </div>
+        </div>
+
+        {error && <div className="tps-error">{error}</div>}
+        {notice && <div className="tps-notice">{notice}</div>}
+
+        <div className="tps-content">
+          <div className="tps-form">
+            <section>
+              <h2>Page address</h2>
+              <div className="tps-url">
+                <a href={settings.page_url} target="_blank" rel="noopener noreferrer">{settings.page_url}</a>
+                <button className="secondary" onClick={handleCopy}>Copy</button>
+              </div>
+              <label>
+                Custom address
+                <div className="tps-slug">
+                  <span>{pageBase}</span>
+                  <input
+                    type="text"
+                    value={form.slug}
+                    placeholder={settings.default_slug}
+                    onChange={(e) => updateField('slug', e.target.value.toLowerCase())}
+                  />
+                </div>
+                <small>Lowercase letters, numbers and hyphens. Links with /track/{settings.default_slug} keep working.</small>
+              </label>
+            </section>
+
+            <section>
+              <h2>Colours</h2>
+              <div className="tps-row">
+                <label>
+                  Primary
+                  <input type="color" value={form.primary_color} onChange={(e) => updateField('primary_color', e.target.value)} />
+                </label>
+                <label>
+                  Accent
+                  <input type="color" value={form.accent_color} onChange={(e) => updateField('accent_color', e.target.value)} />
+                </label>
+              </div>
+              <small>The logo is your label logo. Change it in Manage Label.</small>
+            </section>
+
+            <section>
+              <h2>Support contact</h2>
+              <div className="tps-row">
+                <label>
+                  Email
+                  <input type="email" value={form.support_email} onChange={(e) => updateField('support_email', e.target.value)} />
+                </label>
+                <label>
+                  Phone
+                  <input type="tel" value={form.support_phone} onChange={(e) => updateField('support_phone', e.target.value)} />
+                </label>
+              </div>
+              <label>
+                Website
+                <input
+                  type="url"
+                  value={form.website_url}
+                  placeholder="https://"
+                  onChange={(e) => updateField('website_url', e.target.value)}
+                />
+              </label>
+            </section>
+
+            <section>
+              <h2>Promotional banner</h2>
+              <div className="tps-banner-upload">
+                {settings.banner.image_url
+                  ? <img src={settings.banner.image_url} alt="Banner" />
+                  : <span className="tps-banner-empty">No banner image</span>}
+                <div className="tps-banner-actions">
+                  <button className="secondary" onClick={() => bannerInputRef.current?.click()} disabled={uploading}>
+                    {uploading ? 'Uploading...' : settings.banner.image_url ? 'Replace Image' : 'Upload Image'}
+                  </button>
+                  {settings.banner.image_url && (
+                    <button className="secondary" onClick={handleRemoveBanner} disabled={uploading}>Remove</button>
+                  )}
+                </div>
+                <input
+                  ref={bannerInputRef}
+                  type="file"
+                  accept="image/jpeg,image/png,image/webp"
+                  onChange={handleBannerChange}
+                  hidden
+                />
+              </div>
+              <label>
+                Banner text
+                <input
+                  type="text"
+                  maxLength={120}
+                  value={form.banner_title}
+                  placeholder="e.g. Get 10% off your next order with code THANKS10"
+                  onChange={(e) => updateField('banner_title', e.target.value)}
+                />
+              </label>
+              <label>
+                Banner link
+                <input
+                  type="url"
+                  value={form.banner_link_url}
+                  placeholder="https://"
+                  onChange={(e) => updateField('banner_link_url', e.target.value)}
+                />
+              </label>
+            </section>
+
+            <section>
+              <label className="tps-checkbox">
+                <input
+                  type="checkbox"
+                  checked={form.notify_buyers}
+                  onChange={(e) => updateField('notify_buyers', e.target.checked)}
+                />
+                Send buyers the tracking link by SMS, WhatsApp and email when the shipment is picked up
+              </label>
+            </section>
+          </div>
+
+          <div className="tps-preview" style={previewStyle}>
+            <h2>Preview</h2>
+            <div className="tps-preview-page">
+              <div className="tps-preview-header">
+                {settings.branding.logo_url && <img src={settings.branding.logo_url} alt="Logo" />}
+                <span>{settings.branding.company_name}</span>
+              </div>
+              <div className="tps-preview-body">
+                <span className="tps-preview-label">Status</span>
+                <strong className="tps-preview-status">In transit</strong>
+                <div className="tps-preview-steps">
+                  <span className="done" /><span className="done" /><span /><span />
+                </div>
+                {(settings.banner.image_url || form.banner_title) && (
+                  <div className="tps-preview-banner">
+                    {settings.banner.image_url && <img src={settings.banner.image_url} alt="Banner" />}
+                    {form.banner_title && <span>{form.banner_title}</span>}
+                  </div>
+                )}
+                {(form.support_email || form.support_phone) && (
+                  <div className="tps-preview-support">
+                    Need help? {[form.support_phone, form.support_email].filter(Boolean).join(' · ')}
+                  </div>
+                )}
+              </div>
+            </div>
+          </div>
+        </div>
+      </div>
+    </Layout>
+  );
+};
+
+export default TrackingPageSettings;
@@ -1,7 +1,8 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import Layout from '../components/Layout';
-import { warehouseService, Warehouse } from '../services/warehouseService';
+import PickupScheduleModal from '../components/PickupScheduleModal';
+import { warehouseService, Warehouse, PickupSchedule } from '../services/warehouseService';
 import { DataCache } from '../utils/dataCache';
 import './WarehouseManagement.css';
 
@@ -13,6 +14,7 @@ const WarehouseManagement: React.FC = () => {
   const [searchTerm, setSearchTerm] = useState('');
   const [filterStatus, setFilterStatus] = useState<'all' | 'active' | 'inactive'>('all');
   const [isUsingCache, setIsUsingCache] = useState(false);
+  const [scheduleWarehouse, setScheduleWarehouse] = useState<Warehouse | null>(null);
 
   useEffect(() => {
     fetchWarehouses();
@@ -108,6 +110,27 @@ const WarehouseManagement: React.FC = () => {
     }
   };
 
+  const handleScheduleSaved = (schedule: PickupSchedule) => {
+    if (!scheduleWarehouse) return;
+    const updatedWarehouses = warehouses.map(w => (
+      w._id === scheduleWarehouse._id
+        ? {
+            ...w,
+            pickup_schedule: {
+              enabled: schedule.enabled,
+              days: schedule.days,
+              slot_time: schedule.slot_time,
+              expected_package_count: schedule.expected_package_count || undefined,
+              holidays: schedule.holidays
+            }
+          }
+        : w
+    ));
+    setWarehouses(updatedWarehouses);
+    DataCache.set('warehouses', updatedWarehouses, 30 * 60 * 1000);
+    setScheduleWarehouse(null);
+  };
+
   const filteredWarehouses = warehouses.filter(warehouse => {
     const matchesSearch = warehouse.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
                          warehouse.title.toLowerCase().includes(searchTerm.toLowerCase()) ||
@@ -282,6 +305,15 @@ const WarehouseManagement: React.FC = () => {
                         <span className="detail-value">{warehouse.gstin}</span>
                       </div>
                     )}
+                    {warehouse.pickup_schedule?.enabled && (
+                      <div className="detail-row">
+                        <span className="detail-label">Auto Pickup:</span>
+                        <span className="detail-value">
+                          {(warehouse.pickup_schedule.days?.length ? warehouse.pickup_schedule.days : warehouse.business_days || []).join(', ')}
+                          {' at '}{(warehouse.pickup_schedule.slot_time || '11:00:00').slice(0, 5)}
+                        </span>
+                      </div>
+                    )}
                   </div>
 
                   <div className="warehouse-actions">
@@ -299,6 +331,17 @@ const WarehouseManagement: React.FC = () => {
                         Set as Default
                       </button>
                     )}
+                    <button
+                      className="action-btn pickup-schedule-btn"
+                      style={{
+                        ...baseActionButtonStyle,
+                        border: '1px solid #fed7aa',
+                        color: '#c2410c'
+                      }}
+                      onClick={() => setScheduleWarehouse(warehouse)}
+                    >
+                      Pickup Schedule
+                    </button>
                     <button
                       className="action-btn edit-btn"
                       style={{
@@ -339,6 +382,14 @@ const WarehouseManagement: React.FC = () => {
           </div>
         )}
       </div>
+
+      {scheduleWarehouse && (
+        <PickupScheduleModal
+          warehouse={scheduleWarehouse}
+          onClose={() => setScheduleWarehouse(null)}
+          onSaved={handleScheduleSaved}
+        />
+      )}
     </Layout>
   );
 };
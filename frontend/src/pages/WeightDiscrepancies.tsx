@@ -1,7 +1,7 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import Layout from '../components/Layout';
+import WeightDisputeModal from '../components/WeightDisputeModal';
 import { environmentConfig } from '../config/environment';
-import { ticketService } from '../services/ticketService';
 import './WeightDiscrepancies.css';
 
 interface WeightDiscrepancy {
@@ -10,6 +10,10 @@ interface WeightDiscrepancy {
   order_id: {
     _id: string;
     order_id: string;
+    package_info?: {
+      weight_photo_url?: string;
+      dimensions_photo_url?: string;
+    };
   };
   discrepancy_date: string;
   awb_status: string;
@@ -22,18 +26,47 @@ interface WeightDiscrepancy {
     transaction_id: string;
     amount: number;
   };
+  dispute_status: DisputeStatus;
+  dispute_deadline: string;
+  can_dispute: boolean;
+  dispute?: {
+    raised_at?: string;
+    actual_weight?: number;
+    admin_comment?: string;
+    refund_amount?: number;
+    refund_method?: 'wallet' | 'billing_cycle' | 'credit_note' | 'none';
+    credit_note_number?: string;
+    refund_transaction_id?: {
+      transaction_id: string;
+      amount: number;
+    };
+  };
 }
 
+type DisputeStatus = 'not_raised' | 'open' | 'accepted' | 'rejected' | 'closed';
+
+const DISPUTE_STATUS_LABELS: Record<DisputeStatus, string> = {
+  not_raised: 'Not raised',
+  open: 'Under review',
+  accepted: 'Accepted',
+  rejected: 'Rejected',
+  closed: 'Closed'
+};
+
 interface Summary {
   total_discrepancies: number;
   total_weight_discrepancy: number;
   total_deduction: number;
+  open_disputes: number;
+  total_refunded: number;
 }
 
 const INITIAL_SUMMARY: Summary = {
   total_discrepancies: 0,
   total_weight_discrepancy: 0,
-  total_deduction: 0
+  total_deduction: 0,
+  open_disputes: 0,
+  total_refunded: 0
 };
 
 const createInitialSummary = (): Summary => ({
@@ -50,11 +83,13 @@ const WeightDiscrepancies: React.FC = () => {
   const [limit, setLimit] = useState(25);
   const [search, setSearch] = useState('');
   const [status, setStatus] = useState('all');
+  const [disputeStatus, setDisputeStatus] = useState('all');
   const [total, setTotal] = useState(0);
+  const [windowDays, setWindowDays] = useState<number | null>(null);
   
-  // Ticket creation state
-  const [raisingIssue, setRaisingIssue] = useState<string | null>(null);
-  const [ticketMessage, setTicketMessage] = useState<{ type: 'success' | 'error'; text: string } | null>(null);
+  // Dispute state
+  const [disputing, setDisputing] = useState<WeightDiscrepancy | null>(null);
+  const [notice, setNotice] = useState<{ type: 'success' | 'error'; text: string } | null>(null);
 
   const fetchDiscrepancies = useCallback(async () => {
     setLoading(true);
@@ -64,6 +99,7 @@ const WeightDiscrepancies: React.FC = () => {
       params.append('limit', limit.toString());
       if (search) params.append('search', search);
       if (status !== 'all') params.append('status', status);
+      if (disputeStatus !== 'all') params.append('dispute_status', disputeStatus);
 
       const response = await fetch(`${environmentConfig.apiUrl}/weight-discrepancies?${params}`, {
         headers: {
@@ -76,13 +112,14 @@ const WeightDiscrepancies: React.FC = () => {
         setDiscrepancies(data.data.discrepancies || []);
         setSummary(data.data.summary || createInitialSummary());
         setTotal(data.data.pagination.total || 0);
+        setWindowDays(data.data.dispute_window_days || null);
       }
     } catch (error) {
       console.error('Error fetching discrepancies:', error);
     } finally {
       setLoading(false);
     }
-  }, [page, limit, search, status]);
+  }, [page, limit, search, status, disputeStatus]);
 
   useEffect(() => {
     fetchDiscrepancies();
@@ -116,52 +153,51 @@ const WeightDiscrepancies: React.FC = () => {
     return `${date.toLocaleDateString('en-GB', { day: '2-digit', month: 'short', year: 'numeric' })} ${date.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', hour12: true })}`;
   };
 
-  const handleRaiseIssue = async (discrepancy: WeightDiscrepancy) => {
-    setRaisingIssue(discrepancy._id);
-    setTicketMessage(null);
-    
-    try {
-      const description = `Weight Discrepancy Issue for AWB: ${discrepancy.awb_number}
-
-Order ID: ${discrepancy.order_id?.order_id || 'N/A'}
-AWB Number: ${discrepancy.awb_number}
-AWB Status: ${discrepancy.awb_status}
-Discrepancy Date: ${formatDate(discrepancy.discrepancy_date)}
-
-Weight Details:
-- Declared Weight: ${discrepancy.client_declared_weight.toFixed(2)} g
-- Actual Weight: ${discrepancy.delhivery_updated_weight.toFixed(2)} g
-- Weight Difference: ${discrepancy.weight_discrepancy.toFixed(2)} g
-
-Deduction Amount: ₹${discrepancy.deduction_amount.toFixed(2)}
-Transaction ID: ${discrepancy.transaction_id?.transaction_id || 'N/A'}
-
-I would like to dispute this weight discrepancy and the associated deduction. Please review and resolve this issue.`;
+  const handleDisputeSubmitted = (message: string) => {
+    setDisputing(null);
+    setNotice({ type: 'success', text: message });
+    fetchDiscrepancies();
 
-      await ticketService.createTicket({
-        category: 'shipment_dispute',
-        awb_numbers: [discrepancy.awb_number],
-        comment: description
-      });
+    // Clear message after 5 seconds
+    setTimeout(() => {
+      setNotice(null);
+    }, 5000);
+  };
 
-      setTicketMessage({ type: 'success', text: 'Issue raised successfully! Ticket created and sent to admin.' });
-      
-      // Clear message after 5 seconds
-      setTimeout(() => {
-        setTicketMessage(null);
-      }, 5000);
-    } catch (error: any) {
-      console.error('Error raising issue:', error);
-      const errorMessage = error.response?.data?.message || error.message || 'Failed to raise issue. Please try again.';
-      setTicketMessage({ type: 'error', text: errorMessage });
-      
-      // Clear error message after 5 seconds
-      setTimeout(() => {
-        setTicketMessage(null);
-      }, 5000);
-    } finally {
-      setRaisingIssue(null);
+  const renderDispute = (disc: WeightDiscrepancy) => {
+    if (disc.can_dispute) {
+      return (
+        <>
+          <button
+            className="raise-issue-btn"
+            onClick={() => setDisputing(disc)}
+            title="Dispute this weight discrepancy charge"
+          >
+            Raise Dispute
+          </button>
+          <div className="dispute-note">by {formatDate(disc.dispute_deadline)}</div>
+        </>
+      );
     }
+
+    const refund = disc.dispute?.refund_amount || 0;
+    return (
+      <>
+        <span className={`dispute-badge ${disc.dispute_status}`}>
+          {DISPUTE_STATUS_LABELS[disc.dispute_status] || disc.dispute_status}
+        </span>
+        {disc.dispute_status === 'accepted' && refund > 0 && (
+          <div className="dispute-note">
+            ₹{refund.toFixed(2)} {disc.dispute?.refund_method === 'credit_note'
+              ? `credited on ${disc.dispute.credit_note_number || 'invoice'}`
+              : disc.dispute?.refund_method === 'billing_cycle' ? 'removed from your bill' : 'refunded to wallet'}
+          </div>
+        )}
+        {disc.dispute?.admin_comment && ['accepted', 'rejected'].includes(disc.dispute_status) && (
+          <div className="dispute-note" title={disc.dispute.admin_comment}>{disc.dispute.admin_comment}</div>
+        )}
+      </>
+    );
   };
 
   return (
@@ -192,12 +228,34 @@ I would like to dispute this weight discrepancy and the associated deduction. Pl
               <div className="summary-card-value red">₹{summary.total_deduction.toFixed(2)}</div>
             </div>
           </div>
+
+          <div className="summary-card">
+            <div className="summary-card-icon">📝</div>
+            <div className="summary-card-content">
+              <div className="summary-card-label">Disputes Under Review</div>
+              <div className="summary-card-value">{summary.open_disputes}</div>
+            </div>
+          </div>
+
+          <div className="summary-card">
+            <div className="summary-card-icon">↩️</div>
+            <div className="summary-card-content">
+              <div className="summary-card-label">Refunded on Disputes</div>
+              <div className="summary-card-value green">₹{summary.total_refunded.toFixed(2)}</div>
+            </div>
+          </div>
         </div>
 
-        {/* Ticket Message */}
-        {ticketMessage && (
-          <div className={`ticket-message ${ticketMessage.type}`}>
-            {ticketMessage.text}
+        {windowDays && (
+          <p className="dispute-window-info">
+            Charged for the wrong weight? Raise a dispute with photos of the package within {windowDays} days of the charge.
+          </p>
+        )}
+
+        {/* Dispute Message */}
+        {notice && (
+          <div className={`ticket-message ${notice.type}`}>
+            {notice.text}
           </div>
         )}
 
@@ -226,6 +284,21 @@ I would like to dispute this weight discrepancy and the associated deduction. Pl
               <option value="NDR">NDR</option>
             </select>
           </div>
+
+          <div className="filter-group">
+            <select
+              value={disputeStatus}
+              onChange={(e) => setDisputeStatus(e.target.value)}
+              className="filter-select"
+            >
+              <option value="all">All Disputes</option>
+              <option value="not_raised">Not raised</option>
+              <option value="open">Under review</option>
+              <option value="accepted">Accepted</option>
+              <option value="rejected">Rejected</option>
+              <option value="closed">Closed</option>
+            </select>
+          </div>
         </div>
 
         {/* Discrepancies Table */}
@@ -248,7 +321,7 @@ I would like to dispute this weight discrepancy and the associated deduction. Pl
                   <th>DIFFERENCE</th>
                   <th>DEDUCTION AMOUNT</th>
                   <th>TRANSACTION ID</th>
-                  <th>ACTION</th>
+                  <th>DISPUTE</th>
                 </tr>
               </thead>
               <tbody>
@@ -278,16 +351,7 @@ I would like to dispute this weight discrepancy and the associated deduction. Pl
                       <td className="diff-cell">{disc.weight_discrepancy.toFixed(2)} g</td>
                       <td className="deduction-cell">-₹{disc.deduction_amount.toFixed(2)}</td>
                       <td className="transaction-id">{disc.transaction_id?.transaction_id || 'N/A'}</td>
-                      <td>
-                        <button
-                          className="raise-issue-btn"
-                          onClick={() => handleRaiseIssue(disc)}
-                          disabled={raisingIssue === disc._id}
-                          title="Raise issue for this weight discrepancy"
-                        >
-                          {raisingIssue === disc._id ? 'Raising...' : 'Raise Issue'}
-                        </button>
-                      </td>
+                      <td>{renderDispute(disc)}</td>
                     </tr>
                   ))
                 )}
@@ -338,6 +402,14 @@ I would like to dispute this weight discrepancy and the associated deduction. Pl
           </div>
         )}
       </div>
+
+      {disputing && (
+        <WeightDisputeModal
+          discrepancy={disputing}
+          onClose={() => setDisputing(null)}
+          onSubmitted={handleDisputeSubmitted}
+        />
+      )}
     </Layout>
   );
 };
@@ -1,5 +1,13 @@
 import { apiService } from './api';
 import { environmentConfig } from '../config/environment';
+import { AdminProfile, AdminSessionData, getAdminToken } from '../utils/adminSession';
+import {
+  CodReconciliationReport,
+  EarlyCodPayoutMode,
+  EarlyCodPlan,
+  EarlyCodSummary,
+  RemittanceReconciliation
+} from './remittanceService';
 
 export interface AdminClient {
   _id: string;
@@ -31,6 +39,171 @@ export interface AdminClient {
   };
 }
 
+export interface AdminAccountHold {
+  active: boolean;
+  source?: 'overdue_invoice' | 'manual';
+  reason?: string;
+  invoice_ids?: string[];
+  placed_at?: string;
+  placed_by?: string;
+  released_at?: string;
+  released_by?: string;
+}
+
+export interface AdminUnpaidInvoice {
+  _id: string;
+  invoice_number: string;
+  invoice_date: string;
+  due_date: string;
+  payment_status: 'pending' | 'partially_paid' | 'overdue';
+  amounts: { grand_total: number };
+  amount_paid: number;
+  balance_due: number;
+}
+
+export interface AdminCreditTerms {
+  billing_mode: 'prepaid' | 'postpaid';
+  credit_limit: number;
+  payment_terms_days: number;
+  wallet_balance: number;
+  account_hold?: AdminAccountHold;
+  exposure: {
+    unbilled: number;
+    outstanding: number;
+    total: number;
+  };
+  available_credit: number;
+  unpaid_invoices: AdminUnpaidInvoice[];
+}
+
+export type AdminInvoiceNoteType = 'credit_note' | 'debit_note';
+export type AdminNoteSettlement = 'wallet' | 'invoice' | 'none';
+
+export interface AdminInvoiceNote {
+  _id: string;
+  note_type: AdminInvoiceNoteType;
+  note_number: string;
+  note_date: string;
+  invoice_id: string;
+  invoice_number: string;
+  reason_code: string;
+  reason: string;
+  line_items: Array<{
+    description: string;
+    awb_number?: string;
+    internal_order_id?: string;
+    amount: number;
+  }>;
+  amounts: {
+    taxable_value: number;
+    total_tax: number;
+    total: number;
+  };
+  wallet_effect: {
+    settlement: AdminNoteSettlement;
+    amount: number;
+  };
+  status: 'issued' | 'cancelled';
+  issued_by?: string;
+}
+
+export interface AdminNoteInvoice {
+  _id: string;
+  invoice_number: string;
+  invoice_date: string;
+  payment_status: string;
+  amounts: { grand_total: number };
+  amount_paid: number;
+  balance_due: number;
+  note_adjustment: number;
+}
+
+export interface AdminClientNotesResponse {
+  notes: AdminInvoiceNote[];
+  pagination: {
+    current_page: number;
+    total_pages: number;
+    total_count: number;
+    per_page: number;
+  };
+  invoices: AdminNoteInvoice[];
+}
+
+export type BillingCycleStatus = 'open' | 'closed' | 'invoiced' | 'void';
+
+export interface BillingCycleLateCharge {
+  _id: string;
+  type: 'weight_discrepancy' | 'rto';
+  internal_order_id?: string;
+  awb_number?: string;
+  amount: number;
+  description?: string;
+  settled_from_wallet: boolean;
+  applied_at: string;
+}
+
+export interface AdminBillingCycle {
+  _id: string;
+  cycle_id: string;
+  client: {
+    _id: string;
+    client_id: string;
+    company_name: string;
+    email: string;
+    billing_mode: 'prepaid' | 'postpaid';
+  } | null;
+  period_display: string;
+  start_date: string;
+  end_date: string;
+  status: BillingCycleStatus;
+  summary: {
+    total_orders: number;
+    estimated_total: number;
+    total_rto_charges: number;
+  };
+  late_charges: BillingCycleLateCharge[];
+  late_charges_total: number;
+  invoice: {
+    _id: string;
+    invoice_number: string;
+    amounts: { grand_total: number };
+    payment_status: string;
+    status: string;
+    balance_due: number;
+    irn?: string;
+    einvoice?: {
+      status?: 'generated' | 'failed' | 'cancelled';
+      ack_no?: string;
+      last_error?: string;
+    };
+  } | null;
+  closed_at?: string;
+  invoiced_at?: string;
+  last_run?: { at?: string; by?: string; error?: string };
+  voided_at?: string;
+  voided_by?: string;
+  void_reason?: string;
+}
+
+export interface BillingCycleFilters {
+  status?: BillingCycleStatus | '';
+  search?: string;
+  failed?: boolean;
+  page?: number;
+  limit?: number;
+}
+
+export interface BillingCyclesResponse {
+  cycles: AdminBillingCycle[];
+  pagination: {
+    currentPage: number;
+    totalPages: number;
+    totalCycles: number;
+    hasNext: boolean;
+    hasPrev: boolean;
+  };
+}
+
 export interface AdminDashboard {
   overview: {
     totalClients: number;
@@ -81,17 +254,34 @@ export interface AdminImpersonationResponse {
   };
 }
 
+export type StaffRole = 'admin' | 'staff' | 'support' | 'finance' | 'operations';
+
 export interface Staff {
   _id: string;
   name: string;
   email: string;
-  role: 'admin' | 'staff';
+  role: StaffRole;
+  // Custom permission list; absent when the role defaults apply
+  permissions?: string[];
+  effective_permissions: string[];
   created_by: string;
   is_active: boolean;
+  last_login_at?: string;
   createdAt: string;
   updatedAt: string;
 }
 
+export interface StaffAccessUpdate {
+  role?: StaffRole;
+  // null resets to the role defaults
+  permissions?: string[] | null;
+}
+
+export interface AdminPermissionCatalogue {
+  permissions: Array<{ key: string; description: string }>;
+  roles: Record<StaffRole, string[]>;
+}
+
 export interface StaffResponse {
   success: boolean;
   data: Staff | Staff[];
@@ -489,16 +679,141 @@ export interface AdminOrderDetails {
   [key: string]: any;
 }
 
+export interface AuditLogChange {
+  field: string;
+  before?: any;
+  after?: any;
+}
+
+export interface AuditLogEntry {
+  _id: string;
+  action: string;
+  category: string;
+  actor: {
+    type: 'admin' | 'staff' | 'user' | 'system';
+    id?: string;
+    email?: string;
+    name?: string;
+    role?: string;
+  };
+  target?: {
+    type?: string;
+    id?: string;
+    label?: string;
+  };
+  client_id?: {
+    _id: string;
+    client_id: string;
+    company_name: string;
+    email: string;
+  } | null;
+  changes: AuditLogChange[];
+  reason?: string;
+  ip_address?: string;
+  request?: { method: string; path: string };
+  metadata?: Record<string, any>;
+  createdAt: string;
+}
+
+export interface AuditLogFilters {
+  client?: string;
+  actor?: string;
+  action?: string;
+  category?: string;
+  from?: string;
+  to?: string;
+  page?: number;
+  limit?: number;
+}
+
+export interface AuditLogResponse {
+  entries: AuditLogEntry[];
+  pagination: {
+    current_page: number;
+    total_pages: number;
+    total_count: number;
+    per_page: number;
+  };
+}
+
+export interface EarlyCodPayout {
+  _id: string;
+  awb_number: string;
+  internal_order_id: string;
+  cod_amount: number;
+  fee_amount: number;
+  net_amount: number;
+  created_at: string;
+  client: {
+    _id: string;
+    client_id: string;
+    company_name: string;
+    bank_name: string;
+    account_holder_name: string;
+    account_number: string;
+    ifsc_code: string;
+  };
+}
+
+export interface EarlyCodPayoutsResponse {
+  success: boolean;
+  data: {
+    payouts: EarlyCodPayout[];
+    pagination: { page: number; limit: number; total: number; pages: number };
+  };
+}
+
 class AdminService {
   private getAdminHeaders() {
-    const adminEmail = localStorage.getItem('admin_email') || localStorage.getItem('staff_email') || 'udditalerts247@gmail.com';
-    const adminPassword = localStorage.getItem('admin_password') || 'jpmcA123';
     return {
-      'x-admin-email': adminEmail,
-      'x-admin-password': adminPassword
+      'X-Admin-Token': getAdminToken() || ''
     };
   }
 
+  // Session Methods
+  async login(email: string, password: string): Promise<{ success: boolean; message?: string; data?: AdminSessionData }> {
+    // Plain fetch so a rejected login doesn't trigger the 401 redirect in apiService
+    try {
+      const response = await fetch(`${environmentConfig.apiUrl}/admin/auth/login`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ email, password })
+      });
+      return await response.json();
+    } catch (error: any) {
+      return { success: false, message: error.message || 'Login failed' };
+    }
+  }
+
+  async refreshSession(): Promise<AdminSessionData> {
+    const response = await apiService.post<{ success: boolean; data: AdminSessionData }>('/admin/auth/refresh', {}, {
+      headers: this.getAdminHeaders()
+    });
+    return response.data;
+  }
+
+  async logout(): Promise<void> {
+    await apiService.post('/admin/auth/logout', {}, {
+      headers: this.getAdminHeaders()
+    });
+  }
+
+  async getMe(): Promise<{ admin: AdminProfile; session_expires_at: string }> {
+    const response = await apiService.get<{ success: boolean; data: { admin: AdminProfile; session_expires_at: string } }>('/admin/auth/me', {
+      headers: this.getAdminHeaders()
+    });
+    return response.data;
+  }
+
+  async getPermissions(): Promise<AdminPermissionCatalogue> {
+    const response = await apiService.get<{ success: boolean; data: AdminPermissionCatalogue }>('/admin/auth/permissions', {
+      headers: this.getAdminHeaders()
+    });
+    return response.data;
+  }
+
   async getDashboard(): Promise<AdminDashboard> {
     const response = await apiService.get<AdminDashboardResponse>('/admin/dashboard', {
       headers: this.getAdminHeaders()
@@ -1026,6 +1341,143 @@ class AdminService {
     return response;
   }
 
+  async getClientCreditTerms(clientId: string): Promise<{ success: boolean; data: AdminCreditTerms }> {
+    const response = await apiService.get<{ success: boolean; data: AdminCreditTerms }>(`/admin/billing/clients/${clientId}/credit-terms`, {
+      headers: this.getAdminHeaders()
+    });
+    return response;
+  }
+
+  async updateClientCreditTerms(clientId: string, updates: {
+    billing_mode?: 'prepaid' | 'postpaid';
+    credit_limit?: number;
+    payment_terms_days?: number;
+    reason?: string;
+  }): Promise<{ success: boolean; message: string; data: Pick<AdminCreditTerms, 'billing_mode' | 'credit_limit' | 'payment_terms_days'> }> {
+    const response = await apiService.patch<{ success: boolean; message: string; data: Pick<AdminCreditTerms, 'billing_mode' | 'credit_limit' | 'payment_terms_days'> }>(`/admin/billing/clients/${clientId}/credit-terms`, updates, {
+      headers: this.getAdminHeaders()
+    });
+    return response;
+  }
+
+  async updateClientAccountHold(clientId: string, action: 'place' | 'release', reason?: string): Promise<{ success: boolean; message: string; data: AdminAccountHold }> {
+    const response = await apiService.post<{ success: boolean; message: string; data: AdminAccountHold }>(`/admin/billing/clients/${clientId}/account-hold`, {
+      action,
+      reason
+    }, {
+      headers: this.getAdminHeaders()
+    });
+    return response;
+  }
+
+  async recordInvoicePayment(invoiceId: string, payment: {
+    amount: number;
+    payment_method: 'bank_transfer' | 'upi' | 'razorpay';
+    payment_reference?: string;
+  }): Promise<{ success: boolean; message: string; data: { payment_status: string; amount_paid: number; balance_due: number } }> {
+    const response = await apiService.post<{ success: boolean; message: string; data: { payment_status: string; amount_paid: number; balance_due: number } }>(`/admin/billing/invoices/${invoiceId}/payments`, payment, {
+      headers: this.getAdminHeaders()
+    });
+    return response;
+  }
+
+  async getClientNotes(clientId: string, params: {
+    note_type?: AdminInvoiceNoteType | '';
+    page?: number;
+    limit?: number;
+  } = {}): Promise<AdminClientNotesResponse> {
+    const query = new URLSearchParams();
+    if (params.note_type) query.append('note_type', params.note_type);
+    if (params.page) query.append('page', params.page.toString());
+    if (params.limit) query.append('limit', params.limit.toString());
+
+    const response = await apiService.get<{ success: boolean; data: AdminClientNotesResponse }>(`/admin/billing/clients/${clientId}/notes?${query.toString()}`, {
+      headers: this.getAdminHeaders()
+    });
+    return response.data;
+  }
+
+  async issueInvoiceNote(invoiceId: string, payload: {
+    note_type: AdminInvoiceNoteType;
+    reason_code: string;
+    reason: string;
+    line_items: Array<{ description: string; awb_number?: string; amount: number }>;
+    inclusive_of_gst?: boolean;
+    settlement: AdminNoteSettlement;
+    transaction_id?: string;
+  }): Promise<{ success: boolean; message: string; data: { note: AdminInvoiceNote; invoice: { payment_status: string; balance_due: number } } }> {
+    const response = await apiService.post<{ success: boolean; message: string; data: { note: AdminInvoiceNote; invoice: { payment_status: string; balance_due: number } } }>(`/admin/billing/invoices/${invoiceId}/notes`, payload, {
+      headers: this.getAdminHeaders()
+    });
+    return response;
+  }
+
+  async downloadInvoiceNote(noteId: string, noteNumber: string): Promise<void> {
+    const response = await fetch(`${environmentConfig.apiUrl}/admin/billing/notes/${noteId}/download`, {
+      method: 'GET',
+      headers: {
+        ...this.getAdminHeaders()
+      }
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({ message: 'Failed to download note' }));
+      throw new Error(errorData.message || 'Failed to download note');
+    }
+
+    const blob = await response.blob();
+    const url = window.URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${noteNumber}.pdf`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    window.URL.revokeObjectURL(url);
+  }
+
+  async getBillingCycles(filters: BillingCycleFilters = {}): Promise<BillingCyclesResponse> {
+    const params = new URLSearchParams();
+    if (filters.status) params.append('status', filters.status);
+    if (filters.search) params.append('search', filters.search);
+    if (filters.failed) params.append('failed', 'true');
+    if (filters.page) params.append('page', filters.page.toString());
+    if (filters.limit) params.append('limit', filters.limit.toString());
+
+    const response = await apiService.get<{ success: boolean; data: BillingCyclesResponse }>(`/admin/billing/cycles?${params.toString()}`, {
+      headers: this.getAdminHeaders()
+    });
+    return response.data;
+  }
+
+  async runBillingCycleClose(): Promise<{ success: boolean; message: string; data: { closed: number; invoiced: number; voided: number; failed: number } }> {
+    const response = await apiService.post<{ success: boolean; message: string; data: { closed: number; invoiced: number; voided: number; failed: number } }>('/admin/billing/cycles/run-close', {}, {
+      headers: this.getAdminHeaders()
+    });
+    return response;
+  }
+
+  async rerunBillingCycle(cycleId: string, reason?: string): Promise<{ success: boolean; message: string; data: { status: BillingCycleStatus; invoice_number: string | null; cancelled_invoice: string | null } }> {
+    const response = await apiService.post<{ success: boolean; message: string; data: { status: BillingCycleStatus; invoice_number: string | null; cancelled_invoice: string | null } }>(`/admin/billing/cycles/${cycleId}/rerun`, { reason }, {
+      headers: this.getAdminHeaders()
+    });
+    return response;
+  }
+
+  async voidBillingCycle(cycleId: string, reason: string): Promise<{ success: boolean; message: string; data: { status: BillingCycleStatus; cancelled_invoice: string | null } }> {
+    const response = await apiService.post<{ success: boolean; message: string; data: { status: BillingCycleStatus; cancelled_invoice: string | null } }>(`/admin/billing/cycles/${cycleId}/void`, { reason }, {
+      headers: this.getAdminHeaders()
+    });
+    return response;
+  }
+
+  async generateInvoiceIRN(invoiceId: string): Promise<{ success: boolean; message: string; data: { irn: string; ack_no: string; ack_date: string; email_sent: boolean } }> {
+    const response = await apiService.post<{ success: boolean; message: string; data: { irn: string; ack_no: string; ack_date: string; email_sent: boolean } }>(`/admin/billing/invoices/${invoiceId}/einvoice`, {}, {
+      headers: this.getAdminHeaders()
+    });
+    return response;
+  }
+
   // ============================================================================
   // ADMIN ORDERS METHODS
   // ============================================================================
@@ -1367,6 +1819,8 @@ class AdminService {
         user_id: string;
         orders_count: number;
         total_remittance: number;
+        early_cod_advanced?: number;
+        net_payable?: number;
         action: string;
       }>;
     };
@@ -1376,10 +1830,7 @@ class AdminService {
 
     const response = await fetch(`${environmentConfig.apiUrl}/admin/remittances/upload`, {
       method: 'POST',
-      headers: {
-        'x-admin-email': localStorage.getItem('admin_email') || '',
-        'x-admin-password': 'jpmcA123' // TODO: Use secure admin authentication
-      },
+      headers: this.getAdminHeaders(),
       body: formData
     });
 
@@ -1391,11 +1842,166 @@ class AdminService {
     return response.json();
   }
 
+  /**
+   * COD reconciliation across all clients, or one client (ObjectId or client_id)
+   */
+  async getCodReconciliation(params: { clientId?: string; minAgeDays?: number } = {}): Promise<{
+    success: boolean;
+    data: CodReconciliationReport & {
+      client: { _id: string; client_id: string; company_name: string } | null;
+    };
+  }> {
+    const query = new URLSearchParams();
+    if (params.clientId) query.append('client_id', params.clientId);
+    if (params.minAgeDays !== undefined) query.append('min_age_days', params.minAgeDays.toString());
+
+    const response = await apiService.get<{
+      success: boolean;
+      data: CodReconciliationReport & {
+        client: { _id: string; client_id: string; company_name: string } | null;
+      };
+    }>(`/admin/remittances/reconciliation?${query.toString()}`, {
+      headers: this.getAdminHeaders()
+    });
+    return response;
+  }
+
+  /**
+   * Reconcile one remittance's AWBs across all clients in it
+   */
+  async getRemittanceReconciliation(remittanceNumber: string): Promise<{ success: boolean; data: RemittanceReconciliation }> {
+    const response = await apiService.get<{ success: boolean; data: RemittanceReconciliation }>(
+      `/admin/remittances/${encodeURIComponent(remittanceNumber)}/reconciliation`,
+      {
+        headers: this.getAdminHeaders()
+      }
+    );
+    return response;
+  }
+
+  /**
+   * Download the COD reconciliation, or one remittance's, as Excel
+   */
+  async downloadCodReconciliation(params: { clientId?: string; minAgeDays?: number; remittanceNumber?: string } = {}): Promise<void> {
+    const query = new URLSearchParams();
+    if (params.clientId) query.append('client_id', params.clientId);
+    if (params.minAgeDays !== undefined) query.append('min_age_days', params.minAgeDays.toString());
+
+    const url = params.remittanceNumber
+      ? `${environmentConfig.apiUrl}/admin/remittances/${encodeURIComponent(params.remittanceNumber)}/reconciliation/export`
+      : `${environmentConfig.apiUrl}/admin/remittances/reconciliation/export?${query.toString()}`;
+    const response = await fetch(url, {
+      method: 'GET',
+      headers: {
+        ...this.getAdminHeaders()
+      }
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({ message: 'Failed to download reconciliation' }));
+      throw new Error(errorData.message || 'Failed to download reconciliation');
+    }
+
+    const blob = await response.blob();
+    const downloadUrl = window.URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = downloadUrl;
+    link.download = params.remittanceNumber
+      ? `Remittance_${params.remittanceNumber}_Reconciliation.xlsx`
+      : `COD_Reconciliation_${params.clientId || 'All'}_${new Date().toISOString().split('T')[0]}.xlsx`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    window.URL.revokeObjectURL(downloadUrl);
+  }
+
+  /**
+   * A client's early COD plan and advances (ObjectId or client_id)
+   */
+  async getClientEarlyCod(clientId: string, page: number = 1): Promise<{
+    success: boolean;
+    data: EarlyCodSummary & {
+      client: { _id: string; client_id: string; company_name: string; has_bank_details: boolean };
+    };
+  }> {
+    const response = await apiService.get<{
+      success: boolean;
+      data: EarlyCodSummary & {
+        client: { _id: string; client_id: string; company_name: string; has_bank_details: boolean };
+      };
+    }>(`/admin/remittances/early-cod/clients/${encodeURIComponent(clientId)}?page=${page}`, {
+      headers: this.getAdminHeaders()
+    });
+    return response;
+  }
+
+  /**
+   * Change a client's early COD plan. fee_percent null resets it to the default.
+   */
+  async updateClientEarlyCod(clientId: string, changes: {
+    enabled?: boolean;
+    days?: number;
+    fee_percent?: number | null;
+    payout_mode?: EarlyCodPayoutMode;
+    reason?: string;
+  }): Promise<{ success: boolean; message: string; data: EarlyCodPlan }> {
+    const response = await apiService.patch<{ success: boolean; message: string; data: EarlyCodPlan }>(
+      `/admin/remittances/early-cod/clients/${encodeURIComponent(clientId)}`,
+      changes,
+      {
+        headers: this.getAdminHeaders()
+      }
+    );
+    return response;
+  }
+
+  /**
+   * Early COD advances waiting for a bank transfer
+   */
+  async getEarlyCodPayouts(page: number = 1): Promise<EarlyCodPayoutsResponse> {
+    const response = await apiService.get<EarlyCodPayoutsResponse>(`/admin/remittances/early-cod/payouts?page=${page}`, {
+      headers: this.getAdminHeaders()
+    });
+    return response;
+  }
+
+  /**
+   * Record the bank transfer of an early COD payout
+   */
+  async markEarlyCodPayoutPaid(advanceId: string, utrNumber: string): Promise<{ success: boolean; message: string }> {
+    const response = await apiService.post<{ success: boolean; message: string }>(
+      `/admin/remittances/early-cod/advances/${advanceId}/mark-paid`,
+      { utr_number: utrNumber },
+      {
+        headers: this.getAdminHeaders()
+      }
+    );
+    return response;
+  }
+
+  /**
+   * Advance all due orders now instead of waiting for the daily run
+   */
+  async runEarlyCod(): Promise<{
+    success: boolean;
+    message: string;
+    data: { sellers: number; advanced: number; amount: number; fees: number; failed: number };
+  }> {
+    const response = await apiService.post<{
+      success: boolean;
+      message: string;
+      data: { sellers: number; advanced: number; amount: number; fees: number; failed: number };
+    }>('/admin/remittances/early-cod/run', {}, {
+      headers: this.getAdminHeaders()
+    });
+    return response;
+  }
+
   // Staff Management Methods
-  async createStaff(name: string, email: string, password: string): Promise<StaffResponse> {
+  async createStaff(name: string, email: string, password: string, access: StaffAccessUpdate = {}): Promise<StaffResponse> {
     const response = await apiService.post<StaffResponse>(
       '/admin/staff',
-      { name, email, password },
+      { name, email, password, ...access },
       {
         headers: this.getAdminHeaders()
       }
@@ -1413,7 +2019,7 @@ class AdminService {
     return response;
   }
 
-  async updateStaff(staffId: string, updates: { name?: string; email?: string; password?: string; is_active?: boolean }): Promise<StaffResponse> {
+  async updateStaff(staffId: string, updates: { name?: string; email?: string; password?: string; is_active?: boolean } & StaffAccessUpdate): Promise<StaffResponse> {
     const response = await apiService.patch<StaffResponse>(
       `/admin/staff/${staffId}`,
       updates,
@@ -1434,28 +2040,6 @@ class AdminService {
     return response;
   }
 
-  async verifyStaffCredentials(email: string, password: string): Promise<{ success: boolean; message?: string; staff?: Staff; admin?: { email: string; role: string } }> {
-    try {
-      const response = await fetch(`${environmentConfig.apiUrl}/admin/staff/verify`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'x-admin-email': email,
-          'x-admin-password': password
-        }
-      });
-
-      if (!response.ok) {
-        return { success: false, message: 'Invalid credentials' };
-      }
-
-      const data = await response.json();
-      return data;
-    } catch (error: any) {
-      return { success: false, message: error.message || 'Verification failed' };
-    }
-  }
-
   // Ratecard Management Methods
   async getRateCardCategories(): Promise<string[]> {
     const response = await apiService.get<RateCardResponse>(
@@ -1491,6 +2075,49 @@ class AdminService {
     );
     return response;
   }
+  // Audit Log Methods
+  private buildAuditQuery(filters: AuditLogFilters): string {
+    const queryParams = new URLSearchParams();
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value !== undefined && value !== '') queryParams.append(key, String(value));
+    });
+    return queryParams.toString();
+  }
+
+  async getAuditLogs(filters: AuditLogFilters = {}): Promise<AuditLogResponse> {
+    const response = await apiService.get<{ success: boolean; data: AuditLogResponse }>(
+      `/admin/audit-logs?${this.buildAuditQuery(filters)}`,
+      {
+        headers: this.getAdminHeaders()
+      }
+    );
+    return response.data;
+  }
+
+  async getAuditActions(): Promise<string[]> {
+    const response = await apiService.get<{ success: boolean; data: string[] }>('/admin/audit-logs/actions', {
+      headers: this.getAdminHeaders()
+    });
+    return response.data;
+  }
+
+  async exportAuditLogs(filters: AuditLogFilters = {}): Promise<{ blob: Blob; truncated: boolean }> {
+    // Exports every matching entry, not just the current page
+    const exportFilters = { ...filters, page: undefined, limit: undefined };
+    const response = await fetch(`${environmentConfig.apiUrl}/admin/audit-logs/export?${this.buildAuditQuery(exportFilters)}`, {
+      headers: this.getAdminHeaders()
+    });
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}));
+      throw new Error(error.message || 'Failed to export audit log');
+    }
+
+    return {
+      blob: await response.blob(),
+      truncated: response.headers.get('X-Export-Truncated') === 'true'
+    };
+  }
 }
 
 export const adminService = new AdminService();
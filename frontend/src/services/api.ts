@@ -1,6 +1,7 @@
 import axios, { AxiosInstance, AxiosRequestConfig, AxiosResponse } from 'axios';
 import { environmentConfig } from '../config/environment';
 import { requestDeduplicator } from '../utils/requestDeduplicator';
+import { clearAdminSession } from '../utils/adminSession';
 
 // Use the environment configuration
 const API_BASE_URL = environmentConfig.apiUrl;
@@ -201,7 +202,12 @@ class ApiService {
             : serverMessage;
         }
         
-        if (error.response?.status === 401) {
+        if (error.response?.status === 401 && error.config?.headers?.['X-Admin-Token']) {
+          // Admin panel session ended - keep the seller session untouched
+          console.error('🔐 ADMIN SESSION ENDED - Redirecting to admin login');
+          clearAdminSession();
+          window.location.href = '/admin/login';
+        } else if (error.response?.status === 401) {
           console.error('🔐 UNAUTHORIZED - Clearing auth and redirecting');
           localStorage.removeItem('token');
           localStorage.removeItem('user');
@@ -0,0 +1,185 @@
+import { apiService } from './api';
+
+export type ChannelSyncStatus = 'succeeded' | 'partial' | 'failed' | null;
+export type FulfilmentStatus = 'pending' | 'pushed' | 'failed';
+
+export interface ChannelCredentialField {
+  key: string;
+  label: string;
+  secret?: boolean;
+}
+
+export interface AvailableChannel {
+  code: string;
+  name: string;
+  credential_fields: ChannelCredentialField[];
+}
+
+export interface ChannelSyncError {
+  channel_order_id?: string;
+  channel_order_number?: string;
+  error: string;
+}
+
+export interface ChannelSkuMapping {
+  sku: string;
+  package_id: string;
+}
+
+export interface ChannelConnection {
+  _id: string;
+  channel: string;
+  name: string;
+  credentials: Record<string, string>; // Secret values are masked
+  is_active: boolean;
+  auto_sync: boolean;
+  sync_interval_minutes: number;
+  push_fulfilment: boolean;
+  defaults: {
+    warehouse_id: string;
+    shipping_mode: 'Surface' | 'Express';
+    package_id: string | null;
+  };
+  sku_mappings: ChannelSkuMapping[];
+  last_synced_at?: string;
+  last_sync_status: ChannelSyncStatus;
+  last_sync_summary?: {
+    fetched: number;
+    imported: number;
+    skipped: number;
+    failed: number;
+  };
+  last_sync_errors: ChannelSyncError[];
+  sync_in_progress_since?: string | null;
+  stats: {
+    orders_imported: number;
+    fulfilments_pushed: number;
+  };
+  createdAt: string;
+}
+
+export interface ChannelConnectionInput {
+  channel?: string;
+  name?: string;
+  credentials?: Record<string, string>;
+  defaults?: Partial<ChannelConnection['defaults']>;
+  is_active?: boolean;
+  auto_sync?: boolean;
+  sync_interval_minutes?: number;
+  push_fulfilment?: boolean;
+}
+
+export interface ChannelSyncResult {
+  success: boolean;
+  summary: NonNullable<ChannelConnection['last_sync_summary']>;
+  errors: ChannelSyncError[];
+}
+
+export interface ChannelOrder {
+  _id: string;
+  order_id: string;
+  reference_id: string;
+  status: string;
+  carrier?: string;
+  delhivery_data?: { waybill?: string };
+  channel_info: {
+    channel_order_id: string;
+    channel_order_number?: string;
+    fulfilment_status?: FulfilmentStatus;
+    fulfilment_pushed_at?: string;
+    fulfilment_error?: string;
+  };
+  createdAt: string;
+}
+
+export interface ChannelOrdersResponse {
+  orders: ChannelOrder[];
+  pagination: {
+    current_page: number;
+    total_pages: number;
+    total_count: number;
+    per_page: number;
+  };
+}
+
+export interface PackagePreset {
+  _id: string;
+  name: string;
+  sku?: string;
+  weight: number;
+  dimensions: {
+    length: number;
+    width: number;
+    height: number;
+  };
+}
+
+interface ApiEnvelope<T> {
+  status: string;
+  message?: string;
+  data: T;
+}
+
+class ChannelService {
+  async getAvailableChannels(): Promise<AvailableChannel[]> {
+    const response = await apiService.get<ApiEnvelope<AvailableChannel[]>>('/channels/available');
+    return response.data;
+  }
+
+  async getConnections(): Promise<ChannelConnection[]> {
+    const response = await apiService.get<ApiEnvelope<ChannelConnection[]>>('/channels');
+    return response.data;
+  }
+
+  async createConnection(input: ChannelConnectionInput): Promise<ChannelConnection> {
+    const response = await apiService.post<ApiEnvelope<ChannelConnection>>('/channels', input);
+    return response.data;
+  }
+
+  async updateConnection(id: string, input: ChannelConnectionInput): Promise<ChannelConnection> {
+    const response = await apiService.put<ApiEnvelope<ChannelConnection>>(`/channels/${id}`, input);
+    return response.data;
+  }
+
+  async deleteConnection(id: string): Promise<void> {
+    await apiService.delete(`/channels/${id}`);
+  }
+
+  async testConnection(id: string): Promise<string> {
+    const response = await apiService.post<ApiEnvelope<unknown>>(`/channels/${id}/test`);
+    return response.message || 'Connection OK';
+  }
+
+  async syncNow(id: string): Promise<{ message: string; result: ChannelSyncResult }> {
+    const response = await apiService.post<ApiEnvelope<ChannelSyncResult>>(`/channels/${id}/sync`);
+    return { message: response.message || '', result: response.data };
+  }
+
+  async saveSkuMappings(id: string, mappings: ChannelSkuMapping[]): Promise<ChannelSkuMapping[]> {
+    const response = await apiService.put<ApiEnvelope<ChannelSkuMapping[]>>(`/channels/${id}/sku-mappings`, { mappings });
+    return response.data;
+  }
+
+  async getOrders(id: string, page = 1, limit = 10): Promise<ChannelOrdersResponse> {
+    const response = await apiService.get<ApiEnvelope<ChannelOrdersResponse>>(`/channels/${id}/orders?page=${page}&limit=${limit}`);
+    return response.data;
+  }
+
+  async pushFulfilment(id: string, orderId: string): Promise<string> {
+    const response = await apiService.post<ApiEnvelope<unknown>>(`/channels/${id}/orders/${encodeURIComponent(orderId)}/push-fulfilment`);
+    return response.message || 'Fulfilment pushed';
+  }
+
+  async createSampleOrders(id: string, count: number, cod: boolean): Promise<string> {
+    const response = await apiService.post<ApiEnvelope<unknown>>(`/channels/${id}/sample-orders`, { count, cod });
+    return response.message || 'Sample orders created';
+  }
+
+  // Saved package presets used for SKU mapping
+  async getPackagePresets(): Promise<PackagePreset[]> {
+    const response = await apiService.get<ApiEnvelope<{ packages: PackagePreset[] }>>('/packages?limit=100');
+    return response.data.packages;
+  }
+}
+
+export const channelService = new ChannelService();
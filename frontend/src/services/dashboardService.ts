@@ -97,6 +97,28 @@ export interface PerformanceMetrics {
   period_days: number;
 }
 
+export interface PickupAlert {
+  _id: string;
+  warehouse_name: string;
+  carrier: string;
+  pickup_date: string;
+  pickup_time: string;
+  status: 'failed' | 'missed';
+  order_count: number;
+  attempts: number;
+  last_error?: string;
+  retrying: boolean;
+}
+
+export interface PickupAlerts {
+  alerts: PickupAlert[];
+  next_pickups: Array<{
+    warehouse_id: string;
+    warehouse_name: string;
+    next_pickup: { date: string; time: string };
+  }>;
+}
+
 export const dashboardService = {
   async getOverview(): Promise<{ status: string; data: DashboardOverview }> {
     return apiService.get('/dashboard/overview');
@@ -132,5 +154,13 @@ export const dashboardService = {
 
   async getPerformanceMetrics(period: number = 30): Promise<{ status: string; data: PerformanceMetrics }> {
     return apiService.get(`/dashboard/performance?period=${period}`);
+  },
+
+  async getPickupAlerts(): Promise<{ status: string; data: PickupAlerts }> {
+    return apiService.get('/dashboard/pickup-alerts');
+  },
+
+  async dismissPickupAlert(alertId: string): Promise<{ status: string; message: string }> {
+    return apiService.patch(`/dashboard/pickup-alerts/${alertId}/dismiss`);
   }
 };
\ No newline at end of file
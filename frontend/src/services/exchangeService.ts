@@ -0,0 +1,208 @@
+import { apiService } from './api';
+import { QcCheck, ReturnReason } from './returnService';
+
+export type ExchangeStatus = 'awaiting_pickup' | 'qc_pending' | 'qc_failed' | 'in_progress' | 'completed' | 'cancelled';
+export type ExchangeReleaseRule = 'immediate' | 'after_pickup' | 'after_qc';
+
+export const EXCHANGE_STATUS_LABELS: Record<ExchangeStatus, string> = {
+  awaiting_pickup: 'Awaiting Pickup',
+  qc_pending: 'QC Pending',
+  qc_failed: 'QC Failed',
+  in_progress: 'In Progress',
+  completed: 'Completed',
+  cancelled: 'Cancelled'
+};
+
+export const RELEASE_RULE_LABELS: Record<ExchangeReleaseRule, string> = {
+  immediate: 'Ship the replacement straight away',
+  after_pickup: 'Ship after the original item is picked up',
+  after_qc: 'Ship after the returned item passes QC'
+};
+
+export interface ExchangeableItem {
+  line: number;
+  product_name: string;
+  sku: string | null;
+  quantity: number;
+  unit_price: number;
+  exchangeable_quantity: number;
+}
+
+export interface ExchangeEligibility {
+  order_id: string;
+  customer_name?: string;
+  items: ExchangeableItem[];
+  reasons: Array<{ value: ReturnReason; label: string; photo_required: boolean }>;
+  qc_checks: QcCheck[];
+}
+
+export interface ExchangeInput {
+  items: Array<{
+    line: number;
+    quantity: number;
+    replacement_product_name?: string;
+    replacement_sku?: string;
+    replacement_unit_price?: number;
+  }>;
+  reason: ReturnReason;
+  notes?: string;
+  release_rule: ExchangeReleaseRule;
+  qc_required: boolean;
+}
+
+export interface ExchangeLegQuote {
+  zone: string;
+  amount: number;
+}
+
+export interface ExchangeQuote {
+  forward: ExchangeLegQuote;
+  reverse: ExchangeLegQuote;
+  total: number;
+}
+
+export interface ExchangeLeg {
+  order_id: string;
+  order_number: string;
+  status: string;
+  charges: number;
+  zone?: string;
+  awb?: string | null;
+}
+
+export interface Exchange {
+  _id: string;
+  exchange_number: string;
+  original_order_id: string;
+  original_order_number: string;
+  customer_name?: string;
+  items: Array<{
+    line: number;
+    product_name: string;
+    sku?: string;
+    quantity: number;
+    replacement_product_name?: string;
+    replacement_sku?: string;
+    replacement_unit_price?: number;
+  }>;
+  reason: ReturnReason;
+  notes?: string;
+  release_rule: ExchangeReleaseRule;
+  forward_leg: ExchangeLeg;
+  reverse_leg: ExchangeLeg;
+  forward_held: boolean;
+  forward_released_at?: string;
+  forward_released_by?: string;
+  reverse_picked_up_at?: string;
+  reverse_delivered_at?: string;
+  forward_delivered_at?: string;
+  qc: {
+    required: boolean;
+    result: 'pending' | 'passed' | 'failed';
+    notes?: string;
+    recorded_at?: string;
+  };
+  status: ExchangeStatus;
+  status_history: Array<{ status: ExchangeStatus; note?: string; timestamp: string }>;
+  createdAt: string;
+}
+
+export interface ExchangeFilters {
+  page?: number;
+  limit?: number;
+  status?: ExchangeStatus | 'all';
+  search?: string;
+}
+
+export interface ExchangesResponse {
+  exchanges: Exchange[];
+  pagination: {
+    current_page: number;
+    total_pages: number;
+    total_count: number;
+    per_page: number;
+  };
+}
+
+export interface CreatedExchange {
+  exchange: Exchange;
+  forward_order: { _id: string; order_id: string };
+  reverse_order: { _id: string; order_id: string };
+  charges: ExchangeQuote;
+}
+
+class ExchangeService {
+  async getEligibility(orderId: string): Promise<ExchangeEligibility> {
+    const response = await apiService.get<{ success: boolean; message?: string; data: ExchangeEligibility }>(
+      `/exchanges/order/${orderId}`
+    );
+    if (response.success && response.data) {
+      return response.data;
+    }
+    throw new Error(response.message || 'Failed to load order for exchange');
+  }
+
+  async getQuote(orderId: string, input: ExchangeInput): Promise<ExchangeQuote> {
+    const response = await apiService.post<{ success: boolean; message?: string; data: ExchangeQuote }>(
+      `/exchanges/order/${orderId}/quote`,
+      input
+    );
+    if (response.success && response.data) {
+      return response.data;
+    }
+    throw new Error(response.message || 'Failed to calculate exchange charges');
+  }
+
+  /**
+   * Create the exchange; the backend creates and charges both leg orders
+   */
+  async createExchange(orderId: string, input: ExchangeInput): Promise<{ message: string; data: CreatedExchange }> {
+    const response = await apiService.post<{ status: string; message: string; data: CreatedExchange }>(
+      `/orders/${orderId}/exchange`,
+      input
+    );
+    if (response.status === 'success' && response.data) {
+      return { message: response.message, data: response.data };
+    }
+    throw new Error(response.message || 'Failed to create exchange');
+  }
+
+  async getExchanges(filters: ExchangeFilters = {}): Promise<ExchangesResponse> {
+    const params = new URLSearchParams();
+    if (filters.page) params.append('page', filters.page.toString());
+    if (filters.limit) params.append('limit', filters.limit.toString());
+    if (filters.status) params.append('status', filters.status);
+    if (filters.search) params.append('search', filters.search);
+
+    const response = await apiService.get<{ success: boolean; message?: string; data: ExchangesResponse }>(
+      `/exchanges?${params.toString()}`
+    );
+    if (response.success && response.data) {
+      return response.data;
+    }
+    throw new Error(response.message || 'Failed to load exchanges');
+  }
+
+  async getExchange(id: string): Promise<Exchange> {
+    const response = await apiService.get<{ success: boolean; message?: string; data: Exchange }>(`/exchanges/${id}`);
+    if (response.success && response.data) {
+      return response.data;
+    }
+    throw new Error(response.message || 'Failed to load exchange');
+  }
+
+  async recordQc(id: string, result: 'passed' | 'failed', notes: string): Promise<{ message: string; exchange: Exchange }> {
+    const response = await apiService.post<{ success: boolean; message: string; data: Exchange }>(
+      `/exchanges/${id}/qc`,
+      { result, notes }
+    );
+    return { message: response.message, exchange: response.data };
+  }
+
+  async release(id: string): Promise<{ message: string; exchange: Exchange }> {
+    const response = await apiService.post<{ success: boolean; message: string; data: Exchange }>(`/exchanges/${id}/release`);
+    return { message: response.message, exchange: response.data };
+  }
+}
+
+export const exchangeService = new ExchangeService();
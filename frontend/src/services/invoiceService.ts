@@ -16,7 +16,7 @@ export interface Invoice {
     tax: number;
     grand_total: number;
   };
-  payment_status: 'pending' | 'paid' | 'overdue' | 'partially_paid' | 'disputed';
+  payment_status: 'pending' | 'paid' | 'overdue' | 'partially_paid' | 'disputed' | 'cancelled';
   billing_period: {
     start_date: string;
     end_date: string;
@@ -56,6 +56,10 @@ export interface InvoiceDetail extends Invoice {
   };
   amount_paid: number;
   balance_due: number;
+  note_adjustment?: number;
+  irn?: string;
+  irn_date?: string;
+  irn_ack_no?: string;
   payment_info?: {
     payment_date: string;
     payment_method: string;
@@ -84,6 +88,7 @@ export interface InvoiceDetail extends Invoice {
     reason: string;
     date: string;
     related_awb?: string;
+    settlement?: NoteSettlement;
   }>;
   shipment_charges?: Array<{
     awb_number: string;
@@ -115,6 +120,60 @@ export interface InvoiceDetail extends Invoice {
   }>;
 }
 
+export type InvoiceNoteType = 'credit_note' | 'debit_note';
+
+export type NoteSettlement = 'wallet' | 'invoice' | 'none';
+
+export interface InvoiceNote {
+  note_id: string;
+  note_number: string;
+  note_type: InvoiceNoteType;
+  note_date: string;
+  invoice_id: string;
+  invoice_number: string;
+  reason_code: string;
+  reason: string;
+  line_items: Array<{
+    description: string;
+    awb_number?: string;
+    internal_order_id?: string;
+    amount: number;
+  }>;
+  amounts: {
+    taxable_value: number;
+    cgst_amount: number;
+    sgst_amount: number;
+    igst_amount: number;
+    total_tax: number;
+    total: number;
+  };
+  settlement: NoteSettlement;
+  wallet_amount: number;
+  status: 'issued' | 'cancelled';
+}
+
+export interface InvoiceNoteFilters {
+  note_type: InvoiceNoteType;
+  page?: number;
+  limit?: number;
+  start_date?: string;
+  end_date?: string;
+  search?: string;
+}
+
+export interface InvoiceNoteListResponse {
+  success: boolean;
+  data: {
+    notes: InvoiceNote[];
+    pagination: {
+      current_page: number;
+      total_pages: number;
+      total_count: number;
+      per_page: number;
+    };
+  };
+}
+
 export interface InvoiceListResponse {
   success: boolean;
   data: {
@@ -248,7 +307,7 @@ class InvoiceService {
       // For PDF, we need to use axios directly to get blob
       const token = localStorage.getItem('token');
       
-      const response = await axios.get(`${environmentConfig.apiUrl}/api/invoices/${invoiceId}/download`, {
+      const response = await axios.get(`${environmentConfig.apiUrl}/invoices/${invoiceId}/download`, {
         headers: {
           'Authorization': `Bearer ${token}`
         },
@@ -285,6 +344,61 @@ class InvoiceService {
     }
   }
 
+  /**
+   * Get credit notes or debit notes
+   */
+  async getNotes(filters: InvoiceNoteFilters): Promise<InvoiceNoteListResponse> {
+    const params = new URLSearchParams();
+    params.append('note_type', filters.note_type);
+    if (filters.page) params.append('page', filters.page.toString());
+    if (filters.limit) params.append('limit', filters.limit.toString());
+    if (filters.start_date) params.append('start_date', filters.start_date);
+    if (filters.end_date) params.append('end_date', filters.end_date);
+    if (filters.search) params.append('search', filters.search);
+
+    const response = await apiService.get<InvoiceNoteListResponse>(`/invoices/notes?${params.toString()}`);
+    return response;
+  }
+
+  /**
+   * Download a credit / debit note PDF
+   */
+  async downloadNote(noteId: string, noteNumber: string) {
+    const token = localStorage.getItem('token');
+
+    try {
+      const response = await axios.get(`${environmentConfig.apiUrl}/invoices/notes/${noteId}/download`, {
+        headers: {
+          'Authorization': `Bearer ${token}`
+        },
+        responseType: 'blob'
+      });
+
+      const url = window.URL.createObjectURL(new Blob([response.data]));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', `${noteNumber}.pdf`);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+
+      return { success: true };
+    } catch (error: any) {
+      if (error.response?.data instanceof Blob) {
+        const text = await error.response.data.text();
+        let message = 'Note PDF not available';
+        try {
+          message = JSON.parse(text).message || message;
+        } catch {
+          // Not JSON; keep the generic message
+        }
+        throw new Error(message);
+      }
+      throw error;
+    }
+  }
+
   /**
    * Get invoice summary/statistics
    */
@@ -294,15 +408,21 @@ class InvoiceService {
   }
 
   /**
-   * Update invoice status (mark as paid, etc.)
+   * Pay an invoice's balance due (or part of it) from the wallet
+   */
+  async payInvoiceFromWallet(invoiceId: string, amount?: number) {
+    const response = await apiService.post(`/invoices/${invoiceId}/pay-from-wallet`, amount !== undefined ? { amount } : {});
+    return response;
+  }
+
+  /**
+   * Raise a dispute on an invoice
    */
   async updateInvoiceStatus(
     invoiceId: string,
-    paymentStatus: 'pending' | 'paid' | 'overdue' | 'partially_paid' | 'disputed',
+    paymentStatus: 'disputed',
     options?: {
-      amount_paid?: number;
-      payment_method?: 'wallet_deduction' | 'bank_transfer' | 'upi' | 'auto_debit' | 'razorpay';
-      payment_reference?: string;
+      dispute_reason?: string;
     }
   ) {
     const response = await apiService.patch(`/invoices/${invoiceId}/status`, {
@@ -0,0 +1,170 @@
+import axios from 'axios';
+import { apiService } from './api';
+import { environmentConfig } from '../config/environment';
+
+export type ManifestStatus = 'open' | 'handed_over' | 'closed';
+export type HandoverStatus = 'pending' | 'handed_over' | 'not_picked';
+
+export interface ManifestTotals {
+  shipments: number;
+  boxes: number;
+  cod_shipments: number;
+  cod_amount: number;
+  handed_over: number;
+  not_picked: number;
+}
+
+export interface ManifestShipment {
+  order_id: string;
+  internal_order_id?: string;
+  awb_number: string;
+  payment_mode?: string;
+  cod_amount: number;
+  weight?: number;
+  number_of_boxes: number;
+  consignee_name?: string;
+  destination_city?: string;
+  destination_pincode?: string;
+  handover_status: HandoverStatus;
+  handover_source?: 'scan' | 'carrier';
+  scanned_at?: string;
+  scanned_by?: string;
+}
+
+export interface Manifest {
+  _id: string;
+  manifest_number: string;
+  warehouse_name: string;
+  pickup_address?: {
+    full_address?: string;
+    city?: string;
+    state?: string;
+    pincode?: string;
+    phone?: string;
+  };
+  pickup_date: string;
+  pickup_time?: string;
+  carrier: string;
+  status: ManifestStatus;
+  totals: ManifestTotals;
+  handed_over_at?: string;
+  closed_at?: string;
+  closed_by?: string;
+  createdAt: string;
+}
+
+export interface ManifestDetail extends Manifest {
+  shipments: ManifestShipment[];
+}
+
+export interface ManifestFilters {
+  page?: number;
+  limit?: number;
+  status?: ManifestStatus | 'all';
+  pickup_date?: string;
+  search?: string;
+}
+
+export interface ManifestsResponse {
+  success: boolean;
+  data: {
+    manifests: Manifest[];
+    pagination: {
+      current_page: number;
+      total_pages: number;
+      total_count: number;
+      per_page: number;
+    };
+  };
+}
+
+export interface ManifestScanResult {
+  already_scanned: boolean;
+  shipment: ManifestShipment;
+  manifest: ManifestDetail;
+}
+
+class ManifestService {
+  async getManifests(filters: ManifestFilters = {}): Promise<ManifestsResponse> {
+    const params = new URLSearchParams();
+    if (filters.page) params.append('page', filters.page.toString());
+    if (filters.limit) params.append('limit', filters.limit.toString());
+    if (filters.status) params.append('status', filters.status);
+    if (filters.pickup_date) params.append('pickup_date', filters.pickup_date);
+    if (filters.search) params.append('search', filters.search);
+
+    return apiService.get<ManifestsResponse>(`/manifests?${params.toString()}`);
+  }
+
+  async getManifest(id: string): Promise<ManifestDetail> {
+    const response = await apiService.get<{ success: boolean; message?: string; data: ManifestDetail }>(`/manifests/${id}`);
+    if (response.success && response.data) {
+      return response.data;
+    }
+    throw new Error(response.message || 'Failed to load manifest');
+  }
+
+  /**
+   * Add scheduled pickups that are not on a manifest yet
+   */
+  async generate(pickupDate?: string): Promise<{ message: string; added: number; manifests: Manifest[] }> {
+    const response = await apiService.post<{
+      success: boolean;
+      message: string;
+      data: { added: number; manifests: Manifest[] };
+    }>('/manifests/generate', pickupDate ? { pickup_date: pickupDate } : {});
+    return { message: response.message, ...response.data };
+  }
+
+  async scan(id: string, awb: string): Promise<{ message: string } & ManifestScanResult> {
+    const response = await apiService.post<{ success: boolean; message: string; data: ManifestScanResult }>(
+      `/manifests/${id}/scan`,
+      { awb }
+    );
+    return { message: response.message, ...response.data };
+  }
+
+  async close(id: string): Promise<{ message: string; manifest: ManifestDetail }> {
+    const response = await apiService.post<{ success: boolean; message: string; data: ManifestDetail }>(
+      `/manifests/${id}/close`
+    );
+    return { message: response.message, manifest: response.data };
+  }
+
+  /**
+   * Download the handover sheet PDF
+   */
+  async downloadManifest(manifest: Manifest): Promise<void> {
+    const token = localStorage.getItem('token');
+    try {
+      const response = await axios.get(`${environmentConfig.apiUrl}/manifests/${manifest._id}/download`, {
+        headers: {
+          'Authorization': `Bearer ${token}`
+        },
+        responseType: 'blob'
+      });
+
+      const url = window.URL.createObjectURL(new Blob([response.data], { type: 'application/pdf' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', `${manifest.manifest_number}.pdf`);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (error: any) {
+      if (error.response?.data instanceof Blob) {
+        let message = 'Manifest PDF not available';
+        try {
+          message = JSON.parse(await error.response.data.text()).message || message;
+        } catch {
+          // Not JSON
+        }
+        throw new Error(message);
+      }
+      throw error;
+    }
+  }
+}
+
+export const manifestService = new ManifestService();
@@ -103,6 +103,84 @@ export interface CustomerInfoUpdate {
   customer_notes?: string;
 }
 
+export type NDRRuleAction = 'reattempt' | 'rto' | 'escalate' | 'manual_review';
+
+export interface NDRRuleConditions {
+  nsl_codes: string[];
+  min_attempts?: number;
+  max_attempts?: number;
+  min_days_in_ndr?: number;
+  max_days_in_ndr?: number;
+  min_order_value?: number;
+  max_order_value?: number;
+  payment_mode: 'any' | 'COD' | 'Prepaid';
+  pincodes: string[];
+}
+
+export interface NDRRule {
+  _id: string;
+  name: string;
+  enabled: boolean;
+  priority: number;
+  conditions: NDRRuleConditions;
+  action: NDRRuleAction;
+  action_reason?: string;
+  last_matched_at?: string;
+  match_count: number;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export type NDRRuleInput = Pick<NDRRule, 'name' | 'enabled' | 'priority' | 'conditions' | 'action' | 'action_reason'>;
+
+export interface NDRRuleFacts {
+  nsl_code: string;
+  attempts: number;
+  days_in_ndr: number;
+  order_value: number;
+  payment_mode: string;
+  pincode?: string;
+}
+
+export interface NDRRulePreview {
+  rules_evaluated: number;
+  total: number;
+  summary: Record<NDRRuleAction | 'blocked', number>;
+  decisions: Array<{
+    order_id: string;
+    awb_number: string;
+    facts: NDRRuleFacts;
+    rule_id: string | null;
+    rule_name: string | null;
+    action: NDRRuleAction;
+    blocked: string | null;
+  }>;
+}
+
+export interface NDRAutomationLogEntry {
+  _id: string;
+  ndr_id?: string;
+  order_id?: string;
+  awb_number: string;
+  trigger: 'ndr_created' | 'ndr_updated';
+  rule_id?: string;
+  rule_name?: string;
+  action: NDRRuleAction;
+  outcome: 'applied' | 'skipped' | 'failed';
+  message?: string;
+  carrier_request_id?: string;
+  facts: NDRRuleFacts;
+  created_at: string;
+}
+
+export interface NDRAutomationLogFilters {
+  page?: number;
+  limit?: number;
+  action?: NDRRuleAction;
+  outcome?: 'applied' | 'skipped' | 'failed';
+  awb?: string;
+}
+
 class NDRService {
   // Get all NDR orders with filters and pagination
   async getNDROrders(filters: NDRFilters = {}): Promise<{
@@ -217,6 +295,83 @@ class NDRService {
     return response.data;
   }
 
+  // Get the seller's NDR automation rules
+  async getRules(): Promise<NDRRule[]> {
+    const response = await apiService.get<{ data: NDRRule[] }>('/ndr/rules');
+    return response.data;
+  }
+
+  // Create an NDR automation rule
+  async createRule(rule: NDRRuleInput): Promise<NDRRule> {
+    const response = await apiService.post<{ data: NDRRule }>('/ndr/rules', rule);
+    return response.data;
+  }
+
+  // Update an NDR automation rule
+  async updateRule(ruleId: string, rule: Partial<NDRRuleInput>): Promise<NDRRule> {
+    const response = await apiService.put<{ data: NDRRule }>(`/ndr/rules/${ruleId}`, rule);
+    return response.data;
+  }
+
+  // Delete an NDR automation rule
+  async deleteRule(ruleId: string): Promise<void> {
+    await apiService.delete(`/ndr/rules/${ruleId}`);
+  }
+
+  // Dry-run rules against open NDRs; pass unsaved rules to preview them before saving
+  async previewRules(rules?: NDRRuleInput[], limit: number = 50): Promise<NDRRulePreview> {
+    const response = await apiService.post<{ data: NDRRulePreview }>('/ndr/rules/preview', { rules, limit });
+    return response.data;
+  }
+
+  // Get the log of automated NDR decisions
+  async getAutomationLog(filters: NDRAutomationLogFilters = {}): Promise<{
+    entries: NDRAutomationLogEntry[];
+    pagination: {
+      current_page: number;
+      total_pages: number;
+      total_entries: number;
+      per_page: number;
+    };
+  }> {
+    const params = new URLSearchParams();
+
+    if (filters.page) params.append('page', filters.page.toString());
+    if (filters.limit) params.append('limit', filters.limit.toString());
+    if (filters.action) params.append('action', filters.action);
+    if (filters.outcome) params.append('outcome', filters.outcome);
+    if (filters.awb) params.append('awb', filters.awb);
+
+    const response = await apiService.get<{
+      data: {
+        entries: NDRAutomationLogEntry[];
+        pagination: {
+          current_page: number;
+          total_pages: number;
+          total_entries: number;
+          per_page: number;
+        };
+      };
+    }>(`/ndr/automation-log?${params.toString()}`);
+
+    return response.data;
+  }
+
+  // Send the buyer a new self-service link (re-attempt, reschedule, change address or cancel)
+  async sendBuyerLink(orderId: string): Promise<{
+    channels: Array<{ channel: 'sms' | 'whatsapp' | 'email'; success: boolean; error?: string }>;
+    link_expires_at: string;
+  }> {
+    const response = await apiService.post<{
+      data: {
+        channels: Array<{ channel: 'sms' | 'whatsapp' | 'email'; success: boolean; error?: string }>;
+        link_expires_at: string;
+      };
+    }>(`/ndr/${orderId}/send-link`);
+
+    return response.data;
+  }
+
   // Validate NSL code for action
   validateNSLCode(nslCode: string, action: 'RE-ATTEMPT' | 'PICKUP_RESCHEDULE'): boolean {
     const allowedReAttemptCodes = ['EOD-74', 'EOD-15', 'EOD-104', 'EOD-43', 'EOD-86', 'EOD-11', 'EOD-69', 'EOD-6'];
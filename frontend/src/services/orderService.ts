@@ -10,6 +10,23 @@ export interface PickupAddress {
   phone?: string;
 }
 
+export interface RtoRiskReason {
+  code: string;
+  label: string;
+  points: number;
+}
+
+export interface RtoRisk {
+  score: number;
+  band: 'low' | 'medium' | 'high';
+  reasons: RtoRiskReason[];
+  action: 'ship' | 'hold' | 'force_prepaid';
+  on_hold: boolean;
+  resolution?: 'verified' | 'converted_prepaid';
+  resolved_at?: string;
+  assessed_at?: string;
+}
+
 export interface Order {
   _id: string;
   orderId: string;
@@ -30,6 +47,7 @@ export interface Order {
   paymentMode: 'COD' | 'Prepaid' | 'Pickup' | 'REPL';
   codAmount?: number;
   totalAmount: number;
+  rtoRisk?: RtoRisk;
   warehouse: string;
   pickupLocation: string;
   pickup_address?: PickupAddress;
@@ -147,6 +165,7 @@ class OrderService {
           paymentMode: order.payment_info?.payment_mode || 'Prepaid',
           codAmount: order.payment_info?.cod_amount || 0,
           totalAmount: order.payment_info?.total_amount || 0,
+          rtoRisk: order.rto_risk,
           warehouse: order.pickup_address?.name || order.pickup_info?.warehouse_id?.name || '',
           pickupLocation: order.pickup_address?.full_address || order.pickup_info?.warehouse_id?.address?.full_address || '',
           pickup_address: order.pickup_address ? {
@@ -230,6 +249,7 @@ class OrderService {
           paymentMode: order.payment_info?.payment_mode || 'Prepaid',
           codAmount: order.payment_info?.cod_amount || 0,
           totalAmount: order.payment_info?.total_amount || 0,
+          rtoRisk: order.rto_risk,
           warehouse: order.pickup_address?.name || order.pickup_info?.warehouse_id?.name || '',
           pickupLocation: order.pickup_address?.full_address || order.pickup_info?.warehouse_id?.address?.full_address || '',
           pickup_address: order.pickup_address ? {
@@ -8,6 +8,12 @@ export interface Remittance {
   total_remittance: number;
   total_orders: number;
   processed_on?: string;
+  // Set when part of the remittance was already paid out as early COD
+  early_cod?: {
+    advanced_orders: number;
+    advanced_amount: number;
+    net_payable: number;
+  } | null;
 }
 
 export interface RemittanceDetail extends Remittance {
@@ -51,6 +57,150 @@ export interface RemittanceDetailResponse {
   data: RemittanceDetail;
 }
 
+export interface CodReconciliationRow {
+  awb_number: string;
+  order_id: string;
+  user_id: string;
+  delivered_date: string | null;
+  cod_amount: number;
+}
+
+export interface CodReconciliationSeller {
+  user_id: string;
+  client_id: string | null;
+  company_name: string;
+  delivered_cod_orders: number;
+  unremitted_orders: number;
+  unremitted_amount: number;
+  mismatch_orders: number;
+  duplicate_orders: number;
+}
+
+export interface CodReconciliationReport {
+  generated_at: string;
+  min_age_days: number;
+  summary: {
+    delivered_cod_orders: number;
+    delivered_cod_amount: number;
+    remitted_orders: number;
+    remitted_amount: number;
+    unremitted_orders: number;
+    unremitted_amount: number;
+    not_yet_due_orders: number;
+    not_yet_due_amount: number;
+    mismatch_orders: number;
+    mismatch_difference: number;
+    duplicate_orders: number;
+    duplicate_amount: number;
+  };
+  aging: Array<{ bucket: string; count: number; amount: number }>;
+  unremitted: Array<CodReconciliationRow & { age_days: number | null; bucket: string; early_cod_advanced?: boolean }>;
+  mismatches: Array<CodReconciliationRow & {
+    remitted_amount: number;
+    difference: number;
+    source: 'remittance' | 'webhook';
+    remittance_numbers: string[];
+    utr_number: string | null;
+  }>;
+  duplicates: Array<CodReconciliationRow & {
+    remittance_numbers: string[];
+    times_remitted: number;
+    total_remitted: number;
+    excess_amount: number;
+  }>;
+  truncated: boolean;
+  // Only in the admin report across all sellers
+  sellers?: CodReconciliationSeller[];
+}
+
+export type RemittanceLineStatus =
+  | 'matched'
+  | 'amount_mismatch'
+  | 'duplicate'
+  | 'not_delivered'
+  | 'not_cod'
+  | 'order_not_found';
+
+export interface RemittanceReconciliation {
+  remittance_number: string;
+  date: string;
+  state: 'pending' | 'completed';
+  total_remittance: number;
+  sellers: number;
+  summary: Record<RemittanceLineStatus, number> & {
+    total_lines: number;
+    total_collected: number;
+  };
+  lines: Array<{
+    awb_number: string;
+    order_id: string;
+    user_id: string;
+    order_status: string | null;
+    payment_mode: string | null;
+    delivered_date: string | null;
+    cod_amount: number | null;
+    amount_collected: number;
+    difference: number | null;
+    other_remittances: string[];
+    status: RemittanceLineStatus;
+  }>;
+}
+
+export type EarlyCodPayoutMode = 'wallet' | 'bank';
+
+export interface EarlyCodPlan {
+  enabled: boolean;
+  days: number;
+  fee_percent: number;
+  fee_is_default: boolean;
+  payout_mode: EarlyCodPayoutMode;
+  opted_in_at: string | null;
+  day_options: number[];
+  default_fee_percent: number;
+}
+
+export interface CodAdvance {
+  _id: string;
+  internal_order_id: string;
+  awb_number: string;
+  delivered_date: string | null;
+  plan_days: number;
+  cod_amount: number;
+  fee_percent: number;
+  fee_amount: number;
+  net_amount: number;
+  payout_mode: EarlyCodPayoutMode;
+  status: 'payout_pending' | 'paid';
+  bank_utr?: string;
+  paid_at?: string;
+  settlement?: {
+    remittance_number?: string;
+    remitted_amount?: number;
+    difference?: number;
+    adjustment_pending?: boolean;
+    settled_at?: string;
+  };
+  createdAt: string;
+}
+
+export interface EarlyCodSummary {
+  plan: EarlyCodPlan;
+  stats: {
+    advanced_orders: number;
+    advanced_amount: number;
+    fees: number;
+    awaiting_remittance: number;
+    payouts_pending: number;
+  };
+  advances: CodAdvance[];
+  pagination: {
+    current_page: number;
+    total_pages: number;
+    total_count: number;
+    per_page: number;
+  };
+}
+
 class RemittanceService {
   /**
    * Get all remittances for the logged-in user
@@ -93,6 +243,65 @@ class RemittanceService {
 
     return response.blob();
   }
+
+  /**
+   * Early COD plan, totals and advances
+   */
+  async getEarlyCod(page: number = 1): Promise<{ success: boolean; data: EarlyCodSummary & { has_bank_details: boolean } }> {
+    return apiService.get<{ success: boolean; data: EarlyCodSummary & { has_bank_details: boolean } }>(`/remittances/early-cod?page=${page}`);
+  }
+
+  /**
+   * Opt in to or out of early COD, or change the plan
+   */
+  async updateEarlyCod(changes: { enabled?: boolean; days?: number; payout_mode?: EarlyCodPayoutMode }): Promise<{
+    success: boolean;
+    message: string;
+    data: EarlyCodPlan;
+  }> {
+    return apiService.put<{ success: boolean; message: string; data: EarlyCodPlan }>('/remittances/early-cod', changes);
+  }
+
+  /**
+   * COD reconciliation of delivered orders against remittances
+   */
+  async getReconciliation(minAgeDays?: number): Promise<{ success: boolean; data: CodReconciliationReport }> {
+    const params = new URLSearchParams();
+    if (minAgeDays !== undefined) params.append('min_age_days', minAgeDays.toString());
+
+    return apiService.get<{ success: boolean; data: CodReconciliationReport }>(`/remittances/reconciliation?${params.toString()}`);
+  }
+
+  /**
+   * Reconciliation of one remittance's AWBs
+   */
+  async getRemittanceReconciliation(remittanceNumber: string): Promise<{ success: boolean; data: RemittanceReconciliation }> {
+    return apiService.get<{ success: boolean; data: RemittanceReconciliation }>(
+      `/remittances/${encodeURIComponent(remittanceNumber)}/reconciliation`
+    );
+  }
+
+  /**
+   * Download the COD reconciliation (or one remittance's) as Excel
+   */
+  async downloadReconciliation(options: { minAgeDays?: number; remittanceNumber?: string } = {}): Promise<Blob> {
+    const path = options.remittanceNumber
+      ? `/api/remittances/${encodeURIComponent(options.remittanceNumber)}/reconciliation/export`
+      : `/api/remittances/reconciliation/export${options.minAgeDays !== undefined ? `?min_age_days=${options.minAgeDays}` : ''}`;
+    const response = await fetch(`${process.env.REACT_APP_API_URL || ''}${path}`, {
+      method: 'GET',
+      headers: {
+        'Authorization': `Bearer ${localStorage.getItem('token')}`,
+      },
+    });
+
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.message || 'Failed to download reconciliation');
+    }
+
+    return response.blob();
+  }
 }
 
 export const remittanceService = new RemittanceService();
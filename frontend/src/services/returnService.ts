@@ -0,0 +1,255 @@
+import axios from 'axios';
+import { apiService } from './api';
+import { environmentConfig } from '../config/environment';
+import { TrackingBrand } from './trackingPageService';
+
+export type ReturnStatus = 'requested' | 'approved' | 'rejected';
+export type ReturnReason =
+  | 'damaged'
+  | 'defective'
+  | 'wrong_item'
+  | 'size_issue'
+  | 'not_as_described'
+  | 'changed_mind'
+  | 'other';
+export type QcCheck = 'product_match' | 'quantity_match' | 'no_damage' | 'unused' | 'tags_intact' | 'original_packaging';
+
+export const QC_CHECK_LABELS: Record<QcCheck, string> = {
+  product_match: 'Product matches the order',
+  quantity_match: 'Quantity matches',
+  no_damage: 'No damage',
+  unused: 'Unused',
+  tags_intact: 'Tags intact',
+  original_packaging: 'In original packaging'
+};
+
+export interface ReturnsPolicy {
+  enabled: boolean;
+  window_days: number;
+  non_returnable_skus: string[];
+  max_return_value: number | null;
+  auto_approve: boolean;
+  portal_url: string;
+}
+
+export interface ReturnsPolicyUpdate {
+  enabled?: boolean;
+  window_days?: number;
+  non_returnable_skus?: string[];
+  max_return_value?: number | null;
+  auto_approve?: boolean;
+}
+
+export interface ReturnItem {
+  line: number;
+  product_name: string;
+  sku?: string;
+  quantity: number;
+  unit_price: number;
+}
+
+export interface ReturnRequest {
+  _id: string;
+  request_number: string;
+  order_number: string;
+  customer: {
+    name?: string;
+    phone?: string;
+  };
+  items: ReturnItem[];
+  reason: ReturnReason;
+  comments?: string;
+  photos: Array<{ url: string; public_id?: string }>;
+  return_value: number;
+  rule_flags: string[];
+  status: ReturnStatus;
+  decided_at?: string;
+  decided_by?: string;
+  rejection_reason?: string;
+  reverse_order_id?: string;
+  reverse_order_number?: string;
+  buyer_notified_at?: string;
+  createdAt: string;
+}
+
+export interface ReturnRequestDetail extends ReturnRequest {
+  suggested_qc_checks: QcCheck[];
+}
+
+export interface ReturnFilters {
+  page?: number;
+  limit?: number;
+  status?: ReturnStatus | 'all';
+  search?: string;
+}
+
+export interface ReturnRequestsResponse {
+  requests: ReturnRequest[];
+  counts: Record<ReturnStatus, number>;
+  pagination: {
+    current_page: number;
+    total_pages: number;
+    total_count: number;
+    per_page: number;
+  };
+}
+
+// Public portal
+
+export interface ReturnPortal {
+  brand: TrackingBrand;
+  window_days: number;
+  reasons: Array<{ value: ReturnReason; label: string; photo_required: boolean }>;
+}
+
+export interface ReturnableItem {
+  line: number;
+  product_name: string;
+  sku: string | null;
+  quantity: number;
+  unit_price: number;
+  returnable_quantity: number;
+  not_returnable_reason: string | null;
+}
+
+export interface ReturnSession {
+  order: {
+    order_id: string;
+    customer_name?: string;
+    delivered_at: string | null;
+    return_by: string | null;
+    items: ReturnableItem[];
+  };
+  latest_request: Pick<
+    ReturnRequest,
+    '_id' | 'request_number' | 'status' | 'reason' | 'items' | 'return_value' | 'rejection_reason' | 'createdAt' | 'decided_at'
+  > | null;
+}
+
+export interface ReturnSubmission {
+  items: Array<{ line: number; quantity: number }>;
+  reason: ReturnReason;
+  comments?: string;
+  photos: File[];
+}
+
+interface PublicResponse<T> {
+  success: boolean;
+  code?: string;
+  message?: string;
+  data: T;
+}
+
+const publicApiUrl = () => `${environmentConfig.apiUrl.replace(/\/$/, '')}/returns/public`;
+
+class ReturnService {
+  // Seller
+
+  async getPolicy(): Promise<ReturnsPolicy> {
+    const response = await apiService.get<{ success: boolean; message?: string; data: ReturnsPolicy }>('/returns/settings');
+    if (response.success && response.data) {
+      return response.data;
+    }
+    throw new Error(response.message || 'Failed to load returns policy');
+  }
+
+  async updatePolicy(changes: ReturnsPolicyUpdate): Promise<ReturnsPolicy> {
+    const response = await apiService.put<{ success: boolean; message?: string; data: ReturnsPolicy }>(
+      '/returns/settings',
+      changes
+    );
+    if (response.success && response.data) {
+      return response.data;
+    }
+    throw new Error(response.message || 'Failed to update returns policy');
+  }
+
+  async getRequests(filters: ReturnFilters = {}): Promise<ReturnRequestsResponse> {
+    const params = new URLSearchParams();
+    if (filters.page) params.append('page', filters.page.toString());
+    if (filters.limit) params.append('limit', filters.limit.toString());
+    if (filters.status) params.append('status', filters.status);
+    if (filters.search) params.append('search', filters.search);
+
+    const response = await apiService.get<{ success: boolean; message?: string; data: ReturnRequestsResponse }>(
+      `/returns?${params.toString()}`
+    );
+    if (response.success && response.data) {
+      return response.data;
+    }
+    throw new Error(response.message || 'Failed to load return requests');
+  }
+
+  async getRequest(id: string): Promise<ReturnRequestDetail> {
+    const response = await apiService.get<{ success: boolean; message?: string; data: ReturnRequestDetail }>(`/returns/${id}`);
+    if (response.success && response.data) {
+      return response.data;
+    }
+    throw new Error(response.message || 'Failed to load return request');
+  }
+
+  /**
+   * Approve a request; the backend creates the reverse order
+   */
+  async approve(id: string, qc: { qc_required: boolean; qc_checks: QcCheck[] }): Promise<{ message: string; request: ReturnRequest }> {
+    const response = await apiService.post<{ success: boolean; message: string; data: { request: ReturnRequest } }>(
+      `/returns/${id}/approve`,
+      qc
+    );
+    return { message: response.message, request: response.data.request };
+  }
+
+  async reject(id: string, reason: string): Promise<{ message: string; request: ReturnRequest }> {
+    const response = await apiService.post<{ success: boolean; message: string; data: ReturnRequest }>(
+      `/returns/${id}/reject`,
+      { reason }
+    );
+    return { message: response.message, request: response.data };
+  }
+
+  // Public portal (no authentication)
+
+  async getPortal(slug: string): Promise<ReturnPortal> {
+    const response = await axios.get<PublicResponse<ReturnPortal>>(`${publicApiUrl()}/${encodeURIComponent(slug)}`);
+    return response.data.data;
+  }
+
+  async sendOtp(slug: string, orderId: string, phone: string): Promise<string> {
+    const response = await axios.post<PublicResponse<{ phone: string }>>(
+      `${publicApiUrl()}/${encodeURIComponent(slug)}/otp`,
+      { order_id: orderId.trim(), phone: phone.trim() }
+    );
+    return response.data.data.phone;
+  }
+
+  async verifyOtp(slug: string, orderId: string, phone: string, otp: string): Promise<ReturnSession & { token: string }> {
+    const response = await axios.post<PublicResponse<ReturnSession & { token: string }>>(
+      `${publicApiUrl()}/${encodeURIComponent(slug)}/verify`,
+      { order_id: orderId.trim(), phone: phone.trim(), otp: otp.trim() }
+    );
+    return response.data.data;
+  }
+
+  async getSession(slug: string, token: string): Promise<ReturnSession> {
+    const response = await axios.get<PublicResponse<ReturnSession>>(
+      `${publicApiUrl()}/${encodeURIComponent(slug)}/session/${encodeURIComponent(token)}`
+    );
+    return response.data.data;
+  }
+
+  async submitRequest(slug: string, token: string, submission: ReturnSubmission): Promise<{ message: string; auto_approved: boolean }> {
+    const formData = new FormData();
+    formData.append('items', JSON.stringify(submission.items));
+    formData.append('reason', submission.reason);
+    if (submission.comments) formData.append('comments', submission.comments);
+    submission.photos.forEach(photo => formData.append('photos', photo));
+
+    const response = await axios.post<PublicResponse<{ auto_approved: boolean }>>(
+      `${publicApiUrl()}/${encodeURIComponent(slug)}/session/${encodeURIComponent(token)}`,
+      formData
+    );
+    return { message: response.data.message || '', auto_approved: response.data.data.auto_approved };
+  }
+}
+
+export const returnService = new ReturnService();
@@ -0,0 +1,71 @@
+import { apiService } from './api';
+import { RtoRisk } from './orderService';
+
+export type RtoRiskBand = 'low' | 'medium' | 'high';
+export type RtoRiskAction = 'ship' | 'hold' | 'force_prepaid';
+export type RtoRiskResolution = 'verify' | 'convert_prepaid';
+
+export interface RtoRiskSettings {
+  medium_from: number;
+  high_from: number;
+  actions: Record<RtoRiskBand, RtoRiskAction>;
+}
+
+export interface RtoRiskResolveResult {
+  order_id: string;
+  payment_info: {
+    payment_mode: string;
+    cod_amount: number;
+  };
+  rto_risk: RtoRisk;
+  cod_charge_refund: {
+    amount: number;
+    method: 'wallet' | 'billing_cycle' | 'none';
+  } | null;
+}
+
+export const RTO_RISK_ACTION_LABELS: Record<RtoRiskAction, string> = {
+  ship: 'Ship as usual',
+  hold: 'Hold for verification',
+  force_prepaid: 'Force prepaid'
+};
+
+interface StatusResponse<T> {
+  status: string;
+  message?: string;
+  data: T;
+}
+
+class RtoRiskService {
+  async getSettings(): Promise<RtoRiskSettings> {
+    const response = await apiService.get<StatusResponse<RtoRiskSettings>>('/users/rto-risk');
+    if (response.status === 'success' && response.data) {
+      return response.data;
+    }
+    throw new Error(response.message || 'Failed to load RTO risk settings');
+  }
+
+  async updateSettings(changes: Partial<RtoRiskSettings>): Promise<RtoRiskSettings> {
+    const response = await apiService.put<StatusResponse<RtoRiskSettings>>('/users/rto-risk', changes);
+    if (response.status === 'success' && response.data) {
+      return response.data;
+    }
+    throw new Error(response.message || 'Failed to update RTO risk settings');
+  }
+
+  /**
+   * Release an order held for RTO risk, keeping it COD or converting it to prepaid
+   */
+  async resolve(orderId: string, action: RtoRiskResolution): Promise<{ message: string; data: RtoRiskResolveResult }> {
+    const response = await apiService.post<StatusResponse<RtoRiskResolveResult>>(
+      `/orders/${orderId}/rto-risk/resolve`,
+      { action }
+    );
+    if (response.status === 'success' && response.data) {
+      return { message: response.message || 'Order released', data: response.data };
+    }
+    throw new Error(response.message || 'Failed to release order');
+  }
+}
+
+export const rtoRiskService = new RtoRiskService();
@@ -0,0 +1,128 @@
+import { apiService } from './api';
+
+export type WebhookDeliveryStatus = 'pending' | 'retrying' | 'succeeded' | 'failed';
+
+export interface WebhookSubscription {
+  _id: string;
+  url: string;
+  events: string[];
+  description?: string;
+  is_active: boolean;
+  secret_hint: string | null;
+  secret?: string; // Only returned on create / rotate
+  last_delivery_at?: string;
+  last_delivery_status?: 'succeeded' | 'failed' | null;
+  consecutive_failures: number;
+  createdAt: string;
+}
+
+export interface WebhookDelivery {
+  _id: string;
+  delivery_id: string;
+  subscription_id: string;
+  event: string;
+  url: string;
+  status: WebhookDeliveryStatus;
+  attempts: number;
+  next_attempt_at?: string | null;
+  response_status?: number | null;
+  response_body?: string | null;
+  error?: string | null;
+  duration_ms?: number;
+  delivered_at?: string;
+  replay_of?: string | null;
+  payload?: Record<string, unknown>;
+  createdAt: string;
+}
+
+export interface WebhookDeliveryFilters {
+  page?: number;
+  limit?: number;
+  subscription_id?: string;
+  event?: string;
+  status?: WebhookDeliveryStatus | '';
+}
+
+export interface WebhookDeliveriesResponse {
+  deliveries: WebhookDelivery[];
+  pagination: {
+    current_page: number;
+    total_pages: number;
+    total_count: number;
+    per_page: number;
+  };
+}
+
+export interface WebhookSubscriptionInput {
+  url: string;
+  events: string[];
+  description?: string;
+  is_active?: boolean;
+}
+
+interface ApiEnvelope<T> {
+  status: string;
+  message?: string;
+  data: T;
+}
+
+class SellerWebhookService {
+  async getEvents(): Promise<string[]> {
+    const response = await apiService.get<ApiEnvelope<string[]>>('/seller-webhooks/events');
+    return response.data;
+  }
+
+  async getSubscriptions(): Promise<WebhookSubscription[]> {
+    const response = await apiService.get<ApiEnvelope<WebhookSubscription[]>>('/seller-webhooks');
+    return response.data;
+  }
+
+  async createSubscription(input: WebhookSubscriptionInput): Promise<WebhookSubscription> {
+    const response = await apiService.post<ApiEnvelope<WebhookSubscription>>('/seller-webhooks', input);
+    return response.data;
+  }
+
+  async updateSubscription(id: string, input: Partial<WebhookSubscriptionInput>): Promise<WebhookSubscription> {
+    const response = await apiService.put<ApiEnvelope<WebhookSubscription>>(`/seller-webhooks/${id}`, input);
+    return response.data;
+  }
+
+  async deleteSubscription(id: string): Promise<void> {
+    await apiService.delete(`/seller-webhooks/${id}`);
+  }
+
+  async rotateSecret(id: string): Promise<WebhookSubscription> {
+    const response = await apiService.post<ApiEnvelope<WebhookSubscription>>(`/seller-webhooks/${id}/rotate-secret`);
+    return response.data;
+  }
+
+  async sendTest(id: string): Promise<{ message: string; delivery: WebhookDelivery }> {
+    const response = await apiService.post<ApiEnvelope<WebhookDelivery>>(`/seller-webhooks/${id}/test`);
+    return { message: response.message || '', delivery: response.data };
+  }
+
+  async getDeliveries(filters: WebhookDeliveryFilters = {}): Promise<WebhookDeliveriesResponse> {
+    const params = new URLSearchParams();
+
+    if (filters.page) params.append('page', filters.page.toString());
+    if (filters.limit) params.append('limit', filters.limit.toString());
+    if (filters.subscription_id) params.append('subscription_id', filters.subscription_id);
+    if (filters.event) params.append('event', filters.event);
+    if (filters.status) params.append('status', filters.status);
+
+    const response = await apiService.get<ApiEnvelope<WebhookDeliveriesResponse>>(`/seller-webhooks/deliveries?${params.toString()}`);
+    return response.data;
+  }
+
+  async getDelivery(deliveryId: string): Promise<WebhookDelivery> {
+    const response = await apiService.get<ApiEnvelope<WebhookDelivery>>(`/seller-webhooks/deliveries/${encodeURIComponent(deliveryId)}`);
+    return response.data;
+  }
+
+  async replayDelivery(deliveryId: string): Promise<{ message: string; delivery: WebhookDelivery }> {
+    const response = await apiService.post<ApiEnvelope<WebhookDelivery>>(`/seller-webhooks/deliveries/${encodeURIComponent(deliveryId)}/replay`);
+    return { message: response.message || '', delivery: response.data };
+  }
+}
+
+export const sellerWebhookService = new SellerWebhookService();
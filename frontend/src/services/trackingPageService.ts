@@ -0,0 +1,154 @@
+import axios from 'axios';
+import { apiService } from './api';
+import { environmentConfig } from '../config/environment';
+
+export interface TrackingBrand {
+  slug: string;
+  company_name: string;
+  logo_url: string | null;
+  primary_color: string;
+  accent_color: string;
+  support: {
+    email: string | null;
+    phone: string | null;
+    website_url: string | null;
+  };
+  banner: {
+    image_url: string | null;
+    title: string | null;
+    link_url: string | null;
+  } | null;
+}
+
+export interface TrackingTimelineEvent {
+  status: string;
+  location: string | null;
+  description: string | null;
+  timestamp: string;
+}
+
+export interface BrandedShipment {
+  awb_number: string;
+  order_id: string;
+  courier: string;
+  status: string;
+  status_label: string;
+  payment_mode: 'COD' | 'Prepaid' | null;
+  destination: {
+    city: string | null;
+    state: string | null;
+    pincode: string | null;
+  };
+  products: Array<{ name: string; quantity: number }>;
+  order_date: string;
+  delivered_date: string | null;
+  estimated_delivery: string | null;
+  estimate_source: 'carrier' | 'estimate' | null;
+  timeline: TrackingTimelineEvent[];
+}
+
+export interface TrackingPageSettings {
+  slug: string | null;
+  default_slug: string;
+  page_url: string;
+  primary_color: string;
+  accent_color: string;
+  support_email: string | null;
+  support_phone: string | null;
+  website_url: string | null;
+  banner: {
+    image_url: string | null;
+    title: string | null;
+    link_url: string | null;
+  };
+  notify_buyers: boolean;
+  branding: TrackingBrand;
+}
+
+export interface TrackingPageSettingsUpdate {
+  slug?: string;
+  primary_color?: string;
+  accent_color?: string;
+  support_email?: string;
+  support_phone?: string;
+  website_url?: string;
+  banner_title?: string;
+  banner_link_url?: string;
+  notify_buyers?: boolean;
+}
+
+interface PublicResponse<T> {
+  success: boolean;
+  code?: string;
+  message?: string;
+  data: T;
+}
+
+const publicApiUrl = () => `${environmentConfig.apiUrl.replace(/\/$/, '')}/shipping/public/brand`;
+
+class TrackingPageService {
+  // Seller settings
+
+  async getSettings(): Promise<TrackingPageSettings> {
+    const response = await apiService.get<{ status: string; message?: string; data: TrackingPageSettings }>(
+      '/users/tracking-page'
+    );
+    if (response.status === 'success' && response.data) {
+      return response.data;
+    }
+    throw new Error(response.message || 'Failed to load tracking page settings');
+  }
+
+  async updateSettings(changes: TrackingPageSettingsUpdate): Promise<TrackingPageSettings> {
+    const response = await apiService.put<{ status: string; message?: string; data: TrackingPageSettings }>(
+      '/users/tracking-page',
+      changes
+    );
+    if (response.status === 'success' && response.data) {
+      return response.data;
+    }
+    throw new Error(response.message || 'Failed to update tracking page');
+  }
+
+  async uploadBanner(file: File): Promise<TrackingPageSettings> {
+    const formData = new FormData();
+    formData.append('banner', file);
+
+    const response = await apiService.post<{ status: string; message?: string; data: TrackingPageSettings }>(
+      '/users/tracking-page/banner',
+      formData
+    );
+    if (response.status === 'success' && response.data) {
+      return response.data;
+    }
+    throw new Error(response.message || 'Failed to upload banner');
+  }
+
+  async removeBanner(): Promise<TrackingPageSettings> {
+    const response = await apiService.delete<{ status: string; message?: string; data: TrackingPageSettings }>(
+      '/users/tracking-page/banner'
+    );
+    if (response.status === 'success' && response.data) {
+      return response.data;
+    }
+    throw new Error(response.message || 'Failed to remove banner');
+  }
+
+  // Public page (no authentication)
+
+  async getPublicBrand(slug: string): Promise<TrackingBrand> {
+    const response = await axios.get<PublicResponse<{ brand: TrackingBrand }>>(
+      `${publicApiUrl()}/${encodeURIComponent(slug)}`
+    );
+    return response.data.data.brand;
+  }
+
+  async getPublicTracking(slug: string, awb: string): Promise<{ brand: TrackingBrand; shipment: BrandedShipment }> {
+    const response = await axios.get<PublicResponse<{ brand: TrackingBrand; shipment: BrandedShipment }>>(
+      `${publicApiUrl()}/${encodeURIComponent(slug)}/track/${encodeURIComponent(awb.trim())}`
+    );
+    return response.data.data;
+  }
+}
+
+export const trackingPageService = new TrackingPageService();
@@ -42,6 +42,8 @@ export interface User {
     public_key: string;
     private_key: string;
     api_documentation_version: string;
+    scope?: 'read' | 'write';
+    previous_key_expires_at?: string | null;
   };
 }
 
@@ -215,6 +217,7 @@ class UserService {
       amount_prepaid?: boolean;
       amount_cod?: boolean;
       message?: boolean;
+      tracking_url?: boolean;
     };
     logo_url?: string | null;
   }> {
@@ -248,7 +251,8 @@ class UserService {
         shipping_charges: false,
         amount_prepaid: true,
         amount_cod: true,
-        message: true
+        message: true,
+        tracking_url: true
       },
       logo_url: null
     };
@@ -276,6 +280,7 @@ class UserService {
       amount_prepaid?: boolean;
       amount_cod?: boolean;
       message?: boolean;
+      tracking_url?: boolean;
     };
     logo_url?: string | null;
   }): Promise<{
@@ -320,15 +325,23 @@ class UserService {
     return response.data;
   }
 
-  // Regenerate API keys
-  async regenerateApiKeys(): Promise<{
+  // Regenerate API keys - old keys keep working for overlapHours (server default when omitted)
+  async regenerateApiKeys(overlapHours?: number): Promise<{
     public_key: string;
     private_key: string;
+    previous_key_expires_at: string | null;
   }> {
     const response = await apiService.post<{ data: {
       public_key: string;
       private_key: string;
-    } }>('/users/regenerate-api-keys');
+      previous_key_expires_at: string | null;
+    } }>('/users/regenerate-api-keys', overlapHours !== undefined ? { overlap_hours: overlapHours } : {});
+    return response.data;
+  }
+
+  // Switch API keys between read-only and read-write
+  async updateApiKeyScope(scope: 'read' | 'write'): Promise<{ scope: 'read' | 'write' }> {
+    const response = await apiService.put<{ data: { scope: 'read' | 'write' } }>('/users/api-keys/scope', { scope });
     return response.data;
   }
 
@@ -415,6 +428,8 @@ export interface UserProfile {
     public_key: string;
     private_key: string;
     api_documentation_version: string;
+    scope?: 'read' | 'write';
+    previous_key_expires_at?: string | null;
   };
   walletBalance?: number;
   wallet_balance?: number;
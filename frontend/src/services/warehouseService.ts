@@ -33,11 +33,54 @@ export interface Warehouse {
   };
   is_default: boolean;
   is_active: boolean;
+  business_days?: string[];
+  pickup_schedule?: {
+    enabled: boolean;
+    days?: string[];
+    slot_time?: string;
+    expected_package_count?: number;
+    holidays?: string[];
+  };
   notes?: string;
   created_at: string;
   updated_at: string;
 }
 
+export type PickupDay = 'MON' | 'TUE' | 'WED' | 'THU' | 'FRI' | 'SAT' | 'SUN';
+
+export interface PickupSchedule {
+  enabled: boolean;
+  days: PickupDay[];
+  slot_time: string;
+  expected_package_count: number | null;
+  holidays: string[];
+  platform_holidays: string[];
+  lead_minutes: number;
+  next_pickup: { date: string; time: string } | null;
+}
+
+export interface PickupScheduleUpdate {
+  enabled?: boolean;
+  days?: PickupDay[];
+  slot_time?: string;
+  expected_package_count?: number | null;
+  holidays?: string[];
+}
+
+export interface ScheduledPickupRun {
+  _id: string;
+  warehouse_name: string;
+  carrier: string;
+  pickup_date: string;
+  pickup_time: string;
+  status: 'scheduled' | 'failed' | 'missed';
+  pickup_request_id?: string;
+  order_count: number;
+  attempts: number;
+  last_error?: string;
+  createdAt: string;
+}
+
 export interface CreateWarehouseData {
   name: string;
   title: string;
@@ -212,6 +255,25 @@ class WarehouseService {
     return response.data;
   }
 
+  // Get warehouse pickup schedule with its recent scheduled pickups
+  async getPickupSchedule(warehouseId: string): Promise<{ schedule: PickupSchedule; recent_runs: ScheduledPickupRun[] }> {
+    const response = await apiService.get<{
+      status: string;
+      data: { schedule: PickupSchedule; recent_runs: ScheduledPickupRun[] };
+    }>(`/warehouses/${warehouseId}/pickup-schedule`);
+    return response.data;
+  }
+
+  // Update warehouse pickup schedule
+  async updatePickupSchedule(warehouseId: string, update: PickupScheduleUpdate): Promise<PickupSchedule> {
+    const response = await apiService.put<{
+      status: string;
+      message: string;
+      data: { schedule: PickupSchedule };
+    }>(`/warehouses/${warehouseId}/pickup-schedule`, update);
+    return response.data.schedule;
+  }
+
   // Validate warehouse data
   validateWarehouseData(data: CreateWarehouseData): { isValid: boolean; errors: Record<string, string> } {
     const errors: Record<string, string> = {};
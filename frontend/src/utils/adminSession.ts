@@ -0,0 +1,57 @@
+// Admin Panel Session Storage
+
+export interface AdminProfile {
+  email: string;
+  name: string;
+  role: string;
+  is_super_admin: boolean;
+  staff_id?: string;
+  permissions: string[];
+  session_id: string;
+}
+
+export interface AdminSessionData {
+  token: string;
+  expires_at: string;
+  session_expires_at: string;
+  admin: AdminProfile;
+}
+
+// Keys written by older panel builds that kept credentials in the browser
+const LEGACY_KEYS = ['admin_password', 'admin_role', 'is_staff', 'staff_name', 'staff_email'];
+
+export const saveAdminSession = (session: AdminSessionData): void => {
+  localStorage.setItem('admin_token', session.token);
+  localStorage.setItem('admin_token_expires_at', session.expires_at);
+  localStorage.setItem('admin_profile', JSON.stringify(session.admin));
+  localStorage.setItem('admin_authenticated', 'true');
+  localStorage.setItem('admin_email', session.admin.email);
+  LEGACY_KEYS.forEach(key => localStorage.removeItem(key));
+};
+
+export const getAdminToken = (): string | null => localStorage.getItem('admin_token');
+
+export const getAdminTokenExpiry = (): number | null => {
+  const expiresAt = localStorage.getItem('admin_token_expires_at');
+  return expiresAt ? new Date(expiresAt).getTime() : null;
+};
+
+export const getAdminProfile = (): AdminProfile | null => {
+  try {
+    const profile = localStorage.getItem('admin_profile');
+    return profile ? JSON.parse(profile) : null;
+  } catch (error) {
+    console.error('Error reading admin profile:', error);
+    return null;
+  }
+};
+
+export const hasAdminPermission = (permission: string): boolean => {
+  const profile = getAdminProfile();
+  return !!profile && profile.permissions.includes(permission);
+};
+
+export const clearAdminSession = (): void => {
+  ['admin_token', 'admin_token_expires_at', 'admin_profile', 'admin_authenticated', 'admin_email', ...LEGACY_KEYS]
+    .forEach(key => localStorage.removeItem(key));
+};